@@ -0,0 +1,92 @@
+const multer = require('multer');
+
+const ALLOWED_MIME_TYPES = [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'text/csv',
+    'application/vnd.ms-excel'
+];
+
+// Spreadsheets are parsed straight from memory, never stored
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        const isSpreadsheet = ALLOWED_MIME_TYPES.includes(file.mimetype) || /\.(xlsx|csv)$/i.test(file.originalname);
+        if (isSpreadsheet) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only XLSX and CSV are allowed.'), false);
+        }
+    }
+});
+
+/**
+ * Normalise a header cell: "Counted Qty" -> "countedqty"
+ */
+const normaliseHeader = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Plain value of an exceljs cell (formula results, rich text and hyperlinks unwrapped)
+ */
+const cellValue = (value) => {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'object' || value instanceof Date) return value;
+    if (value.result !== undefined) return value.result;
+    if (value.richText) return value.richText.map(t => t.text).join('');
+    if (value.text !== undefined) return value.text;
+    return null;
+};
+
+/**
+ * Read the first worksheet of an uploaded XLSX/CSV file into row objects keyed by normalised header
+ * @param {Object} file - multer file (buffer, originalname)
+ * @returns {Array} - [{ rowNumber, ...values }]
+ */
+const readSpreadsheet = async (file) => {
+    const ExcelJS = require('exceljs');
+    const { Readable } = require('stream');
+    const workbook = new ExcelJS.Workbook();
+
+    let worksheet;
+    if (/\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv') {
+        worksheet = await workbook.csv.read(Readable.from(file.buffer));
+    } else {
+        await workbook.xlsx.load(file.buffer);
+        worksheet = workbook.worksheets[0];
+    }
+
+    if (!worksheet) return [];
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, col) => {
+        headers[col] = normaliseHeader(cellValue(cell.value));
+    });
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+
+        const data = { rowNumber };
+        let hasValue = false;
+        row.eachCell((cell, col) => {
+            if (!headers[col]) return;
+            const value = cellValue(cell.value);
+            if (value !== null && value !== '') hasValue = true;
+            data[headers[col]] = typeof value === 'string' ? value.trim() : value;
+        });
+
+        if (hasValue) rows.push(data);
+    });
+
+    return rows;
+};
+
+/**
+ * Multer middleware for a single spreadsheet in the "file" field
+ */
+exports.uploadSpreadsheet = upload.single('file');
+
+exports.readSpreadsheet = readSpreadsheet;
+exports.normaliseHeader = normaliseHeader;
@@ -2,7 +2,9 @@ const { Doctor, User, Address, Order, Payment, sequelize } = require('../../mode
 
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
-const { AuditLogService, NotificationService } = require('../../services');
+const {
+    AuditLogService, NotificationService, PaymentService, PdfService, StatementService, CreditControlService
+} = require('../../services');
 
 /**
  * Get current doctor profile
@@ -607,6 +609,8 @@ exports.getCreditSummary = async (req, res, next) => {
             order: [['creditDueDate', 'ASC']]
         });
 
+        const { policy, violations } = await CreditControlService.evaluate(doctor);
+
         res.json({
             success: true,
             data: {
@@ -614,13 +618,65 @@ exports.getCreditSummary = async (req, res, next) => {
                 currentCredit: parseFloat(doctor.currentCredit),
                 availableCredit: parseFloat(doctor.creditLimit) - parseFloat(doctor.currentCredit),
                 paymentTerms: doctor.paymentTerms,
-                pendingOrders
+                pendingOrders,
+                creditHold: {
+                    onHold: violations.length > 0,
+                    action: policy.action,
+                    violations
+                }
             }
         });
     } catch (error) {
         next(error);
     }
 };
+/**
+ * Grant a one-off credit-hold override for a doctor's next order (Admin)
+ */
+exports.grantCreditOverride = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { reason } = req.body;
+
+        const doctor = await Doctor.findByPk(req.params.id);
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        const override = await CreditControlService.grantOverride(doctor, reason, req);
+
+        await AuditLogService.log({
+            userId: req.user.id,
+            userName: req.user.userName,
+            action: 'UPDATE',
+            module: 'doctors',
+            entityType: 'Doctor',
+            entityId: doctor.id,
+            description: `Credit hold override granted until ${override.validUntil.toISOString()}: ${reason}`,
+            newData: { creditOverrideId: override.id, validUntil: override.validUntil },
+            metadata: { reason, violations: override.violations },
+            riskLevel: 'MEDIUM',
+            ipAddress: AuditLogService.getIpAddress(req),
+            userAgent: req.headers['user-agent']
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Credit override granted for the next order',
+            data: override
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Settle doctor outstandings (FIFO)
  */
@@ -659,49 +715,17 @@ exports.settleOutstanding = async (req, res, next) => {
             });
         }
 
-        // Get all unpaid/partially paid credit orders
-        const orders = await Order.findAll({
-            where: {
-                doctorId: doctor.id,
-                paymentStatus: { [Op.in]: ['pending', 'partial', 'credit'] },
-                dueAmount: { [Op.gt]: 0 },
-                isDeleted: false
-            },
-            order: [['createdAt', 'ASC']], // FIFO
+        // Apply to credit orders and open debit notes, oldest first
+        const settlement = await PaymentService.settleOutstanding(
+            doctor,
+            paymentAmount,
+            { method, transactionId, notes },
+            req,
             transaction
-        });
-
-        let remainingToApply = paymentAmount;
-        const processedOrders = [];
-
-        for (const order of orders) {
-            if (remainingToApply <= 0) break;
-
-            const payToThisOrder = Math.min(parseFloat(order.dueAmount), remainingToApply);
-
-            await Payment.create({
-                orderId: order.id,
-                doctorId: doctor.id,
-                amount: payToThisOrder,
-                method,
-                transactionId: transactionId ? `${transactionId}-${order.orderNumber}` : null,
-                notes: notes || `Settlement payment applied to ${order.orderNumber}`,
-                status: 'completed',
-                paidAt: new Date(),
-                createdBy: req.user.id
-            }, { transaction });
-
-            order.paidAmount = parseFloat(order.paidAmount) + payToThisOrder;
-            order.dueAmount = parseFloat(order.total) - parseFloat(order.paidAmount);
-            order.paymentStatus = order.dueAmount <= 0 ? 'paid' : 'partial';
-            await order.save({ transaction });
+        );
 
-            remainingToApply -= payToThisOrder;
-            processedOrders.push({
-                orderNumber: order.orderNumber,
-                appliedAmount: payToThisOrder
-            });
-        }
+        const remainingToApply = settlement.remaining;
+        const processedOrders = settlement.appliedToOrders;
 
         // If there's still money left, it means the doctor paid more than total outstanding
         // or there were no outstanding orders. We record this as an "Account Payment".
@@ -730,6 +754,7 @@ exports.settleOutstanding = async (req, res, next) => {
             data: {
                 totalPaid: paymentAmount,
                 appliedToOrders: processedOrders,
+                appliedToNotes: settlement.appliedToNotes,
                 accountCredit: remainingToApply,
                 newCurrentCredit: doctor.currentCredit
             }
@@ -739,3 +764,158 @@ exports.settleOutstanding = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * Resolve the doctor whose statement is requested: by id for admins, otherwise the current doctor
+ */
+const findStatementDoctor = async (req) => {
+    if (req.params.id) {
+        return Doctor.findByPk(req.params.id);
+    }
+
+    const query = req.user.isDoctorAccount
+        ? { where: { id: req.user.id } }
+        : { where: { userId: req.user.id } };
+
+    return Doctor.findOne(query);
+};
+
+/**
+ * Get doctor account statement (ledger with running balance)
+ */
+exports.getStatement = async (req, res, next) => {
+    try {
+        const { startDate, endDate } = req.query;
+
+        const doctor = await findStatementDoctor(req);
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor profile not found'
+            });
+        }
+
+        const statement = await StatementService.getDoctorStatement(doctor.id, { startDate, endDate });
+
+        res.json({
+            success: true,
+            data: statement
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Download doctor account statement as PDF
+ */
+exports.downloadStatementPdf = async (req, res, next) => {
+    try {
+        const { startDate, endDate } = req.query;
+
+        const doctor = await findStatementDoctor(req);
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor profile not found'
+            });
+        }
+
+        const statement = await StatementService.getDoctorStatement(doctor.id, { startDate, endDate });
+
+        const filename = `statement_${doctor.id}_${new Date().toISOString().split('T')[0]}.pdf`;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+        await PdfService.generateDoctorStatement(statement, res);
+    } catch (error) {
+        console.error('Statement PDF download error:', error);
+        next(error);
+    }
+};
+
+/**
+ * Download doctor account statement as Excel
+ */
+exports.downloadStatementExcel = async (req, res, next) => {
+    try {
+        const ExcelJS = require('exceljs');
+        const { startDate, endDate } = req.query;
+
+        const doctor = await findStatementDoctor(req);
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor profile not found'
+            });
+        }
+
+        const statement = await StatementService.getDoctorStatement(doctor.id, { startDate, endDate });
+
+        // Create workbook and worksheet
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Statement');
+
+        // Define columns
+        worksheet.columns = [
+            { header: 'Date', key: 'date', width: 15 },
+            { header: 'Type', key: 'type', width: 16 },
+            { header: 'Reference', key: 'reference', width: 22 },
+            { header: 'Description', key: 'description', width: 40 },
+            { header: 'Debit', key: 'debit', width: 14 },
+            { header: 'Credit', key: 'credit', width: 14 },
+            { header: 'Balance', key: 'balance', width: 14 }
+        ];
+
+        // Style header row
+        worksheet.getRow(1).fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FF4472C4' }
+        };
+        worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+
+        const openingRow = worksheet.addRow({
+            date: startDate ? new Date(startDate).toLocaleDateString() : '',
+            description: 'Opening balance',
+            balance: statement.openingBalance.toFixed(2)
+        });
+        openingRow.font = { bold: true };
+
+        // Add data rows
+        statement.entries.forEach(entry => {
+            worksheet.addRow({
+                date: new Date(entry.date).toLocaleDateString(),
+                type: entry.type.replace(/_/g, ' '),
+                reference: entry.reference,
+                description: entry.description,
+                debit: entry.debit ? entry.debit.toFixed(2) : '',
+                credit: entry.credit ? entry.credit.toFixed(2) : '',
+                balance: entry.balance.toFixed(2)
+            });
+        });
+
+        // Add summary row
+        worksheet.addRow({});
+        const summaryRow = worksheet.addRow({
+            date: 'TOTAL',
+            description: `${statement.doctor.name} (${statement.doctor.licenseNumber || 'N/A'})`,
+            debit: statement.totals.debit.toFixed(2),
+            credit: statement.totals.credit.toFixed(2),
+            balance: statement.closingBalance.toFixed(2)
+        });
+        summaryRow.font = { bold: true };
+
+        // Set response headers
+        const filename = `statement_${doctor.id}_${new Date().toISOString().split('T')[0]}.xlsx`;
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        // Write to response
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        console.error('Statement Excel download error:', error);
+        next(error);
+    }
+};
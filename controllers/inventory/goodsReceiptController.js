@@ -0,0 +1,393 @@
+const {
+    GoodsReceipt, GoodsReceiptItem, PurchaseOrder, PurchaseOrderItem, Supplier, Warehouse, Product, ProductBatch, User, sequelize
+} = require('../../models');
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { AuditLogService, EmailService, PdfService, GoodsReceiptService } = require('../../services');
+
+const goodsReceiptIncludes = [
+    { model: PurchaseOrder, as: 'purchaseOrder', attributes: ['id', 'poNumber', 'status'] },
+    { model: Supplier, as: 'supplier', attributes: ['id', 'name', 'code', 'contactPerson', 'phone'] },
+    { model: Warehouse, as: 'warehouse', attributes: ['id', 'code', 'name'] },
+    { model: User, as: 'receiver', attributes: ['id', 'firstName', 'lastName'] },
+    { model: User, as: 'inspector', attributes: ['id', 'firstName', 'lastName'] },
+    { model: User, as: 'canceller', attributes: ['id', 'firstName', 'lastName'] }
+];
+
+const goodsReceiptItemInclude = {
+    model: GoodsReceiptItem,
+    as: 'items',
+    include: [
+        { model: Product, as: 'product', attributes: ['id', 'name', 'sku'] },
+        { model: ProductBatch, as: 'batch', attributes: ['id', 'batchNumber', 'status', 'stockQuantity'] }
+    ]
+};
+
+/**
+ * Load a GRN with its lines, locked for update inside a transaction
+ */
+const findForUpdate = (id, transaction) => GoodsReceipt.findByPk(id, {
+    include: [{ model: GoodsReceiptItem, as: 'items' }],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+});
+
+/**
+ * Load a purchase order with its lines, locked for update inside a transaction
+ */
+const findPurchaseOrderForUpdate = (id, transaction) => PurchaseOrder.findByPk(id, {
+    include: [{ model: PurchaseOrderItem, as: 'items' }],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+});
+
+/**
+ * Get all goods receipt notes
+ */
+exports.getGoodsReceipts = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status, purchaseOrderId, supplierId, warehouseId, hasQuarantine, search } = req.query;
+
+        const where = {};
+        if (status) where.status = status;
+        if (purchaseOrderId) where.purchaseOrderId = purchaseOrderId;
+        if (supplierId) where.supplierId = supplierId;
+        if (warehouseId) where.warehouseId = warehouseId;
+        if (hasQuarantine === 'true') where.quarantinedQuantity = { [Op.gt]: 0 };
+        if (search) {
+            where[Op.or] = [
+                { grnNumber: { [Op.like]: `%${search}%` } },
+                { deliveryNoteNumber: { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        const { count, rows } = await GoodsReceipt.findAndCountAll({
+            where,
+            include: goodsReceiptIncludes,
+            order: [['createdAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                goodsReceipts: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get goods receipt note with its lines
+ */
+exports.getGoodsReceipt = async (req, res, next) => {
+    try {
+        const goodsReceipt = await GoodsReceipt.findByPk(req.params.id, {
+            include: [...goodsReceiptIncludes, goodsReceiptItemInclude]
+        });
+
+        if (!goodsReceipt) {
+            return res.status(404).json({ success: false, message: 'Goods receipt not found' });
+        }
+
+        res.json({ success: true, data: goodsReceipt });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Log a delivery against a purchase order, pending inspection
+ */
+exports.createGoodsReceipt = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const po = await findPurchaseOrderForUpdate(req.body.purchaseOrderId, t);
+        if (!po) {
+            await t.rollback();
+            return res.status(404).json({ success: false, message: 'Purchase order not found' });
+        }
+
+        const result = await GoodsReceiptService.createReceipt(po, req.body, req, t);
+        if (!result.success) {
+            await t.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await t.commit();
+
+        try {
+            await AuditLogService.logCreate(
+                req,
+                'goods_receipts',
+                'GoodsReceipt',
+                result.goodsReceipt.id,
+                result.goodsReceipt.toJSON(),
+                `Logged delivery ${result.goodsReceipt.grnNumber} against PO ${po.poNumber}`
+            );
+        } catch (postCommitError) {
+            console.error('Post-commit error in createGoodsReceipt:', postCommitError);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Delivery logged and awaiting inspection',
+            data: result.goodsReceipt,
+            warnings: result.warnings
+        });
+    } catch (error) {
+        if (t && !t.finished) await t.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Record accepted / rejected / quarantined quantities per line
+ */
+exports.recordInspection = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const goodsReceipt = await findForUpdate(req.params.id, t);
+        if (!goodsReceipt) {
+            await t.rollback();
+            return res.status(404).json({ success: false, message: 'Goods receipt not found' });
+        }
+
+        const result = await GoodsReceiptService.recordInspection(goodsReceipt, req.body.items, req, t);
+        if (!result.success) {
+            await t.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await t.commit();
+
+        const remaining = goodsReceipt.items.filter(i => i.inspectionStatus !== 'inspected').length;
+
+        res.json({
+            success: true,
+            message: remaining
+                ? `Inspection saved; ${remaining} line(s) still to inspect`
+                : 'Inspection saved; GRN is ready to post',
+            data: goodsReceipt
+        });
+    } catch (error) {
+        if (t && !t.finished) await t.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Post an inspected GRN: accepted quantities go into batches and sellable stock
+ */
+exports.completeGoodsReceipt = async (req, res, next) => {
+    const t = await sequelize.transaction();
+    try {
+        const goodsReceipt = await findForUpdate(req.params.id, t);
+        if (!goodsReceipt) {
+            await t.rollback();
+            return res.status(404).json({ success: false, message: 'Goods receipt not found' });
+        }
+
+        const previousStatus = goodsReceipt.status;
+        const result = await GoodsReceiptService.completeInspection(goodsReceipt, req, t);
+        if (!result.success) {
+            await t.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await t.commit();
+
+        // ─── Post-Commit Actions ──────────────────────────────────────────────
+        try {
+            await AuditLogService.logStatusChange(
+                req,
+                'goods_receipts',
+                'GoodsReceipt',
+                goodsReceipt.id,
+                previousStatus,
+                goodsReceipt.status,
+                `Posted ${goodsReceipt.grnNumber}: ${goodsReceipt.acceptedQuantity} accepted, ` +
+                `${goodsReceipt.rejectedQuantity} rejected, ${goodsReceipt.quarantinedQuantity} quarantined`
+            );
+        } catch (postCommitError) {
+            console.error('Post-commit error in completeGoodsReceipt:', postCommitError);
+        }
+
+        const acceptedItems = goodsReceipt.items
+            .filter(i => i.acceptedQuantity > 0)
+            .map(i => ({ productId: i.productId, quantity: i.acceptedQuantity, batchNumber: i.batchNumber }));
+
+        if (acceptedItems.length) {
+            EmailService.sendStockReceiptNotification(result.purchaseOrder, acceptedItems).catch(err =>
+                console.error('Failed to send stock receipt email:', err.message)
+            );
+        }
+
+        res.json({
+            success: true,
+            message: 'Goods receipt posted and accepted stock is now available',
+            data: {
+                goodsReceipt,
+                purchaseOrderStatus: result.purchaseOrder.status
+            }
+        });
+    } catch (error) {
+        if (t && !t.finished) await t.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Release quarantined units on a GRN line into stock, or reject them
+ */
+exports.releaseQuarantine = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const goodsReceipt = await findForUpdate(req.params.id, t);
+        if (!goodsReceipt) {
+            await t.rollback();
+            return res.status(404).json({ success: false, message: 'Goods receipt not found' });
+        }
+
+        const item = goodsReceipt.items.find(i => i.id === parseInt(req.params.itemId));
+        if (!item) {
+            await t.rollback();
+            return res.status(404).json({ success: false, message: 'Goods receipt line not found' });
+        }
+
+        const previous = {
+            acceptedQuantity: item.acceptedQuantity,
+            rejectedQuantity: item.rejectedQuantity,
+            quarantinedQuantity: item.quarantinedQuantity
+        };
+
+        const result = await GoodsReceiptService.releaseQuarantine(goodsReceipt, item, req.body, req, t);
+        if (!result.success) {
+            await t.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await t.commit();
+
+        try {
+            await AuditLogService.logUpdate(
+                req,
+                'goods_receipts',
+                'GoodsReceiptItem',
+                item.id,
+                previous,
+                {
+                    acceptedQuantity: item.acceptedQuantity,
+                    rejectedQuantity: item.rejectedQuantity,
+                    quarantinedQuantity: item.quarantinedQuantity
+                },
+                `Released quarantine on ${goodsReceipt.grnNumber} batch ${item.batchNumber}`
+            );
+        } catch (postCommitError) {
+            console.error('Post-commit error in releaseQuarantine:', postCommitError);
+        }
+
+        res.json({
+            success: true,
+            message: 'Quarantine released',
+            data: item
+        });
+    } catch (error) {
+        if (t && !t.finished) await t.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Cancel a GRN that has not been inspected
+ */
+exports.cancelGoodsReceipt = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const goodsReceipt = await findForUpdate(req.params.id, t);
+        if (!goodsReceipt) {
+            await t.rollback();
+            return res.status(404).json({ success: false, message: 'Goods receipt not found' });
+        }
+
+        const previousStatus = goodsReceipt.status;
+        const result = await GoodsReceiptService.cancelReceipt(goodsReceipt, req.body.reason, req, t);
+        if (!result.success) {
+            await t.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await t.commit();
+
+        try {
+            await AuditLogService.logStatusChange(
+                req,
+                'goods_receipts',
+                'GoodsReceipt',
+                goodsReceipt.id,
+                previousStatus,
+                'cancelled',
+                req.body.reason
+            );
+        } catch (postCommitError) {
+            console.error('Post-commit error in cancelGoodsReceipt:', postCommitError);
+        }
+
+        res.json({ success: true, message: 'Goods receipt cancelled', data: goodsReceipt });
+    } catch (error) {
+        if (t && !t.finished) await t.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Download GRN PDF
+ */
+exports.downloadPdf = async (req, res, next) => {
+    try {
+        const goodsReceipt = await GoodsReceipt.findByPk(req.params.id, {
+            include: [...goodsReceiptIncludes, goodsReceiptItemInclude],
+            order: [[{ model: GoodsReceiptItem, as: 'items' }, 'id', 'ASC']]
+        });
+
+        if (!goodsReceipt) {
+            return res.status(404).json({ success: false, message: 'Goods receipt not found' });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="GRN_${goodsReceipt.grnNumber}.pdf"`);
+
+        await PdfService.generateGoodsReceiptPdf(goodsReceipt, res);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,22 +1,11 @@
-const { PurchaseOrder, PurchaseOrderItem, Supplier, Product, sequelize } = require('../../models');
+const { PurchaseOrder, PurchaseOrderItem, Supplier, SupplierInvoice, GoodsReceipt, Product, sequelize } = require('../../models');
 const { validationResult } = require('express-validator');
-const { AuditLogService, EmailService, PdfService, InventoryService } = require('../../services');
+const {
+    AuditLogService, EmailService, PdfService, PurchaseOrderService, ReplenishmentService,
+    SupplierCatalogueService, GoodsReceiptService
+} = require('../../services');
 const { Op } = require('sequelize');
 
-/**
- * Generate unique PO number
- */
-const generatePONumber = async () => {
-    const prefix = 'PO';
-    const date = new Date();
-    const dateStr = date.getFullYear().toString().slice(-2) +
-        (date.getMonth() + 1).toString().padStart(2, '0') +
-        date.getDate().toString().padStart(2, '0');
-
-    const count = await PurchaseOrder.count();
-    return `${prefix}${dateStr}${(count + 1).toString().padStart(4, '0')}`;
-};
-
 /**
  * Get all purchase orders
  */
@@ -67,6 +56,16 @@ exports.getPurchaseOrder = async (req, res, next) => {
                     model: PurchaseOrderItem,
                     as: 'items',
                     include: [{ model: Product, as: 'product', attributes: ['name', 'sku'] }]
+                },
+                {
+                    model: SupplierInvoice,
+                    as: 'invoices',
+                    attributes: ['id', 'referenceNumber', 'invoiceNumber', 'invoiceDate', 'dueDate', 'totalAmount', 'paidAmount', 'dueAmount', 'status', 'matchStatus']
+                },
+                {
+                    model: GoodsReceipt,
+                    as: 'receipts',
+                    attributes: ['id', 'grnNumber', 'deliveryNoteNumber', 'status', 'receivedQuantity', 'acceptedQuantity', 'rejectedQuantity', 'quarantinedQuantity', 'receivedAt']
                 }
             ]
         });
@@ -92,46 +91,34 @@ exports.createPurchaseOrder = async (req, res, next) => {
             return res.status(400).json({ success: false, errors: errors.array() });
         }
 
-        const { supplierId, items, expectedDate, notes } = req.body;
-
-        const poNumber = await generatePONumber();
+        const { supplierId, expectedDate, notes } = req.body;
+        let { items } = req.body;
+
+        // Lines left without a price take the supplier's catalogue cost
+        const unpriced = items.filter(item => item.unitPrice === undefined || item.unitPrice === null || item.unitPrice === '');
+        if (unpriced.length) {
+            const prefilled = await SupplierCatalogueService.prefillLines(supplierId, unpriced);
+            const missing = prefilled.filter(line => line.unitPrice === null);
+            if (missing.length) {
+                await t.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: 'Unit price is required for products not in this supplier\'s catalogue',
+                    data: { productIds: missing.map(line => line.productId) }
+                });
+            }
 
-        // Calculate total amount
-        let totalAmount = 0;
-        for (const item of items) {
-            const itemTotal = item.quantity * item.unitPrice;
-            const taxAmount = itemTotal * (item.taxPercentage / 100 || 0);
-            totalAmount += itemTotal + taxAmount;
+            items = items.map(item => {
+                const line = prefilled.find(p => p.productId === parseInt(item.productId));
+                return line ? { ...item, unitPrice: line.unitPrice } : item;
+            });
         }
 
-        const po = await PurchaseOrder.create({
-            poNumber,
-            supplierId,
-            expectedDate,
-            notes,
-            totalAmount,
-            status: 'draft',
-            createdBy: req.user.id
-        }, { transaction: t });
-
-        for (const item of items) {
-            const itemTotal = item.quantity * item.unitPrice;
-            const taxAmount = itemTotal * (item.taxPercentage / 100 || 0);
-
-            await PurchaseOrderItem.create({
-                purchaseOrderId: po.id,
-                productId: item.productId,
-                quantity: item.quantity,
-                unitPrice: item.unitPrice,
-                taxPercentage: item.taxPercentage || 0,
-                taxAmount,
-                total: itemTotal + taxAmount
-            }, { transaction: t });
-        }
+        const po = await PurchaseOrderService.createPurchaseOrder({ supplierId, items, expectedDate, notes }, req, t);
 
         await t.commit();
 
-        await AuditLogService.logCreate(req, 'inventory', 'PurchaseOrder', po.id, { poNumber, totalAmount });
+        await AuditLogService.logCreate(req, 'inventory', 'PurchaseOrder', po.id, { poNumber: po.poNumber, totalAmount: po.totalAmount });
 
         res.status(201).json({
             success: true,
@@ -144,6 +131,105 @@ exports.createPurchaseOrder = async (req, res, next) => {
     }
 };
 
+/**
+ * Prefill purchase order lines from the supplier's catalogue
+ * POST /purchase-orders/prefill
+ */
+exports.prefillItems = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { supplierId, items } = req.body;
+
+        const supplier = await Supplier.findOne({ where: { id: supplierId, isDeleted: false } });
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: 'Supplier not found' });
+        }
+
+        const lines = await SupplierCatalogueService.prefillLines(supplier.id, items);
+
+        res.json({
+            success: true,
+            data: {
+                supplier,
+                items: lines
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Reorder suggestions grouped by supplier
+ * GET /purchase-orders/replenishment/suggestions
+ */
+exports.getReplenishmentSuggestions = async (req, res, next) => {
+    try {
+        const { supplierId, categoryId } = req.query;
+
+        const result = await ReplenishmentService.getSuggestions({ supplierId, categoryId });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create draft purchase orders from reorder suggestions, one per supplier
+ * POST /purchase-orders/replenishment/generate
+ */
+exports.generateReplenishmentOrders = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { supplierIds, items } = req.body;
+
+        const { purchaseOrders, skipped } = await ReplenishmentService.generateDraftPurchaseOrders(
+            { supplierIds, items }, req
+        );
+
+        if (!purchaseOrders.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nothing to reorder for the selected suppliers',
+                data: { skipped }
+            });
+        }
+
+        await AuditLogService.log({
+            userId: req.user.id,
+            userName: req.user.userName,
+            action: 'CREATE',
+            module: 'inventory',
+            entityType: 'PurchaseOrder',
+            description: `Generated ${purchaseOrders.length} draft purchase order(s) from reorder suggestions`,
+            newData: purchaseOrders.map(po => ({ id: po.id, poNumber: po.poNumber, supplierId: po.supplierId, totalAmount: po.totalAmount })),
+            metadata: { skipped },
+            ipAddress: AuditLogService.getIpAddress(req),
+            userAgent: req.get('User-Agent')
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${purchaseOrders.length} draft purchase order(s) created for review`,
+            data: { purchaseOrders, skipped }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Update purchase order status
  */
@@ -279,17 +365,22 @@ exports.downloadPdf = async (req, res, next) => {
     }
 };
 /**
- * Receive items for a purchase order
+ * Receive items for a purchase order as a goods receipt note pending inspection
  * POST /purchase-orders/:id/receive
  */
 exports.receiveItems = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
     const t = await sequelize.transaction();
     try {
-        const { items } = req.body; // Array of { productId, quantity, batchNumber, expiryDate }
         const { id } = req.params;
 
         const po = await PurchaseOrder.findByPk(id, {
             include: [{ model: PurchaseOrderItem, as: 'items' }],
+            lock: t.LOCK.UPDATE,
             transaction: t
         });
 
@@ -298,92 +389,37 @@ exports.receiveItems = async (req, res, next) => {
             return res.status(404).json({ success: false, message: 'Purchase order not found' });
         }
 
-        if (po.status === 'cancelled' || po.status === 'received') {
+        // Deliveries are logged as a GRN awaiting inspection; stock moves once it is inspected
+        const result = await GoodsReceiptService.createReceipt(po, req.body, req, t);
+
+        if (!result.success) {
             await t.rollback();
-            return res.status(400).json({ success: false, message: `Cannot receive items for a ${po.status} order` });
+            return res.status(400).json({ success: false, message: result.message });
         }
 
-        let allReceived = true;
-        let someReceived = false;
-
-        for (const receiveItem of items) {
-            const poItem = po.items.find(i => i.productId === receiveItem.productId);
-            if (!poItem) continue;
-
-            const receiveQty = parseInt(receiveItem.quantity);
-            if (isNaN(receiveQty) || receiveQty <= 0) continue;
-
-            // Update PO Item received quantity
-            poItem.receivedQuantity = (poItem.receivedQuantity || 0) + receiveQty;
-            await poItem.save({ transaction: t });
+        await t.commit();
 
-            // Increase inventory
-            await InventoryService.increaseStock(
-                poItem.productId,
-                receiveQty,
-                'purchase',
-                'purchase_order',
-                po.id,
-                po.poNumber,
-                {
-                    batchNumber: receiveItem.batchNumber,
-                    expiryDate: receiveItem.expiryDate,
-                    costPrice: poItem.unitPrice,
-                    reason: `Received from PO ${po.poNumber}`,
-                    req
-                },
-                t
+        try {
+            await AuditLogService.logCreate(
+                req,
+                'inventory',
+                'GoodsReceipt',
+                result.goodsReceipt.id,
+                result.goodsReceipt.toJSON(),
+                `Logged delivery ${result.goodsReceipt.grnNumber} against PO ${po.poNumber}`
             );
-
-            someReceived = true;
+        } catch (postCommitError) {
+            console.error('Post-commit error in receiveItems:', postCommitError);
         }
 
-        // Check if PO is full or partially received
-        for (const item of po.items) {
-            if (item.receivedQuantity < item.quantity) {
-                allReceived = false;
-            } else {
-                someReceived = true;
-            }
-        }
-
-        const previousStatus = po.status;
-        if (allReceived) {
-            po.status = 'received';
-        } else if (someReceived) {
-            po.status = 'partially_received';
-        }
-
-        await po.save({ transaction: t });
-
-        await AuditLogService.logUpdate(
-            req,
-            'inventory',
-            'PurchaseOrder',
-            po.id,
-            { status: previousStatus },
-            { status: po.status },
-            `Received items for PO ${po.poNumber}`
-        );
-
-        await t.commit();
-
-        // ─── Post-Commit Actions ──────────────────────────────────────────────
-        // Send email notification for stock arrival (non-blocking)
-        EmailService.sendStockReceiptNotification(po, items).catch(err =>
-            console.error('Failed to send stock receipt email:', err.message)
-        );
-
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Items received and inventory updated successfully',
-            data: {
-                status: po.status,
-                items: po.items
-            }
+            message: 'Delivery logged and awaiting inspection',
+            data: result.goodsReceipt,
+            warnings: result.warnings
         });
     } catch (error) {
-        await t.rollback();
+        if (t && !t.finished) await t.rollback();
         next(error);
     }
 };
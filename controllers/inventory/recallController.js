@@ -0,0 +1,434 @@
+const {
+    BatchRecall, BatchRecallRecipient, ProductBatch, Product, Order, User, Doctor, sequelize
+} = require('../../models');
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { AuditLogService, RecallService } = require('../../services');
+
+const recallIncludes = [
+    { model: Product, as: 'product', attributes: ['id', 'name', 'sku'] },
+    { model: ProductBatch, as: 'batch', attributes: ['id', 'batchNumber', 'expiryDate', 'status', 'stockQuantity', 'supplierId'] }
+];
+
+/**
+ * Resolve the doctor profile of the current user (doctor account or linked user)
+ */
+const findCurrentDoctor = (req) => Doctor.findOne(
+    req.user.isDoctorAccount
+        ? { where: { id: req.user.id } }
+        : { where: { userId: req.user.id } }
+);
+
+/**
+ * Recipient rows belonging to the current user
+ */
+const currentRecipientWhere = async (req) => {
+    const doctor = await findCurrentDoctor(req);
+    if (doctor) return { doctorId: doctor.id };
+    return { userId: req.user.id };
+};
+
+/**
+ * Get all recalls (Admin)
+ */
+exports.getRecalls = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status, productId, search } = req.query;
+
+        const where = {};
+        if (status) where.status = status;
+        if (productId) where.productId = productId;
+        if (search) {
+            where[Op.or] = [
+                { recallNumber: { [Op.like]: `%${search}%` } },
+                { batchNumber: { [Op.like]: `%${search}%` } },
+                { manufacturerReference: { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        const { count, rows } = await BatchRecall.findAndCountAll({
+            where,
+            include: recallIncludes,
+            order: [['createdAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                recalls: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get single recall with every affected order and doctor (Admin)
+ */
+exports.getRecall = async (req, res, next) => {
+    try {
+        const recall = await BatchRecall.findByPk(req.params.id, {
+            include: [
+                ...recallIncludes,
+                {
+                    model: BatchRecallRecipient,
+                    as: 'recipients',
+                    include: [
+                        { model: Order, as: 'order', attributes: ['id', 'orderNumber', 'status', 'createdAt', 'deliveredAt'] },
+                        { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'phone'] },
+                        {
+                            model: Doctor,
+                            as: 'doctor',
+                            attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'licenseNumber', 'hospitalClinic'],
+                            include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'phone'] }]
+                        }
+                    ]
+                }
+            ]
+        });
+
+        if (!recall) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recall not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                recall,
+                summary: RecallService.summarize(recall.recipients)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Raise a recall for a batch (Admin)
+ */
+exports.createRecall = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { productBatchId, severity, reason, instructions, manufacturerReference, notify } = req.body;
+
+        const result = await RecallService.initiateRecall({
+            productBatchId, severity, reason, instructions, manufacturerReference
+        }, req, transaction);
+
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        await transaction.commit();
+
+        const recall = await BatchRecall.findByPk(result.recall.id, { include: recallIncludes });
+        let notification = null;
+
+        try {
+            if (notify !== false) {
+                notification = await RecallService.notifyRecipients(recall);
+            }
+
+            await AuditLogService.log({
+                userId: req.user.id,
+                userName: req.user.userName,
+                action: 'CREATE',
+                module: 'recalls',
+                entityType: 'BatchRecall',
+                entityId: recall.id,
+                description: `Recall ${recall.recallNumber} raised for batch ${recall.batchNumber} (${result.recipientCount} recipient orders)`,
+                newData: {
+                    recallNumber: recall.recallNumber,
+                    productBatchId: recall.productBatchId,
+                    severity: recall.severity,
+                    quarantinedQuantity: recall.quarantinedQuantity
+                },
+                metadata: { reallocatedOrders: result.reallocatedOrders },
+                ipAddress: AuditLogService.getIpAddress(req),
+                userAgent: req.get('User-Agent'),
+                riskLevel: 'HIGH'
+            });
+        } catch (postCommitError) {
+            console.error('Post-commit error in recall creation:', postCommitError);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Recall ${recall.recallNumber} raised, ${result.recipientCount} order(s) affected`,
+            data: {
+                recall,
+                recipientCount: result.recipientCount,
+                reallocatedOrders: result.reallocatedOrders,
+                notification
+            }
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Re-send the recall notice to recipients who have not acknowledged (Admin)
+ */
+exports.notifyRecipients = async (req, res, next) => {
+    try {
+        const recall = await BatchRecall.findByPk(req.params.id, { include: recallIncludes });
+
+        if (!recall) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recall not found'
+            });
+        }
+
+        if (recall.status === 'closed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Recall is closed'
+            });
+        }
+
+        const result = await RecallService.notifyRecipients(recall, {
+            recipientIds: req.body.recipientIds || null
+        });
+
+        res.json({
+            success: true,
+            message: `Recall notice sent to ${result.sent} recipient(s)`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update acknowledgement / return status of a recipient (Admin)
+ */
+exports.updateRecipient = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { acknowledged, quantityOnHand, returnStatus, returnedQuantity, notes } = req.body;
+
+        const recipient = await BatchRecallRecipient.findOne({
+            where: { id: req.params.recipientId, recallId: req.params.id },
+            include: [{ model: BatchRecall, as: 'recall' }],
+            lock: true,
+            transaction
+        });
+
+        if (!recipient) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Recipient not found'
+            });
+        }
+
+        const previousData = {
+            acknowledgedAt: recipient.acknowledgedAt,
+            returnStatus: recipient.returnStatus,
+            returnedQuantity: recipient.returnedQuantity
+        };
+
+        if (acknowledged && !recipient.acknowledgedAt) {
+            recipient.acknowledgedAt = new Date();
+            recipient.acknowledgedByName = req.user.userName;
+        }
+        if (quantityOnHand !== undefined) recipient.quantityOnHand = quantityOnHand;
+
+        const result = await RecallService.recordReturn(recipient, recipient.recall, {
+            returnStatus, returnedQuantity, notes
+        }, req, transaction);
+
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        await transaction.commit();
+
+        await AuditLogService.logUpdate(req, 'recalls', 'BatchRecallRecipient', recipient.id, previousData, {
+            acknowledgedAt: recipient.acknowledgedAt,
+            returnStatus: recipient.returnStatus,
+            returnedQuantity: recipient.returnedQuantity
+        }, `Updated recall ${recipient.recall.recallNumber} recipient for order ${recipient.orderId}`);
+
+        res.json({
+            success: true,
+            message: 'Recipient updated',
+            data: recipient
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Close a recall (Admin)
+ */
+exports.closeRecall = async (req, res, next) => {
+    try {
+        const recall = await BatchRecall.findByPk(req.params.id, {
+            include: [{ model: BatchRecallRecipient, as: 'recipients' }]
+        });
+
+        if (!recall) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recall not found'
+            });
+        }
+
+        if (recall.status === 'closed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Recall is already closed'
+            });
+        }
+
+        recall.status = 'closed';
+        recall.closedAt = new Date();
+        recall.closedBy = req.user.id;
+        recall.closeNotes = req.body.notes;
+        await recall.save();
+
+        const summary = RecallService.summarize(recall.recipients);
+
+        await AuditLogService.logStatusChange(
+            req, 'recalls', 'BatchRecall', recall.id, 'open', 'closed',
+            req.body.notes || `${summary.outstanding} recipient(s) outstanding at close`
+        );
+
+        res.json({
+            success: true,
+            message: `Recall ${recall.recallNumber} closed`,
+            data: { recall, summary }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get recalls affecting the current customer's orders
+ */
+exports.getMyRecalls = async (req, res, next) => {
+    try {
+        const recipients = await BatchRecallRecipient.findAll({
+            where: await currentRecipientWhere(req),
+            include: [
+                {
+                    model: BatchRecall,
+                    as: 'recall',
+                    attributes: ['id', 'recallNumber', 'batchNumber', 'expiryDate', 'severity', 'reason', 'instructions', 'status', 'createdAt'],
+                    include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'sku'] }]
+                },
+                { model: Order, as: 'order', attributes: ['id', 'orderNumber'] }
+            ],
+            order: [['createdAt', 'DESC']]
+        });
+
+        res.json({
+            success: true,
+            data: recipients
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Acknowledge a recall notice (Customer)
+ */
+exports.acknowledgeRecall = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const { quantityOnHand, notes } = req.body;
+
+        const recipient = await BatchRecallRecipient.findOne({
+            where: { id: req.params.recipientId, ...await currentRecipientWhere(req) },
+            include: [{ model: BatchRecall, as: 'recall', attributes: ['id', 'recallNumber'] }]
+        });
+
+        if (!recipient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recall notice not found'
+            });
+        }
+
+        if (recipient.acknowledgedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Recall notice already acknowledged'
+            });
+        }
+
+        recipient.acknowledgedAt = new Date();
+        recipient.acknowledgedByName = req.user.userName || `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim();
+        if (quantityOnHand !== undefined) {
+            recipient.quantityOnHand = quantityOnHand;
+            // Nothing left to send back
+            if (parseInt(quantityOnHand) === 0 && recipient.returnStatus === 'pending') {
+                recipient.returnStatus = 'not_applicable';
+            }
+        }
+        if (notes) recipient.notes = (recipient.notes ? recipient.notes + '\n' : '') + notes;
+        await recipient.save();
+
+        await AuditLogService.logUpdate(req, 'recalls', 'BatchRecallRecipient', recipient.id, null, {
+            acknowledgedAt: recipient.acknowledgedAt,
+            quantityOnHand: recipient.quantityOnHand
+        }, `Recall ${recipient.recall.recallNumber} acknowledged`);
+
+        res.json({
+            success: true,
+            message: 'Recall notice acknowledged',
+            data: recipient
+        });
+    } catch (error) {
+        next(error);
+    }
+};
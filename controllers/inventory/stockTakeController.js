@@ -0,0 +1,504 @@
+const {
+    StockTake, StockTakeItem, Product, Warehouse, Category, User, sequelize
+} = require('../../models');
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { AuditLogService, StockTakeService } = require('../../services');
+const { readSpreadsheet } = require('../../config/spreadsheet');
+
+const stockTakeIncludes = [
+    { model: Warehouse, as: 'warehouse', attributes: ['id', 'code', 'name'] },
+    { model: Category, as: 'category', attributes: ['id', 'name'] },
+    { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] },
+    { model: User, as: 'approver', attributes: ['id', 'firstName', 'lastName'] }
+];
+
+/**
+ * Load a stock take by ID, locked when a transaction is given
+ */
+const findStockTake = (id, transaction = null) => StockTake.findByPk(id, transaction ? { lock: true, transaction } : {});
+
+/**
+ * Get all stock takes
+ */
+exports.getStockTakes = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status, warehouseId, search } = req.query;
+
+        const where = {};
+        if (status) where.status = status;
+        if (warehouseId) where.warehouseId = warehouseId;
+        if (search) {
+            where[Op.or] = [
+                { sessionNumber: { [Op.like]: `%${search}%` } },
+                { name: { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        const { count, rows } = await StockTake.findAndCountAll({
+            where,
+            include: stockTakeIncludes,
+            order: [['createdAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                stockTakes: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get stock take with its lines and variance summary
+ */
+exports.getStockTake = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 100, filter, search } = req.query;
+
+        const stockTake = await StockTake.findByPk(req.params.id, { include: stockTakeIncludes });
+        if (!stockTake) {
+            return res.status(404).json({ success: false, message: 'Stock take not found' });
+        }
+
+        const where = { stockTakeId: stockTake.id };
+        if (filter === 'uncounted') where.countedQuantity = null;
+        if (filter === 'counted') where.countedQuantity = { [Op.ne]: null };
+        if (filter === 'variance') where.varianceQuantity = { [Op.ne]: 0 };
+        if (search) {
+            where[Op.or] = [
+                { sku: { [Op.like]: `%${search}%` } },
+                { batchNumber: { [Op.like]: `%${search}%` } },
+                { '$product.name$': { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        const { count, rows } = await StockTakeItem.findAndCountAll({
+            where,
+            include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'sku'] }],
+            order: [[{ model: Product, as: 'product' }, 'name', 'ASC'], ['expiryDate', 'ASC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                stockTake,
+                summary: await StockTakeService.getVarianceSummary(stockTake.id),
+                items: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start a stock take and freeze the expected quantities
+ */
+exports.createStockTake = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const { name, warehouseId, categoryId, productIds, notes } = req.body;
+
+        const result = await StockTakeService.startSession({
+            name, warehouseId, categoryId, productIds, notes
+        }, req);
+
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await AuditLogService.logCreate(req, 'stock_takes', 'StockTake', result.stockTake.id, {
+            sessionNumber: result.stockTake.sessionNumber,
+            warehouseId,
+            categoryId,
+            lineCount: result.stockTake.lineCount
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Stock take started with ${result.stockTake.lineCount} line(s)`,
+            data: result.stockTake
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Record counted quantities
+ */
+exports.recordCounts = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const stockTake = await findStockTake(req.params.id, transaction);
+        if (!stockTake) {
+            await transaction.rollback();
+            return res.status(404).json({ success: false, message: 'Stock take not found' });
+        }
+
+        const result = await StockTakeService.recordCounts(stockTake, req.body.counts, req, transaction);
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await transaction.commit();
+
+        res.json({
+            success: true,
+            message: `${result.updated} count(s) recorded`,
+            data: stockTake
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Record counts from an uploaded XLSX/CSV count sheet
+ */
+exports.uploadCounts = async (req, res, next) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const stockTake = await findStockTake(req.params.id, transaction);
+        if (!stockTake) {
+            await transaction.rollback();
+            return res.status(404).json({ success: false, message: 'Stock take not found' });
+        }
+
+        let rows;
+        try {
+            rows = await readSpreadsheet(req.file);
+        } catch (parseError) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, message: 'Could not read the spreadsheet' });
+        }
+
+        const result = await StockTakeService.importCounts(stockTake, rows, req, transaction);
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await transaction.commit();
+
+        try {
+            await AuditLogService.log({
+                userId: req.user.id,
+                userName: req.user.userName,
+                action: 'IMPORT',
+                module: 'stock_takes',
+                entityType: 'StockTake',
+                entityId: stockTake.id,
+                description: `Imported ${result.updated} count(s) into ${stockTake.sessionNumber} from ${req.file.originalname}`,
+                metadata: { fileName: req.file.originalname, rows: rows.length, errors: result.errors.length },
+                ipAddress: AuditLogService.getIpAddress(req),
+                userAgent: req.get('User-Agent')
+            });
+        } catch (postCommitError) {
+            console.error('Post-commit error in stock take upload:', postCommitError);
+        }
+
+        res.json({
+            success: true,
+            message: `${result.updated} count(s) imported` +
+                (result.errors.length ? `, ${result.errors.length} row(s) skipped` : ''),
+            data: {
+                stockTake,
+                updated: result.updated,
+                errors: result.errors
+            }
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Download the count sheet (blind: expected quantities are left out)
+ */
+exports.downloadCountSheet = async (req, res, next) => {
+    try {
+        const ExcelJS = require('exceljs');
+
+        const stockTake = await StockTake.findByPk(req.params.id, {
+            include: [{ model: Warehouse, as: 'warehouse', attributes: ['code', 'name'] }]
+        });
+        if (!stockTake) {
+            return res.status(404).json({ success: false, message: 'Stock take not found' });
+        }
+
+        const items = await StockTakeItem.findAll({
+            where: { stockTakeId: stockTake.id },
+            include: [{ model: Product, as: 'product', attributes: ['name'] }],
+            order: [[{ model: Product, as: 'product' }, 'name', 'ASC'], ['expiryDate', 'ASC']]
+        });
+
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Count Sheet');
+
+        worksheet.columns = [
+            { header: 'Line ID', key: 'lineId', width: 10 },
+            { header: 'SKU', key: 'sku', width: 18 },
+            { header: 'Product', key: 'product', width: 40 },
+            { header: 'Batch Number', key: 'batchNumber', width: 18 },
+            { header: 'Expiry Date', key: 'expiryDate', width: 14 },
+            { header: 'Counted Quantity', key: 'countedQuantity', width: 18 },
+            { header: 'Notes', key: 'notes', width: 30 }
+        ];
+
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+
+        items.forEach(item => {
+            worksheet.addRow({
+                lineId: item.id,
+                sku: item.sku,
+                product: item.product?.name,
+                batchNumber: item.batchNumber,
+                expiryDate: item.expiryDate,
+                countedQuantity: item.countedQuantity,
+                notes: item.notes
+            });
+        });
+
+        const filename = `count_sheet_${stockTake.sessionNumber}.xlsx`;
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Download variances with their cost impact
+ */
+exports.downloadVarianceReport = async (req, res, next) => {
+    try {
+        const ExcelJS = require('exceljs');
+
+        const stockTake = await StockTake.findByPk(req.params.id);
+        if (!stockTake) {
+            return res.status(404).json({ success: false, message: 'Stock take not found' });
+        }
+
+        const items = await StockTakeItem.findAll({
+            where: { stockTakeId: stockTake.id, varianceQuantity: { [Op.ne]: 0 } },
+            include: [{ model: Product, as: 'product', attributes: ['name'] }],
+            order: [['varianceValue', 'ASC']]
+        });
+
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Variances');
+
+        worksheet.columns = [
+            { header: 'SKU', key: 'sku', width: 18 },
+            { header: 'Product', key: 'product', width: 40 },
+            { header: 'Batch Number', key: 'batchNumber', width: 18 },
+            { header: 'Expected', key: 'expected', width: 12 },
+            { header: 'Counted', key: 'counted', width: 12 },
+            { header: 'Variance', key: 'variance', width: 12 },
+            { header: 'Unit Cost', key: 'unitCost', width: 14 },
+            { header: 'Variance Value', key: 'varianceValue', width: 16 },
+            { header: 'Notes', key: 'notes', width: 30 }
+        ];
+
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+
+        let totalVariance = 0;
+        let totalValue = 0;
+
+        items.forEach(item => {
+            totalVariance += item.varianceQuantity;
+            totalValue += parseFloat(item.varianceValue || 0);
+
+            worksheet.addRow({
+                sku: item.sku,
+                product: item.product?.name,
+                batchNumber: item.batchNumber,
+                expected: item.expectedQuantity,
+                counted: item.countedQuantity,
+                variance: item.varianceQuantity,
+                unitCost: parseFloat(item.unitCost),
+                varianceValue: parseFloat(item.varianceValue),
+                notes: item.notes
+            });
+        });
+
+        const totalRow = worksheet.addRow({
+            sku: 'TOTAL',
+            variance: totalVariance,
+            varianceValue: parseFloat(totalValue.toFixed(2))
+        });
+        totalRow.font = { bold: true };
+
+        ['unitCost', 'varianceValue'].forEach(key => {
+            worksheet.getColumn(key).numFmt = '#,##0.00';
+        });
+
+        const filename = `stock_take_variances_${stockTake.sessionNumber}.xlsx`;
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Submit a finished count for approval
+ */
+exports.submitStockTake = async (req, res, next) => {
+    try {
+        const stockTake = await findStockTake(req.params.id);
+        if (!stockTake) {
+            return res.status(404).json({ success: false, message: 'Stock take not found' });
+        }
+
+        const result = await StockTakeService.submit(stockTake, req);
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await AuditLogService.logStatusChange(req, 'stock_takes', 'StockTake', stockTake.id, 'counting', 'submitted');
+
+        res.json({
+            success: true,
+            message: 'Stock take submitted for approval',
+            data: stockTake
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Approve a stock take and post its adjustments (Manager)
+ */
+exports.approveStockTake = async (req, res, next) => {
+    try {
+        const summary = await StockTakeService.getVarianceSummary(req.params.id);
+
+        const result = await StockTakeService.approve(req.params.id, req);
+        if (!result.success) {
+            return res.status(result.message === 'Stock take not found' ? 404 : 400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        const { stockTake } = result;
+
+        await AuditLogService.log({
+            userId: req.user.id,
+            userName: req.user.userName,
+            action: 'STATUS_CHANGE',
+            module: 'stock_takes',
+            entityType: 'StockTake',
+            entityId: stockTake.id,
+            description: `Stock take ${stockTake.sessionNumber} approved: ${result.movementCount} adjustment(s) across ${result.productCount} product(s)`,
+            newData: { status: 'approved' },
+            metadata: { ...summary, varianceValue: stockTake.varianceValue },
+            riskLevel: summary.linesWithVariance ? 'MEDIUM' : 'LOW',
+            ipAddress: AuditLogService.getIpAddress(req),
+            userAgent: req.get('User-Agent')
+        });
+
+        res.json({
+            success: true,
+            message: `Stock take approved; ${result.movementCount} adjustment(s) posted`,
+            data: {
+                stockTake,
+                summary
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Discard an abandoned stock take
+ */
+exports.discardStockTake = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const stockTake = await findStockTake(req.params.id);
+        if (!stockTake) {
+            return res.status(404).json({ success: false, message: 'Stock take not found' });
+        }
+
+        const previousStatus = stockTake.status;
+        const result = await StockTakeService.discard(stockTake, req.body.reason, req);
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await AuditLogService.logStatusChange(
+            req, 'stock_takes', 'StockTake', stockTake.id, previousStatus, 'discarded', req.body.reason
+        );
+
+        res.json({
+            success: true,
+            message: 'Stock take discarded',
+            data: stockTake
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,8 +1,19 @@
-const { Supplier, ProductBatch, sequelize } = require('../../models');
+const { Supplier, SupplierProduct, Product, ProductBatch, sequelize } = require('../../models');
 const { validationResult } = require('express-validator');
-const { AuditLogService } = require('../../services');
+const { AuditLogService, SupplierCatalogueService } = require('../../services');
+const { readSpreadsheet } = require('../../config/spreadsheet');
 const { Op } = require('sequelize');
 
+const CATALOGUE_FIELDS = ['supplierSku', 'costPrice', 'packSize', 'minOrderQuantity', 'leadTimeDays', 'isPreferred', 'isActive', 'notes'];
+
+/**
+ * Find a supplier that has not been deleted
+ */
+const findSupplier = (id, transaction = null) => Supplier.findOne({
+    where: { id, isDeleted: false },
+    transaction
+});
+
 /**
  * Get all suppliers
  */
@@ -146,3 +157,425 @@ exports.deleteSupplier = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * Get a supplier's catalogue
+ * GET /suppliers/:id/catalogue
+ */
+exports.getCatalogue = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 50, search, preferred, includeInactive } = req.query;
+
+        const supplier = await findSupplier(req.params.id);
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: 'Supplier not found' });
+        }
+
+        const where = { supplierId: supplier.id };
+        if (includeInactive !== 'true') where.isActive = true;
+        if (preferred !== undefined) where.isPreferred = preferred === 'true';
+
+        if (search) {
+            where[Op.or] = [
+                { supplierSku: { [Op.like]: `%${search}%` } },
+                { '$product.name$': { [Op.like]: `%${search}%` } },
+                { '$product.sku$': { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        const { count, rows } = await SupplierProduct.findAndCountAll({
+            where,
+            include: [{
+                model: Product,
+                as: 'product',
+                attributes: ['id', 'name', 'sku', 'barcode', 'costPrice', 'stockQuantity']
+            }],
+            order: [[{ model: Product, as: 'product' }, 'name', 'ASC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit),
+            subQuery: false
+        });
+
+        res.json({
+            success: true,
+            data: {
+                supplier,
+                items: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Suppliers offering a product, preferred first then cheapest
+ * GET /suppliers/products/:productId
+ */
+exports.getProductSuppliers = async (req, res, next) => {
+    try {
+        const product = await Product.findByPk(req.params.productId, {
+            attributes: ['id', 'name', 'sku', 'costPrice']
+        });
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const entries = await SupplierProduct.findAll({
+            where: { productId: product.id, isActive: true },
+            include: [{
+                model: Supplier,
+                as: 'supplier',
+                where: { isDeleted: false },
+                attributes: ['id', 'name', 'code', 'status']
+            }],
+            order: [['isPreferred', 'DESC'], ['costPrice', 'ASC']]
+        });
+
+        res.json({
+            success: true,
+            data: {
+                product,
+                suppliers: entries
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Add a product to a supplier's catalogue, or update it if already listed
+ * POST /suppliers/:id/catalogue
+ */
+exports.saveCatalogueItem = async (req, res, next) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const supplier = await findSupplier(req.params.id, transaction);
+        if (!supplier) {
+            await transaction.rollback();
+            return res.status(404).json({ success: false, message: 'Supplier not found' });
+        }
+
+        const product = await Product.findOne({
+            where: { id: req.body.productId, isDeleted: false },
+            attributes: ['id', 'name', 'sku'],
+            transaction
+        });
+        if (!product) {
+            await transaction.rollback();
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const previous = await SupplierProduct.findOne({
+            where: { supplierId: supplier.id, productId: product.id },
+            transaction
+        });
+        const previousData = previous?.toJSON();
+
+        const data = {};
+        CATALOGUE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const { entry, created } = await SupplierCatalogueService.saveEntry(
+            supplier.id, product.id, data, { source: 'manual', req }, transaction
+        );
+
+        await transaction.commit();
+
+        try {
+            if (created) {
+                await AuditLogService.logCreate(req, 'inventory', 'SupplierProduct', entry.id, entry.toJSON(),
+                    `Added ${product.sku} to ${supplier.name} catalogue`);
+            } else {
+                await AuditLogService.logUpdate(req, 'inventory', 'SupplierProduct', entry.id, previousData, entry.toJSON(),
+                    `Updated ${product.sku} in ${supplier.name} catalogue`);
+            }
+        } catch (postCommitError) {
+            console.error('Post-commit error in supplier catalogue save:', postCommitError);
+        }
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created ? 'Product added to supplier catalogue' : 'Supplier catalogue updated',
+            data: entry
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Update a catalogue entry
+ * PUT /suppliers/:id/catalogue/:itemId
+ */
+exports.updateCatalogueItem = async (req, res, next) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const entry = await SupplierProduct.findOne({
+            where: { id: req.params.itemId, supplierId: req.params.id },
+            transaction
+        });
+        if (!entry) {
+            await transaction.rollback();
+            return res.status(404).json({ success: false, message: 'Catalogue item not found' });
+        }
+
+        const previousData = entry.toJSON();
+
+        const data = {};
+        CATALOGUE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const { entry: updated } = await SupplierCatalogueService.saveEntry(
+            entry.supplierId, entry.productId, data, { source: 'manual', req }, transaction
+        );
+
+        await transaction.commit();
+
+        try {
+            await AuditLogService.logUpdate(req, 'inventory', 'SupplierProduct', updated.id, previousData, updated.toJSON());
+        } catch (postCommitError) {
+            console.error('Post-commit error in supplier catalogue update:', postCommitError);
+        }
+
+        res.json({
+            success: true,
+            message: 'Supplier catalogue updated',
+            data: updated
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Remove a product from a supplier's catalogue (kept inactive so its price history survives)
+ * DELETE /suppliers/:id/catalogue/:itemId
+ */
+exports.removeCatalogueItem = async (req, res, next) => {
+    try {
+        const entry = await SupplierProduct.findOne({
+            where: { id: req.params.itemId, supplierId: req.params.id }
+        });
+        if (!entry) {
+            return res.status(404).json({ success: false, message: 'Catalogue item not found' });
+        }
+
+        const previousData = entry.toJSON();
+        await entry.update({ isActive: false, isPreferred: false, updatedBy: req.user.id });
+
+        await AuditLogService.logDelete(req, 'inventory', 'SupplierProduct', entry.id, previousData);
+
+        res.json({
+            success: true,
+            message: 'Product removed from supplier catalogue'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Import a supplier price list from Excel/CSV
+ * POST /suppliers/:id/catalogue/import
+ */
+exports.importCatalogue = async (req, res, next) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const supplier = await findSupplier(req.params.id, transaction);
+        if (!supplier) {
+            await transaction.rollback();
+            return res.status(404).json({ success: false, message: 'Supplier not found' });
+        }
+
+        let rows;
+        try {
+            rows = await readSpreadsheet(req.file);
+        } catch (parseError) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, message: 'Could not read the spreadsheet' });
+        }
+
+        if (!rows.length) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, message: 'The spreadsheet has no rows' });
+        }
+
+        const result = await SupplierCatalogueService.importEntries(supplier, rows, req, transaction);
+
+        await transaction.commit();
+
+        try {
+            await AuditLogService.log({
+                userId: req.user.id,
+                userName: req.user.userName,
+                action: 'IMPORT',
+                module: 'inventory',
+                entityType: 'Supplier',
+                entityId: supplier.id,
+                description: `Imported ${supplier.name} price list from ${req.file.originalname}: ` +
+                    `${result.created} added, ${result.updated} updated, ${result.priceChanges} price change(s)`,
+                metadata: {
+                    fileName: req.file.originalname,
+                    rows: rows.length,
+                    created: result.created,
+                    updated: result.updated,
+                    priceChanges: result.priceChanges,
+                    errors: result.errors.length
+                },
+                ipAddress: AuditLogService.getIpAddress(req),
+                userAgent: req.get('User-Agent')
+            });
+        } catch (postCommitError) {
+            console.error('Post-commit error in supplier catalogue import:', postCommitError);
+        }
+
+        res.json({
+            success: true,
+            message: `${result.created + result.updated} catalogue item(s) imported` +
+                (result.errors.length ? `, ${result.errors.length} row(s) skipped` : ''),
+            data: result
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Export a supplier's catalogue to Excel (in the import layout, so it doubles as a template)
+ * GET /suppliers/:id/catalogue/excel
+ */
+exports.exportCatalogue = async (req, res, next) => {
+    try {
+        const ExcelJS = require('exceljs');
+
+        const supplier = await findSupplier(req.params.id);
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: 'Supplier not found' });
+        }
+
+        const entries = await SupplierProduct.findAll({
+            where: { supplierId: supplier.id, isActive: true },
+            include: [{ model: Product, as: 'product', attributes: ['name', 'sku', 'barcode'] }],
+            order: [[{ model: Product, as: 'product' }, 'name', 'ASC']]
+        });
+
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Catalogue');
+
+        worksheet.columns = [
+            { header: 'SKU', key: 'sku', width: 18 },
+            { header: 'Barcode', key: 'barcode', width: 18 },
+            { header: 'Product', key: 'product', width: 40 },
+            { header: 'Supplier SKU', key: 'supplierSku', width: 18 },
+            { header: 'Cost Price', key: 'costPrice', width: 14 },
+            { header: 'Pack Size', key: 'packSize', width: 12 },
+            { header: 'MOQ', key: 'minOrderQuantity', width: 10 },
+            { header: 'Lead Time Days', key: 'leadTimeDays', width: 16 },
+            { header: 'Preferred', key: 'preferred', width: 12 },
+            { header: 'Price Updated', key: 'priceUpdatedAt', width: 16 },
+            { header: 'Notes', key: 'notes', width: 30 }
+        ];
+
+        const headerRow = worksheet.getRow(1);
+        headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+
+        entries.forEach(entry => {
+            worksheet.addRow({
+                sku: entry.product?.sku,
+                barcode: entry.product?.barcode,
+                product: entry.product?.name,
+                supplierSku: entry.supplierSku,
+                costPrice: parseFloat(entry.costPrice),
+                packSize: entry.packSize,
+                minOrderQuantity: entry.minOrderQuantity,
+                leadTimeDays: entry.leadTimeDays,
+                preferred: entry.isPreferred ? 'Yes' : 'No',
+                priceUpdatedAt: entry.priceUpdatedAt,
+                notes: entry.notes
+            });
+        });
+
+        worksheet.getColumn('costPrice').numFmt = '#,##0.00';
+        worksheet.getColumn('priceUpdatedAt').numFmt = 'yyyy-mm-dd';
+
+        const filename = `supplier_catalogue_${supplier.code || supplier.id}.xlsx`;
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Cost price history, for one supplier or across suppliers
+ * GET /suppliers/price-history
+ * GET /suppliers/:id/price-history
+ */
+exports.getPriceHistory = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 50, productId, supplierProductId, startDate, endDate } = req.query;
+        const supplierId = req.params.id || req.query.supplierId;
+
+        const { count, rows } = await SupplierCatalogueService.getPriceHistory({
+            supplierId, productId, supplierProductId, startDate, endDate, page, limit
+        });
+
+        res.json({
+            success: true,
+            data: {
+                history: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
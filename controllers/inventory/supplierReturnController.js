@@ -0,0 +1,407 @@
+const {
+    SupplierReturn, SupplierReturnItem, Supplier, PurchaseOrder, Warehouse, Product, ProductBatch, User, sequelize
+} = require('../../models');
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { AuditLogService, EmailService, PdfService, SupplierReturnService } = require('../../services');
+
+const supplierReturnIncludes = [
+    { model: Supplier, as: 'supplier', attributes: ['id', 'name', 'code', 'email', 'phone', 'contactPerson', 'address'] },
+    { model: PurchaseOrder, as: 'purchaseOrder', attributes: ['id', 'poNumber'] },
+    { model: Warehouse, as: 'warehouse', attributes: ['id', 'code', 'name'] },
+    { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] },
+    { model: User, as: 'dispatcher', attributes: ['id', 'firstName', 'lastName'] }
+];
+
+const supplierReturnItemInclude = {
+    model: SupplierReturnItem,
+    as: 'items',
+    include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'sku'] }]
+};
+
+/**
+ * Load a return with supplier, PO and lines for the PDF / email
+ */
+const findForDocument = id => SupplierReturn.findByPk(id, {
+    include: [...supplierReturnIncludes, supplierReturnItemInclude],
+    order: [[{ model: SupplierReturnItem, as: 'items' }, 'id', 'ASC']]
+});
+
+/**
+ * Email the return note to the supplier and stamp emailedAt on success
+ */
+const emailSupplier = async (id) => {
+    const supplierReturn = await findForDocument(id);
+    const result = await EmailService.sendSupplierReturnEmail(supplierReturn);
+
+    if (result.success) {
+        supplierReturn.emailedAt = new Date();
+        await supplierReturn.save();
+    }
+    return result;
+};
+
+/**
+ * Get all supplier returns
+ */
+exports.getSupplierReturns = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status, supplierId, reason, search, startDate, endDate } = req.query;
+
+        const where = {};
+        if (status) where.status = status;
+        if (supplierId) where.supplierId = supplierId;
+        if (reason) where.reason = reason;
+        if (search) where.returnNumber = { [Op.like]: `%${search}%` };
+        if (startDate || endDate) {
+            where.createdAt = {};
+            if (startDate) where.createdAt[Op.gte] = new Date(startDate);
+            if (endDate) where.createdAt[Op.lte] = new Date(endDate);
+        }
+
+        const { count, rows } = await SupplierReturn.findAndCountAll({
+            where,
+            include: supplierReturnIncludes,
+            order: [['createdAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                supplierReturns: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Batches with stock that can be picked for a return to a supplier
+ */
+exports.getReturnableBatches = async (req, res, next) => {
+    try {
+        const { supplierId, productId, status, expiringWithinDays } = req.query;
+
+        const where = { stockQuantity: { [Op.gt]: 0 } };
+        // Batches without a recorded supplier may still have come from this one
+        if (supplierId) where.supplierId = { [Op.or]: [supplierId, null] };
+        if (productId) where.productId = productId;
+        if (status) where.status = status;
+        if (expiringWithinDays) {
+            const cutoff = new Date();
+            cutoff.setDate(cutoff.getDate() + parseInt(expiringWithinDays));
+            where.expiryDate = { [Op.lte]: cutoff.toISOString().slice(0, 10) };
+        }
+
+        const batches = await ProductBatch.findAll({
+            where,
+            include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'sku'] }],
+            order: [['expiryDate', 'ASC']],
+            limit: 500
+        });
+
+        res.json({ success: true, data: batches });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Supplier credit expected vs received
+ */
+exports.getCreditSummary = async (req, res, next) => {
+    try {
+        const summary = await SupplierReturnService.getCreditSummary({ supplierId: req.query.supplierId });
+        res.json({ success: true, data: summary });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get supplier return with its lines
+ */
+exports.getSupplierReturn = async (req, res, next) => {
+    try {
+        const supplierReturn = await SupplierReturn.findByPk(req.params.id, {
+            include: [
+                ...supplierReturnIncludes,
+                { model: User, as: 'canceller', attributes: ['id', 'firstName', 'lastName'] },
+                {
+                    ...supplierReturnItemInclude,
+                    include: [
+                        ...supplierReturnItemInclude.include,
+                        { model: ProductBatch, as: 'batch', attributes: ['id', 'batchNumber', 'status', 'stockQuantity'] }
+                    ]
+                }
+            ]
+        });
+
+        if (!supplierReturn) {
+            return res.status(404).json({ success: false, message: 'Supplier return not found' });
+        }
+
+        res.json({ success: true, data: supplierReturn });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create a draft supplier return from picked batch quantities
+ */
+exports.createSupplierReturn = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const result = await SupplierReturnService.createReturn(req.body, req);
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await AuditLogService.logCreate(
+            req,
+            'supplier_returns',
+            'SupplierReturn',
+            result.supplierReturn.id,
+            result.supplierReturn.toJSON(),
+            `Created supplier return ${result.supplierReturn.returnNumber}`
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Supplier return created',
+            data: result.supplierReturn
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Dispatch a return: stock leaves the batches and the note is emailed to the supplier
+ */
+exports.dispatchSupplierReturn = async (req, res, next) => {
+    const t = await sequelize.transaction();
+    try {
+        const supplierReturn = await SupplierReturn.findByPk(req.params.id, {
+            include: [{ model: SupplierReturnItem, as: 'items' }],
+            lock: t.LOCK.UPDATE,
+            transaction: t
+        });
+
+        if (!supplierReturn) {
+            await t.rollback();
+            return res.status(404).json({ success: false, message: 'Supplier return not found' });
+        }
+
+        const previousStatus = supplierReturn.status;
+        const result = await SupplierReturnService.dispatchReturn(supplierReturn, req, t);
+        if (!result.success) {
+            await t.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await t.commit();
+
+        // ─── Post-Commit Actions ──────────────────────────────────────────────
+        try {
+            await AuditLogService.logStatusChange(
+                req,
+                'supplier_returns',
+                'SupplierReturn',
+                supplierReturn.id,
+                previousStatus,
+                supplierReturn.status,
+                `Dispatched ${supplierReturn.returnNumber} (${supplierReturn.totalQuantity} unit(s))`
+            );
+        } catch (postCommitError) {
+            console.error('Post-commit error in dispatchSupplierReturn:', postCommitError);
+        }
+
+        let emailResult = null;
+        if (req.body.sendEmail !== false) {
+            emailResult = await emailSupplier(supplierReturn.id).catch(err => ({ success: false, error: err.message }));
+        }
+
+        res.json({
+            success: true,
+            message: emailResult && !emailResult.success
+                ? `Return dispatched but email delivery failed: ${emailResult.reason || emailResult.error}`
+                : 'Return dispatched and stock updated',
+            data: {
+                supplierReturn,
+                emailed: !!emailResult?.success
+            }
+        });
+    } catch (error) {
+        if (t && !t.finished) await t.rollback();
+        next(error);
+    }
+};
+
+/**
+ * (Re)send the return note to the supplier
+ */
+exports.emailSupplierReturn = async (req, res, next) => {
+    try {
+        const supplierReturn = await SupplierReturn.findByPk(req.params.id, {
+            include: [{ model: Supplier, as: 'supplier', attributes: ['id', 'email'] }]
+        });
+
+        if (!supplierReturn) {
+            return res.status(404).json({ success: false, message: 'Supplier return not found' });
+        }
+        if (supplierReturn.status === 'cancelled') {
+            return res.status(400).json({ success: false, message: 'Cannot send a cancelled return' });
+        }
+
+        const emailResult = await emailSupplier(supplierReturn.id);
+
+        if (!emailResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: `Email delivery failed: ${emailResult.reason || emailResult.error}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Return ${supplierReturn.returnNumber} sent to ${supplierReturn.supplier.email}`,
+            data: { emailMessageId: emailResult.messageId }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Record supplier credit received against a return
+ */
+exports.recordCredit = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const supplierReturn = await SupplierReturn.findByPk(req.params.id, { lock: t.LOCK.UPDATE, transaction: t });
+        if (!supplierReturn) {
+            await t.rollback();
+            return res.status(404).json({ success: false, message: 'Supplier return not found' });
+        }
+
+        const previous = {
+            status: supplierReturn.status,
+            receivedCreditAmount: supplierReturn.receivedCreditAmount
+        };
+
+        const result = await SupplierReturnService.recordCredit(supplierReturn, req.body, req, t);
+        if (!result.success) {
+            await t.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await t.commit();
+
+        try {
+            await AuditLogService.logUpdate(
+                req,
+                'supplier_returns',
+                'SupplierReturn',
+                supplierReturn.id,
+                previous,
+                {
+                    status: supplierReturn.status,
+                    receivedCreditAmount: supplierReturn.receivedCreditAmount,
+                    creditReference: supplierReturn.creditReference
+                },
+                `Recorded supplier credit on ${supplierReturn.returnNumber}`
+            );
+        } catch (postCommitError) {
+            console.error('Post-commit error in recordCredit:', postCommitError);
+        }
+
+        res.json({
+            success: true,
+            message: supplierReturn.status === 'credited' ? 'Return fully credited' : 'Credit recorded',
+            data: {
+                supplierReturn,
+                shortfall: result.shortfall
+            }
+        });
+    } catch (error) {
+        if (t && !t.finished) await t.rollback();
+        next(error);
+    }
+};
+
+/**
+ * Cancel a draft supplier return
+ */
+exports.cancelSupplierReturn = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const supplierReturn = await SupplierReturn.findByPk(req.params.id);
+        if (!supplierReturn) {
+            return res.status(404).json({ success: false, message: 'Supplier return not found' });
+        }
+
+        const previousStatus = supplierReturn.status;
+        const result = await SupplierReturnService.cancelReturn(supplierReturn, req.body.reason, req);
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await AuditLogService.logStatusChange(
+            req,
+            'supplier_returns',
+            'SupplierReturn',
+            supplierReturn.id,
+            previousStatus,
+            'cancelled',
+            req.body.reason
+        );
+
+        res.json({ success: true, message: 'Supplier return cancelled', data: supplierReturn });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Download return note PDF
+ */
+exports.downloadPdf = async (req, res, next) => {
+    try {
+        const supplierReturn = await findForDocument(req.params.id);
+
+        if (!supplierReturn) {
+            return res.status(404).json({ success: false, message: 'Supplier return not found' });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="RTS_${supplierReturn.returnNumber}.pdf"`);
+
+        await PdfService.generateSupplierReturnPdf(supplierReturn, res);
+    } catch (error) {
+        next(error);
+    }
+};
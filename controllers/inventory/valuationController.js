@@ -0,0 +1,229 @@
+const { validationResult } = require('express-validator');
+const { InventoryValuationService } = require('../../services');
+
+/**
+ * Report filters shared by every valuation endpoint
+ */
+const getFilters = (query) => ({
+    method: query.method || 'fifo',
+    categoryId: query.categoryId,
+    agencyId: query.agencyId,
+    brandId: query.brandId
+});
+
+const METHOD_LABELS = { fifo: 'FIFO', weighted_average: 'Weighted Average' };
+
+/**
+ * Stock valuation as of a date
+ * GET /inventory-valuation
+ */
+exports.getValuation = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const report = await InventoryValuationService.getValuation({
+            asOf: req.query.asOf,
+            ...getFilters(req.query)
+        });
+
+        res.json({ success: true, data: report });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Cost of goods sold for a period
+ * GET /inventory-valuation/cogs
+ */
+exports.getCostOfGoodsSold = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const { startDate, endDate } = req.query;
+        if (new Date(startDate) > new Date(endDate)) {
+            return res.status(400).json({ success: false, message: 'Start date must be on or before end date' });
+        }
+
+        const report = await InventoryValuationService.getCostOfGoodsSold({
+            startDate,
+            endDate,
+            ...getFilters(req.query)
+        });
+
+        res.json({ success: true, data: report });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Download valuation and COGS as Excel
+ * GET /inventory-valuation/excel
+ */
+exports.downloadValuationExcel = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const ExcelJS = require('exceljs');
+
+        const asOf = req.query.asOf || new Date().toISOString().split('T')[0];
+        // COGS period runs to the valuation date, month-to-date unless a start is given
+        const startDate = req.query.startDate || `${asOf.slice(0, 7)}-01`;
+        if (new Date(startDate) > new Date(asOf)) {
+            return res.status(400).json({ success: false, message: 'Start date must be on or before the as-of date' });
+        }
+
+        const filters = getFilters(req.query);
+        const valuation = await InventoryValuationService.getValuation({ asOf, ...filters });
+        const cogs = await InventoryValuationService.getCostOfGoodsSold({ startDate, endDate: asOf, ...filters });
+
+        const workbook = new ExcelJS.Workbook();
+        const summarySheet = workbook.addWorksheet('Summary');
+        const productSheet = workbook.addWorksheet('Stock Valuation');
+        const groupSheets = [
+            ['By Category', 'byCategory', 'Category'],
+            ['By Agency', 'byAgency', 'Agency'],
+            ['By Brand', 'byBrand', 'Brand']
+        ].map(([title, key, label]) => ({ sheet: workbook.addWorksheet(title), key, label }));
+        const cogsSheet = workbook.addWorksheet('COGS');
+
+        summarySheet.columns = [
+            { header: 'Item', key: 'item', width: 36 },
+            { header: 'Value', key: 'value', width: 20 }
+        ];
+
+        productSheet.columns = [
+            { header: 'SKU', key: 'sku', width: 15 },
+            { header: 'Product', key: 'name', width: 32 },
+            { header: 'Category', key: 'categoryName', width: 20 },
+            { header: 'Agency', key: 'agencyName', width: 20 },
+            { header: 'Brand', key: 'brandName', width: 20 },
+            { header: 'Quantity', key: 'quantity', width: 10 },
+            { header: 'Unit Cost', key: 'unitCost', width: 12 },
+            { header: 'Value', key: 'value', width: 14 }
+        ];
+
+        groupSheets.forEach(({ sheet, label }) => {
+            sheet.columns = [
+                { header: label, key: 'name', width: 30 },
+                { header: 'Products', key: 'productCount', width: 10 },
+                { header: 'Quantity', key: 'quantity', width: 12 },
+                { header: 'Stock Value', key: 'value', width: 14 },
+                { header: 'COGS', key: 'cogs', width: 14 }
+            ];
+        });
+
+        cogsSheet.columns = [
+            { header: 'SKU', key: 'sku', width: 15 },
+            { header: 'Product', key: 'name', width: 32 },
+            { header: 'Category', key: 'categoryName', width: 20 },
+            { header: 'Opening Value', key: 'openingValue', width: 14 },
+            { header: 'Purchases', key: 'purchases', width: 14 },
+            { header: 'Sold Qty', key: 'soldQuantity', width: 10 },
+            { header: 'Gross COGS', key: 'grossCogs', width: 14 },
+            { header: 'Sales Returns', key: 'salesReturns', width: 14 },
+            { header: 'Net COGS', key: 'cogs', width: 14 },
+            { header: 'Write-offs & Other Issues', key: 'writeOffs', width: 22 },
+            { header: 'Other Receipts', key: 'otherReceipts', width: 14 },
+            { header: 'Closing Value', key: 'closingValue', width: 14 }
+        ];
+
+        [summarySheet, productSheet, cogsSheet, ...groupSheets.map(g => g.sheet)].forEach(sheet => {
+            sheet.getRow(1).fill = {
+                type: 'pattern',
+                pattern: 'solid',
+                fgColor: { argb: 'FF4472C4' }
+            };
+            sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        });
+
+        [
+            ['Costing Method', METHOD_LABELS[filters.method]],
+            ['Valuation Date', asOf],
+            ['Products in Stock', valuation.totals.productCount],
+            ['Units in Stock', valuation.totals.quantity],
+            ['Stock Value', valuation.totals.value.toFixed(2)],
+            [],
+            ['COGS Period', `${startDate} to ${asOf}`],
+            ['Opening Stock Value', cogs.totals.openingValue.toFixed(2)],
+            ['Purchases', cogs.totals.purchases.toFixed(2)],
+            ['Gross COGS', cogs.totals.grossCogs.toFixed(2)],
+            ['Sales Returns', cogs.totals.salesReturns.toFixed(2)],
+            ['Net COGS', cogs.totals.cogs.toFixed(2)],
+            ...cogs.writeOffs.map(w => [`Issued: ${w.type.replace(/_/g, ' ')} (${w.quantity} units)`, w.value.toFixed(2)]),
+            ['Other Receipts', cogs.totals.otherReceipts.toFixed(2)],
+            ['Closing Stock Value', cogs.totals.closingValue.toFixed(2)]
+        ].forEach(([item, value]) => summarySheet.addRow({ item, value }));
+
+        valuation.products.forEach(line => {
+            productSheet.addRow({
+                ...line,
+                categoryName: line.categoryName || '',
+                agencyName: line.agencyName || '',
+                brandName: line.brandName || '',
+                unitCost: line.unitCost.toFixed(2),
+                value: line.value.toFixed(2)
+            });
+        });
+
+        groupSheets.forEach(({ sheet, key }) => {
+            const rows = new Map();
+            valuation[key].forEach(row => rows.set(row.name, { ...row, cogs: 0 }));
+            cogs[key].forEach(row => {
+                const existing = rows.get(row.name) || { name: row.name, productCount: row.productCount, quantity: 0, value: 0 };
+                rows.set(row.name, { ...existing, cogs: row.cogs });
+            });
+
+            rows.forEach(row => sheet.addRow({
+                name: row.name,
+                productCount: row.productCount,
+                quantity: row.quantity,
+                value: row.value.toFixed(2),
+                cogs: row.cogs.toFixed(2)
+            }));
+        });
+
+        cogs.products.forEach(line => {
+            cogsSheet.addRow({
+                ...line,
+                categoryName: line.categoryName || '',
+                ...['openingValue', 'purchases', 'grossCogs', 'salesReturns', 'cogs', 'writeOffs', 'otherReceipts', 'closingValue']
+                    .reduce((acc, key) => ({ ...acc, [key]: line[key].toFixed(2) }), {})
+            });
+        });
+
+        productSheet.addRow({});
+        productSheet.addRow({
+            name: 'TOTAL',
+            quantity: valuation.totals.quantity,
+            value: valuation.totals.value.toFixed(2)
+        }).font = { bold: true };
+
+        cogsSheet.addRow({});
+        cogsSheet.addRow({
+            name: 'TOTAL',
+            soldQuantity: cogs.totals.soldQuantity,
+            ...['openingValue', 'purchases', 'grossCogs', 'salesReturns', 'cogs', 'writeOffs', 'otherReceipts', 'closingValue']
+                .reduce((acc, key) => ({ ...acc, [key]: cogs.totals[key].toFixed(2) }), {})
+        }).font = { bold: true };
+
+        const filename = `inventory_valuation_${filters.method}_${asOf}.xlsx`;
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        next(error);
+    }
+};
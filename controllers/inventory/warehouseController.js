@@ -0,0 +1,626 @@
+const {
+    Warehouse, WarehouseStock, StockTransfer, StockTransferItem, Product, User, sequelize
+} = require('../../models');
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { AuditLogService, WarehouseService } = require('../../services');
+
+const WAREHOUSE_FIELDS = [
+    'code', 'name', 'addressLine1', 'addressLine2', 'city', 'district', 'province', 'postalCode',
+    'latitude', 'longitude', 'contactPerson', 'phone', 'email', 'isDefault', 'fulfilsOrders', 'isActive'
+];
+
+const transferIncludes = [
+    { model: Warehouse, as: 'fromWarehouse', attributes: ['id', 'code', 'name'] },
+    { model: Warehouse, as: 'toWarehouse', attributes: ['id', 'code', 'name'] }
+];
+
+/**
+ * Pick the editable warehouse fields out of a request body
+ */
+const pickWarehouseFields = (body) => WAREHOUSE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+}, {});
+
+/**
+ * Get all warehouses
+ */
+exports.getWarehouses = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, search, isActive } = req.query;
+
+        const where = { isDeleted: false };
+        if (isActive !== undefined) where.isActive = isActive === 'true';
+        if (search) {
+            where[Op.or] = [
+                { name: { [Op.like]: `%${search}%` } },
+                { code: { [Op.like]: `%${search}%` } },
+                { city: { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        const { count, rows } = await Warehouse.findAndCountAll({
+            where,
+            order: [['isDefault', 'DESC'], ['name', 'ASC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                warehouses: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get warehouse by ID with stock totals
+ */
+exports.getWarehouse = async (req, res, next) => {
+    try {
+        const warehouse = await Warehouse.findOne({
+            where: { id: req.params.id, isDeleted: false }
+        });
+
+        if (!warehouse) {
+            return res.status(404).json({
+                success: false,
+                message: 'Warehouse not found'
+            });
+        }
+
+        const totals = await WarehouseStock.findOne({
+            where: { warehouseId: warehouse.id },
+            attributes: [
+                [sequelize.fn('COUNT', sequelize.col('id')), 'productCount'],
+                [sequelize.fn('SUM', sequelize.col('quantity')), 'totalQuantity'],
+                [sequelize.fn('SUM', sequelize.col('in_transit_quantity')), 'inTransitQuantity']
+            ],
+            raw: true
+        });
+
+        res.json({
+            success: true,
+            data: {
+                ...warehouse.toJSON(),
+                stockSummary: {
+                    productCount: parseInt(totals?.productCount) || 0,
+                    totalQuantity: parseInt(totals?.totalQuantity) || 0,
+                    inTransitQuantity: parseInt(totals?.inTransitQuantity) || 0
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create warehouse. The first warehouse becomes the default and takes the current stock as opening stock.
+ */
+exports.createWarehouse = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const data = pickWarehouseFields(req.body);
+        data.code = data.code.toUpperCase();
+
+        const existing = await Warehouse.findOne({ where: { code: data.code }, transaction });
+        if (existing) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Warehouse code ${data.code} is already in use`
+            });
+        }
+
+        const isFirst = (await Warehouse.count({ where: { isDeleted: false }, transaction })) === 0;
+        if (isFirst) data.isDefault = true;
+
+        if (data.isDefault) {
+            await Warehouse.update({ isDefault: false }, { where: { isDefault: true }, transaction });
+        }
+
+        const warehouse = await Warehouse.create({
+            ...data,
+            createdBy: req.user.id
+        }, { transaction });
+
+        const seededProducts = isFirst ? await WarehouseService.seedOpeningStock(warehouse, transaction) : 0;
+
+        await transaction.commit();
+
+        await AuditLogService.logCreate(req, 'warehouses', 'Warehouse', warehouse.id, {
+            ...warehouse.toJSON(),
+            seededProducts
+        });
+
+        res.status(201).json({
+            success: true,
+            message: seededProducts
+                ? `Warehouse created with opening stock for ${seededProducts} product(s)`
+                : 'Warehouse created successfully',
+            data: warehouse
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Update warehouse
+ */
+exports.updateWarehouse = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const warehouse = await Warehouse.findOne({
+            where: { id: req.params.id, isDeleted: false },
+            transaction
+        });
+
+        if (!warehouse) {
+            await transaction.rollback();
+            return res.status(404).json({ success: false, message: 'Warehouse not found' });
+        }
+
+        const data = pickWarehouseFields(req.body);
+        if (data.code) {
+            data.code = data.code.toUpperCase();
+            const duplicate = await Warehouse.findOne({
+                where: { code: data.code, id: { [Op.ne]: warehouse.id } },
+                transaction
+            });
+            if (duplicate) {
+                await transaction.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: `Warehouse code ${data.code} is already in use`
+                });
+            }
+        }
+
+        if (warehouse.isDefault && (data.isDefault === false || data.isActive === false)) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Make another warehouse the default first'
+            });
+        }
+
+        if (data.isDefault && !warehouse.isDefault) {
+            await Warehouse.update({ isDefault: false }, { where: { isDefault: true }, transaction });
+        }
+
+        const previousData = warehouse.toJSON();
+        await warehouse.update({ ...data, updatedBy: req.user.id }, { transaction });
+
+        await transaction.commit();
+
+        await AuditLogService.logUpdate(req, 'warehouses', 'Warehouse', warehouse.id, previousData, warehouse.toJSON());
+
+        res.json({
+            success: true,
+            message: 'Warehouse updated successfully',
+            data: warehouse
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Delete warehouse (Soft delete). Only empty, non-default warehouses can be removed.
+ */
+exports.deleteWarehouse = async (req, res, next) => {
+    try {
+        const warehouse = await Warehouse.findOne({
+            where: { id: req.params.id, isDeleted: false }
+        });
+        if (!warehouse) {
+            return res.status(404).json({ success: false, message: 'Warehouse not found' });
+        }
+
+        if (warehouse.isDefault) {
+            return res.status(400).json({ success: false, message: 'The default warehouse cannot be deleted' });
+        }
+
+        const heldStock = await WarehouseStock.count({
+            where: {
+                warehouseId: warehouse.id,
+                [Op.or]: [{ quantity: { [Op.gt]: 0 } }, { inTransitQuantity: { [Op.gt]: 0 } }]
+            }
+        });
+        const openTransfers = await StockTransfer.count({
+            where: {
+                status: { [Op.in]: ['draft', 'in_transit'] },
+                [Op.or]: [{ fromWarehouseId: warehouse.id }, { toWarehouseId: warehouse.id }]
+            }
+        });
+
+        if (heldStock || openTransfers) {
+            return res.status(400).json({
+                success: false,
+                message: 'Transfer out all stock and close open transfers before deleting this warehouse'
+            });
+        }
+
+        warehouse.isDeleted = true;
+        warehouse.isActive = false;
+        warehouse.updatedBy = req.user.id;
+        await warehouse.save();
+
+        await AuditLogService.logDelete(req, 'warehouses', 'Warehouse', warehouse.id, warehouse.toJSON());
+
+        res.json({
+            success: true,
+            message: 'Warehouse deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Stock held at a warehouse
+ */
+exports.getWarehouseStock = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, search, lowStock } = req.query;
+
+        const warehouse = await Warehouse.findOne({
+            where: { id: req.params.id, isDeleted: false },
+            attributes: ['id', 'code', 'name']
+        });
+        if (!warehouse) {
+            return res.status(404).json({ success: false, message: 'Warehouse not found' });
+        }
+
+        const where = { warehouseId: warehouse.id };
+        if (lowStock === 'true') {
+            where.reorderLevel = { [Op.ne]: null };
+            where.quantity = { [Op.lte]: sequelize.col('reorder_level') };
+        }
+
+        const productWhere = {};
+        if (search) {
+            productWhere[Op.or] = [
+                { name: { [Op.like]: `%${search}%` } },
+                { sku: { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        const { count, rows } = await WarehouseStock.findAndCountAll({
+            where,
+            include: [{
+                model: Product,
+                as: 'product',
+                where: productWhere,
+                attributes: ['id', 'name', 'sku', 'stockQuantity', 'lowStockThreshold']
+            }],
+            order: [[{ model: Product, as: 'product' }, 'name', 'ASC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                warehouse,
+                stock: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update shelf location / reorder level of a product at a warehouse
+ */
+exports.updateWarehouseStock = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { id, productId } = req.params;
+        const { shelfLocation, reorderLevel } = req.body;
+
+        const warehouse = await Warehouse.findOne({ where: { id, isDeleted: false } });
+        if (!warehouse) {
+            return res.status(404).json({ success: false, message: 'Warehouse not found' });
+        }
+
+        const product = await Product.findByPk(productId, { attributes: ['id'] });
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const [stock] = await WarehouseStock.findOrCreate({
+            where: { warehouseId: warehouse.id, productId: product.id },
+            defaults: { quantity: 0 }
+        });
+
+        const previousData = { shelfLocation: stock.shelfLocation, reorderLevel: stock.reorderLevel };
+        if (shelfLocation !== undefined) stock.shelfLocation = shelfLocation;
+        if (reorderLevel !== undefined) stock.reorderLevel = reorderLevel;
+        await stock.save();
+
+        await AuditLogService.logUpdate(
+            req, 'warehouses', 'WarehouseStock', stock.id, previousData,
+            { shelfLocation: stock.shelfLocation, reorderLevel: stock.reorderLevel }
+        );
+
+        res.json({
+            success: true,
+            message: 'Warehouse stock updated successfully',
+            data: stock
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Stock of one product across all warehouses
+ */
+exports.getProductStock = async (req, res, next) => {
+    try {
+        const product = await Product.findByPk(req.params.productId, {
+            attributes: ['id', 'name', 'sku', 'stockQuantity', 'trackInventory']
+        });
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const stock = await WarehouseStock.findAll({
+            where: { productId: product.id },
+            include: [{
+                model: Warehouse,
+                as: 'warehouse',
+                where: { isDeleted: false },
+                attributes: ['id', 'code', 'name', 'city', 'isDefault', 'isActive']
+            }],
+            order: [['quantity', 'DESC']]
+        });
+
+        res.json({
+            success: true,
+            data: {
+                product,
+                warehouses: stock,
+                totalQuantity: stock.reduce((sum, s) => sum + s.quantity, 0),
+                inTransitQuantity: stock.reduce((sum, s) => sum + s.inTransitQuantity, 0)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get all stock transfers
+ */
+exports.getTransfers = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status, warehouseId, search } = req.query;
+
+        const where = {};
+        if (status) where.status = status;
+        if (warehouseId) {
+            where[Op.or] = [{ fromWarehouseId: warehouseId }, { toWarehouseId: warehouseId }];
+        }
+        if (search) where.transferNumber = { [Op.like]: `%${search}%` };
+
+        const { count, rows } = await StockTransfer.findAndCountAll({
+            where,
+            include: transferIncludes,
+            order: [['createdAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                transfers: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get transfer by ID
+ */
+exports.getTransfer = async (req, res, next) => {
+    try {
+        const transfer = await StockTransfer.findByPk(req.params.id, {
+            include: [
+                ...transferIncludes,
+                {
+                    model: StockTransferItem,
+                    as: 'items',
+                    include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'sku'] }]
+                },
+                { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] },
+                { model: User, as: 'dispatcher', attributes: ['id', 'firstName', 'lastName'] },
+                { model: User, as: 'receiver', attributes: ['id', 'firstName', 'lastName'] }
+            ]
+        });
+
+        if (!transfer) {
+            return res.status(404).json({ success: false, message: 'Transfer not found' });
+        }
+
+        res.json({
+            success: true,
+            data: transfer
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create a draft transfer, optionally dispatching it straight away
+ */
+exports.createTransfer = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { fromWarehouseId, toWarehouseId, notes, items, dispatch } = req.body;
+
+        const result = await WarehouseService.createTransfer(
+            { fromWarehouseId, toWarehouseId, notes, items }, req, transaction
+        );
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        if (dispatch) {
+            const dispatched = await WarehouseService.dispatchTransfer(result.transfer.id, req, transaction);
+            if (!dispatched.success) {
+                await transaction.rollback();
+                return res.status(400).json({ success: false, message: dispatched.message });
+            }
+        }
+
+        await transaction.commit();
+
+        await AuditLogService.logCreate(req, 'warehouses', 'StockTransfer', result.transfer.id, {
+            transferNumber: result.transfer.transferNumber,
+            fromWarehouseId,
+            toWarehouseId,
+            items,
+            dispatched: !!dispatch
+        });
+
+        const transfer = await StockTransfer.findByPk(result.transfer.id, {
+            include: [...transferIncludes, { model: StockTransferItem, as: 'items' }]
+        });
+
+        res.status(201).json({
+            success: true,
+            message: dispatch ? 'Transfer created and dispatched' : 'Transfer created successfully',
+            data: transfer
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Run a transfer status change through the service and audit it
+ */
+const changeTransferStatus = async (req, res, next, action) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const { id } = req.params;
+
+        let result;
+        if (action === 'dispatch') {
+            result = await WarehouseService.dispatchTransfer(id, req);
+        } else if (action === 'receive') {
+            result = await WarehouseService.receiveTransfer(id, req.body.items || [], req);
+        } else {
+            result = await WarehouseService.cancelTransfer(id, req);
+        }
+
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        const { transfer } = result;
+
+        await AuditLogService.logStatusChange(
+            req, 'warehouses', 'StockTransfer', transfer.id,
+            { dispatch: 'draft', receive: 'in_transit' }[action] || null,
+            transfer.status,
+            action === 'receive' && result.shortfalls.length
+                ? `Received with ${result.shortfalls.length} short line(s)`
+                : null
+        );
+
+        res.json({
+            success: true,
+            message: `Transfer ${transfer.transferNumber} ${transfer.status.replace('_', ' ')}`,
+            data: {
+                transfer,
+                shortfalls: result.shortfalls || []
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Dispatch transfer: stock leaves the source warehouse
+ */
+exports.dispatchTransfer = (req, res, next) => changeTransferStatus(req, res, next, 'dispatch');
+
+/**
+ * Receive transfer at the destination warehouse
+ */
+exports.receiveTransfer = (req, res, next) => changeTransferStatus(req, res, next, 'receive');
+
+/**
+ * Cancel transfer
+ */
+exports.cancelTransfer = (req, res, next) => changeTransferStatus(req, res, next, 'cancel');
@@ -605,6 +605,12 @@ exports.recalculateCartTotals = async function (cartId, transaction = null) {
     }
 
     cart.lastActivityAt = new Date();
+
+    // Inactive carts are abandoned by the expire-stale-carts job
+    const cartExpiryDays = parseInt(await PricingService.getSettingValue('cart_expiry_days', 7));
+    cart.expiresAt = new Date(cart.lastActivityAt);
+    cart.expiresAt.setDate(cart.expiresAt.getDate() + cartExpiryDays);
+
     await cart.save({ transaction });
 
     return cart;
@@ -1,12 +1,13 @@
 const {
     Order, OrderItem, OrderStatusHistory, Cart, CartItem,
     Product, User, Doctor, Address, Discount, Promotion,
-    Payment, sequelize
+    Payment, Shipment, ShipmentItem, OrderItemBatch, OrderFulfilment, Warehouse, sequelize
 } = require('../../models');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const {
-    AuditLogService, InventoryService, PricingService, NotificationService, PayHereService, PdfService
+    AuditLogService, InventoryService, PricingService, NotificationService, PayHereService, PdfService,
+    ShipmentService, CreditControlService, BatchAllocationService, WarehouseService, PermissionService
 } = require('../../services');
 
 /**
@@ -87,7 +88,7 @@ exports.getMyOrders = async (req, res, next) => {
 exports.getOrder = async (req, res, next) => {
     try {
         const { id } = req.params;
-        const isAdmin = req.user.roleLevel >= 60;
+        const isAdmin = await PermissionService.hasPermission(req.user, 'orders', 'read_all');
 
         const where = { isDeleted: false };
 
@@ -109,11 +110,20 @@ exports.getOrder = async (req, res, next) => {
                 {
                     model: OrderItem,
                     as: 'items',
-                    include: [{
-                        model: Product,
-                        as: 'product',
-                        attributes: ['id', 'name', 'slug', 'thumbnail']
-                    }]
+                    include: [
+                        {
+                            model: Product,
+                            as: 'product',
+                            attributes: ['id', 'name', 'slug', 'thumbnail']
+                        },
+                        {
+                            model: OrderItemBatch,
+                            as: 'batchAllocations',
+                            where: { status: { [Op.in]: ['allocated', 'shipped'] } },
+                            required: false,
+                            attributes: ['id', 'productBatchId', 'batchNumber', 'expiryDate', 'quantity', 'status']
+                        }
+                    ]
                 },
                 {
                     model: User,
@@ -134,6 +144,16 @@ exports.getOrder = async (req, res, next) => {
                 {
                     model: Payment,
                     as: 'payments'
+                },
+                {
+                    model: Shipment,
+                    as: 'shipments',
+                    include: [{ model: ShipmentItem, as: 'items' }]
+                },
+                {
+                    model: OrderFulfilment,
+                    as: 'fulfilment',
+                    include: [{ model: Warehouse, as: 'warehouse', attributes: ['id', 'code', 'name', 'city'] }]
                 }
             ]
         });
@@ -214,7 +234,8 @@ exports.createOrder = async (req, res, next) => {
             note,
             shippingAddressId,
             billingAddressId,
-            useCredit
+            useCredit,
+            warehouseId
         } = req.body;
 
         // Use customerNotes if provided, otherwise use note
@@ -284,6 +305,21 @@ exports.createOrder = async (req, res, next) => {
             }
         }
 
+        // Chosen warehouse, or the nearest one that can ship the whole cart
+        const fulfilment = await WarehouseService.selectWarehouse(
+            shippingAddress,
+            cart.items.map(item => ({ productId: item.productId, quantity: item.quantity })),
+            warehouseId,
+            transaction
+        );
+        if (!fulfilment.success) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: fulfilment.message
+            });
+        }
+
         // Get doctor profile if exists
         const doctor = await Doctor.findOne({
             where: { userId: req.user.id },
@@ -293,10 +329,33 @@ exports.createOrder = async (req, res, next) => {
         // Check credit eligibility for doctors
         let isCredit = false;
         let creditDueDate = null;
+        let creditHold = null;
+        let creditOverride = null;
+
+        if (doctor && doctor.isVerified) {
+            // Credit-hold policy: over limit or overdue invoices block the order or put it on hold
+            const { policy, violations } = await CreditControlService.evaluate(
+                doctor, cart.total, !!useCredit, transaction
+            );
+
+            if (violations.length) {
+                creditOverride = await CreditControlService.getActiveOverride(doctor.id, transaction);
+
+                if (!creditOverride) {
+                    if (policy.action === 'block') {
+                        await transaction.rollback();
+                        return res.status(403).json({
+                            success: false,
+                            message: `Order blocked by credit policy: ${violations.map(v => v.message).join('; ')}`,
+                            data: { violations }
+                        });
+                    }
+                    creditHold = violations;
+                }
+            }
 
-        if (useCredit && doctor && doctor.isVerified) {
             const availableCredit = parseFloat(doctor.creditLimit) - parseFloat(doctor.currentCredit);
-            if (cart.total <= availableCredit) {
+            if (useCredit && (cart.total <= availableCredit || creditOverride || creditHold)) {
                 isCredit = true;
                 creditDueDate = new Date();
                 creditDueDate.setDate(creditDueDate.getDate() + (doctor.paymentTerms || 30));
@@ -320,7 +379,7 @@ exports.createOrder = async (req, res, next) => {
             couponCode: cart.couponCode,
             itemCount: cart.items.length,
             totalQuantity: cart.items.reduce((sum, item) => sum + item.quantity, 0),
-            status: 'pending',
+            status: creditHold ? 'on_hold' : 'pending',
             paymentStatus: isCredit ? 'credit' : 'pending',
             paymentMethod,
             isCredit,
@@ -335,6 +394,17 @@ exports.createOrder = async (req, res, next) => {
             createdBy: req.user.id
         }, { transaction });
 
+        if (fulfilment.warehouse) {
+            await WarehouseService.assignOrderWarehouse(
+                order, fulfilment.warehouse, fulfilment.selection, fulfilment.distanceKm, req, transaction
+            );
+        }
+
+        // Online payments must complete before the reservation expires
+        const reservationExpiresAt = paymentMethod === 'payhere' && !isCredit
+            ? await InventoryService.getReservationExpiry()
+            : null;
+
         // Create order items
         for (const cartItem of cart.items) {
             const product = await Product.findByPk(cartItem.productId, { transaction });
@@ -346,7 +416,7 @@ exports.createOrder = async (req, res, next) => {
                 });
             }
 
-            await OrderItem.create({
+            const orderItem = await OrderItem.create({
                 orderId: order.id,
                 productId: cartItem.productId,
                 productName: cartItem.productName,
@@ -378,7 +448,8 @@ exports.createOrder = async (req, res, next) => {
                 cartItem.quantity,
                 orderNumber,
                 req,
-                transaction
+                transaction,
+                { orderId: order.id, orderItemId: orderItem.id, expiresAt: reservationExpiresAt }
             );
         }
 
@@ -396,14 +467,21 @@ exports.createOrder = async (req, res, next) => {
             });
         }
 
+        if (creditOverride) {
+            await CreditControlService.useOverride(creditOverride, order.id, transaction);
+        }
+
         // Create status history
         await OrderStatusHistory.create({
             orderId: order.id,
-            newStatus: 'pending',
-            notes: 'Order placed',
+            newStatus: order.status,
+            notes: creditHold
+                ? `Order placed on credit hold: ${creditHold.map(v => v.message).join('; ')}`
+                : 'Order placed',
             changedBy: req.user.id,
             changedByName: req.user.userName,
-            ipAddress: AuditLogService.getIpAddress(req)
+            ipAddress: AuditLogService.getIpAddress(req),
+            metadata: creditHold ? { creditHold } : (creditOverride ? { creditOverrideId: creditOverride.id } : null)
         }, { transaction });
 
         // Mark cart as converted
@@ -423,6 +501,10 @@ exports.createOrder = async (req, res, next) => {
                 await NotificationService.sendOrderConfirmation(order, user);
                 // Alert admins
                 await NotificationService.sendNewOrderAlertToAdmins(order, user);
+
+                if (creditHold) {
+                    await NotificationService.sendCreditHoldAlertToAdmins(order, user, creditHold);
+                }
             }
 
             // Audit log
@@ -452,10 +534,13 @@ exports.createOrder = async (req, res, next) => {
 
         res.status(201).json({
             success: true,
-            message: 'Order placed successfully',
+            message: creditHold
+                ? 'Order placed and held for credit review'
+                : 'Order placed successfully',
             data: {
                 ...createdOrder.toJSON(),
-                payhereData
+                payhereData,
+                creditHold
             }
         });
     } catch (error) {
@@ -614,10 +699,12 @@ exports.updateOrderStatus = async (req, res, next) => {
             confirmed: ['processing', 'packed', 'shipped', 'cancelled'],
             processing: ['packed', 'shipped', 'cancelled'],
             packed: ['shipped', 'cancelled'],
+            partially_shipped: ['shipped', 'cancelled'],
             shipped: ['out_for_delivery', 'delivered', 'refunded', 'cancelled'],
             out_for_delivery: ['delivered', 'cancelled'],
             delivered: ['returned', 'refunded'],
-            returned: ['refunded']
+            returned: ['refunded'],
+            on_hold: ['cancelled'] // Released via releaseCreditHold
         };
 
         if (!validTransitions[previousStatus]?.includes(status)) {
@@ -630,10 +717,17 @@ exports.updateOrderStatus = async (req, res, next) => {
 
         // Update order
         order.status = status;
+        let batchShortfalls = [];
 
         // Status-specific updates
         if (status === 'confirmed') {
             order.confirmedAt = new Date();
+
+            // A confirmed order keeps its stock even if online payment is still outstanding
+            await InventoryService.holdReservations(order.id, transaction);
+
+            const allocation = await BatchAllocationService.allocateOrder(order, req, transaction);
+            batchShortfalls = allocation.shortfalls;
         } else if (status === 'processing') {
             order.processedAt = new Date();
         } else if (status === 'shipped') {
@@ -642,47 +736,93 @@ exports.updateOrderStatus = async (req, res, next) => {
             if (trackingUrl) order.trackingUrl = trackingUrl;
             if (expectedDeliveryDate) order.expectedDeliveryDate = expectedDeliveryDate;
 
-            // Reduce actual stock
-            for (const item of order.items) {
-                await InventoryService.reduceStock(
-                    item.productId,
-                    item.quantity,
-                    'order',
-                    order.id,
-                    order.orderNumber,
+            // Dispatch everything not yet shipped: open shipments first, then the remainder
+            const openShipments = await Shipment.findAll({
+                where: { orderId: order.id, status: { [Op.in]: ['pending', 'packed'] } },
+                include: [{ model: ShipmentItem, as: 'items' }],
+                transaction
+            });
+
+            const remainingLines = await ShipmentService.getUnshippedLines(order, transaction);
+            if (remainingLines.length > 0) {
+                const result = await ShipmentService.createShipment(
+                    order,
+                    remainingLines,
+                    { trackingNumber, trackingUrl, expectedDeliveryDate, notes },
+                    req,
+                    transaction
+                );
+                if (!result.success) {
+                    await transaction.rollback();
+                    return res.status(400).json({ success: false, message: result.message });
+                }
+                openShipments.push(result.shipment);
+            }
+
+            for (const shipment of openShipments) {
+                const result = await ShipmentService.updateShipmentStatus(
+                    shipment,
+                    order,
+                    'shipped',
+                    { trackingNumber, trackingUrl, expectedDeliveryDate },
                     req,
                     transaction
                 );
+                if (!result.success) {
+                    await transaction.rollback();
+                    return res.status(400).json({ success: false, message: result.message });
+                }
             }
+        } else if (status === 'out_for_delivery') {
+            await ShipmentService.syncDispatchedShipments(order.id, status, transaction);
         } else if (status === 'delivered') {
             order.deliveredAt = new Date();
 
             // Update order items status
             await OrderItem.update(
                 { status: 'fulfilled', fulfilledQuantity: sequelize.col('quantity') },
-                { where: { orderId: order.id }, transaction }
+                { where: { orderId: order.id, status: { [Op.ne]: 'cancelled' } }, transaction }
             );
+
+            await ShipmentService.syncDispatchedShipments(order.id, status, transaction);
         } else if (status === 'cancelled') {
             order.cancelledAt = new Date();
             order.cancelledBy = req.user.id;
             order.cancelReason = notes;
 
-            // Release reserved stock
+            // A held credit order was charged to the doctor's credit when placed; rejecting it gives that back
+            if (previousStatus === 'on_hold' && order.isCredit && order.doctorId) {
+                const doctor = await Doctor.findByPk(order.doctorId, { lock: true, transaction });
+                if (doctor) {
+                    doctor.currentCredit = parseFloat(doctor.currentCredit) - parseFloat(order.dueAmount);
+                    await doctor.save({ transaction });
+                }
+            }
+
+            await ShipmentService.cancelPendingShipments(order.id, transaction);
+
+            // Put unshipped quantities back into the batches they were allocated from
+            await BatchAllocationService.releaseOrder(order, req, transaction);
+
+            // Release reserved stock for quantities that have not been shipped
             for (const item of order.items) {
+                const unshipped = item.quantity - (item.fulfilledQuantity || 0);
+                if (unshipped <= 0) continue;
+
                 await InventoryService.releaseReservedStock(
                     item.productId,
-                    item.quantity,
+                    unshipped,
                     order.orderNumber,
                     req,
                     transaction
                 );
-            }
 
-            // Update items status
-            await OrderItem.update(
-                { status: 'cancelled' },
-                { where: { orderId: order.id }, transaction }
-            );
+                // Lines that were partly shipped keep their partial status
+                if (!item.fulfilledQuantity) {
+                    item.status = 'cancelled';
+                    await item.save({ transaction });
+                }
+            }
         }
 
         order.updatedBy = req.user.id;
@@ -697,7 +837,12 @@ exports.updateOrderStatus = async (req, res, next) => {
             changedBy: req.user.id,
             changedByName: req.user.userName,
             ipAddress: AuditLogService.getIpAddress(req),
-            metadata: { trackingNumber, trackingUrl, expectedDeliveryDate }
+            metadata: {
+                trackingNumber,
+                trackingUrl,
+                expectedDeliveryDate,
+                batchShortfalls: batchShortfalls.length ? batchShortfalls : undefined
+            }
         }, { transaction });
 
         await transaction.commit();
@@ -716,8 +861,209 @@ exports.updateOrderStatus = async (req, res, next) => {
 
         res.json({
             success: true,
-            message: `Order status updated to ${status}`,
-            data: order
+            message: batchShortfalls.length
+                ? `Order status updated to ${status}; batch stock short for ${batchShortfalls.length} line(s)`
+                : `Order status updated to ${status}`,
+            data: order,
+            batchShortfalls
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Release an order held by the credit policy (Admin override)
+ */
+exports.releaseCreditHold = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        const order = await Order.findByPk(id, {
+            include: [{ model: User, as: 'user', include: [{ model: Doctor, as: 'doctorProfile' }] }],
+            lock: true,
+            transaction
+        });
+
+        if (!order || order.isDeleted) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.status !== 'on_hold') {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Only orders on hold can be released'
+            });
+        }
+
+        const doctor = order.doctorId ? await Doctor.findByPk(order.doctorId, { transaction }) : null;
+
+        // Keep the override alongside doctor-level overrides so all exceptions are in one place
+        let override = null;
+        if (doctor) {
+            override = await CreditControlService.grantOverride(doctor, reason, req, transaction);
+            await CreditControlService.useOverride(override, order.id, transaction);
+        }
+
+        // Paid online while held: the payment would have confirmed it, so confirm it now
+        order.status = order.paymentStatus === 'paid' ? 'confirmed' : 'pending';
+        order.updatedBy = req.user.id;
+
+        let batchShortfalls = [];
+        if (order.status === 'confirmed') {
+            order.confirmedAt = new Date();
+            await InventoryService.holdReservations(order.id, transaction);
+
+            const allocation = await BatchAllocationService.allocateOrder(order, req, transaction);
+            batchShortfalls = allocation.shortfalls;
+        }
+        await order.save({ transaction });
+
+        await OrderStatusHistory.create({
+            orderId: order.id,
+            previousStatus: 'on_hold',
+            newStatus: order.status,
+            notes: `Credit hold released: ${reason}`,
+            changedBy: req.user.id,
+            changedByName: req.user.userName,
+            ipAddress: AuditLogService.getIpAddress(req),
+            metadata: override || batchShortfalls.length
+                ? {
+                    creditOverrideId: override?.id,
+                    violations: override?.violations,
+                    batchShortfalls: batchShortfalls.length ? batchShortfalls : undefined
+                }
+                : null
+        }, { transaction });
+
+        await transaction.commit();
+
+        try {
+            await AuditLogService.log({
+                userId: req.user.id,
+                userName: req.user.userName,
+                action: 'STATUS_CHANGE',
+                module: 'orders',
+                entityType: 'Order',
+                entityId: order.id,
+                description: `Credit hold on ${order.orderNumber} overridden: ${reason}`,
+                previousData: { status: 'on_hold' },
+                newData: { status: order.status },
+                metadata: { reason, violations: override?.violations },
+                riskLevel: 'MEDIUM',
+                ipAddress: AuditLogService.getIpAddress(req),
+                userAgent: req.headers['user-agent']
+            });
+
+            await NotificationService.sendOrderStatusUpdate(order, order.user, 'on_hold');
+        } catch (postCommitError) {
+            console.error('Post-commit error in credit hold release:', postCommitError);
+        }
+
+        res.json({
+            success: true,
+            message: order.status === 'confirmed' ? 'Credit hold released and paid order confirmed' : 'Credit hold released',
+            data: order,
+            batchShortfalls
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Change the warehouse an order ships from (Admin)
+ */
+exports.assignWarehouse = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { id } = req.params;
+        const { warehouseId } = req.body;
+
+        const order = await Order.findByPk(id, {
+            include: [
+                { model: OrderFulfilment, as: 'fulfilment' },
+                { model: Shipment, as: 'shipments', attributes: ['id', 'status'] }
+            ],
+            transaction
+        });
+
+        if (!order || order.isDeleted) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (['cancelled', 'delivered'].includes(order.status) ||
+            order.shipments.some(s => ShipmentService.DISPATCHED_STATUSES.includes(s.status))) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Warehouse can only be changed before the order ships'
+            });
+        }
+
+        const result = await WarehouseService.selectWarehouse(order.shippingAddress, [], warehouseId, transaction);
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        const previousWarehouseId = order.fulfilment?.warehouseId || null;
+        const fulfilment = await WarehouseService.assignOrderWarehouse(
+            order, result.warehouse, 'admin', result.distanceKm, req, transaction
+        );
+
+        await transaction.commit();
+
+        try {
+            await AuditLogService.logUpdate(
+                req,
+                'orders',
+                'Order',
+                order.id,
+                { warehouseId: previousWarehouseId },
+                { warehouseId: result.warehouse.id },
+                `Fulfilment warehouse for ${order.orderNumber} set to ${result.warehouse.code}`
+            );
+        } catch (postCommitError) {
+            console.error('Post-commit error in warehouse assignment:', postCommitError);
+        }
+
+        res.json({
+            success: true,
+            message: `Order will ship from ${result.warehouse.name}`,
+            data: fulfilment
         });
     } catch (error) {
         if (transaction && !transaction.finished) {
@@ -0,0 +1,445 @@
+const {
+    ReturnRequest, ReturnItem, Order, OrderItem, User, Doctor, Payment, CreditNote, sequelize
+} = require('../../models');
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const {
+    AuditLogService, NotificationService, PricingService, ReturnService, PermissionService
+} = require('../../services');
+
+/**
+ * Load a return request with its items and order for a workflow step
+ */
+const loadReturnForUpdate = async (id, transaction) => {
+    const returnRequest = await ReturnRequest.findByPk(id, {
+        include: [{ model: ReturnItem, as: 'items' }],
+        lock: true,
+        transaction
+    });
+
+    if (!returnRequest) return { returnRequest: null, order: null };
+
+    const order = await Order.findByPk(returnRequest.orderId, {
+        include: [
+            { model: OrderItem, as: 'items' },
+            { model: User, as: 'user' }
+        ],
+        transaction
+    });
+
+    return { returnRequest, order };
+};
+
+/**
+ * Run one admin step of the return workflow (approve, receive, inspect, complete)
+ */
+const runWorkflowStep = async (req, res, next, { fromStatus, action, message }) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { returnRequest, order } = await loadReturnForUpdate(req.params.id, transaction);
+
+        if (!returnRequest) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Return request not found'
+            });
+        }
+
+        if (returnRequest.status !== fromStatus) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Return is ${returnRequest.status}, expected ${fromStatus}`
+            });
+        }
+
+        const previousStatus = returnRequest.status;
+        const result = await action(returnRequest, order, transaction);
+
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        await transaction.commit();
+
+        try {
+            await NotificationService.sendReturnStatusUpdate(returnRequest, order, order.user);
+
+            await AuditLogService.logStatusChange(
+                req, 'returns', 'ReturnRequest', returnRequest.id, previousStatus, returnRequest.status, req.body.notes
+            );
+        } catch (postCommitError) {
+            console.error('Post-commit error in return update:', postCommitError);
+        }
+
+        res.json({
+            success: true,
+            message,
+            data: returnRequest
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Request a return for delivered order lines
+ */
+exports.createReturn = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { orderId } = req.body;
+        const isAdmin = await PermissionService.hasPermission(req.user, 'returns', 'update');
+
+        const where = { id: orderId, isDeleted: false };
+
+        // Customers can only return their own orders; staff may raise returns on their behalf
+        if (!isAdmin) {
+            where.userId = req.user.id;
+        }
+
+        const order = await Order.findOne({
+            where,
+            include: [
+                { model: OrderItem, as: 'items' },
+                { model: User, as: 'user' }
+            ],
+            transaction
+        });
+
+        if (!order) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.status !== 'delivered') {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Only delivered orders can be returned'
+            });
+        }
+
+        const returnWindowDays = parseInt(await PricingService.getSettingValue('return_window_days', 30));
+        const deliveredAt = new Date(order.deliveredAt || order.updatedAt);
+        const windowEnd = new Date(deliveredAt.getTime() + returnWindowDays * 24 * 60 * 60 * 1000);
+
+        if (!isAdmin && new Date() > windowEnd) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Returns must be requested within ${returnWindowDays} days of delivery`
+            });
+        }
+
+        const result = await ReturnService.createReturn(order, req.body, req, transaction);
+
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        await transaction.commit();
+
+        const returnRequest = await ReturnRequest.findByPk(result.returnRequest.id, {
+            include: [{ model: ReturnItem, as: 'items' }]
+        });
+
+        try {
+            await NotificationService.sendReturnRequestAlertToAdmins(returnRequest, order, order.user);
+
+            await AuditLogService.logCreate(req, 'returns', 'ReturnRequest', returnRequest.id, {
+                returnNumber: returnRequest.returnNumber,
+                orderNumber: order.orderNumber,
+                requestedAmount: returnRequest.requestedAmount
+            });
+        } catch (postCommitError) {
+            console.error('Post-commit error in return request:', postCommitError);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Return ${returnRequest.returnNumber} requested`,
+            data: returnRequest
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get user's return requests
+ */
+exports.getMyReturns = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 10, status } = req.query;
+
+        const where = { userId: req.user.id };
+        if (status) where.status = status;
+
+        const { count, rows } = await ReturnRequest.findAndCountAll({
+            where,
+            include: [
+                { model: ReturnItem, as: 'items' },
+                { model: Order, as: 'order', attributes: ['id', 'orderNumber'] }
+            ],
+            order: [['createdAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit),
+            distinct: true
+        });
+
+        res.json({
+            success: true,
+            data: {
+                returns: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get all return requests (Admin)
+ */
+exports.getAllReturns = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status, resolution, doctorId, search, startDate, endDate } = req.query;
+
+        const where = {};
+        if (status) where.status = status;
+        if (resolution) where.resolution = resolution;
+        if (doctorId) where.doctorId = doctorId;
+
+        if (startDate || endDate) {
+            where.createdAt = {};
+            if (startDate) where.createdAt[Op.gte] = new Date(startDate);
+            if (endDate) {
+                const endDateTime = new Date(endDate);
+                endDateTime.setHours(23, 59, 59, 999);
+                where.createdAt[Op.lte] = endDateTime;
+            }
+        }
+
+        if (search) {
+            where[Op.or] = [
+                { returnNumber: { [Op.like]: `%${search}%` } },
+                { '$order.orderNumber$': { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        const { count, rows } = await ReturnRequest.findAndCountAll({
+            where,
+            include: [
+                { model: Order, as: 'order', attributes: ['id', 'orderNumber', 'total'] },
+                { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'phone'] },
+                { model: Doctor, as: 'doctor', attributes: ['id', 'licenseNumber', 'hospitalClinic'] }
+            ],
+            order: [['createdAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                returns: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get single return request
+ */
+exports.getReturn = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const isAdmin = await PermissionService.hasPermission(req.user, 'returns', 'read_all');
+
+        const where = {};
+        if (isNaN(id)) {
+            where.returnNumber = id;
+        } else {
+            where.id = id;
+        }
+
+        // Non-admin users can only see their own returns
+        if (!isAdmin) {
+            where.userId = req.user.id;
+        }
+
+        const returnRequest = await ReturnRequest.findOne({
+            where,
+            include: [
+                { model: ReturnItem, as: 'items' },
+                { model: Order, as: 'order', attributes: ['id', 'orderNumber', 'status', 'total', 'paymentStatus'] },
+                { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'phone'] },
+                { model: Payment, as: 'payment' },
+                { model: CreditNote, as: 'creditNote' }
+            ]
+        });
+
+        if (!returnRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return request not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: returnRequest
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Cancel own return request (before approval)
+ */
+exports.cancelReturn = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const returnRequest = await ReturnRequest.findOne({
+            where: { id, userId: req.user.id }
+        });
+
+        if (!returnRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return request not found'
+            });
+        }
+
+        if (returnRequest.status !== 'requested') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only pending return requests can be cancelled'
+            });
+        }
+
+        returnRequest.status = 'cancelled';
+        returnRequest.cancelledAt = new Date();
+        returnRequest.updatedBy = req.user.id;
+        await returnRequest.save();
+
+        await AuditLogService.logStatusChange(
+            req, 'returns', 'ReturnRequest', returnRequest.id, 'requested', 'cancelled'
+        );
+
+        res.json({
+            success: true,
+            message: 'Return request cancelled',
+            data: returnRequest
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Approve return request (Admin)
+ */
+exports.approveReturn = (req, res, next) => runWorkflowStep(req, res, next, {
+    fromStatus: 'requested',
+    message: 'Return approved',
+    action: async (returnRequest, order, transaction) => {
+        if (req.body.adminNotes) returnRequest.adminNotes = req.body.adminNotes;
+        return ReturnService.approveReturn(returnRequest, req.body.items, req, transaction);
+    }
+});
+
+/**
+ * Reject return request (Admin)
+ */
+exports.rejectReturn = (req, res, next) => runWorkflowStep(req, res, next, {
+    fromStatus: 'requested',
+    message: 'Return rejected',
+    action: async (returnRequest, order, transaction) => {
+        returnRequest.status = 'rejected';
+        returnRequest.rejectionReason = req.body.reason;
+        returnRequest.rejectedAt = new Date();
+        returnRequest.updatedBy = req.user.id;
+        await returnRequest.save({ transaction });
+        return { success: true };
+    }
+});
+
+/**
+ * Record returned goods received (Admin)
+ */
+exports.receiveReturn = (req, res, next) => runWorkflowStep(req, res, next, {
+    fromStatus: 'approved',
+    message: 'Returned goods received',
+    action: (returnRequest, order, transaction) =>
+        ReturnService.receiveReturn(returnRequest, req.body.items, req, transaction)
+});
+
+/**
+ * Inspect returned goods: restock or write off (Admin)
+ */
+exports.inspectReturn = (req, res, next) => runWorkflowStep(req, res, next, {
+    fromStatus: 'received',
+    message: 'Inspection recorded',
+    action: (returnRequest, order, transaction) =>
+        ReturnService.inspectReturn(returnRequest, req.body.items, req, transaction)
+});
+
+/**
+ * Issue credit note / refund and close the return (Admin)
+ */
+exports.completeReturn = (req, res, next) => runWorkflowStep(req, res, next, {
+    fromStatus: 'inspected',
+    message: 'Return completed',
+    action: (returnRequest, order, transaction) => {
+        if (req.body.resolution) returnRequest.resolution = req.body.resolution;
+        return ReturnService.completeReturn(returnRequest, order, req, transaction);
+    }
+});
@@ -0,0 +1,195 @@
+const { validationResult } = require('express-validator');
+const { SalesAnalyticsService } = require('../../services');
+
+/**
+ * Period and filters shared by the analytics endpoints
+ */
+const getOptions = (query) => ({
+    startDate: query.startDate,
+    endDate: query.endDate,
+    compare: query.compare !== false,
+    categoryId: query.categoryId,
+    agencyId: query.agencyId,
+    brandId: query.brandId,
+    doctorId: query.doctorId,
+    productId: query.productId
+});
+
+/**
+ * Gross margin report for one grouping
+ * GET /sales-analytics
+ */
+exports.getMarginReport = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const options = getOptions(req.query);
+        if (new Date(options.startDate) > new Date(options.endDate)) {
+            return res.status(400).json({ success: false, message: 'Start date must be on or before end date' });
+        }
+
+        const report = await SalesAnalyticsService.getMarginReport({
+            ...options,
+            groupBy: req.query.groupBy || 'product',
+            interval: req.query.interval || 'month'
+        });
+
+        res.json({ success: true, data: report });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Download every grouping of the margin report as Excel
+ * GET /sales-analytics/excel
+ */
+exports.downloadMarginExcel = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const ExcelJS = require('exceljs');
+
+        const options = getOptions(req.query);
+        if (new Date(options.startDate) > new Date(options.endDate)) {
+            return res.status(400).json({ success: false, message: 'Start date must be on or before end date' });
+        }
+
+        const interval = req.query.interval || 'month';
+        const data = await SalesAnalyticsService.loadPeriods(options);
+        const summary = SalesAnalyticsService.buildReport(data, 'product', interval);
+
+        const workbook = new ExcelJS.Workbook();
+        const summarySheet = workbook.addWorksheet('Summary');
+
+        summarySheet.columns = [
+            { header: 'Metric', key: 'metric', width: 24 },
+            { header: 'This Period', key: 'current', width: 16 },
+            { header: 'Previous Period', key: 'previous', width: 16 },
+            { header: 'Change', key: 'change', width: 14 },
+            { header: 'Change %', key: 'changePercent', width: 12 }
+        ];
+
+        const formatDate = date => SalesAnalyticsService.formatDate(date);
+        const previous = summary.previousTotals;
+
+        summarySheet.addRow({
+            metric: 'Period',
+            current: `${formatDate(summary.period.startDate)} to ${formatDate(summary.period.endDate)}`,
+            previous: summary.previousPeriod
+                ? `${formatDate(summary.previousPeriod.startDate)} to ${formatDate(summary.previousPeriod.endDate)}`
+                : ''
+        });
+        [
+            ['Orders', 'orderCount', null],
+            ['Units Sold', 'quantity', null],
+            ['Revenue', 'revenue', 'revenuePercent'],
+            ['COGS', 'cogs', 'cogsPercent'],
+            ['Gross Margin', 'grossMargin', 'grossMarginPercent'],
+            ['Margin %', 'marginPercent', null]
+        ].forEach(([metric, key, percentKey]) => {
+            summarySheet.addRow({
+                metric,
+                current: summary.totals[key],
+                previous: previous ? previous[key] : '',
+                change: previous ? parseFloat((summary.totals[key] - previous[key]).toFixed(2)) : '',
+                changePercent: previous && percentKey ? summary.change[percentKey] ?? '' : ''
+            });
+        });
+        if (summary.totals.estimatedCostLines) {
+            summarySheet.addRow({});
+            summarySheet.addRow({
+                metric: `${summary.totals.estimatedCostLines} line(s) had no cost price recorded and use the current product cost`
+            });
+        }
+
+        const groupSheets = [
+            ['Products', 'product', 'Product'],
+            ['Categories', 'category', 'Category'],
+            ['Agencies', 'agency', 'Agency'],
+            ['Brands', 'brand', 'Brand'],
+            ['Doctors', 'doctor', 'Doctor'],
+            [`By ${interval.charAt(0).toUpperCase()}${interval.slice(1)}`, 'period', 'Period']
+        ];
+
+        const sheets = [summarySheet];
+
+        for (const [title, groupBy, label] of groupSheets) {
+            const sheet = workbook.addWorksheet(title);
+            sheets.push(sheet);
+
+            sheet.columns = [
+                { header: label, key: 'name', width: groupBy === 'period' ? 14 : 32 },
+                ...(groupBy === 'product' ? [{ header: 'SKU', key: 'sku', width: 15 }] : []),
+                { header: 'Orders', key: 'orderCount', width: 10 },
+                { header: 'Units', key: 'quantity', width: 10 },
+                { header: 'Revenue', key: 'revenue', width: 14 },
+                { header: 'COGS', key: 'cogs', width: 14 },
+                { header: 'Gross Margin', key: 'grossMargin', width: 14 },
+                { header: 'Margin %', key: 'marginPercent', width: 10 },
+                ...(options.compare ? [
+                    { header: 'Prev. Revenue', key: 'previousRevenue', width: 14 },
+                    { header: 'Prev. Gross Margin', key: 'previousGrossMargin', width: 16 },
+                    { header: 'Prev. Margin %', key: 'previousMarginPercent', width: 14 },
+                    { header: 'Revenue Change %', key: 'revenuePercent', width: 16 },
+                    { header: 'Margin Change (pts)', key: 'marginPoints', width: 18 }
+                ] : [])
+            ];
+
+            const rows = SalesAnalyticsService.buildRows(data.lines, data.previousLines, {
+                groupBy,
+                interval,
+                start: data.start,
+                end: data.end,
+                previous: data.previous
+            });
+
+            rows.forEach(row => {
+                sheet.addRow({
+                    ...row,
+                    sku: row.sku || '',
+                    previousRevenue: row.previous?.revenue,
+                    previousGrossMargin: row.previous?.grossMargin,
+                    previousMarginPercent: row.previous?.marginPercent,
+                    revenuePercent: row.change?.revenuePercent ?? '',
+                    marginPoints: row.change?.marginPoints
+                });
+            });
+
+            sheet.addRow({});
+            sheet.addRow({
+                name: 'TOTAL',
+                ...summary.totals,
+                previousRevenue: previous?.revenue,
+                previousGrossMargin: previous?.grossMargin,
+                previousMarginPercent: previous?.marginPercent,
+                revenuePercent: summary.change?.revenuePercent ?? '',
+                marginPoints: summary.change?.marginPoints
+            }).font = { bold: true };
+        }
+
+        sheets.forEach(sheet => {
+            sheet.getRow(1).fill = {
+                type: 'pattern',
+                pattern: 'solid',
+                fgColor: { argb: 'FF4472C4' }
+            };
+            sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        });
+
+        const filename = `sales_margin_${formatDate(data.start)}_${formatDate(data.end)}.xlsx`;
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        next(error);
+    }
+};
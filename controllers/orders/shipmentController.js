@@ -0,0 +1,246 @@
+const {
+    Order, OrderItem, Shipment, ShipmentItem, User, sequelize
+} = require('../../models');
+const { validationResult } = require('express-validator');
+const {
+    AuditLogService, NotificationService, ShipmentService, PermissionService
+} = require('../../services');
+
+/**
+ * Get shipments for an order
+ */
+exports.getOrderShipments = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const isAdmin = await PermissionService.hasPermission(req.user, 'orders', 'read_all');
+
+        const where = { id, isDeleted: false };
+
+        // Non-admin users can only see their own orders
+        if (!isAdmin) {
+            where.userId = req.user.id;
+        }
+
+        const order = await Order.findOne({
+            where,
+            attributes: ['id', 'orderNumber', 'status'],
+            include: [{ model: OrderItem, as: 'items' }]
+        });
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const shipments = await Shipment.findAll({
+            where: { orderId: order.id },
+            include: [{ model: ShipmentItem, as: 'items' }],
+            order: [['createdAt', 'ASC']]
+        });
+
+        const remainingLines = await ShipmentService.getUnshippedLines(order);
+
+        res.json({
+            success: true,
+            data: {
+                orderId: order.id,
+                orderNumber: order.orderNumber,
+                orderStatus: order.status,
+                shipments,
+                unshipped: remainingLines.map(line => {
+                    const item = order.items.find(i => i.id === line.orderItemId);
+                    return {
+                        ...line,
+                        productId: item.productId,
+                        productName: item.productName
+                    };
+                })
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create a shipment for some lines / part quantities of an order
+ */
+exports.createShipment = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { id } = req.params;
+        const { items, carrier, trackingNumber, trackingUrl, expectedDeliveryDate, notes } = req.body;
+
+        const order = await Order.findByPk(id, {
+            include: [{ model: OrderItem, as: 'items' }],
+            lock: true,
+            transaction
+        });
+
+        if (!order || order.isDeleted) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!['confirmed', 'processing', 'packed', 'partially_shipped'].includes(order.status)) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Cannot create shipments for an order that is ${order.status}`
+            });
+        }
+
+        const result = await ShipmentService.createShipment(
+            order,
+            items,
+            { carrier, trackingNumber, trackingUrl, expectedDeliveryDate, notes },
+            req,
+            transaction
+        );
+
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        await transaction.commit();
+
+        try {
+            await AuditLogService.logCreate(req, 'orders', 'Shipment', result.shipment.id, result.shipment.toJSON());
+        } catch (postCommitError) {
+            console.error('Post-commit error in shipment create:', postCommitError);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Shipment ${result.shipment.shipmentNumber} created`,
+            data: result.shipment
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Update shipment status (stock is reduced when a shipment is shipped)
+ */
+exports.updateShipmentStatus = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { id, shipmentId } = req.params;
+        const { status, notes, carrier, trackingNumber, trackingUrl, expectedDeliveryDate } = req.body;
+
+        const order = await Order.findByPk(id, {
+            include: [
+                { model: OrderItem, as: 'items' },
+                { model: User, as: 'user' }
+            ],
+            lock: true,
+            transaction
+        });
+
+        if (!order || order.isDeleted) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (['cancelled', 'refunded', 'returned'].includes(order.status)) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Cannot update shipments for an order that is ${order.status}`
+            });
+        }
+
+        const shipment = await Shipment.findOne({
+            where: { id: shipmentId, orderId: order.id },
+            include: [{ model: ShipmentItem, as: 'items' }],
+            transaction
+        });
+
+        if (!shipment) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Shipment not found'
+            });
+        }
+
+        const result = await ShipmentService.updateShipmentStatus(
+            shipment,
+            order,
+            status,
+            { carrier, trackingNumber, trackingUrl, expectedDeliveryDate, notes },
+            req,
+            transaction
+        );
+
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        const rollup = await ShipmentService.rollupOrderStatus(order, req, transaction);
+
+        await transaction.commit();
+
+        try {
+            await NotificationService.sendShipmentStatusUpdate(shipment, order, order.user);
+
+            await AuditLogService.logStatusChange(
+                req, 'orders', 'Shipment', shipment.id, result.previousStatus, status, notes
+            );
+
+            if (rollup.changed) {
+                await AuditLogService.logStatusChange(
+                    req, 'orders', 'Order', order.id, rollup.previousStatus, rollup.status, `Derived from shipment ${shipment.shipmentNumber}`
+                );
+            }
+        } catch (postCommitError) {
+            console.error('Post-commit error in shipment status update:', postCommitError);
+        }
+
+        res.json({
+            success: true,
+            message: `Shipment status updated to ${status}`,
+            data: {
+                shipment,
+                orderStatus: order.status
+            }
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
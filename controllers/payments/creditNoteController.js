@@ -0,0 +1,387 @@
+const {
+    CreditNote, CreditNoteAllocation, Doctor, User, Order, Payment, sequelize
+} = require('../../models');
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const {
+    AuditLogService, NotificationService, PdfService, CreditNoteService, PermissionService
+} = require('../../services');
+
+const noteIncludes = [
+    {
+        model: Doctor,
+        as: 'doctor',
+        attributes: ['id', 'userId', 'firstName', 'lastName', 'email', 'phone', 'licenseNumber', 'hospitalClinic', 'emailNotifications'],
+        include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'phone'] }]
+    },
+    { model: Order, as: 'order', attributes: ['id', 'orderNumber'] }
+];
+
+/**
+ * Resolve the doctor profile of the current user (doctor account or linked user)
+ */
+const findCurrentDoctor = (req) => Doctor.findOne(
+    req.user.isDoctorAccount
+        ? { where: { id: req.user.id } }
+        : { where: { userId: req.user.id } }
+);
+
+/**
+ * Find a note the current user may see (staff with credit_notes.read_all: any, doctors: their own)
+ */
+const findAccessibleNote = async (req, id) => {
+    const where = {};
+    if (isNaN(id)) {
+        where.noteNumber = id;
+    } else {
+        where.id = id;
+    }
+
+    if (!(await PermissionService.hasPermission(req.user, 'credit_notes', 'read_all'))) {
+        const doctor = await findCurrentDoctor(req);
+        if (!doctor) return null;
+        where.doctorId = doctor.id;
+    }
+
+    return CreditNote.findOne({
+        where,
+        include: [
+            ...noteIncludes,
+            {
+                model: CreditNoteAllocation,
+                as: 'allocations',
+                include: [
+                    { model: Order, as: 'order', attributes: ['id', 'orderNumber'] },
+                    { model: CreditNote, as: 'settledNote', attributes: ['id', 'noteNumber'] },
+                    { model: Payment, as: 'payment', attributes: ['id', 'amount', 'method', 'transactionId', 'paidAt'] }
+                ]
+            }
+        ]
+    });
+};
+
+/**
+ * Get all credit / debit notes (Admin)
+ */
+exports.getAllCreditNotes = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, type, status, doctorId, search, startDate, endDate } = req.query;
+
+        const where = {};
+        if (type) where.type = type;
+        if (status) where.status = status;
+        if (doctorId) where.doctorId = doctorId;
+
+        if (startDate || endDate) {
+            where.issuedAt = {};
+            if (startDate) where.issuedAt[Op.gte] = new Date(startDate);
+            if (endDate) {
+                const endDateTime = new Date(endDate);
+                endDateTime.setHours(23, 59, 59, 999);
+                where.issuedAt[Op.lte] = endDateTime;
+            }
+        }
+
+        if (search) {
+            where[Op.or] = [
+                { noteNumber: { [Op.like]: `%${search}%` } },
+                { reason: { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        const { count, rows } = await CreditNote.findAndCountAll({
+            where,
+            include: noteIncludes,
+            order: [['issuedAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                notes: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get current doctor's credit / debit notes
+ */
+exports.getMyCreditNotes = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, type } = req.query;
+
+        const doctor = await findCurrentDoctor(req);
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor profile not found'
+            });
+        }
+
+        const where = { doctorId: doctor.id, status: { [Op.ne]: 'cancelled' } };
+        if (type) where.type = type;
+
+        const { count, rows } = await CreditNote.findAndCountAll({
+            where,
+            include: [{ model: Order, as: 'order', attributes: ['id', 'orderNumber'] }],
+            order: [['issuedAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                notes: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get single credit / debit note
+ */
+exports.getCreditNote = async (req, res, next) => {
+    try {
+        const note = await findAccessibleNote(req, req.params.id);
+
+        if (!note) {
+            return res.status(404).json({
+                success: false,
+                message: 'Note not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: note
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Download credit / debit note PDF
+ */
+exports.downloadCreditNote = async (req, res, next) => {
+    try {
+        const note = await findAccessibleNote(req, req.params.id);
+
+        if (!note) {
+            return res.status(404).json({
+                success: false,
+                message: 'Note not found'
+            });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${note.noteNumber}.pdf`);
+
+        await PdfService.generateCreditNote(note, res);
+    } catch (error) {
+        console.error('Credit note download error:', error);
+        next(error);
+    }
+};
+
+/**
+ * Issue a credit or debit note (Admin)
+ */
+exports.createCreditNote = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { type, doctorId, orderId, amount, reason, items, notes, autoApply } = req.body;
+
+        if (orderId) {
+            const order = await Order.findOne({
+                where: { id: orderId, doctorId, isDeleted: false },
+                transaction
+            });
+
+            if (!order) {
+                await transaction.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: 'Order not found for this doctor'
+                });
+            }
+        }
+
+        const result = await CreditNoteService.issueNote({
+            type, doctorId, orderId, amount, reason, items, notes,
+            autoApply: autoApply !== false
+        }, req, transaction);
+
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        await transaction.commit();
+
+        const note = await CreditNote.findByPk(result.note.id, { include: noteIncludes });
+
+        try {
+            await NotificationService.sendCreditNoteIssued(note, note.doctor.user || note.doctor);
+
+            await AuditLogService.logCreate(req, 'credit_notes', 'CreditNote', note.id, {
+                noteNumber: note.noteNumber,
+                type: note.type,
+                doctorId: note.doctorId,
+                amount: note.amount
+            });
+        } catch (postCommitError) {
+            console.error('Post-commit error in credit note issue:', postCommitError);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${type === 'debit' ? 'Debit' : 'Credit'} note ${note.noteNumber} issued`,
+            data: {
+                note,
+                settlement: result.settlement
+            }
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Apply unused credit note balance to outstandings (FIFO)
+ */
+exports.applyCreditNote = async (req, res, next) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const note = await CreditNote.findByPk(req.params.id, { lock: true, transaction });
+
+        if (!note) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Note not found'
+            });
+        }
+
+        if (note.type !== 'credit' || !['open', 'partially_applied'].includes(note.status)) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Only open credit notes can be applied'
+            });
+        }
+
+        const doctor = await Doctor.findByPk(note.doctorId, { transaction });
+        const settlement = await CreditNoteService.applyNote(note, doctor, req, transaction);
+
+        await transaction.commit();
+
+        await AuditLogService.logUpdate(req, 'credit_notes', 'CreditNote', note.id, null, {
+            appliedAmount: note.appliedAmount,
+            status: note.status
+        }, `Applied ${note.noteNumber} to outstandings`);
+
+        res.json({
+            success: true,
+            message: settlement.remaining > 0
+                ? `Applied to outstandings, ${settlement.remaining.toFixed(2)} remains unused`
+                : 'Credit note fully applied',
+            data: {
+                note,
+                settlement
+            }
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Cancel an unused credit / debit note (Admin)
+ */
+exports.cancelCreditNote = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { reason } = req.body;
+
+        const note = await CreditNote.findByPk(req.params.id, { lock: true, transaction });
+
+        if (!note) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: 'Note not found'
+            });
+        }
+
+        const previousStatus = note.status;
+        const result = await CreditNoteService.cancelNote(note, reason, req, transaction);
+
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        await transaction.commit();
+
+        await AuditLogService.logStatusChange(
+            req, 'credit_notes', 'CreditNote', note.id, previousStatus, 'cancelled', reason
+        );
+
+        res.json({
+            success: true,
+            message: `${note.noteNumber} cancelled`,
+            data: note
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
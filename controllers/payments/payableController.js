@@ -0,0 +1,630 @@
+const {
+    SupplierInvoice, SupplierInvoiceItem, SupplierPayment, Supplier, PurchaseOrder, Product, User, sequelize
+} = require('../../models');
+const { validationResult } = require('express-validator');
+const { AuditLogService, PayablesService } = require('../../services');
+const { Op } = require('sequelize');
+
+/**
+ * Get supplier invoices
+ * GET /payables/invoices
+ */
+exports.getInvoices = async (req, res, next) => {
+    try {
+        const {
+            page = 1, limit = 20, supplierId, purchaseOrderId, status, matchStatus, overdue, search
+        } = req.query;
+
+        const where = {};
+        if (supplierId) where.supplierId = supplierId;
+        if (purchaseOrderId) where.purchaseOrderId = purchaseOrderId;
+        if (status) where.status = status;
+        if (matchStatus) where.matchStatus = matchStatus;
+        if (overdue === 'true') {
+            where.status = { [Op.in]: PayablesService.OUTSTANDING_STATUSES };
+            where.dueDate = { [Op.lt]: new Date().toISOString().split('T')[0] };
+            where.dueAmount = { [Op.gt]: 0 };
+        }
+        if (search) {
+            where[Op.or] = [
+                { referenceNumber: { [Op.like]: `%${search}%` } },
+                { invoiceNumber: { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        const { count, rows } = await SupplierInvoice.findAndCountAll({
+            where,
+            include: [
+                { model: Supplier, as: 'supplier', attributes: ['id', 'name', 'code'] },
+                { model: PurchaseOrder, as: 'purchaseOrder', attributes: ['id', 'poNumber', 'status', 'paymentStatus'] }
+            ],
+            order: [['createdAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                invoices: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a supplier invoice with its matched lines and payments
+ * GET /payables/invoices/:id
+ */
+exports.getInvoice = async (req, res, next) => {
+    try {
+        const invoice = await SupplierInvoice.findByPk(req.params.id, {
+            include: [
+                { model: Supplier, as: 'supplier', attributes: ['id', 'name', 'code', 'email', 'phone'] },
+                { model: PurchaseOrder, as: 'purchaseOrder', attributes: ['id', 'poNumber', 'status', 'paymentStatus', 'totalAmount'] },
+                {
+                    model: SupplierInvoiceItem,
+                    as: 'items',
+                    include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'sku'] }]
+                },
+                {
+                    model: SupplierPayment,
+                    as: 'payments',
+                    include: [{ model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }]
+                },
+                { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] },
+                { model: User, as: 'approver', attributes: ['id', 'firstName', 'lastName'] }
+            ],
+            order: [[{ model: SupplierPayment, as: 'payments' }, 'createdAt', 'ASC']]
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ success: false, message: 'Supplier invoice not found' });
+        }
+
+        res.json({
+            success: true,
+            data: invoice
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Record a supplier invoice against a purchase order
+ * POST /payables/invoices
+ */
+exports.createInvoice = async (req, res, next) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const result = await PayablesService.createInvoice(req.body, req, transaction);
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await transaction.commit();
+
+        const { invoice } = result;
+
+        try {
+            await AuditLogService.logCreate(req, 'payables', 'SupplierInvoice', invoice.id, {
+                referenceNumber: invoice.referenceNumber,
+                invoiceNumber: invoice.invoiceNumber,
+                purchaseOrderId: invoice.purchaseOrderId,
+                totalAmount: invoice.totalAmount,
+                matchStatus: invoice.matchStatus
+            }, `Recorded supplier invoice ${invoice.invoiceNumber} as ${invoice.referenceNumber}`);
+        } catch (postCommitError) {
+            console.error('Post-commit error in supplier invoice create:', postCommitError);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: invoice.matchStatus === 'matched'
+                ? 'Supplier invoice recorded and matched'
+                : `Supplier invoice recorded with ${invoice.discrepancies.length} discrepancy(ies)`,
+            data: invoice
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Re-run the three-way match on a pending invoice
+ * POST /payables/invoices/:id/rematch
+ */
+exports.rematchInvoice = async (req, res, next) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { invoice, po } = await PayablesService.loadForMatch(req.params.id, transaction);
+        if (!invoice) {
+            await transaction.rollback();
+            return res.status(404).json({ success: false, message: 'Supplier invoice not found' });
+        }
+
+        const result = await PayablesService.rematchInvoice(invoice, po, transaction);
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await transaction.commit();
+
+        res.json({
+            success: true,
+            message: result.discrepancies.length
+                ? `${result.discrepancies.length} discrepancy(ies) found`
+                : 'Invoice matches the purchase order and receipts',
+            data: invoice
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Approve an invoice for payment
+ * POST /payables/invoices/:id/approve
+ */
+exports.approveInvoice = async (req, res, next) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { invoice, po } = await PayablesService.loadForMatch(req.params.id, transaction);
+        if (!invoice) {
+            await transaction.rollback();
+            return res.status(404).json({ success: false, message: 'Supplier invoice not found' });
+        }
+
+        // Receipts may have changed since the invoice was entered
+        if (invoice.status === 'pending') {
+            await PayablesService.matchInvoice(invoice, po, transaction);
+        }
+
+        const previousStatus = invoice.status;
+        const result = await PayablesService.approveInvoice(invoice, req.body.overrideReason, req, transaction);
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: result.message,
+                data: { discrepancies: invoice.discrepancies }
+            });
+        }
+
+        await transaction.commit();
+
+        try {
+            if (invoice.matchStatus === 'overridden') {
+                await AuditLogService.log({
+                    userId: req.user.id,
+                    userName: req.user.userName,
+                    action: 'STATUS_CHANGE',
+                    module: 'payables',
+                    entityType: 'SupplierInvoice',
+                    entityId: invoice.id,
+                    description: `Approved ${invoice.referenceNumber} despite match discrepancies: ${invoice.overrideReason}`,
+                    previousData: { status: previousStatus },
+                    newData: { status: invoice.status, matchStatus: invoice.matchStatus },
+                    metadata: { discrepancies: invoice.discrepancies },
+                    riskLevel: 'MEDIUM',
+                    ipAddress: AuditLogService.getIpAddress(req),
+                    userAgent: req.get('User-Agent')
+                });
+            } else {
+                await AuditLogService.logStatusChange(req, 'payables', 'SupplierInvoice', invoice.id,
+                    previousStatus, invoice.status);
+            }
+        } catch (postCommitError) {
+            console.error('Post-commit error in supplier invoice approval:', postCommitError);
+        }
+
+        res.json({
+            success: true,
+            message: 'Supplier invoice approved for payment',
+            data: invoice
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Cancel a supplier invoice
+ * POST /payables/invoices/:id/cancel
+ */
+exports.cancelInvoice = async (req, res, next) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const invoice = await SupplierInvoice.findByPk(req.params.id, {
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        if (!invoice) {
+            await transaction.rollback();
+            return res.status(404).json({ success: false, message: 'Supplier invoice not found' });
+        }
+
+        const previousStatus = invoice.status;
+        const result = await PayablesService.cancelInvoice(invoice, req.body.reason, req, transaction);
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await transaction.commit();
+
+        try {
+            await AuditLogService.logStatusChange(req, 'payables', 'SupplierInvoice', invoice.id,
+                previousStatus, 'cancelled', req.body.reason);
+        } catch (postCommitError) {
+            console.error('Post-commit error in supplier invoice cancel:', postCommitError);
+        }
+
+        res.json({
+            success: true,
+            message: 'Supplier invoice cancelled',
+            data: invoice
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Pay a supplier invoice
+ * POST /payables/invoices/:id/payments
+ */
+exports.recordPayment = async (req, res, next) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const invoice = await SupplierInvoice.findByPk(req.params.id, {
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        if (!invoice) {
+            await transaction.rollback();
+            return res.status(404).json({ success: false, message: 'Supplier invoice not found' });
+        }
+
+        const result = await PayablesService.recordPayment(invoice, req.body, req, transaction);
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await transaction.commit();
+
+        const { payment } = result;
+
+        try {
+            await AuditLogService.logCreate(req, 'payables', 'SupplierPayment', payment.id, {
+                paymentNumber: payment.paymentNumber,
+                supplierInvoiceId: invoice.id,
+                amount: payment.amount,
+                method: payment.method
+            }, `Paid ${parseFloat(payment.amount).toFixed(2)} against ${invoice.referenceNumber} (${invoice.invoiceNumber})`);
+        } catch (postCommitError) {
+            console.error('Post-commit error in supplier payment:', postCommitError);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Supplier payment recorded',
+            data: {
+                payment,
+                invoice
+            }
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get supplier payments
+ * GET /payables/payments
+ */
+exports.getPayments = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, supplierId, status, method, startDate, endDate } = req.query;
+
+        const where = {};
+        if (supplierId) where.supplierId = supplierId;
+        if (status) where.status = status;
+        if (method) where.method = method;
+        if (startDate || endDate) {
+            where.paymentDate = {};
+            if (startDate) where.paymentDate[Op.gte] = startDate;
+            if (endDate) where.paymentDate[Op.lte] = endDate;
+        }
+
+        const { count, rows } = await SupplierPayment.findAndCountAll({
+            where,
+            include: [
+                { model: Supplier, as: 'supplier', attributes: ['id', 'name', 'code'] },
+                { model: SupplierInvoice, as: 'invoice', attributes: ['id', 'referenceNumber', 'invoiceNumber', 'purchaseOrderId'] }
+            ],
+            order: [['paymentDate', 'DESC'], ['createdAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                payments: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Void a supplier payment
+ * POST /payables/payments/:id/void
+ */
+exports.voidPayment = async (req, res, next) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const payment = await SupplierPayment.findByPk(req.params.id, {
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        if (!payment) {
+            await transaction.rollback();
+            return res.status(404).json({ success: false, message: 'Supplier payment not found' });
+        }
+
+        const result = await PayablesService.voidPayment(payment, req.body.reason, req, transaction);
+        if (!result.success) {
+            await transaction.rollback();
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        await transaction.commit();
+
+        try {
+            await AuditLogService.log({
+                userId: req.user.id,
+                userName: req.user.userName,
+                action: 'STATUS_CHANGE',
+                module: 'payables',
+                entityType: 'SupplierPayment',
+                entityId: payment.id,
+                description: `Voided supplier payment ${payment.paymentNumber}: ${req.body.reason}`,
+                previousData: { status: 'completed' },
+                newData: { status: 'void' },
+                riskLevel: 'MEDIUM',
+                ipAddress: AuditLogService.getIpAddress(req),
+                userAgent: req.get('User-Agent')
+            });
+        } catch (postCommitError) {
+            console.error('Post-commit error in supplier payment void:', postCommitError);
+        }
+
+        res.json({
+            success: true,
+            message: 'Supplier payment voided',
+            data: result
+        });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+/**
+ * Ordered vs received vs invoiced for a purchase order
+ * GET /payables/purchase-orders/:purchaseOrderId/match
+ */
+exports.getPurchaseOrderMatch = async (req, res, next) => {
+    try {
+        const match = await PayablesService.getPurchaseOrderMatch(req.params.purchaseOrderId);
+        if (!match) {
+            return res.status(404).json({ success: false, message: 'Purchase order not found' });
+        }
+
+        res.json({
+            success: true,
+            data: match
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get aged payables per supplier
+ * GET /payables/aging
+ */
+exports.getPayablesAging = async (req, res, next) => {
+    try {
+        const { supplierId } = req.query;
+
+        const report = await PayablesService.getAgingReport({
+            supplierId,
+            includeInvoices: !!supplierId
+        });
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Download aged payables as Excel
+ * GET /payables/aging/excel
+ */
+exports.downloadPayablesAgingExcel = async (req, res, next) => {
+    try {
+        const ExcelJS = require('exceljs');
+
+        const report = await PayablesService.getAgingReport({ includeInvoices: true });
+
+        const workbook = new ExcelJS.Workbook();
+        const summarySheet = workbook.addWorksheet('Aging Summary');
+        const invoicesSheet = workbook.addWorksheet('Outstanding Invoices');
+
+        const bucketColumns = report.buckets.map(b => ({ header: b.label, key: b.key, width: 14 }));
+
+        summarySheet.columns = [
+            { header: 'Supplier', key: 'name', width: 30 },
+            { header: 'Code', key: 'code', width: 12 },
+            { header: 'Phone', key: 'phone', width: 15 },
+            { header: 'Invoices', key: 'invoiceCount', width: 10 },
+            ...bucketColumns,
+            { header: 'Awaiting Approval', key: 'unapproved', width: 18 },
+            { header: 'Total Due', key: 'total', width: 14 }
+        ];
+
+        invoicesSheet.columns = [
+            { header: 'Supplier', key: 'name', width: 30 },
+            { header: 'Reference', key: 'referenceNumber', width: 18 },
+            { header: 'Supplier Invoice', key: 'invoiceNumber', width: 18 },
+            { header: 'PO Number', key: 'poNumber', width: 16 },
+            { header: 'Invoice Date', key: 'invoiceDate', width: 14 },
+            { header: 'Due Date', key: 'dueDate', width: 14 },
+            { header: 'Days Past Due', key: 'daysPastDue', width: 14 },
+            { header: 'Bucket', key: 'bucket', width: 14 },
+            { header: 'Status', key: 'status', width: 14 },
+            { header: 'Match', key: 'matchStatus', width: 12 },
+            { header: 'Total', key: 'totalAmount', width: 12 },
+            { header: 'Paid', key: 'paidAmount', width: 12 },
+            { header: 'Due', key: 'dueAmount', width: 12 }
+        ];
+
+        [summarySheet, invoicesSheet].forEach(sheet => {
+            sheet.getRow(1).fill = {
+                type: 'pattern',
+                pattern: 'solid',
+                fgColor: { argb: 'FF4472C4' }
+            };
+            sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        });
+
+        const bucketLabels = report.buckets.reduce((acc, b) => ({ ...acc, [b.key]: b.label }), {});
+
+        report.suppliers.forEach(row => {
+            summarySheet.addRow({
+                name: row.name,
+                code: row.code || '',
+                phone: row.phone || '',
+                invoiceCount: row.invoiceCount,
+                ...report.buckets.reduce((acc, b) => ({ ...acc, [b.key]: row[b.key].toFixed(2) }), {}),
+                unapproved: row.unapproved.toFixed(2),
+                total: row.total.toFixed(2)
+            });
+
+            row.invoices.forEach(invoice => {
+                invoicesSheet.addRow({
+                    name: row.name,
+                    referenceNumber: invoice.referenceNumber,
+                    invoiceNumber: invoice.invoiceNumber,
+                    poNumber: invoice.poNumber || '',
+                    invoiceDate: invoice.invoiceDate,
+                    dueDate: invoice.dueDate,
+                    daysPastDue: invoice.daysPastDue,
+                    bucket: bucketLabels[invoice.bucket],
+                    status: invoice.status,
+                    matchStatus: invoice.matchStatus,
+                    totalAmount: invoice.totalAmount.toFixed(2),
+                    paidAmount: invoice.paidAmount.toFixed(2),
+                    dueAmount: invoice.dueAmount.toFixed(2)
+                });
+            });
+        });
+
+        summarySheet.addRow({});
+        const summaryRow = summarySheet.addRow({
+            name: 'TOTAL',
+            invoiceCount: report.suppliers.reduce((sum, row) => sum + row.invoiceCount, 0),
+            ...report.buckets.reduce((acc, b) => ({ ...acc, [b.key]: report.totals[b.key].toFixed(2) }), {}),
+            total: report.totals.total.toFixed(2)
+        });
+        summaryRow.font = { bold: true };
+
+        const filename = `payables_aging_${new Date().toISOString().split('T')[0]}.xlsx`;
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        next(error);
+    }
+};
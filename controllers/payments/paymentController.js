@@ -1,7 +1,10 @@
 const { Payment, Order, OrderItem, Doctor, User, Product, sequelize } = require('../../models');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
-const { AuditLogService, NotificationService, PayHereService, InventoryService } = require('../../services');
+const {
+    AuditLogService, NotificationService, PayHereService, InventoryService, PaymentService,
+    PdfService, ReceivablesService, BatchAllocationService
+} = require('../../services');
 
 /**
  * Get payments for order
@@ -264,53 +267,19 @@ exports.processRefund = async (req, res, next) => {
             });
         }
 
-        if (!['completed', 'pending', 'processing'].includes(originalPayment.status)) {
-
-            await transaction.rollback();
-            return res.status(400).json({
-                success: false,
-                message: 'Only completed payments can be refunded'
-            });
-        }
-
         const refundAmount = amount || originalPayment.amount;
 
-        if (parseFloat(refundAmount) > parseFloat(originalPayment.amount)) {
+        const result = await PaymentService.refundPayment(originalPayment, refundAmount, reason, req, transaction);
+
+        if (!result.success) {
             await transaction.rollback();
             return res.status(400).json({
                 success: false,
-                message: 'Refund amount cannot exceed original payment'
+                message: result.message
             });
         }
 
-        // Create refund record
-        const refund = await Payment.create({
-            orderId: originalPayment.orderId,
-            amount: -Math.abs(refundAmount),
-            method: 'refund',
-            status: 'completed',
-            transactionId: `REF-${originalPayment.transactionId || originalPayment.id}`,
-            notes: reason,
-            refundedPaymentId: originalPayment.id,
-            processedAt: new Date(),
-            processedBy: req.user.id,
-            createdBy: req.user.id
-        }, { transaction });
-
-        // Update original payment
-        originalPayment.refundedAmount = parseFloat(originalPayment.refundedAmount || 0) + parseFloat(refundAmount);
-        if (originalPayment.refundedAmount >= originalPayment.amount) {
-            originalPayment.status = 'refunded';
-        } else {
-            originalPayment.status = 'partial_refund';
-        }
-        await originalPayment.save({ transaction });
-
-        // Update order
-        const order = originalPayment.order;
-        order.paidAmount = parseFloat(order.paidAmount) - parseFloat(refundAmount);
-        order.dueAmount = parseFloat(order.total) - parseFloat(order.paidAmount);
-        await order.save({ transaction });
+        const refund = result.refund;
 
         await transaction.commit();
 
@@ -399,6 +368,173 @@ exports.getPaymentStats = async (req, res, next) => {
         next(error);
     }
 };
+/**
+ * Get aged receivables for credit customers
+ */
+exports.getReceivablesAging = async (req, res, next) => {
+    try {
+        const report = await ReceivablesService.getAgingReport();
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get aged receivables for one doctor, down to the order
+ */
+exports.getDoctorReceivablesAging = async (req, res, next) => {
+    try {
+        const { doctorId } = req.params;
+
+        const doctor = await Doctor.findByPk(doctorId, { attributes: ['id'] });
+        if (!doctor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Doctor not found'
+            });
+        }
+
+        const report = await ReceivablesService.getAgingReport({ doctorId: doctor.id, includeOrders: true });
+
+        res.json({
+            success: true,
+            data: {
+                asOf: report.asOf,
+                buckets: report.buckets,
+                doctor: report.doctors[0] || null
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Download aged receivables as Excel
+ */
+exports.downloadReceivablesAgingExcel = async (req, res, next) => {
+    try {
+        const ExcelJS = require('exceljs');
+
+        const report = await ReceivablesService.getAgingReport({ includeOrders: true });
+
+        // Create workbook and worksheets
+        const workbook = new ExcelJS.Workbook();
+        const summarySheet = workbook.addWorksheet('Aging Summary');
+        const ordersSheet = workbook.addWorksheet('Outstanding Orders');
+
+        const bucketColumns = report.buckets.map(b => ({ header: b.label, key: b.key, width: 14 }));
+
+        summarySheet.columns = [
+            { header: 'Doctor', key: 'name', width: 25 },
+            { header: 'License', key: 'licenseNumber', width: 18 },
+            { header: 'Hospital/Clinic', key: 'hospitalClinic', width: 25 },
+            { header: 'Phone', key: 'phone', width: 15 },
+            { header: 'Credit Limit', key: 'creditLimit', width: 14 },
+            { header: 'Orders', key: 'orderCount', width: 10 },
+            ...bucketColumns,
+            { header: 'Total Due', key: 'total', width: 14 }
+        ];
+
+        ordersSheet.columns = [
+            { header: 'Doctor', key: 'name', width: 25 },
+            { header: 'Order Number', key: 'orderNumber', width: 20 },
+            { header: 'Order Date', key: 'createdAt', width: 15 },
+            { header: 'Due Date', key: 'creditDueDate', width: 15 },
+            { header: 'Days Past Due', key: 'daysPastDue', width: 14 },
+            { header: 'Bucket', key: 'bucket', width: 14 },
+            { header: 'Total', key: 'total', width: 12 },
+            { header: 'Paid', key: 'paidAmount', width: 12 },
+            { header: 'Due', key: 'dueAmount', width: 12 }
+        ];
+
+        // Style header rows
+        [summarySheet, ordersSheet].forEach(sheet => {
+            sheet.getRow(1).fill = {
+                type: 'pattern',
+                pattern: 'solid',
+                fgColor: { argb: 'FF4472C4' }
+            };
+            sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        });
+
+        const bucketLabels = report.buckets.reduce((acc, b) => ({ ...acc, [b.key]: b.label }), {});
+
+        // Add data rows
+        report.doctors.forEach(row => {
+            summarySheet.addRow({
+                name: row.name,
+                licenseNumber: row.licenseNumber || '',
+                hospitalClinic: row.hospitalClinic || '',
+                phone: row.phone || '',
+                creditLimit: row.creditLimit.toFixed(2),
+                orderCount: row.orderCount,
+                ...report.buckets.reduce((acc, b) => ({ ...acc, [b.key]: row[b.key].toFixed(2) }), {}),
+                total: row.total.toFixed(2)
+            });
+
+            row.orders.forEach(order => {
+                ordersSheet.addRow({
+                    name: row.name,
+                    orderNumber: order.orderNumber,
+                    createdAt: new Date(order.createdAt).toLocaleDateString(),
+                    creditDueDate: order.creditDueDate ? new Date(order.creditDueDate).toLocaleDateString() : '',
+                    daysPastDue: order.daysPastDue,
+                    bucket: bucketLabels[order.bucket],
+                    total: order.total.toFixed(2),
+                    paidAmount: order.paidAmount.toFixed(2),
+                    dueAmount: order.dueAmount.toFixed(2)
+                });
+            });
+        });
+
+        // Add summary row
+        summarySheet.addRow({});
+        const summaryRow = summarySheet.addRow({
+            name: 'TOTAL',
+            orderCount: report.doctors.reduce((sum, row) => sum + row.orderCount, 0),
+            ...report.buckets.reduce((acc, b) => ({ ...acc, [b.key]: report.totals[b.key].toFixed(2) }), {}),
+            total: report.totals.total.toFixed(2)
+        });
+        summaryRow.font = { bold: true };
+
+        // Set response headers
+        const filename = `receivables_aging_${new Date().toISOString().split('T')[0]}.xlsx`;
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        // Write to response
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        console.error('Aging Excel download error:', error);
+        next(error);
+    }
+};
+
+/**
+ * Download aged receivables as PDF
+ */
+exports.downloadReceivablesAgingPdf = async (req, res, next) => {
+    try {
+        const report = await ReceivablesService.getAgingReport();
+
+        const filename = `receivables_aging_${new Date().toISOString().split('T')[0]}.pdf`;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+        await PdfService.generateAgingReport(report, res);
+    } catch (error) {
+        console.error('Aging PDF download error:', error);
+        next(error);
+    }
+};
+
 /**
  * Verify order payment status (used by frontend success/cancel pages)
  * GET /payments/verify/:orderNumber
@@ -477,6 +613,7 @@ exports.handlePayHereNotify = async (req, res, next) => {
         }
 
         const { order_id, payhere_amount, status_code, payment_id, method } = data;
+        let paidAfterCancel = null;
 
         // 2. Find Order
         const order = await Order.findOne({
@@ -505,7 +642,7 @@ exports.handlePayHereNotify = async (req, res, next) => {
 
             if (!existingPayment) {
                 // Record payment
-                await Payment.create({
+                const payment = await Payment.create({
                     orderId: order.id,
                     amount: payhere_amount,
                     method: method || 'payhere',
@@ -519,14 +656,30 @@ exports.handlePayHereNotify = async (req, res, next) => {
                 order.paidAmount = parseFloat(order.paidAmount || 0) + parseFloat(payhere_amount);
                 order.dueAmount = parseFloat(order.total) - parseFloat(order.paidAmount);
 
-                if (order.dueAmount <= 0) {
+                if (order.status === 'cancelled') {
+                    // Reservation expired before the gateway confirmed; the money has to go back
+                    order.paymentStatus = 'refund_due';
+                    paidAfterCancel = payment;
+                } else if (order.dueAmount <= 0) {
                     order.paymentStatus = 'paid';
-                    order.status = 'confirmed'; // Auto-confirm if fully paid
+                    if (order.status !== 'on_hold') {
+                        // Credit-held orders stay held; releasing the hold confirms them
+                        order.status = 'confirmed'; // Auto-confirm if fully paid
+                    }
                 } else {
                     order.paymentStatus = 'partial';
                 }
 
                 await order.save({ transaction });
+
+                if (!paidAfterCancel) {
+                    // Paid stock no longer expires
+                    await InventoryService.holdReservations(order.id, transaction);
+                }
+
+                if (order.status === 'confirmed') {
+                    await BatchAllocationService.allocateOrder(order, null, transaction);
+                }
             }
         } else if (Number(status_code) === 0) {
             // Pending
@@ -569,6 +722,28 @@ exports.handlePayHereNotify = async (req, res, next) => {
         }
 
         await transaction.commit();
+
+        if (paidAfterCancel) {
+            try {
+                await AuditLogService.log({
+                    action: 'OTHER',
+                    module: 'payments',
+                    entityType: 'Order',
+                    entityId: order.id,
+                    description: `PayHere payment ${payment_id} of ${parseFloat(payhere_amount).toFixed(2)} received for cancelled order ${order.orderNumber}; refund due`,
+                    metadata: { paymentId: paidAfterCancel.id, transactionId: payment_id, cancelReason: order.cancelReason },
+                    riskLevel: 'HIGH',
+                    ipAddress: AuditLogService.getIpAddress(req),
+                    userAgent: req.headers['user-agent']
+                });
+
+                const user = await User.findByPk(order.userId);
+                await NotificationService.sendPaymentOnCancelledOrderAlertToAdmins(order, paidAfterCancel, user);
+            } catch (postCommitError) {
+                console.error('Post-commit error for payment on cancelled order:', postCommitError);
+            }
+        }
+
         res.status(200).send('OK');
     } catch (error) {
         if (transaction && !transaction.finished) {
@@ -0,0 +1,201 @@
+const { ScheduledJob, JobRun, User } = require('../../models');
+const { validationResult } = require('express-validator');
+const { AuditLogService, SchedulerService } = require('../../services');
+
+/**
+ * Find a job by id or name
+ */
+const findJob = (id) => ScheduledJob.findOne({
+    where: isNaN(id) ? { name: id } : { id }
+});
+
+/**
+ * Get all scheduled jobs with their last results (Admin)
+ */
+exports.getJobs = async (req, res, next) => {
+    try {
+        const jobs = await ScheduledJob.findAll({
+            order: [['name', 'ASC']]
+        });
+
+        res.json({
+            success: true,
+            data: jobs
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get single job with its most recent runs (Admin)
+ */
+exports.getJob = async (req, res, next) => {
+    try {
+        const job = await findJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        const recentRuns = await JobRun.findAll({
+            where: { jobId: job.id },
+            order: [['startedAt', 'DESC']],
+            limit: 10
+        });
+
+        res.json({
+            success: true,
+            data: {
+                job,
+                recentRuns
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get run history, optionally for one job (Admin)
+ */
+exports.getJobRuns = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, jobName, status, trigger } = req.query;
+
+        const where = {};
+        if (jobName) where.jobName = jobName;
+        if (status) where.status = status;
+        if (trigger) where.trigger = trigger;
+
+        if (req.params.id) {
+            const job = await findJob(req.params.id);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+            where.jobId = job.id;
+        }
+
+        const { count, rows } = await JobRun.findAndCountAll({
+            where,
+            include: [{ model: User, as: 'triggeredByUser', attributes: ['id', 'firstName', 'lastName'] }],
+            order: [['startedAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                runs: rows,
+                pagination: {
+                    total: count,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Trigger a job immediately (Admin)
+ */
+exports.runJob = async (req, res, next) => {
+    try {
+        const job = await findJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        const result = await SchedulerService.runJob(job.name, { trigger: 'manual', req });
+
+        if (!result.run) {
+            return res.status(409).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        await AuditLogService.log({
+            userId: req.user.id,
+            userName: req.user.userName,
+            action: 'OTHER',
+            module: 'jobs',
+            entityType: 'ScheduledJob',
+            entityId: job.id,
+            description: `Manually ran job ${job.name} (${result.run.status})`,
+            metadata: { runId: result.run.id, result: result.run.result, error: result.run.error },
+            ipAddress: AuditLogService.getIpAddress(req),
+            userAgent: req.get('User-Agent')
+        });
+
+        res.json({
+            success: result.success,
+            message: result.message,
+            data: result.run
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Enable/disable a job or change its interval (Admin)
+ */
+exports.updateJob = async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const job = await findJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        const { isEnabled, intervalMinutes } = req.body;
+        const previousData = { isEnabled: job.isEnabled, intervalMinutes: job.intervalMinutes };
+
+        if (isEnabled !== undefined) job.isEnabled = isEnabled;
+        if (intervalMinutes !== undefined) {
+            job.intervalMinutes = parseInt(intervalMinutes);
+            // Reschedule from the last run so the new interval applies right away
+            const from = job.lastRunAt ? new Date(job.lastRunAt) : new Date();
+            job.nextRunAt = new Date(from.getTime() + job.intervalMinutes * 60 * 1000);
+        }
+        job.updatedBy = req.user.id;
+        await job.save();
+
+        await AuditLogService.logUpdate(req, 'jobs', 'ScheduledJob', job.id, previousData, {
+            isEnabled: job.isEnabled,
+            intervalMinutes: job.intervalMinutes
+        }, `Updated job ${job.name}`);
+
+        res.json({
+            success: true,
+            message: 'Job updated successfully',
+            data: job
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,4 +1,5 @@
 const { Role, Permission, RolePermission, sequelize } = require('../../models');
+const { PermissionService } = require('../../services');
 
 // Get all roles with their permissions
 exports.getRoles = async (req, res, next) => {
@@ -37,6 +38,28 @@ exports.getPermissions = async (req, res, next) => {
     }
 };
 
+// Get the current user's effective permissions as a module x action matrix
+exports.getMyPermissions = async (req, res, next) => {
+    try {
+        const matrix = await PermissionService.getPermissionMatrix(req.user);
+
+        res.json({
+            success: true,
+            data: {
+                role: {
+                    id: req.user.roleId,
+                    name: req.user.roleName,
+                    level: req.user.roleLevel
+                },
+                isSuperAdmin: PermissionService.isSuperAdmin(req.user),
+                ...matrix
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Update role permissions
 exports.updateRolePermissions = async (req, res, next) => {
     const t = await sequelize.transaction();
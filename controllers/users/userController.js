@@ -1,11 +1,128 @@
-const { User, Role, Doctor, Sequelize, sequelize } = require('../../models');
+const { User, Role, Doctor, UserSession, Sequelize, sequelize } = require('../../models');
 const { Op } = Sequelize;
 const { validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { NotificationService } = require('../../services');
+const {
+    NotificationService,
+    SMSService,
+    SessionService,
+    AuditLogService,
+    PasswordResetService,
+    TwoFactorService,
+    LoginProtectionService
+} = require('../../services');
+
+/**
+ * Start a refresh-token session and sign the access token against it
+ * @returns {Object} - { token, refreshToken, session }
+ */
+const issueSessionTokens = async (tokenPayload, refreshClaims, req) => {
+    const { session, refreshToken } = await SessionService.createSession(refreshClaims, req);
+    const token = jwt.sign({ ...tokenPayload, sid: session.id }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN });
+    return { token, refreshToken, session };
+};
+
+/**
+ * 429 for a login blocked by a lockout or progressive delay
+ */
+const sendLoginBlocked = (res, block) => {
+    res.set('Retry-After', String(block.retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: block.message,
+        retryAfter: block.retryAfter,
+        lockedUntil: block.lockedUntil
+    });
+};
+
+/**
+ * Answer a recorded login failure with 401, or 429 when it locked the account
+ */
+const sendLoginFailure = (res, failure, { status = 401, message = 'Invalid credentials' } = {}) => {
+    if (failure.locked) {
+        return sendLoginBlocked(res, {
+            ...failure,
+            message: 'Too many failed login attempts. Account temporarily locked; please try again later or contact an administrator.'
+        });
+    }
+
+    return res.status(status).json({ success: false, message });
+};
+
+/**
+ * Record a failed login with no account to guard (unknown identifier) and answer it
+ */
+const rejectLogin = async (req, res, { identifier, reason, status, message }) => {
+    const failure = await LoginProtectionService.recordFailure(req, { identifier, reason });
+    return sendLoginFailure(res, failure, { status, message });
+};
+
+/**
+ * Generate a one-off login code on the account and send it by email or SMS
+ */
+const sendTwoFactorCode = async (account, channel = 'email') => {
+    const code = crypto.randomInt(100000, 1000000).toString();
+    account.twoFactorCode = code;
+    account.twoFactorExpiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    await account.save();
+
+    if (channel === 'sms') {
+        return SMSService.sendOTP(account.phone, code, 'login verification');
+    }
+
+    return NotificationService.send({
+        user: account,
+        emailTemplate: 'two_factor_code',
+        placeholders: {
+            customer_name: account.firstName,
+            verification_code: code,
+            expiry_time: '10 minutes',
+            company_name: 'MediBulk'
+        }
+    });
+};
+
+/**
+ * Decide whether a password login needs a second factor. A remembered device skips the prompt.
+ * @returns {Object} - { challenge } response to send, or { claims, setupRequired } to finish the login
+ */
+const checkTwoFactor = async (req, account, { isDoctorTable, tokenPayload, refreshClaims }) => {
+    const record = await TwoFactorService.getRecord(isDoctorTable, account.id);
+    const totpEnrolled = TwoFactorService.isTotpEnabled(record);
+
+    const requiredLevel = await TwoFactorService.getRequiredLevel();
+    const setupRequired = !totpEnrolled && requiredLevel > 0 && tokenPayload.roleLevel >= requiredLevel;
+
+    if (!totpEnrolled && !account.twoFactorEnabled) {
+        return { claims: {}, setupRequired };
+    }
+
+    const device = await TwoFactorService.findTrustedDevice(isDoctorTable, account.id, req.body.deviceToken);
+    if (device) {
+        return { claims: { mfa: device.verifiedWith, totpEnrolled }, setupRequired };
+    }
+
+    const fallbacks = ['email', 'sms'].filter(channel => (channel === 'email' ? account.email : account.phone));
+
+    // Authenticator users request an email/SMS code only when they need the fallback
+    if (!totpEnrolled) {
+        await sendTwoFactorCode(account, 'email');
+    }
+
+    return {
+        challenge: {
+            success: true,
+            twoFactorRequired: true,
+            isDoctorAccount: tokenPayload.isDoctorAccount,
+            challengeToken: TwoFactorService.issueChallenge({ accountId: account.id, isDoctorTable, tokenPayload, refreshClaims }),
+            methods: totpEnrolled ? ['totp', 'recovery', ...fallbacks] : fallbacks,
+            message: totpEnrolled ? 'Enter the code from your authenticator app.' : '2FA code sent to your email.'
+        }
+    };
+};
 
 // ... (existing login, refreshToken, register functions remain unchanged)
 
@@ -526,6 +643,54 @@ exports.setupPassword = async (req, res, next) => {
     }
 };
 
+// Forgotten password: send a reset link by email or an OTP by SMS
+// Always answers generically so the response does not reveal whether the account exists
+exports.forgotPassword = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { identifier, channel = 'email', isDoctor } = req.body;
+        const result = await PasswordResetService.requestReset({ identifier, channel, isDoctor }, req);
+
+        if (result.rateLimited) {
+            return res.status(429).json({ success: false, message: result.message });
+        }
+
+        res.json({
+            success: true,
+            message: channel === 'sms'
+                ? 'If this account exists, a reset code has been sent to its phone number.'
+                : 'If this account exists, a password reset link has been sent to its email address.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Reset password with an emailed token, or identifier + SMS OTP
+exports.resetPassword = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { token, identifier, otp, isDoctor, password } = req.body;
+        const result = await PasswordResetService.resetPassword({ token, identifier, otp, isDoctor, password }, req);
+
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.message });
+        }
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
 // ... (existing getUsers, toggleUserStatus, logout functions)
 
 // Login doctor specifically
@@ -549,6 +714,11 @@ exports.doctorLogin = async (req, res, next) => {
             });
         }
 
+        const ipCheck = await LoginProtectionService.checkIp(req);
+        if (!ipCheck.allowed) {
+            return sendLoginBlocked(res, ipCheck);
+        }
+
         // Try standalone doctor first
         let account = await Doctor.findOne({
             where: {
@@ -592,10 +762,7 @@ exports.doctorLogin = async (req, res, next) => {
         }
 
         if (!account) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials or not a doctor account'
-            });
+            return rejectLogin(req, res, { identifier: identity, message: 'Invalid credentials or not a doctor account' });
         }
 
         // Status checks
@@ -608,12 +775,16 @@ exports.doctorLogin = async (req, res, next) => {
         }
 
         // ── Verify password ──────────────────────────────────────────────
-        const isPasswordValid = await bcrypt.compare(password, account.password);
-        if (!isPasswordValid) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials'
-            });
+        // Locked or still in its back-off delay: refused before the password is tried
+        const attempt = await LoginProtectionService.guardAttempt(
+            req, { account, isDoctor: isStandalone, identifier: identity },
+            () => bcrypt.compare(password, account.password)
+        );
+        if (!attempt.allowed) {
+            return sendLoginBlocked(res, attempt);
+        }
+        if (!attempt.valid) {
+            return sendLoginFailure(res, attempt.failure);
         }
 
         // Check if account is verified (AFTER password check so we don't leak account existence)
@@ -641,39 +812,18 @@ exports.doctorLogin = async (req, res, next) => {
             authenticatedBy,
             isDoctorAccount: true
         };
+        const refreshClaims = { id: account.id, phone: account.phone, roleId: account.role.id, authenticatedBy, isDoctorAccount: true };
 
-        // Check if 2FA is enabled
-        if (account.twoFactorEnabled) {
-            const code = Math.floor(100000 + Math.random() * 900000).toString();
-            account.twoFactorCode = code;
-            account.twoFactorExpiresAt = new Date(Date.now() + 10 * 60 * 1000);
-            await account.save();
-
-            await NotificationService.send({
-                user: account,
-                emailTemplate: 'two_factor_code',
-                placeholders: {
-                    customer_name: account.firstName,
-                    verification_code: code,
-                    expiry_time: '10 minutes',
-                    company_name: 'MediBulk'
-                }
-            });
-
-            return res.json({
-                success: true,
-                twoFactorRequired: true,
-                isDoctorAccount: true,
-                message: '2FA code sent to your email.'
-            });
+        // Second factor (authenticator app or email code) unless this device is remembered
+        const twoFactor = await checkTwoFactor(req, account, { isDoctorTable: isStandalone, tokenPayload, refreshClaims });
+        if (twoFactor.challenge) {
+            return res.json(twoFactor.challenge);
         }
 
-        const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN });
-
-        const refreshToken = jwt.sign(
-            { id: account.id, phone: account.phone, roleId: account.role.id, authenticatedBy, isDoctorAccount: true },
-            process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key',
-            { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+        const { token, refreshToken } = await issueSessionTokens(
+            { ...tokenPayload, ...twoFactor.claims },
+            { ...refreshClaims, ...twoFactor.claims },
+            req
         );
 
         const responseData = account.toJSON();
@@ -688,7 +838,8 @@ exports.doctorLogin = async (req, res, next) => {
                 user: responseData,
                 token,
                 accessToken: token, // For frontend compatibility
-                refreshToken
+                refreshToken,
+                twoFactorSetupRequired: twoFactor.setupRequired
             }
         });
     } catch (error) {
@@ -717,6 +868,11 @@ const login = async (req, res, next) => {
             });
         }
 
+        const ipCheck = await LoginProtectionService.checkIp(req);
+        if (!ipCheck.allowed) {
+            return sendLoginBlocked(res, ipCheck);
+        }
+
         // Find user by phone OR userName with role
         let account = await User.findOne({
             where: {
@@ -754,10 +910,7 @@ const login = async (req, res, next) => {
         }
 
         if (!account) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials'
-            });
+            return rejectLogin(req, res, { identifier: identity });
         }
 
         // Check if account is disabled/deleted
@@ -770,12 +923,16 @@ const login = async (req, res, next) => {
         }
 
         // ── Verify password ──────────────────────────────────────────────
-        const isPasswordValid = await bcrypt.compare(password, account.password);
-        if (!isPasswordValid) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials'
-            });
+        // Locked or still in its back-off delay: refused before the password is tried
+        const attempt = await LoginProtectionService.guardAttempt(
+            req, { account, isDoctor, identifier: identity },
+            () => bcrypt.compare(password, account.password)
+        );
+        if (!attempt.allowed) {
+            return sendLoginBlocked(res, attempt);
+        }
+        if (!attempt.valid) {
+            return sendLoginFailure(res, attempt.failure);
         }
 
         // Check if account is verified (AFTER password check so we don't leak account existence)
@@ -803,40 +960,19 @@ const login = async (req, res, next) => {
             authenticatedBy,
             isDoctorAccount: isDoctor
         };
+        const refreshClaims = { id: account.id, phone: account.phone, roleId: account.role.id, authenticatedBy, isDoctorAccount: isDoctor };
 
-        // Check if 2FA is enabled
-        if (account.twoFactorEnabled) {
-            const code = Math.floor(100000 + Math.random() * 900000).toString();
-            account.twoFactorCode = code;
-            account.twoFactorExpiresAt = new Date(Date.now() + 10 * 60 * 1000);
-            await account.save();
-
-            await NotificationService.send({
-                user: account,
-                emailTemplate: 'two_factor_code',
-                placeholders: {
-                    customer_name: account.firstName,
-                    verification_code: code,
-                    expiry_time: '10 minutes',
-                    company_name: 'MediBulk'
-                }
-            });
-
-            return res.json({
-                success: true,
-                twoFactorRequired: true,
-                isDoctorAccount: isDoctor,
-                message: '2FA code sent to your email.'
-            });
+        // Second factor (authenticator app or email code) unless this device is remembered
+        const twoFactor = await checkTwoFactor(req, account, { isDoctorTable: isDoctor, tokenPayload, refreshClaims });
+        if (twoFactor.challenge) {
+            return res.json(twoFactor.challenge);
         }
 
-        const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN });
-
-        // Generate refresh token
-        const refreshToken = jwt.sign(
-            { id: account.id, phone: account.phone, roleId: account.role.id, authenticatedBy, isDoctorAccount: isDoctor },
-            process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key',
-            { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+        // Access token plus a persisted refresh-token session
+        const { token, refreshToken } = await issueSessionTokens(
+            { ...tokenPayload, ...twoFactor.claims },
+            { ...refreshClaims, ...twoFactor.claims },
+            req
         );
 
         // Remove password from response
@@ -852,7 +988,8 @@ const login = async (req, res, next) => {
                 user: userResponse,
                 token,
                 accessToken: token, // For frontend compatibility
-                refreshToken
+                refreshToken,
+                twoFactorSetupRequired: twoFactor.setupRequired
             }
         });
     } catch (error) {
@@ -874,16 +1011,15 @@ exports.refreshToken = async (req, res, next) => {
             });
         }
 
-        // Verify refresh token
-        let decoded;
-        try {
-            decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key');
-        } catch (error) {
+        // Verify and rotate: every refresh token is single-use
+        const rotation = await SessionService.rotate(refreshToken, req);
+        if (!rotation.success) {
             return res.status(401).json({
                 success: false,
-                message: 'Invalid or expired refresh token'
+                message: rotation.message
             });
         }
+        const { decoded, session } = rotation;
 
         // Verify handle still exists and is active
         let account;
@@ -907,6 +1043,7 @@ exports.refreshToken = async (req, res, next) => {
         }
 
         if (!account) {
+            await SessionService.revokeSession(session, 'account_disabled');
             return res.status(401).json({
                 success: false,
                 message: 'Account not found or disabled'
@@ -923,7 +1060,10 @@ exports.refreshToken = async (req, res, next) => {
                 roleName: account.role.name,
                 roleLevel: account.role.level,
                 authenticatedBy: decoded.authenticatedBy,
-                isDoctorAccount: decoded.isDoctorAccount
+                isDoctorAccount: decoded.isDoctorAccount,
+                mfa: decoded.mfa,
+                totpEnrolled: decoded.totpEnrolled,
+                sid: session.id
             },
             process.env.JWT_SECRET,
             { expiresIn: process.env.JWT_EXPIRES_IN }
@@ -935,7 +1075,7 @@ exports.refreshToken = async (req, res, next) => {
             data: {
                 token: newToken,
                 accessToken: newToken, // For frontend compatibility
-                refreshToken: refreshToken
+                refreshToken: rotation.refreshToken
             }
         });
     } catch (error) {
@@ -1106,15 +1246,33 @@ exports.toggleUserStatus = async (req, res, next) => {
             });
         }
 
+        const wasDisabled = user.isDisabled;
         user.isDisabled = isDisabled;
         await user.save();
 
+        // Disabled accounts are signed out everywhere straight away
+        let sessionsRevoked = 0;
+        if (user.isDisabled) {
+            sessionsRevoked = await SessionService.revokeAllSessions(false, user.id, 'account_disabled', { revokedBy: req.user.id });
+        }
+
+        await AuditLogService.logStatusChange(
+            req,
+            'users',
+            'User',
+            user.id,
+            wasDisabled ? 'disabled' : 'enabled',
+            user.isDisabled ? 'disabled' : 'enabled',
+            user.isDisabled ? `${sessionsRevoked} session(s) revoked` : null
+        );
+
         res.json({
             success: true,
             message: `User ${isDisabled ? 'disabled' : 'enabled'} successfully`,
             data: {
                 id: user.id,
-                isDisabled: user.isDisabled
+                isDisabled: user.isDisabled,
+                sessionsRevoked
             }
         });
     } catch (error) {
@@ -1308,61 +1466,472 @@ exports.disable2FA = async (req, res, next) => {
 
 exports.verify2FALogin = async (req, res, next) => {
     try {
-        const { identity, code, isDoctorAccount } = req.body;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { challengeToken, identity, code, rememberDevice } = req.body;
+
+        let account;
+        let isDoctorTable;
+        let tokenPayload;
+        let refreshClaims;
+
+        if (challengeToken) {
+            const challenge = TwoFactorService.verifyChallenge(challengeToken);
+            if (!challenge) {
+                return res.status(401).json({ success: false, message: 'Verification expired. Please log in again.' });
+            }
 
-        const account = isDoctorAccount
-            ? await Doctor.findOne({ where: { [Op.or]: [{ phone: identity }, { userName: identity }] } })
-            : await User.findOne({
-                where: { [Op.or]: [{ phone: identity }, { userName: identity }] },
-                include: [{ model: Role, as: 'role', attributes: ['id', 'name', 'displayName', 'level'] }]
+            isDoctorTable = challenge.isDoctorTable;
+            account = await (isDoctorTable ? Doctor : User).findOne({
+                where: { id: challenge.accountId, isDeleted: false }
             });
+            ({ tokenPayload, refreshClaims } = challenge);
+        } else {
+            // Email-code flow of clients that predate the challenge token
+            const { isDoctorAccount } = req.body;
+            isDoctorTable = !!isDoctorAccount;
+            account = isDoctorAccount
+                ? await Doctor.findOne({ where: { [Op.or]: [{ phone: identity }, { userName: identity }], isDeleted: false } })
+                : await User.findOne({
+                    where: { [Op.or]: [{ phone: identity }, { userName: identity }], isDeleted: false },
+                    include: [{ model: Role, as: 'role', attributes: ['id', 'name', 'displayName', 'level'] }]
+                });
+
+            if (account && isDoctorAccount) {
+                const doctorRole = await Role.findOne({ where: { name: 'doctor' } });
+                account.role = doctorRole || { id: 0, name: 'doctor', displayName: 'Doctor', level: 15 };
+            }
+
+            if (account) {
+                const authenticatedBy = (identity && /^\d+$/.test(identity)) ? 'phone' : 'userName';
+                tokenPayload = {
+                    id: account.id,
+                    phone: account.phone,
+                    userName: account.userName,
+                    roleId: account.role?.id,
+                    roleName: account.role?.name,
+                    roleLevel: account.role?.level,
+                    authenticatedBy,
+                    isDoctorAccount: !!isDoctorAccount
+                };
+                refreshClaims = { id: account.id, phone: account.phone, roleId: account.role?.id, authenticatedBy, isDoctorAccount: !!isDoctorAccount };
+            }
+        }
 
         if (!account) return res.status(404).json({ success: false, message: 'Account not found' });
 
-        if (account.twoFactorCode === code && account.twoFactorExpiresAt > new Date()) {
-            // Generate tokens
-            const authenticatedBy = (identity && /^\d+$/.test(identity)) ? 'phone' : 'userName';
+        if (isDoctorTable ? !account.isActive : account.isDisabled) {
+            return res.status(403).json({ success: false, message: 'Account is disabled or deleted. Please contact administrator.' });
+        }
 
-            const tokenPayload = {
-                id: account.id,
-                phone: account.phone,
-                userName: account.userName,
-                roleId: account.role?.id,
-                roleName: account.role?.name,
-                roleLevel: account.role?.level,
-                authenticatedBy,
-                isDoctorAccount
-            };
-
-            const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN });
-            const refreshToken = jwt.sign(
-                { id: account.id, phone: account.phone, roleId: account.role?.id, authenticatedBy, isDoctorAccount },
-                process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key',
-                { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+        const accountCheck = await LoginProtectionService.checkAccount(isDoctorTable, account.id);
+        if (!accountCheck.allowed) {
+            return sendLoginBlocked(res, accountCheck);
+        }
+
+        const record = await TwoFactorService.getRecord(isDoctorTable, account.id);
+        const totpEnrolled = TwoFactorService.isTotpEnabled(record);
+        const method = req.body.method || (challengeToken && totpEnrolled ? 'totp' : 'email');
+
+        if (!challengeToken && !['email', 'sms'].includes(method)) {
+            return res.status(400).json({ success: false, message: 'challengeToken is required for authenticator and recovery codes' });
+        }
+
+        const auditTarget = {
+            userId: isDoctorTable ? null : account.id,
+            userName: account.userName || account.phone,
+            module: 'auth',
+            entityType: isDoctorTable ? 'Doctor' : 'User',
+            entityId: account.id,
+            ipAddress: AuditLogService.getIpAddress(req),
+            userAgent: req.headers['user-agent']
+        };
+
+        let recoveryCodesRemaining;
+        if (method === 'totp' || method === 'recovery') {
+            const result = await TwoFactorService.verifyCode(record, code, method);
+            if (!result.success) {
+                await AuditLogService.log({
+                    ...auditTarget,
+                    action: 'LOGIN',
+                    description: result.locked
+                        ? 'Second factor locked after repeated wrong codes'
+                        : `Wrong ${method === 'recovery' ? 'recovery' : 'authenticator'} code at login`,
+                    metadata: { method },
+                    riskLevel: result.locked ? 'HIGH' : 'MEDIUM'
+                });
+                return res.status(result.locked ? 429 : 400).json({ success: false, message: result.message });
+            }
+            recoveryCodesRemaining = result.recoveryCodesRemaining;
+        } else {
+            // Email/SMS codes have no lock of their own: check them under the login throttle
+            const attempt = await LoginProtectionService.guardAttempt(
+                req, { account, isDoctor: isDoctorTable, identifier: account.userName || account.phone, reason: 'invalid_2fa_code' },
+                async () => !!(account.twoFactorCode && account.twoFactorCode === code && account.twoFactorExpiresAt > new Date())
             );
+            if (!attempt.allowed) {
+                return sendLoginBlocked(res, attempt);
+            }
+            if (!attempt.valid) {
+                return sendLoginFailure(res, attempt.failure, { status: 400, message: 'Invalid or expired code.' });
+            }
+        }
 
-            account.twoFactorCode = null;
-            account.twoFactorExpiresAt = null;
-            await account.save();
+        account.twoFactorCode = null;
+        account.twoFactorExpiresAt = null;
+        await account.save();
+        await LoginProtectionService.recordSuccess(isDoctorTable, account.id);
 
-            const userResponse = account.toJSON();
-            delete userResponse.password;
-            userResponse.authenticatedBy = authenticatedBy;
-            userResponse.isDoctorAccount = isDoctorAccount;
-
-            res.json({
-                success: true,
-                message: '2FA verification successful',
-                data: {
-                    user: userResponse,
-                    token,
-                    accessToken: token,
-                    refreshToken
-                }
+        const claims = { mfa: method, totpEnrolled };
+        const { token, refreshToken } = await issueSessionTokens(
+            { ...tokenPayload, ...claims },
+            { ...refreshClaims, ...claims },
+            req
+        );
+
+        let deviceToken;
+        if (rememberDevice) {
+            ({ deviceToken } = await TwoFactorService.trustDevice(isDoctorTable, account.id, method, req));
+        }
+
+        if (method === 'recovery') {
+            await AuditLogService.log({
+                ...auditTarget,
+                action: 'LOGIN',
+                description: `Logged in with a recovery code; ${recoveryCodesRemaining} left`,
+                metadata: { method, recoveryCodesRemaining },
+                riskLevel: 'MEDIUM'
             });
-        } else {
-            res.status(400).json({ success: false, message: 'Invalid or expired code.' });
         }
+
+        const userResponse = account.toJSON();
+        delete userResponse.password;
+        userResponse.authenticatedBy = tokenPayload.authenticatedBy;
+        userResponse.isDoctorAccount = tokenPayload.isDoctorAccount;
+
+        res.json({
+            success: true,
+            message: '2FA verification successful',
+            data: {
+                user: userResponse,
+                token,
+                accessToken: token,
+                refreshToken,
+                deviceToken,
+                recoveryCodesRemaining
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Send an email or SMS login code during a 2FA challenge (fallback for authenticator users)
+exports.send2FACode = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { challengeToken, channel = 'email' } = req.body;
+
+        const challenge = TwoFactorService.verifyChallenge(challengeToken);
+        if (!challenge) {
+            return res.status(401).json({ success: false, message: 'Verification expired. Please log in again.' });
+        }
+
+        const account = await (challenge.isDoctorTable ? Doctor : User).findOne({
+            where: { id: challenge.accountId, isDeleted: false }
+        });
+        if (!account) return res.status(404).json({ success: false, message: 'Account not found' });
+
+        if (channel === 'email' ? !account.email : !account.phone) {
+            return res.status(400).json({ success: false, message: `No ${channel === 'email' ? 'email address' : 'phone number'} on this account` });
+        }
+
+        await sendTwoFactorCode(account, channel);
+
+        res.json({
+            success: true,
+            message: channel === 'sms' ? 'Verification code sent by SMS.' : 'Verification code sent to your email.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Account of the signed-in user for 2FA self-service
+ */
+const getOwnAccount = (req) => (req.user.isDoctorAccount ? Doctor : User).findByPk(req.user.id);
+
+// 2FA status of the signed-in account
+exports.get2FAStatus = async (req, res, next) => {
+    try {
+        const isDoctor = req.user.isDoctorAccount;
+        const account = await getOwnAccount(req);
+        if (!account) return res.status(404).json({ success: false, message: 'Account not found' });
+
+        const [record, trustedDevices, requiredLevel] = await Promise.all([
+            TwoFactorService.getRecord(isDoctor, account.id),
+            TwoFactorService.listTrustedDevices(isDoctor, account.id),
+            TwoFactorService.getRequiredLevel()
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                emailCodeEnabled: !!account.twoFactorEnabled,
+                totpEnabled: TwoFactorService.isTotpEnabled(record),
+                totpEnabledAt: record?.enabledAt || null,
+                recoveryCodesRemaining: TwoFactorService.isTotpEnabled(record) ? (record.recoveryCodes || []).length : 0,
+                requiredForRole: requiredLevel > 0 && req.user.roleLevel >= requiredLevel,
+                currentLoginMethod: req.user.twoFactorMethod,
+                trustedDevices
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Start authenticator-app setup: returns the secret and otpauth:// URL for the QR code
+exports.setupTotp = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const account = await getOwnAccount(req);
+        if (!account) return res.status(404).json({ success: false, message: 'Account not found' });
+
+        if (!(await bcrypt.compare(req.body.password, account.password))) {
+            return res.status(401).json({ success: false, message: 'Password is incorrect' });
+        }
+
+        const result = await TwoFactorService.beginSetup(account, req.user.isDoctorAccount);
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code from the app.',
+            data: result.data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Confirm authenticator setup with the first code; returns the one-time recovery codes
+exports.confirmTotp = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const isDoctor = req.user.isDoctorAccount;
+        const result = await TwoFactorService.confirmSetup(isDoctor, req.user.id, req.body.code);
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        await AuditLogService.log({
+            userId: isDoctor ? null : req.user.id,
+            userName: req.user.userName,
+            action: 'UPDATE',
+            module: 'auth',
+            entityType: isDoctor ? 'Doctor' : 'User',
+            entityId: req.user.id,
+            description: 'Authenticator app two-factor authentication enabled',
+            riskLevel: 'MEDIUM',
+            ipAddress: AuditLogService.getIpAddress(req),
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({
+            success: true,
+            message: 'Authenticator app enabled. Store these recovery codes somewhere safe; each works once.',
+            data: result.data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Turn the authenticator app off (password plus an authenticator or recovery code)
+exports.disableTotp = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const isDoctor = req.user.isDoctorAccount;
+        const { password, code, method = 'totp' } = req.body;
+
+        const account = await getOwnAccount(req);
+        if (!account) return res.status(404).json({ success: false, message: 'Account not found' });
+
+        if (!(await bcrypt.compare(password, account.password))) {
+            return res.status(401).json({ success: false, message: 'Password is incorrect' });
+        }
+
+        const record = await TwoFactorService.getRecord(isDoctor, account.id);
+        const result = await TwoFactorService.verifyCode(record, code, method);
+        if (!result.success) {
+            return res.status(result.locked ? 429 : 400).json({ success: false, message: result.message });
+        }
+
+        await TwoFactorService.disable(isDoctor, account.id);
+
+        await AuditLogService.log({
+            userId: isDoctor ? null : account.id,
+            userName: req.user.userName,
+            action: 'UPDATE',
+            module: 'auth',
+            entityType: isDoctor ? 'Doctor' : 'User',
+            entityId: account.id,
+            description: 'Authenticator app two-factor authentication disabled',
+            riskLevel: 'HIGH',
+            ipAddress: AuditLogService.getIpAddress(req),
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({ success: true, message: 'Authenticator app disabled. Remembered devices have been forgotten.' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Replace the recovery codes (requires a current authenticator code)
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const isDoctor = req.user.isDoctorAccount;
+        const record = await TwoFactorService.getRecord(isDoctor, req.user.id);
+
+        const result = await TwoFactorService.verifyCode(record, req.body.code, 'totp');
+        if (!result.success) {
+            return res.status(result.locked ? 429 : 400).json({ success: false, message: result.message });
+        }
+
+        const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(record);
+
+        res.json({
+            success: true,
+            message: 'New recovery codes generated. The previous codes no longer work.',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Remembered devices of the signed-in account
+exports.getTrustedDevices = async (req, res, next) => {
+    try {
+        const devices = await TwoFactorService.listTrustedDevices(req.user.isDoctorAccount, req.user.id);
+        res.json({ success: true, data: devices });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Forget one remembered device, or all of them when deviceId is "all"
+exports.revokeTrustedDevice = async (req, res, next) => {
+    try {
+        const { deviceId } = req.params;
+        const revoked = await TwoFactorService.revokeTrustedDevices(
+            req.user.isDoctorAccount,
+            req.user.id,
+            deviceId === 'all' ? null : parseInt(deviceId, 10)
+        );
+
+        if (deviceId !== 'all' && !revoked) {
+            return res.status(404).json({ success: false, message: 'Device not found' });
+        }
+
+        res.json({ success: true, message: 'Device will be asked for a verification code at next login.', data: { revoked } });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Admin: remove a user's authenticator app, email 2FA and remembered devices (lost phone)
+exports.reset2FA = async (req, res, next) => {
+    try {
+        const user = await User.findOne({ where: { id: req.params.id, isDeleted: false } });
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const hadTotp = await TwoFactorService.disable(false, user.id);
+        const hadEmailCode = !!user.twoFactorEnabled;
+        user.twoFactorEnabled = false;
+        user.twoFactorCode = null;
+        user.twoFactorExpiresAt = null;
+        await user.save();
+
+        // Sessions established with the old factor end too
+        const sessionsRevoked = await SessionService.revokeAllSessions(false, user.id, 'admin_revoked', { revokedBy: req.user.id });
+
+        await AuditLogService.log({
+            userId: req.user.id,
+            userName: req.user.userName,
+            action: 'UPDATE',
+            module: 'users',
+            entityType: 'User',
+            entityId: user.id,
+            description: `Two-factor authentication reset for ${user.userName}`,
+            metadata: { hadTotp, hadEmailCode, sessionsRevoked },
+            riskLevel: 'HIGH',
+            ipAddress: AuditLogService.getIpAddress(req),
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication reset. The user must set it up again.',
+            data: { sessionsRevoked }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Admin: accounts and IP addresses currently locked out of login
+exports.getLoginLockouts = async (req, res, next) => {
+    try {
+        const lockouts = await LoginProtectionService.listLockouts({
+            includeExpired: req.query.includeExpired === 'true'
+        });
+        res.json({ success: true, data: lockouts });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Admin: lift a login lockout early
+exports.unlockLogin = async (req, res, next) => {
+    try {
+        const result = await LoginProtectionService.unlock(req.params.lockoutId, req);
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.json({ success: true, message: 'Lockout lifted', data: result.data });
     } catch (error) {
         next(error);
     }
@@ -1370,9 +1939,162 @@ exports.verify2FALogin = async (req, res, next) => {
 
 exports.logout = async (req, res, next) => {
     try {
+        // Works with an expired access token: the refresh token (or the access token's session) identifies the device
+        const session = await SessionService.findSessionForTokens({
+            refreshToken: req.body?.refreshToken,
+            accessToken: req.headers.authorization?.split(' ')[1]
+        });
+
+        if (session && !session.revokedAt) {
+            await SessionService.revokeSession(session, 'logout');
+
+            await AuditLogService.log({
+                userId: session.accountType === 'user' ? session.accountId : null,
+                action: 'LOGOUT',
+                module: 'auth',
+                entityType: session.accountType === 'user' ? 'User' : 'Doctor',
+                entityId: session.accountId,
+                description: `Logged out from ${session.deviceName}`,
+                metadata: { sessionId: session.id },
+                ipAddress: AuditLogService.getIpAddress(req),
+                userAgent: req.headers['user-agent']
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Active sessions (devices) of the signed-in account
+exports.getMySessions = async (req, res, next) => {
+    try {
+        const sessions = await SessionService.listSessions(req.user.isDoctorAccount, req.user.id);
+
+        res.json({
+            success: true,
+            data: sessions.map(session => ({
+                ...session.toJSON(),
+                isCurrent: session.id === req.user.sessionId
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Sign out one of the signed-in account's devices
+exports.revokeMySession = async (req, res, next) => {
+    try {
+        const session = await UserSession.findOne({
+            where: {
+                id: req.params.sessionId,
+                accountType: SessionService.getAccountType(req.user.isDoctorAccount),
+                accountId: req.user.id
+            }
+        });
+
+        if (!session) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        await SessionService.revokeSession(session, 'user_revoked');
+
+        await AuditLogService.log({
+            userId: req.user.isDoctorAccount ? null : req.user.id,
+            userName: req.user.userName,
+            action: 'LOGOUT',
+            module: 'auth',
+            entityType: req.user.isDoctorAccount ? 'Doctor' : 'User',
+            entityId: req.user.id,
+            description: `Signed out device ${session.deviceName}`,
+            metadata: { sessionId: session.id },
+            ipAddress: AuditLogService.getIpAddress(req),
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({ success: true, message: 'Device signed out' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Sign out every device except this one
+exports.revokeOtherSessions = async (req, res, next) => {
+    try {
+        const revoked = await SessionService.revokeAllSessions(req.user.isDoctorAccount, req.user.id, 'user_revoked', {
+            exceptSessionId: req.user.sessionId
+        });
+
+        await AuditLogService.log({
+            userId: req.user.isDoctorAccount ? null : req.user.id,
+            userName: req.user.userName,
+            action: 'LOGOUT',
+            module: 'auth',
+            entityType: req.user.isDoctorAccount ? 'Doctor' : 'User',
+            entityId: req.user.id,
+            description: `Signed out ${revoked} other device(s)`,
+            ipAddress: AuditLogService.getIpAddress(req),
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({
+            success: true,
+            message: `${revoked} other device(s) signed out`,
+            data: { revoked }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Active sessions of a user (Admin)
+exports.getUserSessions = async (req, res, next) => {
+    try {
+        const user = await User.findByPk(req.params.id, { attributes: ['id'] });
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const sessions = await SessionService.listSessions(false, user.id);
+        res.json({ success: true, data: sessions });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Force-logout a user from every device (Admin)
+exports.forceLogoutUser = async (req, res, next) => {
+    try {
+        const user = await User.findByPk(req.params.id, { attributes: ['id', 'userName'] });
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const revoked = await SessionService.revokeAllSessions(false, user.id, 'admin_revoked', { revokedBy: req.user.id });
+
+        await AuditLogService.log({
+            userId: req.user.id,
+            userName: req.user.userName,
+            action: 'LOGOUT',
+            module: 'users',
+            entityType: 'User',
+            entityId: user.id,
+            description: `Forced logout of ${user.userName} (${revoked} session(s) revoked)`,
+            metadata: { reason: req.body?.reason || null },
+            riskLevel: 'MEDIUM',
+            ipAddress: AuditLogService.getIpAddress(req),
+            userAgent: req.headers['user-agent']
+        });
+
         res.json({
             success: true,
-            message: 'Logged out successfully. Please discard your tokens.'
+            message: `User signed out of ${revoked} session(s)`,
+            data: { revoked }
         });
     } catch (error) {
         next(error);
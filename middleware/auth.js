@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
-const { User, Permission, Role, RolePermission, Doctor } = require('../models');
+const { User, Role, Doctor } = require('../models');
 const AuditLogService = require('../services/auditLogService');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+const PermissionService = require('../services/permissionService');
 
 // Verify JWT token
 exports.verifyToken = async (req, res, next) => {
@@ -22,6 +25,14 @@ exports.verifyToken = async (req, res, next) => {
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
 
+        // Access tokens die with their session (logout, device revoked, account disabled)
+        if (decoded.sid && !(await SessionService.isSessionActive(decoded.sid))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked. Please log in again.'
+            });
+        }
+
         // Support both User and Doctor accounts
         let account;
         if (decoded.isDoctorAccount) {
@@ -57,7 +68,10 @@ exports.verifyToken = async (req, res, next) => {
             roleId: account.role.id,
             roleName: account.role.name,
             roleLevel: account.role.level,
-            isDoctorAccount: !!decoded.isDoctorAccount
+            isDoctorAccount: !!decoded.isDoctorAccount,
+            sessionId: decoded.sid || null,
+            twoFactorMethod: decoded.mfa || null,
+            totpEnrolled: !!decoded.totpEnrolled
         };
 
         next();
@@ -164,9 +178,9 @@ exports.requireManagerOrAbove = [exports.verifyToken, exports.requireLevel(60)];
 exports.requireSuperCashierOrAbove = [exports.verifyToken, exports.requireLevel(40)];
 exports.requireCashierOrAbove = [exports.verifyToken, exports.requireLevel(20)];
 
-
-// Check if user has specific permission (module, action)
-exports.requirePermission = (module, action) => {
+// Require an authenticator-app login for roles at or above a level.
+// Without minLevel the two_factor_required_level setting applies (0 = not enforced).
+exports.requireTwoFactor = (minLevel = null) => {
     return async (req, res, next) => {
         try {
             if (!req.user) {
@@ -176,27 +190,47 @@ exports.requirePermission = (module, action) => {
                 });
             }
 
-            // Super admin (level 100) has all permissions
-            if (req.user.roleLevel >= 100) {
+            const requiredLevel = minLevel ?? await TwoFactorService.getRequiredLevel();
+            if (!requiredLevel || req.user.roleLevel < requiredLevel) {
                 return next();
             }
 
-            // Get role permissions from RolePermission junction table
-            const rolePermissions = await RolePermission.findAll({
-                where: { roleId: req.user.roleId },
-                include: [{
-                    model: Permission,
-                    as: 'permission',
-                    where: {
-                        module: module,
-                        action: action,
-                        isActive: true
-                    },
-                    required: true
-                }]
+            if (TwoFactorService.satisfiesEnforcement(req.user.twoFactorMethod, req.user.totpEnrolled)) {
+                return next();
+            }
+
+            return res.status(403).json({
+                success: false,
+                twoFactorRequired: true,
+                twoFactorSetupRequired: !req.user.totpEnrolled,
+                message: req.user.totpEnrolled
+                    ? 'Please log in again with your authenticator app to perform this action.'
+                    : 'Set up an authenticator app for your account to perform this action.'
             });
+        } catch (error) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error checking two-factor authentication',
+                error: error.message
+            });
+        }
+    };
+};
+
+
+// Check if user has specific permission (module, action)
+exports.requirePermission = (module, action) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authentication required'
+                });
+            }
 
-            if (rolePermissions.length > 0) {
+            // Super admin (level 100) has all permissions; other roles need the grant
+            if (await PermissionService.hasPermission(req.user, module, action)) {
                 return next();
             }
 
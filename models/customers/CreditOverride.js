@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * One-off admin approval letting a doctor place an order despite the credit-hold policy
+ */
+module.exports = (sequelize) => {
+    const CreditOverride = sequelize.define('CreditOverride', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        doctorId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'doctor_id'
+        },
+        reason: {
+            type: DataTypes.STRING(500),
+            allowNull: false
+        },
+        violations: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            comment: 'Policy violations at the time the override was granted'
+        },
+        validUntil: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'valid_until'
+        },
+        usedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'used_at'
+        },
+        orderId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'order_id',
+            comment: 'Order placed or released under this override'
+        },
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        }
+    }, {
+        tableName: 'credit_overrides',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['doctor_id'] },
+            { fields: ['order_id'] },
+            { fields: ['valid_until'] }
+        ]
+    });
+
+    return CreditOverride;
+};
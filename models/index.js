@@ -5,6 +5,12 @@ const User = require('./users/User')(sequelize, Sequelize);
 const Role = require('./users/Role')(sequelize, Sequelize);
 const Permission = require('./users/Permission')(sequelize, Sequelize);
 const RolePermission = require('./users/RolePermission')(sequelize, Sequelize);
+const UserSession = require('./users/UserSession')(sequelize, Sequelize);
+const PasswordReset = require('./users/PasswordReset')(sequelize, Sequelize);
+const PasswordResetAttempt = require('./users/PasswordResetAttempt')(sequelize, Sequelize);
+const TwoFactorAuth = require('./users/TwoFactorAuth')(sequelize, Sequelize);
+const TrustedDevice = require('./users/TrustedDevice')(sequelize, Sequelize);
+const LoginThrottle = require('./users/LoginThrottle')(sequelize, Sequelize);
 
 // ==================== AUDIT ====================
 const AuditLog = require('./audit/AuditLog')(sequelize, Sequelize);
@@ -25,24 +31,51 @@ const Promotion = require('./pricing/Promotion')(sequelize, Sequelize);
 // ==================== CUSTOMERS ====================
 const Doctor = require('./customers/Doctor')(sequelize, Sequelize);
 const Address = require('./customers/Address')(sequelize, Sequelize);
+const CreditOverride = require('./customers/CreditOverride')(sequelize, Sequelize);
 
 // ==================== ORDERS ====================
 const Cart = require('./orders/Cart')(sequelize, Sequelize);
 const CartItem = require('./orders/CartItem')(sequelize, Sequelize);
 const Order = require('./orders/Order')(sequelize, Sequelize);
 const OrderItem = require('./orders/OrderItem')(sequelize, Sequelize);
+const OrderItemBatch = require('./orders/OrderItemBatch')(sequelize, Sequelize);
+const OrderFulfilment = require('./orders/OrderFulfilment')(sequelize, Sequelize);
 const OrderStatusHistory = require('./orders/OrderStatusHistory')(sequelize, Sequelize);
 const OrderRequest = require('./orders/OrderRequest')(sequelize, Sequelize);
+const Shipment = require('./orders/Shipment')(sequelize, Sequelize);
+const ShipmentItem = require('./orders/ShipmentItem')(sequelize, Sequelize);
+const ReturnRequest = require('./orders/ReturnRequest')(sequelize, Sequelize);
+const ReturnItem = require('./orders/ReturnItem')(sequelize, Sequelize);
 
 // ==================== INVENTORY ====================
 const Inventory = require('./inventory/Inventory')(sequelize, Sequelize);
 const InventoryMovement = require('./inventory/InventoryMovement')(sequelize, Sequelize);
+const StockReservation = require('./inventory/StockReservation')(sequelize, Sequelize);
+const BatchRecall = require('./inventory/BatchRecall')(sequelize, Sequelize);
+const BatchRecallRecipient = require('./inventory/BatchRecallRecipient')(sequelize, Sequelize);
+const Warehouse = require('./inventory/Warehouse')(sequelize, Sequelize);
+const WarehouseStock = require('./inventory/WarehouseStock')(sequelize, Sequelize);
+const StockTransfer = require('./inventory/StockTransfer')(sequelize, Sequelize);
+const StockTransferItem = require('./inventory/StockTransferItem')(sequelize, Sequelize);
+const StockTake = require('./inventory/StockTake')(sequelize, Sequelize);
+const StockTakeItem = require('./inventory/StockTakeItem')(sequelize, Sequelize);
 const Supplier = require('./inventory/Supplier')(sequelize, Sequelize);
+const SupplierProduct = require('./inventory/SupplierProduct')(sequelize, Sequelize);
+const SupplierPriceHistory = require('./inventory/SupplierPriceHistory')(sequelize, Sequelize);
 const PurchaseOrder = require('./inventory/PurchaseOrder')(sequelize, Sequelize);
 const PurchaseOrderItem = require('./inventory/PurchaseOrderItem')(sequelize, Sequelize);
+const GoodsReceipt = require('./inventory/GoodsReceipt')(sequelize, Sequelize);
+const GoodsReceiptItem = require('./inventory/GoodsReceiptItem')(sequelize, Sequelize);
+const SupplierReturn = require('./inventory/SupplierReturn')(sequelize, Sequelize);
+const SupplierReturnItem = require('./inventory/SupplierReturnItem')(sequelize, Sequelize);
 
 // ==================== PAYMENTS ====================
 const Payment = require('./payments/Payment')(sequelize, Sequelize);
+const CreditNote = require('./payments/CreditNote')(sequelize, Sequelize);
+const CreditNoteAllocation = require('./payments/CreditNoteAllocation')(sequelize, Sequelize);
+const SupplierInvoice = require('./payments/SupplierInvoice')(sequelize, Sequelize);
+const SupplierInvoiceItem = require('./payments/SupplierInvoiceItem')(sequelize, Sequelize);
+const SupplierPayment = require('./payments/SupplierPayment')(sequelize, Sequelize);
 
 // ==================== SETTINGS ====================
 const SystemSetting = require('./settings/SystemSetting')(sequelize, Sequelize);
@@ -51,12 +84,23 @@ const SystemSetting = require('./settings/SystemSetting')(sequelize, Sequelize);
 const NotificationTemplate = require('./notifications/NotificationTemplate')(sequelize, Sequelize);
 const NotificationLog = require('./notifications/NotificationLog')(sequelize, Sequelize);
 
+// ==================== JOBS ====================
+const ScheduledJob = require('./jobs/ScheduledJob')(sequelize, Sequelize);
+const JobRun = require('./jobs/JobRun')(sequelize, Sequelize);
+
 // ==================== RELATIONSHIPS ====================
 
 // ----- User & Role -----
 User.belongsTo(Role, { foreignKey: 'roleId', as: 'role' });
 Role.hasMany(User, { foreignKey: 'roleId', as: 'users' });
 
+// ----- User Session -----
+// accountId points at User or Doctor depending on accountType
+UserSession.belongsTo(User, { foreignKey: 'revokedBy', as: 'revoker', constraints: false });
+
+// ----- Login Throttle -----
+LoginThrottle.belongsTo(User, { foreignKey: 'unlockedBy', as: 'unlocker', constraints: false });
+
 // ----- Role & Permission (Many-to-Many) -----
 Role.belongsToMany(Permission, {
     through: RolePermission,
@@ -164,11 +208,61 @@ Product.hasMany(OrderItem, { foreignKey: 'productId', as: 'orderItems' });
 OrderItem.belongsTo(Promotion, { foreignKey: 'promotionId', as: 'promotion' });
 OrderItem.belongsTo(ProductBulkPrice, { foreignKey: 'appliedBulkPriceId', as: 'appliedBulkPrice' });
 
+// ----- Order Item Batch (FEFO allocation) -----
+OrderItem.hasMany(OrderItemBatch, { foreignKey: 'orderItemId', as: 'batchAllocations' });
+OrderItemBatch.belongsTo(OrderItem, { foreignKey: 'orderItemId', as: 'orderItem' });
+
+Order.hasMany(OrderItemBatch, { foreignKey: 'orderId', as: 'batchAllocations' });
+OrderItemBatch.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+OrderItemBatch.belongsTo(ProductBatch, { foreignKey: 'productBatchId', as: 'batch' });
+ProductBatch.hasMany(OrderItemBatch, { foreignKey: 'productBatchId', as: 'allocations' });
+
+OrderItemBatch.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
 // ----- Order Status History -----
 Order.hasMany(OrderStatusHistory, { foreignKey: 'orderId', as: 'statusHistory' });
 OrderStatusHistory.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
 OrderStatusHistory.belongsTo(User, { foreignKey: 'changedBy', as: 'changedByUser' });
 
+// ----- Shipment -----
+Order.hasMany(Shipment, { foreignKey: 'orderId', as: 'shipments' });
+Shipment.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+Shipment.hasMany(ShipmentItem, { foreignKey: 'shipmentId', as: 'items' });
+ShipmentItem.belongsTo(Shipment, { foreignKey: 'shipmentId', as: 'shipment' });
+
+ShipmentItem.belongsTo(OrderItem, { foreignKey: 'orderItemId', as: 'orderItem' });
+OrderItem.hasMany(ShipmentItem, { foreignKey: 'orderItemId', as: 'shipmentItems' });
+
+ShipmentItem.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+Shipment.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+Shipment.belongsTo(User, { foreignKey: 'updatedBy', as: 'updater' });
+
+// ----- Return Request (RMA) -----
+Order.hasMany(ReturnRequest, { foreignKey: 'orderId', as: 'returns' });
+ReturnRequest.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+ReturnRequest.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+ReturnRequest.belongsTo(Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+Doctor.hasMany(ReturnRequest, { foreignKey: 'doctorId', as: 'returns' });
+
+ReturnRequest.hasMany(ReturnItem, { foreignKey: 'returnRequestId', as: 'items' });
+ReturnItem.belongsTo(ReturnRequest, { foreignKey: 'returnRequestId', as: 'returnRequest' });
+
+ReturnItem.belongsTo(OrderItem, { foreignKey: 'orderItemId', as: 'orderItem' });
+OrderItem.hasMany(ReturnItem, { foreignKey: 'orderItemId', as: 'returnItems' });
+
+ReturnItem.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+ReturnRequest.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment', constraints: false });
+ReturnRequest.belongsTo(User, { foreignKey: 'approvedBy', as: 'approver' });
+ReturnRequest.belongsTo(User, { foreignKey: 'receivedBy', as: 'receiver' });
+ReturnRequest.belongsTo(User, { foreignKey: 'inspectedBy', as: 'inspector' });
+ReturnRequest.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+ReturnRequest.belongsTo(User, { foreignKey: 'updatedBy', as: 'updater' });
+
 // ----- Order Request -----
 User.hasMany(OrderRequest, { foreignKey: 'userId', as: 'orderRequests' });
 OrderRequest.belongsTo(User, { foreignKey: 'userId', as: 'user' });
@@ -194,6 +288,80 @@ Inventory.hasMany(InventoryMovement, { foreignKey: 'inventoryId', as: 'movements
 
 InventoryMovement.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
 
+// ----- Stock Reservation -----
+StockReservation.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+Product.hasMany(StockReservation, { foreignKey: 'productId', as: 'reservations' });
+
+StockReservation.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+Order.hasMany(StockReservation, { foreignKey: 'orderId', as: 'reservations' });
+
+StockReservation.belongsTo(OrderItem, { foreignKey: 'orderItemId', as: 'orderItem' });
+OrderItem.hasMany(StockReservation, { foreignKey: 'orderItemId', as: 'reservations' });
+
+// ----- Batch Recall -----
+BatchRecall.belongsTo(ProductBatch, { foreignKey: 'productBatchId', as: 'batch' });
+ProductBatch.hasMany(BatchRecall, { foreignKey: 'productBatchId', as: 'recalls' });
+
+BatchRecall.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+BatchRecall.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+BatchRecall.belongsTo(User, { foreignKey: 'closedBy', as: 'closer' });
+
+BatchRecall.hasMany(BatchRecallRecipient, { foreignKey: 'recallId', as: 'recipients' });
+BatchRecallRecipient.belongsTo(BatchRecall, { foreignKey: 'recallId', as: 'recall' });
+
+BatchRecallRecipient.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+BatchRecallRecipient.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+BatchRecallRecipient.belongsTo(Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+
+// ----- Warehouse -----
+Warehouse.hasMany(WarehouseStock, { foreignKey: 'warehouseId', as: 'stock' });
+WarehouseStock.belongsTo(Warehouse, { foreignKey: 'warehouseId', as: 'warehouse' });
+
+WarehouseStock.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+Product.hasMany(WarehouseStock, { foreignKey: 'productId', as: 'warehouseStock' });
+
+// ----- Stock Transfer -----
+StockTransfer.belongsTo(Warehouse, { foreignKey: 'fromWarehouseId', as: 'fromWarehouse' });
+StockTransfer.belongsTo(Warehouse, { foreignKey: 'toWarehouseId', as: 'toWarehouse' });
+
+StockTransfer.hasMany(StockTransferItem, { foreignKey: 'transferId', as: 'items' });
+StockTransferItem.belongsTo(StockTransfer, { foreignKey: 'transferId', as: 'transfer' });
+
+StockTransferItem.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+StockTransfer.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+StockTransfer.belongsTo(User, { foreignKey: 'dispatchedBy', as: 'dispatcher' });
+StockTransfer.belongsTo(User, { foreignKey: 'receivedBy', as: 'receiver' });
+
+// ----- Stock Take -----
+StockTake.hasMany(StockTakeItem, { foreignKey: 'stockTakeId', as: 'items' });
+StockTakeItem.belongsTo(StockTake, { foreignKey: 'stockTakeId', as: 'stockTake' });
+
+StockTakeItem.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+StockTakeItem.belongsTo(ProductBatch, { foreignKey: 'productBatchId', as: 'batch' });
+
+StockTake.belongsTo(Warehouse, { foreignKey: 'warehouseId', as: 'warehouse' });
+StockTake.belongsTo(Category, { foreignKey: 'categoryId', as: 'category' });
+StockTake.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+StockTake.belongsTo(User, { foreignKey: 'approvedBy', as: 'approver' });
+
+// ----- Order Fulfilment -----
+Order.hasOne(OrderFulfilment, { foreignKey: 'orderId', as: 'fulfilment' });
+OrderFulfilment.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+OrderFulfilment.belongsTo(Warehouse, { foreignKey: 'warehouseId', as: 'warehouse' });
+
+// ----- Supplier Catalogue -----
+Supplier.hasMany(SupplierProduct, { foreignKey: 'supplierId', as: 'catalogue' });
+SupplierProduct.belongsTo(Supplier, { foreignKey: 'supplierId', as: 'supplier' });
+Product.hasMany(SupplierProduct, { foreignKey: 'productId', as: 'supplierProducts' });
+SupplierProduct.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+SupplierProduct.hasMany(SupplierPriceHistory, { foreignKey: 'supplierProductId', as: 'priceHistory' });
+SupplierPriceHistory.belongsTo(SupplierProduct, { foreignKey: 'supplierProductId', as: 'supplierProduct' });
+SupplierPriceHistory.belongsTo(Supplier, { foreignKey: 'supplierId', as: 'supplier' });
+SupplierPriceHistory.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+SupplierPriceHistory.belongsTo(User, { foreignKey: 'changedBy', as: 'changer' });
+
 // ----- Purchase Order -----
 PurchaseOrder.belongsTo(Supplier, { foreignKey: 'supplierId', as: 'supplier' });
 Supplier.hasMany(PurchaseOrder, { foreignKey: 'supplierId', as: 'purchaseOrders' });
@@ -207,6 +375,37 @@ Product.hasMany(PurchaseOrderItem, { foreignKey: 'productId', as: 'purchaseOrder
 PurchaseOrder.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
 PurchaseOrder.belongsTo(User, { foreignKey: 'updatedBy', as: 'updater' });
 
+// ----- Goods Receipt -----
+GoodsReceipt.belongsTo(PurchaseOrder, { foreignKey: 'purchaseOrderId', as: 'purchaseOrder' });
+PurchaseOrder.hasMany(GoodsReceipt, { foreignKey: 'purchaseOrderId', as: 'receipts' });
+GoodsReceipt.belongsTo(Supplier, { foreignKey: 'supplierId', as: 'supplier' });
+GoodsReceipt.belongsTo(Warehouse, { foreignKey: 'warehouseId', as: 'warehouse' });
+
+GoodsReceipt.hasMany(GoodsReceiptItem, { foreignKey: 'goodsReceiptId', as: 'items' });
+GoodsReceiptItem.belongsTo(GoodsReceipt, { foreignKey: 'goodsReceiptId', as: 'goodsReceipt' });
+GoodsReceiptItem.belongsTo(PurchaseOrderItem, { foreignKey: 'purchaseOrderItemId', as: 'purchaseOrderItem' });
+GoodsReceiptItem.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+GoodsReceiptItem.belongsTo(ProductBatch, { foreignKey: 'productBatchId', as: 'batch' });
+
+GoodsReceipt.belongsTo(User, { foreignKey: 'receivedBy', as: 'receiver' });
+GoodsReceipt.belongsTo(User, { foreignKey: 'inspectedBy', as: 'inspector' });
+GoodsReceipt.belongsTo(User, { foreignKey: 'cancelledBy', as: 'canceller' });
+
+// ----- Supplier Return -----
+SupplierReturn.belongsTo(Supplier, { foreignKey: 'supplierId', as: 'supplier' });
+Supplier.hasMany(SupplierReturn, { foreignKey: 'supplierId', as: 'returns' });
+SupplierReturn.belongsTo(PurchaseOrder, { foreignKey: 'purchaseOrderId', as: 'purchaseOrder' });
+SupplierReturn.belongsTo(Warehouse, { foreignKey: 'warehouseId', as: 'warehouse' });
+
+SupplierReturn.hasMany(SupplierReturnItem, { foreignKey: 'supplierReturnId', as: 'items' });
+SupplierReturnItem.belongsTo(SupplierReturn, { foreignKey: 'supplierReturnId', as: 'supplierReturn' });
+SupplierReturnItem.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+SupplierReturnItem.belongsTo(ProductBatch, { foreignKey: 'productBatchId', as: 'batch' });
+
+SupplierReturn.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+SupplierReturn.belongsTo(User, { foreignKey: 'dispatchedBy', as: 'dispatcher' });
+SupplierReturn.belongsTo(User, { foreignKey: 'cancelledBy', as: 'canceller' });
+
 // ----- Payment -----
 Payment.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
 Order.hasMany(Payment, { foreignKey: 'orderId', as: 'payments' });
@@ -219,6 +418,58 @@ Payment.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
 Payment.belongsTo(User, { foreignKey: 'updatedBy', as: 'updater' });
 Payment.belongsTo(User, { foreignKey: 'refundedBy', as: 'refunder' });
 
+// ----- Credit / Debit Note -----
+CreditNote.belongsTo(Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+Doctor.hasMany(CreditNote, { foreignKey: 'doctorId', as: 'creditNotes' });
+
+CreditNote.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+Order.hasMany(CreditNote, { foreignKey: 'orderId', as: 'creditNotes' });
+
+CreditNote.belongsTo(ReturnRequest, { foreignKey: 'returnRequestId', as: 'returnRequest' });
+ReturnRequest.belongsTo(CreditNote, { foreignKey: 'creditNoteId', as: 'creditNote', constraints: false });
+
+CreditNote.hasMany(CreditNoteAllocation, { foreignKey: 'creditNoteId', as: 'allocations' });
+CreditNoteAllocation.belongsTo(CreditNote, { foreignKey: 'creditNoteId', as: 'creditNote' });
+CreditNoteAllocation.belongsTo(CreditNote, { foreignKey: 'settledNoteId', as: 'settledNote' });
+CreditNoteAllocation.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+CreditNoteAllocation.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+
+CreditNote.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+CreditNote.belongsTo(User, { foreignKey: 'updatedBy', as: 'updater' });
+CreditNote.belongsTo(User, { foreignKey: 'cancelledBy', as: 'canceller' });
+
+// ----- Supplier Invoices (accounts payable) -----
+SupplierInvoice.belongsTo(Supplier, { foreignKey: 'supplierId', as: 'supplier' });
+Supplier.hasMany(SupplierInvoice, { foreignKey: 'supplierId', as: 'invoices' });
+SupplierInvoice.belongsTo(PurchaseOrder, { foreignKey: 'purchaseOrderId', as: 'purchaseOrder' });
+PurchaseOrder.hasMany(SupplierInvoice, { foreignKey: 'purchaseOrderId', as: 'invoices' });
+
+SupplierInvoice.hasMany(SupplierInvoiceItem, { foreignKey: 'supplierInvoiceId', as: 'items' });
+SupplierInvoiceItem.belongsTo(SupplierInvoice, { foreignKey: 'supplierInvoiceId', as: 'invoice' });
+SupplierInvoiceItem.belongsTo(PurchaseOrderItem, { foreignKey: 'purchaseOrderItemId', as: 'purchaseOrderItem' });
+SupplierInvoiceItem.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+SupplierInvoice.hasMany(SupplierPayment, { foreignKey: 'supplierInvoiceId', as: 'payments' });
+SupplierPayment.belongsTo(SupplierInvoice, { foreignKey: 'supplierInvoiceId', as: 'invoice' });
+SupplierPayment.belongsTo(Supplier, { foreignKey: 'supplierId', as: 'supplier' });
+
+SupplierInvoice.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+SupplierInvoice.belongsTo(User, { foreignKey: 'approvedBy', as: 'approver' });
+SupplierInvoice.belongsTo(User, { foreignKey: 'cancelledBy', as: 'canceller' });
+SupplierPayment.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+SupplierPayment.belongsTo(User, { foreignKey: 'voidedBy', as: 'voider' });
+
+// ----- Credit Hold Override -----
+CreditOverride.belongsTo(Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+Doctor.hasMany(CreditOverride, { foreignKey: 'doctorId', as: 'creditOverrides' });
+CreditOverride.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+CreditOverride.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+// ----- Scheduled Jobs -----
+ScheduledJob.hasMany(JobRun, { foreignKey: 'jobId', as: 'runs' });
+JobRun.belongsTo(ScheduledJob, { foreignKey: 'jobId', as: 'job' });
+JobRun.belongsTo(User, { foreignKey: 'triggeredBy', as: 'triggeredByUser' });
+
 // ----- Notification Log -----
 NotificationLog.belongsTo(NotificationTemplate, { foreignKey: 'templateId', as: 'template' });
 NotificationLog.belongsTo(User, { foreignKey: 'userId', as: 'user' });
@@ -252,6 +503,12 @@ module.exports = {
     Role,
     Permission,
     RolePermission,
+    UserSession,
+    PasswordReset,
+    PasswordResetAttempt,
+    TwoFactorAuth,
+    TrustedDevice,
+    LoginThrottle,
     // Audit
     AuditLog,
     // Products
@@ -268,24 +525,54 @@ module.exports = {
     // Customers
     Doctor,
     Address,
+    CreditOverride,
     // Orders
     Cart,
     CartItem,
     Order,
     OrderItem,
+    OrderItemBatch,
+    OrderFulfilment,
     OrderStatusHistory,
     OrderRequest,
+    Shipment,
+    ShipmentItem,
+    ReturnRequest,
+    ReturnItem,
     // Inventory
     Inventory,
     InventoryMovement,
+    StockReservation,
+    BatchRecall,
+    BatchRecallRecipient,
+    Warehouse,
+    WarehouseStock,
+    StockTransfer,
+    StockTransferItem,
+    StockTake,
+    StockTakeItem,
     Supplier,
+    SupplierProduct,
+    SupplierPriceHistory,
     PurchaseOrder,
     PurchaseOrderItem,
+    GoodsReceipt,
+    GoodsReceiptItem,
+    SupplierReturn,
+    SupplierReturnItem,
     // Payments
     Payment,
+    CreditNote,
+    CreditNoteAllocation,
+    SupplierInvoice,
+    SupplierInvoiceItem,
+    SupplierPayment,
     // Settings
     SystemSetting,
     // Notifications
     NotificationTemplate,
-    NotificationLog
+    NotificationLog,
+    // Jobs
+    ScheduledJob,
+    JobRun
 };
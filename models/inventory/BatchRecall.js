@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Manufacturer or regulatory recall of a product batch
+ */
+module.exports = (sequelize) => {
+    const BatchRecall = sequelize.define('BatchRecall', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        recallNumber: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            unique: true,
+            field: 'recall_number'
+        },
+        productBatchId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_batch_id'
+        },
+        productId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_id'
+        },
+        // Snapshot of the batch
+        batchNumber: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            field: 'batch_number'
+        },
+        expiryDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: true,
+            field: 'expiry_date'
+        },
+        severity: {
+            type: DataTypes.ENUM('class_i', 'class_ii', 'class_iii'),
+            allowNull: false,
+            defaultValue: 'class_ii',
+            comment: 'class_i: serious health risk, class_ii: temporary/reversible, class_iii: unlikely to cause harm'
+        },
+        reason: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        instructions: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            comment: 'What recipients should do with the stock they hold'
+        },
+        manufacturerReference: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            field: 'manufacturer_reference'
+        },
+        quarantinedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'quarantined_quantity',
+            comment: 'Batch stock on hand when the recall was raised'
+        },
+        status: {
+            type: DataTypes.ENUM('open', 'closed'),
+            defaultValue: 'open'
+        },
+        closedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'closed_at'
+        },
+        closedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'closed_by'
+        },
+        closeNotes: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'close_notes'
+        },
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        }
+    }, {
+        tableName: 'batch_recalls',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['product_batch_id'] },
+            { fields: ['product_id'] },
+            { fields: ['status'] }
+        ]
+    });
+
+    return BatchRecall;
+};
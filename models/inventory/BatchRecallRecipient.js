@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Customer order that received stock from a recalled batch, with notice,
+ * acknowledgement and return tracking
+ */
+module.exports = (sequelize) => {
+    const BatchRecallRecipient = sequelize.define('BatchRecallRecipient', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        recallId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'recall_id'
+        },
+        orderId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'order_id'
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'user_id'
+        },
+        doctorId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'doctor_id'
+        },
+        quantity: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            comment: 'Quantity of the batch supplied on the order'
+        },
+        // Notice
+        notifiedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'notified_at'
+        },
+        notifyCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'notify_count'
+        },
+        // Acknowledgement
+        acknowledgedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'acknowledged_at'
+        },
+        acknowledgedByName: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            field: 'acknowledged_by_name'
+        },
+        quantityOnHand: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'quantity_on_hand',
+            comment: 'Quantity the recipient still holds, as reported on acknowledgement'
+        },
+        // Return
+        returnStatus: {
+            type: DataTypes.ENUM('pending', 'partial', 'returned', 'not_applicable'),
+            defaultValue: 'pending',
+            field: 'return_status'
+        },
+        returnedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'returned_quantity'
+        },
+        returnedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'returned_at'
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        updatedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'updated_by'
+        }
+    }, {
+        tableName: 'batch_recall_recipients',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['recall_id'] },
+            { fields: ['order_id'] },
+            { fields: ['doctor_id'] },
+            { fields: ['user_id'] }
+        ]
+    });
+
+    return BatchRecallRecipient;
+};
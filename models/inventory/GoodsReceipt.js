@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Goods receipt note (GRN): one delivery against a purchase order, inspected before it becomes stock
+ */
+module.exports = (sequelize) => {
+    const GoodsReceipt = sequelize.define('GoodsReceipt', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        grnNumber: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            unique: true,
+            field: 'grn_number'
+        },
+        purchaseOrderId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'purchase_order_id'
+        },
+        supplierId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'supplier_id'
+        },
+        warehouseId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'warehouse_id',
+            comment: 'Where accepted stock is put away (default warehouse if null)'
+        },
+        deliveryNoteNumber: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            field: 'delivery_note_number',
+            comment: "Supplier's delivery note / challan number"
+        },
+        // pending_inspection = goods on site, not yet stock; completed = inspection posted
+        status: {
+            type: DataTypes.ENUM('pending_inspection', 'completed', 'cancelled'),
+            defaultValue: 'pending_inspection'
+        },
+        // Totals across lines, set when inspection is posted
+        receivedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'received_quantity'
+        },
+        acceptedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'accepted_quantity'
+        },
+        rejectedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'rejected_quantity'
+        },
+        quarantinedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'quarantined_quantity'
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        receivedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+            field: 'received_at'
+        },
+        receivedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'received_by'
+        },
+        inspectedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'inspected_at'
+        },
+        inspectedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'inspected_by'
+        },
+        cancelledAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'cancelled_at'
+        },
+        cancelledBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'cancelled_by'
+        },
+        cancelReason: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'cancel_reason'
+        }
+    }, {
+        tableName: 'goods_receipts',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['grn_number'], unique: true },
+            { fields: ['purchase_order_id'] },
+            { fields: ['supplier_id'] },
+            { fields: ['status'] },
+            { fields: ['received_at'] }
+        ]
+    });
+
+    return GoodsReceipt;
+};
@@ -0,0 +1,128 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * One product batch on a goods receipt note and its inspection outcome
+ */
+module.exports = (sequelize) => {
+    const GoodsReceiptItem = sequelize.define('GoodsReceiptItem', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        goodsReceiptId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'goods_receipt_id'
+        },
+        purchaseOrderItemId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'purchase_order_item_id'
+        },
+        productId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_id'
+        },
+        productBatchId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'product_batch_id',
+            comment: 'Batch created or topped up when inspection is posted'
+        },
+        batchNumber: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            field: 'batch_number'
+        },
+        mfgDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: true,
+            field: 'mfg_date'
+        },
+        expiryDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: false,
+            field: 'expiry_date'
+        },
+        unitCost: {
+            type: DataTypes.DECIMAL(15, 2),
+            defaultValue: 0,
+            field: 'unit_cost'
+        },
+        receivedQuantity: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'received_quantity',
+            validate: {
+                min: 1
+            }
+        },
+        // Inspection: accepted + rejected + quarantined = received
+        inspectionStatus: {
+            type: DataTypes.ENUM('pending', 'inspected'),
+            defaultValue: 'pending',
+            field: 'inspection_status'
+        },
+        acceptedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'accepted_quantity'
+        },
+        rejectedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'rejected_quantity'
+        },
+        quarantinedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'quarantined_quantity',
+            comment: 'Still held; reduced as quarantine is released'
+        },
+        rejectionReason: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'rejection_reason'
+        },
+        inspectionNotes: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'inspection_notes'
+        },
+        // Quarantine release (already included in accepted/rejected above)
+        releasedAcceptedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'released_accepted_quantity'
+        },
+        releasedRejectedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'released_rejected_quantity'
+        },
+        releasedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'released_at'
+        },
+        releasedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'released_by'
+        }
+    }, {
+        tableName: 'goods_receipt_items',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['goods_receipt_id'] },
+            { fields: ['purchase_order_item_id'] },
+            { fields: ['product_id'] },
+            { fields: ['product_batch_id'] }
+        ]
+    });
+
+    return GoodsReceiptItem;
+};
@@ -25,10 +25,12 @@ module.exports = (sequelize) => {
                 'return',        // Customer return
                 'adjustment',    // Manual adjustment
                 'transfer',      // Transfer between locations
+                'transfer_loss', // Short on transfer receipt
                 'damage',        // Damaged stock
                 'expired',       // Expired stock
                 'reserved',      // Reserved for order
-                'unreserved'     // Released from reservation
+                'unreserved',    // Released from reservation
+                'supplier_return' // Returned to supplier
             ),
             allowNull: false
         },
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Stock held for an order line until it ships or is released.
+ * Unpaid online orders get an expiry after which the order is cancelled.
+ */
+module.exports = (sequelize) => {
+    const StockReservation = sequelize.define('StockReservation', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        productId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_id'
+        },
+        orderId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'order_id'
+        },
+        orderItemId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'order_item_id'
+        },
+        referenceNumber: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            field: 'reference_number'
+        },
+        quantity: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        releasedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'released_quantity',
+            comment: 'Quantity released or consumed by shipment so far'
+        },
+        status: {
+            type: DataTypes.ENUM('active', 'released', 'consumed', 'expired'),
+            defaultValue: 'active'
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'expires_at',
+            comment: 'Null when the reservation is held until fulfilment'
+        },
+        releasedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'released_at'
+        },
+        releaseReason: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+            field: 'release_reason'
+        },
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        }
+    }, {
+        tableName: 'stock_reservations',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['product_id'] },
+            { fields: ['order_id'] },
+            { fields: ['reference_number'] },
+            { fields: ['status', 'expires_at'] }
+        ]
+    });
+
+    return StockReservation;
+};
@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Stock-take / cycle count session. Expected quantities are frozen when the session starts.
+ */
+module.exports = (sequelize) => {
+    const StockTake = sequelize.define('StockTake', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        sessionNumber: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            unique: true,
+            field: 'session_number'
+        },
+        name: {
+            type: DataTypes.STRING(150),
+            allowNull: true
+        },
+        // Scope
+        warehouseId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'warehouse_id',
+            comment: 'Count one warehouse; null counts total stock by batch'
+        },
+        categoryId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'category_id'
+        },
+        status: {
+            type: DataTypes.ENUM('counting', 'submitted', 'approved', 'discarded'),
+            defaultValue: 'counting'
+        },
+        snapshotAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'snapshot_at'
+        },
+        // Totals (refreshed as counts come in)
+        lineCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'line_count'
+        },
+        countedLines: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'counted_lines'
+        },
+        varianceQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'variance_quantity'
+        },
+        varianceValue: {
+            type: DataTypes.DECIMAL(14, 2),
+            defaultValue: 0,
+            field: 'variance_value'
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        // Workflow
+        submittedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'submitted_at'
+        },
+        submittedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'submitted_by'
+        },
+        approvedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'approved_at'
+        },
+        approvedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'approved_by'
+        },
+        discardedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'discarded_at'
+        },
+        discardedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'discarded_by'
+        },
+        discardReason: {
+            type: DataTypes.STRING(500),
+            allowNull: true,
+            field: 'discard_reason'
+        },
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        }
+    }, {
+        tableName: 'stock_takes',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['status'] },
+            { fields: ['warehouse_id'] }
+        ]
+    });
+
+    return StockTake;
+};
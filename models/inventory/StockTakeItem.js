@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * One counted line of a stock-take: a product, or a product batch when counting by batch
+ */
+module.exports = (sequelize) => {
+    const StockTakeItem = sequelize.define('StockTakeItem', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        stockTakeId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'stock_take_id'
+        },
+        productId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_id'
+        },
+        productBatchId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'product_batch_id'
+        },
+        // Snapshot
+        sku: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        batchNumber: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            field: 'batch_number'
+        },
+        expiryDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: true,
+            field: 'expiry_date'
+        },
+        expectedQuantity: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'expected_quantity'
+        },
+        unitCost: {
+            type: DataTypes.DECIMAL(12, 2),
+            defaultValue: 0,
+            field: 'unit_cost'
+        },
+        // Count
+        countedQuantity: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'counted_quantity'
+        },
+        varianceQuantity: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'variance_quantity'
+        },
+        varianceValue: {
+            type: DataTypes.DECIMAL(14, 2),
+            allowNull: true,
+            field: 'variance_value'
+        },
+        countedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'counted_at'
+        },
+        countedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'counted_by'
+        },
+        notes: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        }
+    }, {
+        tableName: 'stock_take_items',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['stock_take_id'] },
+            { fields: ['product_id'] }
+        ]
+    });
+
+    return StockTakeItem;
+};
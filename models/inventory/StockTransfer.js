@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Transfer document moving stock from one warehouse to another
+ */
+module.exports = (sequelize) => {
+    const StockTransfer = sequelize.define('StockTransfer', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        transferNumber: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            unique: true,
+            field: 'transfer_number'
+        },
+        fromWarehouseId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'from_warehouse_id'
+        },
+        toWarehouseId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'to_warehouse_id'
+        },
+        status: {
+            type: DataTypes.ENUM('draft', 'in_transit', 'received', 'cancelled'),
+            defaultValue: 'draft'
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        dispatchedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'dispatched_at'
+        },
+        dispatchedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'dispatched_by'
+        },
+        receivedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'received_at'
+        },
+        receivedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'received_by'
+        },
+        cancelledAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'cancelled_at'
+        },
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        }
+    }, {
+        tableName: 'stock_transfers',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['from_warehouse_id'] },
+            { fields: ['to_warehouse_id'] },
+            { fields: ['status'] }
+        ]
+    });
+
+    return StockTransfer;
+};
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const StockTransferItem = sequelize.define('StockTransferItem', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        transferId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'transfer_id'
+        },
+        productId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_id'
+        },
+        quantity: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        receivedQuantity: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'received_quantity',
+            comment: 'Quantity booked in at the destination; any shortfall is written off at receipt'
+        },
+        batchNumber: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            field: 'batch_number'
+        },
+        notes: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        }
+    }, {
+        tableName: 'stock_transfer_items',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['transfer_id'] },
+            { fields: ['product_id'] }
+        ]
+    });
+
+    return StockTransferItem;
+};
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * One cost price change on a supplier price list entry
+ */
+module.exports = (sequelize) => {
+    const SupplierPriceHistory = sequelize.define('SupplierPriceHistory', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        supplierProductId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'supplier_product_id'
+        },
+        // Denormalised so trends can be queried per product or supplier directly
+        supplierId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'supplier_id'
+        },
+        productId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_id'
+        },
+        previousPrice: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true,
+            field: 'previous_price',
+            comment: 'Null for the first price on record'
+        },
+        costPrice: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            field: 'cost_price'
+        },
+        changePercent: {
+            type: DataTypes.DECIMAL(8, 2),
+            allowNull: true,
+            field: 'change_percent'
+        },
+        source: {
+            type: DataTypes.ENUM('manual', 'import'),
+            allowNull: false,
+            defaultValue: 'manual'
+        },
+        changedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'changed_by'
+        }
+    }, {
+        tableName: 'supplier_price_history',
+        timestamps: true,
+        updatedAt: false,
+        underscored: true,
+        indexes: [
+            { fields: ['supplier_product_id'] },
+            { fields: ['product_id', 'created_at'] },
+            { fields: ['supplier_id', 'created_at'] }
+        ]
+    });
+
+    return SupplierPriceHistory;
+};
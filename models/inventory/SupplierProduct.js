@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Supplier price list entry: what a supplier charges for a product and how it is ordered
+ */
+module.exports = (sequelize) => {
+    const SupplierProduct = sequelize.define('SupplierProduct', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        supplierId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'supplier_id'
+        },
+        productId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_id'
+        },
+        supplierSku: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            field: 'supplier_sku',
+            comment: "Supplier's own code for the product"
+        },
+        costPrice: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            field: 'cost_price',
+            validate: {
+                min: 0
+            }
+        },
+        packSize: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1,
+            field: 'pack_size',
+            comment: 'Units per supplier pack; order quantities are rounded up to whole packs',
+            validate: {
+                min: 1
+            }
+        },
+        minOrderQuantity: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1,
+            field: 'min_order_quantity',
+            validate: {
+                min: 1
+            }
+        },
+        leadTimeDays: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'lead_time_days'
+        },
+        isPreferred: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false,
+            field: 'is_preferred',
+            comment: 'Only one preferred supplier per product'
+        },
+        isActive: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true,
+            field: 'is_active'
+        },
+        priceUpdatedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'price_updated_at'
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        },
+        updatedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'updated_by'
+        }
+    }, {
+        tableName: 'supplier_products',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { unique: true, fields: ['supplier_id', 'product_id'] },
+            { fields: ['product_id', 'is_preferred'] },
+            { fields: ['supplier_sku'] }
+        ]
+    });
+
+    return SupplierProduct;
+};
@@ -0,0 +1,130 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Return-to-supplier document: batch stock sent back to a supplier/agency and the credit owed for it
+ */
+module.exports = (sequelize) => {
+    const SupplierReturn = sequelize.define('SupplierReturn', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        returnNumber: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            unique: true,
+            field: 'return_number'
+        },
+        supplierId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'supplier_id'
+        },
+        purchaseOrderId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'purchase_order_id',
+            comment: 'Original purchase order, when the return relates to one'
+        },
+        warehouseId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'warehouse_id',
+            comment: 'Warehouse the goods leave from (default warehouse if null)'
+        },
+        reason: {
+            type: DataTypes.ENUM('expired', 'damaged', 'short_dated', 'recalled', 'wrong_item', 'other'),
+            allowNull: false
+        },
+        // draft = editable, no stock moved; dispatched = stock out, awaiting credit
+        status: {
+            type: DataTypes.ENUM('draft', 'dispatched', 'partially_credited', 'credited', 'cancelled'),
+            defaultValue: 'draft'
+        },
+        totalQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'total_quantity'
+        },
+        // Supplier credit
+        expectedCreditAmount: {
+            type: DataTypes.DECIMAL(12, 2),
+            defaultValue: 0,
+            field: 'expected_credit_amount'
+        },
+        receivedCreditAmount: {
+            type: DataTypes.DECIMAL(12, 2),
+            defaultValue: 0,
+            field: 'received_credit_amount'
+        },
+        creditReference: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'credit_reference',
+            comment: "Supplier's credit note number(s)"
+        },
+        creditReceivedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'credit_received_at'
+        },
+        creditNotes: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'credit_notes',
+            comment: 'e.g. why a shortfall was accepted when closing'
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        emailedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'emailed_at'
+        },
+        dispatchedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'dispatched_at'
+        },
+        dispatchedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'dispatched_by'
+        },
+        cancelledAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'cancelled_at'
+        },
+        cancelledBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'cancelled_by'
+        },
+        cancelReason: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'cancel_reason'
+        },
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        }
+    }, {
+        tableName: 'supplier_returns',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['return_number'], unique: true },
+            { fields: ['supplier_id'] },
+            { fields: ['status'] },
+            { fields: ['created_at'] }
+        ]
+    });
+
+    return SupplierReturn;
+};
@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Batch quantity on a return-to-supplier document
+ */
+module.exports = (sequelize) => {
+    const SupplierReturnItem = sequelize.define('SupplierReturnItem', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        supplierReturnId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'supplier_return_id'
+        },
+        productId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_id'
+        },
+        productBatchId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_batch_id'
+        },
+        batchNumber: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            field: 'batch_number'
+        },
+        expiryDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: true,
+            field: 'expiry_date'
+        },
+        quantity: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: { min: 1 }
+        },
+        unitCost: {
+            type: DataTypes.DECIMAL(12, 2),
+            allowNull: false,
+            defaultValue: 0,
+            field: 'unit_cost'
+        },
+        creditAmount: {
+            type: DataTypes.DECIMAL(12, 2),
+            allowNull: false,
+            defaultValue: 0,
+            field: 'credit_amount',
+            comment: 'Credit expected for this line'
+        },
+        batchStatus: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+            field: 'batch_status',
+            comment: 'Batch status at dispatch; only active batches count towards sellable stock'
+        },
+        notes: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        }
+    }, {
+        tableName: 'supplier_return_items',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['supplier_return_id'] },
+            { fields: ['product_id'] },
+            { fields: ['product_batch_id'] }
+        ]
+    });
+
+    return SupplierReturnItem;
+};
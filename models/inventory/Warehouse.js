@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Stock-holding location (main store, branch, distribution centre)
+ */
+module.exports = (sequelize) => {
+    const Warehouse = sequelize.define('Warehouse', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        code: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            unique: true
+        },
+        name: {
+            type: DataTypes.STRING(150),
+            allowNull: false,
+            validate: {
+                notEmpty: true
+            }
+        },
+        // Location
+        addressLine1: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+            field: 'address_line1'
+        },
+        addressLine2: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+            field: 'address_line2'
+        },
+        city: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        district: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        province: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        postalCode: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+            field: 'postal_code'
+        },
+        latitude: {
+            type: DataTypes.DECIMAL(10, 8),
+            allowNull: true
+        },
+        longitude: {
+            type: DataTypes.DECIMAL(11, 8),
+            allowNull: true
+        },
+        // Contact
+        contactPerson: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            field: 'contact_person'
+        },
+        phone: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        },
+        email: {
+            type: DataTypes.STRING(150),
+            allowNull: true
+        },
+        // Flags
+        isDefault: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false,
+            field: 'is_default',
+            comment: 'Receives stock and fulfils orders when no other warehouse is chosen'
+        },
+        fulfilsOrders: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true,
+            field: 'fulfils_orders'
+        },
+        isActive: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true,
+            field: 'is_active'
+        },
+        isDeleted: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false,
+            field: 'is_deleted'
+        },
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        },
+        updatedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'updated_by'
+        }
+    }, {
+        tableName: 'warehouses',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['is_active'] },
+            { fields: ['is_default'] }
+        ]
+    });
+
+    return Warehouse;
+};
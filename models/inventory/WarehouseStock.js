@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Stock level of a product at one warehouse. Product.stockQuantity is the total across warehouses.
+ */
+module.exports = (sequelize) => {
+    const WarehouseStock = sequelize.define('WarehouseStock', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        warehouseId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'warehouse_id'
+        },
+        productId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_id'
+        },
+        quantity: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        inTransitQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'in_transit_quantity',
+            comment: 'Dispatched to this warehouse by a transfer but not yet received'
+        },
+        shelfLocation: {
+            type: DataTypes.STRING(50),
+            allowNull: true,
+            field: 'shelf_location'
+        },
+        reorderLevel: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'reorder_level'
+        },
+        lastMovementAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'last_movement_at'
+        }
+    }, {
+        tableName: 'warehouse_stock',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { unique: true, fields: ['warehouse_id', 'product_id'] },
+            { fields: ['product_id'] }
+        ]
+    });
+
+    return WarehouseStock;
+};
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Run history of scheduled jobs
+ */
+module.exports = (sequelize) => {
+    const JobRun = sequelize.define('JobRun', {
+        id: {
+            type: DataTypes.BIGINT,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        jobId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'job_id'
+        },
+        jobName: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            field: 'job_name'
+        },
+        trigger: {
+            type: DataTypes.ENUM('schedule', 'manual'),
+            defaultValue: 'schedule'
+        },
+        status: {
+            type: DataTypes.ENUM('running', 'success', 'failed'),
+            defaultValue: 'running'
+        },
+        startedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'started_at'
+        },
+        finishedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'finished_at'
+        },
+        durationMs: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'duration_ms'
+        },
+        result: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        error: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        triggeredBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'triggered_by'
+        }
+    }, {
+        tableName: 'job_runs',
+        timestamps: true,
+        updatedAt: false,
+        underscored: true,
+        indexes: [
+            { fields: ['job_id'] },
+            { fields: ['job_name'] },
+            { fields: ['started_at'] }
+        ]
+    });
+
+    return JobRun;
+};
@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Persisted definition and state of a background job run by SchedulerService
+ */
+module.exports = (sequelize) => {
+    const ScheduledJob = sequelize.define('ScheduledJob', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            unique: true,
+            comment: 'Job key, matches a handler registered in services/scheduledJobs.js'
+        },
+        description: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        intervalMinutes: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 60,
+            field: 'interval_minutes'
+        },
+        isEnabled: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true,
+            field: 'is_enabled'
+        },
+        nextRunAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'next_run_at'
+        },
+        runningSince: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'running_since',
+            comment: 'Set while a run is in progress, used as a lock between processes'
+        },
+        lastRunAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'last_run_at'
+        },
+        lastStatus: {
+            type: DataTypes.ENUM('success', 'failed'),
+            allowNull: true,
+            field: 'last_status'
+        },
+        lastResult: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            field: 'last_result'
+        },
+        lastError: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'last_error'
+        },
+        lastDurationMs: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'last_duration_ms'
+        },
+        updatedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'updated_by'
+        }
+    }, {
+        tableName: 'scheduled_jobs',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['is_enabled', 'next_run_at'] }
+        ]
+    });
+
+    return ScheduledJob;
+};
@@ -83,6 +83,7 @@ module.exports = (sequelize) => {
                 'confirmed', 
                 'processing', 
                 'packed', 
+                'partially_shipped',
                 'shipped', 
                 'out_for_delivery',
                 'delivered', 
@@ -95,7 +96,7 @@ module.exports = (sequelize) => {
         },
         // Payment
         paymentStatus: {
-            type: DataTypes.ENUM('pending', 'paid', 'partial', 'failed', 'refunded', 'credit'),
+            type: DataTypes.ENUM('pending', 'paid', 'partial', 'failed', 'refunded', 'credit', 'refund_due'),
             defaultValue: 'pending',
             field: 'payment_status'
         },
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Warehouse an order is shipped from
+ */
+module.exports = (sequelize) => {
+    const OrderFulfilment = sequelize.define('OrderFulfilment', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        orderId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            unique: true,
+            field: 'order_id'
+        },
+        warehouseId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'warehouse_id'
+        },
+        selection: {
+            type: DataTypes.ENUM('chosen', 'nearest', 'default', 'admin'),
+            allowNull: false,
+            comment: 'How the warehouse was picked'
+        },
+        distanceKm: {
+            type: DataTypes.DECIMAL(8, 2),
+            allowNull: true,
+            field: 'distance_km',
+            comment: 'Straight-line distance to the shipping address'
+        },
+        updatedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'updated_by'
+        }
+    }, {
+        tableName: 'order_fulfilments',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['warehouse_id'] }
+        ]
+    });
+
+    return OrderFulfilment;
+};
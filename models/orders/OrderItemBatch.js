@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Quantity of an order line drawn from a specific ProductBatch (FEFO allocation)
+ */
+module.exports = (sequelize) => {
+    const OrderItemBatch = sequelize.define('OrderItemBatch', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        orderId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'order_id'
+        },
+        orderItemId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'order_item_id'
+        },
+        productId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_id'
+        },
+        productBatchId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_batch_id'
+        },
+        // Snapshot of the batch at allocation time
+        batchNumber: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            field: 'batch_number'
+        },
+        expiryDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: false,
+            field: 'expiry_date'
+        },
+        unitCost: {
+            type: DataTypes.DECIMAL(12, 2),
+            allowNull: false,
+            defaultValue: 0,
+            field: 'unit_cost'
+        },
+        quantity: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            comment: 'Quantity still allocated; reduced when an unshipped line is cancelled or part of it ships'
+        },
+        status: {
+            type: DataTypes.ENUM('allocated', 'shipped', 'released'),
+            defaultValue: 'allocated'
+        },
+        releasedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'released_at'
+        },
+        allocatedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'allocated_by'
+        }
+    }, {
+        tableName: 'order_item_batches',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['order_id'] },
+            { fields: ['order_item_id'] },
+            { fields: ['product_batch_id'] },
+            { fields: ['batch_number'] }
+        ]
+    });
+
+    return OrderItemBatch;
+};
@@ -0,0 +1,119 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const ReturnItem = sequelize.define('ReturnItem', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        returnRequestId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'return_request_id'
+        },
+        orderItemId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'order_item_id'
+        },
+        productId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_id'
+        },
+        // Snapshot from the order line
+        productName: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+            field: 'product_name'
+        },
+        batchNumber: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            field: 'batch_number'
+        },
+        unitPrice: {
+            type: DataTypes.DECIMAL(12, 2),
+            allowNull: false,
+            field: 'unit_price',
+            comment: 'Line total / quantity at the time of the order (incl. tax, less discount)'
+        },
+        // Reason
+        reason: {
+            type: DataTypes.ENUM(
+                'damaged',
+                'expired',
+                'near_expiry',
+                'wrong_item',
+                'not_ordered',
+                'quality_issue',
+                'excess_quantity',
+                'other'
+            ),
+            allowNull: false
+        },
+        reasonNotes: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'reason_notes'
+        },
+        // Quantities through the workflow
+        quantity: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: {
+                min: 1
+            },
+            comment: 'Quantity requested by the customer'
+        },
+        approvedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'approved_quantity'
+        },
+        receivedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'received_quantity'
+        },
+        restockedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'restocked_quantity'
+        },
+        damagedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'damaged_quantity',
+            comment: 'Accepted but written off as damage'
+        },
+        rejectedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'rejected_quantity',
+            comment: 'Failed inspection, not credited'
+        },
+        creditAmount: {
+            type: DataTypes.DECIMAL(12, 2),
+            defaultValue: 0,
+            field: 'credit_amount'
+        },
+        inspectionNotes: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'inspection_notes'
+        }
+    }, {
+        tableName: 'return_items',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['return_request_id'] },
+            { fields: ['order_item_id'] },
+            { fields: ['product_id'] }
+        ]
+    });
+
+    return ReturnItem;
+};
@@ -0,0 +1,161 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const ReturnRequest = sequelize.define('ReturnRequest', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        returnNumber: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            unique: true,
+            field: 'return_number'
+        },
+        orderId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'order_id'
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'user_id'
+        },
+        doctorId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'doctor_id'
+        },
+        // Status
+        status: {
+            type: DataTypes.ENUM(
+                'requested',
+                'approved',
+                'rejected',
+                'received',
+                'inspected',
+                'completed',
+                'cancelled'
+            ),
+            defaultValue: 'requested'
+        },
+        // How the customer is compensated
+        resolution: {
+            type: DataTypes.ENUM('credit_note', 'refund'),
+            defaultValue: 'credit_note'
+        },
+        // Amounts
+        requestedAmount: {
+            type: DataTypes.DECIMAL(12, 2),
+            defaultValue: 0,
+            field: 'requested_amount'
+        },
+        creditAmount: {
+            type: DataTypes.DECIMAL(12, 2),
+            defaultValue: 0,
+            field: 'credit_amount',
+            comment: 'Value of accepted goods (restocked + written off)'
+        },
+        // Settlement
+        paymentId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'payment_id',
+            comment: 'Refund payment record issued for this return'
+        },
+        creditNoteId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'credit_note_id'
+        },
+        // Notes
+        customerNotes: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'customer_notes'
+        },
+        adminNotes: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'admin_notes'
+        },
+        rejectionReason: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'rejection_reason'
+        },
+        // Workflow timestamps
+        approvedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'approved_at'
+        },
+        approvedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'approved_by'
+        },
+        rejectedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'rejected_at'
+        },
+        receivedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'received_at'
+        },
+        receivedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'received_by'
+        },
+        inspectedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'inspected_at'
+        },
+        inspectedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'inspected_by'
+        },
+        completedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'completed_at'
+        },
+        cancelledAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'cancelled_at'
+        },
+        // Tracking
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        },
+        updatedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'updated_by'
+        }
+    }, {
+        tableName: 'return_requests',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['return_number'], unique: true },
+            { fields: ['order_id'] },
+            { fields: ['user_id'] },
+            { fields: ['doctor_id'] },
+            { fields: ['status'] },
+            { fields: ['created_at'] }
+        ]
+    });
+
+    return ReturnRequest;
+};
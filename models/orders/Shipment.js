@@ -0,0 +1,114 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const Shipment = sequelize.define('Shipment', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        shipmentNumber: {
+            type: DataTypes.STRING(60),
+            allowNull: false,
+            unique: true,
+            field: 'shipment_number'
+        },
+        orderId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'order_id'
+        },
+        // Status
+        status: {
+            type: DataTypes.ENUM(
+                'pending',
+                'packed',
+                'shipped',
+                'out_for_delivery',
+                'delivered',
+                'cancelled'
+            ),
+            defaultValue: 'pending'
+        },
+        // Totals (snapshot of lines in this shipment)
+        itemCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'item_count'
+        },
+        totalQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'total_quantity'
+        },
+        // Carrier & tracking
+        carrier: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        trackingNumber: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+            field: 'tracking_number'
+        },
+        trackingUrl: {
+            type: DataTypes.STRING(500),
+            allowNull: true,
+            field: 'tracking_url'
+        },
+        expectedDeliveryDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: true,
+            field: 'expected_delivery_date'
+        },
+        // Timestamps
+        packedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'packed_at'
+        },
+        shippedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'shipped_at'
+        },
+        deliveredAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'delivered_at'
+        },
+        cancelledAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'cancelled_at'
+        },
+        // Notes
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        // Tracking
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        },
+        updatedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'updated_by'
+        }
+    }, {
+        tableName: 'shipments',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['shipment_number'], unique: true },
+            { fields: ['order_id'] },
+            { fields: ['status'] },
+            { fields: ['tracking_number'] }
+        ]
+    });
+
+    return Shipment;
+};
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const ShipmentItem = sequelize.define('ShipmentItem', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        shipmentId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'shipment_id'
+        },
+        orderItemId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'order_item_id'
+        },
+        productId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_id'
+        },
+        // Snapshot for packing slips
+        productName: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+            field: 'product_name'
+        },
+        quantity: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: {
+                min: 1
+            }
+        }
+    }, {
+        tableName: 'shipment_items',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['shipment_id'] },
+            { fields: ['order_item_id'] },
+            { fields: ['product_id'] }
+        ]
+    });
+
+    return ShipmentItem;
+};
@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const CreditNote = sequelize.define('CreditNote', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        noteNumber: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            unique: true,
+            field: 'note_number'
+        },
+        // credit = reduces what the doctor owes, debit = increases it
+        type: {
+            type: DataTypes.ENUM('credit', 'debit'),
+            allowNull: false
+        },
+        doctorId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'doctor_id'
+        },
+        orderId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'order_id',
+            comment: 'Order the note was raised against, if any'
+        },
+        returnRequestId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'return_request_id'
+        },
+        // Lines printed on the note: [{ description, quantity, unitPrice, amount }]
+        items: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        amount: {
+            type: DataTypes.DECIMAL(12, 2),
+            allowNull: false
+        },
+        appliedAmount: {
+            type: DataTypes.DECIMAL(12, 2),
+            defaultValue: 0,
+            field: 'applied_amount',
+            comment: 'Credit used against outstandings / debit settled so far'
+        },
+        status: {
+            type: DataTypes.ENUM('open', 'partially_applied', 'applied', 'cancelled'),
+            defaultValue: 'open'
+        },
+        reason: {
+            type: DataTypes.STRING(500),
+            allowNull: false
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        issuedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+            field: 'issued_at'
+        },
+        cancelledAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'cancelled_at'
+        },
+        cancelledBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'cancelled_by'
+        },
+        cancelReason: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'cancel_reason'
+        },
+        // Tracking
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        },
+        updatedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'updated_by'
+        }
+    }, {
+        tableName: 'credit_notes',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['note_number'], unique: true },
+            { fields: ['type'] },
+            { fields: ['doctor_id'] },
+            { fields: ['order_id'] },
+            { fields: ['status'] },
+            { fields: ['issued_at'] }
+        ]
+    });
+
+    return CreditNote;
+};
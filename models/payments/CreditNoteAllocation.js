@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * How a note's balance was used up:
+ *  - credit note -> order: orderId + paymentId (the credit payment posted on the order)
+ *  - credit note -> debit note: settledNoteId
+ *  - payment -> debit note: paymentId (creditNoteId is the debit note)
+ */
+module.exports = (sequelize) => {
+    const CreditNoteAllocation = sequelize.define('CreditNoteAllocation', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        creditNoteId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'credit_note_id'
+        },
+        orderId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'order_id'
+        },
+        settledNoteId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'settled_note_id'
+        },
+        paymentId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'payment_id'
+        },
+        amount: {
+            type: DataTypes.DECIMAL(12, 2),
+            allowNull: false
+        },
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        }
+    }, {
+        tableName: 'credit_note_allocations',
+        timestamps: true,
+        updatedAt: false,
+        underscored: true,
+        indexes: [
+            { fields: ['credit_note_id'] },
+            { fields: ['order_id'] },
+            { fields: ['settled_note_id'] },
+            { fields: ['payment_id'] }
+        ]
+    });
+
+    return CreditNoteAllocation;
+};
@@ -45,6 +45,7 @@ module.exports = (sequelize) => {
                 'cheque',
                 'bank_transfer',
                 'credit', // Doctor credit
+                'refund',
                 'other'
             ),
             allowNull: false
@@ -0,0 +1,152 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Supplier bill against a purchase order, three-way matched to the PO and what was received
+ */
+module.exports = (sequelize) => {
+    const SupplierInvoice = sequelize.define('SupplierInvoice', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        referenceNumber: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            unique: true,
+            field: 'reference_number',
+            comment: 'Our reference (BIL-YYMMDD-0001)'
+        },
+        invoiceNumber: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            field: 'invoice_number',
+            comment: "Supplier's invoice number"
+        },
+        supplierId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'supplier_id'
+        },
+        purchaseOrderId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'purchase_order_id'
+        },
+        invoiceDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: false,
+            field: 'invoice_date'
+        },
+        dueDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: false,
+            field: 'due_date'
+        },
+        // Amounts
+        subtotal: {
+            type: DataTypes.DECIMAL(15, 2),
+            defaultValue: 0
+        },
+        taxAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            defaultValue: 0,
+            field: 'tax_amount'
+        },
+        totalAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            field: 'total_amount',
+            comment: 'Total as stated on the supplier invoice'
+        },
+        paidAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            defaultValue: 0,
+            field: 'paid_amount'
+        },
+        dueAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            defaultValue: 0,
+            field: 'due_amount'
+        },
+        status: {
+            type: DataTypes.ENUM('pending', 'approved', 'partially_paid', 'paid', 'cancelled'),
+            defaultValue: 'pending'
+        },
+        // Three-way match
+        matchStatus: {
+            type: DataTypes.ENUM('matched', 'discrepancy', 'overridden'),
+            defaultValue: 'matched',
+            field: 'match_status'
+        },
+        // [{ type, productId, message, expected, actual }]
+        discrepancies: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        matchedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'matched_at'
+        },
+        overrideReason: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'override_reason'
+        },
+        approvedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'approved_at'
+        },
+        approvedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'approved_by'
+        },
+        cancelledAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'cancelled_at'
+        },
+        cancelledBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'cancelled_by'
+        },
+        cancelReason: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'cancel_reason'
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        // Tracking
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        },
+        updatedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'updated_by'
+        }
+    }, {
+        tableName: 'supplier_invoices',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['reference_number'], unique: true },
+            { fields: ['supplier_id', 'invoice_number'], unique: true },
+            { fields: ['purchase_order_id'] },
+            { fields: ['status'] },
+            { fields: ['match_status'] },
+            { fields: ['due_date'] }
+        ]
+    });
+
+    return SupplierInvoice;
+};
@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Supplier invoice line, with the PO and receipt figures it was matched against
+ */
+module.exports = (sequelize) => {
+    const SupplierInvoiceItem = sequelize.define('SupplierInvoiceItem', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        supplierInvoiceId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'supplier_invoice_id'
+        },
+        purchaseOrderItemId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'purchase_order_item_id',
+            comment: 'Null when the supplier billed a product that is not on the PO'
+        },
+        productId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'product_id'
+        },
+        // Invoiced
+        quantity: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: {
+                min: 1
+            }
+        },
+        unitPrice: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            field: 'unit_price'
+        },
+        taxPercentage: {
+            type: DataTypes.DECIMAL(5, 2),
+            defaultValue: 0,
+            field: 'tax_percentage'
+        },
+        taxAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            defaultValue: 0,
+            field: 'tax_amount'
+        },
+        total: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false
+        },
+        // Snapshot at last match
+        orderedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'ordered_quantity'
+        },
+        receivedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'received_quantity'
+        },
+        previouslyInvoicedQuantity: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'previously_invoiced_quantity',
+            comment: 'Invoiced on other open invoices for the same PO line'
+        },
+        orderedUnitPrice: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true,
+            field: 'ordered_unit_price'
+        },
+        matchStatus: {
+            type: DataTypes.ENUM('matched', 'discrepancy'),
+            defaultValue: 'matched',
+            field: 'match_status'
+        }
+    }, {
+        tableName: 'supplier_invoice_items',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['supplier_invoice_id'] },
+            { fields: ['purchase_order_item_id'] },
+            { fields: ['product_id'] }
+        ]
+    });
+
+    return SupplierInvoiceItem;
+};
@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Payment made to a supplier against one of their invoices
+ */
+module.exports = (sequelize) => {
+    const SupplierPayment = sequelize.define('SupplierPayment', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        paymentNumber: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            unique: true,
+            field: 'payment_number'
+        },
+        supplierId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'supplier_id'
+        },
+        supplierInvoiceId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'supplier_invoice_id'
+        },
+        amount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false
+        },
+        method: {
+            type: DataTypes.ENUM('cash', 'cheque', 'bank_transfer', 'other'),
+            allowNull: false
+        },
+        paymentDate: {
+            type: DataTypes.DATEONLY,
+            allowNull: false,
+            field: 'payment_date'
+        },
+        reference: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            comment: 'Bank transfer reference or similar'
+        },
+        // Cheque/Bank specific
+        chequeNumber: {
+            type: DataTypes.STRING(50),
+            allowNull: true,
+            field: 'cheque_number'
+        },
+        bankName: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            field: 'bank_name'
+        },
+        status: {
+            type: DataTypes.ENUM('completed', 'void'),
+            defaultValue: 'completed'
+        },
+        voidedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'voided_at'
+        },
+        voidedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'voided_by'
+        },
+        voidReason: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'void_reason'
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        createdBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'created_by'
+        }
+    }, {
+        tableName: 'supplier_payments',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['payment_number'], unique: true },
+            { fields: ['supplier_id'] },
+            { fields: ['supplier_invoice_id'] },
+            { fields: ['payment_date'] }
+        ]
+    });
+
+    return SupplierPayment;
+};
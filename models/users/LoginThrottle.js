@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Failed-login counter and lockout for one account or one IP address
+ */
+module.exports = (sequelize) => {
+    const LoginThrottle = sequelize.define('LoginThrottle', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        scope: {
+            type: DataTypes.ENUM('account', 'ip'),
+            allowNull: false
+        },
+        accountType: {
+            type: DataTypes.ENUM('user', 'doctor'),
+            allowNull: true,
+            field: 'account_type'
+        },
+        accountId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'account_id'
+        },
+        ipAddress: {
+            type: DataTypes.STRING(45),
+            allowNull: true,
+            field: 'ip_address',
+            comment: 'Throttled IP (scope ip); null on account rows, whose failures are in the audit log'
+        },
+        identifier: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            comment: 'Phone or username last tried'
+        },
+        failedCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'failed_count',
+            comment: 'Consecutive failures in the current window'
+        },
+        lastFailedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'last_failed_at'
+        },
+        lockedUntil: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'locked_until'
+        },
+        lockoutCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'lockout_count',
+            comment: 'Lockouts since the last successful login; each one doubles the lock time'
+        },
+        unlockedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'unlocked_at'
+        },
+        unlockedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'unlocked_by'
+        }
+    }, {
+        tableName: 'login_throttles',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            // One counter per account and per IP, so parallel failures cannot open a second row
+            { name: 'login_throttles_account_unique', unique: true, fields: ['scope', 'account_type', 'account_id'] },
+            { name: 'login_throttles_ip_unique', unique: true, fields: ['scope', 'ip_address'] },
+            { fields: ['locked_until'] }
+        ]
+    });
+
+    return LoginThrottle;
+};
@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Forgotten-password reset request: an emailed link token or an SMS OTP.
+ * Only a hash of the secret is stored; each request is single-use.
+ */
+module.exports = (sequelize) => {
+    const PasswordReset = sequelize.define('PasswordReset', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        accountType: {
+            type: DataTypes.ENUM('user', 'doctor'),
+            allowNull: false,
+            field: 'account_type'
+        },
+        accountId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'account_id'
+        },
+        channel: {
+            type: DataTypes.ENUM('email', 'sms'),
+            allowNull: false
+        },
+        tokenHash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            field: 'token_hash',
+            comment: 'SHA-256 of the emailed link token or of the SMS OTP'
+        },
+        attempts: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            comment: 'Wrong OTP entries'
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'expires_at'
+        },
+        usedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'used_at'
+        },
+        invalidatedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'invalidated_at',
+            comment: 'Superseded by a newer request, too many wrong OTPs, or another reset completed'
+        },
+        ipAddress: {
+            type: DataTypes.STRING(45),
+            allowNull: true,
+            field: 'ip_address'
+        },
+        userAgent: {
+            type: DataTypes.STRING(500),
+            allowNull: true,
+            field: 'user_agent'
+        }
+    }, {
+        tableName: 'password_resets',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['token_hash'] },
+            { fields: ['account_type', 'account_id'] },
+            { fields: ['ip_address', 'created_at'] }
+        ]
+    });
+
+    return PasswordReset;
+};
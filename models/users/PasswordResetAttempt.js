@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * One forgotten-password request from an IP address, whatever came of it.
+ * Counted for the per-IP limit, so unknown or ineligible identifiers are limited too.
+ */
+module.exports = (sequelize) => {
+    const PasswordResetAttempt = sequelize.define('PasswordResetAttempt', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        ipAddress: {
+            type: DataTypes.STRING(45),
+            allowNull: false,
+            field: 'ip_address'
+        },
+        identifier: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            comment: 'Phone or username the reset was requested for'
+        },
+        channel: {
+            type: DataTypes.ENUM('email', 'sms'),
+            allowNull: true
+        }
+    }, {
+        tableName: 'password_reset_attempts',
+        timestamps: true,
+        updatedAt: false,
+        underscored: true,
+        indexes: [
+            { fields: ['ip_address', 'created_at'] }
+        ]
+    });
+
+    return PasswordResetAttempt;
+};
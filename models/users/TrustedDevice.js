@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Device remembered after a successful second factor, so later logins from it
+ * skip the 2FA prompt until it expires or is revoked.
+ */
+module.exports = (sequelize) => {
+    const TrustedDevice = sequelize.define('TrustedDevice', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        accountType: {
+            type: DataTypes.ENUM('user', 'doctor'),
+            allowNull: false,
+            field: 'account_type'
+        },
+        accountId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'account_id'
+        },
+        tokenHash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            field: 'token_hash',
+            comment: 'SHA-256 of the device token held by the client'
+        },
+        verifiedWith: {
+            type: DataTypes.ENUM('totp', 'recovery', 'email', 'sms'),
+            allowNull: false,
+            field: 'verified_with',
+            comment: 'Second factor used when the device was trusted'
+        },
+        deviceName: {
+            type: DataTypes.STRING(150),
+            allowNull: true,
+            field: 'device_name'
+        },
+        userAgent: {
+            type: DataTypes.STRING(500),
+            allowNull: true,
+            field: 'user_agent'
+        },
+        ipAddress: {
+            type: DataTypes.STRING(45),
+            allowNull: true,
+            field: 'ip_address'
+        },
+        lastUsedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'last_used_at'
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'expires_at'
+        },
+        revokedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'revoked_at'
+        }
+    }, {
+        tableName: 'trusted_devices',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['account_type', 'account_id'] },
+            { fields: ['token_hash'] }
+        ]
+    });
+
+    return TrustedDevice;
+};
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Authenticator-app (TOTP) enrolment of a user or doctor. The shared secret is
+ * stored encrypted and recovery codes only as hashes.
+ */
+module.exports = (sequelize) => {
+    const TwoFactorAuth = sequelize.define('TwoFactorAuth', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        accountType: {
+            type: DataTypes.ENUM('user', 'doctor'),
+            allowNull: false,
+            field: 'account_type'
+        },
+        accountId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'account_id'
+        },
+        secret: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+            comment: 'AES-256-GCM encrypted base32 TOTP secret'
+        },
+        enabledAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'enabled_at',
+            comment: 'Null until the first code is confirmed'
+        },
+        lastUsedStep: {
+            type: DataTypes.BIGINT,
+            allowNull: true,
+            field: 'last_used_step',
+            comment: 'Time step of the last accepted code; older or equal steps are replays'
+        },
+        recoveryCodes: {
+            type: DataTypes.JSON,
+            defaultValue: [],
+            field: 'recovery_codes',
+            comment: 'SHA-256 hashes of unused recovery codes'
+        },
+        failedAttempts: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'failed_attempts'
+        },
+        lockedUntil: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'locked_until'
+        }
+    }, {
+        tableName: 'two_factor_auth',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { unique: true, fields: ['account_type', 'account_id'] }
+        ]
+    });
+
+    return TwoFactorAuth;
+};
@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Login session backing a refresh token. The token rotates on every refresh;
+ * only the hash of the current token id is stored.
+ */
+module.exports = (sequelize) => {
+    const UserSession = sequelize.define('UserSession', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        accountType: {
+            type: DataTypes.ENUM('user', 'doctor'),
+            allowNull: false,
+            field: 'account_type',
+            comment: 'Mirrors the isDoctorAccount token claim: doctor = Doctor table, user = User table'
+        },
+        accountId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'account_id'
+        },
+        tokenHash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            field: 'token_hash',
+            comment: 'SHA-256 of the current refresh token id'
+        },
+        rotationCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'rotation_count'
+        },
+        deviceName: {
+            type: DataTypes.STRING(150),
+            allowNull: true,
+            field: 'device_name'
+        },
+        userAgent: {
+            type: DataTypes.STRING(500),
+            allowNull: true,
+            field: 'user_agent'
+        },
+        ipAddress: {
+            type: DataTypes.STRING(45),
+            allowNull: true,
+            field: 'ip_address'
+        },
+        lastUsedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'last_used_at'
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'expires_at'
+        },
+        revokedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'revoked_at'
+        },
+        revokedReason: {
+            type: DataTypes.ENUM('logout', 'user_revoked', 'admin_revoked', 'account_disabled', 'token_reuse', 'password_changed'),
+            allowNull: true,
+            field: 'revoked_reason'
+        },
+        revokedBy: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'revoked_by',
+            comment: 'Admin user who revoked the session'
+        }
+    }, {
+        tableName: 'user_sessions',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['account_type', 'account_id'] },
+            { fields: ['expires_at'] },
+            { fields: ['revoked_at'] }
+        ]
+    });
+
+    return UserSession;
+};
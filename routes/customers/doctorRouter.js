@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const doctorController = require('../../controllers/customers/doctorController');
 const { userController } = require('../../controllers');
-const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { authenticateToken, requirePermission, requireTwoFactor } = require('../../middleware/auth');
 const { doctorValidators, addressValidators, queryValidators } = require('../../validators');
 const { body } = require('express-validator');
 
@@ -122,6 +122,75 @@ router.put('/me',
  */
 router.get('/credit', authenticateToken, doctorController.getCreditSummary);
 
+/**
+ * @swagger
+ * /doctors/me/statement:
+ *   get:
+ *     summary: Get my account statement with running balance
+ *     description: Credit orders, payments, refunds, settlements and credit/debit notes in date order. Entries before startDate are rolled into the opening balance.
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: endDate
+ *         schema: { type: string, format: date }
+ *     responses:
+ *       200: { description: Account statement }
+ */
+router.get('/me/statement', authenticateToken, queryValidators.dateRange, doctorController.getStatement);
+
+/**
+ * @swagger
+ * /doctors/me/statement/pdf:
+ *   get:
+ *     summary: Download my account statement as PDF
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: endDate
+ *         schema: { type: string, format: date }
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema: { type: string, format: binary }
+ */
+router.get('/me/statement/pdf', authenticateToken, queryValidators.dateRange, doctorController.downloadStatementPdf);
+
+/**
+ * @swagger
+ * /doctors/me/statement/excel:
+ *   get:
+ *     summary: Download my account statement as Excel
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: endDate
+ *         schema: { type: string, format: date }
+ *     responses:
+ *       200:
+ *         description: Excel file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema: { type: string, format: binary }
+ */
+router.get('/me/statement/excel', authenticateToken, queryValidators.dateRange, doctorController.downloadStatementExcel);
+
 /**
  * @swagger
  * /doctors/addresses:
@@ -313,9 +382,119 @@ router.post('/:id/verify',
 router.patch('/:id/credit-limit',
     authenticateToken,
     requirePermission('doctors', 'update'),
+    requireTwoFactor(),
     doctorController.updateCreditLimit
 );
 
+/**
+ * @swagger
+ * /doctors/{id}/statement:
+ *   get:
+ *     summary: Get a doctor's account statement (Admin)
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: startDate
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: endDate
+ *         schema: { type: string, format: date }
+ *     responses:
+ *       200: { description: Account statement }
+ */
+router.get('/:id/statement',
+    authenticateToken,
+    requirePermission('doctors', 'read'),
+    queryValidators.dateRange,
+    doctorController.getStatement
+);
+
+/**
+ * @swagger
+ * /doctors/{id}/statement/pdf:
+ *   get:
+ *     summary: Download a doctor's account statement as PDF (Admin)
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: PDF file }
+ */
+router.get('/:id/statement/pdf',
+    authenticateToken,
+    requirePermission('doctors', 'read'),
+    queryValidators.dateRange,
+    doctorController.downloadStatementPdf
+);
+
+/**
+ * @swagger
+ * /doctors/{id}/statement/excel:
+ *   get:
+ *     summary: Download a doctor's account statement as Excel (Admin)
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Excel file }
+ */
+router.get('/:id/statement/excel',
+    authenticateToken,
+    requirePermission('doctors', 'read'),
+    queryValidators.dateRange,
+    doctorController.downloadStatementExcel
+);
+
+/**
+ * @swagger
+ * /doctors/{id}/credit-override:
+ *   post:
+ *     summary: Let a doctor's next order skip the credit-hold policy (Admin)
+ *     description: One-off override valid for credit_override_hours. The reason is recorded in the audit log.
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string }
+ *     responses:
+ *       201: { description: Override granted }
+ */
+router.post('/:id/credit-override',
+    authenticateToken,
+    requirePermission('doctors', 'update'),
+    requireTwoFactor(),
+    doctorValidators.creditOverride,
+    doctorController.grantCreditOverride
+);
+
 /**
  * Settle my outstandings (Doctor)
  */
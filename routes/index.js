@@ -15,6 +15,8 @@ router.use('/brands', require('./products/brandRouter'));
 // Orders & Cart
 router.use('/orders', require('./orders/orderRouter'));
 router.use('/cart', require('./orders/cartRouter'));
+router.use('/returns', require('./orders/returnRouter'));
+router.use('/sales-analytics', require('./orders/salesAnalyticsRouter'));
 
 // Customers
 router.use('/doctors', require('./customers/doctorRouter'));
@@ -26,15 +28,24 @@ router.use('/promotions', require('./pricing/promotionRouter'));
 
 // Payments
 router.use('/payments', require('./payments/paymentRouter'));
+router.use('/credit-notes', require('./payments/creditNoteRouter'));
+router.use('/payables', require('./payments/payableRouter'));
 
 // Settings & Audit
 router.use('/settings', require('./settings/settingsRouter'));
+router.use('/jobs', require('./settings/jobRouter'));
 router.use('/audit-logs', require('./audit/auditRouter'));
 
 // Inventory
 router.use('/inventory', require('./inventory/inventoryRouter'));
 router.use('/suppliers', require('./inventory/supplierRouter'));
 router.use('/purchase-orders', require('./inventory/purchaseOrderRouter'));
+router.use('/recalls', require('./inventory/recallRouter'));
+router.use('/warehouses', require('./inventory/warehouseRouter'));
+router.use('/stock-takes', require('./inventory/stockTakeRouter'));
+router.use('/goods-receipts', require('./inventory/goodsReceiptRouter'));
+router.use('/supplier-returns', require('./inventory/supplierReturnRouter'));
+router.use('/inventory-valuation', require('./inventory/valuationRouter'));
 
 // Upload
 router.use('/upload', require('./upload'));
@@ -0,0 +1,291 @@
+const express = require('express');
+const router = express.Router();
+const goodsReceiptController = require('../../controllers/inventory/goodsReceiptController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { goodsReceiptValidators, queryValidators } = require('../../validators');
+
+/**
+ * @swagger
+ * /goods-receipts:
+ *   get:
+ *     summary: Get all goods receipt notes
+ *     tags: [Goods Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending_inspection, completed, cancelled] }
+ *       - in: query
+ *         name: purchaseOrderId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: supplierId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: warehouseId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: hasQuarantine
+ *         schema: { type: boolean }
+ *         description: Only GRNs with units still held in quarantine
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: List of goods receipt notes
+ */
+router.get('/',
+    authenticateToken,
+    requirePermission('goods_receipts', 'read'),
+    queryValidators.pagination,
+    goodsReceiptController.getGoodsReceipts
+);
+
+/**
+ * @swagger
+ * /goods-receipts:
+ *   post:
+ *     summary: Log a delivery against a purchase order
+ *     description: |
+ *       Creates a GRN awaiting inspection. No stock is added until the GRN is inspected and posted.
+ *       Lines expiring within the minimum shelf life (grn_min_shelf_life_days) are returned as warnings.
+ *     tags: [Goods Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [purchaseOrderId, items]
+ *             properties:
+ *               purchaseOrderId: { type: integer }
+ *               warehouseId: { type: integer }
+ *               deliveryNoteNumber: { type: string }
+ *               notes: { type: string }
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [quantity, batchNumber, expiryDate]
+ *                   properties:
+ *                     purchaseOrderItemId: { type: integer }
+ *                     productId: { type: integer }
+ *                     quantity: { type: integer }
+ *                     batchNumber: { type: string }
+ *                     mfgDate: { type: string, format: date }
+ *                     expiryDate: { type: string, format: date }
+ *     responses:
+ *       201:
+ *         description: Delivery logged, awaiting inspection
+ *       400:
+ *         description: Purchase order cannot be received, or more than the outstanding quantity
+ */
+router.post('/',
+    authenticateToken,
+    requirePermission('goods_receipts', 'create'),
+    goodsReceiptValidators.create,
+    goodsReceiptController.createGoodsReceipt
+);
+
+/**
+ * @swagger
+ * /goods-receipts/{id}:
+ *   get:
+ *     summary: Get a goods receipt note with its lines
+ *     tags: [Goods Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Goods receipt details
+ *       404:
+ *         description: Goods receipt not found
+ */
+router.get('/:id',
+    authenticateToken,
+    requirePermission('goods_receipts', 'read'),
+    goodsReceiptController.getGoodsReceipt
+);
+
+/**
+ * @swagger
+ * /goods-receipts/{id}/pdf:
+ *   get:
+ *     summary: Download the goods receipt note as a PDF
+ *     tags: [Goods Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema: { type: string, format: binary }
+ */
+router.get('/:id/pdf',
+    authenticateToken,
+    requirePermission('goods_receipts', 'read'),
+    goodsReceiptController.downloadPdf
+);
+
+/**
+ * @swagger
+ * /goods-receipts/{id}/inspection:
+ *   put:
+ *     summary: Record inspection results
+ *     description: Per line, accepted + rejected + quarantined must equal the received quantity.
+ *     tags: [Goods Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId: { type: integer }
+ *                     acceptedQuantity: { type: integer }
+ *                     rejectedQuantity: { type: integer }
+ *                     quarantinedQuantity: { type: integer }
+ *                     rejectionReason: { type: string }
+ *                     inspectionNotes: { type: string }
+ *     responses:
+ *       200:
+ *         description: Inspection recorded
+ */
+router.put('/:id/inspection',
+    authenticateToken,
+    requirePermission('goods_receipts', 'update'),
+    goodsReceiptValidators.recordInspection,
+    goodsReceiptController.recordInspection
+);
+
+/**
+ * @swagger
+ * /goods-receipts/{id}/complete:
+ *   post:
+ *     summary: Post an inspected GRN into stock
+ *     description: |
+ *       Creates or tops up product batches, adds accepted quantities to sellable stock and
+ *       updates the purchase order's received quantities and status.
+ *     tags: [Goods Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: GRN posted
+ *       400:
+ *         description: Lines not inspected, or a batch is under recall
+ */
+router.post('/:id/complete',
+    authenticateToken,
+    requirePermission('goods_receipts', 'approve'),
+    goodsReceiptController.completeGoodsReceipt
+);
+
+/**
+ * @swagger
+ * /goods-receipts/{id}/items/{itemId}/release:
+ *   post:
+ *     summary: Release quarantined units into stock or reject them
+ *     tags: [Goods Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               acceptQuantity: { type: integer }
+ *               rejectQuantity: { type: integer }
+ *               rejectionReason: { type: string }
+ *               notes: { type: string }
+ *     responses:
+ *       200:
+ *         description: Quarantine released
+ */
+router.post('/:id/items/:itemId/release',
+    authenticateToken,
+    requirePermission('goods_receipts', 'approve'),
+    goodsReceiptValidators.releaseQuarantine,
+    goodsReceiptController.releaseQuarantine
+);
+
+/**
+ * @swagger
+ * /goods-receipts/{id}/cancel:
+ *   post:
+ *     summary: Cancel a GRN that has not been inspected
+ *     tags: [Goods Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string }
+ *     responses:
+ *       200:
+ *         description: GRN cancelled
+ */
+router.post('/:id/cancel',
+    authenticateToken,
+    requirePermission('goods_receipts', 'update'),
+    goodsReceiptValidators.cancel,
+    goodsReceiptController.cancelGoodsReceipt
+);
+
+module.exports = router;
@@ -7,9 +7,9 @@ router.get('/movements', authenticateToken, requirePermission('inventory', 'read
 router.get('/stats', authenticateToken, requirePermission('inventory', 'read'), inventoryController.getInventoryStats);
 
 // Batch management routes
-router.post('/batches/:productId', authenticateToken, requirePermission('inventory', 'create'), inventoryController.addProductBatch);
-router.get('/batches/:productId', authenticateToken, requirePermission('inventory', 'read'), inventoryController.getProductBatches);
-router.put('/batches/:id', authenticateToken, requirePermission('inventory', 'update'), inventoryController.updateProductBatch);
-router.delete('/batches/:id', authenticateToken, requirePermission('inventory', 'delete'), inventoryController.deleteProductBatch);
+router.post('/batches/:productId', authenticateToken, requirePermission('inventory_batches', 'create'), inventoryController.addProductBatch);
+router.get('/batches/:productId', authenticateToken, requirePermission('inventory_batches', 'read'), inventoryController.getProductBatches);
+router.put('/batches/:id', authenticateToken, requirePermission('inventory_batches', 'update'), inventoryController.updateProductBatch);
+router.delete('/batches/:id', authenticateToken, requirePermission('inventory_batches', 'delete'), inventoryController.deleteProductBatch);
 
 module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const purchaseOrderController = require('../../controllers/inventory/purchaseOrderController');
 const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const { body } = require('express-validator');
+const { goodsReceiptValidators } = require('../../validators');
 
 // Validation rules
 const poValidation = [
@@ -10,15 +11,34 @@ const poValidation = [
     body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
     body('items.*.productId').isInt().withMessage('Product ID is required'),
     body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-    body('items.*.unitPrice').isDecimal().withMessage('Unit price is required')
+    body('items.*.unitPrice').optional({ nullable: true }).isDecimal().withMessage('Invalid unit price')
 ];
 
-router.get('/', authenticateToken, requirePermission('inventory', 'read'), purchaseOrderController.getPurchaseOrders);
-router.get('/:id/pdf', authenticateToken, requirePermission('inventory', 'read'), purchaseOrderController.downloadPdf);
-router.get('/:id', authenticateToken, requirePermission('inventory', 'read'), purchaseOrderController.getPurchaseOrder);
-router.post('/', authenticateToken, requirePermission('inventory', 'create'), poValidation, purchaseOrderController.createPurchaseOrder);
-router.post('/:id/send', authenticateToken, requirePermission('inventory', 'update'), purchaseOrderController.sendPurchaseOrder);
-router.patch('/:id/status', authenticateToken, requirePermission('inventory', 'update'), purchaseOrderController.updateStatus);
-router.post('/:id/receive', authenticateToken, requirePermission('inventory', 'update'), purchaseOrderController.receiveItems);
+const prefillValidation = [
+    body('supplierId').isInt().withMessage('Supplier ID is required'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.productId').isInt().withMessage('Product ID is required'),
+    body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+];
+
+const replenishmentValidation = [
+    body('supplierIds').optional().isArray().withMessage('supplierIds must be an array'),
+    body('supplierIds.*').isInt().withMessage('Invalid supplier ID'),
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.productId').isInt().withMessage('Product ID is required'),
+    body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.unitPrice').optional().isDecimal().withMessage('Invalid unit price')
+];
+
+router.get('/', authenticateToken, requirePermission('purchase_orders', 'read'), purchaseOrderController.getPurchaseOrders);
+router.post('/prefill', authenticateToken, requirePermission('purchase_orders', 'read'), prefillValidation, purchaseOrderController.prefillItems);
+router.get('/replenishment/suggestions', authenticateToken, requirePermission('purchase_orders', 'read'), purchaseOrderController.getReplenishmentSuggestions);
+router.post('/replenishment/generate', authenticateToken, requirePermission('purchase_orders', 'create'), replenishmentValidation, purchaseOrderController.generateReplenishmentOrders);
+router.get('/:id/pdf', authenticateToken, requirePermission('purchase_orders', 'read'), purchaseOrderController.downloadPdf);
+router.get('/:id', authenticateToken, requirePermission('purchase_orders', 'read'), purchaseOrderController.getPurchaseOrder);
+router.post('/', authenticateToken, requirePermission('purchase_orders', 'create'), poValidation, purchaseOrderController.createPurchaseOrder);
+router.post('/:id/send', authenticateToken, requirePermission('purchase_orders', 'update'), purchaseOrderController.sendPurchaseOrder);
+router.patch('/:id/status', authenticateToken, requirePermission('purchase_orders', 'update'), purchaseOrderController.updateStatus);
+router.post('/:id/receive', authenticateToken, requirePermission('purchase_orders', 'update'), goodsReceiptValidators.receive, purchaseOrderController.receiveItems);
 
 module.exports = router;
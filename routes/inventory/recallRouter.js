@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const recallController = require('../../controllers/inventory/recallController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { recallValidators, queryValidators } = require('../../validators');
+
+/**
+ * @swagger
+ * /recalls:
+ *   get:
+ *     summary: Get all batch recalls (Admin only)
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [open, closed] }
+ *       - in: query
+ *         name: productId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: List of recalls
+ */
+router.get('/',
+    authenticateToken,
+    requirePermission('recalls', 'read'),
+    queryValidators.pagination,
+    recallController.getRecalls
+);
+
+/**
+ * @swagger
+ * /recalls/my-recalls:
+ *   get:
+ *     summary: Recall notices for the current customer's orders
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recall notices with acknowledgement and return status
+ */
+router.get('/my-recalls',
+    authenticateToken,
+    recallController.getMyRecalls
+);
+
+/**
+ * @swagger
+ * /recalls/my-recalls/{recipientId}/acknowledge:
+ *   post:
+ *     summary: Acknowledge a recall notice
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recipientId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantityOnHand: { type: integer, description: Units of the batch still held }
+ *               notes: { type: string }
+ *     responses:
+ *       200:
+ *         description: Notice acknowledged
+ */
+router.post('/my-recalls/:recipientId/acknowledge',
+    authenticateToken,
+    recallValidators.acknowledge,
+    recallController.acknowledgeRecall
+);
+
+/**
+ * @swagger
+ * /recalls:
+ *   post:
+ *     summary: Recall a batch, quarantine its stock and notify affected customers (Admin only)
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [productBatchId, reason]
+ *             properties:
+ *               productBatchId: { type: integer }
+ *               severity: { type: string, enum: [class_i, class_ii, class_iii] }
+ *               reason: { type: string }
+ *               instructions: { type: string }
+ *               manufacturerReference: { type: string }
+ *               notify: { type: boolean, default: true }
+ *     responses:
+ *       201:
+ *         description: Recall raised
+ *       400:
+ *         description: Batch not found or already under recall
+ */
+router.post('/',
+    authenticateToken,
+    requirePermission('recalls', 'create'),
+    recallValidators.create,
+    recallController.createRecall
+);
+
+/**
+ * @swagger
+ * /recalls/{id}:
+ *   get:
+ *     summary: Get a recall with affected orders, doctors and progress (Admin only)
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Recall details and summary
+ *       404:
+ *         description: Recall not found
+ */
+router.get('/:id',
+    authenticateToken,
+    requirePermission('recalls', 'read'),
+    recallController.getRecall
+);
+
+/**
+ * @swagger
+ * /recalls/{id}/notify:
+ *   post:
+ *     summary: Re-send the recall notice to recipients who have not acknowledged (Admin only)
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               recipientIds: { type: array, items: { type: integer } }
+ *     responses:
+ *       200:
+ *         description: Notices sent
+ */
+router.post('/:id/notify',
+    authenticateToken,
+    requirePermission('recalls', 'update'),
+    recallController.notifyRecipients
+);
+
+/**
+ * @swagger
+ * /recalls/{id}/recipients/{recipientId}:
+ *   put:
+ *     summary: Record acknowledgement or returned stock for a recipient (Admin only)
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: recipientId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               acknowledged: { type: boolean }
+ *               quantityOnHand: { type: integer }
+ *               returnStatus: { type: string, enum: [pending, partial, returned, not_applicable] }
+ *               returnedQuantity: { type: integer }
+ *               notes: { type: string }
+ *     responses:
+ *       200:
+ *         description: Recipient updated
+ */
+router.put('/:id/recipients/:recipientId',
+    authenticateToken,
+    requirePermission('recalls', 'update'),
+    recallValidators.updateRecipient,
+    recallController.updateRecipient
+);
+
+/**
+ * @swagger
+ * /recalls/{id}/close:
+ *   post:
+ *     summary: Close a recall (Admin only)
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes: { type: string }
+ *     responses:
+ *       200:
+ *         description: Recall closed
+ */
+router.post('/:id/close',
+    authenticateToken,
+    requirePermission('recalls', 'update'),
+    recallController.closeRecall
+);
+
+module.exports = router;
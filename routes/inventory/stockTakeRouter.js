@@ -0,0 +1,314 @@
+const express = require('express');
+const router = express.Router();
+const stockTakeController = require('../../controllers/inventory/stockTakeController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { stockTakeValidators, queryValidators } = require('../../validators');
+const { uploadSpreadsheet } = require('../../config/spreadsheet');
+
+/**
+ * @swagger
+ * /stock-takes:
+ *   get:
+ *     summary: Get stock-take sessions
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [counting, submitted, approved, discarded] }
+ *       - in: query
+ *         name: warehouseId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: List of stock takes
+ */
+router.get('/',
+    authenticateToken,
+    requirePermission('stock_takes', 'read'),
+    queryValidators.pagination,
+    stockTakeController.getStockTakes
+);
+
+/**
+ * @swagger
+ * /stock-takes:
+ *   post:
+ *     summary: Start a stock take
+ *     description: |
+ *       Freezes expected quantities for every stock-tracked product in scope.
+ *       Without a warehouse, stock is counted per batch; with one, per product at that warehouse.
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               warehouseId: { type: integer }
+ *               categoryId: { type: integer }
+ *               productIds: { type: array, items: { type: integer }, description: Cycle count of selected products }
+ *               notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Stock take started
+ *       400:
+ *         description: Another session is open for this location, or nothing to count
+ */
+router.post('/',
+    authenticateToken,
+    requirePermission('stock_takes', 'create'),
+    stockTakeValidators.create,
+    stockTakeController.createStockTake
+);
+
+/**
+ * @swagger
+ * /stock-takes/{id}:
+ *   get:
+ *     summary: Get a stock take with its lines and variance summary
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: filter
+ *         schema: { type: string, enum: [counted, uncounted, variance] }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Stock take details
+ *       404:
+ *         description: Stock take not found
+ */
+router.get('/:id',
+    authenticateToken,
+    requirePermission('stock_takes', 'read'),
+    queryValidators.pagination,
+    stockTakeController.getStockTake
+);
+
+/**
+ * @swagger
+ * /stock-takes/{id}/counts:
+ *   put:
+ *     summary: Record counted quantities
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [counts]
+ *             properties:
+ *               counts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId: { type: integer }
+ *                     countedQuantity: { type: integer }
+ *                     notes: { type: string }
+ *     responses:
+ *       200:
+ *         description: Counts recorded
+ */
+router.put('/:id/counts',
+    authenticateToken,
+    requirePermission('stock_takes', 'update'),
+    stockTakeValidators.recordCounts,
+    stockTakeController.recordCounts
+);
+
+/**
+ * @swagger
+ * /stock-takes/{id}/counts/upload:
+ *   post:
+ *     summary: Upload counts from a spreadsheet
+ *     description: |
+ *       XLSX or CSV with a header row. Lines are matched by "Line ID", or by "SKU" plus "Batch Number".
+ *       The quantity is read from "Counted Quantity". Rows without a count are skipped.
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Counts imported, with any rows that could not be matched
+ */
+router.post('/:id/counts/upload',
+    authenticateToken,
+    requirePermission('stock_takes', 'update'),
+    uploadSpreadsheet,
+    stockTakeController.uploadCounts
+);
+
+/**
+ * @swagger
+ * /stock-takes/{id}/count-sheet:
+ *   get:
+ *     summary: Download the count sheet as Excel
+ *     description: Expected quantities are left out so counts are blind.
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Excel file
+ */
+router.get('/:id/count-sheet',
+    authenticateToken,
+    requirePermission('stock_takes', 'read'),
+    stockTakeController.downloadCountSheet
+);
+
+/**
+ * @swagger
+ * /stock-takes/{id}/variances/excel:
+ *   get:
+ *     summary: Download variances with cost impact as Excel
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Excel file
+ */
+router.get('/:id/variances/excel',
+    authenticateToken,
+    requirePermission('stock_takes', 'read'),
+    stockTakeController.downloadVarianceReport
+);
+
+/**
+ * @swagger
+ * /stock-takes/{id}/submit:
+ *   post:
+ *     summary: Submit a finished count for approval
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Stock take submitted
+ */
+router.post('/:id/submit',
+    authenticateToken,
+    requirePermission('stock_takes', 'update'),
+    stockTakeController.submitStockTake
+);
+
+/**
+ * @swagger
+ * /stock-takes/{id}/approve:
+ *   post:
+ *     summary: Approve a stock take and post its adjustments
+ *     description: All variances are posted as adjustment movements in a single transaction. Uncounted lines are left unchanged.
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Stock take approved
+ *       400:
+ *         description: Stock take already approved or discarded
+ */
+router.post('/:id/approve',
+    authenticateToken,
+    requirePermission('stock_takes', 'approve'),
+    stockTakeController.approveStockTake
+);
+
+/**
+ * @swagger
+ * /stock-takes/{id}/discard:
+ *   post:
+ *     summary: Discard an abandoned stock take
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string }
+ *     responses:
+ *       200:
+ *         description: Stock take discarded
+ */
+router.post('/:id/discard',
+    authenticateToken,
+    requirePermission('stock_takes', 'update'),
+    stockTakeValidators.discard,
+    stockTakeController.discardStockTake
+);
+
+module.exports = router;
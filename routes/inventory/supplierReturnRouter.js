@@ -0,0 +1,326 @@
+const express = require('express');
+const router = express.Router();
+const supplierReturnController = require('../../controllers/inventory/supplierReturnController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { supplierReturnValidators, queryValidators } = require('../../validators');
+
+/**
+ * @swagger
+ * /supplier-returns:
+ *   get:
+ *     summary: Get all supplier returns
+ *     tags: [Supplier Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [draft, dispatched, partially_credited, credited, cancelled] }
+ *       - in: query
+ *         name: supplierId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: reason
+ *         schema: { type: string, enum: [expired, damaged, short_dated, recalled, wrong_item, other] }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *       - in: query
+ *         name: startDate
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: endDate
+ *         schema: { type: string, format: date }
+ *     responses:
+ *       200:
+ *         description: List of supplier returns
+ */
+router.get('/',
+    authenticateToken,
+    requirePermission('supplier_returns', 'read'),
+    queryValidators.pagination,
+    supplierReturnController.getSupplierReturns
+);
+
+/**
+ * @swagger
+ * /supplier-returns/returnable-batches:
+ *   get:
+ *     summary: Batches with stock that can be returned
+ *     tags: [Supplier Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: supplierId
+ *         schema: { type: integer }
+ *         description: Batches from this supplier, plus batches with no supplier recorded
+ *       - in: query
+ *         name: productId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [active, expired, quarantined] }
+ *       - in: query
+ *         name: expiringWithinDays
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Batches, earliest expiry first
+ */
+router.get('/returnable-batches',
+    authenticateToken,
+    requirePermission('supplier_returns', 'read'),
+    supplierReturnController.getReturnableBatches
+);
+
+/**
+ * @swagger
+ * /supplier-returns/credit-summary:
+ *   get:
+ *     summary: Supplier credit expected vs received for dispatched returns
+ *     tags: [Supplier Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: supplierId
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Per-supplier expected, received, outstanding and written-off credit
+ */
+router.get('/credit-summary',
+    authenticateToken,
+    requirePermission('supplier_returns', 'read'),
+    supplierReturnController.getCreditSummary
+);
+
+/**
+ * @swagger
+ * /supplier-returns:
+ *   post:
+ *     summary: Create a draft supplier return from batch quantities
+ *     description: No stock moves until the return is dispatched. Unit cost defaults to the batch cost price.
+ *     tags: [Supplier Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [supplierId, reason, items]
+ *             properties:
+ *               supplierId: { type: integer }
+ *               purchaseOrderId: { type: integer }
+ *               warehouseId: { type: integer }
+ *               reason: { type: string, enum: [expired, damaged, short_dated, recalled, wrong_item, other] }
+ *               expectedCreditAmount: { type: number, description: Defaults to the sum of line costs }
+ *               notes: { type: string }
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [productBatchId, quantity]
+ *                   properties:
+ *                     productBatchId: { type: integer }
+ *                     quantity: { type: integer }
+ *                     unitCost: { type: number }
+ *                     notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Return created
+ *       400:
+ *         description: Batch from another supplier or not enough batch stock
+ */
+router.post('/',
+    authenticateToken,
+    requirePermission('supplier_returns', 'create'),
+    supplierReturnValidators.create,
+    supplierReturnController.createSupplierReturn
+);
+
+/**
+ * @swagger
+ * /supplier-returns/{id}:
+ *   get:
+ *     summary: Get a supplier return with its lines
+ *     tags: [Supplier Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Supplier return details
+ *       404:
+ *         description: Supplier return not found
+ */
+router.get('/:id',
+    authenticateToken,
+    requirePermission('supplier_returns', 'read'),
+    supplierReturnController.getSupplierReturn
+);
+
+/**
+ * @swagger
+ * /supplier-returns/{id}/pdf:
+ *   get:
+ *     summary: Download the return note as a PDF
+ *     tags: [Supplier Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema: { type: string, format: binary }
+ */
+router.get('/:id/pdf',
+    authenticateToken,
+    requirePermission('supplier_returns', 'read'),
+    supplierReturnController.downloadPdf
+);
+
+/**
+ * @swagger
+ * /supplier-returns/{id}/dispatch:
+ *   post:
+ *     summary: Dispatch a return and take its batch quantities out of stock
+ *     description: |
+ *       Active batch stock is removed from sellable stock with a supplier_return movement.
+ *       The return note is emailed to the supplier unless sendEmail is false.
+ *     tags: [Supplier Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sendEmail: { type: boolean, default: true }
+ *     responses:
+ *       200:
+ *         description: Return dispatched
+ */
+router.post('/:id/dispatch',
+    authenticateToken,
+    requirePermission('supplier_returns', 'update'),
+    supplierReturnController.dispatchSupplierReturn
+);
+
+/**
+ * @swagger
+ * /supplier-returns/{id}/email:
+ *   post:
+ *     summary: Email the return note to the supplier
+ *     tags: [Supplier Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Email sent
+ *       500:
+ *         description: Email delivery failed
+ */
+router.post('/:id/email',
+    authenticateToken,
+    requirePermission('supplier_returns', 'update'),
+    supplierReturnController.emailSupplierReturn
+);
+
+/**
+ * @swagger
+ * /supplier-returns/{id}/credit:
+ *   post:
+ *     summary: Record supplier credit received
+ *     description: Credits accumulate. Set settle to close a return that will not be credited in full (notes required).
+ *     tags: [Supplier Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount: { type: number }
+ *               reference: { type: string, description: Supplier credit note number }
+ *               creditDate: { type: string, format: date }
+ *               settle: { type: boolean }
+ *               notes: { type: string }
+ *     responses:
+ *       200:
+ *         description: Credit recorded
+ */
+router.post('/:id/credit',
+    authenticateToken,
+    requirePermission('supplier_returns', 'update'),
+    supplierReturnValidators.recordCredit,
+    supplierReturnController.recordCredit
+);
+
+/**
+ * @swagger
+ * /supplier-returns/{id}/cancel:
+ *   post:
+ *     summary: Cancel a draft supplier return
+ *     tags: [Supplier Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string }
+ *     responses:
+ *       200:
+ *         description: Return cancelled
+ */
+router.post('/:id/cancel',
+    authenticateToken,
+    requirePermission('supplier_returns', 'update'),
+    supplierReturnValidators.cancel,
+    supplierReturnController.cancelSupplierReturn
+);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const supplierController = require('../../controllers/inventory/supplierController');
 const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const { body } = require('express-validator');
+const { uploadSpreadsheet } = require('../../config/spreadsheet');
 
 // Validation rules
 const supplierValidation = [
@@ -11,10 +12,41 @@ const supplierValidation = [
     body('phone').optional().notEmpty().withMessage('Phone number is required')
 ];
 
-router.get('/', authenticateToken, requirePermission('inventory', 'read'), supplierController.getSuppliers);
-router.get('/:id', authenticateToken, requirePermission('inventory', 'read'), supplierController.getSupplier);
-router.post('/', authenticateToken, requirePermission('inventory', 'create'), supplierValidation, supplierController.createSupplier);
-router.put('/:id', authenticateToken, requirePermission('inventory', 'update'), supplierValidation, supplierController.updateSupplier);
-router.delete('/:id', authenticateToken, requirePermission('inventory', 'delete'), supplierController.deleteSupplier);
+const catalogueFieldValidation = [
+    body('supplierSku').optional({ nullable: true }).isLength({ max: 100 }).withMessage('Supplier SKU is too long'),
+    body('packSize').optional().isInt({ min: 1 }).withMessage('Pack size must be at least 1'),
+    body('minOrderQuantity').optional().isInt({ min: 1 }).withMessage('Minimum order quantity must be at least 1'),
+    body('leadTimeDays').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Lead time must be a whole number of days'),
+    body('isPreferred').optional().isBoolean().withMessage('isPreferred must be true or false'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+];
+
+const catalogueItemValidation = [
+    body('productId').isInt().withMessage('Product ID is required'),
+    body('costPrice').isFloat({ min: 0 }).withMessage('Cost price is required'),
+    ...catalogueFieldValidation
+];
+
+const catalogueUpdateValidation = [
+    body('costPrice').optional().isFloat({ min: 0 }).withMessage('Invalid cost price'),
+    ...catalogueFieldValidation
+];
+
+router.get('/', authenticateToken, requirePermission('suppliers', 'read'), supplierController.getSuppliers);
+router.get('/price-history', authenticateToken, requirePermission('suppliers', 'read'), supplierController.getPriceHistory);
+router.get('/products/:productId', authenticateToken, requirePermission('suppliers', 'read'), supplierController.getProductSuppliers);
+router.get('/:id', authenticateToken, requirePermission('suppliers', 'read'), supplierController.getSupplier);
+router.post('/', authenticateToken, requirePermission('suppliers', 'create'), supplierValidation, supplierController.createSupplier);
+router.put('/:id', authenticateToken, requirePermission('suppliers', 'update'), supplierValidation, supplierController.updateSupplier);
+router.delete('/:id', authenticateToken, requirePermission('suppliers', 'delete'), supplierController.deleteSupplier);
+
+// Catalogue (supplier price list)
+router.get('/:id/catalogue', authenticateToken, requirePermission('suppliers', 'read'), supplierController.getCatalogue);
+router.get('/:id/catalogue/excel', authenticateToken, requirePermission('suppliers', 'read'), supplierController.exportCatalogue);
+router.post('/:id/catalogue/import', authenticateToken, requirePermission('suppliers', 'update'), uploadSpreadsheet, supplierController.importCatalogue);
+router.post('/:id/catalogue', authenticateToken, requirePermission('suppliers', 'update'), catalogueItemValidation, supplierController.saveCatalogueItem);
+router.put('/:id/catalogue/:itemId', authenticateToken, requirePermission('suppliers', 'update'), catalogueUpdateValidation, supplierController.updateCatalogueItem);
+router.delete('/:id/catalogue/:itemId', authenticateToken, requirePermission('suppliers', 'update'), supplierController.removeCatalogueItem);
+router.get('/:id/price-history', authenticateToken, requirePermission('suppliers', 'read'), supplierController.getPriceHistory);
 
 module.exports = router;
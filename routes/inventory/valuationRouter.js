@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const valuationController = require('../../controllers/inventory/valuationController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { inventoryValuationValidators } = require('../../validators');
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ValuationMethodParam:
+ *       in: query
+ *       name: method
+ *       schema: { type: string, enum: [fifo, weighted_average], default: fifo }
+ *     ValuationCategoryParam:
+ *       in: query
+ *       name: categoryId
+ *       schema: { type: integer }
+ *     ValuationAgencyParam:
+ *       in: query
+ *       name: agencyId
+ *       schema: { type: integer }
+ *     ValuationBrandParam:
+ *       in: query
+ *       name: brandId
+ *       schema: { type: integer }
+ */
+
+/**
+ * @swagger
+ * /inventory-valuation:
+ *   get:
+ *     summary: Stock valuation as of a date
+ *     description: |
+ *       Replays the inventory movement log up to the end of the as-of date and values the
+ *       remaining sellable stock under FIFO or weighted-average cost. Stock held before the
+ *       log began is valued at the product cost price.
+ *     tags: [Inventory Valuation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema: { type: string, format: date }
+ *         description: Defaults to now
+ *       - $ref: '#/components/parameters/ValuationMethodParam'
+ *       - $ref: '#/components/parameters/ValuationCategoryParam'
+ *       - $ref: '#/components/parameters/ValuationAgencyParam'
+ *       - $ref: '#/components/parameters/ValuationBrandParam'
+ *     responses:
+ *       200:
+ *         description: Totals, breakdown by category, agency and brand, and per-product lines
+ */
+router.get('/',
+    authenticateToken,
+    requirePermission('reports', 'read'),
+    inventoryValuationValidators.valuation,
+    valuationController.getValuation
+);
+
+/**
+ * @swagger
+ * /inventory-valuation/cogs:
+ *   get:
+ *     summary: Cost of goods sold for a period
+ *     description: |
+ *       Opening value + purchases + sales returns + other receipts - COGS - write-offs = closing value.
+ *       Net COGS is the cost of units sold less the cost of units returned by customers.
+ *     tags: [Inventory Valuation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema: { type: string, format: date }
+ *       - $ref: '#/components/parameters/ValuationMethodParam'
+ *       - $ref: '#/components/parameters/ValuationCategoryParam'
+ *       - $ref: '#/components/parameters/ValuationAgencyParam'
+ *       - $ref: '#/components/parameters/ValuationBrandParam'
+ *     responses:
+ *       200:
+ *         description: Period totals, write-offs by movement type, breakdowns and per-product lines
+ */
+router.get('/cogs',
+    authenticateToken,
+    requirePermission('reports', 'read'),
+    inventoryValuationValidators.cogs,
+    valuationController.getCostOfGoodsSold
+);
+
+/**
+ * @swagger
+ * /inventory-valuation/excel:
+ *   get:
+ *     summary: Download stock valuation and COGS as Excel
+ *     tags: [Inventory Valuation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema: { type: string, format: date }
+ *         description: Valuation date and end of the COGS period (defaults to today)
+ *       - in: query
+ *         name: startDate
+ *         schema: { type: string, format: date }
+ *         description: Start of the COGS period (defaults to the first of the as-of month)
+ *       - $ref: '#/components/parameters/ValuationMethodParam'
+ *       - $ref: '#/components/parameters/ValuationCategoryParam'
+ *       - $ref: '#/components/parameters/ValuationAgencyParam'
+ *       - $ref: '#/components/parameters/ValuationBrandParam'
+ *     responses:
+ *       200:
+ *         description: Excel file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema: { type: string, format: binary }
+ */
+router.get('/excel',
+    authenticateToken,
+    requirePermission('reports', 'export'),
+    inventoryValuationValidators.excel,
+    valuationController.downloadValuationExcel
+);
+
+module.exports = router;
@@ -0,0 +1,433 @@
+const express = require('express');
+const router = express.Router();
+const warehouseController = require('../../controllers/inventory/warehouseController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { warehouseValidators, queryValidators } = require('../../validators');
+
+/**
+ * @swagger
+ * /warehouses:
+ *   get:
+ *     summary: Get all warehouses
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: isActive
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: List of warehouses
+ */
+router.get('/',
+    authenticateToken,
+    requirePermission('warehouses', 'read'),
+    queryValidators.pagination,
+    warehouseController.getWarehouses
+);
+
+/**
+ * @swagger
+ * /warehouses:
+ *   post:
+ *     summary: Create a warehouse
+ *     description: The first warehouse becomes the default and takes each product's current stock as opening stock.
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, name]
+ *             properties:
+ *               code: { type: string }
+ *               name: { type: string }
+ *               addressLine1: { type: string }
+ *               addressLine2: { type: string }
+ *               city: { type: string }
+ *               district: { type: string }
+ *               province: { type: string }
+ *               postalCode: { type: string }
+ *               latitude: { type: number }
+ *               longitude: { type: number }
+ *               contactPerson: { type: string }
+ *               phone: { type: string }
+ *               email: { type: string }
+ *               isDefault: { type: boolean }
+ *               fulfilsOrders: { type: boolean, default: true }
+ *     responses:
+ *       201:
+ *         description: Warehouse created
+ *       400:
+ *         description: Validation error or duplicate code
+ */
+router.post('/',
+    authenticateToken,
+    requirePermission('warehouses', 'create'),
+    warehouseValidators.create,
+    warehouseController.createWarehouse
+);
+
+/**
+ * @swagger
+ * /warehouses/products/{productId}/stock:
+ *   get:
+ *     summary: Stock of a product at each warehouse
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Per-warehouse quantities and in-transit stock
+ */
+router.get('/products/:productId/stock',
+    authenticateToken,
+    requirePermission('warehouses', 'read'),
+    warehouseController.getProductStock
+);
+
+/**
+ * @swagger
+ * /warehouses/transfers:
+ *   get:
+ *     summary: Get stock transfers
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [draft, in_transit, received, cancelled] }
+ *       - in: query
+ *         name: warehouseId
+ *         schema: { type: integer }
+ *         description: Transfers in or out of this warehouse
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: List of transfers
+ */
+router.get('/transfers',
+    authenticateToken,
+    requirePermission('warehouses', 'read'),
+    queryValidators.pagination,
+    warehouseController.getTransfers
+);
+
+/**
+ * @swagger
+ * /warehouses/transfers:
+ *   post:
+ *     summary: Raise a stock transfer between warehouses
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fromWarehouseId, toWarehouseId, items]
+ *             properties:
+ *               fromWarehouseId: { type: integer }
+ *               toWarehouseId: { type: integer }
+ *               notes: { type: string }
+ *               dispatch: { type: boolean, description: Dispatch immediately instead of saving as draft }
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId: { type: integer }
+ *                     quantity: { type: integer }
+ *                     batchNumber: { type: string }
+ *                     notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Transfer created
+ *       400:
+ *         description: Validation error or insufficient stock at the source
+ */
+router.post('/transfers',
+    authenticateToken,
+    requirePermission('warehouses', 'create'),
+    warehouseValidators.createTransfer,
+    warehouseController.createTransfer
+);
+
+/**
+ * @swagger
+ * /warehouses/transfers/{id}:
+ *   get:
+ *     summary: Get a stock transfer with its lines
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Transfer details
+ *       404:
+ *         description: Transfer not found
+ */
+router.get('/transfers/:id',
+    authenticateToken,
+    requirePermission('warehouses', 'read'),
+    warehouseController.getTransfer
+);
+
+/**
+ * @swagger
+ * /warehouses/transfers/{id}/dispatch:
+ *   post:
+ *     summary: Dispatch a draft transfer
+ *     description: Takes the stock out of the source warehouse and records a transfer-out movement.
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Transfer in transit
+ *       400:
+ *         description: Transfer is not a draft or source stock is short
+ */
+router.post('/transfers/:id/dispatch',
+    authenticateToken,
+    requirePermission('warehouses', 'update'),
+    warehouseController.dispatchTransfer
+);
+
+/**
+ * @swagger
+ * /warehouses/transfers/{id}/receive:
+ *   post:
+ *     summary: Receive an in-transit transfer
+ *     description: Books the stock in at the destination and records the matching transfer-in movement. Lines not listed are received in full.
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId: { type: integer }
+ *                     receivedQuantity: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Transfer received
+ */
+router.post('/transfers/:id/receive',
+    authenticateToken,
+    requirePermission('warehouses', 'update'),
+    warehouseValidators.receiveTransfer,
+    warehouseController.receiveTransfer
+);
+
+/**
+ * @swagger
+ * /warehouses/transfers/{id}/cancel:
+ *   post:
+ *     summary: Cancel a transfer
+ *     description: In-transit stock is returned to the source warehouse.
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ */
+router.post('/transfers/:id/cancel',
+    authenticateToken,
+    requirePermission('warehouses', 'update'),
+    warehouseController.cancelTransfer
+);
+
+/**
+ * @swagger
+ * /warehouses/{id}:
+ *   get:
+ *     summary: Get a warehouse with stock totals
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Warehouse details
+ *       404:
+ *         description: Warehouse not found
+ */
+router.get('/:id',
+    authenticateToken,
+    requirePermission('warehouses', 'read'),
+    warehouseController.getWarehouse
+);
+
+/**
+ * @swagger
+ * /warehouses/{id}:
+ *   put:
+ *     summary: Update a warehouse
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Warehouse updated
+ */
+router.put('/:id',
+    authenticateToken,
+    requirePermission('warehouses', 'update'),
+    warehouseValidators.update,
+    warehouseController.updateWarehouse
+);
+
+/**
+ * @swagger
+ * /warehouses/{id}:
+ *   delete:
+ *     summary: Delete an empty warehouse
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Warehouse deleted
+ *       400:
+ *         description: Warehouse is the default or still holds stock
+ */
+router.delete('/:id',
+    authenticateToken,
+    requirePermission('warehouses', 'delete'),
+    warehouseController.deleteWarehouse
+);
+
+/**
+ * @swagger
+ * /warehouses/{id}/stock:
+ *   get:
+ *     summary: Stock held at a warehouse
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *       - in: query
+ *         name: lowStock
+ *         schema: { type: boolean }
+ *         description: Only products at or below the warehouse reorder level
+ *     responses:
+ *       200:
+ *         description: Warehouse stock
+ */
+router.get('/:id/stock',
+    authenticateToken,
+    requirePermission('warehouses', 'read'),
+    queryValidators.pagination,
+    warehouseController.getWarehouseStock
+);
+
+/**
+ * @swagger
+ * /warehouses/{id}/stock/{productId}:
+ *   put:
+ *     summary: Set shelf location and reorder level of a product at a warehouse
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shelfLocation: { type: string }
+ *               reorderLevel: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Warehouse stock updated
+ */
+router.put('/:id/stock/:productId',
+    authenticateToken,
+    requirePermission('warehouses', 'update'),
+    warehouseValidators.updateStock,
+    warehouseController.updateWarehouseStock
+);
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../../controllers/orders/orderController');
+const shipmentController = require('../../controllers/orders/shipmentController');
 const { authenticateToken, requirePermission } = require('../../middleware/auth');
-const { orderValidators, queryValidators } = require('../../validators');
+const { orderValidators, shipmentValidators, queryValidators } = require('../../validators');
 
 /**
  * @swagger
@@ -242,6 +243,9 @@ router.get('/:id/invoice', orderController.downloadInvoice);
  *                 enum: [cash, card, upi, bank_transfer, credit]
  *               notes:
  *                 type: string
+ *               warehouseId:
+ *                 type: integer
+ *                 description: Ship from this warehouse; otherwise the nearest one that stocks the whole cart
  *     responses:
  *       201:
  *         description: Order created successfully
@@ -290,6 +294,7 @@ router.post('/',
  *               status:
  *                 type: string
  *                 enum: [confirmed, processing, shipped, delivered, cancelled, refunded]
+ *                 description: Shipping the whole order dispatches every line not yet sent in a partial shipment
  *               notes:
  *                 type: string
  *     responses:
@@ -305,6 +310,84 @@ router.patch('/:id/status',
     orderController.updateOrderStatus
 );
 
+/**
+ * @swagger
+ * /orders/{id}/release-hold:
+ *   post:
+ *     summary: Release an order held by the credit policy (Admin override)
+ *     description: Moves an on_hold order back to pending. The reason is recorded in the audit log.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Credit hold released
+ *       400:
+ *         description: Order is not on hold
+ */
+router.post('/:id/release-hold',
+    authenticateToken,
+    requirePermission('orders', 'update'),
+    orderValidators.releaseHold,
+    orderController.releaseCreditHold
+);
+
+/**
+ * @swagger
+ * /orders/{id}/warehouse:
+ *   put:
+ *     summary: Change the warehouse an order ships from (Admin)
+ *     description: Only allowed before any of the order's shipments have left the warehouse.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - warehouseId
+ *             properties:
+ *               warehouseId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Fulfilment warehouse updated
+ *       400:
+ *         description: Warehouse unavailable or order already shipped
+ */
+router.put('/:id/warehouse',
+    authenticateToken,
+    requirePermission('orders', 'update'),
+    orderValidators.assignWarehouse,
+    orderController.assignWarehouse
+);
+
 /**
  * @swagger
  * /orders/{id}/cancel:
@@ -339,4 +422,136 @@ router.post('/:id/cancel',
     orderController.cancelOrder
 );
 
+/**
+ * @swagger
+ * /orders/{id}/shipments:
+ *   get:
+ *     summary: Get order shipments
+ *     description: Returns the shipments of an order and the quantities still waiting to be shipped
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order shipments
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/shipments',
+    authenticateToken,
+    shipmentController.getOrderShipments
+);
+
+/**
+ * @swagger
+ * /orders/{id}/shipments:
+ *   post:
+ *     summary: Create shipment
+ *     description: Create a partial shipment holding some lines or part-quantities of an order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItemId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               trackingUrl:
+ *                 type: string
+ *               expectedDeliveryDate:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Shipment created
+ *       400:
+ *         description: Invalid lines or quantities
+ */
+router.post('/:id/shipments',
+    authenticateToken,
+    requirePermission('orders', 'update'),
+    shipmentValidators.create,
+    shipmentController.createShipment
+);
+
+/**
+ * @swagger
+ * /orders/{id}/shipments/{shipmentId}/status:
+ *   patch:
+ *     summary: Update shipment status
+ *     description: Stock is reduced when a shipment is shipped. The order status is derived from its shipments.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [packed, shipped, out_for_delivery, delivered, cancelled]
+ *               trackingNumber:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Shipment status updated
+ *       400:
+ *         description: Invalid status transition
+ */
+router.patch('/:id/shipments/:shipmentId/status',
+    authenticateToken,
+    requirePermission('orders', 'update'),
+    shipmentValidators.updateStatus,
+    shipmentController.updateShipmentStatus
+);
+
 module.exports = router;
@@ -0,0 +1,379 @@
+const express = require('express');
+const router = express.Router();
+const returnController = require('../../controllers/orders/returnController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { returnValidators, queryValidators } = require('../../validators');
+
+/**
+ * @swagger
+ * /returns/my:
+ *   get:
+ *     summary: Get my return requests
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, received, inspected, completed, cancelled]
+ *     responses:
+ *       200:
+ *         description: List of return requests
+ */
+router.get('/my',
+    authenticateToken,
+    queryValidators.pagination,
+    returnController.getMyReturns
+);
+
+/**
+ * @swagger
+ * /returns:
+ *   get:
+ *     summary: Get all return requests (Admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resolution
+ *         schema:
+ *           type: string
+ *           enum: [credit_note, refund]
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of return requests
+ */
+router.get('/',
+    authenticateToken,
+    requirePermission('returns', 'read'),
+    queryValidators.pagination,
+    queryValidators.dateRange,
+    returnController.getAllReturns
+);
+
+/**
+ * @swagger
+ * /returns:
+ *   post:
+ *     summary: Request a return
+ *     description: Request a return for specific lines of a delivered order
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - items
+ *             properties:
+ *               orderId:
+ *                 type: integer
+ *               resolution:
+ *                 type: string
+ *                 enum: [credit_note, refund]
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItemId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                     reason:
+ *                       type: string
+ *                       enum: [damaged, expired, near_expiry, wrong_item, not_ordered, quality_issue, excess_quantity, other]
+ *                     reasonNotes:
+ *                       type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *       400:
+ *         description: Order or quantities not returnable
+ */
+router.post('/',
+    authenticateToken,
+    returnValidators.create,
+    returnController.createReturn
+);
+
+/**
+ * @swagger
+ * /returns/{id}:
+ *   get:
+ *     summary: Get return request by ID or return number
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return request details
+ *       404:
+ *         description: Return request not found
+ */
+router.get('/:id',
+    authenticateToken,
+    returnController.getReturn
+);
+
+/**
+ * @swagger
+ * /returns/{id}/cancel:
+ *   post:
+ *     summary: Cancel own return request
+ *     description: Only possible before the return is approved
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Return request cancelled
+ */
+router.post('/:id/cancel',
+    authenticateToken,
+    returnController.cancelReturn
+);
+
+/**
+ * @swagger
+ * /returns/{id}/approve:
+ *   patch:
+ *     summary: Approve return request
+ *     description: Lines not listed are approved in full. An approved quantity of 0 declines the line.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     returnItemId:
+ *                       type: integer
+ *                     approvedQuantity:
+ *                       type: integer
+ *               adminNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return approved
+ */
+router.patch('/:id/approve',
+    authenticateToken,
+    requirePermission('returns', 'update'),
+    returnValidators.approve,
+    returnController.approveReturn
+);
+
+/**
+ * @swagger
+ * /returns/{id}/reject:
+ *   patch:
+ *     summary: Reject return request
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ */
+router.patch('/:id/reject',
+    authenticateToken,
+    requirePermission('returns', 'update'),
+    returnValidators.reject,
+    returnController.rejectReturn
+);
+
+/**
+ * @swagger
+ * /returns/{id}/receive:
+ *   post:
+ *     summary: Record returned goods received
+ *     description: Quantities default to the approved quantities
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     returnItemId:
+ *                       type: integer
+ *                     receivedQuantity:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Goods received
+ */
+router.post('/:id/receive',
+    authenticateToken,
+    requirePermission('returns', 'update'),
+    returnValidators.receive,
+    returnController.receiveReturn
+);
+
+/**
+ * @swagger
+ * /returns/{id}/inspect:
+ *   post:
+ *     summary: Record inspection results
+ *     description: Restocked goods go back into the original product batch. Damaged goods are written off. Rejected goods are not credited.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     returnItemId:
+ *                       type: integer
+ *                     restockQuantity:
+ *                       type: integer
+ *                     damageQuantity:
+ *                       type: integer
+ *                     rejectedQuantity:
+ *                       type: integer
+ *                     inspectionNotes:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Inspection recorded
+ */
+router.post('/:id/inspect',
+    authenticateToken,
+    requirePermission('returns', 'update'),
+    returnValidators.inspect,
+    returnController.inspectReturn
+);
+
+/**
+ * @swagger
+ * /returns/{id}/complete:
+ *   post:
+ *     summary: Issue credit note or refund and close the return
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resolution:
+ *                 type: string
+ *                 enum: [credit_note, refund]
+ *     responses:
+ *       200:
+ *         description: Return completed
+ */
+router.post('/:id/complete',
+    authenticateToken,
+    requirePermission('returns', 'update'),
+    returnController.completeReturn
+);
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const salesAnalyticsController = require('../../controllers/orders/salesAnalyticsController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { salesAnalyticsValidators } = require('../../validators');
+
+/**
+ * @swagger
+ * /sales-analytics:
+ *   get:
+ *     summary: Revenue, COGS and gross margin for a period, grouped
+ *     description: |
+ *       Built from order lines of orders that were not cancelled, returned or refunded.
+ *       Revenue excludes tax and shipping and is net of discounts and returned units;
+ *       COGS uses the cost price captured on each order line.
+ *       With compare (default true) every row and the totals carry the equal-length period
+ *       immediately before, and the change against it.
+ *     tags: [Sales Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: groupBy
+ *         schema: { type: string, enum: [product, category, agency, brand, doctor, period], default: product }
+ *       - in: query
+ *         name: interval
+ *         schema: { type: string, enum: [day, week, month], default: month }
+ *         description: Bucket size when grouping by period (weeks start on Monday)
+ *       - in: query
+ *         name: compare
+ *         schema: { type: boolean, default: true }
+ *       - in: query
+ *         name: categoryId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: agencyId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: brandId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: doctorId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: productId
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Totals, previous-period totals, change and grouped rows
+ */
+router.get('/',
+    authenticateToken,
+    requirePermission('reports', 'read'),
+    salesAnalyticsValidators.report,
+    salesAnalyticsController.getMarginReport
+);
+
+/**
+ * @swagger
+ * /sales-analytics/excel:
+ *   get:
+ *     summary: Download the margin report as Excel
+ *     description: One sheet per grouping (products, categories, agencies, brands, doctors, periods) plus a summary.
+ *     tags: [Sales Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: interval
+ *         schema: { type: string, enum: [day, week, month], default: month }
+ *       - in: query
+ *         name: compare
+ *         schema: { type: boolean, default: true }
+ *       - in: query
+ *         name: categoryId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: agencyId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: brandId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: doctorId
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Excel file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema: { type: string, format: binary }
+ */
+router.get('/excel',
+    authenticateToken,
+    requirePermission('reports', 'export'),
+    salesAnalyticsValidators.report,
+    salesAnalyticsController.downloadMarginExcel
+);
+
+module.exports = router;
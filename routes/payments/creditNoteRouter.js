@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+const creditNoteController = require('../../controllers/payments/creditNoteController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { creditNoteValidators, queryValidators } = require('../../validators');
+
+/**
+ * @swagger
+ * /credit-notes:
+ *   get:
+ *     summary: Get all credit and debit notes (Admin only)
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [credit, debit] }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [open, partially_applied, applied, cancelled] }
+ *       - in: query
+ *         name: doctorId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *       - in: query
+ *         name: startDate
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: endDate
+ *         schema: { type: string, format: date }
+ *     responses:
+ *       200:
+ *         description: List of notes
+ */
+router.get('/',
+    authenticateToken,
+    requirePermission('credit_notes', 'read'),
+    queryValidators.pagination,
+    queryValidators.dateRange,
+    creditNoteController.getAllCreditNotes
+);
+
+/**
+ * @swagger
+ * /credit-notes/my-notes:
+ *   get:
+ *     summary: Get my credit and debit notes (Doctor current user)
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [credit, debit] }
+ *     responses:
+ *       200:
+ *         description: List of my notes
+ */
+router.get('/my-notes',
+    authenticateToken,
+    queryValidators.pagination,
+    creditNoteController.getMyCreditNotes
+);
+
+/**
+ * @swagger
+ * /credit-notes:
+ *   post:
+ *     summary: Issue a credit or debit note to a doctor (Admin only)
+ *     description: Credit notes reduce the doctor's balance and are applied to unpaid orders and open debit notes oldest first unless autoApply is false. Debit notes increase the balance.
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, doctorId, amount, reason]
+ *             properties:
+ *               type: { type: string, enum: [credit, debit] }
+ *               doctorId: { type: integer }
+ *               orderId: { type: integer }
+ *               amount: { type: number }
+ *               reason: { type: string }
+ *               notes: { type: string }
+ *               autoApply: { type: boolean, default: true }
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     description: { type: string }
+ *                     quantity: { type: number }
+ *                     unitPrice: { type: number }
+ *                     amount: { type: number }
+ *     responses:
+ *       201:
+ *         description: Note issued
+ */
+router.post('/',
+    authenticateToken,
+    requirePermission('credit_notes', 'create'),
+    creditNoteValidators.create,
+    creditNoteController.createCreditNote
+);
+
+/**
+ * @swagger
+ * /credit-notes/{id}:
+ *   get:
+ *     summary: Get a credit or debit note with its allocations
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Note ID or note number
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Note details
+ *       404:
+ *         description: Note not found
+ */
+router.get('/:id',
+    authenticateToken,
+    creditNoteController.getCreditNote
+);
+
+/**
+ * @swagger
+ * /credit-notes/{id}/pdf:
+ *   get:
+ *     summary: Download a credit or debit note as PDF
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get('/:id/pdf',
+    authenticateToken,
+    creditNoteController.downloadCreditNote
+);
+
+/**
+ * @swagger
+ * /credit-notes/{id}/apply:
+ *   post:
+ *     summary: Apply the unused balance of a credit note to outstandings (Admin only)
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Credit note applied
+ */
+router.post('/:id/apply',
+    authenticateToken,
+    requirePermission('credit_notes', 'update'),
+    creditNoteController.applyCreditNote
+);
+
+/**
+ * @swagger
+ * /credit-notes/{id}/cancel:
+ *   post:
+ *     summary: Cancel a note that has not been applied (Admin only)
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string }
+ *     responses:
+ *       200:
+ *         description: Note cancelled
+ */
+router.post('/:id/cancel',
+    authenticateToken,
+    requirePermission('credit_notes', 'update'),
+    creditNoteValidators.cancel,
+    creditNoteController.cancelCreditNote
+);
+
+module.exports = router;
@@ -0,0 +1,389 @@
+const express = require('express');
+const router = express.Router();
+const payableController = require('../../controllers/payments/payableController');
+const { authenticateToken, requirePermission, requireTwoFactor } = require('../../middleware/auth');
+const { payableValidators, queryValidators } = require('../../validators');
+
+/**
+ * @swagger
+ * /payables/invoices:
+ *   get:
+ *     summary: Get supplier invoices
+ *     tags: [Payables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: supplierId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: purchaseOrderId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, approved, partially_paid, paid, cancelled] }
+ *       - in: query
+ *         name: matchStatus
+ *         schema: { type: string, enum: [matched, discrepancy, overridden] }
+ *       - in: query
+ *         name: overdue
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: List of supplier invoices
+ */
+router.get('/invoices',
+    authenticateToken,
+    requirePermission('payables', 'read'),
+    queryValidators.pagination,
+    payableController.getInvoices
+);
+
+/**
+ * @swagger
+ * /payables/invoices:
+ *   post:
+ *     summary: Record a supplier invoice against a purchase order
+ *     description: |
+ *       The invoice is three-way matched on entry. Each line is checked against the PO quantity and
+ *       price, the quantity received so far and what other invoices for the PO have already billed.
+ *       Lines over the ordered or received quantity, prices outside the tolerance, products not on the
+ *       PO and a stated total that does not add up are flagged as discrepancies.
+ *     tags: [Payables]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [purchaseOrderId, invoiceNumber, invoiceDate, items]
+ *             properties:
+ *               purchaseOrderId: { type: integer }
+ *               invoiceNumber: { type: string, description: Supplier's invoice number }
+ *               invoiceDate: { type: string, format: date }
+ *               dueDate: { type: string, format: date, description: Defaults to invoice date plus the default payment terms }
+ *               totalAmount: { type: number, description: Total as printed on the invoice; defaults to the sum of the lines }
+ *               notes: { type: string }
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId: { type: integer }
+ *                     purchaseOrderItemId: { type: integer }
+ *                     quantity: { type: integer }
+ *                     unitPrice: { type: number }
+ *                     taxPercentage: { type: number }
+ *     responses:
+ *       201:
+ *         description: Invoice recorded, with any discrepancies
+ *       400:
+ *         description: Duplicate invoice number or purchase order not invoiceable
+ */
+router.post('/invoices',
+    authenticateToken,
+    requirePermission('payables', 'create'),
+    payableValidators.createInvoice,
+    payableController.createInvoice
+);
+
+/**
+ * @swagger
+ * /payables/invoices/{id}:
+ *   get:
+ *     summary: Get a supplier invoice with matched lines and payments
+ *     tags: [Payables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Supplier invoice details
+ *       404:
+ *         description: Supplier invoice not found
+ */
+router.get('/invoices/:id',
+    authenticateToken,
+    requirePermission('payables', 'read'),
+    payableController.getInvoice
+);
+
+/**
+ * @swagger
+ * /payables/invoices/{id}/rematch:
+ *   post:
+ *     summary: Re-run the three-way match on a pending invoice
+ *     description: Use after further goods have been received against the purchase order.
+ *     tags: [Payables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Match refreshed
+ */
+router.post('/invoices/:id/rematch',
+    authenticateToken,
+    requirePermission('payables', 'update'),
+    payableController.rematchInvoice
+);
+
+/**
+ * @swagger
+ * /payables/invoices/{id}/approve:
+ *   post:
+ *     summary: Approve a supplier invoice for payment
+ *     description: Invoices with discrepancies can only be approved with an override reason.
+ *     tags: [Payables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overrideReason: { type: string }
+ *     responses:
+ *       200:
+ *         description: Invoice approved
+ *       400:
+ *         description: Invoice has discrepancies and no override reason was given
+ */
+router.post('/invoices/:id/approve',
+    authenticateToken,
+    requirePermission('payables', 'approve'),
+    requireTwoFactor(),
+    payableValidators.approveInvoice,
+    payableController.approveInvoice
+);
+
+/**
+ * @swagger
+ * /payables/invoices/{id}/cancel:
+ *   post:
+ *     summary: Cancel a supplier invoice with no payments against it
+ *     tags: [Payables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string }
+ *     responses:
+ *       200:
+ *         description: Invoice cancelled
+ */
+router.post('/invoices/:id/cancel',
+    authenticateToken,
+    requirePermission('payables', 'update'),
+    payableValidators.cancelInvoice,
+    payableController.cancelInvoice
+);
+
+/**
+ * @swagger
+ * /payables/invoices/{id}/payments:
+ *   post:
+ *     summary: Pay an approved supplier invoice
+ *     description: Updates the invoice balance and the purchase order's paymentStatus.
+ *     tags: [Payables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, method]
+ *             properties:
+ *               amount: { type: number }
+ *               method: { type: string, enum: [cash, cheque, bank_transfer, other] }
+ *               paymentDate: { type: string, format: date }
+ *               reference: { type: string }
+ *               chequeNumber: { type: string }
+ *               bankName: { type: string }
+ *               notes: { type: string }
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *       400:
+ *         description: Invoice not approved or payment exceeds the amount due
+ */
+router.post('/invoices/:id/payments',
+    authenticateToken,
+    requirePermission('payables', 'create'),
+    requireTwoFactor(),
+    payableValidators.recordPayment,
+    payableController.recordPayment
+);
+
+/**
+ * @swagger
+ * /payables/payments:
+ *   get:
+ *     summary: Get supplier payments
+ *     tags: [Payables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: supplierId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [completed, void] }
+ *       - in: query
+ *         name: startDate
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: endDate
+ *         schema: { type: string, format: date }
+ *     responses:
+ *       200:
+ *         description: List of supplier payments
+ */
+router.get('/payments',
+    authenticateToken,
+    requirePermission('payables', 'read'),
+    queryValidators.pagination,
+    payableController.getPayments
+);
+
+/**
+ * @swagger
+ * /payables/payments/{id}/void:
+ *   post:
+ *     summary: Void a supplier payment
+ *     tags: [Payables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string }
+ *     responses:
+ *       200:
+ *         description: Payment voided and invoice balance reopened
+ */
+router.post('/payments/:id/void',
+    authenticateToken,
+    requirePermission('payables', 'update'),
+    requireTwoFactor(),
+    payableValidators.voidPayment,
+    payableController.voidPayment
+);
+
+/**
+ * @swagger
+ * /payables/purchase-orders/{purchaseOrderId}/match:
+ *   get:
+ *     summary: Ordered, received and invoiced quantities per purchase order line
+ *     tags: [Payables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseOrderId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Three-way match summary
+ */
+router.get('/purchase-orders/:purchaseOrderId/match',
+    authenticateToken,
+    requirePermission('payables', 'read'),
+    payableController.getPurchaseOrderMatch
+);
+
+/**
+ * @swagger
+ * /payables/aging:
+ *   get:
+ *     summary: Aged payables per supplier
+ *     description: Outstanding invoice dueAmount bucketed into current, 1-30, 31-60, 61-90 and 90+ days past dueDate. Pass supplierId for invoice-level detail.
+ *     tags: [Payables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: supplierId
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Aging report with totals
+ */
+router.get('/aging',
+    authenticateToken,
+    requirePermission('payables', 'read'),
+    payableController.getPayablesAging
+);
+
+/**
+ * @swagger
+ * /payables/aging/excel:
+ *   get:
+ *     summary: Download aged payables as Excel (summary and invoice sheets)
+ *     tags: [Payables]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Excel file
+ */
+router.get('/aging/excel',
+    authenticateToken,
+    requirePermission('payables', 'read'),
+    payableController.downloadPayablesAgingExcel
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../../controllers/payments/paymentController');
-const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { authenticateToken, requirePermission, requireTwoFactor } = require('../../middleware/auth');
 const { paymentValidators, queryValidators } = require('../../validators');
 
 /**
@@ -70,6 +70,86 @@ router.get('/stats',
     paymentController.getPaymentStats
 );
 
+/**
+ * @swagger
+ * /payments/aging:
+ *   get:
+ *     summary: Aged receivables for credit customers
+ *     description: Each doctor's unpaid credit order dueAmount bucketed into current, 1-30, 31-60, 61-90 and 90+ days past creditDueDate.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Aging report with totals
+ */
+router.get('/aging',
+    authenticateToken,
+    requirePermission('payments', 'read'),
+    paymentController.getReceivablesAging
+);
+
+/**
+ * @swagger
+ * /payments/aging/excel:
+ *   get:
+ *     summary: Download aged receivables as Excel (summary and order sheets)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Excel file
+ */
+router.get('/aging/excel',
+    authenticateToken,
+    requirePermission('payments', 'read'),
+    paymentController.downloadReceivablesAgingExcel
+);
+
+/**
+ * @swagger
+ * /payments/aging/pdf:
+ *   get:
+ *     summary: Download aged receivables as PDF
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: PDF file
+ */
+router.get('/aging/pdf',
+    authenticateToken,
+    requirePermission('payments', 'read'),
+    paymentController.downloadReceivablesAgingPdf
+);
+
+/**
+ * @swagger
+ * /payments/aging/{doctorId}:
+ *   get:
+ *     summary: Aged receivables for one doctor with the outstanding orders
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Doctor aging with orders
+ *       404:
+ *         description: Doctor not found
+ */
+router.get('/aging/:doctorId',
+    authenticateToken,
+    requirePermission('payments', 'read'),
+    paymentController.getDoctorReceivablesAging
+);
+
 /**
  * @swagger
  * /payments/order/{orderId}:
@@ -119,6 +199,7 @@ router.get('/order/:orderId',
 router.post('/order/:orderId',
     authenticateToken,
     requirePermission('payments', 'create'),
+    requireTwoFactor(),
     paymentValidators.addPayment,
     paymentController.addPayment
 );
@@ -143,6 +224,7 @@ router.post('/order/:orderId',
 router.post('/:id/refund',
     authenticateToken,
     requirePermission('payments', 'refund'),
+    requireTwoFactor(),
     paymentValidators.refund,
     paymentController.processRefund
 );
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const agencyController = require('../../controllers/products/agencyController');
 const { agencyValidators } = require('../../validators');
-const { verifyToken, requireAdminOrAbove } = require('../../middleware/auth');
+const { verifyToken, requirePermission } = require('../../middleware/auth');
 
 /**
  * @swagger
@@ -15,9 +15,9 @@ const { verifyToken, requireAdminOrAbove } = require('../../middleware/auth');
 router.get('/', verifyToken, agencyController.getAgencies);
 router.get('/:id', verifyToken, agencyController.getAgencyById);
 
-// Admin only routes
-router.post('/', requireAdminOrAbove, agencyValidators.create, agencyController.createAgency);
-router.put('/:id', requireAdminOrAbove, agencyValidators.update, agencyController.updateAgency);
-router.delete('/:id', requireAdminOrAbove, agencyController.deleteAgency);
+// Management routes
+router.post('/', verifyToken, requirePermission('agencies', 'create'), agencyValidators.create, agencyController.createAgency);
+router.put('/:id', verifyToken, requirePermission('agencies', 'update'), agencyValidators.update, agencyController.updateAgency);
+router.delete('/:id', verifyToken, requirePermission('agencies', 'delete'), agencyController.deleteAgency);
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { Brand } = require('../../models');
-const { verifyToken, requireAdminOrAbove } = require('../../middleware/auth');
+const { verifyToken, requirePermission } = require('../../middleware/auth');
 
 /**
  * GET /api/brands
@@ -22,9 +22,9 @@ router.get('/', async (req, res, next) => {
 
 /**
  * POST /api/brands
- * Create a new brand (admin only)
+ * Create a new brand (brands.create)
  */
-router.post('/', requireAdminOrAbove, async (req, res, next) => {
+router.post('/', verifyToken, requirePermission('brands', 'create'), async (req, res, next) => {
     try {
         const { name, description, logo } = req.body;
         if (!name) return res.status(400).json({ success: false, message: 'Brand name is required' });
@@ -53,9 +53,9 @@ router.post('/', requireAdminOrAbove, async (req, res, next) => {
 
 /**
  * PUT /api/brands/:id
- * Update a brand (admin only)
+ * Update a brand (brands.update)
  */
-router.put('/:id', requireAdminOrAbove, async (req, res, next) => {
+router.put('/:id', verifyToken, requirePermission('brands', 'update'), async (req, res, next) => {
     try {
         const brand = await Brand.findByPk(req.params.id);
         if (!brand) return res.status(404).json({ success: false, message: 'Brand not found' });
@@ -76,9 +76,9 @@ router.put('/:id', requireAdminOrAbove, async (req, res, next) => {
 
 /**
  * DELETE /api/brands/:id
- * Delete a brand (admin only)
+ * Delete a brand (brands.delete)
  */
-router.delete('/:id', requireAdminOrAbove, async (req, res, next) => {
+router.delete('/:id', verifyToken, requirePermission('brands', 'delete'), async (req, res, next) => {
     try {
         const brand = await Brand.findByPk(req.params.id);
         if (!brand) return res.status(404).json({ success: false, message: 'Brand not found' });
@@ -434,7 +434,7 @@ const orderRequestController = require('../../controllers/orders/orderRequestCon
  *     responses:
  *       201: { description: Supplier created }
  */
-router.post('/suppliers', authenticateToken, requirePermission('manage_inventory'), inventoryController.createSupplier);
+router.post('/suppliers', authenticateToken, requirePermission('suppliers', 'create'), inventoryController.createSupplier);
 
 /**
  * @swagger
@@ -447,7 +447,7 @@ router.post('/suppliers', authenticateToken, requirePermission('manage_inventory
  *     responses:
  *       200: { description: List of suppliers }
  */
-router.get('/suppliers', authenticateToken, requirePermission('manage_inventory'), inventoryController.getSuppliers);
+router.get('/suppliers', authenticateToken, requirePermission('suppliers', 'read'), inventoryController.getSuppliers);
 
 /**
  * @swagger
@@ -477,7 +477,7 @@ router.get('/suppliers', authenticateToken, requirePermission('manage_inventory'
  *     responses:
  *       201: { description: Batch added }
  */
-router.post('/:productId/batches', authenticateToken, requirePermission('manage_inventory'), inventoryController.addProductBatch);
+router.post('/:productId/batches', authenticateToken, requirePermission('inventory_batches', 'create'), inventoryController.addProductBatch);
 
 /**
  * @swagger
@@ -495,9 +495,9 @@ router.post('/:productId/batches', authenticateToken, requirePermission('manage_
  *     responses:
  *       200: { description: List of batches }
  */
-router.get('/:productId/batches', authenticateToken, inventoryController.getProductBatches);
-router.put('/batches/:id', authenticateToken, requirePermission('manage_inventory'), inventoryController.updateProductBatch);
-router.delete('/batches/:id', authenticateToken, requirePermission('manage_inventory'), inventoryController.deleteProductBatch);
+router.get('/:productId/batches', authenticateToken, requirePermission('inventory_batches', 'read'), inventoryController.getProductBatches);
+router.put('/batches/:id', authenticateToken, requirePermission('inventory_batches', 'update'), inventoryController.updateProductBatch);
+router.delete('/batches/:id', authenticateToken, requirePermission('inventory_batches', 'delete'), inventoryController.deleteProductBatch);
 
 // ----- Order Requests (Order More) -----
 /**
@@ -535,7 +535,7 @@ router.post('/order-more', authenticateToken, orderRequestController.submitOrder
  *     responses:
  *       200: { description: List of requests }
  */
-router.get('/admin/order-requests', authenticateToken, requirePermission('manage_orders'), orderRequestController.getOrderRequests);
+router.get('/admin/order-requests', authenticateToken, requirePermission('order_requests', 'read'), orderRequestController.getOrderRequests);
 router.get('/my-requests', authenticateToken, orderRequestController.getMyOrderRequests);
 
 /**
@@ -564,6 +564,6 @@ router.get('/my-requests', authenticateToken, orderRequestController.getMyOrderR
  *     responses:
  *       200: { description: Request processed }
  */
-router.patch('/admin/order-requests/:id', authenticateToken, requirePermission('manage_orders'), orderRequestController.processOrderRequest);
+router.patch('/admin/order-requests/:id', authenticateToken, requirePermission('order_requests', 'update'), orderRequestController.processOrderRequest);
 
 module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../../controllers/settings/jobController');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { jobValidators } = require('../../validators');
+
+/**
+ * @swagger
+ * /jobs:
+ *   get:
+ *     summary: List scheduled jobs with their last results (Admin only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Jobs with schedule, last status, result and error
+ */
+router.get('/',
+    authenticateToken,
+    requirePermission('jobs', 'read'),
+    jobController.getJobs
+);
+
+/**
+ * @swagger
+ * /jobs/runs:
+ *   get:
+ *     summary: Run history of all jobs (Admin only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: jobName
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [running, success, failed] }
+ *       - in: query
+ *         name: trigger
+ *         schema: { type: string, enum: [schedule, manual] }
+ *     responses:
+ *       200:
+ *         description: Paginated job runs
+ */
+router.get('/runs',
+    authenticateToken,
+    requirePermission('jobs', 'read'),
+    jobController.getJobRuns
+);
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   get:
+ *     summary: Get a job with its recent runs (Admin only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Job ID or name
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Job details
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id',
+    authenticateToken,
+    requirePermission('jobs', 'read'),
+    jobController.getJob
+);
+
+/**
+ * @swagger
+ * /jobs/{id}/runs:
+ *   get:
+ *     summary: Run history of one job (Admin only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Job ID or name
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *     responses:
+ *       200:
+ *         description: Paginated job runs
+ */
+router.get('/:id/runs',
+    authenticateToken,
+    requirePermission('jobs', 'read'),
+    jobController.getJobRuns
+);
+
+/**
+ * @swagger
+ * /jobs/{id}/run:
+ *   post:
+ *     summary: Run a job now (Admin only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Job ID or name
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Run finished, see data for the result
+ *       409:
+ *         description: Job is already running
+ */
+router.post('/:id/run',
+    authenticateToken,
+    requirePermission('jobs', 'update'),
+    jobController.runJob
+);
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   put:
+ *     summary: Enable/disable a job or change its interval (Admin only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               isEnabled: { type: boolean }
+ *               intervalMinutes: { type: integer, minimum: 1 }
+ *     responses:
+ *       200:
+ *         description: Job updated
+ */
+router.put('/:id',
+    authenticateToken,
+    requirePermission('jobs', 'update'),
+    jobValidators.update,
+    jobController.updateJob
+);
+
+module.exports = router;
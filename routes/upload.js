@@ -1,14 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { uploadMultiple, uploadSingle, deleteImage, getPublicIdFromUrl, uploadToCloudinary, uploadMultipleToCloudinary } = require('../config/cloudinary');
-const { authenticateToken, requireAdminOrAbove } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 /**
  * @route   POST /api/upload/product-images
  * @desc    Upload multiple product images (up to 8)
- * @access  Private (Admin and Super Admin)
+ * @access  Private (upload.create)
  */
-router.post('/product-images', requireAdminOrAbove, uploadMultiple, async (req, res) => {
+router.post('/product-images', authenticateToken, requirePermission('upload', 'create'), uploadMultiple, async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({
@@ -42,9 +42,9 @@ router.post('/product-images', requireAdminOrAbove, uploadMultiple, async (req,
 /**
  * @route   POST /api/upload/product-image
  * @desc    Upload single product image
- * @access  Private (Admin and Super Admin)
+ * @access  Private (upload.create)
  */
-router.post('/product-image', requireAdminOrAbove, uploadSingle, async (req, res) => {
+router.post('/product-image', authenticateToken, requirePermission('upload', 'create'), uploadSingle, async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -77,9 +77,9 @@ router.post('/product-image', requireAdminOrAbove, uploadSingle, async (req, res
 /**
  * @route   DELETE /api/upload/image
  * @desc    Delete image from Cloudinary
- * @access  Private (Admin and Super Admin)
+ * @access  Private (upload.delete)
  */
-router.delete('/image', requireAdminOrAbove, async (req, res) => {
+router.delete('/image', authenticateToken, requirePermission('upload', 'delete'), async (req, res) => {
     try {
         const { url } = req.body;
 
@@ -36,6 +36,45 @@ router.get('/', authenticateToken, requirePermission('roles', 'read'), roleContr
  */
 router.get('/permissions', authenticateToken, requirePermission('roles', 'read'), roleController.getPermissions);
 
+/**
+ * @swagger
+ * /roles/my-permissions:
+ *   get:
+ *     summary: Get the current user's effective permission matrix
+ *     description: Every active permission grouped by module, with whether the caller's role holds it. Super admins hold all of them.
+ *     tags: [Roles & Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission matrix
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     role:
+ *                       type: object
+ *                       properties:
+ *                         id: { type: integer }
+ *                         name: { type: string }
+ *                         level: { type: integer }
+ *                     isSuperAdmin: { type: boolean }
+ *                     actions: { type: array, items: { type: string }, example: [create, delete, read, update] }
+ *                     modules:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: object
+ *                         additionalProperties: { type: boolean }
+ *                       example: { products: { create: false, read: true, update: true, delete: false } }
+ *                     permissions: { type: array, items: { type: string }, example: [products.read, products.update] }
+ */
+router.get('/my-permissions', authenticateToken, roleController.getMyPermissions);
+
 /**
  * @swagger
  * /roles/{roleId}/permissions:
@@ -48,7 +48,7 @@ const { body } = require('express-validator');
  *           description: Refresh token
  */
 
-const { authenticateToken, requirePermission } = require('../../middleware/auth');
+const { authenticateToken, requirePermission, requireTwoFactor } = require('../../middleware/auth');
 const { userValidators, doctorValidators, queryValidators } = require('../../validators');
 
 // Validation rules — accept identifier (generic), phone, or userName
@@ -204,13 +204,71 @@ router.post('/refresh-token', userController.refreshToken);
  *   post:
  *     summary: Logout user
  *     tags: [Auth]
- *     description: Client should discard tokens after calling this endpoint
+ *     description: |
+ *       Revokes the session named by the refresh token in the body, or by the bearer access token
+ *       (an expired access token is accepted). Both tokens stop working immediately.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
  *     responses:
  *       200:
  *         description: Logged out successfully
  */
 router.post('/logout', userController.logout);
 
+/**
+ * @swagger
+ * /users/sessions:
+ *   get:
+ *     summary: List my active sessions (devices)
+ *     description: The device name comes from deviceName sent at login, or is derived from the user agent.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first, with isCurrent marking this device
+ */
+router.get('/sessions', authenticateToken, userController.getMySessions);
+
+/**
+ * @swagger
+ * /users/sessions/revoke-others:
+ *   post:
+ *     summary: Sign out every device except this one
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ */
+router.post('/sessions/revoke-others', authenticateToken, userController.revokeOtherSessions);
+
+/**
+ * @swagger
+ * /users/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one of my devices
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', authenticateToken, userController.revokeMySession);
+
 // Admin routes
 /**
  * @swagger
@@ -269,6 +327,135 @@ router.patch('/:id/status',
     userController.toggleUserStatus
 );
 
+/**
+ * @swagger
+ * /users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ */
+router.get('/:id/sessions',
+    authenticateToken,
+    requirePermission('users', 'read'),
+    userController.getUserSessions
+);
+
+/**
+ * @swagger
+ * /users/{id}/force-logout:
+ *   post:
+ *     summary: Sign a user out of every device (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string }
+ *     responses:
+ *       200:
+ *         description: All sessions revoked; access tokens stop working immediately
+ */
+router.post('/:id/force-logout',
+    authenticateToken,
+    requirePermission('users', 'update'),
+    userController.forceLogoutUser
+);
+
+/**
+ * @swagger
+ * /users/login-lockouts:
+ *   get:
+ *     summary: Accounts and IP addresses locked out after failed logins (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeExpired
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: Lockouts with the locked account where there is one
+ */
+router.get('/login-lockouts',
+    authenticateToken,
+    requirePermission('users', 'read'),
+    userController.getLoginLockouts
+);
+
+/**
+ * @swagger
+ * /users/login-lockouts/{lockoutId}/unlock:
+ *   post:
+ *     summary: Lift a login lockout early (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lockoutId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lockout lifted and failure count cleared
+ *       404:
+ *         description: Lockout not found
+ */
+router.post('/login-lockouts/:lockoutId/unlock',
+    authenticateToken,
+    requirePermission('users', 'update'),
+    userController.unlockLogin
+);
+
+/**
+ * @swagger
+ * /users/{id}/2fa/reset:
+ *   post:
+ *     summary: Reset a user's two-factor authentication (Admin only)
+ *     description: For a lost phone. Removes the authenticator app, recovery codes, email codes and remembered devices, and signs the user out everywhere.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication removed
+ */
+router.post('/:id/2fa/reset',
+    authenticateToken,
+    requirePermission('users', 'update'),
+    requireTwoFactor(),
+    userController.reset2FA
+);
+
 /**
  * @swagger
  * /users/admin/create-user:
@@ -425,10 +612,257 @@ router.post('/setup-password',
     userController.setupPassword
 );
 
+/**
+ * @swagger
+ * /users/forgot-password:
+ *   post:
+ *     summary: Request a password reset (no auth required)
+ *     description: |
+ *       Sends a reset link by email (valid 1 hour) or a 6-digit code by SMS (valid 10 minutes).
+ *       A new request cancels earlier ones. The response is the same whether or not the
+ *       account exists; at most 3 requests per account per hour are honoured.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [identifier]
+ *             properties:
+ *               identifier: { type: string, description: Phone or username }
+ *               channel: { type: string, enum: [email, sms], default: email }
+ *               isDoctor: { type: boolean, description: Look up a doctor account only (default tries users, then doctors) }
+ *     responses:
+ *       200: { description: Reset link or code sent if the account exists }
+ *       429: { description: Too many requests from this IP address }
+ */
+router.post('/forgot-password', userValidators.forgotPassword, userController.forgotPassword);
+
+/**
+ * @swagger
+ * /users/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token or SMS code (no auth required)
+ *     description: |
+ *       Send either the token from the emailed link, or the identifier with the SMS code.
+ *       A code is cancelled after 5 wrong entries. On success every session of the account
+ *       is signed out.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               token: { type: string, description: Token from the reset email }
+ *               identifier: { type: string, description: Phone or username (with otp) }
+ *               otp: { type: string, description: 6-digit code from the SMS }
+ *               isDoctor: { type: boolean }
+ *               password: { type: string, minLength: 6 }
+ *     responses:
+ *       200: { description: Password reset }
+ *       400: { description: Invalid, expired or already used token or code }
+ */
+router.post('/reset-password', userValidators.resetPassword, userController.resetPassword);
+
 // 2FA Routes
 router.post('/2fa/request-enable', authenticateToken, userController.request2FAEnable);
 router.post('/2fa/confirm-enable', authenticateToken, userController.confirm2FAEnable);
 router.post('/2fa/disable', authenticateToken, userController.disable2FA);
-router.post('/2fa/verify-login', userController.verify2FALogin);
+
+/**
+ * @swagger
+ * /users/2fa/verify-login:
+ *   post:
+ *     summary: Complete a login that requires a second factor
+ *     description: |
+ *       Send the challengeToken from the login response with an authenticator code (method totp),
+ *       a recovery code (method recovery) or an email/SMS code (method email or sms).
+ *       The older identity + isDoctorAccount form still works for email codes.
+ *       With rememberDevice the response carries a deviceToken; send it as deviceToken on later
+ *       logins to skip the second factor on this device.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               challengeToken: { type: string }
+ *               method: { type: string, enum: [totp, recovery, email, sms] }
+ *               code: { type: string }
+ *               rememberDevice: { type: boolean }
+ *               deviceName: { type: string }
+ *     responses:
+ *       200: { description: Tokens issued }
+ *       400: { description: Invalid or expired code }
+ *       401: { description: Challenge expired; log in again }
+ *       429: { description: Too many wrong codes; second factor locked for 15 minutes }
+ */
+router.post('/2fa/verify-login', userValidators.verify2FALogin, userController.verify2FALogin);
+
+/**
+ * @swagger
+ * /users/2fa/send-code:
+ *   post:
+ *     summary: Send an email or SMS login code during a 2FA challenge
+ *     description: Fallback when the authenticator app is unavailable.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken: { type: string }
+ *               channel: { type: string, enum: [email, sms], default: email }
+ *     responses:
+ *       200: { description: Code sent }
+ */
+router.post('/2fa/send-code', userValidators.send2FACode, userController.send2FACode);
+
+/**
+ * @swagger
+ * /users/2fa/status:
+ *   get:
+ *     summary: Two-factor settings of the current account
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Enabled factors, recovery codes left, remembered devices }
+ */
+router.get('/2fa/status', authenticateToken, userController.get2FAStatus);
+
+/**
+ * @swagger
+ * /users/2fa/totp/setup:
+ *   post:
+ *     summary: Start authenticator-app setup
+ *     description: Returns the base32 secret and the otpauth:// URL to render as a QR code.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password: { type: string }
+ *     responses:
+ *       200: { description: Secret and provisioning URL }
+ */
+router.post('/2fa/totp/setup', authenticateToken, userValidators.setupTotp, userController.setupTotp);
+
+/**
+ * @swagger
+ * /users/2fa/totp/confirm:
+ *   post:
+ *     summary: Confirm authenticator-app setup
+ *     description: Activates the app with its first code and returns ten one-time recovery codes (shown only once).
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200: { description: Enabled; recovery codes returned }
+ */
+router.post('/2fa/totp/confirm', authenticateToken, userValidators.totpCode, userController.confirmTotp);
+
+/**
+ * @swagger
+ * /users/2fa/totp/disable:
+ *   post:
+ *     summary: Turn the authenticator app off
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password, code]
+ *             properties:
+ *               password: { type: string }
+ *               code: { type: string }
+ *               method: { type: string, enum: [totp, recovery], default: totp }
+ *     responses:
+ *       200: { description: Disabled; remembered devices forgotten }
+ */
+router.post('/2fa/totp/disable', authenticateToken, userValidators.disableTotp, userController.disableTotp);
+
+/**
+ * @swagger
+ * /users/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, description: Current authenticator code }
+ *     responses:
+ *       200: { description: New recovery codes }
+ */
+router.post('/2fa/recovery-codes', authenticateToken, userValidators.totpCode, userController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /users/2fa/trusted-devices:
+ *   get:
+ *     summary: Devices that skip the second factor
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Remembered devices }
+ */
+router.get('/2fa/trusted-devices', authenticateToken, userController.getTrustedDevices);
+
+/**
+ * @swagger
+ * /users/2fa/trusted-devices/{deviceId}:
+ *   delete:
+ *     summary: Forget a remembered device ("all" forgets every device)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200: { description: Device forgotten }
+ */
+router.delete('/2fa/trusted-devices/:deviceId', authenticateToken, userController.revokeTrustedDevice);
 
 module.exports = router;
@@ -66,6 +66,71 @@ Thank you for shopping with {{company_name}}!`,
         category: 'orders',
         isActive: true
     },
+    {
+        name: 'Shipment Status Update',
+        code: 'shipment_status_update',
+        type: 'email',
+        subject: 'Shipment {{shipment_number}} for Order {{order_number}} - {{shipment_status}}',
+        body: `Dear {{customer_name}},
+
+A shipment for your order has been updated.
+
+Order Number: {{order_number}}
+Shipment Number: {{shipment_number}}
+Status: {{shipment_status}}
+Items: {{item_summary}}
+Tracking Number: {{tracking_number}}
+Expected Delivery: {{expected_delivery}}
+
+Track your shipment: {{tracking_url}}
+
+Any remaining items on your order will be sent in a separate shipment.
+
+Thank you for shopping with {{company_name}}!`,
+        placeholders: JSON.stringify(['customer_name', 'order_number', 'shipment_number', 'shipment_status', 'item_summary', 'tracking_number', 'expected_delivery', 'tracking_url', 'company_name']),
+        category: 'orders',
+        isActive: true
+    },
+    {
+        name: 'Shipment Status SMS',
+        code: 'shipment_status_sms',
+        type: 'sms',
+        body: 'Order {{order_number}}: shipment {{shipment_number}} is {{shipment_status}}. Tracking: {{tracking_number}}',
+        placeholders: JSON.stringify(['order_number', 'shipment_number', 'shipment_status', 'tracking_number']),
+        category: 'orders',
+        isActive: true
+    },
+    {
+        name: 'Return Status Update',
+        code: 'return_status_update',
+        type: 'email',
+        subject: 'Return {{return_number}} - {{return_status}}',
+        body: `Dear {{customer_name}},
+
+Your return request has been updated.
+
+Return Number: {{return_number}}
+Order Number: {{order_number}}
+Status: {{return_status}}
+Resolution: {{resolution}}
+Credit Amount: {{credit_amount}}
+
+{{notes}}
+
+Thank you for choosing {{company_name}}!`,
+        placeholders: JSON.stringify(['customer_name', 'return_number', 'order_number', 'return_status', 'resolution', 'credit_amount', 'notes', 'company_name']),
+        category: 'orders',
+        isActive: true
+    },
+    {
+        name: 'Return Status SMS',
+        code: 'return_status_sms',
+        type: 'sms',
+        body: 'Return {{return_number}} for order {{order_number}} is now {{return_status}}.',
+        placeholders: JSON.stringify(['return_number', 'order_number', 'return_status']),
+        category: 'orders',
+        isActive: true
+    },
     {
         name: 'Order Delivered',
         code: 'order_delivered',
@@ -210,6 +275,36 @@ Please make the payment at your earliest convenience.
         category: 'payments',
         isActive: true
     },
+    {
+        name: 'Payment Due Reminder (SMS)',
+        code: 'payment_due_reminder_sms',
+        type: 'sms',
+        body: 'Reminder: {{currency}}{{due_amount}} for order {{order_number}} is due on {{due_date}}. Please arrange payment.',
+        placeholders: JSON.stringify(['order_number', 'currency', 'due_amount', 'due_date']),
+        category: 'payments',
+        isActive: true
+    },
+    {
+        name: 'Credit / Debit Note Issued',
+        code: 'credit_note_issued',
+        type: 'email',
+        subject: '{{note_type}} {{note_number}}',
+        body: `Dear {{customer_name}},
+
+A {{note_type}} has been issued on your account.
+
+Note Number: {{note_number}}
+Amount: {{currency}}{{note_amount}}
+Reference Order: {{order_number}}
+Reason: {{reason}}
+
+The note is attached to this email.
+
+{{company_name}}`,
+        placeholders: JSON.stringify(['customer_name', 'note_type', 'note_number', 'currency', 'note_amount', 'order_number', 'reason', 'company_name']),
+        category: 'payments',
+        isActive: true
+    },
 
     // Stock alerts
     {
@@ -248,6 +343,42 @@ Please review and take necessary action.
         category: 'inventory',
         isActive: true
     },
+    {
+        name: 'Batch Recall Notice',
+        code: 'batch_recall_notice',
+        type: 'email',
+        subject: 'URGENT: Product Recall {{recall_number}} - {{product_name}} Batch {{batch_number}}',
+        body: `Dear {{customer_name}},
+
+The following product supplied to you under order {{order_number}} has been recalled.
+
+Product: {{product_name}}
+Batch Number: {{batch_number}}
+Expiry Date: {{expiry_date}}
+Quantity Supplied: {{quantity}}
+Recall Reference: {{recall_number}}
+
+Reason: {{reason}}
+
+{{instructions}}
+
+Please stop using or dispensing this batch immediately and acknowledge this notice:
+{{acknowledge_url}}
+
+{{company_name}}`,
+        placeholders: JSON.stringify(['customer_name', 'order_number', 'product_name', 'batch_number', 'expiry_date', 'quantity', 'recall_number', 'reason', 'instructions', 'acknowledge_url', 'company_name']),
+        category: 'inventory',
+        isActive: true
+    },
+    {
+        name: 'Batch Recall Notice SMS',
+        code: 'batch_recall_notice_sms',
+        type: 'sms',
+        body: 'URGENT RECALL {{recall_number}}: {{product_name}} batch {{batch_number}} (order {{order_number}}). Stop use immediately. Details sent by email.',
+        placeholders: JSON.stringify(['recall_number', 'product_name', 'batch_number', 'order_number']),
+        category: 'inventory',
+        isActive: true
+    },
     {
         name: 'Account Verification',
         code: 'account_verification',
@@ -325,6 +456,70 @@ This is an automated notification.`,
         category: 'admin_alerts',
         isActive: true
     },
+    {
+        name: 'Admin: Order On Credit Hold',
+        code: 'admin_credit_hold_alert',
+        type: 'email',
+        subject: 'Order On Credit Hold - {{order_number}}',
+        body: `Hello Admin,
+
+An order has been placed on hold by the credit-control policy and needs review.
+
+Order Number: {{order_number}}
+Customer: {{customer_name}}
+Total Amount: {{order_total}}
+Reason: {{hold_reasons}}
+
+Release or cancel the order: {{view_order_url}}
+
+This is an automated notification.`,
+        placeholders: JSON.stringify(['order_number', 'customer_name', 'order_total', 'hold_reasons', 'view_order_url']),
+        category: 'admin_alerts',
+        isActive: true
+    },
+    {
+        name: 'Admin: Payment On Cancelled Order',
+        code: 'admin_payment_on_cancelled_order_alert',
+        type: 'email',
+        subject: 'Refund Due - Payment Received For Cancelled Order {{order_number}}',
+        body: `Hello Admin,
+
+An online payment was received for an order that had already been cancelled. The customer has to be refunded.
+
+Order Number: {{order_number}}
+Customer: {{customer_name}}
+Amount Paid: {{payment_amount}}
+Transaction ID: {{transaction_id}}
+Cancellation Reason: {{cancel_reason}}
+
+Refund the payment: {{view_order_url}}
+
+This is an automated notification.`,
+        placeholders: JSON.stringify(['order_number', 'customer_name', 'payment_amount', 'transaction_id', 'cancel_reason', 'view_order_url']),
+        category: 'admin_alerts',
+        isActive: true
+    },
+    {
+        name: 'Admin: Return Request',
+        code: 'admin_return_request_alert',
+        type: 'email',
+        subject: 'Return Requested - {{return_number}}',
+        body: `Hello Admin,
+
+A customer has requested a return.
+
+Return Number: {{return_number}}
+Order Number: {{order_number}}
+Customer: {{customer_name}}
+Requested Value: {{requested_amount}}
+
+Review Return: {{view_return_url}}
+
+This is an automated notification.`,
+        placeholders: JSON.stringify(['return_number', 'order_number', 'customer_name', 'requested_amount', 'view_return_url']),
+        category: 'admin_alerts',
+        isActive: true
+    },
     {
         name: 'Admin: New Doctor Registration',
         code: 'admin_new_doctor_alert',
@@ -347,6 +542,28 @@ This is an automated notification.`,
         category: 'admin_alerts',
         isActive: true
     },
+    {
+        name: 'Admin: Login Lockout',
+        code: 'admin_login_lockout_alert',
+        type: 'email',
+        subject: 'Security Alert - Login Lockout for {{locked_target}}',
+        body: `Hello Admin,
+
+Logins have been temporarily blocked after repeated failed attempts.
+
+Locked: {{locked_target}}
+Failed Attempts: {{failed_attempts}}
+Last Identifier Tried: {{identifier}}
+Last IP Address: {{ip_address}}
+Locked Until: {{locked_until}}
+
+If this was not the account owner, review the audit log. To lift the lockout early: {{view_lockouts_url}}
+
+This is an automated notification.`,
+        placeholders: JSON.stringify(['locked_target', 'failed_attempts', 'identifier', 'ip_address', 'locked_until', 'view_lockouts_url']),
+        category: 'admin_alerts',
+        isActive: true
+    },
     {
         name: 'Two Factor Authentication Code',
         code: 'two_factor_code',
@@ -365,6 +582,36 @@ The {{company_name}} Team`,
         placeholders: JSON.stringify(['customer_name', 'verification_code', 'expiry_time', 'company_name']),
         category: 'auth',
         isActive: true
+    },
+    {
+        name: 'Password Reset',
+        code: 'password_reset',
+        type: 'email',
+        subject: 'Reset Your Password',
+        body: `Dear {{customer_name}},
+
+We received a request to reset your password. Click the link below to choose a new one:
+
+{{reset_link}}
+
+This link will expire in {{expiry_time}} and can only be used once.
+
+If you did not request a password reset, please ignore this email. Your password will not change.
+
+Best regards,
+The MediBulk Team`,
+        placeholders: JSON.stringify(['customer_name', 'reset_link', 'expiry_time']),
+        category: 'auth',
+        isActive: true
+    },
+    {
+        name: 'One-Time Code SMS',
+        code: 'otp_sms',
+        type: 'sms',
+        body: 'Your {{purpose}} code is {{otp_code}}. It expires in {{expiry_minutes}} minutes. Do not share it with anyone.',
+        placeholders: JSON.stringify(['otp_code', 'purpose', 'expiry_minutes']),
+        category: 'auth',
+        isActive: true
     }
 ];
 
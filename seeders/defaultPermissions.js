@@ -13,16 +13,57 @@ const permissions = [
     { module: 'categories', action: 'update', name: 'Update Categories', description: 'Edit categories' },
     { module: 'categories', action: 'delete', name: 'Delete Categories', description: 'Delete categories' },
 
+    // Agencies
+    { module: 'agencies', action: 'create', name: 'Create Agencies', description: 'Add manufacturer agencies' },
+    { module: 'agencies', action: 'update', name: 'Update Agencies', description: 'Edit manufacturer agencies' },
+    { module: 'agencies', action: 'delete', name: 'Delete Agencies', description: 'Delete manufacturer agencies' },
+
+    // Brands
+    { module: 'brands', action: 'create', name: 'Create Brands', description: 'Add brands' },
+    { module: 'brands', action: 'update', name: 'Update Brands', description: 'Edit and deactivate brands' },
+    { module: 'brands', action: 'delete', name: 'Delete Brands', description: 'Delete brands' },
+
+    // Uploads
+    { module: 'upload', action: 'create', name: 'Upload Images', description: 'Upload product images' },
+    { module: 'upload', action: 'delete', name: 'Delete Images', description: 'Delete uploaded images' },
+
     // Inventory
     { module: 'inventory', action: 'read', name: 'View Inventory', description: 'View stock levels' },
     { module: 'inventory', action: 'update', name: 'Manage Inventory', description: 'Update stock levels' },
 
+    // Inventory Batches
+    { module: 'inventory_batches', action: 'create', name: 'Add Batches', description: 'Add product batches' },
+    { module: 'inventory_batches', action: 'read', name: 'View Batches', description: 'View product batches and expiry dates' },
+    { module: 'inventory_batches', action: 'update', name: 'Update Batches', description: 'Edit product batches' },
+    { module: 'inventory_batches', action: 'delete', name: 'Delete Batches', description: 'Delete product batches' },
+
+    // Suppliers
+    { module: 'suppliers', action: 'create', name: 'Create Suppliers', description: 'Add suppliers' },
+    { module: 'suppliers', action: 'read', name: 'View Suppliers', description: 'View suppliers, price lists and price history' },
+    { module: 'suppliers', action: 'update', name: 'Update Suppliers', description: 'Edit suppliers and maintain their price lists' },
+    { module: 'suppliers', action: 'delete', name: 'Delete Suppliers', description: 'Delete suppliers' },
+
+    // Purchase Orders
+    { module: 'purchase_orders', action: 'create', name: 'Create Purchase Orders', description: 'Raise purchase orders and generate replenishment orders' },
+    { module: 'purchase_orders', action: 'read', name: 'View Purchase Orders', description: 'View purchase orders, replenishment suggestions and PO PDFs' },
+    { module: 'purchase_orders', action: 'update', name: 'Manage Purchase Orders', description: 'Send purchase orders, change their status and receive items' },
+
     // Orders
     { module: 'orders', action: 'create', name: 'Create Orders', description: 'Create orders' },
     { module: 'orders', action: 'read', name: 'View Orders', description: 'View all orders' },
+    { module: 'orders', action: 'read_all', name: 'Open Any Order', description: 'Open orders and shipments of any customer, not only their own' },
     { module: 'orders', action: 'update', name: 'Update Orders', description: 'Update order status' },
     { module: 'orders', action: 'delete', name: 'Cancel Orders', description: 'Cancel orders' },
 
+    // Order Requests (order more)
+    { module: 'order_requests', action: 'read', name: 'View Order Requests', description: 'View customer requests to order more stock' },
+    { module: 'order_requests', action: 'update', name: 'Process Order Requests', description: 'Approve or reject order requests' },
+
+    // Returns (RMA)
+    { module: 'returns', action: 'read', name: 'View Returns', description: 'View return requests' },
+    { module: 'returns', action: 'read_all', name: 'Open Any Return', description: 'Open return requests of any customer, not only their own' },
+    { module: 'returns', action: 'update', name: 'Process Returns', description: 'Approve, receive and inspect returns' },
+
     // Doctors
     { module: 'doctors', action: 'read', name: 'View Doctors', description: 'View doctor profiles' },
     { module: 'doctors', action: 'update', name: 'Manage Doctors', description: 'Verify and manage doctors' },
@@ -50,12 +91,60 @@ const permissions = [
     { module: 'payments', action: 'read', name: 'View Payments', description: 'View payment history' },
     { module: 'payments', action: 'refund', name: 'Process Refunds', description: 'Process refunds' },
 
+    // Credit / Debit Notes
+    { module: 'credit_notes', action: 'read', name: 'View Credit Notes', description: 'View credit and debit notes' },
+    { module: 'credit_notes', action: 'read_all', name: 'Open Any Credit Note', description: 'Open credit and debit notes of any doctor, not only their own' },
+    { module: 'credit_notes', action: 'create', name: 'Issue Credit Notes', description: 'Issue credit and debit notes' },
+    { module: 'credit_notes', action: 'update', name: 'Manage Credit Notes', description: 'Apply and cancel credit and debit notes' },
+
+    // Batch Recalls
+    { module: 'recalls', action: 'read', name: 'View Recalls', description: 'View batch recalls and affected customers' },
+    { module: 'recalls', action: 'create', name: 'Raise Recalls', description: 'Recall and quarantine product batches' },
+    { module: 'recalls', action: 'update', name: 'Manage Recalls', description: 'Notify recipients, track returns and close recalls' },
+
+    // Warehouses
+    { module: 'warehouses', action: 'read', name: 'View Warehouses', description: 'View warehouses, per-warehouse stock and transfers' },
+    { module: 'warehouses', action: 'create', name: 'Create Warehouses', description: 'Add warehouses and raise stock transfers' },
+    { module: 'warehouses', action: 'update', name: 'Manage Warehouses', description: 'Edit warehouses and dispatch, receive or cancel transfers' },
+    { module: 'warehouses', action: 'delete', name: 'Delete Warehouses', description: 'Remove empty warehouses' },
+
+    // Stock Takes
+    { module: 'stock_takes', action: 'read', name: 'View Stock Takes', description: 'View stock-take sessions and variances' },
+    { module: 'stock_takes', action: 'create', name: 'Start Stock Takes', description: 'Start stock-take sessions' },
+    { module: 'stock_takes', action: 'update', name: 'Count Stock', description: 'Record and upload counts, submit and discard sessions' },
+    { module: 'stock_takes', action: 'approve', name: 'Approve Stock Takes', description: 'Approve stock takes and post their adjustments' },
+
+    // Goods Receipts
+    { module: 'goods_receipts', action: 'read', name: 'View Goods Receipts', description: 'View goods receipt notes and download GRN PDFs' },
+    { module: 'goods_receipts', action: 'create', name: 'Log Deliveries', description: 'Log supplier deliveries as goods receipt notes' },
+    { module: 'goods_receipts', action: 'update', name: 'Inspect Deliveries', description: 'Record inspection results and cancel uninspected GRNs' },
+    { module: 'goods_receipts', action: 'approve', name: 'Post Goods Receipts', description: 'Post inspected GRNs into stock and release quarantined goods' },
+
+    // Supplier Returns
+    { module: 'supplier_returns', action: 'read', name: 'View Supplier Returns', description: 'View returns to suppliers and supplier credit' },
+    { module: 'supplier_returns', action: 'create', name: 'Create Supplier Returns', description: 'Pick batch stock for return to a supplier' },
+    { module: 'supplier_returns', action: 'update', name: 'Manage Supplier Returns', description: 'Dispatch, email and cancel returns, record supplier credit' },
+
+    // Payables
+    { module: 'payables', action: 'read', name: 'View Payables', description: 'View supplier invoices, payments and payables aging' },
+    { module: 'payables', action: 'create', name: 'Record Supplier Invoices', description: 'Record supplier invoices and payments' },
+    { module: 'payables', action: 'update', name: 'Manage Supplier Invoices', description: 'Re-match and cancel invoices, void supplier payments' },
+    { module: 'payables', action: 'approve', name: 'Approve Supplier Invoices', description: 'Approve supplier invoices for payment, including with discrepancies' },
+
+    // Financial Reports
+    { module: 'reports', action: 'read', name: 'View Financial Reports', description: 'View inventory valuation, cost of goods sold and sales margin analytics' },
+    { module: 'reports', action: 'export', name: 'Export Financial Reports', description: 'Download financial reports as Excel' },
+
     // Settings
     { module: 'settings', action: 'read', name: 'View Settings', description: 'View system settings' },
     { module: 'settings', action: 'update', name: 'Update Settings', description: 'Update system settings' },
     { module: 'settings', action: 'create', name: 'Create Settings', description: 'Create new settings' },
     { module: 'settings', action: 'delete', name: 'Delete Settings', description: 'Delete settings' },
 
+    // Scheduled Jobs
+    { module: 'jobs', action: 'read', name: 'View Jobs', description: 'View scheduled jobs and run history' },
+    { module: 'jobs', action: 'update', name: 'Manage Jobs', description: 'Run, enable and reschedule jobs' },
+
     // Audit Logs
     { module: 'audit_logs', action: 'read', name: 'View Audit Logs', description: 'View audit logs' },
     { module: 'audit_logs', action: 'export', name: 'Export Audit Logs', description: 'Export audit logs' },
@@ -68,6 +157,7 @@ const permissions = [
 
     // Roles
     { module: 'roles', action: 'read', name: 'View Roles', description: 'View roles and permissions' },
+    { module: 'roles', action: 'create', name: 'Create Roles', description: 'Create custom roles' },
     { module: 'roles', action: 'update', name: 'Manage Roles', description: 'Manage role permissions' },
 ];
 
@@ -75,36 +165,61 @@ const permissions = [
 const rolePermissions = {
     super_admin: 'all', // Gets all permissions
     admin: [
-        'products.*', 'categories.*', 'inventory.*',
-        'orders.*', 'doctors.*',
+        'products.*', 'categories.*', 'agencies.*', 'brands.*', 'upload.*',
+        'inventory.*', 'inventory_batches.*', 'suppliers.*', 'purchase_orders.*',
+        'orders.*', 'order_requests.*', 'returns.*', 'doctors.*',
         'taxes.*', 'discounts.*', 'promotions.*',
-        'payments.*', 'settings.read', 'settings.update',
-        'audit_logs.read', 'audit_logs.export',
+        'payments.*', 'credit_notes.*', 'recalls.*', 'warehouses.*', 'stock_takes.*', 'goods_receipts.*', 'supplier_returns.*', 'payables.*', 'reports.*', 'settings.read', 'settings.update',
+        'jobs.*', 'audit_logs.read', 'audit_logs.export',
         'users.read', 'users.update', 'roles.read'
     ],
     manager: [
         'products.create', 'products.read', 'products.update',
         'categories.read', 'categories.update',
+        'upload.create',
         'inventory.read', 'inventory.update',
-        'orders.read', 'orders.update',
+        'inventory_batches.create', 'inventory_batches.read', 'inventory_batches.update',
+        'suppliers.read', 'suppliers.update',
+        'purchase_orders.create', 'purchase_orders.read', 'purchase_orders.update',
+        'orders.read', 'orders.read_all', 'orders.update',
+        'order_requests.read', 'order_requests.update',
+        'returns.read', 'returns.read_all', 'returns.update',
         'doctors.read',
         'taxes.read', 'discounts.read', 'promotions.read',
         'payments.read', 'payments.create',
+        'credit_notes.read', 'credit_notes.read_all', 'credit_notes.create',
+        'recalls.read', 'recalls.update',
+        'warehouses.read', 'warehouses.create', 'warehouses.update',
+        'stock_takes.read', 'stock_takes.create', 'stock_takes.update', 'stock_takes.approve',
+        'goods_receipts.read', 'goods_receipts.create', 'goods_receipts.update', 'goods_receipts.approve',
+        'supplier_returns.read', 'supplier_returns.create', 'supplier_returns.update',
+        'payables.read', 'payables.create', 'payables.update',
+        'reports.read', 'reports.export',
         'audit_logs.read'
     ],
     super_cashier: [
         'products.read',
         'categories.read',
         'inventory.read', 'inventory.update',
+        'inventory_batches.read', 'inventory_batches.update',
+        'suppliers.read', 'suppliers.update',
+        'purchase_orders.read', 'purchase_orders.update',
         'orders.read', 'orders.update',
+        'order_requests.read', 'order_requests.update',
+        'returns.read', 'returns.update',
         'doctors.read',
-        'payments.read', 'payments.create'
+        'payments.read', 'payments.create',
+        'credit_notes.read',
+        'stock_takes.read', 'stock_takes.update',
+        'goods_receipts.read', 'goods_receipts.create', 'goods_receipts.update'
     ],
     cashier: [
         'products.read',
         'categories.read',
         'orders.read',
-        'payments.read'
+        'returns.read',
+        'payments.read',
+        'credit_notes.read'
     ],
     user: [
         'products.read',
@@ -112,14 +227,21 @@ const rolePermissions = {
     ]
 };
 
-async function seedPermissions() {
+/**
+ * Create missing permissions and grant them to the default roles. Safe to re-run.
+ * @param {Object} options - grantNewOnly: only grant permissions created by this run,
+ *   so role permissions edited by an admin are left alone (used at server startup)
+ */
+async function seedPermissions({ grantNewOnly = false } = {}) {
     console.log('Seeding permissions...');
 
     try {
+        const createdIds = new Set();
+
         // Create permissions
         for (const perm of permissions) {
             const name = `${perm.module}.${perm.action}`;
-            await Permission.findOrCreate({
+            const [permission, created] = await Permission.findOrCreate({
                 where: { module: perm.module, action: perm.action },
                 defaults: {
                     ...perm,
@@ -127,6 +249,7 @@ async function seedPermissions() {
                     displayName: perm.name
                 }
             });
+            if (created) createdIds.add(permission.id);
         }
 
         console.log(`Created ${permissions.length} permissions`);
@@ -161,6 +284,7 @@ async function seedPermissions() {
 
             // Remove duplicates and create role permissions
             permissionIds = [...new Set(permissionIds)];
+            if (grantNewOnly) permissionIds = permissionIds.filter(id => createdIds.has(id));
 
             for (const permissionId of permissionIds) {
                 await RolePermission.findOrCreate({
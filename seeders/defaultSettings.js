@@ -34,12 +34,21 @@ const settings = [
     { key: 'sms_api_secret', value: '', label: 'SMS API Secret', category: 'sms', type: 'string', sortOrder: 3 },
     { key: 'sms_sender_id', value: '', label: 'SMS Sender ID', category: 'sms', type: 'string', sortOrder: 4 },
 
+    // Security Settings
+    { key: 'two_factor_required_level', value: '0', label: 'Require Authenticator App From Role Level (0 = off, 80 = admins)', category: 'security', type: 'number', sortOrder: 1 },
+    { key: 'two_factor_trusted_device_days', value: '30', label: 'Remember 2FA Device For (days)', category: 'security', type: 'number', sortOrder: 2 },
+    { key: 'login_max_failed_attempts', value: '5', label: 'Lock Account After Failed Logins', category: 'security', type: 'number', sortOrder: 3 },
+    { key: 'login_ip_max_failed_attempts', value: '20', label: 'Block IP Address After Failed Logins', category: 'security', type: 'number', sortOrder: 4 },
+    { key: 'login_lockout_minutes', value: '15', label: 'Lockout Duration (minutes, doubles on repeat)', category: 'security', type: 'number', sortOrder: 5 },
+
     // Order Settings
     { key: 'min_order_value', value: '500', label: 'Minimum Order Value', category: 'orders', type: 'number', sortOrder: 1, isPublic: true },
     { key: 'free_shipping_threshold', value: '5000', label: 'Free Shipping Threshold', category: 'orders', type: 'number', sortOrder: 2, isPublic: true },
     { key: 'default_shipping_charge', value: '100', label: 'Default Shipping Charge', category: 'orders', type: 'number', sortOrder: 3, isPublic: true },
     { key: 'order_cancellation_hours', value: '24', label: 'Order Cancellation Window (hours)', category: 'orders', type: 'number', sortOrder: 4 },
     { key: 'require_doctor_verification', value: 'true', label: 'Require Doctor Verification for Orders', category: 'orders', type: 'boolean', sortOrder: 5 },
+    { key: 'return_window_days', value: '30', label: 'Return Window (days after delivery)', category: 'orders', type: 'number', sortOrder: 6 },
+    { key: 'cart_expiry_days', value: '7', label: 'Abandon Inactive Carts After (days)', category: 'orders', type: 'number', sortOrder: 7 },
     { key: 'delivery_ranges', value: '[]', label: 'Delivery Charge Ranges', category: 'orders', type: 'json', sortOrder: 10, isPublic: true },
 
 
@@ -49,11 +58,28 @@ const settings = [
     { key: 'reservation_timeout_minutes', value: '30', label: 'Reservation Timeout (minutes)', category: 'inventory', type: 'number', sortOrder: 3 },
     { key: 'track_batch_numbers', value: 'true', label: 'Track Batch Numbers', category: 'inventory', type: 'boolean', sortOrder: 4 },
     { key: 'expiry_alert_days', value: '90', label: 'Expiry Alert Days', category: 'inventory', type: 'number', sortOrder: 5 },
+    { key: 'replenishment_sales_window_days', value: '90', label: 'Reorder: Sales History Window (days)', category: 'inventory', type: 'number', sortOrder: 6 },
+    { key: 'replenishment_default_lead_time_days', value: '14', label: 'Reorder: Default Supplier Lead Time (days)', category: 'inventory', type: 'number', sortOrder: 7 },
+    { key: 'replenishment_safety_days', value: '7', label: 'Reorder: Safety Stock (days of sales)', category: 'inventory', type: 'number', sortOrder: 8 },
+    { key: 'replenishment_cover_days', value: '30', label: 'Reorder: Order Enough to Cover (days)', category: 'inventory', type: 'number', sortOrder: 9 },
+    { key: 'grn_min_shelf_life_days', value: '180', label: 'Goods Receipt: Minimum Remaining Shelf Life (days)', category: 'inventory', type: 'number', sortOrder: 10 },
+    { key: 'expiry_clearance_enabled', value: 'false', label: 'Auto-create Clearance Promotions for Near-expiry Batches', category: 'inventory', type: 'boolean', sortOrder: 11 },
+    { key: 'expiry_clearance_discount_percent', value: '20', label: 'Near-expiry Clearance Discount (%)', category: 'inventory', type: 'number', sortOrder: 12 },
+
+    // Accounts Payable Settings
+    { key: 'ap_default_payment_terms_days', value: '30', label: 'Default Supplier Payment Terms (days)', category: 'payables', type: 'number', sortOrder: 1 },
+    { key: 'ap_price_tolerance_percent', value: '1', label: 'Invoice Price Tolerance vs PO (%)', category: 'payables', type: 'number', sortOrder: 2 },
+    { key: 'ap_amount_tolerance', value: '1', label: 'Invoice Total Rounding Tolerance', category: 'payables', type: 'number', sortOrder: 3 },
 
     // Doctor Credit Settings
     { key: 'default_credit_limit', value: '50000', label: 'Default Credit Limit', category: 'credit', type: 'number', sortOrder: 1 },
     { key: 'default_payment_terms', value: '30', label: 'Default Payment Terms (days)', category: 'credit', type: 'number', sortOrder: 2 },
     { key: 'enable_credit_orders', value: 'true', label: 'Enable Credit Orders', category: 'credit', type: 'boolean', sortOrder: 3 },
+    { key: 'credit_hold_enabled', value: 'true', label: 'Enable Credit Hold Policy', category: 'credit', type: 'boolean', sortOrder: 4 },
+    { key: 'credit_hold_action', value: 'hold', label: 'Credit Hold Action (hold/block)', category: 'credit', type: 'string', sortOrder: 5 },
+    { key: 'credit_hold_overdue_days', value: '30', label: 'Hold When Invoices Overdue By More Than (days)', category: 'credit', type: 'number', sortOrder: 6 },
+    { key: 'credit_override_hours', value: '24', label: 'Credit Override Validity (hours)', category: 'credit', type: 'number', sortOrder: 7 },
+    { key: 'credit_reminder_days', value: '7,3,1,0', label: 'Send Due Reminders (days before due, comma separated)', category: 'credit', type: 'string', sortOrder: 8 },
 
     // Tax Settings
     { key: 'default_tax_enabled', value: 'true', label: 'Enable Tax by Default', category: 'tax', type: 'boolean', sortOrder: 1, isPublic: true },
@@ -115,14 +115,47 @@ const initDb = async () => {
         // Disabled alter: true because the products table is at MySQL's 64-index limit.
         // Standard sync() will still create missing tables.
         await sequelize.sync({ alter: false });
+        // inventory_movements is well under the index limit, so alter it alone to pick up new movement types
+        await sequelize.models.InventoryMovement.sync({ alter: true });
+        // orders and payments have column-level unique keys that a full alter would duplicate (as happened to products),
+        // so only ENUM columns that gained values are widened in place, here and on newer tables
+        const queryInterface = sequelize.getQueryInterface();
+        const widenedEnums = [
+            [models.Order, 'status'],
+            [models.Order, 'paymentStatus'],
+            [models.Payment, 'method'],
+            [models.OrderItemBatch, 'status']
+        ];
+        for (const [model, attribute] of widenedEnums) {
+            const definition = model.rawAttributes[attribute];
+            await queryInterface.changeColumn(model.getTableName(), definition.field, definition);
+        }
+        // login_throttles predates its unique keys: fold away duplicate counters left by racing logins, then add them.
+        // Account rows used to carry their last failing IP, which would collide on the IP key
+        const throttleTable = models.LoginThrottle.getTableName();
+        const throttleIndexes = (await queryInterface.showIndex(throttleTable)).map(index => index.name);
+        for (const index of models.LoginThrottle.options.indexes.filter(index => index.unique)) {
+            if (throttleIndexes.includes(index.name)) continue;
+            if (index.fields.includes('ip_address')) {
+                await sequelize.query(`UPDATE ${throttleTable} SET ip_address = NULL WHERE scope = 'account'`);
+            }
+            const sameKey = index.fields.map(field => `older.${field} <=> newer.${field}`).join(' AND ');
+            await sequelize.query(
+                `DELETE older FROM ${throttleTable} older JOIN ${throttleTable} newer ON ${sameKey} AND older.id < newer.id`
+            );
+            await queryInterface.addIndex(throttleTable, index.fields, { name: index.name, unique: true });
+        }
         console.log('✅ Database synchronized successfully.');
 
         // Seeders
         const { seedDefaultRoles } = require('./seeders/defaultRoles');
         const { seedDefaultSuperAdmin } = require('./seeders/defaultUser');
+        const seedPermissions = require('./seeders/defaultPermissions');
 
         console.log('🌱 Seeding initial data...');
         await seedDefaultRoles();
+        // Permissions guarding newer routes would otherwise deny everyone until a manual reseed
+        await seedPermissions({ grantNewOnly: true });
         await seedDefaultSuperAdmin();
 
         // Seed system settings
@@ -151,6 +184,12 @@ const initDb = async () => {
 
         console.log('✅ Seeding completed.');
 
+        // Background jobs need a long-running process, so not on serverless
+        if (process.env.VERCEL !== '1' && process.env.SCHEDULER_ENABLED !== 'false') {
+            const { SchedulerService } = require('./services');
+            await SchedulerService.start();
+        }
+
     } catch (err) {
         console.error('❌ Database Initialization Error:', err.message);
         // On Vercel, we don't want to crash the whole process immediately if possible
@@ -0,0 +1,349 @@
+const { OrderItem, OrderItemBatch, ProductBatch, Product, InventoryMovement, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const AuditLogService = require('./auditLogService');
+const InventoryService = require('./inventoryService');
+const WarehouseService = require('./warehouseService');
+
+/**
+ * Batch Allocation Service - First-expiry-first-out allocation of order lines to ProductBatch stock
+ */
+class BatchAllocationService {
+    /**
+     * Batches a line may be drawn from, earliest expiry first.
+     * Quarantined, expired and batches expiring today are never allocated.
+     */
+    static async getAllocatableBatches(productId, transaction = null) {
+        const today = new Date().toISOString().slice(0, 10);
+
+        return ProductBatch.findAll({
+            where: {
+                productId,
+                status: { [Op.notIn]: ['expired', 'quarantined'] },
+                stockQuantity: { [Op.gt]: 0 },
+                expiryDate: { [Op.gt]: today }
+            },
+            order: [['expiryDate', 'ASC'], ['id', 'ASC']],
+            lock: true,
+            transaction
+        });
+    }
+
+    /**
+     * Allocate every line of an order that is not fully allocated yet.
+     * Safe to call again (e.g. on confirm and again on ship); only the shortfall is drawn.
+     * @param {Object} order - Order
+     * @param {Object} req - Request object (allocatedBy)
+     * @param {Object} externalTransaction - Optional external transaction
+     * @returns {Object} - { allocations, shortfalls: [{ orderItemId, productName, quantity }] }
+     */
+    static async allocateOrder(order, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            const items = await OrderItem.findAll({
+                where: { orderId: order.id, status: { [Op.ne]: 'cancelled' } },
+                include: [{ model: OrderItemBatch, as: 'batchAllocations', where: { status: { [Op.in]: ['allocated', 'shipped'] } }, required: false }],
+                transaction
+            });
+
+            const allocations = [];
+            const shortfalls = [];
+
+            for (const item of items) {
+                const allocated = item.batchAllocations.reduce((sum, a) => sum + a.quantity, 0);
+                const needed = item.quantity - allocated;
+                if (needed <= 0) continue;
+
+                const result = await this.allocateItem(item, needed, req, transaction);
+                allocations.push(...result.allocations);
+
+                if (result.unallocated > 0) {
+                    shortfalls.push({
+                        orderItemId: item.id,
+                        productId: item.productId,
+                        productName: item.productName,
+                        quantity: result.unallocated
+                    });
+                }
+            }
+
+            if (shouldCommit) await transaction.commit();
+
+            return { allocations, shortfalls };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Draw a quantity for one order line from batches in expiry order, splitting as needed
+     * @param {Object} item - OrderItem
+     * @param {number} quantity - Quantity to allocate
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     * @returns {Object} - { allocations, unallocated }
+     */
+    static async allocateItem(item, quantity, req, transaction) {
+        const product = await Product.findByPk(item.productId, {
+            attributes: ['id', 'trackInventory'],
+            transaction
+        });
+
+        // Untracked products have no batch stock to draw from
+        if (!product || !product.trackInventory) {
+            return { allocations: [], unallocated: 0 };
+        }
+
+        const batches = await this.getAllocatableBatches(item.productId, transaction);
+        const allocations = [];
+        let remaining = quantity;
+
+        for (const batch of batches) {
+            if (remaining <= 0) break;
+
+            const take = Math.min(remaining, batch.stockQuantity);
+
+            batch.stockQuantity -= take;
+            if (batch.stockQuantity === 0) batch.status = 'out_of_stock';
+            await batch.save({ transaction });
+
+            allocations.push(await OrderItemBatch.create({
+                orderId: item.orderId,
+                orderItemId: item.id,
+                productId: item.productId,
+                productBatchId: batch.id,
+                batchNumber: batch.batchNumber,
+                expiryDate: batch.expiryDate,
+                unitCost: batch.costPrice,
+                quantity: take,
+                allocatedBy: req?.user?.isDoctorAccount ? null : req?.user?.id
+            }, { transaction }));
+
+            remaining -= take;
+        }
+
+        // The line shows the earliest-expiring batch it was drawn from
+        if (allocations.length && !item.batchAllocations?.length) {
+            item.batchNumber = allocations[0].batchNumber;
+            item.expiryDate = allocations[0].expiryDate;
+            await item.save({ transaction });
+        }
+
+        return { allocations, unallocated: remaining };
+    }
+
+    /**
+     * Mark the allocations a shipped quantity of a line was drawn from as shipped, earliest expiry first.
+     * An allocation that ships only in part is split so the shipped quantity gets its own row.
+     * @param {Object} item - OrderItem
+     * @param {number} quantity - Quantity shipped
+     * @param {Object} transaction - Transaction
+     */
+    static async markShipped(item, quantity, transaction) {
+        const allocations = await OrderItemBatch.findAll({
+            where: { orderItemId: item.id, status: 'allocated' },
+            order: [['expiryDate', 'ASC'], ['id', 'ASC']],
+            lock: true,
+            transaction
+        });
+
+        let remaining = quantity;
+
+        for (const allocation of allocations) {
+            if (remaining <= 0) break;
+
+            const take = Math.min(remaining, allocation.quantity);
+
+            if (take === allocation.quantity) {
+                allocation.status = 'shipped';
+            } else {
+                allocation.quantity -= take;
+
+                await OrderItemBatch.create({
+                    orderId: allocation.orderId,
+                    orderItemId: allocation.orderItemId,
+                    productId: allocation.productId,
+                    productBatchId: allocation.productBatchId,
+                    batchNumber: allocation.batchNumber,
+                    expiryDate: allocation.expiryDate,
+                    unitCost: allocation.unitCost,
+                    quantity: take,
+                    status: 'shipped',
+                    allocatedBy: allocation.allocatedBy
+                }, { transaction });
+            }
+            await allocation.save({ transaction });
+
+            remaining -= take;
+        }
+    }
+
+    /**
+     * Return unshipped allocated quantities to their batches (order cancelled).
+     * Latest-expiring allocations are released first so shipped stock stays matched to the earliest batches.
+     * Units going back to a batch that was quarantined or expired meanwhile are written out of sellable stock.
+     * @param {Object} order - Order with items
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     * @returns {number} - Quantity returned to batches
+     */
+    static async releaseOrder(order, req, transaction) {
+        let released = 0;
+
+        for (const item of order.items) {
+            let unshipped = item.quantity - (item.fulfilledQuantity || 0);
+            if (unshipped <= 0) continue;
+
+            const allocations = await OrderItemBatch.findAll({
+                where: { orderItemId: item.id, status: 'allocated' },
+                order: [['expiryDate', 'DESC'], ['id', 'DESC']],
+                lock: true,
+                transaction
+            });
+
+            for (const allocation of allocations) {
+                if (unshipped <= 0) break;
+
+                const give = Math.min(unshipped, allocation.quantity);
+
+                const batch = await ProductBatch.findByPk(allocation.productBatchId, { lock: true, transaction });
+                if (batch) {
+                    batch.stockQuantity += give;
+                    if (batch.status === 'out_of_stock') batch.status = 'active';
+                    await batch.save({ transaction });
+
+                    if (['quarantined', 'expired'].includes(batch.status)) {
+                        await this.writeOffReleased(batch, give, order, req, transaction);
+                    }
+                }
+
+                allocation.quantity -= give;
+                if (allocation.quantity === 0) {
+                    allocation.status = 'released';
+                    allocation.releasedAt = new Date();
+                }
+                await allocation.save({ transaction });
+
+                unshipped -= give;
+                released += give;
+            }
+        }
+
+        return released;
+    }
+
+    /**
+     * Take units released from a cancelled order into an unsellable batch out of product stock.
+     * Unshipped units still count in Product.stockQuantity, so they would otherwise become sellable again.
+     */
+    static async writeOffReleased(batch, quantity, order, req, transaction) {
+        const product = await Product.findByPk(batch.productId, { lock: true, transaction });
+        if (!product || !product.trackInventory) return;
+
+        const previousStock = product.stockQuantity;
+        product.stockQuantity = Math.max(0, previousStock - quantity);
+        await product.save({ transaction });
+
+        const warehouseId = await WarehouseService.getOrderWarehouseId(order.id, transaction);
+        await WarehouseService.applyStockChange(product, product.stockQuantity - previousStock, warehouseId, transaction);
+        await InventoryService.syncInventoryRecord(product, req, transaction);
+
+        await InventoryMovement.create({
+            productId: product.id,
+            type: batch.status === 'expired' ? 'expired' : 'adjustment',
+            quantityBefore: previousStock,
+            quantityChange: product.stockQuantity - previousStock,
+            quantityAfter: product.stockQuantity,
+            referenceType: 'order',
+            referenceId: order.id,
+            referenceNumber: order.orderNumber,
+            batchNumber: batch.batchNumber,
+            unitCost: batch.costPrice,
+            totalCost: parseFloat(batch.costPrice) * quantity,
+            reason: `${quantity} unit(s) released from cancelled order ${order.orderNumber} into ${batch.status} batch ${batch.batchNumber}`,
+            createdBy: req?.user?.id,
+            createdByName: req?.user?.userName,
+            ipAddress: AuditLogService.getIpAddress(req)
+        }, { transaction });
+    }
+
+    /**
+     * Quantity of an allocated row that has not shipped yet. Lines shipped before shipments
+     * marked their allocations count the fulfilled quantity against the earliest-expiring rows.
+     */
+    static async getUnshippedQuantity(allocation, transaction) {
+        const item = allocation.orderItem;
+        if (!item.fulfilledQuantity) return allocation.quantity;
+
+        const rows = await OrderItemBatch.findAll({
+            where: { orderItemId: item.id, status: { [Op.in]: ['allocated', 'shipped'] } },
+            order: [['expiryDate', 'ASC'], ['id', 'ASC']],
+            transaction
+        });
+        if (rows.some(row => row.status === 'shipped')) return allocation.quantity;
+
+        let shipped = item.fulfilledQuantity;
+        for (const row of rows) {
+            const covered = Math.min(shipped, row.quantity);
+            if (row.id === allocation.id) return row.quantity - covered;
+            shipped -= covered;
+        }
+
+        return allocation.quantity;
+    }
+
+    /**
+     * Move the unshipped allocations on a batch that can no longer be sold (recall, expiry)
+     * back to it, and draw them again from the next batches in FEFO order.
+     * Partly shipped lines move only their unshipped remainder.
+     * @param {Object} batch - ProductBatch, already marked quarantined or expired
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     * @returns {Array} - IDs of orders that were re-allocated
+     */
+    static async reallocateFromBatch(batch, req, transaction) {
+        const allocations = await OrderItemBatch.findAll({
+            where: { productBatchId: batch.id, status: 'allocated' },
+            include: [{
+                model: OrderItem,
+                as: 'orderItem',
+                where: { status: { [Op.ne]: 'cancelled' } }
+            }],
+            lock: true,
+            transaction
+        });
+
+        const orderIds = new Set();
+
+        for (const allocation of allocations) {
+            const unshipped = await this.getUnshippedQuantity(allocation, transaction);
+            if (unshipped <= 0) continue;
+
+            // Returned units stay with the batch, which can no longer be sold
+            batch.stockQuantity += unshipped;
+
+            allocation.quantity -= unshipped;
+            if (allocation.quantity === 0) {
+                allocation.status = 'released';
+                allocation.releasedAt = new Date();
+            }
+            await allocation.save({ transaction });
+
+            orderIds.add(allocation.orderId);
+        }
+
+        if (orderIds.size) {
+            await batch.save({ transaction });
+        }
+
+        for (const orderId of orderIds) {
+            await this.allocateOrder({ id: orderId }, req, transaction);
+        }
+
+        return [...orderIds];
+    }
+}
+
+module.exports = BatchAllocationService;
@@ -0,0 +1,117 @@
+const { CreditOverride } = require('../models');
+const { Op } = require('sequelize');
+const PricingService = require('./pricingService');
+const ReceivablesService = require('./receivablesService');
+
+/**
+ * Credit Control Service - Credit-hold policy for doctor orders
+ */
+class CreditControlService {
+    /**
+     * Read the policy from the `credit` settings category
+     * @returns {Object} - { enabled, action, overdueDays, overrideHours }
+     */
+    static async getPolicy() {
+        const enabled = await PricingService.getSettingValue('credit_hold_enabled', 'true');
+        const action = await PricingService.getSettingValue('credit_hold_action', 'hold');
+
+        return {
+            enabled: enabled === true || enabled === 'true',
+            action: action === 'block' ? 'block' : 'hold',
+            overdueDays: parseInt(await PricingService.getSettingValue('credit_hold_overdue_days', 30)),
+            overrideHours: parseInt(await PricingService.getSettingValue('credit_override_hours', 24))
+        };
+    }
+
+    /**
+     * Check a doctor against the policy
+     * @param {Object} doctor - Doctor
+     * @param {number} orderTotal - Amount of the new order (0 to check the account only)
+     * @param {boolean} onCredit - Whether the new order would be placed on credit
+     * @param {Object} transaction - Optional transaction
+     * @returns {Object} - { policy, violations: [{ code, message }] }
+     */
+    static async evaluate(doctor, orderTotal = 0, onCredit = false, transaction = null) {
+        const policy = await this.getPolicy();
+        const violations = [];
+
+        if (!policy.enabled) {
+            return { policy, violations };
+        }
+
+        const creditLimit = parseFloat(doctor.creditLimit);
+        const exposure = parseFloat(doctor.currentCredit) + (onCredit ? parseFloat(orderTotal) : 0);
+
+        if (exposure > creditLimit) {
+            violations.push({
+                code: 'over_limit',
+                message: `Credit limit of ${creditLimit.toFixed(2)} exceeded (balance ${exposure.toFixed(2)})`
+            });
+        }
+
+        const outstanding = await ReceivablesService.getOutstandingOrders({ doctorId: doctor.id }, transaction);
+        const overdue = outstanding.filter(order =>
+            ReceivablesService.getDaysPastDue(order) > policy.overdueDays
+        );
+
+        if (overdue.length) {
+            const overdueAmount = overdue.reduce((sum, order) => sum + parseFloat(order.dueAmount), 0);
+            violations.push({
+                code: 'overdue',
+                message: `${overdue.length} invoice(s) overdue by more than ${policy.overdueDays} days (${overdueAmount.toFixed(2)} due)`,
+                orders: overdue.map(order => order.orderNumber)
+            });
+        }
+
+        return { policy, violations };
+    }
+
+    /**
+     * Unused, unexpired override for a doctor
+     */
+    static async getActiveOverride(doctorId, transaction = null) {
+        return CreditOverride.findOne({
+            where: {
+                doctorId,
+                usedAt: null,
+                validUntil: { [Op.gt]: new Date() }
+            },
+            order: [['createdAt', 'DESC']],
+            transaction
+        });
+    }
+
+    /**
+     * Grant a one-off override so the doctor's next order skips the policy
+     * @param {Object} doctor - Doctor
+     * @param {string} reason - Why the override was granted
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Optional transaction
+     */
+    static async grantOverride(doctor, reason, req, transaction = null) {
+        const { policy, violations } = await this.evaluate(doctor, 0, false, transaction);
+
+        const validUntil = new Date();
+        validUntil.setHours(validUntil.getHours() + policy.overrideHours);
+
+        return CreditOverride.create({
+            doctorId: doctor.id,
+            reason,
+            violations,
+            validUntil,
+            createdBy: req?.user?.id
+        }, { transaction });
+    }
+
+    /**
+     * Mark an override as used by an order
+     */
+    static async useOverride(override, orderId, transaction = null) {
+        override.usedAt = new Date();
+        override.orderId = orderId;
+        await override.save({ transaction });
+        return override;
+    }
+}
+
+module.exports = CreditControlService;
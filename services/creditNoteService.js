@@ -0,0 +1,144 @@
+const { CreditNote, Doctor } = require('../models');
+const { Op } = require('sequelize');
+const PaymentService = require('./paymentService');
+
+/**
+ * Credit Note Service - Credit / debit notes against doctor balances
+ */
+class CreditNoteService {
+    /**
+     * Generate note number (CN/DN + yymmdd + daily sequence), numbered like orders
+     * @param {string} type - credit or debit
+     * @param {Object} transaction - Optional transaction
+     */
+    static async generateNoteNumber(type, transaction = null) {
+        const prefix = type === 'debit' ? 'DN' : 'CN';
+        const date = new Date();
+        const dateStr = date.getFullYear().toString().slice(-2) +
+            (date.getMonth() + 1).toString().padStart(2, '0') +
+            date.getDate().toString().padStart(2, '0');
+
+        const startOfDay = new Date(date.setHours(0, 0, 0, 0));
+        const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+
+        const count = await CreditNote.count({
+            where: {
+                type,
+                createdAt: { [Op.between]: [startOfDay, endOfDay] }
+            },
+            transaction
+        });
+
+        return `${prefix}${dateStr}${(count + 1).toString().padStart(4, '0')}`;
+    }
+
+    /**
+     * Issue a credit or debit note and post it to the doctor's balance
+     * @param {Object} data - { type, doctorId, orderId, returnRequestId, amount, reason, items, notes, autoApply }
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     * @returns {Object} - { success, note, settlement } or { success: false, message }
+     */
+    static async issueNote(data, req, transaction) {
+        const { type, doctorId, orderId, returnRequestId, reason, items, notes, autoApply = true } = data;
+        const amount = parseFloat(data.amount);
+
+        const doctor = await Doctor.findByPk(doctorId, { lock: true, transaction });
+        if (!doctor) {
+            return { success: false, message: 'Doctor not found' };
+        }
+
+        if (isNaN(amount) || amount <= 0) {
+            return { success: false, message: 'Invalid note amount' };
+        }
+
+        const noteNumber = await this.generateNoteNumber(type, transaction);
+
+        const note = await CreditNote.create({
+            noteNumber,
+            type,
+            doctorId,
+            orderId,
+            returnRequestId,
+            items: items && items.length ? items : [{ description: reason, quantity: 1, unitPrice: amount, amount }],
+            amount,
+            reason,
+            notes,
+            issuedAt: new Date(),
+            createdBy: req?.user?.id
+        }, { transaction });
+
+        // Post to the doctor's running balance
+        doctor.currentCredit = parseFloat(doctor.currentCredit) + (type === 'debit' ? amount : -amount);
+        await doctor.save({ transaction });
+
+        let settlement = null;
+        if (type === 'credit' && autoApply) {
+            settlement = await this.applyNote(note, doctor, req, transaction);
+        }
+
+        return { success: true, note, settlement };
+    }
+
+    /**
+     * Use the unapplied balance of a credit note against outstandings (FIFO)
+     * @param {Object} note - Credit note
+     * @param {Object} doctor - Doctor
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     */
+    static async applyNote(note, doctor, req, transaction) {
+        const balance = parseFloat(note.amount) - parseFloat(note.appliedAmount);
+        if (balance <= 0) {
+            return { appliedToOrders: [], appliedToNotes: [], remaining: 0 };
+        }
+
+        const settlement = await PaymentService.settleOutstanding(
+            doctor,
+            balance,
+            { creditNote: note },
+            req,
+            transaction
+        );
+
+        note.appliedAmount = parseFloat(note.appliedAmount) + (balance - settlement.remaining);
+        note.status = PaymentService.getNoteStatus(note);
+        note.updatedBy = req?.user?.id;
+        await note.save({ transaction });
+
+        return settlement;
+    }
+
+    /**
+     * Cancel a note that has not been used yet and reverse it from the doctor's balance
+     * @param {Object} note - Credit or debit note
+     * @param {string} reason - Cancellation reason
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     */
+    static async cancelNote(note, reason, req, transaction) {
+        if (note.status === 'cancelled') {
+            return { success: false, message: 'Note is already cancelled' };
+        }
+
+        if (parseFloat(note.appliedAmount) > 0) {
+            return { success: false, message: 'Note has already been applied and cannot be cancelled' };
+        }
+
+        const doctor = await Doctor.findByPk(note.doctorId, { lock: true, transaction });
+        const amount = parseFloat(note.amount);
+        doctor.currentCredit = parseFloat(doctor.currentCredit) + (note.type === 'debit' ? -amount : amount);
+        await doctor.save({ transaction });
+
+        note.status = 'cancelled';
+        note.cancelledAt = new Date();
+        note.cancelledBy = req?.user?.id;
+        note.cancelReason = reason;
+        note.updatedBy = req?.user?.id;
+        await note.save({ transaction });
+
+        return { success: true };
+    }
+}
+
+module.exports = CreditNoteService;
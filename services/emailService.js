@@ -466,6 +466,109 @@ class EmailService {
         }
     }
 
+    /**
+     * Send return-to-supplier note with PDF attachment to the supplier
+     */
+    static async sendSupplierReturnEmail(supplierReturn) {
+        const supplier = supplierReturn.supplier || {};
+        const supplierEmail = supplier.email;
+
+        if (!supplierEmail) {
+            console.warn(`⚠️ Supplier has no email address. Return ${supplierReturn.returnNumber} not sent.`);
+            return { success: false, reason: 'Supplier has no email address' };
+        }
+
+        const settings = await this.getEmailSettings();
+        if (!settings.enabled) {
+            console.warn('⚠️ Email service disabled, skipping supplier return email.');
+            return { success: false, reason: 'Email service disabled' };
+        }
+
+        try {
+            const pdfBuffer = await PdfService.generateSupplierReturnPdfBuffer(supplierReturn);
+
+            const subject = `Goods Return ${supplierReturn.returnNumber} from ${settings.fromName}`;
+            const reason = (supplierReturn.reason || 'other').replace(/_/g, ' ');
+
+            const html = `
+<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#1e293b">
+  <div style="background:#0f172a;padding:24px 32px;border-radius:8px 8px 0 0">
+    <h1 style="color:#fff;margin:0;font-size:22px">Return to Supplier</h1>
+    <p style="color:#94a3b8;margin:4px 0 0">${settings.fromName}</p>
+  </div>
+  <div style="background:#f8fafc;padding:32px;border-radius:0 0 8px 8px;border:1px solid #e2e8f0">
+    <p style="font-size:15px">Dear <strong>${supplier.contactPerson || supplier.name || 'Supplier'}</strong>,</p>
+    <p>We are returning the goods listed in the attached note <strong>${supplierReturn.returnNumber}</strong>.</p>
+    <table style="width:100%;border-collapse:collapse;margin:20px 0;font-size:13px">
+      <tr style="background:#e2e8f0">
+        <td style="padding:8px 12px;font-weight:bold">Return Number</td>
+        <td style="padding:8px 12px">${supplierReturn.returnNumber}</td>
+      </tr>
+      <tr>
+        <td style="padding:8px 12px;font-weight:bold">Reason</td>
+        <td style="padding:8px 12px;text-transform:capitalize">${reason}</td>
+      </tr>
+      <tr style="background:#e2e8f0">
+        <td style="padding:8px 12px;font-weight:bold">Original PO</td>
+        <td style="padding:8px 12px">${supplierReturn.purchaseOrder?.poNumber || 'N/A'}</td>
+      </tr>
+      <tr>
+        <td style="padding:8px 12px;font-weight:bold">Total Units</td>
+        <td style="padding:8px 12px">${supplierReturn.totalQuantity} across ${(supplierReturn.items || []).length} batch line(s)</td>
+      </tr>
+      <tr style="background:#e2e8f0">
+        <td style="padding:8px 12px;font-weight:bold">Credit Expected</td>
+        <td style="padding:8px 12px;font-size:16px;color:#0f172a"><strong>${supplierReturn.expectedCreditAmount}</strong></td>
+      </tr>
+    </table>
+    ${supplierReturn.notes ? `<p style="background:#fff;border-left:3px solid #0f172a;padding:10px 16px;font-size:13px"><strong>Notes:</strong> ${supplierReturn.notes}</p>` : ''}
+    <p style="font-size:13px;color:#475569">Please arrange collection if required and issue a credit note quoting the return number above.</p>
+    <p style="margin-top:24px;font-size:13px">Best regards,<br><strong>${settings.fromName}</strong><br>${settings.fromEmail}</p>
+  </div>
+  <p style="text-align:center;font-size:11px;color:#94a3b8;margin-top:12px">This is an automated goods return notification.</p>
+</div>
+`;
+
+            const result = await this.send({
+                to: supplierEmail,
+                toName: supplier.contactPerson || supplier.name,
+                subject,
+                html,
+                text: `Goods Return ${supplierReturn.returnNumber}\nReason: ${reason}\nCredit expected: ${supplierReturn.expectedCreditAmount}\nPlease see attached PDF.`,
+                attachments: [
+                    {
+                        filename: `RTS_${supplierReturn.returnNumber}.pdf`,
+                        content: pdfBuffer,
+                        contentType: 'application/pdf'
+                    }
+                ]
+            });
+
+            await NotificationLog.create({
+                templateCode: 'supplier_return_sent',
+                type: 'email',
+                recipientEmail: supplierEmail,
+                recipientName: supplier.contactPerson || supplier.name,
+                subject,
+                body: html,
+                status: result.success ? 'sent' : 'failed',
+                sentAt: result.success ? new Date() : null,
+                failedAt: result.success ? null : new Date(),
+                provider: 'nodemailer',
+                providerMessageId: result.messageId,
+                errorMessage: result.error,
+                referenceType: 'supplier_return',
+                referenceId: supplierReturn.id,
+                metadata: { returnNumber: supplierReturn.returnNumber }
+            }).catch(e => console.error('Failed to log supplier return notification:', e.message));
+
+            return result;
+        } catch (error) {
+            console.error('❌ Failed to send supplier return email:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Format address object for email
      */
@@ -0,0 +1,263 @@
+const { ProductBatch, Product, Promotion, InventoryMovement, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const AuditLogService = require('./auditLogService');
+const PricingService = require('./pricingService');
+const WarehouseService = require('./warehouseService');
+const BatchAllocationService = require('./batchAllocationService');
+const InventoryService = require('./inventoryService');
+
+/**
+ * Expiry Service - Batch-level expiry write-offs and near-expiry clearance promotions
+ */
+class ExpiryService {
+    // Slug prefix marking promotions created by createClearancePromotions
+    static CLEARANCE_SLUG_PREFIX = 'auto-clearance-';
+
+    /**
+     * Today's date as YYYY-MM-DD (DATEONLY comparisons)
+     */
+    static today() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    /**
+     * Flip batches past their expiry date to expired. Unshipped order allocations move to the
+     * next batches, then the units left in the batch are written out of sellable stock with an
+     * `expired` movement; the batch keeps its quantity so it can be returned to the supplier or disposed of.
+     * @param {Object} req - Request object (manual runs)
+     * @returns {Object} - { expired, unitsWrittenOff, valueWrittenOff, failed }
+     */
+    static async expireBatches(req = null) {
+        const batches = await ProductBatch.findAll({
+            where: {
+                status: { [Op.in]: ['active', 'out_of_stock'] },
+                expiryDate: { [Op.lt]: this.today() }
+            },
+            attributes: ['id'],
+            order: [['expiryDate', 'ASC']]
+        });
+
+        let expired = 0;
+        let unitsWrittenOff = 0;
+        let valueWrittenOff = 0;
+        let failed = 0;
+
+        // One transaction per batch so a single failure does not hold back the rest
+        for (const { id } of batches) {
+            const transaction = await sequelize.transaction();
+            try {
+                const batch = await ProductBatch.findByPk(id, { lock: true, transaction });
+                if (!batch || !['active', 'out_of_stock'].includes(batch.status)) {
+                    await transaction.rollback();
+                    continue;
+                }
+
+                batch.status = 'expired';
+                await batch.save({ transaction });
+
+                // Allocated units come back to the batch so orders do not ship expired stock
+                await BatchAllocationService.reallocateFromBatch(batch, req, transaction);
+
+                const quantity = batch.stockQuantity;
+
+                if (quantity > 0) {
+                    await this.writeOffBatchStock(batch, quantity, req, transaction);
+                    unitsWrittenOff += quantity;
+                    valueWrittenOff += parseFloat(batch.costPrice) * quantity;
+                }
+
+                await transaction.commit();
+                expired++;
+            } catch (error) {
+                if (!transaction.finished) await transaction.rollback();
+                console.error(`Failed to expire batch ${id}:`, error.message);
+                failed++;
+            }
+        }
+
+        return {
+            expired,
+            unitsWrittenOff,
+            valueWrittenOff: parseFloat(valueWrittenOff.toFixed(2)),
+            failed
+        };
+    }
+
+    /**
+     * Take an expiring batch's units out of the product's sellable stock
+     */
+    static async writeOffBatchStock(batch, quantity, req, transaction) {
+        const product = await Product.findByPk(batch.productId, { lock: true, transaction });
+        if (!product) return;
+
+        const previousStock = product.stockQuantity;
+
+        if (product.trackInventory) {
+            product.stockQuantity = Math.max(0, previousStock - quantity);
+            await product.save({ transaction });
+            await WarehouseService.applyStockChange(product, product.stockQuantity - previousStock, null, transaction);
+            await InventoryService.syncInventoryRecord(product, req, transaction);
+        }
+
+        await InventoryMovement.create({
+            productId: product.id,
+            type: 'expired',
+            quantityBefore: previousStock,
+            quantityChange: product.stockQuantity - previousStock,
+            quantityAfter: product.stockQuantity,
+            referenceType: 'product_batch',
+            referenceId: batch.id,
+            referenceNumber: batch.batchNumber,
+            batchNumber: batch.batchNumber,
+            unitCost: batch.costPrice,
+            totalCost: parseFloat(batch.costPrice) * quantity,
+            reason: `Batch ${batch.batchNumber} expired on ${batch.expiryDate}`,
+            createdBy: req?.user?.id,
+            createdByName: req?.user?.userName || 'system',
+            ipAddress: req ? AuditLogService.getIpAddress(req) : null
+        }, { transaction });
+    }
+
+    /**
+     * Clearance settings
+     */
+    static async getClearanceSettings() {
+        const [enabled, discountPercent, alertDays] = await Promise.all([
+            PricingService.getSettingValue('expiry_clearance_enabled', 'false'),
+            PricingService.getSettingValue('expiry_clearance_discount_percent', '20'),
+            PricingService.getSettingValue('expiry_alert_days', '90')
+        ]);
+
+        return {
+            enabled: String(enabled) === 'true',
+            discountPercent: parseFloat(discountPercent) || 0,
+            alertDays: parseInt(alertDays) || 0
+        };
+    }
+
+    /**
+     * Create a clearance promotion for each product with batches expiring within expiry_alert_days,
+     * and end earlier clearance promotions once their batches have sold through or expired.
+     * Promotions price at product level; FEFO allocation draws the short-dated batches first.
+     * @returns {Object} - { enabled, created, ended }
+     */
+    static async createClearancePromotions() {
+        const settings = await this.getClearanceSettings();
+        const ended = await this.endClearedPromotions();
+
+        if (!settings.enabled || settings.discountPercent <= 0) {
+            return { enabled: false, created: 0, ended };
+        }
+
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() + settings.alertDays);
+
+        const batches = await ProductBatch.findAll({
+            where: {
+                status: 'active',
+                stockQuantity: { [Op.gt]: 0 },
+                expiryDate: { [Op.gte]: this.today(), [Op.lte]: cutoff.toISOString().slice(0, 10) }
+            },
+            include: [{
+                model: Product,
+                as: 'product',
+                attributes: ['id', 'name'],
+                where: { isActive: true, isDeleted: false }
+            }],
+            order: [['expiryDate', 'ASC']]
+        });
+
+        const byProduct = new Map();
+        for (const batch of batches) {
+            if (!byProduct.has(batch.productId)) byProduct.set(batch.productId, []);
+            byProduct.get(batch.productId).push(batch);
+        }
+
+        const covered = await this.getClearanceProductIds();
+        let created = 0;
+
+        for (const [productId, productBatches] of byProduct) {
+            if (covered.has(productId)) continue;
+
+            const product = productBatches[0].product;
+            const lastExpiry = productBatches[productBatches.length - 1].expiryDate;
+            // Batches are not sold on their expiry date, so the offer ends the day before
+            const endDate = new Date(`${lastExpiry}T00:00:00`);
+            endDate.setMilliseconds(-1);
+
+            await Promotion.create({
+                name: `Clearance: ${product.name}`.slice(0, 150),
+                slug: `${this.CLEARANCE_SLUG_PREFIX}${productId}-${Date.now()}`,
+                description: `Near-expiry clearance for batch(es) ${productBatches.map(b => `${b.batchNumber} (exp ${b.expiryDate})`).join(', ')}`,
+                type: 'clearance',
+                discountType: 'percentage',
+                discountValue: settings.discountPercent,
+                applicableTo: 'products',
+                productIds: [productId],
+                batchIds: productBatches.map(b => b.id),
+                startDate: new Date(),
+                endDate,
+                status: 'active',
+                isActive: true
+            });
+            created++;
+        }
+
+        return { enabled: true, discountPercent: settings.discountPercent, created, ended };
+    }
+
+    /**
+     * Products already covered by a running clearance promotion
+     */
+    static async getClearanceProductIds() {
+        const promotions = await Promotion.findAll({
+            where: {
+                type: 'clearance',
+                isActive: true,
+                isDeleted: false,
+                status: { [Op.in]: ['scheduled', 'active'] },
+                endDate: { [Op.gte]: new Date() }
+            },
+            attributes: ['id', 'productIds']
+        });
+
+        return new Set(promotions.flatMap(p => p.productIds || []));
+    }
+
+    /**
+     * End automatic clearance promotions whose batches have no sellable stock left,
+     * so the discount does not carry over to fresh stock
+     * @returns {number} - Promotions ended
+     */
+    static async endClearedPromotions() {
+        const promotions = await Promotion.findAll({
+            where: {
+                type: 'clearance',
+                isDeleted: false,
+                status: { [Op.in]: ['scheduled', 'active'] },
+                slug: { [Op.like]: `${this.CLEARANCE_SLUG_PREFIX}%` }
+            }
+        });
+
+        let ended = 0;
+        for (const promotion of promotions) {
+            const remaining = await ProductBatch.count({
+                where: {
+                    id: promotion.batchIds || [],
+                    status: 'active',
+                    stockQuantity: { [Op.gt]: 0 }
+                }
+            });
+            if (remaining) continue;
+
+            promotion.status = 'ended';
+            promotion.isActive = false;
+            await promotion.save();
+            ended++;
+        }
+
+        return ended;
+    }
+}
+
+module.exports = ExpiryService;
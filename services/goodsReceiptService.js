@@ -0,0 +1,452 @@
+const {
+    GoodsReceipt, GoodsReceiptItem, PurchaseOrder, PurchaseOrderItem, ProductBatch, BatchRecall, Product, sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const InventoryService = require('./inventoryService');
+const PricingService = require('./pricingService');
+const PurchaseOrderService = require('./purchaseOrderService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Goods Receipt Service - GRNs per delivery, line inspection, batch creation and quarantine release
+ */
+class GoodsReceiptService {
+    /**
+     * Generate GRN number (GRN-YYMMDD-0001)
+     */
+    static async generateGrnNumber(transaction = null) {
+        const prefix = 'GRN';
+        const date = new Date();
+        const dateStr = date.getFullYear().toString().slice(-2) +
+            (date.getMonth() + 1).toString().padStart(2, '0') +
+            date.getDate().toString().padStart(2, '0');
+
+        const startOfDay = new Date(date.setHours(0, 0, 0, 0));
+        const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+
+        const count = await GoodsReceipt.count({
+            where: {
+                createdAt: { [Op.between]: [startOfDay, endOfDay] }
+            },
+            transaction
+        });
+
+        return `${prefix}-${dateStr}-${(count + 1).toString().padStart(4, '0')}`;
+    }
+
+    /**
+     * Remaining shelf life under which a line is flagged as short-dated
+     */
+    static async getMinShelfLifeDays() {
+        return parseInt(await PricingService.getSettingValue('grn_min_shelf_life_days', '180')) || 0;
+    }
+
+    /**
+     * Shelf-life flags for a line: expired, or short-dated against the configured minimum
+     */
+    static getShelfLife(expiryDate, minShelfLifeDays) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const daysToExpiry = Math.floor((new Date(expiryDate) - today) / DAY_MS);
+
+        return {
+            daysToExpiry,
+            expired: daysToExpiry < 0,
+            shortDated: daysToExpiry >= 0 && daysToExpiry < minShelfLifeDays
+        };
+    }
+
+    /**
+     * Quantity per PO line already on its way into stock: on GRNs awaiting inspection,
+     * or held in quarantine on completed GRNs
+     */
+    static async getPendingQuantities(purchaseOrderId, transaction = null) {
+        const items = await GoodsReceiptItem.findAll({
+            include: [{
+                model: GoodsReceipt,
+                as: 'goodsReceipt',
+                attributes: ['status'],
+                where: { purchaseOrderId, status: { [Op.in]: ['pending_inspection', 'completed'] } }
+            }],
+            attributes: ['purchaseOrderItemId', 'receivedQuantity', 'quarantinedQuantity'],
+            transaction
+        });
+
+        const pending = new Map();
+        for (const item of items) {
+            const quantity = item.goodsReceipt.status === 'pending_inspection'
+                ? item.receivedQuantity
+                : item.quarantinedQuantity;
+            pending.set(item.purchaseOrderItemId, (pending.get(item.purchaseOrderItemId) || 0) + quantity);
+        }
+        return pending;
+    }
+
+    /**
+     * Record a delivery against a purchase order as a GRN awaiting inspection. No stock moves yet.
+     * @param {Object} po - PurchaseOrder with items
+     * @param {Object} data - { warehouseId, deliveryNoteNumber, notes,
+     *                          items: [{ purchaseOrderItemId | productId, quantity, batchNumber, mfgDate, expiryDate }] }
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     * @returns {Object} - { success, goodsReceipt, warnings, message }
+     */
+    static async createReceipt(po, data, req = null, transaction = null) {
+        if (['cancelled', 'received'].includes(po.status)) {
+            return { success: false, message: `Cannot receive goods against a ${po.status} purchase order` };
+        }
+
+        const pending = await this.getPendingQuantities(po.id, transaction);
+        const minShelfLifeDays = await this.getMinShelfLifeDays();
+        const lines = [];
+        const warnings = [];
+
+        for (const item of data.items) {
+            const poItem = item.purchaseOrderItemId
+                ? po.items.find(i => i.id === parseInt(item.purchaseOrderItemId))
+                : po.items.find(i => i.productId === parseInt(item.productId));
+
+            if (!poItem) {
+                return {
+                    success: false,
+                    message: item.purchaseOrderItemId
+                        ? `Line ${item.purchaseOrderItemId} is not on purchase order ${po.poNumber}`
+                        : item.productId
+                            ? `Product ${item.productId} is not on purchase order ${po.poNumber}`
+                            : 'Each line needs a product ID or purchase order line ID'
+                };
+            }
+
+            const quantity = parseInt(item.quantity);
+            const alreadyLogged = lines
+                .filter(l => l.purchaseOrderItemId === poItem.id)
+                .reduce((sum, l) => sum + l.receivedQuantity, 0);
+            const outstanding = poItem.quantity - (poItem.receivedQuantity || 0) - (pending.get(poItem.id) || 0) - alreadyLogged;
+
+            if (quantity > outstanding) {
+                return {
+                    success: false,
+                    message: `Only ${Math.max(outstanding, 0)} unit(s) of product ${poItem.productId} are outstanding on ${po.poNumber}`
+                };
+            }
+
+            if (item.mfgDate && new Date(item.mfgDate) > new Date(item.expiryDate)) {
+                return { success: false, message: `Batch ${item.batchNumber}: manufacturing date is after the expiry date` };
+            }
+
+            const shelfLife = this.getShelfLife(item.expiryDate, minShelfLifeDays);
+            if (shelfLife.expired || shelfLife.shortDated) {
+                warnings.push({
+                    productId: poItem.productId,
+                    batchNumber: item.batchNumber,
+                    expiryDate: item.expiryDate,
+                    daysToExpiry: shelfLife.daysToExpiry,
+                    message: shelfLife.expired
+                        ? 'Batch has already expired and cannot be accepted'
+                        : `Batch expires in ${shelfLife.daysToExpiry} day(s), under the ${minShelfLifeDays}-day minimum shelf life`
+                });
+            }
+
+            lines.push({
+                purchaseOrderItemId: poItem.id,
+                productId: poItem.productId,
+                batchNumber: item.batchNumber,
+                mfgDate: item.mfgDate || null,
+                expiryDate: item.expiryDate,
+                unitCost: poItem.unitPrice,
+                receivedQuantity: quantity
+            });
+        }
+
+        const goodsReceipt = await GoodsReceipt.create({
+            grnNumber: await this.generateGrnNumber(transaction),
+            purchaseOrderId: po.id,
+            supplierId: po.supplierId,
+            warehouseId: data.warehouseId || null,
+            deliveryNoteNumber: data.deliveryNoteNumber,
+            notes: data.notes,
+            receivedQuantity: lines.reduce((sum, l) => sum + l.receivedQuantity, 0),
+            receivedAt: new Date(),
+            receivedBy: req?.user?.id
+        }, { transaction });
+
+        for (const line of lines) {
+            await GoodsReceiptItem.create({ goodsReceiptId: goodsReceipt.id, ...line }, { transaction });
+        }
+
+        return { success: true, goodsReceipt, warnings };
+    }
+
+    /**
+     * Record inspection outcomes on a GRN awaiting inspection.
+     * Each line's accepted + rejected + quarantined must equal what was received.
+     * @param {Object} goodsReceipt - GoodsReceipt with items
+     * @param {Array} results - [{ itemId, acceptedQuantity, rejectedQuantity, quarantinedQuantity, rejectionReason, inspectionNotes }]
+     */
+    static async recordInspection(goodsReceipt, results, req = null, transaction = null) {
+        if (goodsReceipt.status !== 'pending_inspection') {
+            return { success: false, message: `GRN is already ${goodsReceipt.status.replace(/_/g, ' ')}` };
+        }
+
+        const minShelfLifeDays = await this.getMinShelfLifeDays();
+
+        for (const result of results) {
+            const item = goodsReceipt.items.find(i => i.id === parseInt(result.itemId));
+            if (!item) {
+                return { success: false, message: `Line ${result.itemId} is not on this GRN` };
+            }
+
+            const accepted = parseInt(result.acceptedQuantity) || 0;
+            const rejected = parseInt(result.rejectedQuantity) || 0;
+            const quarantined = parseInt(result.quarantinedQuantity) || 0;
+
+            if (accepted + rejected + quarantined !== item.receivedQuantity) {
+                return {
+                    success: false,
+                    message: `Batch ${item.batchNumber}: accepted, rejected and quarantined must add up to the ${item.receivedQuantity} received`
+                };
+            }
+            if (rejected > 0 && !result.rejectionReason) {
+                return { success: false, message: `Batch ${item.batchNumber}: a rejection reason is required` };
+            }
+            if (accepted > 0 && this.getShelfLife(item.expiryDate, minShelfLifeDays).expired) {
+                return { success: false, message: `Batch ${item.batchNumber} has expired and cannot be accepted` };
+            }
+
+            item.acceptedQuantity = accepted;
+            item.rejectedQuantity = rejected;
+            item.quarantinedQuantity = quarantined;
+            item.rejectionReason = rejected > 0 ? result.rejectionReason : null;
+            if (result.inspectionNotes !== undefined) item.inspectionNotes = result.inspectionNotes;
+            item.inspectionStatus = 'inspected';
+            await item.save({ transaction });
+        }
+
+        return { success: true, goodsReceipt };
+    }
+
+    /**
+     * Find or create the product batch for a GRN line. Batches under an open recall cannot take new stock.
+     */
+    static async resolveBatch(item, goodsReceipt, transaction) {
+        let batch = await ProductBatch.findOne({
+            where: { productId: item.productId, batchNumber: item.batchNumber },
+            order: [['createdAt', 'DESC']],
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+
+        if (batch) {
+            const openRecall = await BatchRecall.findOne({
+                where: { productBatchId: batch.id, status: 'open' },
+                transaction
+            });
+            if (openRecall) {
+                return { success: false, message: `Batch ${item.batchNumber} is under recall ${openRecall.recallNumber}` };
+            }
+            return { success: true, batch };
+        }
+
+        const product = await Product.findByPk(item.productId, {
+            attributes: ['id', 'sellingPrice', 'mrp'],
+            transaction
+        });
+
+        batch = await ProductBatch.create({
+            productId: item.productId,
+            batchNumber: item.batchNumber,
+            supplierId: goodsReceipt.supplierId,
+            mfgDate: item.mfgDate,
+            expiryDate: item.expiryDate,
+            costPrice: item.unitCost,
+            sellingPrice: product?.sellingPrice || 0,
+            mrp: product?.mrp || 0,
+            stockQuantity: 0,
+            status: 'quarantined' // Until accepted stock is booked into it
+        }, { transaction });
+
+        return { success: true, batch };
+    }
+
+    /**
+     * Book accepted units into the batch, sellable stock and the PO line
+     */
+    static async acceptIntoStock(item, batch, quantity, goodsReceipt, poItem, reason, req, transaction) {
+        batch.stockQuantity += quantity;
+        if (['quarantined', 'out_of_stock'].includes(batch.status)) batch.status = 'active';
+        await batch.save({ transaction });
+
+        await InventoryService.increaseStock(
+            item.productId,
+            quantity,
+            'purchase',
+            'goods_receipt',
+            goodsReceipt.id,
+            goodsReceipt.grnNumber,
+            {
+                batchNumber: item.batchNumber,
+                expiryDate: item.expiryDate,
+                costPrice: item.unitCost,
+                reason,
+                req,
+                warehouseId: goodsReceipt.warehouseId
+            },
+            transaction
+        );
+
+        poItem.receivedQuantity = (poItem.receivedQuantity || 0) + quantity;
+        await poItem.save({ transaction });
+    }
+
+    /**
+     * Recalculate a GRN's quantity totals from its lines
+     */
+    static applyTotals(goodsReceipt) {
+        const sum = field => goodsReceipt.items.reduce((total, item) => total + (item[field] || 0), 0);
+        goodsReceipt.receivedQuantity = sum('receivedQuantity');
+        goodsReceipt.acceptedQuantity = sum('acceptedQuantity');
+        goodsReceipt.rejectedQuantity = sum('rejectedQuantity');
+        goodsReceipt.quarantinedQuantity = sum('quarantinedQuantity');
+    }
+
+    /**
+     * Post a fully inspected GRN: create/top up batches, make accepted units sellable
+     * and update the purchase order's received quantities and status
+     * @param {Object} goodsReceipt - GoodsReceipt with items
+     * @returns {Object} - { success, goodsReceipt, purchaseOrder, message }
+     */
+    static async completeInspection(goodsReceipt, req = null, transaction = null) {
+        if (goodsReceipt.status !== 'pending_inspection') {
+            return { success: false, message: `GRN is already ${goodsReceipt.status.replace(/_/g, ' ')}` };
+        }
+
+        const uninspected = goodsReceipt.items.filter(i => i.inspectionStatus !== 'inspected');
+        if (uninspected.length) {
+            return { success: false, message: `${uninspected.length} line(s) have not been inspected` };
+        }
+
+        const po = await PurchaseOrder.findByPk(goodsReceipt.purchaseOrderId, {
+            include: [{ model: PurchaseOrderItem, as: 'items' }],
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+
+        for (const item of goodsReceipt.items) {
+            const resolved = await this.resolveBatch(item, goodsReceipt, transaction);
+            if (!resolved.success) return resolved;
+
+            const { batch } = resolved;
+            item.productBatchId = batch.id;
+            await item.save({ transaction });
+
+            if (item.acceptedQuantity > 0) {
+                const poItem = po.items.find(i => i.id === item.purchaseOrderItemId);
+                await this.acceptIntoStock(
+                    item, batch, item.acceptedQuantity, goodsReceipt, poItem,
+                    `Accepted on ${goodsReceipt.grnNumber} (PO ${po.poNumber})`, req, transaction
+                );
+            }
+        }
+
+        this.applyTotals(goodsReceipt);
+        goodsReceipt.status = 'completed';
+        goodsReceipt.inspectedAt = new Date();
+        goodsReceipt.inspectedBy = req?.user?.id;
+        await goodsReceipt.save({ transaction });
+
+        await PurchaseOrderService.refreshReceiptStatus(po, transaction);
+
+        return { success: true, goodsReceipt, purchaseOrder: po };
+    }
+
+    /**
+     * Release quarantined units on a completed GRN line: accept them into stock or reject them
+     * @param {Object} goodsReceipt - GoodsReceipt with items
+     * @param {Object} item - GoodsReceiptItem
+     * @param {Object} data - { acceptQuantity, rejectQuantity, rejectionReason, notes }
+     */
+    static async releaseQuarantine(goodsReceipt, item, data, req = null, transaction = null) {
+        if (goodsReceipt.status !== 'completed') {
+            return { success: false, message: 'Quarantine can only be released on a completed GRN' };
+        }
+
+        const accept = parseInt(data.acceptQuantity) || 0;
+        const reject = parseInt(data.rejectQuantity) || 0;
+
+        if (accept + reject <= 0) {
+            return { success: false, message: 'Nothing to release' };
+        }
+        if (accept + reject > item.quarantinedQuantity) {
+            return { success: false, message: `Only ${item.quarantinedQuantity} unit(s) are held in quarantine` };
+        }
+        if (reject > 0 && !data.rejectionReason) {
+            return { success: false, message: 'A rejection reason is required' };
+        }
+
+        if (accept > 0) {
+            if (this.getShelfLife(item.expiryDate, 0).expired) {
+                return { success: false, message: `Batch ${item.batchNumber} has expired and cannot be accepted` };
+            }
+
+            const resolved = await this.resolveBatch(item, goodsReceipt, transaction);
+            if (!resolved.success) return resolved;
+
+            const poItem = await PurchaseOrderItem.findByPk(item.purchaseOrderItemId, { transaction });
+            await this.acceptIntoStock(
+                item, resolved.batch, accept, goodsReceipt, poItem,
+                `Released from quarantine on ${goodsReceipt.grnNumber}`, req, transaction
+            );
+            item.productBatchId = resolved.batch.id;
+        }
+
+        item.quarantinedQuantity -= accept + reject;
+        item.acceptedQuantity += accept;
+        item.releasedAcceptedQuantity += accept;
+        item.releasedRejectedQuantity += reject;
+        item.rejectedQuantity += reject;
+        if (reject > 0) {
+            item.rejectionReason = item.rejectionReason
+                ? `${item.rejectionReason}; ${data.rejectionReason}`
+                : data.rejectionReason;
+        }
+        if (data.notes) {
+            item.inspectionNotes = item.inspectionNotes ? `${item.inspectionNotes}\n${data.notes}` : data.notes;
+        }
+        item.releasedAt = new Date();
+        item.releasedBy = req?.user?.id;
+        await item.save({ transaction });
+
+        this.applyTotals(goodsReceipt);
+        await goodsReceipt.save({ transaction });
+
+        if (accept > 0) {
+            const po = await PurchaseOrder.findByPk(goodsReceipt.purchaseOrderId, {
+                include: [{ model: PurchaseOrderItem, as: 'items' }],
+                transaction
+            });
+            await PurchaseOrderService.refreshReceiptStatus(po, transaction);
+        }
+
+        return { success: true, goodsReceipt, item };
+    }
+
+    /**
+     * Cancel a GRN that has not been inspected yet (e.g. entered against the wrong PO)
+     */
+    static async cancelReceipt(goodsReceipt, reason, req = null, transaction = null) {
+        if (goodsReceipt.status !== 'pending_inspection') {
+            return { success: false, message: `Cannot cancel a ${goodsReceipt.status.replace(/_/g, ' ')} GRN` };
+        }
+
+        goodsReceipt.status = 'cancelled';
+        goodsReceipt.cancelledAt = new Date();
+        goodsReceipt.cancelledBy = req?.user?.id;
+        goodsReceipt.cancelReason = reason;
+        await goodsReceipt.save({ transaction });
+
+        return { success: true, goodsReceipt };
+    }
+}
+
+module.exports = GoodsReceiptService;
@@ -4,8 +4,34 @@ const SMSService = require('./smsService');
 const NotificationService = require('./notificationService');
 const PricingService = require('./pricingService');
 const InventoryService = require('./inventoryService');
+const WarehouseService = require('./warehouseService');
+const SupplierCatalogueService = require('./supplierCatalogueService');
+const PurchaseOrderService = require('./purchaseOrderService');
+const ReplenishmentService = require('./replenishmentService');
+const BatchAllocationService = require('./batchAllocationService');
 const PayHereService = require('./payhereService');
 const PdfService = require('./pdfService');
+const ShipmentService = require('./shipmentService');
+const PaymentService = require('./paymentService');
+const ReturnService = require('./returnService');
+const CreditNoteService = require('./creditNoteService');
+const StatementService = require('./statementService');
+const ReceivablesService = require('./receivablesService');
+const CreditControlService = require('./creditControlService');
+const RecallService = require('./recallService');
+const StockTakeService = require('./stockTakeService');
+const GoodsReceiptService = require('./goodsReceiptService');
+const SupplierReturnService = require('./supplierReturnService');
+const PayablesService = require('./payablesService');
+const ExpiryService = require('./expiryService');
+const InventoryValuationService = require('./inventoryValuationService');
+const SalesAnalyticsService = require('./salesAnalyticsService');
+const SessionService = require('./sessionService');
+const PasswordResetService = require('./passwordResetService');
+const TwoFactorService = require('./twoFactorService');
+const LoginProtectionService = require('./loginProtectionService');
+const PermissionService = require('./permissionService');
+const SchedulerService = require('./schedulerService');
 
 module.exports = {
     AuditLogService,
@@ -14,7 +40,33 @@ module.exports = {
     NotificationService,
     PricingService,
     InventoryService,
+    WarehouseService,
+    SupplierCatalogueService,
+    PurchaseOrderService,
+    ReplenishmentService,
+    BatchAllocationService,
     PayHereService,
-    PdfService
+    PdfService,
+    ShipmentService,
+    PaymentService,
+    ReturnService,
+    CreditNoteService,
+    StatementService,
+    ReceivablesService,
+    CreditControlService,
+    RecallService,
+    StockTakeService,
+    GoodsReceiptService,
+    SupplierReturnService,
+    PayablesService,
+    ExpiryService,
+    InventoryValuationService,
+    SalesAnalyticsService,
+    SessionService,
+    PasswordResetService,
+    TwoFactorService,
+    LoginProtectionService,
+    PermissionService,
+    SchedulerService
 };
 
@@ -1,6 +1,8 @@
-const { Product, Inventory, InventoryMovement, sequelize } = require('../models');
+const { Product, Inventory, InventoryMovement, StockReservation, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const AuditLogService = require('./auditLogService');
+const PricingService = require('./pricingService');
+const WarehouseService = require('./warehouseService');
 
 /**
  * Inventory Service - Handles all inventory operations
@@ -73,8 +75,9 @@ class InventoryService {
      * @param {string} referenceNumber - Order reference
      * @param {Object} req - Request object for audit
      * @param {Object} externalTransaction - Optional external transaction
+     * @param {Object} options - Reservation record: { orderId, orderItemId, expiresAt }
      */
-    static async reserveStock(productId, quantity, referenceNumber, req = null, externalTransaction = null) {
+    static async reserveStock(productId, quantity, referenceNumber, req = null, externalTransaction = null, options = {}) {
         const transaction = externalTransaction || await sequelize.transaction();
         const shouldCommit = !externalTransaction; // Only commit if we created the transaction
 
@@ -118,12 +121,23 @@ class InventoryService {
                 await inventory.save({ transaction });
             }
 
+            const reservation = await StockReservation.create({
+                productId,
+                orderId: options.orderId,
+                orderItemId: options.orderItemId,
+                referenceNumber,
+                quantity,
+                expiresAt: options.expiresAt || null,
+                createdBy: req?.user?.isDoctorAccount ? null : req?.user?.id
+            }, { transaction });
+
             if (shouldCommit) await transaction.commit();
 
             return {
                 success: true,
                 message: 'Stock reserved successfully',
-                reservedQuantity: quantity
+                reservedQuantity: quantity,
+                reservation
             };
         } catch (error) {
             if (shouldCommit) await transaction.rollback();
@@ -138,8 +152,9 @@ class InventoryService {
      * @param {string} referenceNumber - Order reference
      * @param {Object} req - Request object for audit
      * @param {Object} externalTransaction - Optional external transaction
+     * @param {Object} options - { status: 'released' | 'expired', reason }
      */
-    static async releaseReservedStock(productId, quantity, referenceNumber, req = null, externalTransaction = null) {
+    static async releaseReservedStock(productId, quantity, referenceNumber, req = null, externalTransaction = null, options = {}) {
         const transaction = externalTransaction || await sequelize.transaction();
         const shouldCommit = !externalTransaction;
 
@@ -165,11 +180,15 @@ class InventoryService {
                 quantityAfter: inventory?.quantity ?? 0,
                 referenceType: 'order',
                 referenceNumber,
-                reason: 'Reserved stock released',
+                reason: options.reason || 'Reserved stock released',
                 createdBy: req?.user?.id,
                 createdByName: req?.user?.userName
             }, { transaction });
 
+            await this.settleReservations(
+                productId, quantity, referenceNumber, options.status || 'released', options.reason, transaction
+            );
+
             if (shouldCommit) await transaction.commit();
 
             return { success: true, message: 'Reserved stock released' };
@@ -179,6 +198,76 @@ class InventoryService {
         }
     }
 
+    /**
+     * Close reservation records for a product and reference, oldest first.
+     * Partly settled records stay active with the rest still held.
+     * @param {number} productId - Product ID
+     * @param {number} quantity - Quantity released or shipped
+     * @param {string} referenceNumber - Order reference
+     * @param {string} status - released | expired | consumed
+     * @param {string} reason - Release reason
+     * @param {Object} transaction - Transaction
+     */
+    static async settleReservations(productId, quantity, referenceNumber, status, reason = null, transaction = null) {
+        const reservations = await StockReservation.findAll({
+            where: { productId, referenceNumber, status: 'active' },
+            order: [['createdAt', 'ASC']],
+            lock: true,
+            transaction
+        });
+
+        let remaining = quantity;
+        for (const reservation of reservations) {
+            if (remaining <= 0) break;
+
+            const settle = Math.min(remaining, reservation.quantity - reservation.releasedQuantity);
+            reservation.releasedQuantity += settle;
+            remaining -= settle;
+
+            if (reservation.releasedQuantity >= reservation.quantity) {
+                reservation.status = status;
+                reservation.releasedAt = new Date();
+                reservation.releaseReason = reason;
+            }
+            await reservation.save({ transaction });
+        }
+    }
+
+    /**
+     * Expiry for reservations of unpaid online orders
+     * @returns {Date}
+     */
+    static async getReservationExpiry() {
+        const timeoutMinutes = parseInt(await PricingService.getSettingValue('reservation_timeout_minutes', 30));
+        return new Date(Date.now() + timeoutMinutes * 60 * 1000);
+    }
+
+    /**
+     * Keep an order's reservations until fulfilment (payment received or order confirmed)
+     * @param {number} orderId - Order ID
+     * @param {Object} transaction - Optional transaction
+     */
+    static async holdReservations(orderId, transaction = null) {
+        const [updated] = await StockReservation.update({ expiresAt: null }, {
+            where: { orderId, status: 'active', expiresAt: { [Op.ne]: null } },
+            transaction
+        });
+        return updated;
+    }
+
+    /**
+     * Active reservations past their expiry
+     */
+    static async getExpiredReservations() {
+        return StockReservation.findAll({
+            where: {
+                status: 'active',
+                expiresAt: { [Op.lt]: new Date() }
+            },
+            order: [['expiresAt', 'ASC']]
+        });
+    }
+
     /**
      * Reduce stock after order completion
      * @param {number} productId - Product ID
@@ -188,8 +277,9 @@ class InventoryService {
      * @param {string} referenceNumber - Reference number
      * @param {Object} req - Request object for audit
      * @param {Object} externalTransaction - Optional external transaction
+     * @param {Object} options - { warehouseId } to draw from (default warehouse if omitted)
      */
-    static async reduceStock(productId, quantity, referenceType, referenceId, referenceNumber, req = null, externalTransaction = null) {
+    static async reduceStock(productId, quantity, referenceType, referenceId, referenceNumber, req = null, externalTransaction = null, options = {}) {
         const transaction = externalTransaction || await sequelize.transaction();
         const shouldCommit = !externalTransaction;
 
@@ -210,6 +300,7 @@ class InventoryService {
             // Update product stock
             product.stockQuantity = Math.max(0, newStock);
             await product.save({ transaction });
+            await WarehouseService.applyStockChange(product, product.stockQuantity - previousStock, options.warehouseId, transaction);
 
             // Create movement record
             await InventoryMovement.create({
@@ -273,7 +364,7 @@ class InventoryService {
      * @param {Object} externalTransaction - Optional external transaction
      */
     static async increaseStock(productId, quantity, type, referenceType, referenceId, referenceNumber, options = {}, externalTransaction = null) {
-        const { batchNumber, expiryDate, costPrice, reason, req } = options;
+        const { batchNumber, expiryDate, costPrice, reason, req, updateProductBatch = true, warehouseId } = options;
         const transaction = externalTransaction || await sequelize.transaction();
         const shouldCommit = !externalTransaction;
 
@@ -293,11 +384,14 @@ class InventoryService {
             // Update product stock
             product.stockQuantity = newStock;
 
-            // Update batch info if provided
-            if (batchNumber) product.batchNumber = batchNumber;
-            if (expiryDate) product.expiryDate = expiryDate;
+            // Update batch info if provided (returns go back into an older batch, so they skip this)
+            if (updateProductBatch) {
+                if (batchNumber) product.batchNumber = batchNumber;
+                if (expiryDate) product.expiryDate = expiryDate;
+            }
 
             await product.save({ transaction });
+            await WarehouseService.applyStockChange(product, quantity, warehouseId, transaction);
 
             // Create movement record
             await InventoryMovement.create({
@@ -366,8 +460,9 @@ class InventoryService {
      * @param {string} reason - Adjustment reason
      * @param {Object} req - Request object
      * @param {Object} externalTransaction - Optional external transaction
+     * @param {Object} options - { warehouseId } the adjustment applies to (default warehouse if omitted)
      */
-    static async adjustStock(productId, newQuantity, reason, req = null, externalTransaction = null) {
+    static async adjustStock(productId, newQuantity, reason, req = null, externalTransaction = null, options = {}) {
         const transaction = externalTransaction || await sequelize.transaction();
         const shouldCommit = !externalTransaction;
 
@@ -387,6 +482,7 @@ class InventoryService {
 
             product.stockQuantity = newQuantity;
             await product.save({ transaction });
+            await WarehouseService.applyStockChange(product, quantityChange, options.warehouseId, transaction);
 
             await InventoryMovement.create({
                 productId,
@@ -442,6 +538,27 @@ class InventoryService {
         }
     }
 
+    /**
+     * Bring the detailed inventory record in line with the product total after a direct stock change
+     * @param {Object} product - Product, already saved with its new stockQuantity
+     * @param {Object} req - Request object (updatedBy)
+     * @param {Object} transaction - Transaction
+     */
+    static async syncInventoryRecord(product, req = null, transaction = null) {
+        const inventory = await Inventory.findOne({
+            where: { productId: product.id },
+            lock: true,
+            transaction
+        });
+
+        if (inventory) {
+            inventory.quantity = product.stockQuantity;
+            inventory.status = this.determineStockStatus(product.stockQuantity, product.lowStockThreshold);
+            inventory.updatedBy = req?.user?.id;
+            await inventory.save({ transaction });
+        }
+    }
+
     /**
      * Determine stock status based on quantity
      */
@@ -0,0 +1,427 @@
+const { Product, InventoryMovement, Category, Agency, Brand } = require('../models');
+const { Op, fn, col } = require('sequelize');
+
+/**
+ * Inventory Valuation Service - Stock value as of a date and cost of goods sold,
+ * rebuilt from the inventory movement log under FIFO or weighted-average cost
+ */
+class InventoryValuationService {
+    static METHODS = ['fifo', 'weighted_average'];
+
+    // Movements that leave the on-hand quantity unchanged at product level. A transfer's
+    // dispatch and receipt net to zero; units short on receipt are a separate transfer_loss.
+    static NON_STOCK_TYPES = ['reserved', 'unreserved', 'transfer'];
+
+    // Products replayed per movement query
+    static CHUNK_SIZE = 200;
+
+    /**
+     * Parse a YYYY-MM-DD (or ISO) date to the start or end of that day
+     */
+    static toDate(value, endOfDay = false) {
+        if (!value) return new Date();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`);
+        }
+        return new Date(value);
+    }
+
+    static round(value) {
+        return parseFloat((value || 0).toFixed(2));
+    }
+
+    /**
+     * Running cost ledger for one product.
+     * FIFO keeps cost layers in receipt order; weighted average keeps a running quantity and value.
+     */
+    static createLedger(method, fallbackCost) {
+        let layers = [];
+        let quantity = 0;
+        let value = 0;
+        let lastCost = fallbackCost;
+
+        const ledger = {
+            get quantity() {
+                return quantity;
+            },
+
+            get value() {
+                return method === 'fifo'
+                    ? layers.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0)
+                    : value;
+            },
+
+            // Cost used for inbound stock with no cost of its own (customer returns, count gains)
+            currentUnitCost() {
+                if (method === 'fifo') return layers.length ? layers[0].unitCost : lastCost;
+                return quantity > 0 ? value / quantity : lastCost;
+            },
+
+            receive(qty, unitCost) {
+                quantity += qty;
+                lastCost = unitCost;
+                if (method === 'fifo') {
+                    layers.push({ quantity: qty, unitCost });
+                } else {
+                    value += qty * unitCost;
+                }
+            },
+
+            // Returns the cost of the units taken out
+            issue(qty) {
+                let cost = 0;
+
+                if (method === 'fifo') {
+                    let remaining = qty;
+                    while (remaining > 0 && layers.length) {
+                        const layer = layers[0];
+                        const taken = Math.min(layer.quantity, remaining);
+                        cost += taken * layer.unitCost;
+                        lastCost = layer.unitCost;
+                        layer.quantity -= taken;
+                        remaining -= taken;
+                        if (layer.quantity === 0) layers.shift();
+                    }
+                    // Issued beyond recorded layers: cost at the last known price
+                    cost += remaining * lastCost;
+                } else {
+                    const unitCost = quantity > 0 ? value / quantity : lastCost;
+                    cost = qty * unitCost;
+                    value -= cost;
+                }
+
+                quantity -= qty;
+                if (quantity <= 0) {
+                    quantity = Math.max(quantity, 0);
+                    value = 0;
+                    layers = [];
+                }
+                return cost;
+            }
+        };
+
+        return ledger;
+    }
+
+    /**
+     * Replay a product's movements through a cost ledger
+     * @param {Object} product - Product with costPrice / stockQuantity
+     * @param {number} openingQuantity - On-hand quantity before the first movement
+     * @param {Array} movements - Movements in date order, up to the report date
+     * @param {string} method - fifo | weighted_average
+     * @param {Date} periodStart - Collect period flows from this date (optional)
+     * @returns {Object} - { quantity, value, opening, period }
+     */
+    static replayProduct(product, openingQuantity, movements, method, periodStart = null) {
+        const ledger = this.createLedger(method, parseFloat(product.costPrice) || 0);
+        if (openingQuantity > 0) ledger.receive(openingQuantity, parseFloat(product.costPrice) || 0);
+
+        const period = {
+            purchasedQuantity: 0,
+            purchasedValue: 0,
+            soldQuantity: 0,
+            cogs: 0,
+            returnedQuantity: 0,
+            returnedValue: 0,
+            otherInQuantity: 0,
+            otherInValue: 0,
+            writeOffs: {}
+        };
+        let opening = null;
+
+        for (const movement of movements) {
+            const inPeriod = periodStart && new Date(movement.createdAt) >= periodStart;
+            if (inPeriod && !opening) opening = { quantity: ledger.quantity, value: ledger.value };
+
+            // quantityAfter - quantityBefore is what actually moved (stock is floored at zero)
+            const delta = movement.quantityAfter - movement.quantityBefore;
+            if (!delta) continue;
+
+            if (delta > 0) {
+                const unitCost = parseFloat(movement.unitCost) > 0
+                    ? parseFloat(movement.unitCost)
+                    : ledger.currentUnitCost();
+                ledger.receive(delta, unitCost);
+
+                if (!inPeriod) continue;
+                if (movement.type === 'purchase') {
+                    period.purchasedQuantity += delta;
+                    period.purchasedValue += delta * unitCost;
+                } else if (movement.type === 'return') {
+                    period.returnedQuantity += delta;
+                    period.returnedValue += delta * unitCost;
+                } else {
+                    period.otherInQuantity += delta;
+                    period.otherInValue += delta * unitCost;
+                }
+            } else {
+                const cost = ledger.issue(-delta);
+
+                if (!inPeriod) continue;
+                if (movement.type === 'sale') {
+                    period.soldQuantity += -delta;
+                    period.cogs += cost;
+                } else {
+                    const writeOff = period.writeOffs[movement.type] || (period.writeOffs[movement.type] = { quantity: 0, value: 0 });
+                    writeOff.quantity += -delta;
+                    writeOff.value += cost;
+                }
+            }
+        }
+
+        return {
+            quantity: ledger.quantity,
+            value: ledger.value,
+            opening: opening || { quantity: ledger.quantity, value: ledger.value },
+            period
+        };
+    }
+
+    /**
+     * Load inventory-tracked products matching the report filters
+     */
+    static async loadProducts({ categoryId, agencyId, brandId } = {}) {
+        const where = { trackInventory: true };
+        if (categoryId) where.categoryId = categoryId;
+        if (agencyId) where.agencyId = agencyId;
+        if (brandId) where.brandId = brandId;
+
+        return Product.findAll({
+            where,
+            attributes: ['id', 'name', 'sku', 'brand', 'costPrice', 'stockQuantity', 'categoryId', 'agencyId', 'brandId', 'createdAt'],
+            include: [
+                { model: Category, as: 'category', attributes: ['id', 'name'] },
+                { model: Agency, as: 'agency', attributes: ['id', 'name'] },
+                { model: Brand, as: 'brandEntity', attributes: ['id', 'name'] }
+            ],
+            order: [['name', 'ASC']]
+        });
+    }
+
+    /**
+     * Replay every product up to a date, a chunk of products at a time
+     * @returns {Array} - [{ product, ...replayProduct result }]
+     */
+    static async replayProducts(products, until, method, periodStart = null) {
+        const results = [];
+
+        for (let i = 0; i < products.length; i += this.CHUNK_SIZE) {
+            const chunk = products.slice(i, i + this.CHUNK_SIZE);
+            const productIds = chunk.map(p => p.id);
+            const stockTypes = { [Op.notIn]: this.NON_STOCK_TYPES };
+
+            // The earliest movement's quantityBefore is the stock held before the log began
+            const firstIds = await InventoryMovement.findAll({
+                attributes: [[fn('MIN', col('id')), 'firstId']],
+                where: { productId: productIds, type: stockTypes },
+                group: ['productId'],
+                raw: true
+            });
+            const firstMovements = await InventoryMovement.findAll({
+                attributes: ['productId', 'quantityBefore'],
+                where: { id: firstIds.map(row => row.firstId) },
+                raw: true
+            });
+            const openingByProduct = new Map(firstMovements.map(m => [m.productId, m.quantityBefore]));
+
+            const movements = await InventoryMovement.findAll({
+                attributes: ['id', 'productId', 'type', 'quantityBefore', 'quantityAfter', 'unitCost', 'createdAt'],
+                where: {
+                    productId: productIds,
+                    type: stockTypes,
+                    createdAt: { [Op.lte]: until }
+                },
+                order: [['productId', 'ASC'], ['createdAt', 'ASC'], ['id', 'ASC']],
+                raw: true
+            });
+
+            const byProduct = new Map();
+            for (const movement of movements) {
+                if (!byProduct.has(movement.productId)) byProduct.set(movement.productId, []);
+                byProduct.get(movement.productId).push(movement);
+            }
+
+            for (const product of chunk) {
+                if (product.createdAt > until) continue;
+
+                // No movements ever: the current stock is all there is to value
+                const openingQuantity = openingByProduct.has(product.id)
+                    ? openingByProduct.get(product.id)
+                    : product.stockQuantity;
+
+                results.push({
+                    product,
+                    ...this.replayProduct(product, openingQuantity, byProduct.get(product.id) || [], method, periodStart)
+                });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Group report lines by category, agency and brand
+     * @param {Array} lines - Product report lines
+     * @param {Array} fields - Numeric fields to total
+     */
+    static groupLines(lines, fields) {
+        const dimensions = {
+            byCategory: line => [line.categoryId, line.categoryName || 'Uncategorised'],
+            byAgency: line => [line.agencyId, line.agencyName || 'No agency'],
+            byBrand: line => [line.brandId, line.brandName || 'No brand']
+        };
+
+        const groups = {};
+        for (const [key, keyFn] of Object.entries(dimensions)) {
+            const rows = new Map();
+            for (const line of lines) {
+                const [id, name] = keyFn(line);
+                const rowKey = id ?? name;
+                if (!rows.has(rowKey)) {
+                    rows.set(rowKey, { id: id ?? null, name, productCount: 0, ...fields.reduce((acc, f) => ({ ...acc, [f]: 0 }), {}) });
+                }
+                const row = rows.get(rowKey);
+                row.productCount++;
+                fields.forEach(f => { row[f] += line[f]; });
+            }
+
+            groups[key] = [...rows.values()]
+                .map(row => {
+                    fields.forEach(f => { row[f] = this.round(row[f]); });
+                    return row;
+                })
+                .sort((a, b) => b[fields[fields.length - 1]] - a[fields[fields.length - 1]]);
+        }
+        return groups;
+    }
+
+    /**
+     * Common product columns of a report line
+     */
+    static describeProduct(product) {
+        return {
+            productId: product.id,
+            sku: product.sku,
+            name: product.name,
+            categoryId: product.categoryId,
+            categoryName: product.category?.name,
+            agencyId: product.agencyId,
+            agencyName: product.agency?.name,
+            brandId: product.brandId,
+            brandName: product.brandEntity?.name || product.brand
+        };
+    }
+
+    /**
+     * Stock valuation as of a date
+     * @param {Object} options - { asOf, method, categoryId, agencyId, brandId }
+     * @returns {Object} - { asOf, method, totals, byCategory, byAgency, byBrand, products }
+     */
+    static async getValuation({ asOf, method = 'fifo', ...filters } = {}) {
+        const until = this.toDate(asOf, true);
+        const products = await this.loadProducts(filters);
+        const replayed = await this.replayProducts(products, until, method);
+
+        const lines = replayed
+            .filter(r => r.quantity > 0)
+            .map(r => ({
+                ...this.describeProduct(r.product),
+                quantity: r.quantity,
+                unitCost: this.round(r.value / r.quantity),
+                value: r.value
+            }));
+
+        const totals = lines.reduce((acc, line) => ({
+            quantity: acc.quantity + line.quantity,
+            value: acc.value + line.value
+        }), { quantity: 0, value: 0 });
+
+        return {
+            asOf: until,
+            method,
+            totals: { productCount: lines.length, quantity: totals.quantity, value: this.round(totals.value) },
+            ...this.groupLines(lines, ['quantity', 'value']),
+            products: lines
+                .map(line => ({ ...line, value: this.round(line.value) }))
+                .sort((a, b) => b.value - a.value)
+        };
+    }
+
+    /**
+     * Cost of goods sold for a period, with the stock reconciliation behind it:
+     * opening value + purchases + sales returns + other receipts - COGS - write-offs = closing value
+     * @param {Object} options - { startDate, endDate, method, categoryId, agencyId, brandId }
+     * @returns {Object} - { startDate, endDate, method, totals, writeOffs, byCategory, byAgency, byBrand, products }
+     */
+    static async getCostOfGoodsSold({ startDate, endDate, method = 'fifo', ...filters } = {}) {
+        const periodStart = this.toDate(startDate);
+        const until = this.toDate(endDate, true);
+        const products = await this.loadProducts(filters);
+        const replayed = await this.replayProducts(products, until, method, periodStart);
+
+        const writeOffs = {};
+        const lines = [];
+
+        for (const r of replayed) {
+            const p = r.period;
+            const writeOffValue = Object.values(p.writeOffs).reduce((sum, w) => sum + w.value, 0);
+            const hasActivity = r.opening.quantity || r.quantity || p.purchasedQuantity || p.soldQuantity ||
+                p.returnedQuantity || p.otherInQuantity || writeOffValue;
+            if (!hasActivity) continue;
+
+            for (const [type, w] of Object.entries(p.writeOffs)) {
+                const total = writeOffs[type] || (writeOffs[type] = { quantity: 0, value: 0 });
+                total.quantity += w.quantity;
+                total.value += w.value;
+            }
+
+            lines.push({
+                ...this.describeProduct(r.product),
+                openingQuantity: r.opening.quantity,
+                openingValue: r.opening.value,
+                purchasedQuantity: p.purchasedQuantity,
+                purchases: p.purchasedValue,
+                returnedQuantity: p.returnedQuantity,
+                salesReturns: p.returnedValue,
+                otherReceipts: p.otherInValue,
+                soldQuantity: p.soldQuantity,
+                grossCogs: p.cogs,
+                writeOffs: writeOffValue,
+                closingQuantity: r.quantity,
+                closingValue: r.value,
+                // Returned goods go back into stock, so they reverse part of the period's COGS
+                cogs: p.cogs - p.returnedValue
+            });
+        }
+
+        const fields = ['openingValue', 'purchases', 'salesReturns', 'otherReceipts', 'grossCogs', 'writeOffs', 'closingValue', 'cogs'];
+        const totals = lines.reduce((acc, line) => {
+            fields.forEach(f => { acc[f] += line[f]; });
+            acc.soldQuantity += line.soldQuantity;
+            acc.returnedQuantity += line.returnedQuantity;
+            return acc;
+        }, fields.reduce((acc, f) => ({ ...acc, [f]: 0 }), { soldQuantity: 0, returnedQuantity: 0 }));
+        fields.forEach(f => { totals[f] = this.round(totals[f]); });
+
+        return {
+            startDate: periodStart,
+            endDate: until,
+            method,
+            totals,
+            writeOffs: Object.entries(writeOffs).map(([type, w]) => ({
+                type,
+                quantity: w.quantity,
+                value: this.round(w.value)
+            })),
+            ...this.groupLines(lines, ['grossCogs', 'salesReturns', 'writeOffs', 'cogs']),
+            products: lines
+                .map(line => {
+                    fields.forEach(f => { line[f] = this.round(line[f]); });
+                    return line;
+                })
+                .sort((a, b) => b.cogs - a.cogs)
+        };
+    }
+}
+
+module.exports = InventoryValuationService;
@@ -0,0 +1,410 @@
+const { LoginThrottle, User, Doctor, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const AuditLogService = require('./auditLogService');
+const NotificationService = require('./notificationService');
+const PricingService = require('./pricingService');
+
+/**
+ * Login Protection Service - Per-account and per-IP failed-login tracking with
+ * progressive delays, temporary lockouts and admin unlock
+ */
+class LoginProtectionService {
+    static MAX_DELAY_SECONDS = 30;
+    static MAX_LOCK_MINUTES = 24 * 60;
+
+    static getAccountType(isDoctor) {
+        return isDoctor ? 'doctor' : 'user';
+    }
+
+    static async getPolicy() {
+        const [maxAccountFailures, maxIpFailures, lockoutMinutes] = await Promise.all([
+            PricingService.getSettingValue('login_max_failed_attempts', '5'),
+            PricingService.getSettingValue('login_ip_max_failed_attempts', '20'),
+            PricingService.getSettingValue('login_lockout_minutes', '15')
+        ]);
+
+        return {
+            maxAccountFailures: parseInt(maxAccountFailures, 10) || 5,
+            maxIpFailures: parseInt(maxIpFailures, 10) || 20,
+            lockoutMinutes: parseInt(lockoutMinutes, 10) || 15
+        };
+    }
+
+    /**
+     * Wait imposed after the nth consecutive failure: 1s, 2s, 4s ... capped at 30s
+     */
+    static getDelaySeconds(failedCount) {
+        if (failedCount < 2) return 0;
+        return Math.min(2 ** (failedCount - 2), this.MAX_DELAY_SECONDS);
+    }
+
+    /**
+     * Lock time doubles with each lockout since the last successful login
+     */
+    static getLockMinutes(policy, lockoutCount) {
+        return Math.min(policy.lockoutMinutes * 2 ** Math.max(lockoutCount - 1, 0), this.MAX_LOCK_MINUTES);
+    }
+
+    static getThrottleKey(scope, { isDoctor, accountId, ipAddress }) {
+        return scope === 'ip'
+            ? { scope, ipAddress }
+            : { scope, accountType: this.getAccountType(isDoctor), accountId };
+    }
+
+    static async findThrottle(scope, keys) {
+        return LoginThrottle.findOne({ where: this.getThrottleKey(scope, keys) });
+    }
+
+    /**
+     * Create the account and IP throttle rows an attempt may touch. Done before any row is
+     * locked so parallel first attempts settle on one row through the unique keys without
+     * a second pooled connection being taken while a lock is held.
+     */
+    static async ensureThrottles(req, account, isDoctor) {
+        const keys = [];
+        if (account) keys.push(this.getThrottleKey('account', { isDoctor, accountId: account.id }));
+        if (req.ip) keys.push(this.getThrottleKey('ip', { ipAddress: req.ip }));
+
+        for (const where of keys) {
+            await LoginThrottle.findOrCreate({ where, defaults: where });
+        }
+    }
+
+    /**
+     * The throttle row locked FOR UPDATE; ensureThrottles must have created it
+     */
+    static async lockThrottle(scope, keys, transaction) {
+        return LoginThrottle.findOne({ where: this.getThrottleKey(scope, keys), transaction, lock: transaction.LOCK.UPDATE });
+    }
+
+    static isLocked(throttle) {
+        return !!throttle?.lockedUntil && throttle.lockedUntil > new Date();
+    }
+
+    static secondsUntil(date) {
+        return Math.max(Math.ceil((new Date(date) - Date.now()) / 1000), 1);
+    }
+
+    /**
+     * Whether this IP may attempt a login at all. Call before looking the account up.
+     * @returns {Object} - { allowed } or { allowed: false, retryAfter, lockedUntil, message }
+     */
+    static async checkIp(req) {
+        // req.ip honours the trusted proxy setting, unlike a raw X-Forwarded-For the client can set
+        const ipAddress = req.ip;
+        if (!ipAddress) return { allowed: true };
+
+        const throttle = await this.findThrottle('ip', { ipAddress });
+        if (this.isLocked(throttle)) {
+            return {
+                allowed: false,
+                retryAfter: this.secondsUntil(throttle.lockedUntil),
+                lockedUntil: throttle.lockedUntil,
+                message: 'Too many failed login attempts from this network. Please try again later.'
+            };
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Whether an account may attempt a login now (lockout or progressive delay).
+     * A quick refusal only; use guardAttempt around the credential check itself.
+     */
+    static async checkAccount(isDoctor, accountId) {
+        return this.checkThrottle(await this.findThrottle('account', { isDoctor, accountId }));
+    }
+
+    static checkThrottle(throttle) {
+        if (!throttle) return { allowed: true };
+
+        if (this.isLocked(throttle)) {
+            return {
+                allowed: false,
+                locked: true,
+                retryAfter: this.secondsUntil(throttle.lockedUntil),
+                lockedUntil: throttle.lockedUntil,
+                message: 'Account temporarily locked after too many failed login attempts. Please try again later or contact an administrator.'
+            };
+        }
+
+        const delay = this.getDelaySeconds(throttle.failedCount);
+        if (delay && throttle.lastFailedAt) {
+            const nextAttemptAt = new Date(throttle.lastFailedAt.getTime() + delay * 1000);
+            if (nextAttemptAt > new Date()) {
+                return {
+                    allowed: false,
+                    retryAfter: this.secondsUntil(nextAttemptAt),
+                    message: `Too many failed attempts. Please wait ${this.secondsUntil(nextAttemptAt)} second(s) before trying again.`
+                };
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Run a credential check with the account's throttle row locked, so parallel attempts
+     * queue behind each other instead of all passing the lockout and delay checks at once.
+     * Call before checking the password so blocked attempts cannot guess.
+     * @param {Object} req
+     * @param {Object} data - { account, isDoctor, identifier, reason } as for recordFailure
+     * @param {Function} verify - async () => boolean, e.g. the bcrypt comparison
+     * @returns {Object} - a checkAccount refusal, or { allowed: true, valid, failure }
+     */
+    static async guardAttempt(req, { account, isDoctor = false, identifier, reason }, verify) {
+        // Everything that needs its own connection happens before the lock is taken
+        const policy = await this.getPolicy();
+        await this.ensureThrottles(req, account, isDoctor);
+
+        const transaction = await sequelize.transaction();
+
+        try {
+            const throttle = await this.lockThrottle('account', { isDoctor, accountId: account.id }, transaction);
+            const check = this.checkThrottle(throttle);
+            if (!check.allowed) {
+                await transaction.commit();
+                return check;
+            }
+
+            const valid = await verify();
+            let failure = null;
+            if (valid) {
+                await this.recordSuccess(isDoctor, account.id, transaction);
+            } else {
+                failure = await this.addFailures(req, { account, isDoctor, identifier, reason }, policy, transaction);
+            }
+
+            await transaction.commit();
+            return { allowed: true, valid, failure };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Count a failure against a throttle row, locking it once the limit is reached
+     * @returns {Object} - { throttle, lockedNow }
+     */
+    static async addFailure(scope, keys, { identifier }, maxFailures, policy, transaction) {
+        const throttle = await this.lockThrottle(scope, keys, transaction);
+
+        const now = new Date();
+        const windowMs = policy.lockoutMinutes * 60 * 1000;
+
+        // Failures older than the window, or from before an expired lock, start a fresh count
+        const stale = !throttle.lastFailedAt || now - throttle.lastFailedAt > windowMs;
+        const lockExpired = throttle.lockedUntil && throttle.lockedUntil <= now;
+        if (stale || lockExpired) {
+            throttle.failedCount = 0;
+            throttle.lockedUntil = null;
+        }
+
+        throttle.failedCount += 1;
+        throttle.lastFailedAt = now;
+        throttle.identifier = identifier ? String(identifier).slice(0, 100) : throttle.identifier;
+
+        let lockedNow = false;
+        if (throttle.failedCount >= maxFailures) {
+            throttle.lockoutCount += 1;
+            throttle.lockedUntil = new Date(now.getTime() + this.getLockMinutes(policy, throttle.lockoutCount) * 60 * 1000);
+            throttle.unlockedAt = null;
+            throttle.unlockedBy = null;
+            lockedNow = true;
+        }
+
+        await throttle.save({ transaction });
+        return { throttle, lockedNow };
+    }
+
+    /**
+     * Record a failed login (unknown account, wrong password or wrong 2FA code)
+     * @param {Object} req
+     * @param {Object} data - { account, isDoctor, identifier, reason }
+     * @returns {Object} - { locked, lockedUntil, retryAfter }
+     */
+    static async recordFailure(req, { account = null, isDoctor = false, identifier, reason = 'invalid_credentials' }) {
+        const policy = await this.getPolicy();
+        await this.ensureThrottles(req, account, isDoctor);
+
+        const transaction = await sequelize.transaction();
+        try {
+            const result = await this.addFailures(req, { account, isDoctor, identifier, reason }, policy, transaction);
+            await transaction.commit();
+            return result;
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Count a failed login against the account and IP rows in the caller's transaction.
+     * The audit entry and lockout alerts run after commit, so no other connection is
+     * needed while the rows are locked.
+     * @returns {Object} - { locked, lockedUntil, retryAfter }
+     */
+    static async addFailures(req, { account = null, isDoctor = false, identifier, reason = 'invalid_credentials' }, policy, transaction) {
+        const ipAddress = req.ip;
+        const details = { identifier };
+        let accountThrottle = null;
+        let ip = null;
+
+        // Account row before IP row, the order guardAttempt already holds the account lock in
+        if (account) {
+            accountThrottle = await this.addFailure(
+                'account', { isDoctor, accountId: account.id }, details, policy.maxAccountFailures, policy, transaction
+            );
+        }
+        if (ipAddress) {
+            ip = await this.addFailure('ip', { ipAddress }, details, policy.maxIpFailures, policy, transaction);
+        }
+
+        transaction.afterCommit(async () => {
+            try {
+                await AuditLogService.log({
+                    userId: account && !isDoctor ? account.id : null,
+                    userName: identifier,
+                    action: 'LOGIN',
+                    module: 'auth',
+                    entityType: account ? (isDoctor ? 'Doctor' : 'User') : 'User',
+                    entityId: account ? account.id : null,
+                    description: `Failed login attempt for ${identifier}`,
+                    metadata: { reason },
+                    riskLevel: 'MEDIUM',
+                    ipAddress,
+                    userAgent: req.headers['user-agent']
+                });
+
+                if (ip?.lockedNow) await this.onLockout(req, ip.throttle, `IP address ${ipAddress}`, ipAddress);
+                if (accountThrottle?.lockedNow) {
+                    await this.onLockout(req, accountThrottle.throttle, `${isDoctor ? 'Doctor' : 'User'} ${account.userName || account.phone}`, ipAddress, account, isDoctor);
+                }
+            } catch (error) {
+                console.error('Post-commit error recording failed login:', error.message);
+            }
+        });
+
+        if (!accountThrottle) return { locked: false };
+
+        const { throttle, lockedNow } = accountThrottle;
+        return lockedNow
+            ? { locked: true, lockedUntil: throttle.lockedUntil, retryAfter: this.secondsUntil(throttle.lockedUntil) }
+            : { locked: false, retryAfter: this.getDelaySeconds(throttle.failedCount) };
+    }
+
+    /**
+     * Clear the account's failure count after a successful login
+     */
+    static async recordSuccess(isDoctor, accountId, transaction = null) {
+        await LoginThrottle.update(
+            { failedCount: 0, lockoutCount: 0, lockedUntil: null, lastFailedAt: null },
+            { where: this.getThrottleKey('account', { isDoctor, accountId }), transaction }
+        );
+    }
+
+    /**
+     * HIGH-risk audit entry and admin alert for a new lockout
+     */
+    static async onLockout(req, throttle, target, ipAddress, account = null, isDoctor = false) {
+        await AuditLogService.log({
+            userId: account && !isDoctor ? account.id : null,
+            userName: throttle.identifier,
+            action: 'OTHER',
+            module: 'auth',
+            entityType: throttle.scope === 'ip' ? 'LoginThrottle' : (isDoctor ? 'Doctor' : 'User'),
+            entityId: throttle.scope === 'ip' ? throttle.id : account.id,
+            description: `${target} locked out until ${throttle.lockedUntil.toISOString()} after ${throttle.failedCount} failed login attempts`,
+            metadata: {
+                throttleId: throttle.id,
+                scope: throttle.scope,
+                failedCount: throttle.failedCount,
+                lockoutCount: throttle.lockoutCount,
+                lockedUntil: throttle.lockedUntil
+            },
+            riskLevel: 'HIGH',
+            ipAddress: AuditLogService.getIpAddress(req),
+            userAgent: req.headers['user-agent']
+        });
+
+        try {
+            await NotificationService.sendLoginLockoutAlertToAdmins(throttle, target, ipAddress);
+        } catch (error) {
+            console.error('Failed to send lockout alert:', error.message);
+        }
+    }
+
+    /**
+     * Current lockouts, with the locked account where there is one
+     */
+    static async listLockouts({ includeExpired = false } = {}) {
+        const where = includeExpired
+            ? { lockedUntil: { [Op.ne]: null } }
+            : { lockedUntil: { [Op.gt]: new Date() } };
+
+        const throttles = await LoginThrottle.findAll({ where, order: [['lockedUntil', 'DESC']] });
+
+        const userIds = throttles.filter(t => t.accountType === 'user').map(t => t.accountId);
+        const doctorIds = throttles.filter(t => t.accountType === 'doctor').map(t => t.accountId);
+        const attributes = ['id', 'firstName', 'lastName', 'userName', 'phone'];
+
+        const [users, doctors] = await Promise.all([
+            userIds.length ? User.findAll({ where: { id: userIds }, attributes }) : [],
+            doctorIds.length ? Doctor.findAll({ where: { id: doctorIds }, attributes }) : []
+        ]);
+        const accounts = {
+            user: new Map(users.map(u => [u.id, u])),
+            doctor: new Map(doctors.map(d => [d.id, d]))
+        };
+
+        return throttles.map(throttle => ({
+            ...throttle.toJSON(),
+            isLocked: this.isLocked(throttle),
+            account: throttle.scope === 'account' ? accounts[throttle.accountType].get(throttle.accountId) || null : null
+        }));
+    }
+
+    /**
+     * Lift a lockout and clear its failure count
+     * @returns {Object} - { success, data } or { success: false, message }
+     */
+    static async unlock(throttleId, req) {
+        const throttle = await LoginThrottle.findByPk(throttleId);
+        if (!throttle) {
+            return { success: false, message: 'Lockout not found' };
+        }
+
+        const previous = { lockedUntil: throttle.lockedUntil, failedCount: throttle.failedCount };
+
+        throttle.failedCount = 0;
+        throttle.lockoutCount = 0;
+        throttle.lockedUntil = null;
+        throttle.lastFailedAt = null;
+        throttle.unlockedAt = new Date();
+        throttle.unlockedBy = req.user.id;
+        await throttle.save();
+
+        const target = throttle.scope === 'ip'
+            ? `IP address ${throttle.ipAddress}`
+            : `${throttle.accountType === 'doctor' ? 'Doctor' : 'User'} #${throttle.accountId}`;
+
+        await AuditLogService.log({
+            userId: req.user.id,
+            userName: req.user.userName,
+            action: 'UPDATE',
+            module: 'auth',
+            entityType: 'LoginThrottle',
+            entityId: throttle.id,
+            description: `Login lockout lifted for ${target}`,
+            previousData: previous,
+            newData: { lockedUntil: null, failedCount: 0 },
+            riskLevel: 'MEDIUM',
+            ipAddress: AuditLogService.getIpAddress(req),
+            userAgent: req.headers['user-agent']
+        });
+
+        return { success: true, data: throttle };
+    }
+}
+
+module.exports = LoginProtectionService;
@@ -230,6 +230,114 @@ class NotificationService {
         });
     }
 
+    /**
+     * Send shipment status notification (partial shipments)
+     */
+    static async sendShipmentStatusUpdate(shipment, order, user) {
+        const placeholders = {
+            customer_name: user.firstName,
+            order_number: order.orderNumber,
+            shipment_number: shipment.shipmentNumber,
+            shipment_status: this.formatStatus(shipment.status),
+            item_summary: (shipment.items || [])
+                .map(item => `${item.productName} x ${item.quantity}`)
+                .join(', '),
+            tracking_number: shipment.trackingNumber || 'N/A',
+            tracking_url: shipment.trackingUrl || '',
+            expected_delivery: shipment.expectedDeliveryDate
+                ? new Date(shipment.expectedDeliveryDate).toLocaleDateString()
+                : 'N/A'
+        };
+
+        return this.send({
+            user,
+            emailTemplate: 'shipment_status_update',
+            smsTemplate: 'shipment_status_sms',
+            placeholders,
+            referenceType: 'shipment',
+            referenceId: shipment.id
+        });
+    }
+
+    /**
+     * Send return request (RMA) status notification
+     */
+    static async sendReturnStatusUpdate(returnRequest, order, user) {
+        const placeholders = {
+            customer_name: user.firstName,
+            return_number: returnRequest.returnNumber,
+            order_number: order.orderNumber,
+            return_status: this.formatStatus(returnRequest.status),
+            resolution: this.formatStatus(returnRequest.resolution),
+            credit_amount: parseFloat(returnRequest.creditAmount || 0).toFixed(2),
+            notes: returnRequest.rejectionReason || returnRequest.adminNotes || ''
+        };
+
+        return this.send({
+            user,
+            emailTemplate: 'return_status_update',
+            smsTemplate: 'return_status_sms',
+            placeholders,
+            referenceType: 'return',
+            referenceId: returnRequest.id
+        });
+    }
+
+    /**
+     * Send credit / debit note with PDF attached
+     */
+    static async sendCreditNoteIssued(note, user) {
+        const placeholders = {
+            customer_name: `${user.firstName} ${user.lastName || ''}`.trim(),
+            note_type: note.type === 'debit' ? 'Debit Note' : 'Credit Note',
+            note_number: note.noteNumber,
+            note_amount: parseFloat(note.amount).toFixed(2),
+            reason: note.reason,
+            order_number: note.order?.orderNumber || 'N/A'
+        };
+
+        let attachments = [];
+        try {
+            const pdfBuffer = await PdfService.generateCreditNoteBuffer(note);
+            attachments.push({
+                filename: `${note.noteNumber}.pdf`,
+                content: pdfBuffer
+            });
+        } catch (pdfErr) {
+            console.error('Failed to generate PDF for email:', pdfErr.message);
+        }
+
+        return this.send({
+            user,
+            emailTemplate: 'credit_note_issued',
+            placeholders,
+            referenceType: 'credit_note',
+            referenceId: note.id,
+            channels: ['email'],
+            attachments
+        });
+    }
+
+    /**
+     * Send alert to admins for new return request
+     */
+    static async sendReturnRequestAlertToAdmins(returnRequest, order, user) {
+        const placeholders = {
+            customer_name: `${user.firstName} ${user.lastName || ''}`.trim(),
+            return_number: returnRequest.returnNumber,
+            order_number: order.orderNumber,
+            requested_amount: parseFloat(returnRequest.requestedAmount).toFixed(2),
+            view_return_url: `${process.env.ADMIN_FRONTEND_URL || 'http://localhost:3000/admin'}/returns/${returnRequest.id}`
+        };
+
+        return this.sendAdminAlert({
+            emailTemplate: 'admin_return_request_alert',
+            placeholders,
+            referenceType: 'return',
+            referenceId: returnRequest.id
+        });
+    }
+
     /**
      * Send welcome notification for new doctor registration
      */
@@ -316,22 +424,74 @@ class NotificationService {
         return results;
     }
 
+    /**
+     * Send recall notice to a customer who received a recalled batch
+     * @param {Object} recall - BatchRecall with product
+     * @param {Object} recipient - BatchRecallRecipient with order
+     * @param {Object} user - User or Doctor to notify
+     */
+    static async sendBatchRecallNotice(recall, recipient, user) {
+        const placeholders = {
+            customer_name: `${user.firstName} ${user.lastName || ''}`.trim(),
+            order_number: recipient.order?.orderNumber || 'N/A',
+            product_name: recall.product?.name || `Product #${recall.productId}`,
+            batch_number: recall.batchNumber,
+            expiry_date: recall.expiryDate ? new Date(recall.expiryDate).toLocaleDateString() : 'N/A',
+            quantity: recipient.quantity,
+            recall_number: recall.recallNumber,
+            reason: recall.reason,
+            instructions: recall.instructions || '',
+            acknowledge_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/account/recalls/${recipient.id}`
+        };
+
+        return this.send({
+            user,
+            emailTemplate: 'batch_recall_notice',
+            smsTemplate: 'batch_recall_notice_sms',
+            placeholders,
+            referenceType: 'batch_recall',
+            referenceId: recall.id
+        });
+    }
+
+    /**
+     * Send expiring batch alert (admin notification)
+     * @param {Array} batches - ProductBatch rows with product included
+     * @param {number} daysAhead - Alert window in days
+     */
+    static async sendExpiringBatchesAlert(batches, daysAhead) {
+        const productList = batches.map(batch =>
+            `- ${batch.product?.name || `Product #${batch.productId}`} | Batch ${batch.batchNumber} | ` +
+            `Qty ${batch.stockQuantity} | Expires ${new Date(batch.expiryDate).toLocaleDateString()}`
+        ).join('\n');
+
+        return this.sendAdminAlert({
+            emailTemplate: 'expiry_alert',
+            placeholders: {
+                product_count: batches.length,
+                product_list: productList,
+                days_ahead: daysAhead
+            },
+            referenceType: 'product_batch'
+        });
+    }
+
     /**
      * Send credit due reminder
      */
     static async sendCreditDueReminder(order, user, daysUntilDue) {
         const placeholders = {
-            customer_name: `Dr. ${user.firstName} ${user.lastName}`,
+            customer_name: `Dr. ${user.firstName} ${user.lastName || ''}`.trim(),
             order_number: order.orderNumber,
-            due_amount: order.dueAmount.toFixed(2),
+            due_amount: parseFloat(order.dueAmount).toFixed(2),
             due_date: new Date(order.creditDueDate).toLocaleDateString(),
             days_until_due: daysUntilDue
         };
 
         return this.send({
             user,
-            emailTemplate: 'credit_due_reminder',
-            smsTemplate: 'credit_due_reminder_sms',
+            emailTemplate: 'payment_due_reminder',
+            smsTemplate: 'payment_due_reminder_sms',
             placeholders,
             referenceType: 'order',
             referenceId: order.id
@@ -392,6 +552,68 @@ class NotificationService {
         });
     }
 
+    /**
+     * Send alert to admins when an order is held by the credit policy
+     */
+    static async sendCreditHoldAlertToAdmins(order, user, violations) {
+        const placeholders = {
+            customer_name: `${user.firstName} ${user.lastName || ''}`.trim(),
+            order_number: order.orderNumber,
+            order_total: parseFloat(order.total).toFixed(2),
+            hold_reasons: violations.map(v => v.message).join('; '),
+            view_order_url: `${process.env.ADMIN_FRONTEND_URL || 'http://localhost:3000/admin'}/orders/${order.id}`
+        };
+
+        return this.sendAdminAlert({
+            emailTemplate: 'admin_credit_hold_alert',
+            placeholders,
+            referenceType: 'order',
+            referenceId: order.id
+        });
+    }
+
+    /**
+     * Send alert to admins when an online payment lands on an order that was already cancelled
+     */
+    static async sendPaymentOnCancelledOrderAlertToAdmins(order, payment, user) {
+        const placeholders = {
+            customer_name: user ? `${user.firstName} ${user.lastName || ''}`.trim() : 'Unknown',
+            order_number: order.orderNumber,
+            payment_amount: parseFloat(payment.amount).toFixed(2),
+            transaction_id: payment.transactionId || 'N/A',
+            cancel_reason: order.cancelReason || 'N/A',
+            view_order_url: `${process.env.ADMIN_FRONTEND_URL || 'http://localhost:3000/admin'}/orders/${order.id}`
+        };
+
+        return this.sendAdminAlert({
+            emailTemplate: 'admin_payment_on_cancelled_order_alert',
+            placeholders,
+            referenceType: 'order',
+            referenceId: order.id
+        });
+    }
+
+    /**
+     * Send alert to admins when an account or IP is locked out after failed logins
+     */
+    static async sendLoginLockoutAlertToAdmins(throttle, target, ipAddress) {
+        const placeholders = {
+            locked_target: target,
+            failed_attempts: throttle.failedCount,
+            ip_address: ipAddress || throttle.ipAddress || 'Unknown',
+            identifier: throttle.identifier || 'N/A',
+            locked_until: new Date(throttle.lockedUntil).toLocaleString(),
+            view_lockouts_url: `${process.env.ADMIN_FRONTEND_URL || 'http://localhost:3000/admin'}/security/lockouts`
+        };
+
+        return this.sendAdminAlert({
+            emailTemplate: 'admin_login_lockout_alert',
+            placeholders,
+            referenceType: 'login_throttle',
+            referenceId: throttle.id
+        });
+    }
+
     /**
      * Send alert to admins for new doctor registration
      */
@@ -0,0 +1,336 @@
+const { User, Doctor, PasswordReset, PasswordResetAttempt, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const AuditLogService = require('./auditLogService');
+const EmailService = require('./emailService');
+const SMSService = require('./smsService');
+const SessionService = require('./sessionService');
+const LoginProtectionService = require('./loginProtectionService');
+
+/**
+ * Password Reset Service - Forgotten-password flow for users and doctors
+ * (emailed link token or SMS OTP)
+ */
+class PasswordResetService {
+    static EMAIL_TOKEN_MINUTES = 60;
+    static OTP_MINUTES = 10;
+    static MAX_OTP_ATTEMPTS = 5;
+    static MAX_REQUESTS_PER_ACCOUNT = 3;
+    static MAX_REQUESTS_PER_IP = 10;
+    static RATE_WINDOW_MS = 60 * 60 * 1000;
+
+    static hashSecret(value) {
+        return crypto.createHash('sha256').update(String(value)).digest('hex');
+    }
+
+    static getAccountType(isDoctor) {
+        return isDoctor ? 'doctor' : 'user';
+    }
+
+    /**
+     * Whether an IP has made the hourly maximum of reset requests already. Counted from the
+     * stored attempts so the limit holds across instances and serverless invocations.
+     */
+    static async isIpLimited(ipAddress) {
+        if (!ipAddress) return false;
+
+        const recentRequests = await PasswordResetAttempt.count({
+            where: {
+                ipAddress,
+                createdAt: { [Op.gt]: new Date(Date.now() - this.RATE_WINDOW_MS) }
+            }
+        });
+
+        return recentRequests >= this.MAX_REQUESTS_PER_IP;
+    }
+
+    /**
+     * Find an account by phone or username. Without isDoctor the User table is tried first,
+     * then the Doctor table (same order as login).
+     * @returns {Object|null} - { account, isDoctor }
+     */
+    static async findAccount(identifier, isDoctor = undefined) {
+        const where = {
+            [Op.or]: [{ phone: identifier }, { userName: identifier }],
+            isDeleted: false
+        };
+
+        if (isDoctor !== true) {
+            const user = await User.findOne({ where });
+            if (user) return { account: user, isDoctor: false };
+            if (isDoctor === false) return null;
+        }
+
+        const doctor = await Doctor.findOne({ where });
+        return doctor ? { account: doctor, isDoctor: true } : null;
+    }
+
+    static isAccountDisabled(account, isDoctor) {
+        return account.isDeleted || (isDoctor ? !account.isActive : account.isDisabled);
+    }
+
+    /**
+     * Outstanding (unused, not invalidated, unexpired) resets of an account
+     */
+    static outstandingWhere(isDoctor, accountId) {
+        return {
+            accountType: this.getAccountType(isDoctor),
+            accountId,
+            usedAt: null,
+            invalidatedAt: null,
+            expiresAt: { [Op.gt]: new Date() }
+        };
+    }
+
+    /**
+     * Start a reset. The caller always answers generically so that the response
+     * does not reveal whether the account exists.
+     * @param {Object} data - { identifier, channel: 'email'|'sms', isDoctor }
+     * @param {Object} req - Request (IP, user agent)
+     * @returns {Object} - { success } or { success: false, rateLimited: true, message }
+     */
+    static async requestReset({ identifier, channel = 'email', isDoctor }, req = null) {
+        // req.ip honours the trusted proxy setting, unlike a raw X-Forwarded-For the client can set
+        const ipAddress = req?.ip || null;
+        const userAgent = req?.headers?.['user-agent']?.slice(0, 500) || null;
+
+        if (await this.isIpLimited(ipAddress)) {
+            await this.log(req, {
+                description: `Password reset rate limit hit from ${ipAddress}`,
+                metadata: { identifier, channel, reason: 'ip_rate_limited' },
+                riskLevel: 'MEDIUM'
+            });
+            return { success: false, rateLimited: true, message: 'Too many password reset requests. Please try again later.' };
+        }
+
+        // Every request counts towards the IP limit, including ones for unknown or ineligible accounts
+        if (ipAddress) {
+            await PasswordResetAttempt.create({
+                ipAddress,
+                identifier: identifier ? String(identifier).slice(0, 100) : null,
+                channel: ['email', 'sms'].includes(channel) ? channel : null
+            });
+        }
+
+        const found = await this.findAccount(identifier, isDoctor);
+        if (!found) {
+            await this.log(req, {
+                description: 'Password reset requested for an unknown account',
+                metadata: { identifier, channel }
+            });
+            return { success: true };
+        }
+
+        const { account } = found;
+        const accountType = this.getAccountType(found.isDoctor);
+        const target = { account, isDoctor: found.isDoctor };
+
+        if (this.isAccountDisabled(account, found.isDoctor)) {
+            await this.log(req, {
+                ...target,
+                description: 'Password reset requested for a disabled account; nothing sent',
+                metadata: { channel, reason: 'account_disabled' }
+            });
+            return { success: true };
+        }
+
+        if ((channel === 'email' && !account.email) || (channel === 'sms' && !account.phone)) {
+            await this.log(req, {
+                ...target,
+                description: `Password reset requested by ${channel} but the account has no ${channel === 'email' ? 'email address' : 'phone number'}`,
+                metadata: { channel, reason: 'no_contact' }
+            });
+            return { success: true };
+        }
+
+        // Quietly drop requests over the per-account limit so the response stays generic
+        const recentRequests = await PasswordReset.count({
+            where: {
+                accountType,
+                accountId: account.id,
+                createdAt: { [Op.gt]: new Date(Date.now() - this.RATE_WINDOW_MS) }
+            }
+        });
+        if (recentRequests >= this.MAX_REQUESTS_PER_ACCOUNT) {
+            await this.log(req, {
+                ...target,
+                description: `Password reset rate limit reached for ${account.userName || account.phone}`,
+                metadata: { channel, recentRequests, reason: 'account_rate_limited' },
+                riskLevel: 'MEDIUM'
+            });
+            return { success: true };
+        }
+
+        const secret = channel === 'sms'
+            ? crypto.randomInt(0, 1000000).toString().padStart(6, '0')
+            : crypto.randomBytes(32).toString('hex');
+        const minutes = channel === 'sms' ? this.OTP_MINUTES : this.EMAIL_TOKEN_MINUTES;
+
+        const reset = await sequelize.transaction(async (t) => {
+            // Only the newest request can be used
+            await PasswordReset.update(
+                { invalidatedAt: new Date() },
+                { where: this.outstandingWhere(found.isDoctor, account.id), transaction: t }
+            );
+
+            return PasswordReset.create({
+                accountType,
+                accountId: account.id,
+                channel,
+                tokenHash: this.hashSecret(secret),
+                expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+                ipAddress,
+                userAgent
+            }, { transaction: t });
+        });
+
+        try {
+            if (channel === 'sms') {
+                await SMSService.sendOTP(account.phone, secret, 'password reset');
+            } else {
+                await EmailService.sendPasswordReset(account, secret);
+            }
+        } catch (error) {
+            console.error(`Failed to send password reset ${channel}:`, error.message);
+        }
+
+        await this.log(req, {
+            ...target,
+            description: `Password reset requested via ${channel}`,
+            metadata: { channel, resetId: reset.id, expiresAt: reset.expiresAt }
+        });
+
+        return { success: true };
+    }
+
+    /**
+     * Complete a reset with an emailed token, or with identifier + SMS OTP.
+     * OTP guessing is bounded by MAX_OTP_ATTEMPTS per code and the request limits.
+     * @param {Object} data - { token } or { identifier, otp, isDoctor }, plus password
+     * @param {Object} req
+     * @returns {Object} - { success, message }
+     */
+    static async resetPassword({ token, identifier, otp, isDoctor, password }, req = null) {
+        const invalid = { success: false, message: 'Invalid or expired reset code' };
+
+        const transaction = await sequelize.transaction();
+        try {
+            let reset;
+            let found;
+
+            if (token) {
+                reset = await PasswordReset.findOne({
+                    where: { tokenHash: this.hashSecret(token), channel: 'email', usedAt: null, invalidatedAt: null },
+                    lock: true,
+                    transaction
+                });
+                if (!reset || reset.expiresAt <= new Date()) {
+                    await transaction.rollback();
+                    return invalid;
+                }
+
+                const isDoctorReset = reset.accountType === 'doctor';
+                const account = await (isDoctorReset ? Doctor : User).findByPk(reset.accountId, { transaction });
+                found = account ? { account, isDoctor: isDoctorReset } : null;
+            } else {
+                found = await this.findAccount(identifier, isDoctor);
+                if (found) {
+                    reset = await PasswordReset.findOne({
+                        where: { ...this.outstandingWhere(found.isDoctor, found.account.id), channel: 'sms' },
+                        order: [['createdAt', 'DESC']],
+                        lock: true,
+                        transaction
+                    });
+                }
+                if (!reset) {
+                    await transaction.rollback();
+                    return invalid;
+                }
+
+                if (reset.tokenHash !== this.hashSecret(otp)) {
+                    reset.attempts += 1;
+                    const exhausted = reset.attempts >= this.MAX_OTP_ATTEMPTS;
+                    if (exhausted) reset.invalidatedAt = new Date();
+                    await reset.save({ transaction });
+                    await transaction.commit();
+
+                    await this.log(req, {
+                        ...found,
+                        description: exhausted
+                            ? 'Password reset OTP locked after too many wrong attempts'
+                            : 'Wrong password reset OTP entered',
+                        metadata: { resetId: reset.id, attempts: reset.attempts },
+                        riskLevel: 'MEDIUM'
+                    });
+
+                    return exhausted
+                        ? { success: false, message: 'Too many wrong codes. Please request a new one.' }
+                        : invalid;
+                }
+            }
+
+            if (!found || this.isAccountDisabled(found.account, found.isDoctor)) {
+                await transaction.rollback();
+                return invalid;
+            }
+
+            const { account } = found;
+            const salt = await bcrypt.genSalt(10);
+            account.password = await bcrypt.hash(password, salt);
+            await account.save({ transaction });
+
+            reset.usedAt = new Date();
+            await reset.save({ transaction });
+
+            // Any other outstanding reset for the account is now moot
+            await PasswordReset.update(
+                { invalidatedAt: new Date() },
+                { where: { ...this.outstandingWhere(found.isDoctor, account.id), id: { [Op.ne]: reset.id } }, transaction }
+            );
+
+            const sessionsRevoked = await SessionService.revokeAllSessions(
+                found.isDoctor, account.id, 'password_changed', { transaction }
+            );
+
+            await transaction.commit();
+
+            // Proving ownership of the account lifts any login lockout on it
+            await LoginProtectionService.recordSuccess(found.isDoctor, account.id);
+
+            await this.log(req, {
+                ...found,
+                action: 'UPDATE',
+                description: `Password reset completed via ${reset.channel}`,
+                metadata: { resetId: reset.id, channel: reset.channel, sessionsRevoked },
+                riskLevel: 'MEDIUM'
+            });
+
+            return { success: true, message: 'Password has been reset. Please log in with your new password.' };
+        } catch (error) {
+            if (!transaction.finished) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Audit a reset event; unknown accounts are logged without an entity
+     */
+    static async log(req, { account = null, isDoctor = false, action = 'OTHER', description, metadata, riskLevel = 'LOW' }) {
+        return AuditLogService.log({
+            userId: account && !isDoctor ? account.id : null,
+            userName: account ? (account.userName || account.phone) : null,
+            action,
+            module: 'auth',
+            entityType: account ? (isDoctor ? 'Doctor' : 'User') : 'PasswordReset',
+            entityId: account ? account.id : null,
+            description,
+            metadata,
+            riskLevel,
+            ipAddress: req ? AuditLogService.getIpAddress(req) : null,
+            userAgent: req?.headers?.['user-agent']
+        });
+    }
+}
+
+module.exports = PasswordResetService;
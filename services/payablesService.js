@@ -0,0 +1,682 @@
+const {
+    SupplierInvoice, SupplierInvoiceItem, SupplierPayment, PurchaseOrder, PurchaseOrderItem,
+    Supplier, Product, sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const PricingService = require('./pricingService');
+const ReceivablesService = require('./receivablesService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Payables Service - Supplier invoices, three-way matching, supplier payments and AP aging
+ */
+class PayablesService {
+    /**
+     * Invoice statuses that still count as owed
+     */
+    static OUTSTANDING_STATUSES = ['pending', 'approved', 'partially_paid'];
+
+    /**
+     * Invoice statuses a payment can be recorded against
+     */
+    static PAYABLE_STATUSES = ['approved', 'partially_paid'];
+
+    /**
+     * Matching tolerances and default terms from system settings
+     */
+    static async getSettings() {
+        const [pricePercent, amount, termsDays] = await Promise.all([
+            PricingService.getSettingValue('ap_price_tolerance_percent', '1'),
+            PricingService.getSettingValue('ap_amount_tolerance', '1'),
+            PricingService.getSettingValue('ap_default_payment_terms_days', '30')
+        ]);
+
+        return {
+            priceTolerancePercent: parseFloat(pricePercent) || 0,
+            amountTolerance: parseFloat(amount) || 0,
+            paymentTermsDays: parseInt(termsDays) || 0
+        };
+    }
+
+    /**
+     * Next daily sequence number, e.g. BIL-YYMMDD-0001
+     */
+    static async generateNumber(Model, prefix, transaction = null) {
+        const date = new Date();
+        const dateStr = date.getFullYear().toString().slice(-2) +
+            (date.getMonth() + 1).toString().padStart(2, '0') +
+            date.getDate().toString().padStart(2, '0');
+
+        const startOfDay = new Date(date.setHours(0, 0, 0, 0));
+        const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+
+        const count = await Model.count({
+            where: {
+                createdAt: { [Op.between]: [startOfDay, endOfDay] }
+            },
+            transaction
+        });
+
+        return `${prefix}-${dateStr}-${(count + 1).toString().padStart(4, '0')}`;
+    }
+
+    /**
+     * Invoiced quantity per PO line on the PO's other live invoices
+     */
+    static async getInvoicedQuantities(purchaseOrderId, excludeInvoiceId = null, transaction = null) {
+        const where = { purchaseOrderId, status: { [Op.ne]: 'cancelled' } };
+        if (excludeInvoiceId) where.id = { [Op.ne]: excludeInvoiceId };
+
+        const rows = await SupplierInvoiceItem.findAll({
+            where: { purchaseOrderItemId: { [Op.ne]: null } },
+            include: [{ model: SupplierInvoice, as: 'invoice', attributes: [], where }],
+            attributes: ['purchaseOrderItemId', [sequelize.fn('SUM', sequelize.col('quantity')), 'total']],
+            group: ['purchaseOrderItemId'],
+            raw: true,
+            transaction
+        });
+
+        return new Map(rows.map(r => [r.purchaseOrderItemId, parseInt(r.total) || 0]));
+    }
+
+    /**
+     * Three-way match an invoice: each line against the PO line's quantity and price,
+     * the quantity received so far, and what other invoices for the PO have already billed.
+     * Line snapshots and the invoice's discrepancy list are updated in place and saved.
+     * @param {Object} invoice - SupplierInvoice with items
+     * @param {Object} po - PurchaseOrder with items
+     * @param {Object} transaction - Transaction
+     * @returns {Array} - discrepancies
+     */
+    static async matchInvoice(invoice, po, transaction = null) {
+        const settings = await this.getSettings();
+        const invoicedElsewhere = await this.getInvoicedQuantities(po.id, invoice.id, transaction);
+        const discrepancies = [];
+
+        for (const item of invoice.items) {
+            const poItem = po.items.find(i => i.id === item.purchaseOrderItemId) ||
+                po.items.find(i => i.productId === item.productId);
+            const lineIssues = [];
+
+            if (!poItem) {
+                lineIssues.push({
+                    type: 'not_on_order',
+                    message: 'Product is not on the purchase order',
+                    expected: 0,
+                    actual: item.quantity
+                });
+                item.purchaseOrderItemId = null;
+                item.orderedQuantity = 0;
+                item.receivedQuantity = 0;
+                item.previouslyInvoicedQuantity = 0;
+                item.orderedUnitPrice = null;
+            } else {
+                const previous = invoicedElsewhere.get(poItem.id) || 0;
+                const cumulative = previous + item.quantity;
+                const received = poItem.receivedQuantity || 0;
+
+                item.purchaseOrderItemId = poItem.id;
+                item.orderedQuantity = poItem.quantity;
+                item.receivedQuantity = received;
+                item.previouslyInvoicedQuantity = previous;
+                item.orderedUnitPrice = poItem.unitPrice;
+
+                if (cumulative > poItem.quantity) {
+                    lineIssues.push({
+                        type: 'quantity_over_ordered',
+                        message: `Invoiced ${cumulative} in total against ${poItem.quantity} ordered`,
+                        expected: poItem.quantity,
+                        actual: cumulative
+                    });
+                } else if (cumulative > received) {
+                    lineIssues.push({
+                        type: 'quantity_not_received',
+                        message: `Invoiced ${cumulative} in total but only ${received} received`,
+                        expected: received,
+                        actual: cumulative
+                    });
+                }
+
+                const orderedPrice = parseFloat(poItem.unitPrice);
+                const invoicedPrice = parseFloat(item.unitPrice);
+                const priceDiffPercent = orderedPrice > 0
+                    ? Math.abs(invoicedPrice - orderedPrice) / orderedPrice * 100
+                    : (invoicedPrice > 0 ? 100 : 0);
+
+                if (priceDiffPercent > settings.priceTolerancePercent) {
+                    lineIssues.push({
+                        type: 'price_variance',
+                        message: `Billed at ${invoicedPrice.toFixed(2)} against ${orderedPrice.toFixed(2)} on the PO`,
+                        expected: orderedPrice,
+                        actual: invoicedPrice
+                    });
+                }
+            }
+
+            item.matchStatus = lineIssues.length ? 'discrepancy' : 'matched';
+            await item.save({ transaction });
+
+            discrepancies.push(...lineIssues.map(issue => ({
+                ...issue,
+                invoiceItemId: item.id,
+                productId: item.productId
+            })));
+        }
+
+        const linesTotal = invoice.items.reduce((sum, item) => sum + parseFloat(item.total), 0);
+        if (Math.abs(parseFloat(invoice.totalAmount) - linesTotal) > settings.amountTolerance) {
+            discrepancies.push({
+                type: 'total_mismatch',
+                message: `Invoice total ${parseFloat(invoice.totalAmount).toFixed(2)} does not equal its lines (${linesTotal.toFixed(2)})`,
+                expected: parseFloat(linesTotal.toFixed(2)),
+                actual: parseFloat(invoice.totalAmount)
+            });
+        }
+
+        invoice.discrepancies = discrepancies;
+        invoice.matchStatus = discrepancies.length ? 'discrepancy' : 'matched';
+        invoice.matchedAt = new Date();
+        await invoice.save({ transaction });
+
+        return discrepancies;
+    }
+
+    /**
+     * Record a supplier invoice against a purchase order and match it
+     * @param {Object} data - { purchaseOrderId, invoiceNumber, invoiceDate, dueDate, totalAmount, notes,
+     *                          items: [{ purchaseOrderItemId, productId, quantity, unitPrice, taxPercentage }] }
+     * @param {Object} req - Request object
+     * @param {Object} externalTransaction - Optional external transaction
+     * @returns {Object} - { success, invoice, message }
+     */
+    static async createInvoice(data, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            const po = await PurchaseOrder.findOne({
+                where: { id: data.purchaseOrderId, isDeleted: false },
+                include: [{ model: PurchaseOrderItem, as: 'items' }],
+                transaction
+            });
+
+            if (!po) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'Purchase order not found' };
+            }
+            if (['draft', 'cancelled'].includes(po.status)) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: `Cannot invoice a ${po.status} purchase order` };
+            }
+
+            const duplicate = await SupplierInvoice.findOne({
+                where: { supplierId: po.supplierId, invoiceNumber: data.invoiceNumber, status: { [Op.ne]: 'cancelled' } },
+                transaction
+            });
+            if (duplicate) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: `Invoice ${data.invoiceNumber} is already recorded as ${duplicate.referenceNumber}` };
+            }
+
+            const settings = await this.getSettings();
+
+            const lines = data.items.map(item => {
+                const quantity = parseInt(item.quantity);
+                const unitPrice = parseFloat(item.unitPrice);
+                const taxPercentage = parseFloat(item.taxPercentage) || 0;
+                const lineTotal = quantity * unitPrice;
+                const taxAmount = lineTotal * taxPercentage / 100;
+                return {
+                    purchaseOrderItemId: item.purchaseOrderItemId || null,
+                    productId: parseInt(item.productId),
+                    quantity,
+                    unitPrice,
+                    taxPercentage,
+                    taxAmount: parseFloat(taxAmount.toFixed(2)),
+                    total: parseFloat((lineTotal + taxAmount).toFixed(2))
+                };
+            });
+
+            const subtotal = lines.reduce((sum, l) => sum + l.quantity * l.unitPrice, 0);
+            const taxAmount = lines.reduce((sum, l) => sum + l.taxAmount, 0);
+            const totalAmount = data.totalAmount !== undefined && data.totalAmount !== null
+                ? parseFloat(data.totalAmount)
+                : subtotal + taxAmount;
+
+            let dueDate = data.dueDate;
+            if (!dueDate) {
+                const due = new Date(data.invoiceDate);
+                due.setDate(due.getDate() + settings.paymentTermsDays);
+                dueDate = due.toISOString().split('T')[0];
+            }
+
+            const invoice = await SupplierInvoice.create({
+                referenceNumber: await this.generateNumber(SupplierInvoice, 'BIL', transaction),
+                invoiceNumber: data.invoiceNumber,
+                supplierId: po.supplierId,
+                purchaseOrderId: po.id,
+                invoiceDate: data.invoiceDate,
+                dueDate,
+                subtotal: parseFloat(subtotal.toFixed(2)),
+                taxAmount: parseFloat(taxAmount.toFixed(2)),
+                totalAmount: parseFloat(totalAmount.toFixed(2)),
+                dueAmount: parseFloat(totalAmount.toFixed(2)),
+                notes: data.notes,
+                createdBy: req?.user?.id
+            }, { transaction });
+
+            invoice.items = [];
+            for (const line of lines) {
+                invoice.items.push(await SupplierInvoiceItem.create({
+                    supplierInvoiceId: invoice.id,
+                    ...line
+                }, { transaction }));
+            }
+
+            await this.matchInvoice(invoice, po, transaction);
+
+            if (shouldCommit) await transaction.commit();
+
+            return { success: true, invoice };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Load an invoice with its lines and purchase order for matching
+     */
+    static async loadForMatch(invoiceId, transaction = null) {
+        const invoice = await SupplierInvoice.findByPk(invoiceId, {
+            include: [{ model: SupplierInvoiceItem, as: 'items' }],
+            transaction,
+            lock: transaction ? transaction.LOCK.UPDATE : undefined
+        });
+        if (!invoice) return { invoice: null, po: null };
+
+        const po = await PurchaseOrder.findByPk(invoice.purchaseOrderId, {
+            include: [{ model: PurchaseOrderItem, as: 'items' }],
+            transaction
+        });
+
+        return { invoice, po };
+    }
+
+    /**
+     * Re-run the match on a pending invoice, e.g. after more stock has been received
+     */
+    static async rematchInvoice(invoice, po, transaction = null) {
+        if (invoice.status !== 'pending') {
+            return { success: false, message: `Cannot re-match a ${invoice.status} invoice` };
+        }
+
+        const discrepancies = await this.matchInvoice(invoice, po, transaction);
+        return { success: true, invoice, discrepancies };
+    }
+
+    /**
+     * Approve an invoice for payment. Invoices with discrepancies need an override reason.
+     */
+    static async approveInvoice(invoice, overrideReason = null, req = null, transaction = null) {
+        if (invoice.status !== 'pending') {
+            return { success: false, message: `Invoice is already ${invoice.status}` };
+        }
+
+        if (invoice.matchStatus === 'discrepancy') {
+            if (!overrideReason) {
+                return {
+                    success: false,
+                    message: `Invoice has ${invoice.discrepancies?.length || 0} discrepancy(ies); give an override reason to approve it anyway`
+                };
+            }
+            invoice.matchStatus = 'overridden';
+            invoice.overrideReason = overrideReason;
+        }
+
+        invoice.status = 'approved';
+        invoice.approvedAt = new Date();
+        invoice.approvedBy = req?.user?.id;
+        invoice.updatedBy = req?.user?.id;
+        await invoice.save({ transaction });
+
+        return { success: true, invoice };
+    }
+
+    /**
+     * Cancel an invoice that has no payments against it
+     */
+    static async cancelInvoice(invoice, reason, req = null, transaction = null) {
+        if (invoice.status === 'cancelled') {
+            return { success: false, message: 'Invoice is already cancelled' };
+        }
+
+        const payments = await SupplierPayment.count({
+            where: { supplierInvoiceId: invoice.id, status: 'completed' },
+            transaction
+        });
+        if (payments > 0) {
+            return { success: false, message: 'Void the payments on this invoice before cancelling it' };
+        }
+
+        invoice.status = 'cancelled';
+        invoice.dueAmount = 0;
+        invoice.cancelledAt = new Date();
+        invoice.cancelledBy = req?.user?.id;
+        invoice.cancelReason = reason;
+        invoice.updatedBy = req?.user?.id;
+        await invoice.save({ transaction });
+
+        await this.refreshPurchaseOrderPaymentStatus(invoice.purchaseOrderId, transaction);
+
+        return { success: true, invoice };
+    }
+
+    /**
+     * Recalculate paid/due amounts and status of an invoice from its completed payments
+     */
+    static async refreshInvoiceBalance(invoice, transaction = null) {
+        const paid = parseFloat(await SupplierPayment.sum('amount', {
+            where: { supplierInvoiceId: invoice.id, status: 'completed' },
+            transaction
+        })) || 0;
+
+        const total = parseFloat(invoice.totalAmount);
+        invoice.paidAmount = parseFloat(paid.toFixed(2));
+        invoice.dueAmount = parseFloat(Math.max(total - paid, 0).toFixed(2));
+
+        if (invoice.status !== 'pending' && invoice.status !== 'cancelled') {
+            if (paid <= 0) invoice.status = 'approved';
+            else if (invoice.dueAmount <= 0) invoice.status = 'paid';
+            else invoice.status = 'partially_paid';
+        }
+
+        await invoice.save({ transaction });
+        return invoice;
+    }
+
+    /**
+     * Set PurchaseOrder.paymentStatus from its invoices: paid once the PO is fully received,
+     * every received unit has been invoiced and those invoices are settled
+     */
+    static async refreshPurchaseOrderPaymentStatus(purchaseOrderId, transaction = null) {
+        const po = await PurchaseOrder.findByPk(purchaseOrderId, {
+            include: [{ model: PurchaseOrderItem, as: 'items' }],
+            transaction
+        });
+        if (!po) return null;
+
+        const invoices = await SupplierInvoice.findAll({
+            where: { purchaseOrderId, status: { [Op.ne]: 'cancelled' } },
+            attributes: ['totalAmount', 'paidAmount'],
+            transaction
+        });
+
+        const billed = invoices.reduce((sum, i) => sum + parseFloat(i.totalAmount), 0);
+        const paid = invoices.reduce((sum, i) => sum + parseFloat(i.paidAmount), 0);
+
+        const invoiced = await this.getInvoicedQuantities(purchaseOrderId, null, transaction);
+        const fullyBilled = po.status === 'received' &&
+            po.items.every(item => (invoiced.get(item.id) || 0) >= (item.receivedQuantity || 0));
+
+        let paymentStatus = 'pending';
+        if (paid > 0) {
+            paymentStatus = fullyBilled && paid >= billed - 0.01 ? 'paid' : 'partially_paid';
+        }
+
+        if (po.paymentStatus !== paymentStatus) {
+            po.paymentStatus = paymentStatus;
+            await po.save({ transaction });
+        }
+
+        return po;
+    }
+
+    /**
+     * Record a payment to the supplier against an approved invoice
+     * @param {Object} invoice - SupplierInvoice
+     * @param {Object} data - { amount, method, paymentDate, reference, chequeNumber, bankName, notes }
+     * @returns {Object} - { success, payment, invoice, message }
+     */
+    static async recordPayment(invoice, data, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            if (!this.PAYABLE_STATUSES.includes(invoice.status)) {
+                if (shouldCommit) await transaction.rollback();
+                return {
+                    success: false,
+                    message: invoice.status === 'pending'
+                        ? 'Invoice must be approved before it can be paid'
+                        : `Cannot pay a ${invoice.status} invoice`
+                };
+            }
+
+            const amount = parseFloat(data.amount);
+            if (amount > parseFloat(invoice.dueAmount) + 0.001) {
+                if (shouldCommit) await transaction.rollback();
+                return {
+                    success: false,
+                    message: `Payment exceeds the amount due (${parseFloat(invoice.dueAmount).toFixed(2)})`
+                };
+            }
+
+            const payment = await SupplierPayment.create({
+                paymentNumber: await this.generateNumber(SupplierPayment, 'SPY', transaction),
+                supplierId: invoice.supplierId,
+                supplierInvoiceId: invoice.id,
+                amount,
+                method: data.method,
+                paymentDate: data.paymentDate || new Date().toISOString().split('T')[0],
+                reference: data.reference,
+                chequeNumber: data.chequeNumber,
+                bankName: data.bankName,
+                notes: data.notes,
+                createdBy: req?.user?.id
+            }, { transaction });
+
+            await this.refreshInvoiceBalance(invoice, transaction);
+            await this.refreshPurchaseOrderPaymentStatus(invoice.purchaseOrderId, transaction);
+
+            if (shouldCommit) await transaction.commit();
+
+            return { success: true, payment, invoice };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Void a supplier payment and reopen the invoice balance
+     */
+    static async voidPayment(payment, reason, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            if (payment.status === 'void') {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'Payment is already void' };
+            }
+
+            payment.status = 'void';
+            payment.voidedAt = new Date();
+            payment.voidedBy = req?.user?.id;
+            payment.voidReason = reason;
+            await payment.save({ transaction });
+
+            const invoice = await SupplierInvoice.findByPk(payment.supplierInvoiceId, { transaction });
+            await this.refreshInvoiceBalance(invoice, transaction);
+            await this.refreshPurchaseOrderPaymentStatus(invoice.purchaseOrderId, transaction);
+
+            if (shouldCommit) await transaction.commit();
+
+            return { success: true, payment, invoice };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Ordered, received and invoiced quantities and amounts per line of a purchase order
+     */
+    static async getPurchaseOrderMatch(purchaseOrderId) {
+        const po = await PurchaseOrder.findOne({
+            where: { id: purchaseOrderId, isDeleted: false },
+            include: [
+                { model: Supplier, as: 'supplier', attributes: ['id', 'name', 'code'] },
+                {
+                    model: PurchaseOrderItem,
+                    as: 'items',
+                    include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'sku'] }]
+                }
+            ]
+        });
+        if (!po) return null;
+
+        const invoiceItems = await SupplierInvoiceItem.findAll({
+            include: [{
+                model: SupplierInvoice,
+                as: 'invoice',
+                attributes: ['id', 'referenceNumber', 'invoiceNumber', 'status'],
+                where: { purchaseOrderId, status: { [Op.ne]: 'cancelled' } }
+            }]
+        });
+
+        const lines = po.items.map(item => {
+            const billed = invoiceItems.filter(i => i.purchaseOrderItemId === item.id);
+            const invoicedQuantity = billed.reduce((sum, i) => sum + i.quantity, 0);
+            const invoicedAmount = billed.reduce((sum, i) => sum + parseFloat(i.total), 0);
+
+            return {
+                purchaseOrderItemId: item.id,
+                product: item.product,
+                orderedQuantity: item.quantity,
+                receivedQuantity: item.receivedQuantity || 0,
+                invoicedQuantity,
+                orderedUnitPrice: parseFloat(item.unitPrice),
+                orderedAmount: parseFloat(item.total),
+                invoicedAmount: parseFloat(invoicedAmount.toFixed(2)),
+                uninvoicedReceived: Math.max((item.receivedQuantity || 0) - invoicedQuantity, 0),
+                matched: invoicedQuantity <= (item.receivedQuantity || 0) &&
+                    billed.every(i => i.matchStatus === 'matched')
+            };
+        });
+
+        const unmatchedLines = invoiceItems
+            .filter(i => !i.purchaseOrderItemId)
+            .map(i => ({ invoiceItemId: i.id, productId: i.productId, quantity: i.quantity, total: parseFloat(i.total), invoice: i.invoice }));
+
+        return { purchaseOrder: po, lines, unmatchedLines };
+    }
+
+    /**
+     * Whole days an invoice is past its due date (0 or negative when not yet due)
+     */
+    static getDaysPastDue(invoice, asOf = new Date()) {
+        const dueDate = new Date(invoice.dueDate);
+        dueDate.setHours(0, 0, 0, 0);
+
+        const today = new Date(asOf);
+        today.setHours(0, 0, 0, 0);
+
+        return Math.round((today - dueDate) / DAY_MS);
+    }
+
+    /**
+     * Build the aged payables report, using the same buckets as receivables
+     * @param {Object} options - { supplierId, includeInvoices }
+     * @returns {Object} - { asOf, buckets, totals, suppliers }
+     */
+    static async getAgingReport({ supplierId, includeInvoices = false } = {}) {
+        const asOf = new Date();
+        const buckets = ReceivablesService.AGING_BUCKETS;
+
+        const where = { status: { [Op.in]: this.OUTSTANDING_STATUSES }, dueAmount: { [Op.gt]: 0 } };
+        if (supplierId) where.supplierId = supplierId;
+
+        const invoices = await SupplierInvoice.findAll({
+            where,
+            include: [
+                { model: Supplier, as: 'supplier', attributes: ['id', 'name', 'code', 'phone', 'email'] },
+                { model: PurchaseOrder, as: 'purchaseOrder', attributes: ['id', 'poNumber'] }
+            ],
+            order: [['dueDate', 'ASC']]
+        });
+
+        const emptyBuckets = () => buckets.reduce((acc, b) => ({ ...acc, [b.key]: 0 }), { total: 0 });
+        const totals = emptyBuckets();
+        const rows = new Map();
+
+        for (const invoice of invoices) {
+            if (!rows.has(invoice.supplierId)) {
+                rows.set(invoice.supplierId, {
+                    supplierId: invoice.supplierId,
+                    name: invoice.supplier?.name,
+                    code: invoice.supplier?.code,
+                    phone: invoice.supplier?.phone,
+                    email: invoice.supplier?.email,
+                    ...emptyBuckets(),
+                    unapproved: 0,
+                    invoiceCount: 0,
+                    maxDaysPastDue: 0,
+                    invoices: includeInvoices ? [] : undefined
+                });
+            }
+
+            const row = rows.get(invoice.supplierId);
+            const dueAmount = parseFloat(invoice.dueAmount);
+            const daysPastDue = this.getDaysPastDue(invoice, asOf);
+            const bucket = ReceivablesService.getBucket(daysPastDue);
+
+            row[bucket] += dueAmount;
+            row.total += dueAmount;
+            if (invoice.status === 'pending') row.unapproved += dueAmount;
+            row.invoiceCount++;
+            row.maxDaysPastDue = Math.max(row.maxDaysPastDue, daysPastDue);
+
+            totals[bucket] += dueAmount;
+            totals.total += dueAmount;
+
+            if (includeInvoices) {
+                row.invoices.push({
+                    id: invoice.id,
+                    referenceNumber: invoice.referenceNumber,
+                    invoiceNumber: invoice.invoiceNumber,
+                    poNumber: invoice.purchaseOrder?.poNumber,
+                    invoiceDate: invoice.invoiceDate,
+                    dueDate: invoice.dueDate,
+                    status: invoice.status,
+                    matchStatus: invoice.matchStatus,
+                    totalAmount: parseFloat(invoice.totalAmount),
+                    paidAmount: parseFloat(invoice.paidAmount),
+                    dueAmount,
+                    daysPastDue: Math.max(daysPastDue, 0),
+                    bucket
+                });
+            }
+        }
+
+        const round = obj => {
+            for (const key of ['total', 'unapproved', ...buckets.map(b => b.key)]) {
+                if (obj[key] !== undefined) obj[key] = parseFloat(obj[key].toFixed(2));
+            }
+            return obj;
+        };
+
+        return {
+            asOf,
+            buckets: buckets.map(({ key, label }) => ({ key, label })),
+            totals: round(totals),
+            suppliers: [...rows.values()]
+                .map(round)
+                .sort((a, b) => b.maxDaysPastDue - a.maxDaysPastDue || b.total - a.total)
+        };
+    }
+}
+
+module.exports = PayablesService;
@@ -0,0 +1,286 @@
+const { Payment, Order, CreditNote, CreditNoteAllocation, sequelize } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Payment Service - Shared refund and settlement logic for payments, returns and credit notes
+ */
+class PaymentService {
+    /**
+     * Refund (part of) a payment
+     * @param {Object} originalPayment - Payment with order included
+     * @param {number} amount - Amount to refund (defaults to full payment)
+     * @param {string} reason - Refund reason
+     * @param {Object} req - Request object for audit
+     * @param {Object} externalTransaction - Optional external transaction
+     * @returns {Object} - { success, refund } or { success: false, message }
+     */
+    static async refundPayment(originalPayment, amount, reason, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            if (!['completed', 'pending', 'processing', 'partial_refund'].includes(originalPayment.status)) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'Only completed payments can be refunded' };
+            }
+
+            const refundAmount = parseFloat(amount || originalPayment.amount);
+            const refundable = parseFloat(originalPayment.amount) - parseFloat(originalPayment.refundedAmount || 0);
+
+            if (refundAmount > refundable) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'Refund amount cannot exceed original payment' };
+            }
+
+            // Create refund record
+            const refund = await Payment.create({
+                orderId: originalPayment.orderId,
+                doctorId: originalPayment.doctorId,
+                amount: -Math.abs(refundAmount),
+                method: 'refund',
+                status: 'completed',
+                transactionId: `REF-${originalPayment.transactionId || originalPayment.id}-${Date.now()}`,
+                notes: reason,
+                refundReason: reason,
+                paidAt: new Date(),
+                createdBy: req?.user?.id
+            }, { transaction });
+
+            // Update original payment
+            originalPayment.refundedAmount = parseFloat(originalPayment.refundedAmount || 0) + refundAmount;
+            originalPayment.status = originalPayment.refundedAmount >= parseFloat(originalPayment.amount)
+                ? 'refunded'
+                : 'partial_refund';
+            originalPayment.refundReason = reason;
+            originalPayment.refundedAt = new Date();
+            originalPayment.refundedBy = req?.user?.id;
+            await originalPayment.save({ transaction });
+
+            // Update order
+            const order = originalPayment.order || await Order.findByPk(originalPayment.orderId, { transaction });
+            if (order) {
+                order.paidAmount = parseFloat(order.paidAmount) - refundAmount;
+                order.dueAmount = parseFloat(order.total) - parseFloat(order.paidAmount);
+                // Money taken for a cancelled order has all gone back
+                if (order.paymentStatus === 'refund_due' && order.paidAmount <= 0) {
+                    order.paymentStatus = 'refunded';
+                }
+                await order.save({ transaction });
+            }
+
+            if (shouldCommit) await transaction.commit();
+
+            return { success: true, refund };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Get the amount that can still be refunded on an order
+     * @param {number} orderId - Order ID
+     * @param {Object} transaction - Optional transaction
+     */
+    static async getRefundablePayments(orderId, transaction = null) {
+        const payments = await Payment.findAll({
+            where: {
+                orderId,
+                amount: { [Op.gt]: 0 },
+                status: { [Op.in]: ['completed', 'partial_refund'] }
+            },
+            order: [['createdAt', 'DESC']],
+            transaction
+        });
+
+        const refundable = payments.reduce(
+            (sum, p) => sum + parseFloat(p.amount) - parseFloat(p.refundedAmount || 0), 0
+        );
+
+        return { payments, refundable };
+    }
+
+    /**
+     * Refund an amount against an order, newest payments first
+     * @param {Object} order - Order
+     * @param {number} amount - Amount to refund
+     * @param {string} reason - Refund reason
+     * @param {Object} req - Request object for audit
+     * @param {Object} transaction - Transaction
+     * @returns {Object} - { success, refunds } or { success: false, message }
+     */
+    static async refundOrderAmount(order, amount, reason, req = null, transaction = null) {
+        const { payments, refundable } = await this.getRefundablePayments(order.id, transaction);
+
+        if (amount > refundable) {
+            return {
+                success: false,
+                message: `Only ${refundable.toFixed(2)} has been paid on order ${order.orderNumber} and can be refunded`
+            };
+        }
+
+        let remaining = amount;
+        const refunds = [];
+
+        for (const payment of payments) {
+            if (remaining <= 0) break;
+
+            payment.order = order;
+            const available = parseFloat(payment.amount) - parseFloat(payment.refundedAmount || 0);
+            const portion = Math.min(available, remaining);
+
+            const result = await this.refundPayment(payment, portion, reason, req, transaction);
+            if (!result.success) return result;
+
+            refunds.push(result.refund);
+            remaining -= portion;
+        }
+
+        return { success: true, refunds };
+    }
+
+    /**
+     * Apply an amount to a doctor's outstandings, oldest first (FIFO).
+     * Outstandings are unpaid credit orders and open debit notes.
+     * The doctor's currentCredit is left to the caller.
+     * @param {Object} doctor - Doctor
+     * @param {number} amount - Amount to apply
+     * @param {Object} options - { method, transactionId, notes, creditNote }
+     *   When creditNote is given the amount comes from that credit note rather than new money.
+     * @param {Object} req - Request object for audit
+     * @param {Object} transaction - Transaction
+     * @returns {Object} - { appliedToOrders, appliedToNotes, remaining }
+     */
+    static async settleOutstanding(doctor, amount, options = {}, req = null, transaction = null) {
+        const { method, transactionId, notes, creditNote = null } = options;
+
+        // Get all unpaid/partially paid credit orders
+        const orders = await Order.findAll({
+            where: {
+                doctorId: doctor.id,
+                paymentStatus: { [Op.in]: ['pending', 'partial', 'credit'] },
+                dueAmount: { [Op.gt]: 0 },
+                isDeleted: false
+            },
+            order: [['createdAt', 'ASC']],
+            transaction
+        });
+
+        // Open debit notes are outstanding too
+        const debitNotes = await CreditNote.findAll({
+            where: {
+                doctorId: doctor.id,
+                type: 'debit',
+                status: { [Op.in]: ['open', 'partially_applied'] }
+            },
+            order: [['issuedAt', 'ASC']],
+            transaction
+        });
+
+        const outstandings = [
+            ...orders.map(order => ({ order, date: order.createdAt })),
+            ...debitNotes.map(note => ({ note, date: note.issuedAt }))
+        ].sort((a, b) => new Date(a.date) - new Date(b.date)); // FIFO
+
+        let remainingToApply = amount;
+        const appliedToOrders = [];
+        const appliedToNotes = [];
+
+        for (const { order, note } of outstandings) {
+            if (remainingToApply <= 0) break;
+
+            if (order) {
+                const payToThisOrder = Math.min(parseFloat(order.dueAmount), remainingToApply);
+
+                const payment = await Payment.create({
+                    orderId: order.id,
+                    doctorId: doctor.id,
+                    amount: payToThisOrder,
+                    method: creditNote ? 'credit' : method,
+                    transactionId: transactionId ? `${transactionId}-${order.orderNumber}` : null,
+                    notes: creditNote
+                        ? `Credit note ${creditNote.noteNumber} applied to ${order.orderNumber}`
+                        : notes || `Settlement payment applied to ${order.orderNumber}`,
+                    status: 'completed',
+                    paidAt: new Date(),
+                    createdBy: req?.user?.id
+                }, { transaction });
+
+                order.paidAmount = parseFloat(order.paidAmount) + payToThisOrder;
+                order.dueAmount = parseFloat(order.total) - parseFloat(order.paidAmount);
+                order.paymentStatus = order.dueAmount <= 0 ? 'paid' : 'partial';
+                await order.save({ transaction });
+
+                if (creditNote) {
+                    await CreditNoteAllocation.create({
+                        creditNoteId: creditNote.id,
+                        orderId: order.id,
+                        paymentId: payment.id,
+                        amount: payToThisOrder,
+                        createdBy: req?.user?.id
+                    }, { transaction });
+                }
+
+                remainingToApply -= payToThisOrder;
+                appliedToOrders.push({
+                    orderNumber: order.orderNumber,
+                    appliedAmount: payToThisOrder
+                });
+            } else {
+                const noteBalance = parseFloat(note.amount) - parseFloat(note.appliedAmount);
+                const payToThisNote = Math.min(noteBalance, remainingToApply);
+
+                if (creditNote) {
+                    await CreditNoteAllocation.create({
+                        creditNoteId: creditNote.id,
+                        settledNoteId: note.id,
+                        amount: payToThisNote,
+                        createdBy: req?.user?.id
+                    }, { transaction });
+                } else {
+                    const payment = await Payment.create({
+                        doctorId: doctor.id,
+                        amount: payToThisNote,
+                        method,
+                        transactionId: transactionId ? `${transactionId}-${note.noteNumber}` : null,
+                        notes: notes || `Settlement payment applied to ${note.noteNumber}`,
+                        status: 'completed',
+                        paidAt: new Date(),
+                        createdBy: req?.user?.id
+                    }, { transaction });
+
+                    await CreditNoteAllocation.create({
+                        creditNoteId: note.id,
+                        paymentId: payment.id,
+                        amount: payToThisNote,
+                        createdBy: req?.user?.id
+                    }, { transaction });
+                }
+
+                note.appliedAmount = parseFloat(note.appliedAmount) + payToThisNote;
+                note.status = this.getNoteStatus(note);
+                await note.save({ transaction });
+
+                remainingToApply -= payToThisNote;
+                appliedToNotes.push({
+                    noteNumber: note.noteNumber,
+                    appliedAmount: payToThisNote
+                });
+            }
+        }
+
+        return { appliedToOrders, appliedToNotes, remaining: remainingToApply };
+    }
+
+    /**
+     * Derive a credit/debit note status from how much of it has been used
+     */
+    static getNoteStatus(note) {
+        const applied = parseFloat(note.appliedAmount);
+        if (applied >= parseFloat(note.amount)) return 'applied';
+        if (applied > 0) return 'partially_applied';
+        return 'open';
+    }
+}
+
+module.exports = PaymentService;
@@ -250,6 +250,145 @@ class PdfService {
             doc.rect(x, 720, w, 15).fill('#ffffff');
         }
     }
+    // ============================
+    //  CREDIT / DEBIT NOTE PDF
+    // ============================
+
+    /**
+     * Generate a Credit/Debit Note PDF Buffer (for email attachments)
+     */
+    async generateCreditNoteBuffer(note) {
+        return new Promise(async (resolve, reject) => {
+            const settings = await this.getPdfSettings();
+            const doc = new PDFDocument({ margin: 50, size: 'A4' });
+            const chunks = [];
+
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            this._buildCreditNoteDoc(doc, settings, note);
+            doc.end();
+        });
+    }
+
+    /**
+     * Generate a Credit/Debit Note PDF to stream (for downloads)
+     */
+    async generateCreditNote(note, res) {
+        const settings = await this.getPdfSettings();
+        const doc = new PDFDocument({ margin: 50, size: 'A4' });
+        doc.pipe(res);
+        this._buildCreditNoteDoc(doc, settings, note);
+        doc.end();
+    }
+
+    /**
+     * Internal: build credit/debit note content (same layout as the sales receipt)
+     */
+    _buildCreditNoteDoc(doc, settings, note) {
+        const isDebit = note.type === 'debit';
+        const doctor = note.doctor || {};
+        const doctorUser = doctor.user || doctor;
+
+        // --- Header Section ---
+        doc
+            .fillColor('#444444')
+            .fontSize(20)
+            .text(settings.companyName, 50, 50)
+            .fontSize(10)
+            .text(`Phone: ${settings.companyPhone}`, 50, 75)
+            .text(settings.companyAddress, 50, 90)
+            .moveDown();
+
+        doc
+            .fontSize(25)
+            .fillColor('#1e293b')
+            .text(isDebit ? 'DEBIT NOTE' : 'CREDIT NOTE', 50, 130, { align: 'left' })
+            .fontSize(10)
+            .fillColor('#444444')
+            .text(`Note No: ${note.noteNumber}`, 400, 130, { align: 'right' })
+            .text(`Date: ${new Date(note.issuedAt).toLocaleDateString()}`, 400, 145, { align: 'right' })
+            .text(`Ref Order: ${note.order?.orderNumber || 'N/A'}`, 400, 160, { align: 'right' })
+            .moveDown();
+
+        doc
+            .strokeColor('#e2e8f0')
+            .lineWidth(1)
+            .moveTo(50, 180)
+            .lineTo(550, 180)
+            .stroke();
+
+        // --- Customer Section ---
+        doc
+            .fontSize(12)
+            .font('Helvetica-Bold')
+            .text(isDebit ? 'DEBIT TO:' : 'CREDIT TO:', 50, 200)
+            .font('Helvetica')
+            .fontSize(10)
+            .text(doctorUser.firstName ? `Dr. ${doctorUser.firstName} ${doctorUser.lastName || ''}` : 'Customer', 50, 215)
+            .text(doctor.hospitalClinic || 'N/A', 50, 230)
+            .text(`License: ${doctor.licenseNumber || 'N/A'}`, 50, 245)
+            .text(`Tel: ${doctorUser.phone || 'N/A'}`, 50, 260)
+            .moveDown();
+
+        // --- Table Section ---
+        const tableTop = 300;
+
+        doc.font('Helvetica-Bold');
+        this.generateTableRow(doc, tableTop, '#', 'DESCRIPTION', 'QTY', 'PRICE', '', 'AMOUNT');
+        this.generateHr(doc, tableTop + 20);
+        doc.font('Helvetica');
+
+        let position = tableTop + 30;
+        (note.items || []).forEach((item, index) => {
+            this.generateTableRow(
+                doc,
+                position,
+                index + 1,
+                item.batchNumber ? `${item.description} (Batch ${item.batchNumber})` : item.description,
+                item.quantity || 1,
+                parseFloat(item.unitPrice || item.amount).toFixed(2),
+                '',
+                parseFloat(item.amount).toFixed(2)
+            );
+
+            this.generateHr(doc, position + 20);
+            position += 30;
+        });
+
+        const totalPosition = position + 20;
+        doc.font('Helvetica-Bold').fontSize(12);
+        this.generateTotalRow(doc, totalPosition, 'TOTAL:', `${settings.currencySymbol} ${parseFloat(note.amount).toFixed(2)}`, settings);
+        doc.font('Helvetica').fontSize(10);
+
+        const appliedPosition = totalPosition + 25;
+        this.generateTotalRow(doc, appliedPosition, isDebit ? 'Settled:' : 'Applied:', parseFloat(note.appliedAmount || 0).toFixed(2), settings);
+
+        const balancePosition = appliedPosition + 20;
+        this.generateTotalRow(
+            doc, balancePosition, isDebit ? 'Balance Due:' : 'Unused Credit:',
+            (parseFloat(note.amount) - parseFloat(note.appliedAmount || 0)).toFixed(2), settings
+        );
+
+        // Reason
+        doc
+            .fontSize(10)
+            .font('Helvetica-Bold')
+            .text('Reason:', 50, appliedPosition)
+            .font('Helvetica')
+            .text(note.reason, 50, appliedPosition + 15, { width: 280 });
+
+        // Status badge
+        doc
+            .font('Helvetica-Bold')
+            .fillColor(note.status === 'cancelled' ? '#ef4444' : note.status === 'applied' ? '#10b981' : '#f59e0b')
+            .text(note.status.replace(/_/g, ' ').toUpperCase(), 450, balancePosition + 30, { align: 'right' });
+
+        // --- Footer Section ---
+        this.generateFooter(doc);
+    }
+
     // ============================
     //  PURCHASE ORDER PDF
     // ============================
@@ -614,6 +753,1050 @@ class PdfService {
                 marginL, 764, { align: 'center', width: pageWidth }
             );
     }
+
+    // ============================
+    //  GOODS RECEIPT NOTE PDF
+    // ============================
+
+    /**
+     * Generate a Goods Receipt Note PDF and stream it to the HTTP response
+     */
+    async generateGoodsReceiptPdf(grn, res) {
+        const settings = await this.getPdfSettings();
+        const doc = new PDFDocument({ margin: 50, size: 'A4' });
+        doc.pipe(res);
+        this._buildGoodsReceiptDoc(doc, settings, grn);
+        doc.end();
+    }
+
+    /**
+     * Internal: build GRN document content
+     */
+    _buildGoodsReceiptDoc(doc, settings, grn) {
+        const supplier = grn.supplier || {};
+        const po = grn.purchaseOrder || {};
+        const items = grn.items || [];
+        const pageWidth = 545;
+        const marginL = 50;
+
+        // ═══════════════════════════════════════════════════
+        //  TOP BANNER — title (left) and status badge (right)
+        // ═══════════════════════════════════════════════════
+        const statusColors = {
+            pending_inspection: '#f59e0b',
+            completed: '#10b981',
+            cancelled: '#ef4444',
+        };
+        const statusColor = statusColors[grn.status] || '#64748b';
+        const statusText = (grn.status || 'pending_inspection').replace(/_/g, ' ').toUpperCase();
+
+        doc
+            .fillColor('#0f172a')
+            .rect(marginL, 40, pageWidth, 52)
+            .fill();
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(20)
+            .fillColor('#ffffff')
+            .text('GOODS RECEIPT NOTE', marginL + 12, 55, { width: 330, align: 'left' });
+
+        doc
+            .fillColor(statusColor)
+            .roundedRect(marginL + pageWidth - 130, 56, 118, 20, 10)
+            .fill();
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(8)
+            .fillColor('#ffffff')
+            .text(statusText, marginL + pageWidth - 130, 62, { width: 118, align: 'center' });
+
+        doc
+            .fillColor('#10b981')
+            .rect(marginL, 92, pageWidth, 3)
+            .fill();
+
+        // ═══════════════════════════════════════════════════
+        //  HEADER ROW — Company info (left) | GRN ref box (right)
+        // ═══════════════════════════════════════════════════
+        const headerY = 106;
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(12)
+            .fillColor('#0f172a')
+            .text(settings.companyName, marginL, headerY, { width: 280 });
+
+        doc
+            .font('Helvetica')
+            .fontSize(8)
+            .fillColor('#64748b')
+            .text(`Phone: ${settings.companyPhone}`, marginL, headerY + 17)
+            .text(settings.companyAddress, marginL, headerY + 28)
+            .text(settings.companyEmail, marginL, headerY + 39);
+
+        const refBoxX = 365;
+        const refBoxY = headerY - 2;
+        const refBoxW = 180;
+        const refBoxH = 58;
+
+        doc
+            .fillColor('#f1f5f9')
+            .rect(refBoxX, refBoxY, refBoxW, refBoxH)
+            .fill();
+
+        doc
+            .font('Helvetica')
+            .fontSize(7.5)
+            .fillColor('#94a3b8')
+            .text('GRN NUMBER', refBoxX + 10, refBoxY + 8);
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(12)
+            .fillColor('#0f172a')
+            .text(grn.grnNumber, refBoxX + 10, refBoxY + 18, { width: refBoxW - 20 });
+
+        doc
+            .font('Helvetica')
+            .fontSize(7.5)
+            .fillColor('#64748b')
+            .text(`Received: ${new Date(grn.receivedAt || grn.createdAt).toLocaleDateString()}`, refBoxX + 10, refBoxY + 36)
+            .text(`PO: ${po.poNumber || 'N/A'}`, refBoxX + 10, refBoxY + 47);
+
+        // ═══════════════════════════════════════════════════
+        //  DIVIDER
+        // ═══════════════════════════════════════════════════
+        const divY = headerY + 66;
+        doc
+            .strokeColor('#e2e8f0')
+            .lineWidth(1)
+            .moveTo(marginL, divY)
+            .lineTo(pageWidth + marginL, divY)
+            .stroke();
+
+        // ═══════════════════════════════════════════════════
+        //  TWO-COLUMN INFO ROW: Supplier (left) | Delivery (right)
+        // ═══════════════════════════════════════════════════
+        const infoY = divY + 14;
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(8)
+            .fillColor('#94a3b8')
+            .text('SUPPLIER', marginL, infoY);
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(10)
+            .fillColor('#0f172a')
+            .text(supplier.name || 'N/A', marginL, infoY + 12, { width: 240 });
+
+        doc
+            .font('Helvetica')
+            .fontSize(8.5)
+            .fillColor('#475569');
+
+        const details = [
+            supplier.code ? `Code: ${supplier.code}` : null,
+            supplier.contactPerson ? `Contact: ${supplier.contactPerson}` : null,
+            supplier.phone ? `Phone: ${supplier.phone}` : null,
+        ].filter(Boolean);
+
+        let dY = infoY + 25;
+        details.forEach(line => {
+            doc.text(line, marginL, dY, { width: 240 });
+            dY += 12;
+        });
+
+        const person = user => (user ? `${user.firstName} ${user.lastName}` : 'N/A');
+        const delivery = [
+            `Delivery Note: ${grn.deliveryNoteNumber || 'N/A'}`,
+            `Warehouse: ${grn.warehouse?.name || 'Main stock'}`,
+            `Received By: ${person(grn.receiver)}`,
+            `Inspected By: ${grn.inspectedAt ? `${person(grn.inspector)} on ${new Date(grn.inspectedAt).toLocaleDateString()}` : 'Pending'}`,
+        ];
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(8)
+            .fillColor('#94a3b8')
+            .text('DELIVERY', 320, infoY);
+
+        doc
+            .font('Helvetica')
+            .fontSize(8.5)
+            .fillColor('#475569');
+
+        let rY = infoY + 12;
+        delivery.forEach(line => {
+            doc.text(line, 320, rY, { width: 225 });
+            rY += 12;
+        });
+
+        // ═══════════════════════════════════════════════════
+        //  LINE ITEMS TABLE
+        // ═══════════════════════════════════════════════════
+        const tableTop = Math.max(dY, rY) + 18;
+
+        const drawHeader = top => {
+            doc
+                .fillColor('#0f172a')
+                .rect(marginL, top, pageWidth, 20)
+                .fill();
+
+            doc
+                .font('Helvetica-Bold')
+                .fontSize(7.5)
+                .fillColor('#ffffff')
+                .text('#', 55, top + 6)
+                .text('PRODUCT / SKU', 70, top + 6, { width: 150 })
+                .text('BATCH', 225, top + 6, { width: 70 })
+                .text('EXPIRY', 300, top + 6, { width: 55 })
+                .text('RECEIVED', 355, top + 6, { width: 45, align: 'right' })
+                .text('ACCEPTED', 403, top + 6, { width: 45, align: 'right' })
+                .text('REJECTED', 451, top + 6, { width: 45, align: 'right' })
+                .text('QUAR.', 499, top + 6, { width: 44, align: 'right' });
+        };
+
+        drawHeader(tableTop);
+
+        let y = tableTop + 26;
+        items.forEach((item, idx) => {
+            const product = item.product || {};
+            const note = item.rejectionReason ? `Rejected: ${item.rejectionReason}` : item.inspectionNotes;
+            const rowHeight = (product.sku || note) ? 24 : 22;
+
+            if (y + rowHeight > 730) {
+                doc.addPage();
+                drawHeader(40);
+                y = 66;
+            }
+
+            doc.fillColor(idx % 2 === 0 ? '#ffffff' : '#f8fafc').rect(marginL, y - 4, pageWidth, rowHeight).fill();
+
+            doc
+                .font('Helvetica-Bold')
+                .fontSize(8)
+                .fillColor('#334155')
+                .text(String(idx + 1), 55, y)
+                .fillColor('#0f172a')
+                .text(product.name || `Product #${item.productId}`, 70, y, { width: 150, lineBreak: false, ellipsis: true });
+
+            if (product.sku || note) {
+                doc
+                    .font('Helvetica')
+                    .fontSize(7)
+                    .fillColor(item.rejectionReason ? '#ef4444' : '#94a3b8')
+                    .text(note || `SKU: ${product.sku}`, 70, y + 10, { width: 280, lineBreak: false, ellipsis: true });
+            }
+
+            doc
+                .font('Helvetica')
+                .fontSize(8)
+                .fillColor('#334155')
+                .text(item.batchNumber, 225, y, { width: 70, lineBreak: false, ellipsis: true })
+                .text(new Date(item.expiryDate).toLocaleDateString(), 300, y, { width: 55 })
+                .text(String(item.receivedQuantity), 355, y, { width: 45, align: 'right' })
+                .font('Helvetica-Bold')
+                .fillColor('#10b981')
+                .text(String(item.acceptedQuantity || 0), 403, y, { width: 45, align: 'right' })
+                .fillColor(item.rejectedQuantity ? '#ef4444' : '#334155')
+                .text(String(item.rejectedQuantity || 0), 451, y, { width: 45, align: 'right' })
+                .fillColor(item.quarantinedQuantity ? '#f59e0b' : '#334155')
+                .text(String(item.quarantinedQuantity || 0), 499, y, { width: 44, align: 'right' });
+
+            doc
+                .strokeColor('#e2e8f0')
+                .lineWidth(0.5)
+                .moveTo(marginL, y + rowHeight - 5)
+                .lineTo(pageWidth + marginL, y + rowHeight - 5)
+                .stroke();
+
+            y += rowHeight;
+        });
+
+        // ═══════════════════════════════════════════════════
+        //  TOTALS ROW
+        // ═══════════════════════════════════════════════════
+        y += 6;
+        doc
+            .fillColor('#0f172a')
+            .rect(marginL, y, pageWidth, 22)
+            .fill();
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(8.5)
+            .fillColor('#ffffff')
+            .text('TOTAL', 55, y + 7, { width: 150 })
+            .text(String(grn.receivedQuantity || 0), 355, y + 7, { width: 45, align: 'right' })
+            .fillColor('#10b981')
+            .text(String(grn.acceptedQuantity || 0), 403, y + 7, { width: 45, align: 'right' })
+            .fillColor('#ffffff')
+            .text(String(grn.rejectedQuantity || 0), 451, y + 7, { width: 45, align: 'right' })
+            .text(String(grn.quarantinedQuantity || 0), 499, y + 7, { width: 44, align: 'right' });
+
+        if (grn.notes) {
+            doc
+                .font('Helvetica-Bold')
+                .fontSize(8)
+                .fillColor('#94a3b8')
+                .text('NOTES', marginL, y + 36);
+            doc
+                .font('Helvetica')
+                .fontSize(8.5)
+                .fillColor('#475569')
+                .text(grn.notes, marginL, y + 48, { width: pageWidth });
+        }
+
+        // ═══════════════════════════════════════════════════
+        //  FOOTER
+        // ═══════════════════════════════════════════════════
+        doc
+            .fillColor('#e2e8f0')
+            .rect(marginL, 748, pageWidth, 1)
+            .fill();
+
+        doc
+            .font('Helvetica')
+            .fontSize(7.5)
+            .fillColor('#94a3b8')
+            .text(
+                `Goods received by ${settings.companyName}. Only accepted quantities are added to sellable stock.`,
+                marginL, 754, { align: 'center', width: pageWidth }
+            )
+            .text(
+                `${settings.companyEmail}  |  ${settings.companyPhone}`,
+                marginL, 764, { align: 'center', width: pageWidth }
+            );
+    }
+
+    // ============================
+    //  SUPPLIER RETURN PDF
+    // ============================
+
+    /**
+     * Generate a Supplier Return PDF Buffer (for email attachments)
+     */
+    async generateSupplierReturnPdfBuffer(supplierReturn) {
+        return new Promise(async (resolve, reject) => {
+            const settings = await this.getPdfSettings();
+            const doc = new PDFDocument({ margin: 50, size: 'A4' });
+            const chunks = [];
+
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            this._buildSupplierReturnDoc(doc, settings, supplierReturn);
+            doc.end();
+        });
+    }
+
+    /**
+     * Generate a Supplier Return PDF and stream it to the HTTP response (for downloads)
+     */
+    async generateSupplierReturnPdf(supplierReturn, res) {
+        const settings = await this.getPdfSettings();
+        const doc = new PDFDocument({ margin: 50, size: 'A4' });
+        doc.pipe(res);
+        this._buildSupplierReturnDoc(doc, settings, supplierReturn);
+        doc.end();
+    }
+
+    /**
+     * Internal: build supplier return document content
+     */
+    _buildSupplierReturnDoc(doc, settings, supplierReturn) {
+        const supplier = supplierReturn.supplier || {};
+        const items = supplierReturn.items || [];
+        const pageWidth = 545;
+        const marginL = 50;
+        const money = value => `${settings.currencySymbol} ${parseFloat(value || 0).toFixed(2)}`;
+
+        // ═══════════════════════════════════════════════════
+        //  TOP BANNER — title (left) and status badge (right)
+        // ═══════════════════════════════════════════════════
+        const statusColors = {
+            draft: '#64748b',
+            dispatched: '#3b82f6',
+            partially_credited: '#f59e0b',
+            credited: '#10b981',
+            cancelled: '#ef4444',
+        };
+        const statusColor = statusColors[supplierReturn.status] || '#64748b';
+        const statusText = (supplierReturn.status || 'draft').replace(/_/g, ' ').toUpperCase();
+
+        doc
+            .fillColor('#0f172a')
+            .rect(marginL, 40, pageWidth, 52)
+            .fill();
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(20)
+            .fillColor('#ffffff')
+            .text('RETURN TO SUPPLIER', marginL + 12, 55, { width: 330, align: 'left' });
+
+        doc
+            .fillColor(statusColor)
+            .roundedRect(marginL + pageWidth - 130, 56, 118, 20, 10)
+            .fill();
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(8)
+            .fillColor('#ffffff')
+            .text(statusText, marginL + pageWidth - 130, 62, { width: 118, align: 'center' });
+
+        doc
+            .fillColor('#10b981')
+            .rect(marginL, 92, pageWidth, 3)
+            .fill();
+
+        // ═══════════════════════════════════════════════════
+        //  HEADER ROW — Company info (left) | Return ref box (right)
+        // ═══════════════════════════════════════════════════
+        const headerY = 106;
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(12)
+            .fillColor('#0f172a')
+            .text(settings.companyName, marginL, headerY, { width: 280 });
+
+        doc
+            .font('Helvetica')
+            .fontSize(8)
+            .fillColor('#64748b')
+            .text(`Phone: ${settings.companyPhone}`, marginL, headerY + 17)
+            .text(settings.companyAddress, marginL, headerY + 28)
+            .text(settings.companyEmail, marginL, headerY + 39);
+
+        const refBoxX = 365;
+        const refBoxY = headerY - 2;
+        const refBoxW = 180;
+        const refBoxH = 58;
+
+        doc
+            .fillColor('#f1f5f9')
+            .rect(refBoxX, refBoxY, refBoxW, refBoxH)
+            .fill();
+
+        doc
+            .font('Helvetica')
+            .fontSize(7.5)
+            .fillColor('#94a3b8')
+            .text('RETURN NUMBER', refBoxX + 10, refBoxY + 8);
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(12)
+            .fillColor('#0f172a')
+            .text(supplierReturn.returnNumber, refBoxX + 10, refBoxY + 18, { width: refBoxW - 20 });
+
+        doc
+            .font('Helvetica')
+            .fontSize(7.5)
+            .fillColor('#64748b')
+            .text(
+                `Date: ${new Date(supplierReturn.dispatchedAt || supplierReturn.createdAt).toLocaleDateString()}`,
+                refBoxX + 10, refBoxY + 36
+            )
+            .text(`Original PO: ${supplierReturn.purchaseOrder?.poNumber || 'N/A'}`, refBoxX + 10, refBoxY + 47);
+
+        // ═══════════════════════════════════════════════════
+        //  DIVIDER
+        // ═══════════════════════════════════════════════════
+        const divY = headerY + 66;
+        doc
+            .strokeColor('#e2e8f0')
+            .lineWidth(1)
+            .moveTo(marginL, divY)
+            .lineTo(pageWidth + marginL, divY)
+            .stroke();
+
+        // ═══════════════════════════════════════════════════
+        //  TWO-COLUMN INFO ROW: Supplier (left) | Reason & notes (right)
+        // ═══════════════════════════════════════════════════
+        const infoY = divY + 14;
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(8)
+            .fillColor('#94a3b8')
+            .text('RETURN TO', marginL, infoY);
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(10)
+            .fillColor('#0f172a')
+            .text(supplier.name || 'N/A', marginL, infoY + 12, { width: 240 });
+
+        doc
+            .font('Helvetica')
+            .fontSize(8.5)
+            .fillColor('#475569');
+
+        const details = [
+            supplier.code ? `Code: ${supplier.code}` : null,
+            supplier.contactPerson ? `Contact: ${supplier.contactPerson}` : null,
+            supplier.email ? `Email: ${supplier.email}` : null,
+            supplier.phone ? `Phone: ${supplier.phone}` : null,
+            supplier.address ? `Address: ${supplier.address}` : null,
+        ].filter(Boolean);
+
+        let dY = infoY + 25;
+        details.forEach(line => {
+            doc.text(line, marginL, dY, { width: 240 });
+            dY += 12;
+        });
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(8)
+            .fillColor('#94a3b8')
+            .text('REASON', 320, infoY);
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(10)
+            .fillColor('#0f172a')
+            .text((supplierReturn.reason || 'other').replace(/_/g, ' ').toUpperCase(), 320, infoY + 12, { width: 225 });
+
+        if (supplierReturn.notes) {
+            doc
+                .font('Helvetica')
+                .fontSize(8.5)
+                .fillColor('#475569')
+                .text(supplierReturn.notes, 320, infoY + 27, { width: 225, height: 48, ellipsis: true });
+        }
+
+        // ═══════════════════════════════════════════════════
+        //  LINE ITEMS TABLE
+        // ═══════════════════════════════════════════════════
+        const tableTop = Math.max(dY + 18, infoY + 90);
+
+        const drawHeader = top => {
+            doc
+                .fillColor('#0f172a')
+                .rect(marginL, top, pageWidth, 20)
+                .fill();
+
+            doc
+                .font('Helvetica-Bold')
+                .fontSize(8)
+                .fillColor('#ffffff')
+                .text('#', 55, top + 6)
+                .text('PRODUCT / SKU', 75, top + 6, { width: 165 })
+                .text('BATCH', 245, top + 6, { width: 80 })
+                .text('EXPIRY', 330, top + 6, { width: 60 })
+                .text('QTY', 390, top + 6, { width: 35, align: 'right' })
+                .text('UNIT COST', 430, top + 6, { width: 55, align: 'right' })
+                .text('CREDIT', 490, top + 6, { width: 53, align: 'right' });
+        };
+
+        drawHeader(tableTop);
+
+        let y = tableTop + 26;
+        items.forEach((item, idx) => {
+            const product = item.product || {};
+            const rowHeight = product.sku ? 24 : 22;
+
+            if (y + rowHeight > 640) {
+                doc.addPage();
+                drawHeader(40);
+                y = 66;
+            }
+
+            doc.fillColor(idx % 2 === 0 ? '#ffffff' : '#f8fafc').rect(marginL, y - 4, pageWidth, rowHeight).fill();
+
+            doc
+                .font('Helvetica-Bold')
+                .fontSize(8)
+                .fillColor('#334155')
+                .text(String(idx + 1), 55, y)
+                .fillColor('#0f172a')
+                .text(product.name || `Product #${item.productId}`, 75, y, { width: 165, lineBreak: false, ellipsis: true });
+
+            if (product.sku) {
+                doc
+                    .font('Helvetica')
+                    .fontSize(7)
+                    .fillColor('#94a3b8')
+                    .text(`SKU: ${product.sku}`, 75, y + 10, { width: 165 });
+            }
+
+            doc
+                .font('Helvetica')
+                .fontSize(8.5)
+                .fillColor('#334155')
+                .text(item.batchNumber, 245, y, { width: 80, lineBreak: false, ellipsis: true })
+                .text(item.expiryDate ? new Date(item.expiryDate).toLocaleDateString() : '—', 330, y, { width: 60 })
+                .text(String(item.quantity), 390, y, { width: 35, align: 'right' })
+                .text(parseFloat(item.unitCost).toFixed(2), 430, y, { width: 55, align: 'right' })
+                .font('Helvetica-Bold')
+                .fillColor('#10b981')
+                .text(parseFloat(item.creditAmount).toFixed(2), 490, y, { width: 53, align: 'right' });
+
+            doc
+                .strokeColor('#e2e8f0')
+                .lineWidth(0.5)
+                .moveTo(marginL, y + rowHeight - 5)
+                .lineTo(pageWidth + marginL, y + rowHeight - 5)
+                .stroke();
+
+            y += rowHeight;
+        });
+
+        // ═══════════════════════════════════════════════════
+        //  CREDIT SECTION
+        // ═══════════════════════════════════════════════════
+        y += 8;
+
+        doc
+            .fillColor('#f8fafc')
+            .rect(350, y - 4, pageWidth + marginL - 350, 44)
+            .fill();
+
+        doc
+            .font('Helvetica')
+            .fontSize(9)
+            .fillColor('#64748b')
+            .text('Total Units:', 355, y, { width: 130, align: 'right' })
+            .fillColor('#0f172a')
+            .text(String(supplierReturn.totalQuantity || 0), 490, y, { width: 55, align: 'right' });
+
+        y += 16;
+        doc
+            .font('Helvetica')
+            .fontSize(9)
+            .fillColor('#64748b')
+            .text('Credit Received:', 355, y, { width: 130, align: 'right' })
+            .fillColor('#0f172a')
+            .text(money(supplierReturn.receivedCreditAmount), 470, y, { width: 75, align: 'right' });
+
+        y += 14;
+        doc
+            .fillColor('#0f172a')
+            .rect(350, y, pageWidth + marginL - 350, 22)
+            .fill();
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(11)
+            .fillColor('#ffffff')
+            .text('CREDIT EXPECTED:', 355, y + 5, { width: 120, align: 'right' })
+            .fillColor('#10b981')
+            .text(money(supplierReturn.expectedCreditAmount), 465, y + 5, { width: 80, align: 'right' });
+
+        // ═══════════════════════════════════════════════════
+        //  FOOTER
+        // ═══════════════════════════════════════════════════
+        doc
+            .fillColor('#e2e8f0')
+            .rect(marginL, 748, pageWidth, 1)
+            .fill();
+
+        doc
+            .font('Helvetica')
+            .fontSize(7.5)
+            .fillColor('#94a3b8')
+            .text(
+                `Please issue a credit note quoting ${supplierReturn.returnNumber} to ${settings.companyName}.`,
+                marginL, 754, { align: 'center', width: pageWidth }
+            )
+            .text(
+                `${settings.companyEmail}  |  ${settings.companyPhone}`,
+                marginL, 764, { align: 'center', width: pageWidth }
+            );
+    }
+
+    // ============================
+    //  DOCTOR ACCOUNT STATEMENT PDF
+    // ============================
+
+    /**
+     * Generate a doctor account statement PDF and stream it to the HTTP response
+     * @param {Object} statement - Result of StatementService.getDoctorStatement
+     */
+    async generateDoctorStatement(statement, res) {
+        const settings = await this.getPdfSettings();
+        const doc = new PDFDocument({ margin: 50, size: 'A4' });
+        doc.pipe(res);
+        this._buildDoctorStatementDoc(doc, settings, statement);
+        doc.end();
+    }
+
+    /**
+     * Internal: build statement content, continuing the ledger table over extra pages
+     */
+    _buildDoctorStatementDoc(doc, settings, statement) {
+        const { doctor, period, entries, totals } = statement;
+        const pageWidth = 545;
+        const marginL = 50;
+        const money = value => parseFloat(value || 0).toFixed(2);
+
+        // --- Banner ---
+        doc
+            .fillColor('#0f172a')
+            .rect(marginL, 40, pageWidth, 52)
+            .fill();
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(20)
+            .fillColor('#ffffff')
+            .text('ACCOUNT STATEMENT', marginL + 12, 55, { width: 330, align: 'left' });
+
+        doc
+            .fillColor('#10b981')
+            .rect(marginL, 92, pageWidth, 3)
+            .fill();
+
+        // --- Company (left) | Period box (right) ---
+        const headerY = 106;
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(12)
+            .fillColor('#0f172a')
+            .text(settings.companyName, marginL, headerY, { width: 280 });
+
+        doc
+            .font('Helvetica')
+            .fontSize(8)
+            .fillColor('#64748b')
+            .text(`Phone: ${settings.companyPhone}`, marginL, headerY + 17)
+            .text(settings.companyAddress, marginL, headerY + 28)
+            .text(settings.companyEmail, marginL, headerY + 39);
+
+        const refBoxX = 365;
+        const refBoxW = 180;
+
+        doc
+            .fillColor('#f1f5f9')
+            .rect(refBoxX, headerY - 2, refBoxW, 58)
+            .fill();
+
+        doc
+            .font('Helvetica')
+            .fontSize(7.5)
+            .fillColor('#94a3b8')
+            .text('STATEMENT PERIOD', refBoxX + 10, headerY + 6);
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(9)
+            .fillColor('#0f172a')
+            .text(
+                `${period.startDate ? new Date(period.startDate).toLocaleDateString() : 'Beginning'} - ${new Date(period.endDate).toLocaleDateString()}`,
+                refBoxX + 10, headerY + 17, { width: refBoxW - 20 }
+            );
+
+        doc
+            .font('Helvetica')
+            .fontSize(7.5)
+            .fillColor('#64748b')
+            .text(`Generated: ${new Date().toLocaleDateString()}`, refBoxX + 10, headerY + 34);
+
+        // --- Doctor details ---
+        const infoY = headerY + 80;
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(8)
+            .fillColor('#94a3b8')
+            .text('STATEMENT FOR', marginL, infoY);
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(10)
+            .fillColor('#0f172a')
+            .text(doctor.name ? `Dr. ${doctor.name}` : 'Customer', marginL, infoY + 12, { width: 260 });
+
+        doc
+            .font('Helvetica')
+            .fontSize(8.5)
+            .fillColor('#475569')
+            .text(doctor.hospitalClinic || 'N/A', marginL, infoY + 26, { width: 260 })
+            .text(`License: ${doctor.licenseNumber || 'N/A'}`, marginL, infoY + 38)
+            .text(`Tel: ${doctor.phone || 'N/A'}`, marginL, infoY + 50);
+
+        doc
+            .font('Helvetica')
+            .fontSize(8.5)
+            .fillColor('#64748b')
+            .text('Credit Limit:', 355, infoY + 12, { width: 110, align: 'right' })
+            .text('Opening Balance:', 355, infoY + 26, { width: 110, align: 'right' })
+            .text('Closing Balance:', 355, infoY + 40, { width: 110, align: 'right' })
+            .font('Helvetica-Bold')
+            .fillColor('#0f172a')
+            .text(`${settings.currencySymbol} ${money(doctor.creditLimit)}`, 465, infoY + 12, { width: 80, align: 'right' })
+            .text(`${settings.currencySymbol} ${money(statement.openingBalance)}`, 465, infoY + 26, { width: 80, align: 'right' })
+            .text(`${settings.currencySymbol} ${money(statement.closingBalance)}`, 465, infoY + 40, { width: 80, align: 'right' });
+
+        // --- Ledger table ---
+        const drawTableHeader = (top) => {
+            doc
+                .fillColor('#0f172a')
+                .rect(marginL, top, pageWidth, 20)
+                .fill();
+
+            doc
+                .font('Helvetica-Bold')
+                .fontSize(8)
+                .fillColor('#ffffff')
+                .text('DATE', 55, top + 6, { width: 55 })
+                .text('REFERENCE', 112, top + 6, { width: 85 })
+                .text('DESCRIPTION', 200, top + 6, { width: 150 })
+                .text('DEBIT', 352, top + 6, { width: 60, align: 'right' })
+                .text('CREDIT', 417, top + 6, { width: 60, align: 'right' })
+                .text('BALANCE', 482, top + 6, { width: 60, align: 'right' });
+
+            return top + 26;
+        };
+
+        const drawRow = (y, row, idx, bold = false) => {
+            doc.fillColor(idx % 2 === 0 ? '#ffffff' : '#f8fafc').rect(marginL, y - 4, pageWidth, 20).fill();
+
+            doc
+                .font(bold ? 'Helvetica-Bold' : 'Helvetica')
+                .fontSize(8)
+                .fillColor('#334155')
+                .text(row.date, 55, y, { width: 55 })
+                .text(row.reference, 112, y, { width: 85, ellipsis: true, height: 10 })
+                .text(row.description, 200, y, { width: 150, ellipsis: true, height: 10 })
+                .text(row.debit, 352, y, { width: 60, align: 'right' })
+                .text(row.credit, 417, y, { width: 60, align: 'right' })
+                .font('Helvetica-Bold')
+                .fillColor('#0f172a')
+                .text(row.balance, 482, y, { width: 60, align: 'right' });
+
+            doc
+                .strokeColor('#e2e8f0')
+                .lineWidth(0.5)
+                .moveTo(marginL, y + 15)
+                .lineTo(pageWidth + marginL, y + 15)
+                .stroke();
+
+            return y + 20;
+        };
+
+        let y = drawTableHeader(infoY + 75);
+
+        y = drawRow(y, {
+            date: period.startDate ? new Date(period.startDate).toLocaleDateString() : '',
+            reference: '',
+            description: 'Opening balance',
+            debit: '',
+            credit: '',
+            balance: money(statement.openingBalance)
+        }, 0, true);
+
+        entries.forEach((entry, idx) => {
+            if (y > 720) {
+                doc.addPage();
+                y = drawTableHeader(50);
+            }
+
+            y = drawRow(y, {
+                date: new Date(entry.date).toLocaleDateString(),
+                reference: entry.reference || '',
+                description: entry.description || '',
+                debit: entry.debit ? money(entry.debit) : '',
+                credit: entry.credit ? money(entry.credit) : '',
+                balance: money(entry.balance)
+            }, idx + 1);
+        });
+
+        if (y > 700) {
+            doc.addPage();
+            y = 50;
+        }
+
+        // --- Totals ---
+        y += 6;
+        doc
+            .fillColor('#0f172a')
+            .rect(marginL, y, pageWidth, 22)
+            .fill();
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(9)
+            .fillColor('#ffffff')
+            .text('PERIOD TOTALS / CLOSING BALANCE', 55, y + 7, { width: 290 })
+            .text(money(totals.debit), 352, y + 7, { width: 60, align: 'right' })
+            .text(money(totals.credit), 417, y + 7, { width: 60, align: 'right' })
+            .fillColor('#10b981')
+            .text(money(statement.closingBalance), 482, y + 7, { width: 60, align: 'right' });
+
+        doc
+            .font('Helvetica')
+            .fontSize(7.5)
+            .fillColor('#94a3b8')
+            .text(
+                'Positive balance is the amount due to us; a negative balance is credit in your favour.',
+                marginL, y + 32, { align: 'center', width: pageWidth }
+            );
+    }
+    // ============================
+    //  AGED RECEIVABLES PDF
+    // ============================
+
+    /**
+     * Generate the aged receivables report PDF and stream it to the HTTP response
+     * @param {Object} report - Result of ReceivablesService.getAgingReport
+     */
+    async generateAgingReport(report, res) {
+        const settings = await this.getPdfSettings();
+        const doc = new PDFDocument({ margin: 40, size: 'A4', layout: 'landscape' });
+        doc.pipe(res);
+        this._buildAgingReportDoc(doc, settings, report);
+        doc.end();
+    }
+
+    /**
+     * Internal: build aged receivables content (one row per doctor)
+     */
+    _buildAgingReportDoc(doc, settings, report) {
+        const pageWidth = 762;
+        const marginL = 40;
+        const money = value => parseFloat(value || 0).toFixed(2);
+        const amountColumns = [...report.buckets, { key: 'total', label: 'Total Due' }];
+        const amountX = 330;
+        const amountW = (pageWidth + marginL - amountX) / amountColumns.length;
+
+        // --- Banner ---
+        doc
+            .fillColor('#0f172a')
+            .rect(marginL, 30, pageWidth, 44)
+            .fill();
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(18)
+            .fillColor('#ffffff')
+            .text('AGED RECEIVABLES', marginL + 12, 44, { width: 400 });
+
+        doc
+            .font('Helvetica')
+            .fontSize(9)
+            .fillColor('#cbd5e1')
+            .text(`As of ${new Date(report.asOf).toLocaleDateString()}`, marginL + pageWidth - 212, 48, { width: 200, align: 'right' });
+
+        doc
+            .fillColor('#10b981')
+            .rect(marginL, 74, pageWidth, 3)
+            .fill();
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(10)
+            .fillColor('#0f172a')
+            .text(settings.companyName, marginL, 86)
+            .font('Helvetica')
+            .fontSize(8)
+            .fillColor('#64748b')
+            .text(`${settings.companyAddress}  |  ${settings.companyPhone}  |  ${settings.companyEmail}`, marginL, 100);
+
+        // --- Table ---
+        const drawTableHeader = (top) => {
+            doc
+                .fillColor('#0f172a')
+                .rect(marginL, top, pageWidth, 20)
+                .fill();
+
+            doc
+                .font('Helvetica-Bold')
+                .fontSize(8)
+                .fillColor('#ffffff')
+                .text('DOCTOR', marginL + 5, top + 6, { width: 150 })
+                .text('LICENSE', marginL + 160, top + 6, { width: 80 })
+                .text('ORDERS', marginL + 245, top + 6, { width: 40, align: 'right' });
+
+            amountColumns.forEach((col, i) => {
+                doc.text(col.label.toUpperCase(), amountX + i * amountW, top + 6, { width: amountW - 5, align: 'right' });
+            });
+
+            return top + 26;
+        };
+
+        const drawRow = (y, row, idx) => {
+            doc.fillColor(idx % 2 === 0 ? '#ffffff' : '#f8fafc').rect(marginL, y - 4, pageWidth, 20).fill();
+
+            doc
+                .font('Helvetica')
+                .fontSize(8)
+                .fillColor('#334155')
+                .text(row.name || `Doctor #${row.doctorId}`, marginL + 5, y, { width: 150, ellipsis: true, height: 10 })
+                .text(row.licenseNumber || '', marginL + 160, y, { width: 80, ellipsis: true, height: 10 })
+                .text(String(row.orderCount), marginL + 245, y, { width: 40, align: 'right' });
+
+            amountColumns.forEach((col, i) => {
+                const isTotal = col.key === 'total';
+                doc
+                    .font(isTotal ? 'Helvetica-Bold' : 'Helvetica')
+                    .fillColor(!isTotal && col.key !== 'current' && row[col.key] > 0 ? '#dc2626' : '#0f172a')
+                    .text(row[col.key] ? money(row[col.key]) : '-', amountX + i * amountW, y, { width: amountW - 5, align: 'right' });
+            });
+
+            doc
+                .strokeColor('#e2e8f0')
+                .lineWidth(0.5)
+                .moveTo(marginL, y + 15)
+                .lineTo(pageWidth + marginL, y + 15)
+                .stroke();
+
+            return y + 20;
+        };
+
+        let y = drawTableHeader(120);
+
+        report.doctors.forEach((row, idx) => {
+            if (y > 520) {
+                doc.addPage();
+                y = drawTableHeader(40);
+            }
+            y = drawRow(y, row, idx);
+        });
+
+        if (!report.doctors.length) {
+            doc
+                .font('Helvetica')
+                .fontSize(9)
+                .fillColor('#64748b')
+                .text('No outstanding credit orders.', marginL, y + 4, { width: pageWidth, align: 'center' });
+            y += 24;
+        }
+
+        if (y > 530) {
+            doc.addPage();
+            y = 40;
+        }
+
+        // --- Totals ---
+        y += 6;
+        doc
+            .fillColor('#0f172a')
+            .rect(marginL, y, pageWidth, 22)
+            .fill();
+
+        doc
+            .font('Helvetica-Bold')
+            .fontSize(9)
+            .fillColor('#ffffff')
+            .text('TOTAL', marginL + 5, y + 7, { width: 150 })
+            .text(String(report.doctors.reduce((sum, row) => sum + row.orderCount, 0)), marginL + 245, y + 7, { width: 40, align: 'right' });
+
+        amountColumns.forEach((col, i) => {
+            doc
+                .fillColor(col.key === 'total' ? '#10b981' : '#ffffff')
+                .text(money(report.totals[col.key]), amountX + i * amountW, y + 7, { width: amountW - 5, align: 'right' });
+        });
+    }
 }
 
 module.exports = new PdfService();
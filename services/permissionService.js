@@ -0,0 +1,90 @@
+const { Permission, RolePermission } = require('../models');
+
+/**
+ * Permission Service - Resolves what a role may do (module.action permissions)
+ */
+class PermissionService {
+    // Super admin bypasses the permission table entirely
+    static SUPER_ADMIN_LEVEL = 100;
+
+    static isSuperAdmin(user) {
+        return !!user && user.roleLevel >= this.SUPER_ADMIN_LEVEL;
+    }
+
+    /**
+     * Whether the user's role holds an active module.action permission
+     * @param {Object} user - req.user
+     */
+    static async hasPermission(user, module, action) {
+        if (!user) return false;
+        if (this.isSuperAdmin(user)) return true;
+
+        const granted = await RolePermission.count({
+            where: { roleId: user.roleId },
+            include: [{
+                model: Permission,
+                as: 'permission',
+                where: { module, action, isActive: true },
+                required: true
+            }]
+        });
+
+        return granted > 0;
+    }
+
+    /**
+     * Active permission names ('module.action') held by the user's role
+     * @returns {Set<string>}
+     */
+    static async getGrantedPermissions(user) {
+        if (this.isSuperAdmin(user)) {
+            const permissions = await Permission.findAll({ where: { isActive: true }, attributes: ['module', 'action'] });
+            return new Set(permissions.map(p => `${p.module}.${p.action}`));
+        }
+
+        const rolePermissions = await RolePermission.findAll({
+            where: { roleId: user.roleId },
+            include: [{
+                model: Permission,
+                as: 'permission',
+                where: { isActive: true },
+                attributes: ['module', 'action'],
+                required: true
+            }]
+        });
+
+        return new Set(rolePermissions.map(rp => `${rp.permission.module}.${rp.permission.action}`));
+    }
+
+    /**
+     * Every active permission laid out as module x action with the user's grants
+     * @returns {Object} - { actions, modules: { [module]: { [action]: boolean } }, permissions }
+     */
+    static async getPermissionMatrix(user) {
+        const [permissions, granted] = await Promise.all([
+            Permission.findAll({
+                where: { isActive: true },
+                attributes: ['module', 'action'],
+                order: [['module', 'ASC'], ['action', 'ASC']]
+            }),
+            this.getGrantedPermissions(user)
+        ]);
+
+        const modules = {};
+        const actions = new Set();
+
+        for (const { module, action } of permissions) {
+            modules[module] = modules[module] || {};
+            modules[module][action] = granted.has(`${module}.${action}`);
+            actions.add(action);
+        }
+
+        return {
+            actions: [...actions].sort(),
+            modules,
+            permissions: [...granted].sort()
+        };
+    }
+}
+
+module.exports = PermissionService;
@@ -0,0 +1,92 @@
+const { PurchaseOrder, PurchaseOrderItem, sequelize } = require('../models');
+
+/**
+ * Purchase Order Service - PO numbering and creation shared by manual and generated orders
+ */
+class PurchaseOrderService {
+    /**
+     * Generate unique PO number
+     */
+    static async generatePONumber(transaction = null) {
+        const prefix = 'PO';
+        const date = new Date();
+        const dateStr = date.getFullYear().toString().slice(-2) +
+            (date.getMonth() + 1).toString().padStart(2, '0') +
+            date.getDate().toString().padStart(2, '0');
+
+        const count = await PurchaseOrder.count({ transaction });
+        return `${prefix}${dateStr}${(count + 1).toString().padStart(4, '0')}`;
+    }
+
+    /**
+     * Create a draft purchase order with its lines and totals
+     * @param {Object} data - { supplierId, expectedDate, notes, items: [{ productId, quantity, unitPrice, taxPercentage }] }
+     * @param {Object} req - Request object
+     * @param {Object} externalTransaction - Optional external transaction
+     * @returns {Object} - PurchaseOrder
+     */
+    static async createPurchaseOrder(data, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            const { supplierId, items, expectedDate, notes } = data;
+
+            const lines = items.map(item => {
+                const itemTotal = item.quantity * item.unitPrice;
+                const taxAmount = itemTotal * (item.taxPercentage / 100 || 0);
+                return { ...item, taxAmount, total: itemTotal + taxAmount };
+            });
+
+            const po = await PurchaseOrder.create({
+                poNumber: await this.generatePONumber(transaction),
+                supplierId,
+                expectedDate,
+                notes,
+                totalAmount: lines.reduce((sum, line) => sum + line.total, 0),
+                status: 'draft',
+                createdBy: req?.user?.id
+            }, { transaction });
+
+            for (const line of lines) {
+                await PurchaseOrderItem.create({
+                    purchaseOrderId: po.id,
+                    productId: line.productId,
+                    quantity: line.quantity,
+                    unitPrice: line.unitPrice,
+                    taxPercentage: line.taxPercentage || 0,
+                    taxAmount: line.taxAmount,
+                    total: line.total
+                }, { transaction });
+            }
+
+            if (shouldCommit) await transaction.commit();
+
+            return po;
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Set a purchase order to received / partially_received from its lines' received quantities
+     * @param {Object} po - PurchaseOrder with items
+     */
+    static async refreshReceiptStatus(po, transaction = null) {
+        const allReceived = po.items.every(item => (item.receivedQuantity || 0) >= item.quantity);
+        const someReceived = po.items.some(item => (item.receivedQuantity || 0) > 0);
+
+        if (allReceived) {
+            po.status = 'received';
+            po.receivedDate = new Date();
+        } else if (someReceived) {
+            po.status = 'partially_received';
+        }
+
+        await po.save({ transaction });
+        return po;
+    }
+}
+
+module.exports = PurchaseOrderService;
@@ -0,0 +1,318 @@
+const {
+    BatchRecall, BatchRecallRecipient, ProductBatch, Product, Order, OrderItem, OrderItemBatch,
+    InventoryMovement, User, Doctor, sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const AuditLogService = require('./auditLogService');
+const NotificationService = require('./notificationService');
+const BatchAllocationService = require('./batchAllocationService');
+const InventoryService = require('./inventoryService');
+const WarehouseService = require('./warehouseService');
+
+/**
+ * Recall Service - Batch recalls, quarantine and affected-customer tracing
+ */
+class RecallService {
+    /**
+     * Generate recall number (RCL-YYMMDD-0001)
+     */
+    static async generateRecallNumber(transaction = null) {
+        const prefix = 'RCL';
+        const date = new Date();
+        const dateStr = date.getFullYear().toString().slice(-2) +
+            (date.getMonth() + 1).toString().padStart(2, '0') +
+            date.getDate().toString().padStart(2, '0');
+
+        const startOfDay = new Date(date.setHours(0, 0, 0, 0));
+        const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+
+        const count = await BatchRecall.count({
+            where: {
+                createdAt: { [Op.between]: [startOfDay, endOfDay] }
+            },
+            transaction
+        });
+
+        return `${prefix}-${dateStr}-${(count + 1).toString().padStart(4, '0')}`;
+    }
+
+    /**
+     * Orders that received stock from a batch, one entry per order.
+     * Uses shipped FEFO allocations, and the batch number copied onto older order lines
+     * that were placed before allocations were recorded.
+     * @param {Object} batch - ProductBatch
+     * @param {Object} transaction - Optional transaction
+     * @returns {Array} - [{ orderId, userId, doctorId, quantity }]
+     */
+    static async traceRecipients(batch, transaction = null) {
+        const orderWhere = { isDeleted: false, status: { [Op.ne]: 'cancelled' } };
+        const byOrder = new Map();
+
+        const add = (order, quantity) => {
+            if (quantity <= 0) return;
+            const entry = byOrder.get(order.id) || {
+                orderId: order.id,
+                userId: order.userId,
+                doctorId: order.doctorId,
+                quantity: 0
+            };
+            entry.quantity += quantity;
+            byOrder.set(order.id, entry);
+        };
+
+        const allocations = await OrderItemBatch.findAll({
+            where: { productBatchId: batch.id, status: { [Op.in]: ['allocated', 'shipped'] } },
+            include: [
+                { model: OrderItem, as: 'orderItem', where: { fulfilledQuantity: { [Op.gt]: 0 } } },
+                { model: Order, as: 'order', where: orderWhere }
+            ],
+            transaction
+        });
+
+        // Lines shipped before shipments marked their allocations only have allocated rows
+        const allocatedItemIds = allocations.filter(a => a.status === 'allocated').map(a => a.orderItemId);
+        const markedItemIds = new Set(allocatedItemIds.length
+            ? (await OrderItemBatch.findAll({
+                where: { orderItemId: allocatedItemIds, status: 'shipped' },
+                attributes: ['orderItemId'],
+                transaction
+            })).map(a => a.orderItemId)
+            : []);
+
+        for (const allocation of allocations) {
+            if (allocation.status === 'shipped') {
+                add(allocation.order, allocation.quantity);
+            } else if (!markedItemIds.has(allocation.orderItemId)) {
+                add(allocation.order, Math.min(allocation.quantity, allocation.orderItem.fulfilledQuantity));
+            }
+        }
+
+        const legacyItems = await OrderItem.findAll({
+            where: {
+                productId: batch.productId,
+                batchNumber: batch.batchNumber,
+                fulfilledQuantity: { [Op.gt]: 0 },
+                '$batchAllocations.id$': null
+            },
+            include: [
+                { model: OrderItemBatch, as: 'batchAllocations', required: false, attributes: [] },
+                { model: Order, as: 'order', where: orderWhere }
+            ],
+            transaction
+        });
+
+        for (const item of legacyItems) {
+            add(item.order, item.fulfilledQuantity);
+        }
+
+        return [...byOrder.values()];
+    }
+
+    /**
+     * Raise a recall: quarantine the batch, move unshipped allocations to other batches
+     * and record every order that received it
+     * @param {Object} data - { productBatchId, severity, reason, instructions, manufacturerReference }
+     * @param {Object} req - Request object
+     * @param {Object} externalTransaction - Optional external transaction
+     * @returns {Object} - { success, recall, reallocatedOrders } or { success: false, message }
+     */
+    static async initiateRecall(data, req, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            const batch = await ProductBatch.findByPk(data.productBatchId, { lock: true, transaction });
+
+            if (!batch) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'Batch not found' };
+            }
+
+            const openRecall = await BatchRecall.findOne({
+                where: { productBatchId: batch.id, status: 'open' },
+                transaction
+            });
+
+            if (openRecall) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: `Batch is already under recall ${openRecall.recallNumber}` };
+            }
+
+            const recallNumber = await this.generateRecallNumber(transaction);
+            const wasQuarantined = batch.status === 'quarantined';
+
+            batch.status = 'quarantined';
+            await batch.save({ transaction });
+
+            const reallocatedOrders = await BatchAllocationService.reallocateFromBatch(batch, req, transaction);
+
+            // Quarantined stock is no longer sellable
+            if (!wasQuarantined && batch.stockQuantity > 0) {
+                await this.writeDownProductStock(batch, recallNumber, req, transaction);
+            }
+
+            const recall = await BatchRecall.create({
+                recallNumber,
+                productBatchId: batch.id,
+                productId: batch.productId,
+                batchNumber: batch.batchNumber,
+                expiryDate: batch.expiryDate,
+                severity: data.severity || 'class_ii',
+                reason: data.reason,
+                instructions: data.instructions,
+                manufacturerReference: data.manufacturerReference,
+                quarantinedQuantity: batch.stockQuantity,
+                createdBy: req.user.id
+            }, { transaction });
+
+            const recipients = await this.traceRecipients(batch, transaction);
+            for (const recipient of recipients) {
+                await BatchRecallRecipient.create({
+                    recallId: recall.id,
+                    ...recipient
+                }, { transaction });
+            }
+
+            if (shouldCommit) await transaction.commit();
+
+            return { success: true, recall, recipientCount: recipients.length, reallocatedOrders };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Take the quarantined batch quantity out of the product's sellable stock
+     */
+    static async writeDownProductStock(batch, recallNumber, req, transaction) {
+        const product = await Product.findByPk(batch.productId, { lock: true, transaction });
+        if (!product || !product.trackInventory) return;
+
+        const previousStock = product.stockQuantity;
+        product.stockQuantity = Math.max(0, previousStock - batch.stockQuantity);
+        await product.save({ transaction });
+        await WarehouseService.applyStockChange(product, product.stockQuantity - previousStock, null, transaction);
+        await InventoryService.syncInventoryRecord(product, req, transaction);
+
+        await InventoryMovement.create({
+            productId: product.id,
+            type: 'adjustment',
+            quantityBefore: previousStock,
+            quantityChange: product.stockQuantity - previousStock,
+            quantityAfter: product.stockQuantity,
+            referenceType: 'recall',
+            referenceNumber: recallNumber,
+            batchNumber: batch.batchNumber,
+            unitCost: batch.costPrice,
+            totalCost: parseFloat(batch.costPrice) * batch.stockQuantity,
+            reason: `Batch ${batch.batchNumber} quarantined for recall ${recallNumber}`,
+            createdBy: req?.user?.id,
+            createdByName: req?.user?.userName,
+            ipAddress: AuditLogService.getIpAddress(req)
+        }, { transaction });
+    }
+
+    /**
+     * Send the recall notice to recipients
+     * @param {Object} recall - BatchRecall with product
+     * @param {Object} options - { recipientIds, onlyUnacknowledged }
+     * @returns {Object} - { sent, failed }
+     */
+    static async notifyRecipients(recall, { recipientIds = null, onlyUnacknowledged = true } = {}) {
+        const where = { recallId: recall.id };
+        if (recipientIds) where.id = { [Op.in]: recipientIds };
+        if (onlyUnacknowledged) where.acknowledgedAt = null;
+
+        const recipients = await BatchRecallRecipient.findAll({
+            where,
+            include: [
+                { model: Order, as: 'order', attributes: ['id', 'orderNumber'] },
+                { model: User, as: 'user' },
+                { model: Doctor, as: 'doctor', include: [{ model: User, as: 'user' }] }
+            ]
+        });
+
+        let sent = 0;
+        let failed = 0;
+
+        for (const recipient of recipients) {
+            const contact = recipient.doctor ? (recipient.doctor.user || recipient.doctor) : recipient.user;
+            if (!contact) {
+                failed++;
+                continue;
+            }
+
+            try {
+                await NotificationService.sendBatchRecallNotice(recall, recipient, contact);
+                recipient.notifiedAt = new Date();
+                recipient.notifyCount += 1;
+                await recipient.save();
+                sent++;
+            } catch (error) {
+                console.error(`Recall notice failed for order ${recipient.order?.orderNumber}:`, error.message);
+                failed++;
+            }
+        }
+
+        return { sent, failed };
+    }
+
+    /**
+     * Counts of notice, acknowledgement and return progress
+     */
+    static summarize(recipients) {
+        return {
+            recipients: recipients.length,
+            quantitySupplied: recipients.reduce((sum, r) => sum + r.quantity, 0),
+            notified: recipients.filter(r => r.notifiedAt).length,
+            acknowledged: recipients.filter(r => r.acknowledgedAt).length,
+            returned: recipients.filter(r => r.returnStatus === 'returned').length,
+            quantityReturned: recipients.reduce((sum, r) => sum + r.returnedQuantity, 0),
+            outstanding: recipients.filter(r => !['returned', 'not_applicable'].includes(r.returnStatus)).length
+        };
+    }
+
+    /**
+     * Record stock returned by a recipient; returned units join the quarantined batch
+     * @param {Object} recipient - BatchRecallRecipient
+     * @param {Object} recall - BatchRecall
+     * @param {Object} data - { returnStatus, returnedQuantity, notes }
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     */
+    static async recordReturn(recipient, recall, data, req, transaction) {
+        if (data.returnedQuantity !== undefined) {
+            const returnedQuantity = parseInt(data.returnedQuantity);
+
+            if (returnedQuantity > recipient.quantity) {
+                return { success: false, message: `Cannot return more than the ${recipient.quantity} supplied` };
+            }
+
+            const delta = returnedQuantity - recipient.returnedQuantity;
+            if (delta !== 0) {
+                const batch = await ProductBatch.findByPk(recall.productBatchId, { lock: true, transaction });
+                if (batch) {
+                    batch.stockQuantity = Math.max(0, batch.stockQuantity + delta);
+                    await batch.save({ transaction });
+                }
+            }
+
+            recipient.returnedQuantity = returnedQuantity;
+            if (returnedQuantity > 0 && !recipient.returnedAt) recipient.returnedAt = new Date();
+
+            if (!data.returnStatus && returnedQuantity > 0) {
+                recipient.returnStatus = returnedQuantity >= recipient.quantity ? 'returned' : 'partial';
+            }
+        }
+
+        if (data.returnStatus) recipient.returnStatus = data.returnStatus;
+        if (data.notes) recipient.notes = (recipient.notes ? recipient.notes + '\n' : '') + data.notes;
+        recipient.updatedBy = req.user.id;
+        await recipient.save({ transaction });
+
+        return { success: true, recipient };
+    }
+}
+
+module.exports = RecallService;
@@ -0,0 +1,150 @@
+const { Order, Doctor, User } = require('../models');
+const { Op } = require('sequelize');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Receivables Service - Aging of unpaid credit orders
+ */
+class ReceivablesService {
+    /**
+     * Aging buckets by days past creditDueDate
+     */
+    static AGING_BUCKETS = [
+        { key: 'current', label: 'Current', min: null, max: 0 },
+        { key: 'days1to30', label: '1-30 Days', min: 1, max: 30 },
+        { key: 'days31to60', label: '31-60 Days', min: 31, max: 60 },
+        { key: 'days61to90', label: '61-90 Days', min: 61, max: 90 },
+        { key: 'over90', label: '90+ Days', min: 91, max: null }
+    ];
+
+    /**
+     * Whole days an order is past its credit due date (0 or negative when not yet due).
+     * Orders without a due date are treated as due on the order date.
+     */
+    static getDaysPastDue(order, asOf = new Date()) {
+        const dueDate = new Date(order.creditDueDate || order.createdAt);
+        dueDate.setHours(0, 0, 0, 0);
+
+        const today = new Date(asOf);
+        today.setHours(0, 0, 0, 0);
+
+        return Math.round((today - dueDate) / DAY_MS);
+    }
+
+    /**
+     * Bucket key for a number of days past due
+     */
+    static getBucket(daysPastDue) {
+        const bucket = this.AGING_BUCKETS.find(b =>
+            (b.min === null || daysPastDue >= b.min) && (b.max === null || daysPastDue <= b.max)
+        );
+        return bucket.key;
+    }
+
+    /**
+     * Unpaid credit orders with an outstanding due amount
+     * @param {Object} where - Extra order filters (e.g. { doctorId })
+     */
+    static async getOutstandingOrders(where = {}, transaction = null) {
+        return Order.findAll({
+            where: {
+                ...where,
+                isCredit: true,
+                isDeleted: false,
+                status: { [Op.ne]: 'cancelled' },
+                dueAmount: { [Op.gt]: 0 }
+            },
+            attributes: ['id', 'orderNumber', 'doctorId', 'total', 'paidAmount', 'dueAmount', 'status', 'paymentStatus', 'creditDueDate', 'createdAt'],
+            order: [['creditDueDate', 'ASC']],
+            transaction
+        });
+    }
+
+    /**
+     * Build the aged receivables report
+     * @param {Object} options - { doctorId, includeOrders }
+     * @returns {Object} - { asOf, buckets, totals, doctors }
+     */
+    static async getAgingReport({ doctorId, includeOrders = false } = {}) {
+        const asOf = new Date();
+        const orders = await this.getOutstandingOrders(doctorId ? { doctorId } : {});
+
+        const doctorIds = [...new Set(orders.map(o => o.doctorId).filter(Boolean))];
+        const doctors = doctorIds.length ? await Doctor.findAll({
+            where: { id: { [Op.in]: doctorIds } },
+            attributes: ['id', 'firstName', 'lastName', 'phone', 'licenseNumber', 'hospitalClinic', 'creditLimit', 'currentCredit', 'paymentTerms'],
+            include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'phone'] }]
+        }) : [];
+
+        const emptyBuckets = () => this.AGING_BUCKETS.reduce((acc, b) => ({ ...acc, [b.key]: 0 }), { total: 0 });
+        const totals = emptyBuckets();
+        const rows = new Map();
+
+        for (const doctor of doctors) {
+            const doctorUser = doctor.user || doctor;
+            rows.set(doctor.id, {
+                doctorId: doctor.id,
+                name: `${doctorUser.firstName || ''} ${doctorUser.lastName || ''}`.trim(),
+                phone: doctorUser.phone,
+                licenseNumber: doctor.licenseNumber,
+                hospitalClinic: doctor.hospitalClinic,
+                creditLimit: parseFloat(doctor.creditLimit),
+                paymentTerms: doctor.paymentTerms,
+                ...emptyBuckets(),
+                orderCount: 0,
+                maxDaysPastDue: 0,
+                orders: includeOrders ? [] : undefined
+            });
+        }
+
+        for (const order of orders) {
+            const row = rows.get(order.doctorId);
+            if (!row) continue;
+
+            const dueAmount = parseFloat(order.dueAmount);
+            const daysPastDue = this.getDaysPastDue(order, asOf);
+            const bucket = this.getBucket(daysPastDue);
+
+            row[bucket] += dueAmount;
+            row.total += dueAmount;
+            row.orderCount++;
+            row.maxDaysPastDue = Math.max(row.maxDaysPastDue, daysPastDue);
+
+            totals[bucket] += dueAmount;
+            totals.total += dueAmount;
+
+            if (includeOrders) {
+                row.orders.push({
+                    id: order.id,
+                    orderNumber: order.orderNumber,
+                    createdAt: order.createdAt,
+                    creditDueDate: order.creditDueDate,
+                    total: parseFloat(order.total),
+                    paidAmount: parseFloat(order.paidAmount),
+                    dueAmount,
+                    daysPastDue: Math.max(daysPastDue, 0),
+                    bucket
+                });
+            }
+        }
+
+        const round = obj => {
+            for (const key of ['total', ...this.AGING_BUCKETS.map(b => b.key)]) {
+                obj[key] = parseFloat(obj[key].toFixed(2));
+            }
+            return obj;
+        };
+
+        return {
+            asOf,
+            buckets: this.AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+            totals: round(totals),
+            doctors: [...rows.values()]
+                .map(round)
+                .sort((a, b) => b.maxDaysPastDue - a.maxDaysPastDue || b.total - a.total)
+        };
+    }
+}
+
+module.exports = ReceivablesService;
@@ -0,0 +1,417 @@
+const {
+    Product, Inventory, InventoryMovement, StockReservation, Supplier,
+    PurchaseOrder, PurchaseOrderItem, ProductBatch, SupplierProduct, sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const PricingService = require('./pricingService');
+const PurchaseOrderService = require('./purchaseOrderService');
+const SupplierCatalogueService = require('./supplierCatalogueService');
+
+/**
+ * Replenishment Service - Reorder suggestions from sales velocity and draft purchase orders
+ */
+class ReplenishmentService {
+    /**
+     * Purchase order statuses whose outstanding quantity is still on its way
+     */
+    static OPEN_PO_STATUSES = ['draft', 'sent', 'partially_received'];
+
+    /**
+     * Engine parameters from system settings
+     */
+    static async getSettings() {
+        const [salesWindowDays, defaultLeadTimeDays, safetyDays, coverDays] = await Promise.all([
+            PricingService.getSettingValue('replenishment_sales_window_days', '90'),
+            PricingService.getSettingValue('replenishment_default_lead_time_days', '14'),
+            PricingService.getSettingValue('replenishment_safety_days', '7'),
+            PricingService.getSettingValue('replenishment_cover_days', '30')
+        ]);
+
+        return {
+            salesWindowDays: Math.max(1, parseInt(salesWindowDays) || 90),
+            defaultLeadTimeDays: parseInt(defaultLeadTimeDays) || 14,
+            safetyDays: parseInt(safetyDays) || 0,
+            coverDays: parseInt(coverDays) || 30
+        };
+    }
+
+    /**
+     * Sum a column per product into a Map
+     */
+    static toMap(rows, key = 'productId', value = 'total') {
+        return new Map(rows.map(r => [r[key], parseFloat(r[value]) || 0]));
+    }
+
+    /**
+     * Units sold per product since a date (sale movements are negative)
+     */
+    static async getUnitsSold(productIds, since) {
+        const rows = await InventoryMovement.findAll({
+            where: {
+                productId: productIds,
+                type: 'sale',
+                createdAt: { [Op.gte]: since }
+            },
+            attributes: ['productId', [sequelize.fn('SUM', sequelize.col('quantity_change')), 'total']],
+            group: ['productId'],
+            raw: true
+        });
+
+        return new Map(rows.map(r => [r.productId, -(parseFloat(r.total) || 0)]));
+    }
+
+    /**
+     * Quantity held by active reservations per product
+     */
+    static async getReservedQuantities(productIds) {
+        const rows = await StockReservation.findAll({
+            where: { productId: productIds, status: 'active' },
+            attributes: [
+                'productId',
+                [sequelize.literal('SUM(quantity - released_quantity)'), 'total']
+            ],
+            group: ['productId'],
+            raw: true
+        });
+
+        return this.toMap(rows);
+    }
+
+    /**
+     * Quantity ordered but not yet received per product
+     */
+    static async getOnOrderQuantities(productIds) {
+        const rows = await PurchaseOrderItem.findAll({
+            where: { productId: productIds },
+            include: [{
+                model: PurchaseOrder,
+                as: 'purchaseOrder',
+                attributes: [],
+                where: { status: { [Op.in]: this.OPEN_PO_STATUSES }, isDeleted: false }
+            }],
+            attributes: [
+                'productId',
+                [sequelize.literal('SUM(GREATEST(`PurchaseOrderItem`.`quantity` - COALESCE(`PurchaseOrderItem`.`received_quantity`, 0), 0))'), 'total']
+            ],
+            group: ['productId'],
+            raw: true
+        });
+
+        return this.toMap(rows);
+    }
+
+    /**
+     * Supplier and price per product: the preferred supplier in the catalogue, otherwise the
+     * supplier of the latest purchase order line, falling back to the supplier of the latest batch.
+     * The catalogue entry for the chosen supplier, if any, supplies price, lead time and order multiples.
+     */
+    static async getSupplierSources(productIds) {
+        const sources = new Map();
+
+        const preferred = await SupplierCatalogueService.getPreferredEntries(productIds);
+        for (const [productId, entry] of preferred) {
+            sources.set(productId, {
+                supplierId: entry.supplierId,
+                unitPrice: parseFloat(entry.costPrice),
+                catalogue: entry
+            });
+        }
+
+        const poItems = await PurchaseOrderItem.findAll({
+            where: { productId: productIds.filter(id => !sources.has(id)) },
+            include: [{
+                model: PurchaseOrder,
+                as: 'purchaseOrder',
+                attributes: ['supplierId', 'orderDate'],
+                where: { status: { [Op.ne]: 'cancelled' }, isDeleted: false }
+            }],
+            attributes: ['productId', 'unitPrice'],
+            order: [[{ model: PurchaseOrder, as: 'purchaseOrder' }, 'orderDate', 'DESC']]
+        });
+
+        for (const item of poItems) {
+            if (!sources.has(item.productId)) {
+                sources.set(item.productId, {
+                    supplierId: item.purchaseOrder.supplierId,
+                    unitPrice: parseFloat(item.unitPrice) || null
+                });
+            }
+        }
+
+        const missing = productIds.filter(id => !sources.has(id));
+        if (missing.length) {
+            const batches = await ProductBatch.findAll({
+                where: { productId: missing, supplierId: { [Op.ne]: null } },
+                attributes: ['productId', 'supplierId', 'costPrice'],
+                order: [['createdAt', 'DESC']]
+            });
+
+            for (const batch of batches) {
+                if (!sources.has(batch.productId)) {
+                    sources.set(batch.productId, {
+                        supplierId: batch.supplierId,
+                        unitPrice: parseFloat(batch.costPrice) || null
+                    });
+                }
+            }
+        }
+
+        // Catalogue terms for suppliers picked from history
+        const historical = [...sources].filter(([, source]) => !source.catalogue);
+        if (historical.length) {
+            const entries = await SupplierProduct.findAll({
+                where: {
+                    productId: historical.map(([productId]) => productId),
+                    supplierId: [...new Set(historical.map(([, source]) => source.supplierId))],
+                    isActive: true
+                }
+            });
+
+            for (const [productId, source] of historical) {
+                const entry = entries.find(e => e.productId === productId && e.supplierId === source.supplierId);
+                if (entry) {
+                    source.unitPrice = parseFloat(entry.costPrice);
+                    source.catalogue = entry;
+                }
+            }
+        }
+
+        return sources;
+    }
+
+    /**
+     * Average days from order to full receipt per supplier, over the last year
+     */
+    static async getSupplierLeadTimes() {
+        const since = new Date();
+        since.setFullYear(since.getFullYear() - 1);
+
+        const orders = await PurchaseOrder.findAll({
+            where: {
+                status: 'received',
+                isDeleted: false,
+                receivedDate: { [Op.ne]: null },
+                orderDate: { [Op.gte]: since }
+            },
+            attributes: ['supplierId', 'orderDate', 'receivedDate']
+        });
+
+        const totals = new Map();
+        for (const po of orders) {
+            const days = (new Date(po.receivedDate) - new Date(po.orderDate)) / (24 * 60 * 60 * 1000);
+            if (days < 0) continue;
+            const entry = totals.get(po.supplierId) || { days: 0, count: 0 };
+            entry.days += days;
+            entry.count++;
+            totals.set(po.supplierId, entry);
+        }
+
+        return new Map([...totals].map(([supplierId, t]) => [supplierId, Math.ceil(t.days / t.count)]));
+    }
+
+    /**
+     * Work out what needs reordering.
+     * A product is suggested once available + on-order stock falls to its reorder point
+     * (sales over lead time plus safety days, or the configured reorder level if higher).
+     * The suggestion tops it up to cover lead time, safety and the review period, capped at
+     * the max stock level, raised to the configured reorder quantity and then to the
+     * supplier's minimum order and pack size.
+     * @param {Object} filters - { supplierId, categoryId, productIds }
+     * @returns {Object} - { settings, suggestions, groups }
+     */
+    static async getSuggestions(filters = {}) {
+        const settings = await this.getSettings();
+
+        const productWhere = { trackInventory: true, isDeleted: false, isActive: true };
+        if (filters.categoryId) productWhere.categoryId = filters.categoryId;
+        if (filters.productIds?.length) productWhere.id = filters.productIds;
+
+        const products = await Product.findAll({
+            where: productWhere,
+            attributes: ['id', 'name', 'sku', 'stockQuantity', 'lowStockThreshold', 'costPrice'],
+            include: [{
+                model: Inventory,
+                as: 'inventory',
+                attributes: ['reorderLevel', 'reorderQuantity', 'maxStockLevel'],
+                required: false
+            }]
+        });
+
+        if (!products.length) {
+            return { settings, suggestions: [], groups: [] };
+        }
+
+        const productIds = products.map(p => p.id);
+        const since = new Date(Date.now() - settings.salesWindowDays * 24 * 60 * 60 * 1000);
+
+        const [sold, reserved, onOrder, sources, leadTimes] = await Promise.all([
+            this.getUnitsSold(productIds, since),
+            this.getReservedQuantities(productIds),
+            this.getOnOrderQuantities(productIds),
+            this.getSupplierSources(productIds),
+            this.getSupplierLeadTimes()
+        ]);
+
+        const suggestions = [];
+
+        for (const product of products) {
+            const source = sources.get(product.id) || {};
+            if (filters.supplierId && source.supplierId !== parseInt(filters.supplierId)) continue;
+
+            // Reorder settings live on whichever inventory row has them filled in
+            const inventory = product.inventory.find(i =>
+                i.reorderLevel !== null || i.reorderQuantity !== null || i.maxStockLevel !== null
+            );
+            const unitsSold = sold.get(product.id) || 0;
+            const dailyVelocity = unitsSold / settings.salesWindowDays;
+            const leadTimeDays = source.catalogue?.leadTimeDays ??
+                leadTimes.get(source.supplierId) ??
+                settings.defaultLeadTimeDays;
+
+            const available = Math.max(0, product.stockQuantity - (reserved.get(product.id) || 0));
+            const incoming = onOrder.get(product.id) || 0;
+            const projected = available + incoming;
+
+            const reorderPoint = Math.max(
+                Math.ceil(dailyVelocity * (leadTimeDays + settings.safetyDays)),
+                inventory?.reorderLevel ?? product.lowStockThreshold ?? 0
+            );
+
+            if (projected > reorderPoint) continue;
+
+            let target = Math.ceil(dailyVelocity * (leadTimeDays + settings.safetyDays + settings.coverDays));
+            target = Math.max(target, reorderPoint + 1);
+            if (inventory?.maxStockLevel) target = Math.min(target, inventory.maxStockLevel);
+
+            let quantity = target - projected;
+            if (inventory?.reorderQuantity) quantity = Math.max(quantity, inventory.reorderQuantity);
+            if (quantity <= 0) continue;
+            quantity = SupplierCatalogueService.roundOrderQuantity(source.catalogue, quantity);
+
+            suggestions.push({
+                productId: product.id,
+                productName: product.name,
+                sku: product.sku,
+                supplierId: source.supplierId || null,
+                currentStock: product.stockQuantity,
+                reserved: reserved.get(product.id) || 0,
+                onOrder: incoming,
+                unitsSold,
+                dailyVelocity: parseFloat(dailyVelocity.toFixed(3)),
+                daysOfCover: dailyVelocity > 0 ? Math.floor(projected / dailyVelocity) : null,
+                leadTimeDays,
+                reorderPoint,
+                suggestedQuantity: quantity,
+                unitPrice: source.unitPrice ?? (parseFloat(product.costPrice) || 0),
+                supplierSku: source.catalogue?.supplierSku || null,
+                packSize: source.catalogue?.packSize || null,
+                minOrderQuantity: source.catalogue?.minOrderQuantity || null
+            });
+        }
+
+        return { settings, suggestions, groups: await this.groupBySupplier(suggestions) };
+    }
+
+    /**
+     * Group suggestions by supplier; products with no known supplier go in their own group
+     */
+    static async groupBySupplier(suggestions) {
+        const supplierIds = [...new Set(suggestions.map(s => s.supplierId).filter(Boolean))];
+        const suppliers = supplierIds.length
+            ? await Supplier.findAll({
+                where: { id: supplierIds },
+                attributes: ['id', 'name', 'code', 'email', 'status']
+            })
+            : [];
+
+        const groups = new Map();
+        for (const suggestion of suggestions) {
+            const key = suggestion.supplierId || 0;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    supplier: suppliers.find(s => s.id === suggestion.supplierId) || null,
+                    items: [],
+                    estimatedTotal: 0
+                });
+            }
+            const group = groups.get(key);
+            group.items.push(suggestion);
+            group.estimatedTotal += suggestion.suggestedQuantity * suggestion.unitPrice;
+        }
+
+        return [...groups.values()].map(g => ({ ...g, estimatedTotal: parseFloat(g.estimatedTotal.toFixed(2)) }));
+    }
+
+    /**
+     * Turn suggestions into one draft purchase order per supplier.
+     * Lines may override the suggested quantity or price; products without a supplier are skipped.
+     * @param {Object} options - { supplierIds, items: [{ productId, quantity, unitPrice }] }
+     * @param {Object} req - Request object
+     * @param {Object} externalTransaction - Optional external transaction
+     * @returns {Object} - { purchaseOrders, skipped }
+     */
+    static async generateDraftPurchaseOrders(options = {}, req = null, externalTransaction = null) {
+        const { supplierIds, items: overrides } = options;
+        const productIds = overrides?.map(i => parseInt(i.productId));
+
+        const { suggestions } = await this.getSuggestions({ productIds });
+
+        const selected = suggestions
+            .filter(s => !supplierIds?.length || supplierIds.map(Number).includes(s.supplierId))
+            .map(s => {
+                const override = overrides?.find(o => parseInt(o.productId) === s.productId);
+                return {
+                    ...s,
+                    suggestedQuantity: override?.quantity ? parseInt(override.quantity) : s.suggestedQuantity,
+                    unitPrice: override?.unitPrice !== undefined ? parseFloat(override.unitPrice) : s.unitPrice
+                };
+            });
+
+        const skipped = selected.filter(s => !s.supplierId).map(s => ({
+            productId: s.productId,
+            productName: s.productName,
+            reason: 'No supplier on record'
+        }));
+
+        const bySupplier = new Map();
+        for (const suggestion of selected.filter(s => s.supplierId)) {
+            if (!bySupplier.has(suggestion.supplierId)) bySupplier.set(suggestion.supplierId, []);
+            bySupplier.get(suggestion.supplierId).push(suggestion);
+        }
+
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            const purchaseOrders = [];
+
+            for (const [supplierId, lines] of bySupplier) {
+                const leadTimeDays = Math.max(...lines.map(l => l.leadTimeDays));
+                const expectedDate = new Date();
+                expectedDate.setDate(expectedDate.getDate() + leadTimeDays);
+
+                const po = await PurchaseOrderService.createPurchaseOrder({
+                    supplierId,
+                    expectedDate,
+                    notes: 'Generated from replenishment suggestions',
+                    items: lines.map(l => ({
+                        productId: l.productId,
+                        quantity: l.suggestedQuantity,
+                        unitPrice: l.unitPrice
+                    }))
+                }, req, transaction);
+
+                purchaseOrders.push(po);
+            }
+
+            if (shouldCommit) await transaction.commit();
+
+            return { purchaseOrders, skipped };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+}
+
+module.exports = ReplenishmentService;
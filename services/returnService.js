@@ -0,0 +1,524 @@
+const {
+    ReturnRequest, ReturnItem, OrderStatusHistory, OrderItemBatch, ProductBatch, InventoryMovement, Product
+} = require('../models');
+const { Op } = require('sequelize');
+const AuditLogService = require('./auditLogService');
+const InventoryService = require('./inventoryService');
+const PaymentService = require('./paymentService');
+const CreditNoteService = require('./creditNoteService');
+
+/**
+ * Return Service - Return authorization (RMA) workflow for delivered order lines
+ */
+class ReturnService {
+    /**
+     * Statuses in which a return still holds quantity against the order line
+     */
+    static OPEN_STATUSES = ['requested', 'approved', 'received', 'inspected'];
+
+    /**
+     * Generate return number (RMA + yymmdd + daily sequence)
+     */
+    static async generateReturnNumber(transaction = null) {
+        const prefix = 'RMA';
+        const date = new Date();
+        const dateStr = date.getFullYear().toString().slice(-2) +
+            (date.getMonth() + 1).toString().padStart(2, '0') +
+            date.getDate().toString().padStart(2, '0');
+
+        const startOfDay = new Date(date.setHours(0, 0, 0, 0));
+        const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+
+        const count = await ReturnRequest.count({
+            where: {
+                createdAt: { [Op.between]: [startOfDay, endOfDay] }
+            },
+            transaction
+        });
+
+        return `${prefix}${dateStr}${(count + 1).toString().padStart(4, '0')}`;
+    }
+
+    /**
+     * Get quantities that can still be returned per order line
+     * @param {Object} order - Order with items
+     * @param {Object} transaction - Optional transaction
+     * @returns {Object} - { [orderItemId]: quantity }
+     */
+    static async getReturnableQuantities(order, transaction = null) {
+        const openItems = await ReturnItem.findAll({
+            include: [{
+                model: ReturnRequest,
+                as: 'returnRequest',
+                attributes: ['status'],
+                where: {
+                    orderId: order.id,
+                    status: { [Op.in]: this.OPEN_STATUSES }
+                }
+            }],
+            transaction
+        });
+
+        const pending = openItems.reduce((acc, item) => {
+            const held = item.returnRequest.status === 'requested' ? item.quantity : item.approvedQuantity;
+            acc[item.orderItemId] = (acc[item.orderItemId] || 0) + held;
+            return acc;
+        }, {});
+
+        return order.items.reduce((acc, item) => {
+            const shipped = item.fulfilledQuantity || 0;
+            acc[item.id] = Math.max(0, shipped - (item.returnedQuantity || 0) - (pending[item.id] || 0));
+            return acc;
+        }, {});
+    }
+
+    /**
+     * Create a return request for specific order lines
+     * @param {Object} order - Delivered order with items
+     * @param {Object} data - { resolution, items: [{ orderItemId, quantity, reason, reasonNotes }], notes }
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     * @returns {Object} - { success, returnRequest } or { success: false, message }
+     */
+    static async createReturn(order, data, req, transaction) {
+        const { resolution = 'credit_note', items, notes } = data;
+
+        if (resolution === 'credit_note' && !order.doctorId) {
+            return { success: false, message: 'Credit notes can only be issued to doctor accounts, request a refund instead' };
+        }
+
+        const returnable = await this.getReturnableQuantities(order, transaction);
+        const lines = [];
+        let requestedAmount = 0;
+
+        for (const line of items) {
+            const orderItem = order.items.find(i => i.id === parseInt(line.orderItemId));
+            const quantity = parseInt(line.quantity);
+
+            if (!orderItem) {
+                return { success: false, message: `Order item ${line.orderItemId} does not belong to this order` };
+            }
+
+            if (quantity > (returnable[orderItem.id] || 0)) {
+                return {
+                    success: false,
+                    message: `${orderItem.productName}: only ${returnable[orderItem.id] || 0} can be returned`
+                };
+            }
+
+            const unitPrice = parseFloat(orderItem.total) / orderItem.quantity;
+            requestedAmount += unitPrice * quantity;
+
+            lines.push({
+                orderItemId: orderItem.id,
+                productId: orderItem.productId,
+                productName: orderItem.productName,
+                batchNumber: orderItem.batchNumber,
+                unitPrice: unitPrice.toFixed(2),
+                reason: line.reason,
+                reasonNotes: line.reasonNotes,
+                quantity
+            });
+        }
+
+        const returnNumber = await this.generateReturnNumber(transaction);
+
+        const returnRequest = await ReturnRequest.create({
+            returnNumber,
+            orderId: order.id,
+            userId: order.userId,
+            doctorId: order.doctorId,
+            status: 'requested',
+            resolution,
+            requestedAmount: requestedAmount.toFixed(2),
+            customerNotes: notes,
+            createdBy: req.user.id
+        }, { transaction });
+
+        for (const line of lines) {
+            await ReturnItem.create({
+                returnRequestId: returnRequest.id,
+                ...line
+            }, { transaction });
+        }
+
+        return { success: true, returnRequest };
+    }
+
+    /**
+     * Approve a return. Lines not listed are approved in full; a quantity of 0 declines the line.
+     * @param {Object} returnRequest - Return request with items
+     * @param {Array} lines - [{ returnItemId, approvedQuantity }]
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     */
+    static async approveReturn(returnRequest, lines = [], req, transaction) {
+        let approvedTotal = 0;
+
+        for (const item of returnRequest.items) {
+            const line = lines.find(l => parseInt(l.returnItemId) === item.id);
+            const approvedQuantity = line ? parseInt(line.approvedQuantity) : item.quantity;
+
+            if (isNaN(approvedQuantity) || approvedQuantity < 0 || approvedQuantity > item.quantity) {
+                return { success: false, message: `${item.productName}: approved quantity must be between 0 and ${item.quantity}` };
+            }
+
+            item.approvedQuantity = approvedQuantity;
+            await item.save({ transaction });
+            approvedTotal += approvedQuantity;
+        }
+
+        if (approvedTotal === 0) {
+            return { success: false, message: 'Nothing approved, reject the return instead' };
+        }
+
+        returnRequest.status = 'approved';
+        returnRequest.approvedAt = new Date();
+        returnRequest.approvedBy = req.user.id;
+        returnRequest.updatedBy = req.user.id;
+        await returnRequest.save({ transaction });
+
+        return { success: true };
+    }
+
+    /**
+     * Record goods received back at the warehouse
+     * @param {Object} returnRequest - Return request with items
+     * @param {Array} lines - [{ returnItemId, receivedQuantity }] (defaults to approved quantity)
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     */
+    static async receiveReturn(returnRequest, lines = [], req, transaction) {
+        for (const item of returnRequest.items) {
+            const line = lines.find(l => parseInt(l.returnItemId) === item.id);
+            const receivedQuantity = line ? parseInt(line.receivedQuantity) : item.approvedQuantity;
+
+            if (isNaN(receivedQuantity) || receivedQuantity < 0 || receivedQuantity > item.approvedQuantity) {
+                return { success: false, message: `${item.productName}: received quantity must be between 0 and ${item.approvedQuantity}` };
+            }
+
+            item.receivedQuantity = receivedQuantity;
+            await item.save({ transaction });
+        }
+
+        returnRequest.status = 'received';
+        returnRequest.receivedAt = new Date();
+        returnRequest.receivedBy = req.user.id;
+        returnRequest.updatedBy = req.user.id;
+        await returnRequest.save({ transaction });
+
+        return { success: true };
+    }
+
+    /**
+     * Inspect received goods: restock into the original batches, write off as damage, or reject
+     * @param {Object} returnRequest - Return request with items
+     * @param {Array} lines - [{ returnItemId, restockQuantity, damageQuantity, rejectedQuantity, inspectionNotes }]
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     */
+    static async inspectReturn(returnRequest, lines, req, transaction) {
+        let creditAmount = 0;
+
+        for (const item of returnRequest.items) {
+            if (item.receivedQuantity === 0) continue;
+
+            const line = lines.find(l => parseInt(l.returnItemId) === item.id);
+            if (!line) {
+                return { success: false, message: `Inspection result missing for ${item.productName}` };
+            }
+
+            const restock = parseInt(line.restockQuantity) || 0;
+            const damage = parseInt(line.damageQuantity) || 0;
+            const rejected = parseInt(line.rejectedQuantity) || 0;
+
+            if (restock < 0 || damage < 0 || rejected < 0 || restock + damage + rejected !== item.receivedQuantity) {
+                return {
+                    success: false,
+                    message: `${item.productName}: restocked, damaged and rejected must add up to ${item.receivedQuantity}`
+                };
+            }
+
+            if (restock > 0) {
+                await this.restockItem(item, restock, returnRequest, req, transaction);
+            }
+
+            if (damage > 0) {
+                await this.writeOffItem(item, damage, returnRequest, req, transaction);
+            }
+
+            item.restockedQuantity = restock;
+            item.damagedQuantity = damage;
+            item.rejectedQuantity = rejected;
+            item.creditAmount = (parseFloat(item.unitPrice) * (restock + damage)).toFixed(2);
+            item.inspectionNotes = line.inspectionNotes;
+            await item.save({ transaction });
+
+            creditAmount += parseFloat(item.creditAmount);
+        }
+
+        returnRequest.status = 'inspected';
+        returnRequest.creditAmount = creditAmount.toFixed(2);
+        returnRequest.inspectedAt = new Date();
+        returnRequest.inspectedBy = req.user.id;
+        returnRequest.updatedBy = req.user.id;
+        await returnRequest.save({ transaction });
+
+        return { success: true, creditAmount };
+    }
+
+    /**
+     * Split a restocked quantity over the batches the line was allocated from.
+     * Units restocked by earlier returns of the same line are skipped, so each batch
+     * gets back no more than it gave. Lines without allocations use the line's batch.
+     * @returns {Array} - [{ batchNumber, quantity }]
+     */
+    static async getRestockBatches(item, quantity, transaction) {
+        let allocations = await OrderItemBatch.findAll({
+            where: { orderItemId: item.orderItemId, status: { [Op.ne]: 'released' } },
+            order: [['expiryDate', 'ASC'], ['id', 'ASC']],
+            transaction
+        });
+
+        // Only shipped units come back; lines shipped before allocations were marked have allocated rows only
+        const shipped = allocations.filter(a => a.status === 'shipped');
+        if (shipped.length) allocations = shipped;
+
+        let alreadyRestocked = await ReturnItem.sum('restockedQuantity', {
+            where: { orderItemId: item.orderItemId, id: { [Op.ne]: item.id } },
+            transaction
+        }) || 0;
+
+        const portions = [];
+        const addPortion = (batchNumber, portionQuantity) => {
+            const portion = portions.find(p => p.batchNumber === batchNumber);
+            if (portion) {
+                portion.quantity += portionQuantity;
+            } else {
+                portions.push({ batchNumber, quantity: portionQuantity });
+            }
+        };
+        let remaining = quantity;
+
+        for (const allocation of allocations) {
+            if (remaining <= 0) break;
+
+            const skip = Math.min(alreadyRestocked, allocation.quantity);
+            alreadyRestocked -= skip;
+
+            const take = Math.min(remaining, allocation.quantity - skip);
+            if (take <= 0) continue;
+
+            addPortion(allocation.batchNumber, take);
+            remaining -= take;
+        }
+
+        if (remaining > 0) {
+            addPortion(item.batchNumber, remaining);
+        }
+
+        return portions;
+    }
+
+    /**
+     * Put returned goods back into stock and into the batches they were sold from
+     */
+    static async restockItem(item, quantity, returnRequest, req, transaction) {
+        const portions = await this.getRestockBatches(item, quantity, transaction);
+
+        for (const portion of portions) {
+            const batch = portion.batchNumber
+                ? await ProductBatch.findOne({
+                    where: { productId: item.productId, batchNumber: portion.batchNumber },
+                    lock: true,
+                    transaction
+                })
+                : null;
+
+            // Units from a quarantined or expired batch go back to it but stay out of sellable stock
+            if (batch && ['quarantined', 'expired'].includes(batch.status)) {
+                await this.holdWithBatch(item, batch, portion.quantity, returnRequest, req, transaction);
+                continue;
+            }
+
+            await InventoryService.increaseStock(
+                item.productId,
+                portion.quantity,
+                'return',
+                'return',
+                returnRequest.id,
+                returnRequest.returnNumber,
+                {
+                    batchNumber: portion.batchNumber,
+                    costPrice: batch ? parseFloat(batch.costPrice) : undefined,
+                    reason: `Customer return ${returnRequest.returnNumber} restocked`,
+                    req,
+                    updateProductBatch: false
+                },
+                transaction
+            );
+
+            if (batch) {
+                batch.stockQuantity += portion.quantity;
+                if (batch.status === 'out_of_stock') batch.status = 'active';
+                await batch.save({ transaction });
+            }
+        }
+    }
+
+    /**
+     * Record returned goods that are accepted for credit but cannot be resold
+     */
+    /**
+     * Return units to a batch that can no longer be sold, without adding them to product stock
+     */
+    static async holdWithBatch(item, batch, quantity, returnRequest, req, transaction) {
+        const product = await Product.findByPk(item.productId, {
+            attributes: ['id', 'stockQuantity'],
+            transaction
+        });
+
+        batch.stockQuantity += quantity;
+        await batch.save({ transaction });
+
+        await InventoryMovement.create({
+            productId: item.productId,
+            type: 'return',
+            quantityBefore: product?.stockQuantity || 0,
+            quantityChange: 0,
+            quantityAfter: product?.stockQuantity || 0,
+            referenceType: 'return',
+            referenceId: returnRequest.id,
+            referenceNumber: returnRequest.returnNumber,
+            batchNumber: batch.batchNumber,
+            unitCost: batch.costPrice,
+            totalCost: parseFloat(batch.costPrice) * quantity,
+            reason: `Customer return ${returnRequest.returnNumber}: ${quantity} held with ${batch.status} batch ${batch.batchNumber}`,
+            createdBy: req?.user?.id,
+            createdByName: req?.user?.userName,
+            ipAddress: AuditLogService.getIpAddress(req)
+        }, { transaction });
+    }
+
+    static async writeOffItem(item, quantity, returnRequest, req, transaction) {
+        const product = await Product.findByPk(item.productId, {
+            attributes: ['id', 'stockQuantity', 'costPrice'],
+            transaction
+        });
+
+        const unitCost = product?.costPrice ? parseFloat(product.costPrice) : null;
+
+        // Damaged returns never re-enter sellable stock, so the movement carries no quantity change
+        await InventoryMovement.create({
+            productId: item.productId,
+            type: 'damage',
+            quantityBefore: product?.stockQuantity || 0,
+            quantityChange: 0,
+            quantityAfter: product?.stockQuantity || 0,
+            referenceType: 'return',
+            referenceId: returnRequest.id,
+            referenceNumber: returnRequest.returnNumber,
+            batchNumber: item.batchNumber,
+            unitCost,
+            totalCost: unitCost !== null ? unitCost * quantity : null,
+            reason: `Customer return ${returnRequest.returnNumber}: ${quantity} written off as damaged`,
+            notes: item.inspectionNotes,
+            createdBy: req?.user?.id,
+            createdByName: req?.user?.userName,
+            ipAddress: AuditLogService.getIpAddress(req)
+        }, { transaction });
+    }
+
+    /**
+     * Issue the credit note or refund and close the return
+     * @param {Object} returnRequest - Inspected return with items
+     * @param {Object} order - Order with items
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     */
+    static async completeReturn(returnRequest, order, req, transaction) {
+        const amount = parseFloat(returnRequest.creditAmount);
+        const reason = `Return ${returnRequest.returnNumber}`;
+        let payment = null;
+        let creditNote = null;
+
+        if (amount > 0) {
+            if (returnRequest.resolution === 'refund') {
+                // The returned goods come off the order's value, so refunding them leaves nothing due
+                order.total = parseFloat((parseFloat(order.total) - amount).toFixed(2));
+
+                const result = await PaymentService.refundOrderAmount(order, amount, reason, req, transaction);
+                if (!result.success) return result;
+                payment = result.refunds[0];
+            } else {
+                if (!order.doctorId) {
+                    return { success: false, message: 'Credit notes can only be issued to doctor accounts, issue a refund instead' };
+                }
+
+                const result = await CreditNoteService.issueNote({
+                    type: 'credit',
+                    doctorId: order.doctorId,
+                    orderId: order.id,
+                    returnRequestId: returnRequest.id,
+                    amount,
+                    reason: `Goods returned - ${reason}`,
+                    items: returnRequest.items
+                        .filter(item => parseFloat(item.creditAmount) > 0)
+                        .map(item => ({
+                            description: item.productName,
+                            batchNumber: item.batchNumber,
+                            quantity: item.restockedQuantity + item.damagedQuantity,
+                            unitPrice: parseFloat(item.unitPrice),
+                            amount: parseFloat(item.creditAmount)
+                        }))
+                }, req, transaction);
+                if (!result.success) return result;
+                creditNote = result.note;
+            }
+        }
+
+        // Update returned quantities on the order lines
+        for (const item of returnRequest.items) {
+            const accepted = item.restockedQuantity + item.damagedQuantity;
+            if (accepted === 0) continue;
+
+            const orderItem = order.items.find(i => i.id === item.orderItemId);
+            orderItem.returnedQuantity = (orderItem.returnedQuantity || 0) + accepted;
+            if (orderItem.returnedQuantity >= orderItem.quantity) {
+                orderItem.status = 'returned';
+            }
+            await orderItem.save({ transaction });
+        }
+
+        returnRequest.status = 'completed';
+        returnRequest.paymentId = payment?.id || null;
+        returnRequest.creditNoteId = creditNote?.id || null;
+        returnRequest.completedAt = new Date();
+        returnRequest.updatedBy = req.user.id;
+        await returnRequest.save({ transaction });
+
+        // Whole order came back
+        const activeItems = order.items.filter(item => item.status !== 'cancelled');
+        const previousStatus = order.status;
+        if (previousStatus === 'delivered' && activeItems.every(item => item.status === 'returned')) {
+            order.status = 'returned';
+            order.updatedBy = req.user.id;
+            await order.save({ transaction });
+
+            await OrderStatusHistory.create({
+                orderId: order.id,
+                previousStatus,
+                newStatus: 'returned',
+                notes: `All items returned via ${returnRequest.returnNumber}`,
+                changedBy: req.user.id,
+                changedByName: req.user.userName,
+                ipAddress: AuditLogService.getIpAddress(req),
+                metadata: { returnRequestId: returnRequest.id }
+            }, { transaction });
+        }
+
+        return { success: true, payment, creditNote };
+    }
+}
+
+module.exports = ReturnService;
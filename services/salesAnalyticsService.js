@@ -0,0 +1,319 @@
+const { Order, OrderItem, Product, Doctor, Category, Agency, Brand } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Sales Analytics Service - Revenue, cost of goods sold and gross margin
+ * from order lines, grouped by product, catalogue dimension, doctor or period
+ */
+class SalesAnalyticsService {
+    static GROUP_BY = ['product', 'category', 'agency', 'brand', 'doctor', 'period'];
+    static INTERVALS = ['day', 'week', 'month'];
+
+    // Orders that never turned into a sale
+    static EXCLUDED_STATUSES = ['cancelled', 'returned', 'refunded'];
+
+    static round(value) {
+        return parseFloat((value || 0).toFixed(2));
+    }
+
+    /**
+     * Parse a YYYY-MM-DD (or ISO) date to the start or end of that day
+     */
+    static toDate(value, endOfDay = false) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`);
+        }
+        return new Date(value);
+    }
+
+    /**
+     * The period of equal length immediately before [start, end]
+     */
+    static getPreviousPeriod(start, end) {
+        const length = end.getTime() - start.getTime();
+        const previousEnd = new Date(start.getTime() - 1);
+        return { start: new Date(previousEnd.getTime() - length), end: previousEnd };
+    }
+
+    static formatDate(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Bucket key for a date: YYYY-MM-DD (day), Monday of the week (week) or YYYY-MM (month)
+     */
+    static getBucket(date, interval) {
+        const d = new Date(date);
+        if (interval === 'month') return this.formatDate(d).slice(0, 7);
+        if (interval === 'week') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+        return this.formatDate(d);
+    }
+
+    /**
+     * Every bucket between two dates, so periods without sales still appear
+     */
+    static getBuckets(start, end, interval) {
+        const buckets = [];
+        const cursor = new Date(start);
+        while (cursor <= end) {
+            const bucket = this.getBucket(cursor, interval);
+            if (buckets[buckets.length - 1] !== bucket) buckets.push(bucket);
+            cursor.setDate(cursor.getDate() + 1);
+        }
+        return buckets;
+    }
+
+    /**
+     * Load sold order lines for a period as flat records with net revenue and cost.
+     * Revenue excludes tax and shipping, is net of the order-level discount (spread over
+     * lines by subtotal) and of returned units. Cost is the cost price captured on the line,
+     * falling back to the product's current cost when the line has none.
+     * @param {Date} start
+     * @param {Date} end
+     * @param {Object} filters - { categoryId, agencyId, brandId, doctorId, productId }
+     */
+    static async loadLines(start, end, { categoryId, agencyId, brandId, doctorId, productId } = {}) {
+        const orderWhere = {
+            isDeleted: false,
+            status: { [Op.notIn]: this.EXCLUDED_STATUSES },
+            createdAt: { [Op.between]: [start, end] }
+        };
+        if (doctorId) orderWhere.doctorId = doctorId;
+
+        const productWhere = {};
+        if (categoryId) productWhere.categoryId = categoryId;
+        if (agencyId) productWhere.agencyId = agencyId;
+        if (brandId) productWhere.brandId = brandId;
+
+        const itemWhere = { status: { [Op.notIn]: this.EXCLUDED_STATUSES } };
+        if (productId) itemWhere.productId = productId;
+
+        const items = await OrderItem.findAll({
+            where: itemWhere,
+            attributes: ['id', 'productId', 'productName', 'productSku', 'quantity', 'returnedQuantity', 'costPrice', 'subtotal', 'discountAmount'],
+            include: [
+                {
+                    model: Order,
+                    as: 'order',
+                    where: orderWhere,
+                    attributes: ['id', 'doctorId', 'subtotal', 'discountAmount', 'createdAt'],
+                    include: [{ model: Doctor, as: 'doctor', attributes: ['id', 'firstName', 'lastName'] }]
+                },
+                {
+                    model: Product,
+                    as: 'product',
+                    where: productWhere,
+                    required: Object.keys(productWhere).length > 0,
+                    attributes: ['id', 'name', 'sku', 'brand', 'costPrice', 'categoryId', 'agencyId', 'brandId'],
+                    include: [
+                        { model: Category, as: 'category', attributes: ['id', 'name'] },
+                        { model: Agency, as: 'agency', attributes: ['id', 'name'] },
+                        { model: Brand, as: 'brandEntity', attributes: ['id', 'name'] }
+                    ]
+                }
+            ]
+        });
+
+        return items.map(item => {
+            const quantity = item.quantity - (item.returnedQuantity || 0);
+            const soldShare = item.quantity > 0 ? Math.max(quantity, 0) / item.quantity : 0;
+
+            const orderSubtotal = parseFloat(item.order.subtotal) || 0;
+            const lineSubtotal = parseFloat(item.subtotal) || 0;
+            const orderDiscount = orderSubtotal > 0
+                ? (parseFloat(item.order.discountAmount) || 0) * lineSubtotal / orderSubtotal
+                : 0;
+            const grossRevenue = lineSubtotal - (parseFloat(item.discountAmount) || 0) - orderDiscount;
+
+            const hasLineCost = item.costPrice !== null && item.costPrice !== undefined;
+            const unitCost = hasLineCost ? parseFloat(item.costPrice) : parseFloat(item.product?.costPrice) || 0;
+            const doctor = item.order.doctor;
+            const product = item.product;
+
+            return {
+                orderId: item.order.id,
+                createdAt: item.order.createdAt,
+                quantity: Math.max(quantity, 0),
+                revenue: grossRevenue * soldShare,
+                cogs: unitCost * Math.max(quantity, 0),
+                estimatedCost: !hasLineCost,
+                product: { id: item.productId, name: product?.name || item.productName, sku: product?.sku || item.productSku },
+                category: { id: product?.categoryId ?? null, name: product?.category?.name || 'Uncategorised' },
+                agency: { id: product?.agencyId ?? null, name: product?.agency?.name || 'No agency' },
+                brand: { id: product?.brandId ?? null, name: product?.brandEntity?.name || product?.brand || 'No brand' },
+                doctor: {
+                    id: doctor?.id ?? null,
+                    name: doctor ? `${doctor.firstName} ${doctor.lastName || ''}`.trim() : 'Walk-in / no doctor'
+                }
+            };
+        });
+    }
+
+    /**
+     * Revenue, COGS and margin for a set of lines
+     */
+    static summarise(lines) {
+        const orderIds = new Set();
+        const totals = lines.reduce((acc, line) => {
+            orderIds.add(line.orderId);
+            acc.quantity += line.quantity;
+            acc.revenue += line.revenue;
+            acc.cogs += line.cogs;
+            if (line.estimatedCost) acc.estimatedCostLines++;
+            return acc;
+        }, { quantity: 0, revenue: 0, cogs: 0, estimatedCostLines: 0 });
+
+        const grossMargin = totals.revenue - totals.cogs;
+
+        return {
+            orderCount: orderIds.size,
+            quantity: totals.quantity,
+            revenue: this.round(totals.revenue),
+            cogs: this.round(totals.cogs),
+            grossMargin: this.round(grossMargin),
+            marginPercent: totals.revenue ? this.round(grossMargin / totals.revenue * 100) : 0,
+            estimatedCostLines: totals.estimatedCostLines
+        };
+    }
+
+    /**
+     * Change from the previous period: absolute and percentage, margin % in points
+     */
+    static compare(current, previous) {
+        const percent = (now, before) => before ? this.round((now - before) / Math.abs(before) * 100) : null;
+
+        return {
+            revenue: this.round(current.revenue - previous.revenue),
+            revenuePercent: percent(current.revenue, previous.revenue),
+            cogs: this.round(current.cogs - previous.cogs),
+            cogsPercent: percent(current.cogs, previous.cogs),
+            grossMargin: this.round(current.grossMargin - previous.grossMargin),
+            grossMarginPercent: percent(current.grossMargin, previous.grossMargin),
+            marginPoints: this.round(current.marginPercent - previous.marginPercent),
+            quantity: current.quantity - previous.quantity
+        };
+    }
+
+    /**
+     * Group lines and summarise each group
+     * @returns {Map} - key -> { key, name, sku?, lines }
+     */
+    static groupLines(lines, groupBy, interval) {
+        const groups = new Map();
+
+        for (const line of lines) {
+            const entity = groupBy === 'period'
+                ? { id: this.getBucket(line.createdAt, interval), name: this.getBucket(line.createdAt, interval) }
+                : line[groupBy];
+            const key = entity.id ?? entity.name;
+
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    key,
+                    name: entity.name,
+                    ...(groupBy === 'product' ? { sku: entity.sku } : {}),
+                    lines: []
+                });
+            }
+            groups.get(key).lines.push(line);
+        }
+        return groups;
+    }
+
+    /**
+     * Build one grouping of the margin report from loaded lines
+     * @param {Array} lines - Current period lines
+     * @param {Array} previousLines - Previous period lines (null to skip comparison)
+     * @param {Object} options - { groupBy, interval, start, end, previous }
+     * @returns {Array} - Rows sorted by revenue (or in date order for periods)
+     */
+    static buildRows(lines, previousLines, { groupBy, interval, start, end, previous }) {
+        const current = this.groupLines(lines, groupBy, interval);
+        const before = previousLines ? this.groupLines(previousLines, groupBy, interval) : null;
+
+        if (groupBy === 'period') {
+            // Buckets are compared by position: first week against the first week of the prior period
+            const buckets = this.getBuckets(start, end, interval);
+            const previousBuckets = previous ? this.getBuckets(previous.start, previous.end, interval) : [];
+
+            return buckets.map((bucket, index) => {
+                const row = { key: bucket, name: bucket, ...this.summarise(current.get(bucket)?.lines || []) };
+                if (before) {
+                    const previousBucket = previousBuckets[index];
+                    row.previousKey = previousBucket || null;
+                    row.previous = this.summarise(before.get(previousBucket)?.lines || []);
+                    row.change = this.compare(row, row.previous);
+                }
+                return row;
+            });
+        }
+
+        const rows = [...current.values()].map(({ lines: groupLines, ...group }) => {
+            const row = { ...group, ...this.summarise(groupLines) };
+            if (before) {
+                row.previous = this.summarise(before.get(group.key)?.lines || []);
+                row.change = this.compare(row, row.previous);
+            }
+            return row;
+        });
+
+        // Groups that sold only in the previous period still matter for the comparison
+        if (before) {
+            for (const [key, { lines: groupLines, ...group }] of before) {
+                if (current.has(key)) continue;
+                const row = { ...group, ...this.summarise([]), previous: this.summarise(groupLines) };
+                row.change = this.compare(row, row.previous);
+                rows.push(row);
+            }
+        }
+
+        return rows.sort((a, b) => b.revenue - a.revenue || (b.previous?.revenue || 0) - (a.previous?.revenue || 0));
+    }
+
+    /**
+     * Load current and previous period lines once for one or more groupings
+     * @param {Object} options - { startDate, endDate, compare, ...filters }
+     */
+    static async loadPeriods({ startDate, endDate, compare = true, ...filters }) {
+        const start = this.toDate(startDate);
+        const end = this.toDate(endDate, true);
+        const previous = compare ? this.getPreviousPeriod(start, end) : null;
+
+        const lines = await this.loadLines(start, end, filters);
+        const previousLines = previous ? await this.loadLines(previous.start, previous.end, filters) : null;
+
+        return { start, end, previous, lines, previousLines };
+    }
+
+    /**
+     * Gross margin report
+     * @param {Object} options - { startDate, endDate, groupBy, interval, compare, categoryId, agencyId, brandId, doctorId, productId }
+     * @returns {Object} - { period, previousPeriod, groupBy, interval, totals, previousTotals, change, rows }
+     */
+    static async getMarginReport({ groupBy = 'product', interval = 'month', ...options }) {
+        const data = await this.loadPeriods(options);
+        return this.buildReport(data, groupBy, interval);
+    }
+
+    /**
+     * Assemble a report for one grouping from loaded periods
+     */
+    static buildReport({ start, end, previous, lines, previousLines }, groupBy, interval) {
+        const totals = this.summarise(lines);
+        const previousTotals = previousLines ? this.summarise(previousLines) : null;
+
+        return {
+            period: { startDate: start, endDate: end },
+            previousPeriod: previous ? { startDate: previous.start, endDate: previous.end } : null,
+            groupBy,
+            interval: groupBy === 'period' ? interval : undefined,
+            totals,
+            previousTotals,
+            change: previousTotals ? this.compare(totals, previousTotals) : null,
+            rows: this.buildRows(lines, previousLines, { groupBy, interval, start, end, previous })
+        };
+    }
+}
+
+module.exports = SalesAnalyticsService;
@@ -0,0 +1,267 @@
+const {
+    Order, OrderItem, OrderStatusHistory, User, Doctor, Cart, Promotion, Product, ProductBatch,
+    NotificationLog, StockReservation, sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const NotificationService = require('./notificationService');
+const PricingService = require('./pricingService');
+const InventoryService = require('./inventoryService');
+const ReceivablesService = require('./receivablesService');
+const ExpiryService = require('./expiryService');
+
+/**
+ * Background job definitions run by SchedulerService.
+ * Each handler returns a plain object that is stored as the run result.
+ */
+const jobs = [
+    {
+        name: 'credit-due-reminders',
+        description: 'Remind doctors of credit orders due in credit_reminder_days days',
+        intervalMinutes: 24 * 60,
+        handler: async () => {
+            const reminderDays = String(await PricingService.getSettingValue('credit_reminder_days', '7,3,1,0'))
+                .split(',')
+                .map(d => parseInt(d.trim()))
+                .filter(d => !isNaN(d));
+
+            const orders = await Order.findAll({
+                where: {
+                    isCredit: true,
+                    isDeleted: false,
+                    status: { [Op.ne]: 'cancelled' },
+                    dueAmount: { [Op.gt]: 0 },
+                    creditDueDate: { [Op.ne]: null }
+                },
+                include: [
+                    { model: User, as: 'user', include: [{ model: Doctor, as: 'doctorProfile' }] },
+                    { model: Doctor, as: 'doctor' }
+                ]
+            });
+
+            const startOfDay = new Date();
+            startOfDay.setHours(0, 0, 0, 0);
+
+            let sent = 0;
+            let failed = 0;
+
+            for (const order of orders) {
+                const daysUntilDue = -ReceivablesService.getDaysPastDue(order);
+                if (!reminderDays.includes(daysUntilDue)) continue;
+
+                // Manual re-runs on the same day should not remind twice
+                const alreadySent = await NotificationLog.count({
+                    where: {
+                        templateCode: 'payment_due_reminder',
+                        referenceType: 'order',
+                        referenceId: order.id,
+                        createdAt: { [Op.gte]: startOfDay }
+                    }
+                });
+                if (alreadySent) continue;
+
+                try {
+                    await NotificationService.sendCreditDueReminder(order, order.user || order.doctor, daysUntilDue);
+                    sent++;
+                } catch (error) {
+                    console.error(`Credit reminder failed for ${order.orderNumber}:`, error.message);
+                    failed++;
+                }
+            }
+
+            return { checked: orders.length, sent, failed };
+        }
+    },
+    {
+        name: 'expiring-batch-alerts',
+        description: 'Alert admins about batches in stock that expire within expiry_alert_days',
+        intervalMinutes: 24 * 60,
+        handler: async () => {
+            const daysAhead = parseInt(await PricingService.getSettingValue('expiry_alert_days', 90));
+
+            const alertDate = new Date();
+            alertDate.setDate(alertDate.getDate() + daysAhead);
+
+            const batches = await ProductBatch.findAll({
+                where: {
+                    status: 'active',
+                    stockQuantity: { [Op.gt]: 0 },
+                    expiryDate: { [Op.between]: [new Date(), alertDate] }
+                },
+                include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'sku'] }],
+                order: [['expiryDate', 'ASC']]
+            });
+
+            if (batches.length) {
+                await NotificationService.sendExpiringBatchesAlert(batches, daysAhead);
+            }
+
+            return { daysAhead, batches: batches.length };
+        }
+    },
+    {
+        name: 'expire-batches',
+        description: 'Mark batches past their expiry date as expired and write their units out of sellable stock',
+        intervalMinutes: 24 * 60,
+        handler: async ({ req }) => ExpiryService.expireBatches(req)
+    },
+    {
+        name: 'near-expiry-clearance',
+        description: 'Create clearance promotions for batches expiring within expiry_alert_days (expiry_clearance_enabled)',
+        intervalMinutes: 24 * 60,
+        handler: async () => ExpiryService.createClearancePromotions()
+    },
+    {
+        name: 'expire-stale-carts',
+        description: 'Mark active carts past Cart.expiresAt as abandoned',
+        intervalMinutes: 60,
+        handler: async () => {
+            const now = new Date();
+            const cartExpiryDays = parseInt(await PricingService.getSettingValue('cart_expiry_days', 7));
+            const inactiveSince = new Date(now);
+            inactiveSince.setDate(inactiveSince.getDate() - cartExpiryDays);
+
+            const [abandoned] = await Cart.update({ status: 'abandoned' }, {
+                where: {
+                    status: 'active',
+                    [Op.or]: [
+                        { expiresAt: { [Op.lt]: now } },
+                        // Carts created before expiresAt was maintained
+                        { expiresAt: null, lastActivityAt: { [Op.lt]: inactiveSince } }
+                    ]
+                }
+            });
+
+            return { abandoned };
+        }
+    },
+    {
+        name: 'promotion-status-transitions',
+        description: 'Activate scheduled promotions and end those past their end date',
+        intervalMinutes: 15,
+        handler: async () => {
+            const now = new Date();
+
+            const [activated] = await Promotion.update({ status: 'active' }, {
+                where: {
+                    status: 'scheduled',
+                    isDeleted: false,
+                    startDate: { [Op.lte]: now },
+                    endDate: { [Op.gte]: now }
+                }
+            });
+
+            const [ended] = await Promotion.update({ status: 'ended' }, {
+                where: {
+                    status: { [Op.in]: ['scheduled', 'active', 'paused'] },
+                    isDeleted: false,
+                    endDate: { [Op.lt]: now }
+                }
+            });
+
+            return { activated, ended };
+        }
+    },
+    {
+        name: 'release-stale-reservations',
+        description: 'Cancel unpaid online orders whose stock reservations have expired and release the stock',
+        intervalMinutes: 5,
+        handler: async () => {
+            const expired = await InventoryService.getExpiredReservations();
+            const orderIds = [...new Set(expired.map(r => r.orderId).filter(Boolean))];
+
+            let cancelled = 0;
+            let kept = 0;
+            let released = 0;
+            let failed = 0;
+
+            for (const orderId of orderIds) {
+                const transaction = await sequelize.transaction();
+                try {
+                    const order = await Order.findByPk(orderId, {
+                        include: [{ model: StockReservation, as: 'reservations', where: { status: 'active' }, required: false }],
+                        lock: true,
+                        transaction
+                    });
+
+                    // Paid or confirmed since the reservation was made: keep the stock
+                    if (!order || order.status !== 'pending' || !['pending', 'failed'].includes(order.paymentStatus)) {
+                        await InventoryService.holdReservations(orderId, transaction);
+                        await transaction.commit();
+                        kept++;
+                        continue;
+                    }
+
+                    const reason = 'Payment not received before the stock reservation expired';
+
+                    for (const reservation of order.reservations) {
+                        await InventoryService.releaseReservedStock(
+                            reservation.productId,
+                            reservation.quantity - reservation.releasedQuantity,
+                            reservation.referenceNumber,
+                            null,
+                            transaction,
+                            { status: 'expired', reason }
+                        );
+                    }
+
+                    await OrderItem.update(
+                        { status: 'cancelled' },
+                        { where: { orderId: order.id }, transaction }
+                    );
+
+                    order.status = 'cancelled';
+                    order.cancelledAt = new Date();
+                    order.cancelReason = reason;
+                    await order.save({ transaction });
+
+                    await OrderStatusHistory.create({
+                        orderId: order.id,
+                        previousStatus: 'pending',
+                        newStatus: 'cancelled',
+                        notes: reason,
+                        changedByName: 'system',
+                        metadata: { reservationsExpired: order.reservations.map(r => r.id) }
+                    }, { transaction });
+
+                    await transaction.commit();
+                    cancelled++;
+
+                    try {
+                        const user = await User.findByPk(order.userId);
+                        if (user) {
+                            await NotificationService.sendOrderStatusUpdate(order, user, 'pending');
+                        }
+                    } catch (notifyError) {
+                        console.error(`Cancellation notice failed for ${order.orderNumber}:`, notifyError.message);
+                    }
+                } catch (error) {
+                    if (!transaction.finished) await transaction.rollback();
+                    console.error(`Failed to release reservations for order ${orderId}:`, error.message);
+                    failed++;
+                }
+            }
+
+            // Reservations not tied to an order just lapse
+            for (const reservation of expired.filter(r => !r.orderId)) {
+                try {
+                    await InventoryService.releaseReservedStock(
+                        reservation.productId,
+                        reservation.quantity - reservation.releasedQuantity,
+                        reservation.referenceNumber,
+                        null,
+                        null,
+                        { status: 'expired', reason: 'Reservation expired' }
+                    );
+                    released++;
+                } catch (error) {
+                    console.error(`Failed to release reservation ${reservation.id}:`, error.message);
+                    failed++;
+                }
+            }
+
+            return { expired: expired.length, ordersCancelled: cancelled, ordersKept: kept, released, failed };
+        }
+    }
+];
+
+module.exports = jobs;
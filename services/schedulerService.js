@@ -0,0 +1,179 @@
+const { ScheduledJob, JobRun } = require('../models');
+const { Op } = require('sequelize');
+const jobDefinitions = require('./scheduledJobs');
+
+/**
+ * Scheduler Service - In-process runner for the jobs defined in scheduledJobs.js.
+ * Schedule and state are persisted in scheduled_jobs so that several app
+ * instances share one schedule; runningSince acts as the run lock.
+ */
+class SchedulerService {
+    static TICK_INTERVAL_MS = 60 * 1000;
+
+    // A lock older than this is assumed to belong to a crashed run
+    static STALE_LOCK_MINUTES = 30;
+
+    static timer = null;
+    static ticking = false;
+
+    /**
+     * Create missing job rows. Interval and enabled flag edited by admins are kept.
+     */
+    static async syncJobs() {
+        for (const definition of jobDefinitions) {
+            const [job, created] = await ScheduledJob.findOrCreate({
+                where: { name: definition.name },
+                defaults: {
+                    name: definition.name,
+                    description: definition.description,
+                    intervalMinutes: definition.intervalMinutes,
+                    nextRunAt: new Date()
+                }
+            });
+
+            if (!created && job.description !== definition.description) {
+                job.description = definition.description;
+                await job.save();
+            }
+        }
+    }
+
+    /**
+     * Start the tick loop
+     */
+    static async start() {
+        if (this.timer) return;
+
+        await this.syncJobs();
+
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('Scheduler tick error:', error));
+        }, this.TICK_INTERVAL_MS);
+        this.timer.unref();
+
+        console.log(`⏱️  Scheduler started (${jobDefinitions.length} jobs)`);
+    }
+
+    /**
+     * Stop the tick loop
+     */
+    static stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run every enabled job that is due
+     */
+    static async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            const dueJobs = await ScheduledJob.findAll({
+                where: {
+                    isEnabled: true,
+                    nextRunAt: { [Op.lte]: new Date() }
+                },
+                order: [['nextRunAt', 'ASC']]
+            });
+
+            for (const job of dueJobs) {
+                await this.runJob(job.name, { trigger: 'schedule' });
+            }
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Run a job now
+     * @param {string} name - Job name
+     * @param {Object} options - { trigger: 'schedule' | 'manual', req }
+     * @returns {Object} - { success, message, run }
+     */
+    static async runJob(name, { trigger = 'schedule', req = null } = {}) {
+        const definition = jobDefinitions.find(d => d.name === name);
+        if (!definition) {
+            return { success: false, message: `Unknown job: ${name}` };
+        }
+
+        const job = await ScheduledJob.findOne({ where: { name } });
+        if (!job) {
+            return { success: false, message: `Job ${name} is not registered` };
+        }
+
+        // Claim the lock; another instance (or an earlier tick) may already hold it
+        const startedAt = new Date();
+        const staleBefore = new Date(startedAt.getTime() - this.STALE_LOCK_MINUTES * 60 * 1000);
+        const claimWhere = {
+            id: job.id,
+            [Op.or]: [
+                { runningSince: null },
+                { runningSince: { [Op.lt]: staleBefore } }
+            ]
+        };
+        if (trigger === 'schedule') {
+            // Skip if another instance already ran it and moved nextRunAt on
+            claimWhere.nextRunAt = { [Op.lte]: startedAt };
+        }
+
+        const [claimed] = await ScheduledJob.update({ runningSince: startedAt }, { where: claimWhere });
+
+        if (!claimed) {
+            return { success: false, message: `Job ${name} is already running` };
+        }
+
+        const run = await JobRun.create({
+            jobId: job.id,
+            jobName: job.name,
+            trigger,
+            status: 'running',
+            startedAt,
+            triggeredBy: req?.user?.isDoctorAccount ? null : req?.user?.id
+        });
+
+        let status = 'success';
+        let result = null;
+        let errorMessage = null;
+
+        try {
+            result = await definition.handler({ job, run, req });
+        } catch (error) {
+            status = 'failed';
+            errorMessage = error.message;
+            console.error(`Scheduled job ${name} failed:`, error);
+        }
+
+        const finishedAt = new Date();
+        const durationMs = finishedAt - startedAt;
+
+        run.status = status;
+        run.finishedAt = finishedAt;
+        run.durationMs = durationMs;
+        run.result = result;
+        run.error = errorMessage;
+        await run.save();
+
+        const nextRunAt = new Date(finishedAt.getTime() + job.intervalMinutes * 60 * 1000);
+        await ScheduledJob.update({
+            runningSince: null,
+            lastRunAt: startedAt,
+            lastStatus: status,
+            lastResult: result,
+            lastError: errorMessage,
+            lastDurationMs: durationMs,
+            nextRunAt
+        }, { where: { id: job.id } });
+
+        return {
+            success: status === 'success',
+            message: status === 'success' ? `Job ${name} completed` : `Job ${name} failed: ${errorMessage}`,
+            run
+        };
+    }
+}
+
+module.exports = SchedulerService;
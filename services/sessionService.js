@@ -0,0 +1,261 @@
+const { UserSession, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const AuditLogService = require('./auditLogService');
+
+/**
+ * Session Service - Persisted refresh-token sessions with rotation and reuse detection
+ */
+class SessionService {
+    static get REFRESH_SECRET() {
+        return process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key';
+    }
+
+    static get REFRESH_EXPIRES_IN() {
+        return process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+    }
+
+    static hashToken(value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+
+    static getAccountType(isDoctorAccount) {
+        return isDoctorAccount ? 'doctor' : 'user';
+    }
+
+    /**
+     * Best-effort device label from the user agent
+     */
+    static describeDevice(userAgent) {
+        if (!userAgent) return 'Unknown device';
+
+        const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']]
+            .find(([token]) => userAgent.includes(token))?.[1];
+        const os = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']]
+            .find(([token]) => userAgent.includes(token))?.[1];
+
+        if (!browser && !os) return userAgent.slice(0, 150);
+        return [browser, os].filter(Boolean).join(' on ');
+    }
+
+    /**
+     * Sign a refresh token for a session with a fresh token id and store its hash
+     * @returns {string} - Refresh token
+     */
+    static async issueRefreshToken(session, claims, transaction = null) {
+        const jti = crypto.randomBytes(16).toString('hex');
+        const refreshToken = jwt.sign(
+            { ...claims, sid: session.id, jti },
+            this.REFRESH_SECRET,
+            { expiresIn: this.REFRESH_EXPIRES_IN }
+        );
+
+        session.tokenHash = this.hashToken(jti);
+        session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+        await session.save({ transaction });
+
+        return refreshToken;
+    }
+
+    /**
+     * Start a session at login
+     * @param {Object} claims - Refresh token claims ({ id, isDoctorAccount, ... })
+     * @param {Object} req - Request (device, IP)
+     * @returns {Object} - { session, refreshToken }
+     */
+    static async createSession(claims, req = null) {
+        const userAgent = req?.headers?.['user-agent'] || null;
+
+        const session = await UserSession.create({
+            accountType: this.getAccountType(claims.isDoctorAccount),
+            accountId: claims.id,
+            tokenHash: '',
+            deviceName: (req?.body?.deviceName || this.describeDevice(userAgent)).slice(0, 150),
+            userAgent: userAgent?.slice(0, 500),
+            ipAddress: req ? AuditLogService.getIpAddress(req) : null,
+            lastUsedAt: new Date(),
+            expiresAt: new Date()
+        });
+
+        const refreshToken = await this.issueRefreshToken(session, claims);
+        return { session, refreshToken };
+    }
+
+    /**
+     * Exchange a refresh token for a new one. Presenting a token that has already been
+     * rotated means it was copied: the whole session is revoked.
+     * @param {string} refreshToken
+     * @param {Object} req
+     * @returns {Object} - { success, decoded, session, refreshToken } or { success: false, message, reuseDetected }
+     */
+    static async rotate(refreshToken, req = null) {
+        let decoded;
+        try {
+            decoded = jwt.verify(refreshToken, this.REFRESH_SECRET);
+        } catch (error) {
+            return { success: false, message: 'Invalid or expired refresh token' };
+        }
+
+        // Tokens issued before sessions were persisted cannot be revoked: require a new login
+        if (!decoded.sid || !decoded.jti) {
+            return { success: false, message: 'Session expired. Please log in again.' };
+        }
+
+        const transaction = await sequelize.transaction();
+        try {
+            // Lock so two refreshes of the same token cannot both rotate it
+            const session = await UserSession.findByPk(decoded.sid, { lock: true, transaction });
+            if (!session || session.accountId !== decoded.id ||
+                session.accountType !== this.getAccountType(decoded.isDoctorAccount)) {
+                await transaction.rollback();
+                return { success: false, message: 'Invalid or expired refresh token' };
+            }
+
+            if (session.revokedAt) {
+                await transaction.rollback();
+                return { success: false, message: 'Session has been revoked. Please log in again.' };
+            }
+
+            if (session.tokenHash !== this.hashToken(decoded.jti)) {
+                await this.revokeSession(session, 'token_reuse', null, transaction);
+                await transaction.commit();
+                await this.logTokenReuse(decoded, session, req);
+
+                return {
+                    success: false,
+                    reuseDetected: true,
+                    message: 'Refresh token has already been used. Session revoked; please log in again.'
+                };
+            }
+
+            const { sid, jti, iat, exp, ...claims } = decoded;
+
+            session.rotationCount += 1;
+            session.lastUsedAt = new Date();
+            if (req) {
+                session.ipAddress = AuditLogService.getIpAddress(req);
+                session.userAgent = req.headers['user-agent']?.slice(0, 500) || session.userAgent;
+            }
+            const newRefreshToken = await this.issueRefreshToken(session, claims, transaction);
+
+            await transaction.commit();
+            return { success: true, decoded, session, refreshToken: newRefreshToken };
+        } catch (error) {
+            if (!transaction.finished) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * HIGH-risk audit entry for a replayed refresh token
+     */
+    static async logTokenReuse(decoded, session, req) {
+        return AuditLogService.log({
+            userId: decoded.isDoctorAccount ? null : decoded.id,
+            userName: decoded.phone,
+            action: 'OTHER',
+            module: 'auth',
+            entityType: decoded.isDoctorAccount ? 'Doctor' : 'User',
+            entityId: decoded.id,
+            description: `Refresh token reuse detected; session ${session.id} (${session.deviceName}) revoked`,
+            metadata: { sessionId: session.id, rotationCount: session.rotationCount },
+            riskLevel: 'HIGH',
+            ipAddress: req ? AuditLogService.getIpAddress(req) : null,
+            userAgent: req?.headers?.['user-agent']
+        });
+    }
+
+    /**
+     * Session named by a refresh token or, failing that, an access token (expired tokens accepted)
+     * @param {Object} tokens - { refreshToken, accessToken }
+     * @returns {Object|null} - UserSession
+     */
+    static async findSessionForTokens({ refreshToken, accessToken } = {}) {
+        const candidates = [
+            [refreshToken, this.REFRESH_SECRET],
+            [accessToken, process.env.JWT_SECRET || 'your-secret-key']
+        ];
+
+        for (const [token, secret] of candidates) {
+            if (!token) continue;
+            try {
+                const decoded = jwt.verify(token, secret, { ignoreExpiration: true });
+                if (!decoded.sid) continue;
+
+                const session = await UserSession.findByPk(decoded.sid);
+                if (session && session.accountId === decoded.id &&
+                    session.accountType === this.getAccountType(decoded.isDoctorAccount)) {
+                    return session;
+                }
+            } catch (error) {
+                // Not a token we signed; try the next one
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether an access token's session is still live
+     */
+    static async isSessionActive(sessionId) {
+        const session = await UserSession.findByPk(sessionId, { attributes: ['id', 'revokedAt', 'expiresAt'] });
+        return !!session && !session.revokedAt && session.expiresAt > new Date();
+    }
+
+    /**
+     * Revoke one session
+     */
+    static async revokeSession(session, reason, revokedBy = null, transaction = null) {
+        if (session.revokedAt) return session;
+
+        session.revokedAt = new Date();
+        session.revokedReason = reason;
+        session.revokedBy = revokedBy;
+        await session.save({ transaction });
+        return session;
+    }
+
+    /**
+     * Revoke every live session of an account
+     * @param {boolean} isDoctorAccount
+     * @param {number} accountId
+     * @param {string} reason
+     * @param {Object} options - { revokedBy, exceptSessionId, transaction }
+     * @returns {number} - Sessions revoked
+     */
+    static async revokeAllSessions(isDoctorAccount, accountId, reason, { revokedBy = null, exceptSessionId = null, transaction = null } = {}) {
+        const where = {
+            accountType: this.getAccountType(isDoctorAccount),
+            accountId,
+            revokedAt: null
+        };
+        if (exceptSessionId) where.id = { [Op.ne]: exceptSessionId };
+
+        const [revoked] = await UserSession.update({
+            revokedAt: new Date(),
+            revokedReason: reason,
+            revokedBy
+        }, { where, transaction });
+
+        return revoked;
+    }
+
+    /**
+     * Live sessions of an account, most recently used first
+     */
+    static async listSessions(isDoctorAccount, accountId) {
+        return UserSession.findAll({
+            where: {
+                accountType: this.getAccountType(isDoctorAccount),
+                accountId,
+                revokedAt: null,
+                expiresAt: { [Op.gt]: new Date() }
+            },
+            attributes: ['id', 'deviceName', 'userAgent', 'ipAddress', 'lastUsedAt', 'expiresAt', 'createdAt'],
+            order: [['lastUsedAt', 'DESC']]
+        });
+    }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,375 @@
+const { OrderStatusHistory, Shipment, ShipmentItem, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const AuditLogService = require('./auditLogService');
+const InventoryService = require('./inventoryService');
+const BatchAllocationService = require('./batchAllocationService');
+const WarehouseService = require('./warehouseService');
+
+/**
+ * Shipment Service - Handles partial shipments and split fulfilment of orders
+ */
+class ShipmentService {
+    /**
+     * Shipment statuses that mean the goods have left the warehouse
+     */
+    static DISPATCHED_STATUSES = ['shipped', 'out_for_delivery', 'delivered'];
+
+    /**
+     * Valid shipment status transitions
+     */
+    static VALID_TRANSITIONS = {
+        pending: ['packed', 'shipped', 'cancelled'],
+        packed: ['shipped', 'cancelled'],
+        shipped: ['out_for_delivery', 'delivered'],
+        out_for_delivery: ['delivered']
+    };
+
+    /**
+     * Generate shipment number (ORDER_NUMBER-S01, ORDER_NUMBER-S02, ...)
+     */
+    static async generateShipmentNumber(order, transaction = null) {
+        const count = await Shipment.count({
+            where: { orderId: order.id },
+            transaction
+        });
+
+        return `${order.orderNumber}-S${(count + 1).toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Get quantities already allocated to (non-cancelled) shipments, keyed by order item ID
+     * @param {number} orderId - Order ID
+     * @param {Object} transaction - Optional transaction
+     * @returns {Object} - { [orderItemId]: quantity }
+     */
+    static async getAllocatedQuantities(orderId, transaction = null) {
+        const rows = await ShipmentItem.findAll({
+            attributes: [
+                'orderItemId',
+                [sequelize.fn('SUM', sequelize.col('ShipmentItem.quantity')), 'allocated']
+            ],
+            include: [{
+                model: Shipment,
+                as: 'shipment',
+                attributes: [],
+                where: {
+                    orderId,
+                    status: { [Op.ne]: 'cancelled' }
+                }
+            }],
+            group: ['orderItemId'],
+            raw: true,
+            transaction
+        });
+
+        return rows.reduce((acc, row) => {
+            acc[row.orderItemId] = parseInt(row.allocated) || 0;
+            return acc;
+        }, {});
+    }
+
+    /**
+     * Get order lines that have not yet been allocated to any shipment
+     * @param {Object} order - Order with items
+     * @param {Object} transaction - Optional transaction
+     * @returns {Array} - [{ orderItemId, quantity }]
+     */
+    static async getUnshippedLines(order, transaction = null) {
+        const allocated = await this.getAllocatedQuantities(order.id, transaction);
+
+        return order.items
+            .filter(item => item.status !== 'cancelled')
+            .map(item => ({
+                orderItemId: item.id,
+                quantity: item.quantity - (allocated[item.id] || 0)
+            }))
+            .filter(line => line.quantity > 0);
+    }
+
+    /**
+     * Create a shipment holding some lines or part-quantities of an order
+     * @param {Object} order - Order with items
+     * @param {Array} lines - [{ orderItemId, quantity }]
+     * @param {Object} details - { carrier, trackingNumber, trackingUrl, expectedDeliveryDate, notes }
+     * @param {Object} req - Request object for audit
+     * @param {Object} externalTransaction - Optional external transaction
+     * @returns {Object} - { success, shipment } or { success: false, message }
+     */
+    static async createShipment(order, lines, details = {}, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            if (!Array.isArray(lines) || lines.length === 0) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'At least one order line is required' };
+            }
+
+            const allocated = await this.getAllocatedQuantities(order.id, transaction);
+            const requested = {};
+
+            for (const line of lines) {
+                const orderItem = order.items.find(i => i.id === parseInt(line.orderItemId));
+                const quantity = parseInt(line.quantity);
+
+                if (!orderItem) {
+                    if (shouldCommit) await transaction.rollback();
+                    return { success: false, message: `Order item ${line.orderItemId} does not belong to this order` };
+                }
+
+                if (orderItem.status === 'cancelled') {
+                    if (shouldCommit) await transaction.rollback();
+                    return { success: false, message: `${orderItem.productName} has been cancelled` };
+                }
+
+                if (isNaN(quantity) || quantity <= 0) {
+                    if (shouldCommit) await transaction.rollback();
+                    return { success: false, message: `Invalid quantity for ${orderItem.productName}` };
+                }
+
+                requested[orderItem.id] = (requested[orderItem.id] || 0) + quantity;
+                const remaining = orderItem.quantity - (allocated[orderItem.id] || 0);
+
+                if (requested[orderItem.id] > remaining) {
+                    if (shouldCommit) await transaction.rollback();
+                    return {
+                        success: false,
+                        message: `${orderItem.productName}: only ${remaining} left to ship`
+                    };
+                }
+            }
+
+            const shipmentNumber = await this.generateShipmentNumber(order, transaction);
+
+            const shipment = await Shipment.create({
+                shipmentNumber,
+                orderId: order.id,
+                status: 'pending',
+                itemCount: Object.keys(requested).length,
+                totalQuantity: Object.values(requested).reduce((sum, qty) => sum + qty, 0),
+                carrier: details.carrier,
+                trackingNumber: details.trackingNumber,
+                trackingUrl: details.trackingUrl,
+                expectedDeliveryDate: details.expectedDeliveryDate,
+                notes: details.notes,
+                createdBy: req?.user?.id
+            }, { transaction });
+
+            for (const [orderItemId, quantity] of Object.entries(requested)) {
+                const orderItem = order.items.find(i => i.id === parseInt(orderItemId));
+
+                await ShipmentItem.create({
+                    shipmentId: shipment.id,
+                    orderItemId: orderItem.id,
+                    productId: orderItem.productId,
+                    productName: orderItem.productName,
+                    quantity
+                }, { transaction });
+            }
+
+            if (shouldCommit) await transaction.commit();
+
+            const created = await Shipment.findByPk(shipment.id, {
+                include: [{ model: ShipmentItem, as: 'items' }],
+                transaction: shouldCommit ? null : transaction
+            });
+
+            return { success: true, shipment: created };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Move a shipment to a new status. Stock is reduced when the shipment is dispatched.
+     * @param {Object} shipment - Shipment with items
+     * @param {Object} order - Order with items
+     * @param {string} status - New shipment status
+     * @param {Object} details - { trackingNumber, trackingUrl, carrier, expectedDeliveryDate, notes }
+     * @param {Object} req - Request object for audit
+     * @param {Object} externalTransaction - Optional external transaction
+     */
+    static async updateShipmentStatus(shipment, order, status, details = {}, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            const previousStatus = shipment.status;
+
+            if (!this.VALID_TRANSITIONS[previousStatus]?.includes(status)) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: `Cannot transition shipment from ${previousStatus} to ${status}` };
+            }
+
+            shipment.status = status;
+            ['carrier', 'trackingNumber', 'trackingUrl', 'expectedDeliveryDate'].forEach(field => {
+                if (details[field]) shipment[field] = details[field];
+            });
+            if (details.notes) shipment.notes = (shipment.notes ? shipment.notes + '\n' : '') + details.notes;
+
+            if (status === 'packed') {
+                shipment.packedAt = new Date();
+            } else if (status === 'shipped') {
+                shipment.shippedAt = new Date();
+
+                // Orders shipped without being confirmed first still need their batches drawn
+                await BatchAllocationService.allocateOrder(order, req, transaction);
+
+                // Reduce actual stock for the lines in this shipment only, from the order's warehouse
+                const warehouseId = await WarehouseService.getOrderWarehouseId(order.id, transaction);
+                for (const item of shipment.items) {
+                    await InventoryService.reduceStock(
+                        item.productId,
+                        item.quantity,
+                        'shipment',
+                        shipment.id,
+                        shipment.shipmentNumber,
+                        req,
+                        transaction,
+                        { warehouseId }
+                    );
+                    await InventoryService.settleReservations(
+                        item.productId, item.quantity, order.orderNumber, 'consumed', `Shipped in ${shipment.shipmentNumber}`, transaction
+                    );
+
+                    const orderItem = order.items.find(i => i.id === item.orderItemId);
+                    if (orderItem) {
+                        orderItem.fulfilledQuantity = (orderItem.fulfilledQuantity || 0) + item.quantity;
+                        orderItem.status = orderItem.fulfilledQuantity >= orderItem.quantity ? 'fulfilled' : 'partial';
+                        await orderItem.save({ transaction });
+
+                        await BatchAllocationService.markShipped(orderItem, item.quantity, transaction);
+                    }
+                }
+            } else if (status === 'delivered') {
+                shipment.deliveredAt = new Date();
+            } else if (status === 'cancelled') {
+                shipment.cancelledAt = new Date();
+            }
+
+            shipment.updatedBy = req?.user?.id;
+            await shipment.save({ transaction });
+
+            if (shouldCommit) await transaction.commit();
+
+            return { success: true, previousStatus, status };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Derive the order status from its shipments and record the change
+     * @param {Object} order - Order with items
+     * @param {Object} req - Request object for audit
+     * @param {Object} transaction - Transaction
+     * @returns {Object} - { previousStatus, status, changed }
+     */
+    static async rollupOrderStatus(order, req = null, transaction = null) {
+        const previousStatus = order.status;
+
+        const shipments = await Shipment.findAll({
+            where: {
+                orderId: order.id,
+                status: { [Op.in]: this.DISPATCHED_STATUSES }
+            },
+            transaction
+        });
+
+        if (shipments.length === 0) {
+            return { previousStatus, status: previousStatus, changed: false };
+        }
+
+        const activeItems = order.items.filter(item => item.status !== 'cancelled');
+        const fullyShipped = activeItems.every(item => (item.fulfilledQuantity || 0) >= item.quantity);
+
+        let status;
+        if (!fullyShipped) {
+            status = 'partially_shipped';
+        } else if (shipments.every(s => s.status === 'delivered')) {
+            status = 'delivered';
+        } else if (shipments.every(s => ['out_for_delivery', 'delivered'].includes(s.status))) {
+            status = 'out_for_delivery';
+        } else {
+            status = 'shipped';
+        }
+
+        if (status === previousStatus) {
+            return { previousStatus, status, changed: false };
+        }
+
+        order.status = status;
+        if (!order.shippedAt) order.shippedAt = shipments[0].shippedAt || new Date();
+        if (status === 'delivered') order.deliveredAt = new Date();
+
+        // Keep the latest tracking details on the order for backwards compatibility
+        const latest = shipments
+            .filter(s => s.trackingNumber)
+            .sort((a, b) => new Date(b.shippedAt) - new Date(a.shippedAt))[0];
+        if (latest) {
+            order.trackingNumber = latest.trackingNumber;
+            order.trackingUrl = latest.trackingUrl || order.trackingUrl;
+        }
+
+        order.updatedBy = req?.user?.id;
+        await order.save({ transaction });
+
+        await OrderStatusHistory.create({
+            orderId: order.id,
+            previousStatus,
+            newStatus: status,
+            notes: 'Status derived from shipments',
+            changedBy: req?.user?.id,
+            changedByName: req?.user?.userName,
+            ipAddress: AuditLogService.getIpAddress(req),
+            metadata: { shipmentIds: shipments.map(s => s.id) }
+        }, { transaction });
+
+        return { previousStatus, status, changed: true };
+    }
+
+    /**
+     * Mirror a whole-order status change onto its dispatched shipments
+     * @param {number} orderId - Order ID
+     * @param {string} status - out_for_delivery or delivered
+     * @param {Object} transaction - Transaction
+     */
+    static async syncDispatchedShipments(orderId, status, transaction = null) {
+        const fromStatuses = status === 'delivered'
+            ? ['shipped', 'out_for_delivery']
+            : ['shipped'];
+
+        const updates = { status };
+        if (status === 'delivered') updates.deliveredAt = new Date();
+
+        await Shipment.update(updates, {
+            where: {
+                orderId,
+                status: { [Op.in]: fromStatuses }
+            },
+            transaction
+        });
+    }
+
+    /**
+     * Cancel shipments that have not left the warehouse yet
+     * @param {number} orderId - Order ID
+     * @param {Object} transaction - Transaction
+     */
+    static async cancelPendingShipments(orderId, transaction = null) {
+        await Shipment.update(
+            { status: 'cancelled', cancelledAt: new Date() },
+            {
+                where: {
+                    orderId,
+                    status: { [Op.in]: ['pending', 'packed'] }
+                },
+                transaction
+            }
+        );
+    }
+}
+
+module.exports = ShipmentService;
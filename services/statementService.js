@@ -0,0 +1,221 @@
+const { Doctor, User, Order, Payment, CreditNote, CreditNoteAllocation } = require('../models');
+const { Op } = require('sequelize');
+
+// Entries on the same timestamp are listed in this order
+const ENTRY_ORDER = ['order', 'debit_note', 'payment', 'credit_note', 'refund', 'order_cancelled', 'note_cancelled'];
+
+/**
+ * Statement Service - Doctor account ledger built from orders, payments and credit/debit notes
+ */
+class StatementService {
+    /**
+     * Build a doctor's account statement with a running balance.
+     * Debits (credit orders, refunds paid out, debit notes) increase what the doctor owes;
+     * credits (payments, credit notes, cancellations) reduce it.
+     * @param {number} doctorId - Doctor ID
+     * @param {Object} options - { startDate, endDate }
+     * @returns {Object|null} - { doctor, period, openingBalance, entries, totals, closingBalance }
+     */
+    static async getDoctorStatement(doctorId, { startDate, endDate } = {}) {
+        const doctor = await Doctor.findByPk(doctorId, {
+            include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'phone'] }]
+        });
+
+        if (!doctor) return null;
+
+        const from = startDate ? new Date(startDate) : null;
+        let to = null;
+        if (endDate) {
+            to = new Date(endDate);
+            to.setHours(23, 59, 59, 999);
+        }
+
+        const entries = [
+            ...await this.getOrderEntries(doctor.id),
+            ...await this.getPaymentEntries(doctor.id),
+            ...await this.getNoteEntries(doctor.id)
+        ]
+            .filter(entry => !to || entry.date <= to)
+            .sort((a, b) => (a.date - b.date) || (ENTRY_ORDER.indexOf(a.type) - ENTRY_ORDER.indexOf(b.type)));
+
+        let openingBalance = 0;
+        let balance = 0;
+        const periodEntries = [];
+        const totals = { debit: 0, credit: 0 };
+
+        for (const entry of entries) {
+            balance += entry.debit - entry.credit;
+
+            if (from && entry.date < from) {
+                openingBalance = balance;
+                continue;
+            }
+
+            totals.debit += entry.debit;
+            totals.credit += entry.credit;
+            periodEntries.push({ ...entry, balance: parseFloat(balance.toFixed(2)) });
+        }
+
+        const doctorUser = doctor.user || doctor;
+
+        return {
+            doctor: {
+                id: doctor.id,
+                name: `${doctorUser.firstName || ''} ${doctorUser.lastName || ''}`.trim(),
+                email: doctorUser.email,
+                phone: doctorUser.phone,
+                licenseNumber: doctor.licenseNumber,
+                hospitalClinic: doctor.hospitalClinic,
+                creditLimit: parseFloat(doctor.creditLimit),
+                currentCredit: parseFloat(doctor.currentCredit),
+                paymentTerms: doctor.paymentTerms
+            },
+            period: {
+                startDate: from,
+                endDate: to || new Date()
+            },
+            openingBalance: parseFloat(openingBalance.toFixed(2)),
+            entries: periodEntries,
+            totals: {
+                debit: parseFloat(totals.debit.toFixed(2)),
+                credit: parseFloat(totals.credit.toFixed(2))
+            },
+            closingBalance: parseFloat(balance.toFixed(2))
+        };
+    }
+
+    /**
+     * Credit orders, and their reversal when cancelled
+     */
+    static async getOrderEntries(doctorId) {
+        const orders = await Order.findAll({
+            where: { doctorId, isCredit: true, isDeleted: false },
+            attributes: ['id', 'orderNumber', 'total', 'status', 'creditDueDate', 'createdAt', 'cancelledAt']
+        });
+
+        const entries = [];
+        for (const order of orders) {
+            const total = parseFloat(order.total);
+
+            entries.push({
+                date: new Date(order.createdAt),
+                type: 'order',
+                reference: order.orderNumber,
+                description: order.creditDueDate
+                    ? `Credit order (due ${new Date(order.creditDueDate).toLocaleDateString()})`
+                    : 'Credit order',
+                orderId: order.id,
+                debit: total,
+                credit: 0
+            });
+
+            if (order.status === 'cancelled') {
+                entries.push({
+                    date: new Date(order.cancelledAt || order.createdAt),
+                    type: 'order_cancelled',
+                    reference: order.orderNumber,
+                    description: 'Order cancelled',
+                    orderId: order.id,
+                    debit: 0,
+                    credit: total
+                });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Payments and refunds on credit orders plus account settlements.
+     * Payments created when a credit note is applied are left out, the note itself is the credit entry.
+     */
+    static async getPaymentEntries(doctorId) {
+        const noteApplications = await CreditNoteAllocation.findAll({
+            where: { paymentId: { [Op.ne]: null } },
+            attributes: ['paymentId'],
+            include: [{
+                model: CreditNote,
+                as: 'creditNote',
+                where: { doctorId, type: 'credit' },
+                attributes: []
+            }]
+        });
+        const excludedIds = noteApplications.map(a => a.paymentId);
+
+        const where = {
+            doctorId,
+            status: { [Op.in]: ['completed', 'partial_refund', 'refunded'] },
+            [Op.or]: [
+                { orderId: null },
+                { '$order.isCredit$': true }
+            ]
+        };
+        if (excludedIds.length) {
+            where.id = { [Op.notIn]: excludedIds };
+        }
+
+        const payments = await Payment.findAll({
+            where,
+            include: [{ model: Order, as: 'order', attributes: ['id', 'orderNumber', 'isCredit'], required: false }]
+        });
+
+        return payments.map(payment => {
+            const amount = parseFloat(payment.amount);
+            const isRefund = amount < 0;
+
+            return {
+                date: new Date(payment.paidAt || payment.createdAt),
+                type: isRefund ? 'refund' : 'payment',
+                reference: payment.order?.orderNumber || payment.transactionId || `PAY-${payment.id}`,
+                description: payment.notes || (isRefund
+                    ? 'Refund'
+                    : `Payment (${(payment.method || '').replace(/_/g, ' ')})`),
+                paymentId: payment.id,
+                debit: isRefund ? Math.abs(amount) : 0,
+                credit: isRefund ? 0 : amount
+            };
+        });
+    }
+
+    /**
+     * Credit and debit notes, and their reversal when cancelled
+     */
+    static async getNoteEntries(doctorId) {
+        const notes = await CreditNote.findAll({
+            where: { doctorId },
+            attributes: ['id', 'noteNumber', 'type', 'amount', 'reason', 'status', 'issuedAt', 'cancelledAt', 'cancelReason']
+        });
+
+        const entries = [];
+        for (const note of notes) {
+            const amount = parseFloat(note.amount);
+            const isDebit = note.type === 'debit';
+
+            entries.push({
+                date: new Date(note.issuedAt),
+                type: isDebit ? 'debit_note' : 'credit_note',
+                reference: note.noteNumber,
+                description: note.reason,
+                creditNoteId: note.id,
+                debit: isDebit ? amount : 0,
+                credit: isDebit ? 0 : amount
+            });
+
+            if (note.status === 'cancelled') {
+                entries.push({
+                    date: new Date(note.cancelledAt || note.issuedAt),
+                    type: 'note_cancelled',
+                    reference: note.noteNumber,
+                    description: `Cancelled: ${note.cancelReason || ''}`.trim(),
+                    creditNoteId: note.id,
+                    debit: isDebit ? 0 : amount,
+                    credit: isDebit ? amount : 0
+                });
+            }
+        }
+
+        return entries;
+    }
+}
+
+module.exports = StatementService;
@@ -0,0 +1,523 @@
+const {
+    StockTake, StockTakeItem, Product, ProductBatch, Warehouse, WarehouseStock,
+    Inventory, InventoryMovement, sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const AuditLogService = require('./auditLogService');
+const InventoryService = require('./inventoryService');
+const WarehouseService = require('./warehouseService');
+
+/**
+ * Stock Take Service - Count sessions, variances and posting of stock adjustments
+ */
+class StockTakeService {
+    /**
+     * Sessions that can still take counts
+     */
+    static OPEN_STATUSES = ['counting', 'submitted'];
+
+    /**
+     * Spreadsheet headers accepted for each field (normalised: lower case, no spaces)
+     */
+    static UPLOAD_COLUMNS = {
+        itemId: ['lineid', 'itemid', 'line'],
+        sku: ['sku', 'productsku'],
+        batchNumber: ['batchnumber', 'batch', 'batchno'],
+        countedQuantity: ['countedquantity', 'counted', 'countedqty', 'count', 'quantity', 'qty'],
+        notes: ['notes', 'note', 'remarks']
+    };
+
+    /**
+     * Generate session number (STK-YYMMDD-0001)
+     */
+    static async generateSessionNumber(transaction = null) {
+        const prefix = 'STK';
+        const date = new Date();
+        const dateStr = date.getFullYear().toString().slice(-2) +
+            (date.getMonth() + 1).toString().padStart(2, '0') +
+            date.getDate().toString().padStart(2, '0');
+
+        const startOfDay = new Date(date.setHours(0, 0, 0, 0));
+        const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+
+        const count = await StockTake.count({
+            where: {
+                createdAt: { [Op.between]: [startOfDay, endOfDay] }
+            },
+            transaction
+        });
+
+        return `${prefix}-${dateStr}-${(count + 1).toString().padStart(4, '0')}`;
+    }
+
+    /**
+     * Start a session and freeze expected quantities.
+     * Whole-stock sessions count by batch, with a product-level line for stock not held in any batch;
+     * warehouse sessions count product totals at that warehouse.
+     * @param {Object} data - { name, warehouseId, categoryId, productIds, notes }
+     * @param {Object} req - Request object
+     * @param {Object} externalTransaction - Optional external transaction
+     */
+    static async startSession(data, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            const { name, warehouseId = null, categoryId = null, productIds, notes } = data;
+
+            if (warehouseId) {
+                const warehouse = await Warehouse.findOne({
+                    where: { id: warehouseId, isDeleted: false },
+                    transaction
+                });
+                if (!warehouse) {
+                    if (shouldCommit) await transaction.rollback();
+                    return { success: false, message: 'Warehouse not found' };
+                }
+            }
+
+            // Two open sessions over the same stock would post the same variance twice
+            const overlapping = await StockTake.findOne({
+                where: { status: { [Op.in]: this.OPEN_STATUSES }, warehouseId },
+                transaction
+            });
+            if (overlapping) {
+                if (shouldCommit) await transaction.rollback();
+                return {
+                    success: false,
+                    message: `Stock take ${overlapping.sessionNumber} is still open for this location`
+                };
+            }
+
+            const productWhere = { trackInventory: true, isDeleted: false };
+            if (categoryId) productWhere.categoryId = categoryId;
+            if (productIds?.length) productWhere.id = productIds;
+
+            const products = await Product.findAll({
+                where: productWhere,
+                attributes: ['id', 'sku', 'stockQuantity', 'costPrice'],
+                order: [['name', 'ASC']],
+                transaction
+            });
+
+            if (!products.length) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'No stock-tracked products match this scope' };
+            }
+
+            const stockTake = await StockTake.create({
+                sessionNumber: await this.generateSessionNumber(transaction),
+                name,
+                warehouseId,
+                categoryId,
+                notes,
+                snapshotAt: new Date(),
+                createdBy: req?.user?.id
+            }, { transaction });
+
+            const lines = warehouseId
+                ? await this.snapshotWarehouse(stockTake, products, transaction)
+                : await this.snapshotBatches(stockTake, products, transaction);
+
+            await StockTakeItem.bulkCreate(lines, { transaction });
+
+            stockTake.lineCount = lines.length;
+            await stockTake.save({ transaction });
+
+            if (shouldCommit) await transaction.commit();
+
+            return { success: true, stockTake };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Expected lines per product at one warehouse
+     */
+    static async snapshotWarehouse(stockTake, products, transaction) {
+        const stock = await WarehouseStock.findAll({
+            where: { warehouseId: stockTake.warehouseId, productId: products.map(p => p.id) },
+            transaction
+        });
+
+        return products.map(product => ({
+            stockTakeId: stockTake.id,
+            productId: product.id,
+            sku: product.sku,
+            expectedQuantity: stock.find(s => s.productId === product.id)?.quantity || 0,
+            unitCost: product.costPrice || 0
+        }));
+    }
+
+    /**
+     * Expected lines per batch, plus unbatched stock per product
+     */
+    static async snapshotBatches(stockTake, products, transaction) {
+        const batches = await ProductBatch.findAll({
+            where: {
+                productId: products.map(p => p.id),
+                stockQuantity: { [Op.gt]: 0 }
+            },
+            order: [['expiryDate', 'ASC']],
+            transaction
+        });
+
+        const lines = [];
+        for (const product of products) {
+            const productBatches = batches.filter(b => b.productId === product.id);
+
+            for (const batch of productBatches) {
+                lines.push({
+                    stockTakeId: stockTake.id,
+                    productId: product.id,
+                    productBatchId: batch.id,
+                    sku: product.sku,
+                    batchNumber: batch.batchNumber,
+                    expiryDate: batch.expiryDate,
+                    expectedQuantity: batch.stockQuantity,
+                    unitCost: parseFloat(batch.costPrice) || product.costPrice || 0
+                });
+            }
+
+            const unbatched = product.stockQuantity - productBatches.reduce((sum, b) => sum + b.stockQuantity, 0);
+            if (!productBatches.length || unbatched > 0) {
+                lines.push({
+                    stockTakeId: stockTake.id,
+                    productId: product.id,
+                    sku: product.sku,
+                    expectedQuantity: Math.max(0, unbatched),
+                    unitCost: product.costPrice || 0
+                });
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Set the counted quantity of a line and work out its variance
+     */
+    static applyCount(item, countedQuantity, notes, req) {
+        item.countedQuantity = countedQuantity;
+        item.varianceQuantity = countedQuantity - item.expectedQuantity;
+        item.varianceValue = (item.varianceQuantity * parseFloat(item.unitCost || 0)).toFixed(2);
+        item.countedAt = new Date();
+        item.countedBy = req?.user?.id;
+        if (notes !== undefined) item.notes = notes;
+    }
+
+    /**
+     * Record counted quantities
+     * @param {Object} stockTake - StockTake
+     * @param {Array} counts - [{ itemId, countedQuantity, notes }]
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     */
+    static async recordCounts(stockTake, counts, req = null, transaction = null) {
+        if (stockTake.status !== 'counting') {
+            return { success: false, message: `Cannot record counts on a ${stockTake.status} stock take` };
+        }
+
+        const items = await StockTakeItem.findAll({
+            where: { stockTakeId: stockTake.id, id: counts.map(c => c.itemId) },
+            transaction
+        });
+
+        const missing = counts.find(c => !items.some(i => i.id === parseInt(c.itemId)));
+        if (missing) {
+            return { success: false, message: `Line ${missing.itemId} is not part of this stock take` };
+        }
+
+        for (const count of counts) {
+            const item = items.find(i => i.id === parseInt(count.itemId));
+            this.applyCount(item, parseInt(count.countedQuantity), count.notes, req);
+            await item.save({ transaction });
+        }
+
+        await this.refreshTotals(stockTake, transaction);
+
+        return { success: true, updated: counts.length };
+    }
+
+    /**
+     * Record counts from spreadsheet rows. Lines are matched by line ID, or by SKU and batch number.
+     * @param {Object} stockTake - StockTake
+     * @param {Array} rows - Rows from readSpreadsheet
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     * @returns {Object} - { success, updated, errors: [{ row, message }] }
+     */
+    static async importCounts(stockTake, rows, req = null, transaction = null) {
+        if (stockTake.status !== 'counting') {
+            return { success: false, message: `Cannot record counts on a ${stockTake.status} stock take` };
+        }
+
+        const pick = (row, field) => {
+            const key = this.UPLOAD_COLUMNS[field].find(k => row[k] !== undefined && row[k] !== null && row[k] !== '');
+            return key ? row[key] : undefined;
+        };
+
+        const items = await StockTakeItem.findAll({
+            where: { stockTakeId: stockTake.id },
+            transaction
+        });
+
+        const errors = [];
+        let updated = 0;
+
+        for (const row of rows) {
+            const counted = pick(row, 'countedQuantity');
+            if (counted === undefined) continue; // Uncounted rows in a returned count sheet
+
+            const quantity = Number(counted);
+            if (!Number.isInteger(quantity) || quantity < 0) {
+                errors.push({ row: row.rowNumber, message: `Invalid counted quantity "${counted}"` });
+                continue;
+            }
+
+            const itemId = pick(row, 'itemId');
+            const sku = pick(row, 'sku');
+            const batchNumber = pick(row, 'batchNumber');
+
+            let item;
+            if (itemId !== undefined) {
+                item = items.find(i => i.id === parseInt(itemId));
+            } else if (sku !== undefined) {
+                const matches = items.filter(i =>
+                    String(i.sku).toLowerCase() === String(sku).toLowerCase() &&
+                    (batchNumber !== undefined
+                        ? String(i.batchNumber).toLowerCase() === String(batchNumber).toLowerCase()
+                        : true)
+                );
+                if (matches.length > 1) {
+                    errors.push({ row: row.rowNumber, message: `SKU ${sku} has several batch lines; give a batch number` });
+                    continue;
+                }
+                item = matches[0];
+            }
+
+            if (!item) {
+                errors.push({ row: row.rowNumber, message: 'No matching line in this stock take' });
+                continue;
+            }
+
+            this.applyCount(item, quantity, pick(row, 'notes'), req);
+            await item.save({ transaction });
+            updated++;
+        }
+
+        await this.refreshTotals(stockTake, transaction);
+
+        return { success: true, updated, errors };
+    }
+
+    /**
+     * Recalculate counted lines and variance totals on the session
+     */
+    static async refreshTotals(stockTake, transaction = null) {
+        const totals = await StockTakeItem.findOne({
+            where: { stockTakeId: stockTake.id },
+            attributes: [
+                [sequelize.fn('COUNT', sequelize.col('counted_quantity')), 'countedLines'],
+                [sequelize.fn('SUM', sequelize.col('variance_quantity')), 'varianceQuantity'],
+                [sequelize.fn('SUM', sequelize.col('variance_value')), 'varianceValue']
+            ],
+            raw: true,
+            transaction
+        });
+
+        stockTake.countedLines = parseInt(totals?.countedLines) || 0;
+        stockTake.varianceQuantity = parseInt(totals?.varianceQuantity) || 0;
+        stockTake.varianceValue = parseFloat(totals?.varianceValue || 0).toFixed(2);
+        await stockTake.save({ transaction });
+
+        return stockTake;
+    }
+
+    /**
+     * Variance summary: shortages and overages with their cost impact
+     */
+    static async getVarianceSummary(stockTakeId, transaction = null) {
+        const items = await StockTakeItem.findAll({
+            where: { stockTakeId, varianceQuantity: { [Op.ne]: 0 } },
+            attributes: ['varianceQuantity', 'varianceValue'],
+            transaction
+        });
+
+        const summary = {
+            linesWithVariance: items.length,
+            shortageQuantity: 0,
+            shortageValue: 0,
+            overageQuantity: 0,
+            overageValue: 0
+        };
+
+        for (const item of items) {
+            const value = parseFloat(item.varianceValue || 0);
+            if (item.varianceQuantity < 0) {
+                summary.shortageQuantity += -item.varianceQuantity;
+                summary.shortageValue += -value;
+            } else {
+                summary.overageQuantity += item.varianceQuantity;
+                summary.overageValue += value;
+            }
+        }
+
+        summary.shortageValue = parseFloat(summary.shortageValue.toFixed(2));
+        summary.overageValue = parseFloat(summary.overageValue.toFixed(2));
+        summary.netValue = parseFloat((summary.overageValue - summary.shortageValue).toFixed(2));
+
+        return summary;
+    }
+
+    /**
+     * Hand a finished count to a manager for approval
+     */
+    static async submit(stockTake, req = null, transaction = null) {
+        if (stockTake.status !== 'counting') {
+            return { success: false, message: `Cannot submit a ${stockTake.status} stock take` };
+        }
+
+        if (!stockTake.countedLines) {
+            return { success: false, message: 'No lines have been counted yet' };
+        }
+
+        stockTake.status = 'submitted';
+        stockTake.submittedAt = new Date();
+        stockTake.submittedBy = req?.user?.id;
+        await stockTake.save({ transaction });
+
+        return { success: true, stockTake };
+    }
+
+    /**
+     * Post every counted variance as an adjustment movement in one transaction.
+     * Variances are applied on top of current stock, so sales made while counting are kept.
+     * Uncounted lines are left as they are.
+     * @param {number} stockTakeId - StockTake ID
+     * @param {Object} req - Request object
+     * @param {Object} externalTransaction - Optional external transaction
+     */
+    static async approve(stockTakeId, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            const stockTake = await StockTake.findByPk(stockTakeId, { lock: true, transaction });
+
+            if (!stockTake) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'Stock take not found' };
+            }
+
+            if (!this.OPEN_STATUSES.includes(stockTake.status)) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: `Cannot approve a ${stockTake.status} stock take` };
+            }
+
+            const items = await StockTakeItem.findAll({
+                where: {
+                    stockTakeId: stockTake.id,
+                    countedQuantity: { [Op.ne]: null },
+                    varianceQuantity: { [Op.ne]: 0 }
+                },
+                order: [['productId', 'ASC'], ['id', 'ASC']],
+                transaction
+            });
+
+            const productIds = [...new Set(items.map(i => i.productId))];
+            let movementCount = 0;
+
+            for (const productId of productIds) {
+                const product = await Product.findByPk(productId, { lock: true, transaction });
+                const previousStock = product.stockQuantity;
+
+                for (const item of items.filter(i => i.productId === productId)) {
+                    const quantityBefore = product.stockQuantity;
+                    product.stockQuantity = Math.max(0, quantityBefore + item.varianceQuantity);
+
+                    if (item.productBatchId) {
+                        const batch = await ProductBatch.findByPk(item.productBatchId, { lock: true, transaction });
+                        if (batch) {
+                            batch.stockQuantity = Math.max(0, batch.stockQuantity + item.varianceQuantity);
+                            if (batch.stockQuantity === 0 && batch.status === 'active') batch.status = 'out_of_stock';
+                            if (batch.stockQuantity > 0 && batch.status === 'out_of_stock') batch.status = 'active';
+                            await batch.save({ transaction });
+                        }
+                    }
+
+                    await InventoryMovement.create({
+                        productId,
+                        type: 'adjustment',
+                        quantityBefore,
+                        quantityChange: product.stockQuantity - quantityBefore,
+                        quantityAfter: product.stockQuantity,
+                        referenceType: 'stock_take',
+                        referenceId: stockTake.id,
+                        referenceNumber: stockTake.sessionNumber,
+                        batchNumber: item.batchNumber,
+                        unitCost: item.unitCost,
+                        totalCost: item.varianceValue,
+                        reason: `Stock take ${stockTake.sessionNumber}: counted ${item.countedQuantity}, expected ${item.expectedQuantity}`,
+                        notes: item.notes,
+                        createdBy: req?.user?.id,
+                        createdByName: req?.user?.userName,
+                        ipAddress: AuditLogService.getIpAddress(req)
+                    }, { transaction });
+                    movementCount++;
+                }
+
+                await product.save({ transaction });
+                await WarehouseService.applyStockChange(
+                    product, product.stockQuantity - previousStock, stockTake.warehouseId, transaction
+                );
+
+                const inventory = await Inventory.findOne({
+                    where: { productId },
+                    lock: true,
+                    transaction
+                });
+
+                if (inventory) {
+                    inventory.quantity = product.stockQuantity;
+                    inventory.status = InventoryService.determineStockStatus(product.stockQuantity, product.lowStockThreshold);
+                    inventory.updatedBy = req?.user?.id;
+                    await inventory.save({ transaction });
+                }
+            }
+
+            stockTake.status = 'approved';
+            stockTake.approvedAt = new Date();
+            stockTake.approvedBy = req?.user?.id;
+            await stockTake.save({ transaction });
+
+            if (shouldCommit) await transaction.commit();
+
+            return { success: true, stockTake, movementCount, productCount: productIds.length };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Abandon a session without touching stock
+     */
+    static async discard(stockTake, reason, req = null, transaction = null) {
+        if (!this.OPEN_STATUSES.includes(stockTake.status)) {
+            return { success: false, message: `Cannot discard a ${stockTake.status} stock take` };
+        }
+
+        stockTake.status = 'discarded';
+        stockTake.discardedAt = new Date();
+        stockTake.discardedBy = req?.user?.id;
+        stockTake.discardReason = reason;
+        await stockTake.save({ transaction });
+
+        return { success: true, stockTake };
+    }
+}
+
+module.exports = StockTakeService;
@@ -0,0 +1,315 @@
+const { SupplierProduct, SupplierPriceHistory, Supplier, Product, User, sequelize } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Supplier Catalogue Service - Supplier price lists, price history and PO line prefill
+ */
+class SupplierCatalogueService {
+    /**
+     * Accepted (normalised) spreadsheet headers per field for catalogue imports
+     */
+    static IMPORT_COLUMNS = {
+        sku: ['sku', 'productsku', 'ourcode'],
+        barcode: ['barcode', 'ean', 'upc'],
+        supplierSku: ['suppliersku', 'suppliercode', 'itemcode'],
+        costPrice: ['costprice', 'cost', 'price', 'unitprice'],
+        packSize: ['packsize', 'pack', 'unitsperpack'],
+        minOrderQuantity: ['minorderquantity', 'moq', 'minimumorderquantity', 'minqty'],
+        leadTimeDays: ['leadtimedays', 'leadtime', 'leaddays'],
+        isPreferred: ['preferred', 'ispreferred', 'preferredsupplier'],
+        notes: ['notes', 'note', 'remarks']
+    };
+
+    /**
+     * Whole-number spreadsheet/body value, or undefined when blank
+     */
+    static toOptionalInt(value) {
+        if (value === undefined || value === null || value === '') return undefined;
+        const number = Number(value);
+        return Number.isInteger(number) ? number : NaN;
+    }
+
+    /**
+     * Spreadsheet truthiness: yes/y/true/1
+     */
+    static toBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        return ['yes', 'y', 'true', '1'].includes(String(value ?? '').trim().toLowerCase());
+    }
+
+    /**
+     * Create or update a supplier's entry for a product.
+     * A cost change is written to price history, and marking an entry preferred
+     * clears the flag from the product's other suppliers.
+     * @param {number} supplierId
+     * @param {number} productId
+     * @param {Object} data - { supplierSku, costPrice, packSize, minOrderQuantity, leadTimeDays, isPreferred, isActive, notes }
+     * @param {Object} options - { source: 'manual' | 'import', req }
+     * @param {Object} externalTransaction - Optional external transaction
+     * @returns {Object} - { entry, created, priceChanged }
+     */
+    static async saveEntry(supplierId, productId, data, options = {}, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+        const { source = 'manual', req = null } = options;
+
+        try {
+            let entry = await SupplierProduct.findOne({
+                where: { supplierId, productId },
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            const created = !entry;
+            const previousPrice = entry ? parseFloat(entry.costPrice) : null;
+
+            const fields = ['supplierSku', 'costPrice', 'packSize', 'minOrderQuantity', 'leadTimeDays', 'isPreferred', 'isActive', 'notes'];
+            const values = {};
+            for (const field of fields) {
+                if (data[field] !== undefined) values[field] = data[field];
+            }
+
+            if (created) {
+                entry = await SupplierProduct.create({
+                    supplierId,
+                    productId,
+                    ...values,
+                    priceUpdatedAt: new Date(),
+                    createdBy: req?.user?.id,
+                    updatedBy: req?.user?.id
+                }, { transaction });
+            } else {
+                entry.set(values);
+                entry.updatedBy = req?.user?.id;
+            }
+
+            const newPrice = parseFloat(entry.costPrice);
+            const priceChanged = previousPrice === null || previousPrice !== newPrice;
+
+            if (priceChanged) {
+                entry.priceUpdatedAt = new Date();
+                await SupplierPriceHistory.create({
+                    supplierProductId: entry.id,
+                    supplierId,
+                    productId,
+                    previousPrice,
+                    costPrice: newPrice,
+                    changePercent: previousPrice
+                        ? parseFloat((((newPrice - previousPrice) / previousPrice) * 100).toFixed(2))
+                        : null,
+                    source,
+                    changedBy: req?.user?.id
+                }, { transaction });
+            }
+
+            await entry.save({ transaction });
+
+            if (entry.isPreferred) {
+                await SupplierProduct.update(
+                    { isPreferred: false },
+                    { where: { productId, id: { [Op.ne]: entry.id }, isPreferred: true }, transaction }
+                );
+            }
+
+            if (shouldCommit) await transaction.commit();
+
+            return { entry, created, priceChanged };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Import a supplier price list from spreadsheet rows (see readSpreadsheet).
+     * Products are matched by our SKU or barcode; rows that cannot be matched or parsed are reported and skipped.
+     * @param {Object} supplier - Supplier instance
+     * @param {Array} rows - [{ rowNumber, ...normalisedHeaders }]
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     * @returns {Object} - { created, updated, priceChanges, errors }
+     */
+    static async importEntries(supplier, rows, req = null, transaction = null) {
+        const pick = (row, field) => {
+            const key = this.IMPORT_COLUMNS[field].find(k => row[k] !== undefined && row[k] !== null && row[k] !== '');
+            return key ? row[key] : undefined;
+        };
+
+        const skus = rows.map(r => pick(r, 'sku')).filter(v => v !== undefined).map(String);
+        const barcodes = rows.map(r => pick(r, 'barcode')).filter(v => v !== undefined).map(String);
+
+        const products = (skus.length || barcodes.length)
+            ? await Product.findAll({
+                where: {
+                    isDeleted: false,
+                    [Op.or]: [
+                        ...(skus.length ? [{ sku: skus }] : []),
+                        ...(barcodes.length ? [{ barcode: barcodes }] : [])
+                    ]
+                },
+                attributes: ['id', 'sku', 'barcode'],
+                transaction
+            })
+            : [];
+
+        const errors = [];
+        const seen = new Set();
+        let created = 0;
+        let updated = 0;
+        let priceChanges = 0;
+
+        for (const row of rows) {
+            const sku = pick(row, 'sku');
+            const barcode = pick(row, 'barcode');
+
+            const product = products.find(p =>
+                (sku !== undefined && String(p.sku).toLowerCase() === String(sku).toLowerCase()) ||
+                (barcode !== undefined && p.barcode && String(p.barcode) === String(barcode))
+            );
+
+            if (!product) {
+                errors.push({ row: row.rowNumber, message: `No product with SKU/barcode ${sku ?? barcode ?? '(blank)'}` });
+                continue;
+            }
+            if (seen.has(product.id)) {
+                errors.push({ row: row.rowNumber, message: `Product ${product.sku} appears more than once` });
+                continue;
+            }
+
+            const costPrice = Number(pick(row, 'costPrice'));
+            if (!Number.isFinite(costPrice) || costPrice < 0) {
+                errors.push({ row: row.rowNumber, message: `Invalid cost price "${pick(row, 'costPrice') ?? ''}"` });
+                continue;
+            }
+
+            const packSize = this.toOptionalInt(pick(row, 'packSize'));
+            const minOrderQuantity = this.toOptionalInt(pick(row, 'minOrderQuantity'));
+            const leadTimeDays = this.toOptionalInt(pick(row, 'leadTimeDays'));
+
+            if ([packSize, minOrderQuantity].some(v => v !== undefined && !(v >= 1))) {
+                errors.push({ row: row.rowNumber, message: 'Pack size and minimum order quantity must be whole numbers of at least 1' });
+                continue;
+            }
+            if (leadTimeDays !== undefined && !(leadTimeDays >= 0)) {
+                errors.push({ row: row.rowNumber, message: 'Lead time must be a whole number of days' });
+                continue;
+            }
+
+            const preferred = pick(row, 'isPreferred');
+            const supplierSku = pick(row, 'supplierSku');
+            const notes = pick(row, 'notes');
+
+            const result = await this.saveEntry(supplier.id, product.id, {
+                costPrice,
+                supplierSku: supplierSku !== undefined ? String(supplierSku) : undefined,
+                packSize,
+                minOrderQuantity,
+                leadTimeDays,
+                isPreferred: preferred !== undefined ? this.toBoolean(preferred) : undefined,
+                notes: notes !== undefined ? String(notes) : undefined,
+                isActive: true
+            }, { source: 'import', req }, transaction);
+
+            seen.add(product.id);
+            if (result.created) created++;
+            else updated++;
+            if (result.priceChanged && !result.created) priceChanges++;
+        }
+
+        return { created, updated, priceChanges, errors };
+    }
+
+    /**
+     * Active preferred catalogue entry per product
+     * @param {Array} productIds
+     * @returns {Map} - productId => SupplierProduct
+     */
+    static async getPreferredEntries(productIds) {
+        const entries = await SupplierProduct.findAll({
+            where: { productId: productIds, isPreferred: true, isActive: true },
+            include: [{
+                model: Supplier,
+                as: 'supplier',
+                attributes: [],
+                where: { isDeleted: false, status: 'active' }
+            }]
+        });
+
+        return new Map(entries.map(e => [e.productId, e]));
+    }
+
+    /**
+     * Round an order quantity up to the supplier's minimum and to whole packs
+     */
+    static roundOrderQuantity(entry, quantity) {
+        if (!entry) return quantity;
+        const packSize = entry.packSize || 1;
+        const atLeastMinimum = Math.max(quantity, entry.minOrderQuantity || 1);
+        return Math.ceil(atLeastMinimum / packSize) * packSize;
+    }
+
+    /**
+     * Prefill purchase order lines from a supplier's price list.
+     * Quantities are rounded up to the minimum order and pack size; products not in
+     * the catalogue are returned without a price for the user to fill in.
+     * @param {number} supplierId
+     * @param {Array} items - [{ productId, quantity }]
+     * @returns {Array} - [{ productId, quantity, requestedQuantity, unitPrice, supplierSku, packSize, minOrderQuantity, leadTimeDays, inCatalogue }]
+     */
+    static async prefillLines(supplierId, items) {
+        const productIds = items.map(i => parseInt(i.productId));
+        const entries = await SupplierProduct.findAll({
+            where: { supplierId, productId: productIds, isActive: true }
+        });
+
+        return items.map(item => {
+            const productId = parseInt(item.productId);
+            const requestedQuantity = parseInt(item.quantity) || 1;
+            const entry = entries.find(e => e.productId === productId);
+
+            return {
+                productId,
+                quantity: this.roundOrderQuantity(entry, requestedQuantity),
+                requestedQuantity,
+                unitPrice: entry ? parseFloat(entry.costPrice) : null,
+                supplierSku: entry?.supplierSku || null,
+                packSize: entry?.packSize || null,
+                minOrderQuantity: entry?.minOrderQuantity || null,
+                leadTimeDays: entry?.leadTimeDays ?? null,
+                inCatalogue: !!entry
+            };
+        });
+    }
+
+    /**
+     * Cost price history, newest first
+     * @param {Object} filters - { supplierId, productId, supplierProductId, startDate, endDate, page, limit }
+     * @returns {Object} - { count, rows }
+     */
+    static async getPriceHistory(filters = {}) {
+        const { supplierId, productId, supplierProductId, startDate, endDate, page = 1, limit = 50 } = filters;
+
+        const where = {};
+        if (supplierId) where.supplierId = supplierId;
+        if (productId) where.productId = productId;
+        if (supplierProductId) where.supplierProductId = supplierProductId;
+        if (startDate || endDate) {
+            where.createdAt = {};
+            if (startDate) where.createdAt[Op.gte] = new Date(startDate);
+            if (endDate) where.createdAt[Op.lte] = new Date(endDate);
+        }
+
+        return SupplierPriceHistory.findAndCountAll({
+            where,
+            include: [
+                { model: Supplier, as: 'supplier', attributes: ['id', 'name', 'code'] },
+                { model: Product, as: 'product', attributes: ['id', 'name', 'sku'] },
+                { model: User, as: 'changer', attributes: ['id', 'firstName', 'lastName'] }
+            ],
+            order: [['createdAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+    }
+}
+
+module.exports = SupplierCatalogueService;
@@ -0,0 +1,351 @@
+const {
+    SupplierReturn, SupplierReturnItem, Supplier, ProductBatch, Product, InventoryMovement, sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const AuditLogService = require('./auditLogService');
+const WarehouseService = require('./warehouseService');
+const InventoryService = require('./inventoryService');
+
+/**
+ * Supplier Return Service - Return-to-supplier documents picked from batch stock, and the credit owed for them
+ */
+class SupplierReturnService {
+    /**
+     * Generate return number (RTS-YYMMDD-0001)
+     */
+    static async generateReturnNumber(transaction = null) {
+        const prefix = 'RTS';
+        const date = new Date();
+        const dateStr = date.getFullYear().toString().slice(-2) +
+            (date.getMonth() + 1).toString().padStart(2, '0') +
+            date.getDate().toString().padStart(2, '0');
+
+        const startOfDay = new Date(date.setHours(0, 0, 0, 0));
+        const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+
+        const count = await SupplierReturn.count({
+            where: {
+                createdAt: { [Op.between]: [startOfDay, endOfDay] }
+            },
+            transaction
+        });
+
+        return `${prefix}-${dateStr}-${(count + 1).toString().padStart(4, '0')}`;
+    }
+
+    /**
+     * Build return lines from picked batches, checking each batch came from this supplier
+     * (when recorded) and has the stock
+     * @param {number} supplierId
+     * @param {Array} items - [{ productBatchId, quantity, unitCost, notes }]
+     * @returns {Object} - { success, lines, message }
+     */
+    static async buildLines(supplierId, items, transaction = null) {
+        const batchIds = items.map(i => parseInt(i.productBatchId));
+        const batches = await ProductBatch.findAll({ where: { id: batchIds }, transaction });
+        const lines = [];
+
+        for (const item of items) {
+            const batch = batches.find(b => b.id === parseInt(item.productBatchId));
+            if (!batch) {
+                return { success: false, message: `Batch ${item.productBatchId} not found` };
+            }
+            if (batch.supplierId && batch.supplierId !== parseInt(supplierId)) {
+                return { success: false, message: `Batch ${batch.batchNumber} was supplied by a different supplier` };
+            }
+
+            const quantity = parseInt(item.quantity);
+            const picked = lines
+                .filter(l => l.productBatchId === batch.id)
+                .reduce((sum, l) => sum + l.quantity, 0);
+
+            if (quantity + picked > batch.stockQuantity) {
+                return {
+                    success: false,
+                    message: `Batch ${batch.batchNumber} has only ${batch.stockQuantity} unit(s) in stock`
+                };
+            }
+
+            const unitCost = item.unitCost !== undefined && item.unitCost !== null
+                ? parseFloat(item.unitCost)
+                : parseFloat(batch.costPrice);
+
+            lines.push({
+                productId: batch.productId,
+                productBatchId: batch.id,
+                batchNumber: batch.batchNumber,
+                expiryDate: batch.expiryDate,
+                quantity,
+                unitCost,
+                creditAmount: parseFloat((unitCost * quantity).toFixed(2)),
+                notes: item.notes
+            });
+        }
+
+        return { success: true, lines };
+    }
+
+    /**
+     * Create a draft return. No stock moves until it is dispatched.
+     * @param {Object} data - { supplierId, purchaseOrderId, warehouseId, reason, notes, expectedCreditAmount,
+     *                          items: [{ productBatchId, quantity, unitCost, notes }] }
+     * @param {Object} req - Request object
+     * @param {Object} externalTransaction - Optional external transaction
+     * @returns {Object} - { success, supplierReturn, message }
+     */
+    static async createReturn(data, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            const supplier = await Supplier.findByPk(data.supplierId, { transaction });
+            if (!supplier || supplier.isDeleted) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'Supplier not found' };
+            }
+
+            const built = await this.buildLines(supplier.id, data.items, transaction);
+            if (!built.success) {
+                if (shouldCommit) await transaction.rollback();
+                return built;
+            }
+
+            const lineCredit = built.lines.reduce((sum, l) => sum + l.creditAmount, 0);
+
+            const supplierReturn = await SupplierReturn.create({
+                returnNumber: await this.generateReturnNumber(transaction),
+                supplierId: supplier.id,
+                purchaseOrderId: data.purchaseOrderId || null,
+                warehouseId: data.warehouseId || null,
+                reason: data.reason,
+                notes: data.notes,
+                totalQuantity: built.lines.reduce((sum, l) => sum + l.quantity, 0),
+                // Agreed credit can differ from cost (e.g. handling deductions)
+                expectedCreditAmount: data.expectedCreditAmount !== undefined && data.expectedCreditAmount !== null
+                    ? parseFloat(data.expectedCreditAmount)
+                    : parseFloat(lineCredit.toFixed(2)),
+                createdBy: req?.user?.id
+            }, { transaction });
+
+            for (const line of built.lines) {
+                await SupplierReturnItem.create({ supplierReturnId: supplierReturn.id, ...line }, { transaction });
+            }
+
+            if (shouldCommit) await transaction.commit();
+
+            return { success: true, supplierReturn };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Take a return line's quantity out of its batch and, for active batches, out of sellable stock.
+     * Expired and quarantined batches are already excluded from sellable stock, so their movement
+     * records the batch leaving without changing the product quantity.
+     */
+    static async removeBatchStock(item, supplierReturn, req, transaction) {
+        const batch = await ProductBatch.findByPk(item.productBatchId, { lock: true, transaction });
+
+        if (!batch || batch.stockQuantity < item.quantity) {
+            return {
+                success: false,
+                message: `Batch ${item.batchNumber} has only ${batch?.stockQuantity || 0} unit(s) left to return`
+            };
+        }
+
+        const sellable = batch.status === 'active';
+
+        batch.stockQuantity -= item.quantity;
+        if (batch.stockQuantity === 0 && sellable) batch.status = 'out_of_stock';
+        await batch.save({ transaction });
+
+        item.batchStatus = sellable ? 'active' : batch.status;
+        await item.save({ transaction });
+
+        const product = await Product.findByPk(item.productId, { lock: true, transaction });
+        const previousStock = product?.stockQuantity || 0;
+
+        if (product && product.trackInventory && sellable) {
+            product.stockQuantity = Math.max(0, previousStock - item.quantity);
+            await product.save({ transaction });
+            await WarehouseService.applyStockChange(product, product.stockQuantity - previousStock, supplierReturn.warehouseId, transaction);
+            await InventoryService.syncInventoryRecord(product, req, transaction);
+        }
+
+        await InventoryMovement.create({
+            productId: item.productId,
+            type: 'supplier_return',
+            quantityBefore: previousStock,
+            quantityChange: (product?.stockQuantity ?? previousStock) - previousStock,
+            quantityAfter: product?.stockQuantity ?? previousStock,
+            referenceType: 'supplier_return',
+            referenceId: supplierReturn.id,
+            referenceNumber: supplierReturn.returnNumber,
+            batchNumber: item.batchNumber,
+            unitCost: item.unitCost,
+            totalCost: parseFloat(item.unitCost) * item.quantity,
+            reason: `${item.quantity} unit(s) of batch ${item.batchNumber} returned to supplier (${supplierReturn.reason.replace(/_/g, ' ')})`,
+            notes: sellable ? null : `Batch was ${batch.status}; already excluded from sellable stock`,
+            createdBy: req?.user?.id,
+            createdByName: req?.user?.userName,
+            ipAddress: AuditLogService.getIpAddress(req)
+        }, { transaction });
+
+        return { success: true };
+    }
+
+    /**
+     * Dispatch a draft return: the picked batch quantities leave stock
+     * @param {Object} supplierReturn - SupplierReturn with items
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     */
+    static async dispatchReturn(supplierReturn, req = null, transaction = null) {
+        if (supplierReturn.status !== 'draft') {
+            return { success: false, message: `Return is already ${supplierReturn.status.replace(/_/g, ' ')}` };
+        }
+
+        for (const item of supplierReturn.items) {
+            const result = await this.removeBatchStock(item, supplierReturn, req, transaction);
+            if (!result.success) return result;
+        }
+
+        supplierReturn.status = 'dispatched';
+        supplierReturn.dispatchedAt = new Date();
+        supplierReturn.dispatchedBy = req?.user?.id;
+        await supplierReturn.save({ transaction });
+
+        return { success: true, supplierReturn };
+    }
+
+    /**
+     * Record credit received from the supplier against a dispatched return.
+     * Credits accumulate; pass settle to close a return that will not be credited in full.
+     * @param {Object} supplierReturn - SupplierReturn
+     * @param {Object} data - { amount, reference, creditDate, settle, notes }
+     */
+    static async recordCredit(supplierReturn, data, req = null, transaction = null) {
+        if (!['dispatched', 'partially_credited'].includes(supplierReturn.status)) {
+            return { success: false, message: `Cannot record credit on a ${supplierReturn.status.replace(/_/g, ' ')} return` };
+        }
+
+        const amount = parseFloat(data.amount) || 0;
+        const expected = parseFloat(supplierReturn.expectedCreditAmount);
+        const received = parseFloat((parseFloat(supplierReturn.receivedCreditAmount) + amount).toFixed(2));
+
+        if (amount <= 0 && !data.settle) {
+            return { success: false, message: 'Credit amount must be positive' };
+        }
+        if (data.settle && received < expected && !data.notes) {
+            return { success: false, message: 'A note is required to close a return that is short-credited' };
+        }
+
+        supplierReturn.receivedCreditAmount = received;
+        if (amount > 0) {
+            supplierReturn.creditReceivedAt = data.creditDate ? new Date(data.creditDate) : new Date();
+        }
+        if (data.reference) {
+            supplierReturn.creditReference = supplierReturn.creditReference
+                ? `${supplierReturn.creditReference}, ${data.reference}`
+                : data.reference;
+        }
+        if (data.notes) {
+            supplierReturn.creditNotes = supplierReturn.creditNotes
+                ? `${supplierReturn.creditNotes}\n${data.notes}`
+                : data.notes;
+        }
+
+        supplierReturn.status = received >= expected || data.settle ? 'credited' : 'partially_credited';
+        await supplierReturn.save({ transaction });
+
+        return { success: true, supplierReturn, shortfall: Math.max(0, parseFloat((expected - received).toFixed(2))) };
+    }
+
+    /**
+     * Cancel a return that has not been dispatched
+     */
+    static async cancelReturn(supplierReturn, reason, req = null, transaction = null) {
+        if (supplierReturn.status !== 'draft') {
+            return { success: false, message: `Cannot cancel a ${supplierReturn.status.replace(/_/g, ' ')} return` };
+        }
+
+        supplierReturn.status = 'cancelled';
+        supplierReturn.cancelledAt = new Date();
+        supplierReturn.cancelledBy = req?.user?.id;
+        supplierReturn.cancelReason = reason;
+        await supplierReturn.save({ transaction });
+
+        return { success: true, supplierReturn };
+    }
+
+    /**
+     * Credit expected vs received per supplier for dispatched returns
+     * @param {Object} filters - { supplierId }
+     * @returns {Object} - { suppliers: [...], totals }
+     */
+    static async getCreditSummary(filters = {}) {
+        const where = { status: { [Op.in]: ['dispatched', 'partially_credited', 'credited'] } };
+        if (filters.supplierId) where.supplierId = filters.supplierId;
+
+        const returns = await SupplierReturn.findAll({
+            where,
+            include: [{ model: Supplier, as: 'supplier', attributes: ['id', 'name', 'code'] }],
+            order: [['dispatchedAt', 'ASC']]
+        });
+
+        const bySupplier = new Map();
+        const totals = { returnCount: 0, expected: 0, received: 0, outstanding: 0, writtenOff: 0 };
+
+        for (const ret of returns) {
+            const expected = parseFloat(ret.expectedCreditAmount);
+            const received = parseFloat(ret.receivedCreditAmount);
+            const gap = Math.max(0, expected - received);
+
+            if (!bySupplier.has(ret.supplierId)) {
+                bySupplier.set(ret.supplierId, {
+                    supplier: ret.supplier,
+                    returnCount: 0,
+                    expected: 0,
+                    received: 0,
+                    outstanding: 0,
+                    writtenOff: 0
+                });
+            }
+
+            const row = bySupplier.get(ret.supplierId);
+            row.returnCount++;
+            row.expected += expected;
+            row.received += received;
+            // Closed returns with a shortfall were settled short; open ones are still owed
+            if (ret.status === 'credited') row.writtenOff += gap;
+            else row.outstanding += gap;
+        }
+
+        const round = n => parseFloat(n.toFixed(2));
+        const suppliers = [...bySupplier.values()].map(row => {
+            for (const key of ['returnCount', 'expected', 'received', 'outstanding', 'writtenOff']) totals[key] += row[key];
+            return {
+                ...row,
+                expected: round(row.expected),
+                received: round(row.received),
+                outstanding: round(row.outstanding),
+                writtenOff: round(row.writtenOff)
+            };
+        }).sort((a, b) => b.outstanding - a.outstanding);
+
+        return {
+            suppliers,
+            totals: {
+                returnCount: totals.returnCount,
+                expected: round(totals.expected),
+                received: round(totals.received),
+                outstanding: round(totals.outstanding),
+                writtenOff: round(totals.writtenOff)
+            }
+        };
+    }
+}
+
+module.exports = SupplierReturnService;
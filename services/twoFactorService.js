@@ -0,0 +1,425 @@
+const { TwoFactorAuth, TrustedDevice } = require('../models');
+const { Op } = require('sequelize');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const AuditLogService = require('./auditLogService');
+const PricingService = require('./pricingService');
+const SessionService = require('./sessionService');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Two-Factor Service - RFC 6238 authenticator-app codes, recovery codes,
+ * remembered devices and the short-lived login challenge
+ */
+class TwoFactorService {
+    static ISSUER = 'MediBulk';
+    static PERIOD_SECONDS = 30;
+    static DIGITS = 6;
+    static DRIFT_STEPS = 1;
+    static RECOVERY_CODE_COUNT = 10;
+    static MAX_FAILED_ATTEMPTS = 5;
+    static LOCK_MINUTES = 15;
+    static CHALLENGE_EXPIRES_IN = '5m';
+
+    // Methods that satisfy role-level enforcement; email/SMS only count as a fallback for enrolled accounts
+    static STRONG_METHODS = ['totp', 'recovery'];
+
+    // Distinct from the access-token secret so a challenge can never pass as an access token
+    static get CHALLENGE_SECRET() {
+        return `${process.env.JWT_SECRET || 'your-secret-key'}:two-factor-challenge`;
+    }
+
+    static getAccountType(isDoctor) {
+        return isDoctor ? 'doctor' : 'user';
+    }
+
+    static hash(value) {
+        return crypto.createHash('sha256').update(String(value)).digest('hex');
+    }
+
+    // ----- RFC 4226 / 6238 -----
+
+    static base32Encode(buffer) {
+        let bits = '';
+        for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+        let output = '';
+        for (let i = 0; i < bits.length; i += 5) {
+            output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+        }
+        return output;
+    }
+
+    static base32Decode(value) {
+        let bits = '';
+        for (const char of value.replace(/=+$/, '').toUpperCase()) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) throw new Error('Invalid base32 secret');
+            bits += index.toString(2).padStart(5, '0');
+        }
+
+        const bytes = [];
+        for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * HOTP value for a counter (RFC 4226, HMAC-SHA1)
+     */
+    static hotp(secret, counter) {
+        const buffer = Buffer.alloc(8);
+        buffer.writeBigUInt64BE(BigInt(counter));
+
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(buffer).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** this.DIGITS);
+
+        return binary.toString().padStart(this.DIGITS, '0');
+    }
+
+    static currentStep(now = Date.now()) {
+        return Math.floor(now / 1000 / this.PERIOD_SECONDS);
+    }
+
+    /**
+     * Time step matched by a code within the allowed drift, or null
+     */
+    static matchStep(secret, code, now = Date.now()) {
+        const step = this.currentStep(now);
+        const expected = Buffer.from(String(code));
+
+        for (let drift = -this.DRIFT_STEPS; drift <= this.DRIFT_STEPS; drift++) {
+            const candidate = Buffer.from(this.hotp(secret, step + drift));
+            if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+                return step + drift;
+            }
+        }
+        return null;
+    }
+
+    static getOtpauthUrl(label, secret) {
+        const issuer = encodeURIComponent(this.ISSUER);
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.ISSUER,
+            algorithm: 'SHA1',
+            digits: String(this.DIGITS),
+            period: String(this.PERIOD_SECONDS)
+        });
+        return `otpauth://totp/${issuer}:${encodeURIComponent(label)}?${params.toString()}`;
+    }
+
+    // ----- Secret encryption -----
+
+    static getEncryptionKey() {
+        const keySource = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key';
+        return crypto.createHash('sha256').update(keySource).digest();
+    }
+
+    static encryptSecret(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+    }
+
+    static decryptSecret(stored) {
+        const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    // ----- Enrolment -----
+
+    static async getRecord(isDoctor, accountId) {
+        return TwoFactorAuth.findOne({
+            where: { accountType: this.getAccountType(isDoctor), accountId }
+        });
+    }
+
+    static isTotpEnabled(record) {
+        return !!record?.enabledAt;
+    }
+
+    /**
+     * Start (or restart) authenticator setup. Refused while TOTP is active.
+     * @returns {Object} - { success, data: { secret, otpauthUrl } }
+     */
+    static async beginSetup(account, isDoctor) {
+        let record = await this.getRecord(isDoctor, account.id);
+        if (this.isTotpEnabled(record)) {
+            return { success: false, message: 'Authenticator app is already enabled. Disable it first to set up a new one.' };
+        }
+
+        const secret = this.base32Encode(crypto.randomBytes(20));
+        const encrypted = this.encryptSecret(secret);
+
+        if (record) {
+            record.secret = encrypted;
+            record.lastUsedStep = null;
+            record.failedAttempts = 0;
+            record.lockedUntil = null;
+            await record.save();
+        } else {
+            record = await TwoFactorAuth.create({
+                accountType: this.getAccountType(isDoctor),
+                accountId: account.id,
+                secret: encrypted
+            });
+        }
+
+        return {
+            success: true,
+            data: {
+                secret,
+                otpauthUrl: this.getOtpauthUrl(account.userName || account.phone, secret)
+            }
+        };
+    }
+
+    /**
+     * Activate TOTP with the first code from the app
+     * @returns {Object} - { success, data: { recoveryCodes } }
+     */
+    static async confirmSetup(isDoctor, accountId, code) {
+        const record = await this.getRecord(isDoctor, accountId);
+        if (!record) {
+            return { success: false, message: 'Start authenticator setup first' };
+        }
+        if (this.isTotpEnabled(record)) {
+            return { success: false, message: 'Authenticator app is already enabled' };
+        }
+
+        const step = this.matchStep(this.decryptSecret(record.secret), code);
+        if (step === null) {
+            return { success: false, message: 'Invalid code. Check the time on your device and try again.' };
+        }
+
+        const recoveryCodes = this.generateRecoveryCodes();
+        record.enabledAt = new Date();
+        record.lastUsedStep = step;
+        record.recoveryCodes = recoveryCodes.map(value => this.hash(this.normaliseRecoveryCode(value)));
+        record.failedAttempts = 0;
+        record.lockedUntil = null;
+        await record.save();
+
+        return { success: true, data: { recoveryCodes } };
+    }
+
+    /**
+     * Turn TOTP off and forget every remembered device
+     */
+    static async disable(isDoctor, accountId) {
+        const removed = await TwoFactorAuth.destroy({
+            where: { accountType: this.getAccountType(isDoctor), accountId }
+        });
+        await this.revokeTrustedDevices(isDoctor, accountId);
+        return removed > 0;
+    }
+
+    // ----- Recovery codes -----
+
+    static generateRecoveryCodes() {
+        return Array.from({ length: this.RECOVERY_CODE_COUNT }, () => {
+            const value = crypto.randomBytes(5).toString('hex');
+            return `${value.slice(0, 5)}-${value.slice(5)}`;
+        });
+    }
+
+    static normaliseRecoveryCode(code) {
+        return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    static async regenerateRecoveryCodes(record) {
+        const recoveryCodes = this.generateRecoveryCodes();
+        record.recoveryCodes = recoveryCodes.map(value => this.hash(this.normaliseRecoveryCode(value)));
+        await record.save();
+        return recoveryCodes;
+    }
+
+    // ----- Verification -----
+
+    /**
+     * Check an authenticator or recovery code against an enrolled account.
+     * Five wrong codes in a row lock the factor for fifteen minutes; a code's
+     * time step can only be used once.
+     * @param {Object} record - TwoFactorAuth
+     * @param {string} code
+     * @param {string} method - 'totp' or 'recovery'
+     * @returns {Object} - { success, message?, locked?, recoveryCodesRemaining? }
+     */
+    static async verifyCode(record, code, method = 'totp') {
+        if (!this.isTotpEnabled(record)) {
+            return { success: false, message: 'Authenticator app is not enabled for this account' };
+        }
+
+        if (record.lockedUntil && record.lockedUntil > new Date()) {
+            return { success: false, locked: true, message: 'Too many wrong codes. Try again later.' };
+        }
+
+        let valid = false;
+        if (method === 'recovery') {
+            const codeHash = this.hash(this.normaliseRecoveryCode(code));
+            const remaining = record.recoveryCodes || [];
+            if (remaining.includes(codeHash)) {
+                record.recoveryCodes = remaining.filter(value => value !== codeHash);
+                valid = true;
+            }
+        } else {
+            const step = this.matchStep(this.decryptSecret(record.secret), code);
+            if (step !== null && (record.lastUsedStep === null || step > Number(record.lastUsedStep))) {
+                record.lastUsedStep = step;
+                valid = true;
+            }
+        }
+
+        if (!valid) {
+            record.failedAttempts += 1;
+            const locked = record.failedAttempts >= this.MAX_FAILED_ATTEMPTS;
+            if (locked) {
+                record.lockedUntil = new Date(Date.now() + this.LOCK_MINUTES * 60 * 1000);
+                record.failedAttempts = 0;
+            }
+            await record.save();
+
+            return locked
+                ? { success: false, locked: true, message: 'Too many wrong codes. Try again later.' }
+                : { success: false, message: 'Invalid or expired code.' };
+        }
+
+        record.failedAttempts = 0;
+        record.lockedUntil = null;
+        await record.save();
+
+        return { success: true, recoveryCodesRemaining: (record.recoveryCodes || []).length };
+    }
+
+    // ----- Login challenge -----
+
+    /**
+     * Short-lived token proving the password step passed. Carries the claims to
+     * issue once the second factor is verified.
+     */
+    static issueChallenge({ accountId, isDoctorTable, tokenPayload, refreshClaims }) {
+        return jwt.sign(
+            { purpose: 'two_factor', accountId, isDoctorTable, tokenPayload, refreshClaims },
+            this.CHALLENGE_SECRET,
+            { expiresIn: this.CHALLENGE_EXPIRES_IN }
+        );
+    }
+
+    static verifyChallenge(challengeToken) {
+        try {
+            const decoded = jwt.verify(challengeToken, this.CHALLENGE_SECRET);
+            return decoded.purpose === 'two_factor' ? decoded : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ----- Enforcement -----
+
+    /**
+     * Lowest role level that must sign in with the authenticator app (0 = not enforced)
+     */
+    static async getRequiredLevel() {
+        const value = parseInt(await PricingService.getSettingValue('two_factor_required_level', '0'), 10);
+        return Number.isFinite(value) ? value : 0;
+    }
+
+    /**
+     * Whether a login's second factor satisfies enforcement. Email/SMS codes count
+     * only as the fallback of an account that has the authenticator enrolled.
+     */
+    static satisfiesEnforcement(method, totpEnrolled) {
+        if (this.STRONG_METHODS.includes(method)) return true;
+        return ['email', 'sms'].includes(method) && !!totpEnrolled;
+    }
+
+    // ----- Remembered devices -----
+
+    static async getTrustedDeviceDays() {
+        const days = parseInt(await PricingService.getSettingValue('two_factor_trusted_device_days', '30'), 10);
+        return Number.isFinite(days) && days > 0 ? days : 30;
+    }
+
+    /**
+     * Remember the current device
+     * @returns {Object} - { device, deviceToken }
+     */
+    static async trustDevice(isDoctor, accountId, verifiedWith, req = null) {
+        const deviceToken = crypto.randomBytes(32).toString('hex');
+        const userAgent = req?.headers?.['user-agent'] || null;
+        const days = await this.getTrustedDeviceDays();
+
+        const device = await TrustedDevice.create({
+            accountType: this.getAccountType(isDoctor),
+            accountId,
+            tokenHash: this.hash(deviceToken),
+            verifiedWith,
+            deviceName: (req?.body?.deviceName || SessionService.describeDevice(userAgent)).slice(0, 150),
+            userAgent: userAgent?.slice(0, 500),
+            ipAddress: req ? AuditLogService.getIpAddress(req) : null,
+            lastUsedAt: new Date(),
+            expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+        });
+
+        return { device, deviceToken };
+    }
+
+    /**
+     * Live remembered device matching a client's device token, or null
+     */
+    static async findTrustedDevice(isDoctor, accountId, deviceToken) {
+        if (!deviceToken) return null;
+
+        const device = await TrustedDevice.findOne({
+            where: {
+                accountType: this.getAccountType(isDoctor),
+                accountId,
+                tokenHash: this.hash(deviceToken),
+                revokedAt: null,
+                expiresAt: { [Op.gt]: new Date() }
+            }
+        });
+
+        if (device) {
+            device.lastUsedAt = new Date();
+            await device.save();
+        }
+        return device;
+    }
+
+    static async listTrustedDevices(isDoctor, accountId) {
+        return TrustedDevice.findAll({
+            where: {
+                accountType: this.getAccountType(isDoctor),
+                accountId,
+                revokedAt: null,
+                expiresAt: { [Op.gt]: new Date() }
+            },
+            attributes: ['id', 'deviceName', 'verifiedWith', 'ipAddress', 'lastUsedAt', 'expiresAt', 'createdAt'],
+            order: [['lastUsedAt', 'DESC']]
+        });
+    }
+
+    /**
+     * Forget remembered devices of an account (one device when deviceId is given)
+     * @returns {number} - Devices revoked
+     */
+    static async revokeTrustedDevices(isDoctor, accountId, deviceId = null) {
+        const where = {
+            accountType: this.getAccountType(isDoctor),
+            accountId,
+            revokedAt: null
+        };
+        if (deviceId) where.id = deviceId;
+
+        const [revoked] = await TrustedDevice.update({ revokedAt: new Date() }, { where });
+        return revoked;
+    }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,629 @@
+const {
+    Warehouse, WarehouseStock, StockTransfer, StockTransferItem, OrderFulfilment,
+    Product, Inventory, InventoryMovement, sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const AuditLogService = require('./auditLogService');
+
+/**
+ * Warehouse Service - Per-warehouse stock, transfers and order fulfilment location.
+ * Product.stockQuantity stays the total on hand; warehouse_stock splits it by location.
+ */
+class WarehouseService {
+    static EARTH_RADIUS_KM = 6371;
+
+    /**
+     * Generate transfer number (TRF-YYMMDD-0001)
+     */
+    static async generateTransferNumber(transaction = null) {
+        const prefix = 'TRF';
+        const date = new Date();
+        const dateStr = date.getFullYear().toString().slice(-2) +
+            (date.getMonth() + 1).toString().padStart(2, '0') +
+            date.getDate().toString().padStart(2, '0');
+
+        const startOfDay = new Date(date.setHours(0, 0, 0, 0));
+        const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+
+        const count = await StockTransfer.count({
+            where: {
+                createdAt: { [Op.between]: [startOfDay, endOfDay] }
+            },
+            transaction
+        });
+
+        return `${prefix}-${dateStr}-${(count + 1).toString().padStart(4, '0')}`;
+    }
+
+    /**
+     * Default warehouse, falling back to the oldest active one
+     * @param {Object} transaction - Optional transaction
+     */
+    static async getDefaultWarehouse(transaction = null) {
+        const where = { isActive: true, isDeleted: false };
+
+        return await Warehouse.findOne({ where: { ...where, isDefault: true }, transaction })
+            || await Warehouse.findOne({ where, order: [['id', 'ASC']], transaction });
+    }
+
+    /**
+     * Seed opening stock for the first warehouse from current product totals
+     * @param {Object} warehouse - Warehouse
+     * @param {Object} transaction - Transaction
+     * @returns {number} - Products seeded
+     */
+    static async seedOpeningStock(warehouse, transaction) {
+        const products = await Product.findAll({
+            where: { trackInventory: true, stockQuantity: { [Op.gt]: 0 } },
+            attributes: ['id', 'stockQuantity'],
+            transaction
+        });
+
+        if (!products.length) return 0;
+
+        await WarehouseStock.bulkCreate(products.map(p => ({
+            warehouseId: warehouse.id,
+            productId: p.id,
+            quantity: p.stockQuantity,
+            lastMovementAt: new Date()
+        })), { transaction });
+
+        return products.length;
+    }
+
+    /**
+     * Mirror a change to Product.stockQuantity onto warehouse stock.
+     * Reductions draw from the given warehouse first, then from other warehouses
+     * holding the product, so the per-warehouse rows add up to the product total.
+     * A reduction the warehouses cannot cover is logged as a mismatch to reconcile by stock take.
+     * @param {Object} product - Product, already saved with its new stockQuantity
+     * @param {number} delta - Change applied to the product total
+     * @param {number} warehouseId - Warehouse to apply the change to (default warehouse if omitted)
+     * @param {Object} transaction - Transaction
+     */
+    static async applyStockChange(product, delta, warehouseId = null, transaction = null) {
+        if (!delta) return;
+
+        const warehouse = warehouseId
+            ? await Warehouse.findByPk(warehouseId, { transaction })
+            : await this.getDefaultWarehouse(transaction);
+
+        // Single-location setups have no warehouses yet
+        if (!warehouse) return;
+
+        const rows = await WarehouseStock.findAll({
+            where: { productId: product.id },
+            lock: true,
+            transaction
+        });
+
+        // First movement for this product since warehouses were set up
+        if (!rows.length) {
+            await WarehouseStock.create({
+                warehouseId: warehouse.id,
+                productId: product.id,
+                quantity: Math.max(0, product.stockQuantity),
+                lastMovementAt: new Date()
+            }, { transaction });
+            return;
+        }
+
+        let target = rows.find(r => r.warehouseId === warehouse.id);
+
+        if (delta > 0) {
+            if (target) {
+                target.quantity += delta;
+                target.lastMovementAt = new Date();
+                await target.save({ transaction });
+            } else {
+                await WarehouseStock.create({
+                    warehouseId: warehouse.id,
+                    productId: product.id,
+                    quantity: delta,
+                    lastMovementAt: new Date()
+                }, { transaction });
+            }
+            return;
+        }
+
+        let remaining = -delta;
+        const sources = [target, ...rows.filter(r => r !== target).sort((a, b) => b.quantity - a.quantity)]
+            .filter(Boolean);
+
+        for (const row of sources) {
+            if (remaining <= 0) break;
+            const take = Math.min(row.quantity, remaining);
+            if (take <= 0) continue;
+
+            row.quantity -= take;
+            row.lastMovementAt = new Date();
+            await row.save({ transaction });
+            remaining -= take;
+        }
+
+        if (remaining > 0) {
+            console.error(
+                `Warehouse stock mismatch: product ${product.id} reduced by ${-delta} but warehouses held ${-delta - remaining}; ` +
+                `${remaining} unit(s) not taken from any warehouse`
+            );
+        }
+    }
+
+    /**
+     * Great-circle distance between two points
+     * @returns {number} - Kilometres
+     */
+    static distanceKm(lat1, lon1, lat2, lon2) {
+        const toRad = deg => (parseFloat(deg) * Math.PI) / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+
+        return 2 * this.EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    }
+
+    /**
+     * Pick the warehouse that will ship an order.
+     * A chosen warehouse wins; otherwise the nearest warehouse that can cover every line,
+     * then the nearest warehouse at all, then the default warehouse.
+     * @param {Object} address - Shipping address with latitude/longitude
+     * @param {Array} items - [{ productId, quantity }]
+     * @param {number} warehouseId - Warehouse chosen by the customer or admin
+     * @param {Object} transaction - Optional transaction
+     * @returns {Object} - { success, warehouse, selection, distanceKm } (warehouse null when none are set up)
+     */
+    static async selectWarehouse(address, items = [], warehouseId = null, transaction = null) {
+        const warehouses = await Warehouse.findAll({
+            where: { isActive: true, isDeleted: false, fulfilsOrders: true },
+            transaction
+        });
+
+        const hasCoords = address?.latitude != null && address?.longitude != null;
+        const distanceTo = (w) => (hasCoords && w.latitude != null && w.longitude != null)
+            ? this.distanceKm(address.latitude, address.longitude, w.latitude, w.longitude)
+            : null;
+
+        if (warehouseId) {
+            const chosen = warehouses.find(w => w.id === parseInt(warehouseId));
+            if (!chosen) {
+                return { success: false, message: 'Selected warehouse is not available for fulfilment' };
+            }
+            return { success: true, warehouse: chosen, selection: 'chosen', distanceKm: distanceTo(chosen) };
+        }
+
+        if (!warehouses.length) {
+            return { success: true, warehouse: null };
+        }
+
+        if (hasCoords) {
+            const located = warehouses
+                .map(w => ({ warehouse: w, distanceKm: distanceTo(w) }))
+                .filter(c => c.distanceKm !== null)
+                .sort((a, b) => a.distanceKm - b.distanceKm);
+
+            if (located.length) {
+                const stock = items.length
+                    ? await WarehouseStock.findAll({
+                        where: {
+                            warehouseId: located.map(c => c.warehouse.id),
+                            productId: items.map(i => i.productId)
+                        },
+                        transaction
+                    })
+                    : [];
+
+                const covers = (warehouse) => items.every(item => {
+                    const row = stock.find(s => s.warehouseId === warehouse.id && s.productId === item.productId);
+                    return row && row.quantity >= item.quantity;
+                });
+
+                const best = located.find(c => covers(c.warehouse)) || located[0];
+                return { success: true, warehouse: best.warehouse, selection: 'nearest', distanceKm: best.distanceKm };
+            }
+        }
+
+        const fallback = warehouses.find(w => w.isDefault) || warehouses[0];
+        return { success: true, warehouse: fallback, selection: 'default', distanceKm: distanceTo(fallback) };
+    }
+
+    /**
+     * Record the warehouse an order ships from
+     * @param {Object} order - Order
+     * @param {Object} warehouse - Warehouse
+     * @param {string} selection - chosen | nearest | default | admin
+     * @param {number} distanceKm - Distance to the shipping address
+     * @param {Object} req - Request object
+     * @param {Object} transaction - Transaction
+     */
+    static async assignOrderWarehouse(order, warehouse, selection, distanceKm = null, req = null, transaction = null) {
+        const data = {
+            warehouseId: warehouse.id,
+            selection,
+            distanceKm: distanceKm !== null ? distanceKm.toFixed(2) : null,
+            updatedBy: req?.user?.isDoctorAccount ? null : req?.user?.id
+        };
+
+        const existing = await OrderFulfilment.findOne({ where: { orderId: order.id }, transaction });
+        if (existing) {
+            return await existing.update(data, { transaction });
+        }
+
+        return await OrderFulfilment.create({ orderId: order.id, ...data }, { transaction });
+    }
+
+    /**
+     * Warehouse assigned to an order, if any
+     */
+    static async getOrderWarehouseId(orderId, transaction = null) {
+        const fulfilment = await OrderFulfilment.findOne({
+            where: { orderId },
+            attributes: ['warehouseId'],
+            transaction
+        });
+
+        return fulfilment?.warehouseId || null;
+    }
+
+    /**
+     * Create a draft transfer
+     * @param {Object} data - { fromWarehouseId, toWarehouseId, notes, items: [{ productId, quantity, batchNumber, notes }] }
+     * @param {Object} req - Request object
+     * @param {Object} externalTransaction - Optional external transaction
+     */
+    static async createTransfer(data, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            const { fromWarehouseId, toWarehouseId, notes, items } = data;
+
+            if (parseInt(fromWarehouseId) === parseInt(toWarehouseId)) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'Source and destination warehouses must differ' };
+            }
+
+            const warehouses = await Warehouse.findAll({
+                where: { id: [fromWarehouseId, toWarehouseId], isActive: true, isDeleted: false },
+                transaction
+            });
+            if (warehouses.length !== 2) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'Both warehouses must exist and be active' };
+            }
+
+            const products = await Product.findAll({
+                where: { id: items.map(i => i.productId) },
+                attributes: ['id', 'name'],
+                transaction
+            });
+            const missing = items.find(i => !products.some(p => p.id === parseInt(i.productId)));
+            if (missing) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: `Product ${missing.productId} not found` };
+            }
+
+            const transfer = await StockTransfer.create({
+                transferNumber: await this.generateTransferNumber(transaction),
+                fromWarehouseId,
+                toWarehouseId,
+                notes,
+                createdBy: req?.user?.id
+            }, { transaction });
+
+            await StockTransferItem.bulkCreate(items.map(item => ({
+                transferId: transfer.id,
+                productId: item.productId,
+                quantity: parseInt(item.quantity),
+                batchNumber: item.batchNumber,
+                notes: item.notes
+            })), { transaction });
+
+            if (shouldCommit) await transaction.commit();
+
+            return { success: true, transfer };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Write one side of a transfer to the product total and the movement log.
+     * Units lost in transit are written as `transfer_loss` so valuation counts them.
+     */
+    static async recordTransferMovement(product, change, transfer, reason, req, transaction, type = 'transfer') {
+        const previousStock = product.stockQuantity;
+        product.stockQuantity = previousStock + change;
+        await product.save({ transaction });
+
+        await InventoryMovement.create({
+            productId: product.id,
+            type,
+            quantityBefore: previousStock,
+            quantityChange: change,
+            quantityAfter: product.stockQuantity,
+            referenceType: 'stock_transfer',
+            referenceId: transfer.id,
+            referenceNumber: transfer.transferNumber,
+            reason,
+            createdBy: req?.user?.id,
+            createdByName: req?.user?.userName,
+            ipAddress: AuditLogService.getIpAddress(req)
+        }, { transaction });
+
+        const inventory = await Inventory.findOne({
+            where: { productId: product.id },
+            lock: true,
+            transaction
+        });
+
+        if (inventory) {
+            const InventoryService = require('./inventoryService');
+            inventory.quantity = product.stockQuantity;
+            inventory.status = InventoryService.determineStockStatus(product.stockQuantity, product.lowStockThreshold);
+            await inventory.save({ transaction });
+        }
+    }
+
+    /**
+     * Load a transfer with its warehouses and lines, locked for update
+     */
+    static async loadTransfer(transferId, transaction) {
+        // FOR UPDATE does not reach outer-joined includes, so the row is locked alone and its relations loaded after
+        const transfer = await StockTransfer.findByPk(transferId, { lock: transaction.LOCK.UPDATE, transaction });
+        if (!transfer) return null;
+
+        const related = {
+            fromWarehouse: await Warehouse.findByPk(transfer.fromWarehouseId, { transaction }),
+            toWarehouse: await Warehouse.findByPk(transfer.toWarehouseId, { transaction }),
+            items: await StockTransferItem.findAll({ where: { transferId: transfer.id }, order: [['id', 'ASC']], transaction })
+        };
+
+        for (const [key, value] of Object.entries(related)) {
+            transfer.setDataValue(key, value);
+            transfer[key] = value;
+        }
+
+        return transfer;
+    }
+
+    /**
+     * Dispatch a draft transfer: stock leaves the source warehouse and is in transit
+     * @param {number} transferId - Transfer ID
+     * @param {Object} req - Request object
+     * @param {Object} externalTransaction - Optional external transaction
+     */
+    static async dispatchTransfer(transferId, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            const transfer = await this.loadTransfer(transferId, transaction);
+
+            if (!transfer) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'Transfer not found' };
+            }
+
+            if (transfer.status !== 'draft') {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: `Cannot dispatch a ${transfer.status} transfer` };
+            }
+
+            for (const item of transfer.items) {
+                const product = await Product.findByPk(item.productId, { lock: true, transaction });
+                const source = await WarehouseStock.findOne({
+                    where: { warehouseId: transfer.fromWarehouseId, productId: item.productId },
+                    lock: true,
+                    transaction
+                });
+
+                if (!source || source.quantity < item.quantity) {
+                    if (shouldCommit) await transaction.rollback();
+                    return {
+                        success: false,
+                        message: `${product.name}: only ${source?.quantity || 0} available at ${transfer.fromWarehouse.code}`
+                    };
+                }
+
+                source.quantity -= item.quantity;
+                source.lastMovementAt = new Date();
+                await source.save({ transaction });
+
+                const [destination] = await WarehouseStock.findOrCreate({
+                    where: { warehouseId: transfer.toWarehouseId, productId: item.productId },
+                    defaults: { quantity: 0 },
+                    transaction
+                });
+                destination.inTransitQuantity += item.quantity;
+                await destination.save({ transaction });
+
+                await this.recordTransferMovement(
+                    product,
+                    -item.quantity,
+                    transfer,
+                    `Transfer out: ${transfer.fromWarehouse.code} → ${transfer.toWarehouse.code}`,
+                    req,
+                    transaction
+                );
+            }
+
+            transfer.status = 'in_transit';
+            transfer.dispatchedAt = new Date();
+            transfer.dispatchedBy = req?.user?.id;
+            await transfer.save({ transaction });
+
+            if (shouldCommit) await transaction.commit();
+
+            return { success: true, transfer };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Receive an in-transit transfer at the destination warehouse
+     * @param {number} transferId - Transfer ID
+     * @param {Array} receivedItems - Optional [{ itemId, receivedQuantity }]; lines not listed are received in full
+     * @param {Object} req - Request object
+     * @param {Object} externalTransaction - Optional external transaction
+     */
+    static async receiveTransfer(transferId, receivedItems = [], req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            const transfer = await this.loadTransfer(transferId, transaction);
+
+            if (!transfer) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'Transfer not found' };
+            }
+
+            if (transfer.status !== 'in_transit') {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: `Cannot receive a ${transfer.status} transfer` };
+            }
+
+            const shortfalls = [];
+
+            for (const item of transfer.items) {
+                const received = receivedItems.find(r => parseInt(r.itemId) === item.id);
+                const quantity = received ? parseInt(received.receivedQuantity) : item.quantity;
+
+                if (quantity > item.quantity) {
+                    if (shouldCommit) await transaction.rollback();
+                    return { success: false, message: `Cannot receive more than ${item.quantity} for line ${item.id}` };
+                }
+
+                const product = await Product.findByPk(item.productId, { lock: true, transaction });
+                const destination = await WarehouseStock.findOne({
+                    where: { warehouseId: transfer.toWarehouseId, productId: item.productId },
+                    lock: true,
+                    transaction
+                });
+
+                destination.quantity += quantity;
+                destination.inTransitQuantity = Math.max(0, destination.inTransitQuantity - item.quantity);
+                destination.lastMovementAt = new Date();
+                await destination.save({ transaction });
+
+                item.receivedQuantity = quantity;
+                await item.save({ transaction });
+
+                if (quantity < item.quantity) {
+                    shortfalls.push({ itemId: item.id, productId: item.productId, shortBy: item.quantity - quantity });
+                }
+
+                // The full dispatched quantity comes back in, so transfer movements net to zero,
+                // and any shortfall leaves stock as a loss of its own
+                await this.recordTransferMovement(
+                    product,
+                    item.quantity,
+                    transfer,
+                    `Transfer in: ${transfer.fromWarehouse.code} → ${transfer.toWarehouse.code}`,
+                    req,
+                    transaction
+                );
+
+                if (quantity < item.quantity) {
+                    await this.recordTransferMovement(
+                        product,
+                        quantity - item.quantity,
+                        transfer,
+                        `Transfer in: ${item.quantity - quantity} short on receipt at ${transfer.toWarehouse.code}`,
+                        req,
+                        transaction,
+                        'transfer_loss'
+                    );
+                }
+            }
+
+            transfer.status = 'received';
+            transfer.receivedAt = new Date();
+            transfer.receivedBy = req?.user?.id;
+            await transfer.save({ transaction });
+
+            if (shouldCommit) await transaction.commit();
+
+            return { success: true, transfer, shortfalls };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel a transfer. In-transit stock goes back to the source warehouse.
+     * @param {number} transferId - Transfer ID
+     * @param {Object} req - Request object
+     * @param {Object} externalTransaction - Optional external transaction
+     */
+    static async cancelTransfer(transferId, req = null, externalTransaction = null) {
+        const transaction = externalTransaction || await sequelize.transaction();
+        const shouldCommit = !externalTransaction;
+
+        try {
+            const transfer = await this.loadTransfer(transferId, transaction);
+
+            if (!transfer) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: 'Transfer not found' };
+            }
+
+            if (!['draft', 'in_transit'].includes(transfer.status)) {
+                if (shouldCommit) await transaction.rollback();
+                return { success: false, message: `Cannot cancel a ${transfer.status} transfer` };
+            }
+
+            if (transfer.status === 'in_transit') {
+                for (const item of transfer.items) {
+                    const product = await Product.findByPk(item.productId, { lock: true, transaction });
+                    const source = await WarehouseStock.findOne({
+                        where: { warehouseId: transfer.fromWarehouseId, productId: item.productId },
+                        lock: true,
+                        transaction
+                    });
+                    const destination = await WarehouseStock.findOne({
+                        where: { warehouseId: transfer.toWarehouseId, productId: item.productId },
+                        lock: true,
+                        transaction
+                    });
+
+                    source.quantity += item.quantity;
+                    source.lastMovementAt = new Date();
+                    await source.save({ transaction });
+
+                    if (destination) {
+                        destination.inTransitQuantity = Math.max(0, destination.inTransitQuantity - item.quantity);
+                        await destination.save({ transaction });
+                    }
+
+                    await this.recordTransferMovement(
+                        product,
+                        item.quantity,
+                        transfer,
+                        `Transfer cancelled: returned to ${transfer.fromWarehouse.code}`,
+                        req,
+                        transaction
+                    );
+                }
+            }
+
+            transfer.status = 'cancelled';
+            transfer.cancelledAt = new Date();
+            await transfer.save({ transaction });
+
+            if (shouldCommit) await transaction.commit();
+
+            return { success: true, transfer };
+        } catch (error) {
+            if (shouldCommit) await transaction.rollback();
+            throw error;
+        }
+    }
+}
+
+module.exports = WarehouseService;
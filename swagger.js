@@ -33,11 +33,22 @@ const options = {
             { name: 'Agencies', description: 'Agency management for manufacturers (SPMC, SPC, etc.)' },
             { name: 'Cart', description: 'Real-time shopping cart and checkout preparation' },
             { name: 'Orders', description: 'Order lifecycle and fulfillment tracking' },
+            { name: 'Returns', description: 'Return authorisations (RMA), inspection and restocking' },
             { name: 'Payments', description: 'Financial transaction and invoice management' },
+            { name: 'Credit Notes', description: 'Credit and debit notes against doctor balances' },
+            { name: 'Recalls', description: 'Batch recalls, quarantine and affected-customer tracing' },
+            { name: 'Warehouses', description: 'Warehouses, per-warehouse stock and inter-warehouse transfers' },
+            { name: 'Stock Takes', description: 'Stock-take sessions, counts, variances and approval' },
+            { name: 'Goods Receipts', description: 'Goods receipt notes, delivery inspection and quarantine release' },
+            { name: 'Supplier Returns', description: 'Returns to suppliers picked from batch stock, return notes and supplier credit' },
+            { name: 'Inventory Valuation', description: 'Stock valuation as of a date and cost of goods sold (FIFO / weighted average)' },
+            { name: 'Sales Analytics', description: 'Revenue, cost of goods sold and gross margin by product, catalogue, doctor and period' },
+            { name: 'Payables', description: 'Supplier invoices, three-way matching, supplier payments and payables aging' },
             { name: 'Taxes', description: 'Regional and category-based tax configuration' },
             { name: 'Discounts', description: 'Coupon and bulk discount logic' },
             { name: 'Promotions', description: 'Campaign and promotional offer management' },
             { name: 'Settings', description: 'Global system configuration and features' },
+            { name: 'Jobs', description: 'Scheduled background jobs and run history' },
             { name: 'Audit Logs', description: 'System-wide activity and security audit trail' },
             { name: 'Health', description: 'System accessibility and performance monitoring' }
         ],
@@ -181,6 +181,9 @@ exports.orderValidators = {
         body('useCredit')
             .optional()
             .isBoolean().withMessage('Use credit must be boolean'),
+        body('warehouseId')
+            .optional()
+            .isInt().withMessage('Invalid warehouse ID'),
         body('customerNotes')
             .optional()
             .isLength({ max: 1000 }).withMessage('Notes max 1000 characters'),
@@ -193,7 +196,64 @@ exports.orderValidators = {
         param('id').isInt().withMessage('Invalid order ID'),
         body('status')
             .notEmpty().withMessage('Status is required')
-            .isIn(['pending', 'confirmed', 'processing', 'packed', 'shipped', 'out_for_delivery', 'delivered', 'cancelled', 'returned', 'refunded'])
+            .isIn(['pending', 'confirmed', 'processing', 'packed', 'partially_shipped', 'shipped', 'out_for_delivery', 'delivered', 'cancelled', 'returned', 'refunded'])
+            .withMessage('Invalid status'),
+        body('notes')
+            .optional()
+            .isLength({ max: 500 }).withMessage('Notes max 500 characters'),
+        body('trackingNumber')
+            .optional()
+            .isLength({ max: 100 }).withMessage('Tracking number max 100 characters')
+    ],
+
+    releaseHold: [
+        param('id').isInt().withMessage('Invalid order ID'),
+        body('reason')
+            .trim()
+            .notEmpty().withMessage('Override reason is required')
+            .isLength({ max: 500 }).withMessage('Reason max 500 characters')
+    ],
+
+    assignWarehouse: [
+        param('id').isInt().withMessage('Invalid order ID'),
+        body('warehouseId')
+            .notEmpty().withMessage('Warehouse is required')
+            .isInt().withMessage('Invalid warehouse ID')
+    ]
+};
+
+/**
+ * Shipment Validators
+ */
+exports.shipmentValidators = {
+    create: [
+        param('id').isInt().withMessage('Invalid order ID'),
+        body('items')
+            .isArray({ min: 1 }).withMessage('At least one item is required'),
+        body('items.*.orderItemId')
+            .isInt().withMessage('Invalid order item ID'),
+        body('items.*.quantity')
+            .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+        body('carrier')
+            .optional()
+            .isLength({ max: 100 }).withMessage('Carrier max 100 characters'),
+        body('trackingNumber')
+            .optional()
+            .isLength({ max: 100 }).withMessage('Tracking number max 100 characters'),
+        body('trackingUrl')
+            .optional()
+            .isURL().withMessage('Invalid tracking URL'),
+        body('expectedDeliveryDate')
+            .optional()
+            .isISO8601().withMessage('Invalid expected delivery date')
+    ],
+
+    updateStatus: [
+        param('id').isInt().withMessage('Invalid order ID'),
+        param('shipmentId').isInt().withMessage('Invalid shipment ID'),
+        body('status')
+            .notEmpty().withMessage('Status is required')
+            .isIn(['packed', 'shipped', 'out_for_delivery', 'delivered', 'cancelled'])
             .withMessage('Invalid status'),
         body('notes')
             .optional()
@@ -204,6 +264,79 @@ exports.orderValidators = {
     ]
 };
 
+/**
+ * Return (RMA) Validators
+ */
+exports.returnValidators = {
+    create: [
+        body('orderId')
+            .notEmpty().withMessage('Order ID is required')
+            .isInt().withMessage('Invalid order ID'),
+        body('resolution')
+            .optional()
+            .isIn(['credit_note', 'refund']).withMessage('Invalid resolution'),
+        body('items')
+            .isArray({ min: 1 }).withMessage('At least one item is required'),
+        body('items.*.orderItemId')
+            .isInt().withMessage('Invalid order item ID'),
+        body('items.*.quantity')
+            .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+        body('items.*.reason')
+            .isIn(['damaged', 'expired', 'near_expiry', 'wrong_item', 'not_ordered', 'quality_issue', 'excess_quantity', 'other'])
+            .withMessage('Invalid return reason'),
+        body('notes')
+            .optional()
+            .isLength({ max: 1000 }).withMessage('Notes max 1000 characters')
+    ],
+
+    approve: [
+        param('id').isInt().withMessage('Invalid return ID'),
+        body('items')
+            .optional()
+            .isArray().withMessage('Items must be an array'),
+        body('items.*.returnItemId')
+            .optional()
+            .isInt().withMessage('Invalid return item ID'),
+        body('items.*.approvedQuantity')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Approved quantity must be non-negative')
+    ],
+
+    reject: [
+        param('id').isInt().withMessage('Invalid return ID'),
+        body('reason')
+            .notEmpty().withMessage('Rejection reason is required')
+            .isLength({ max: 1000 }).withMessage('Reason max 1000 characters')
+    ],
+
+    receive: [
+        param('id').isInt().withMessage('Invalid return ID'),
+        body('items')
+            .optional()
+            .isArray().withMessage('Items must be an array'),
+        body('items.*.receivedQuantity')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Received quantity must be non-negative')
+    ],
+
+    inspect: [
+        param('id').isInt().withMessage('Invalid return ID'),
+        body('items')
+            .isArray({ min: 1 }).withMessage('Inspection results are required'),
+        body('items.*.returnItemId')
+            .isInt().withMessage('Invalid return item ID'),
+        body('items.*.restockQuantity')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Restock quantity must be non-negative'),
+        body('items.*.damageQuantity')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Damage quantity must be non-negative'),
+        body('items.*.rejectedQuantity')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Rejected quantity must be non-negative')
+    ]
+};
+
 /**
  * Cart Validators
  */
@@ -295,6 +428,14 @@ exports.doctorValidators = {
         body('hospitalClinic')
             .optional()
             .isLength({ max: 255 }).withMessage('Clinic name max 255 characters')
+    ],
+
+    creditOverride: [
+        param('id').isInt().withMessage('Invalid doctor ID'),
+        body('reason')
+            .trim()
+            .notEmpty().withMessage('Override reason is required')
+            .isLength({ max: 500 }).withMessage('Reason max 500 characters')
     ]
 };
 
@@ -492,6 +633,50 @@ exports.paymentValidators = {
     ]
 };
 
+/**
+ * Credit / Debit Note Validators
+ */
+exports.creditNoteValidators = {
+    create: [
+        body('type')
+            .notEmpty().withMessage('Note type is required')
+            .isIn(['credit', 'debit']).withMessage('Type must be credit or debit'),
+        body('doctorId')
+            .notEmpty().withMessage('Doctor is required')
+            .isInt().withMessage('Invalid doctor ID'),
+        body('orderId')
+            .optional({ nullable: true })
+            .isInt().withMessage('Invalid order ID'),
+        body('amount')
+            .notEmpty().withMessage('Amount is required')
+            .isFloat({ min: 0.01 }).withMessage('Amount must be positive'),
+        body('reason')
+            .trim()
+            .notEmpty().withMessage('Reason is required')
+            .isLength({ max: 500 }).withMessage('Reason max 500 characters'),
+        body('items')
+            .optional()
+            .isArray().withMessage('Items must be an array'),
+        body('items.*.description')
+            .optional()
+            .notEmpty().withMessage('Item description is required'),
+        body('items.*.amount')
+            .optional()
+            .isFloat({ min: 0.01 }).withMessage('Item amount must be positive'),
+        body('autoApply')
+            .optional()
+            .isBoolean().withMessage('autoApply must be a boolean')
+    ],
+
+    cancel: [
+        param('id').isInt().withMessage('Invalid note ID'),
+        body('reason')
+            .trim()
+            .notEmpty().withMessage('Cancellation reason is required')
+            .isLength({ max: 500 }).withMessage('Reason max 500 characters')
+    ]
+};
+
 /**
  * Settings Validators
  */
@@ -522,6 +707,559 @@ exports.settingsValidators = {
     ]
 };
 
+/**
+ * Batch Recall Validators
+ */
+exports.recallValidators = {
+    create: [
+        body('productBatchId')
+            .notEmpty().withMessage('Batch is required')
+            .isInt().withMessage('Invalid batch ID'),
+        body('severity')
+            .optional()
+            .isIn(['class_i', 'class_ii', 'class_iii']).withMessage('Invalid recall class'),
+        body('reason')
+            .notEmpty().withMessage('Recall reason is required')
+            .isLength({ max: 2000 }).withMessage('Reason max 2000 characters'),
+        body('instructions')
+            .optional()
+            .isLength({ max: 2000 }).withMessage('Instructions max 2000 characters'),
+        body('manufacturerReference')
+            .optional()
+            .isLength({ max: 100 }).withMessage('Reference max 100 characters'),
+        body('notify')
+            .optional()
+            .isBoolean().withMessage('notify must be a boolean')
+            .toBoolean()
+    ],
+
+    updateRecipient: [
+        param('id').isInt().withMessage('Invalid recall ID'),
+        param('recipientId').isInt().withMessage('Invalid recipient ID'),
+        body('acknowledged')
+            .optional()
+            .isBoolean().withMessage('acknowledged must be a boolean')
+            .toBoolean(),
+        body('quantityOnHand')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Quantity on hand must be non-negative'),
+        body('returnStatus')
+            .optional()
+            .isIn(['pending', 'partial', 'returned', 'not_applicable']).withMessage('Invalid return status'),
+        body('returnedQuantity')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Returned quantity must be non-negative'),
+        body('notes')
+            .optional()
+            .isLength({ max: 1000 }).withMessage('Notes max 1000 characters')
+    ],
+
+    acknowledge: [
+        param('recipientId').isInt().withMessage('Invalid recall notice ID'),
+        body('quantityOnHand')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Quantity on hand must be non-negative'),
+        body('notes')
+            .optional()
+            .isLength({ max: 1000 }).withMessage('Notes max 1000 characters')
+    ]
+};
+
+/**
+ * Warehouse Validators
+ */
+exports.warehouseValidators = {
+    create: [
+        body('code')
+            .trim()
+            .notEmpty().withMessage('Warehouse code is required')
+            .isLength({ max: 20 }).withMessage('Code max 20 characters'),
+        body('name')
+            .trim()
+            .notEmpty().withMessage('Warehouse name is required')
+            .isLength({ max: 150 }).withMessage('Name max 150 characters'),
+        body('latitude')
+            .optional({ nullable: true })
+            .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+        body('longitude')
+            .optional({ nullable: true })
+            .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+        body('email')
+            .optional({ checkFalsy: true })
+            .isEmail().withMessage('Invalid email format'),
+        body('isDefault')
+            .optional()
+            .isBoolean().withMessage('isDefault must be a boolean')
+            .toBoolean(),
+        body('fulfilsOrders')
+            .optional()
+            .isBoolean().withMessage('fulfilsOrders must be a boolean')
+            .toBoolean()
+    ],
+
+    update: [
+        param('id').isInt().withMessage('Invalid warehouse ID'),
+        body('code')
+            .optional()
+            .trim()
+            .notEmpty().withMessage('Warehouse code cannot be empty')
+            .isLength({ max: 20 }).withMessage('Code max 20 characters'),
+        body('name')
+            .optional()
+            .trim()
+            .notEmpty().withMessage('Warehouse name cannot be empty')
+            .isLength({ max: 150 }).withMessage('Name max 150 characters'),
+        body('latitude')
+            .optional({ nullable: true })
+            .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+        body('longitude')
+            .optional({ nullable: true })
+            .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+        body('email')
+            .optional({ checkFalsy: true })
+            .isEmail().withMessage('Invalid email format'),
+        body('isDefault')
+            .optional()
+            .isBoolean().withMessage('isDefault must be a boolean')
+            .toBoolean(),
+        body('fulfilsOrders')
+            .optional()
+            .isBoolean().withMessage('fulfilsOrders must be a boolean')
+            .toBoolean(),
+        body('isActive')
+            .optional()
+            .isBoolean().withMessage('isActive must be a boolean')
+            .toBoolean()
+    ],
+
+    updateStock: [
+        param('id').isInt().withMessage('Invalid warehouse ID'),
+        param('productId').isInt().withMessage('Invalid product ID'),
+        body('shelfLocation')
+            .optional({ nullable: true })
+            .isLength({ max: 50 }).withMessage('Shelf location max 50 characters'),
+        body('reorderLevel')
+            .optional({ nullable: true })
+            .isInt({ min: 0 }).withMessage('Reorder level must be non-negative')
+    ],
+
+    createTransfer: [
+        body('fromWarehouseId')
+            .notEmpty().withMessage('Source warehouse is required')
+            .isInt().withMessage('Invalid source warehouse ID'),
+        body('toWarehouseId')
+            .notEmpty().withMessage('Destination warehouse is required')
+            .isInt().withMessage('Invalid destination warehouse ID'),
+        body('items')
+            .isArray({ min: 1 }).withMessage('At least one item is required'),
+        body('items.*.productId')
+            .isInt().withMessage('Invalid product ID'),
+        body('items.*.quantity')
+            .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+        body('notes')
+            .optional()
+            .isLength({ max: 1000 }).withMessage('Notes max 1000 characters')
+    ],
+
+    receiveTransfer: [
+        param('id').isInt().withMessage('Invalid transfer ID'),
+        body('items')
+            .optional()
+            .isArray().withMessage('Items must be an array'),
+        body('items.*.itemId')
+            .optional()
+            .isInt().withMessage('Invalid transfer item ID'),
+        body('items.*.receivedQuantity')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Received quantity must be non-negative')
+    ]
+};
+
+/**
+ * Stock Take Validators
+ */
+exports.stockTakeValidators = {
+    create: [
+        body('name')
+            .optional()
+            .isLength({ max: 150 }).withMessage('Name max 150 characters'),
+        body('warehouseId')
+            .optional({ nullable: true })
+            .isInt().withMessage('Invalid warehouse ID'),
+        body('categoryId')
+            .optional({ nullable: true })
+            .isInt().withMessage('Invalid category ID'),
+        body('productIds')
+            .optional()
+            .isArray().withMessage('productIds must be an array'),
+        body('productIds.*')
+            .isInt().withMessage('Invalid product ID'),
+        body('notes')
+            .optional()
+            .isLength({ max: 1000 }).withMessage('Notes max 1000 characters')
+    ],
+
+    recordCounts: [
+        param('id').isInt().withMessage('Invalid stock take ID'),
+        body('counts')
+            .isArray({ min: 1 }).withMessage('At least one count is required'),
+        body('counts.*.itemId')
+            .isInt().withMessage('Invalid line ID'),
+        body('counts.*.countedQuantity')
+            .isInt({ min: 0 }).withMessage('Counted quantity must be non-negative'),
+        body('counts.*.notes')
+            .optional()
+            .isLength({ max: 500 }).withMessage('Notes max 500 characters')
+    ],
+
+    discard: [
+        param('id').isInt().withMessage('Invalid stock take ID'),
+        body('reason')
+            .trim()
+            .notEmpty().withMessage('Discard reason is required')
+            .isLength({ max: 500 }).withMessage('Reason max 500 characters')
+    ]
+};
+
+/**
+ * Payables (Supplier Invoice / Payment) Validators
+ */
+exports.payableValidators = {
+    createInvoice: [
+        body('purchaseOrderId')
+            .notEmpty().withMessage('Purchase order is required')
+            .isInt().withMessage('Invalid purchase order ID'),
+        body('invoiceNumber')
+            .trim()
+            .notEmpty().withMessage('Supplier invoice number is required')
+            .isLength({ max: 100 }).withMessage('Invoice number max 100 characters'),
+        body('invoiceDate')
+            .notEmpty().withMessage('Invoice date is required')
+            .isISO8601().withMessage('Invalid invoice date'),
+        body('dueDate')
+            .optional({ nullable: true })
+            .isISO8601().withMessage('Invalid due date'),
+        body('totalAmount')
+            .optional({ nullable: true })
+            .isFloat({ min: 0 }).withMessage('Total amount must be non-negative'),
+        body('items')
+            .isArray({ min: 1 }).withMessage('At least one invoice line is required'),
+        body('items.*.productId')
+            .isInt().withMessage('Invalid product ID'),
+        body('items.*.purchaseOrderItemId')
+            .optional({ nullable: true })
+            .isInt().withMessage('Invalid purchase order line ID'),
+        body('items.*.quantity')
+            .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+        body('items.*.unitPrice')
+            .isFloat({ min: 0 }).withMessage('Unit price must be non-negative'),
+        body('items.*.taxPercentage')
+            .optional()
+            .isFloat({ min: 0, max: 100 }).withMessage('Tax percentage must be between 0 and 100'),
+        body('notes')
+            .optional()
+            .isLength({ max: 1000 }).withMessage('Notes max 1000 characters')
+    ],
+
+    approveInvoice: [
+        param('id').isInt().withMessage('Invalid invoice ID'),
+        body('overrideReason')
+            .optional()
+            .trim()
+            .isLength({ max: 500 }).withMessage('Override reason max 500 characters')
+    ],
+
+    cancelInvoice: [
+        param('id').isInt().withMessage('Invalid invoice ID'),
+        body('reason')
+            .trim()
+            .notEmpty().withMessage('Cancellation reason is required')
+            .isLength({ max: 500 }).withMessage('Reason max 500 characters')
+    ],
+
+    recordPayment: [
+        param('id').isInt().withMessage('Invalid invoice ID'),
+        body('amount')
+            .notEmpty().withMessage('Amount is required')
+            .isFloat({ min: 0.01 }).withMessage('Amount must be positive'),
+        body('method')
+            .notEmpty().withMessage('Payment method is required')
+            .isIn(['cash', 'cheque', 'bank_transfer', 'other']).withMessage('Invalid payment method'),
+        body('paymentDate')
+            .optional()
+            .isISO8601().withMessage('Invalid payment date'),
+        body('reference')
+            .optional()
+            .isLength({ max: 100 }).withMessage('Reference max 100 characters'),
+        body('chequeNumber')
+            .if(body('method').equals('cheque'))
+            .notEmpty().withMessage('Cheque number is required for cheque payments'),
+        body('notes')
+            .optional()
+            .isLength({ max: 1000 }).withMessage('Notes max 1000 characters')
+    ],
+
+    voidPayment: [
+        param('id').isInt().withMessage('Invalid payment ID'),
+        body('reason')
+            .trim()
+            .notEmpty().withMessage('Void reason is required')
+            .isLength({ max: 500 }).withMessage('Reason max 500 characters')
+    ]
+};
+
+/**
+ * Goods Receipt (GRN) Validators
+ */
+const goodsReceiptLineRules = [
+    body('warehouseId')
+        .optional({ nullable: true })
+        .isInt().withMessage('Invalid warehouse ID'),
+    body('deliveryNoteNumber')
+        .optional()
+        .isLength({ max: 100 }).withMessage('Delivery note number max 100 characters'),
+    body('items')
+        .isArray({ min: 1 }).withMessage('At least one received line is required'),
+    body('items.*.purchaseOrderItemId')
+        .optional({ nullable: true })
+        .isInt().withMessage('Invalid purchase order line ID'),
+    body('items.*.productId')
+        .optional({ nullable: true })
+        .isInt().withMessage('Invalid product ID'),
+    body('items.*.quantity')
+        .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.batchNumber')
+        .trim()
+        .notEmpty().withMessage('Batch number is required')
+        .isLength({ max: 100 }).withMessage('Batch number max 100 characters'),
+    body('items.*.mfgDate')
+        .optional({ nullable: true })
+        .isISO8601().withMessage('Invalid manufacturing date'),
+    body('items.*.expiryDate')
+        .notEmpty().withMessage('Expiry date is required')
+        .isISO8601().withMessage('Invalid expiry date'),
+    body('notes')
+        .optional()
+        .isLength({ max: 1000 }).withMessage('Notes max 1000 characters')
+];
+
+exports.goodsReceiptValidators = {
+    create: [
+        body('purchaseOrderId')
+            .notEmpty().withMessage('Purchase order is required')
+            .isInt().withMessage('Invalid purchase order ID'),
+        ...goodsReceiptLineRules
+    ],
+
+    receive: [
+        param('id').isInt().withMessage('Invalid purchase order ID'),
+        ...goodsReceiptLineRules
+    ],
+
+    recordInspection: [
+        param('id').isInt().withMessage('Invalid GRN ID'),
+        body('items')
+            .isArray({ min: 1 }).withMessage('At least one inspected line is required'),
+        body('items.*.itemId')
+            .isInt().withMessage('Invalid line ID'),
+        body('items.*.acceptedQuantity')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Accepted quantity must be non-negative'),
+        body('items.*.rejectedQuantity')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Rejected quantity must be non-negative'),
+        body('items.*.quarantinedQuantity')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Quarantined quantity must be non-negative'),
+        body('items.*.rejectionReason')
+            .optional({ nullable: true })
+            .isLength({ max: 500 }).withMessage('Rejection reason max 500 characters'),
+        body('items.*.inspectionNotes')
+            .optional({ nullable: true })
+            .isLength({ max: 1000 }).withMessage('Inspection notes max 1000 characters')
+    ],
+
+    releaseQuarantine: [
+        param('id').isInt().withMessage('Invalid GRN ID'),
+        param('itemId').isInt().withMessage('Invalid line ID'),
+        body('acceptQuantity')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Accept quantity must be non-negative'),
+        body('rejectQuantity')
+            .optional()
+            .isInt({ min: 0 }).withMessage('Reject quantity must be non-negative'),
+        body('rejectionReason')
+            .optional({ nullable: true })
+            .isLength({ max: 500 }).withMessage('Rejection reason max 500 characters'),
+        body('notes')
+            .optional()
+            .isLength({ max: 1000 }).withMessage('Notes max 1000 characters')
+    ],
+
+    cancel: [
+        param('id').isInt().withMessage('Invalid GRN ID'),
+        body('reason')
+            .trim()
+            .notEmpty().withMessage('Cancellation reason is required')
+            .isLength({ max: 500 }).withMessage('Reason max 500 characters')
+    ]
+};
+
+/**
+ * Supplier Return Validators
+ */
+exports.supplierReturnValidators = {
+    create: [
+        body('supplierId')
+            .notEmpty().withMessage('Supplier is required')
+            .isInt().withMessage('Invalid supplier ID'),
+        body('purchaseOrderId')
+            .optional({ nullable: true })
+            .isInt().withMessage('Invalid purchase order ID'),
+        body('warehouseId')
+            .optional({ nullable: true })
+            .isInt().withMessage('Invalid warehouse ID'),
+        body('reason')
+            .notEmpty().withMessage('Return reason is required')
+            .isIn(['expired', 'damaged', 'short_dated', 'recalled', 'wrong_item', 'other']).withMessage('Invalid return reason'),
+        body('expectedCreditAmount')
+            .optional({ nullable: true })
+            .isFloat({ min: 0 }).withMessage('Expected credit must be non-negative'),
+        body('items')
+            .isArray({ min: 1 }).withMessage('At least one batch line is required'),
+        body('items.*.productBatchId')
+            .isInt().withMessage('Invalid batch ID'),
+        body('items.*.quantity')
+            .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+        body('items.*.unitCost')
+            .optional({ nullable: true })
+            .isFloat({ min: 0 }).withMessage('Unit cost must be non-negative'),
+        body('items.*.notes')
+            .optional()
+            .isLength({ max: 500 }).withMessage('Line notes max 500 characters'),
+        body('notes')
+            .optional()
+            .isLength({ max: 1000 }).withMessage('Notes max 1000 characters')
+    ],
+
+    recordCredit: [
+        param('id').isInt().withMessage('Invalid return ID'),
+        body('amount')
+            .optional()
+            .isFloat({ min: 0 }).withMessage('Amount must be non-negative'),
+        body('reference')
+            .optional()
+            .isLength({ max: 100 }).withMessage('Reference max 100 characters'),
+        body('creditDate')
+            .optional()
+            .isISO8601().withMessage('Invalid credit date'),
+        body('settle')
+            .optional()
+            .isBoolean().withMessage('settle must be a boolean')
+            .toBoolean(),
+        body('notes')
+            .optional()
+            .isLength({ max: 1000 }).withMessage('Notes max 1000 characters')
+    ],
+
+    cancel: [
+        param('id').isInt().withMessage('Invalid return ID'),
+        body('reason')
+            .trim()
+            .notEmpty().withMessage('Cancellation reason is required')
+            .isLength({ max: 500 }).withMessage('Reason max 500 characters')
+    ]
+};
+
+/**
+ * Inventory Valuation Validators
+ */
+const valuationFilterRules = [
+    query('method')
+        .optional()
+        .isIn(['fifo', 'weighted_average']).withMessage('Method must be fifo or weighted_average'),
+    query('categoryId')
+        .optional()
+        .isInt().withMessage('Invalid category ID'),
+    query('agencyId')
+        .optional()
+        .isInt().withMessage('Invalid agency ID'),
+    query('brandId')
+        .optional()
+        .isInt().withMessage('Invalid brand ID')
+];
+
+exports.inventoryValuationValidators = {
+    valuation: [
+        query('asOf')
+            .optional()
+            .isISO8601().withMessage('Invalid as-of date'),
+        ...valuationFilterRules
+    ],
+
+    cogs: [
+        query('startDate')
+            .notEmpty().withMessage('Start date is required')
+            .isISO8601().withMessage('Invalid start date'),
+        query('endDate')
+            .notEmpty().withMessage('End date is required')
+            .isISO8601().withMessage('Invalid end date'),
+        ...valuationFilterRules
+    ],
+
+    excel: [
+        query('asOf')
+            .optional()
+            .isISO8601().withMessage('Invalid as-of date'),
+        query('startDate')
+            .optional()
+            .isISO8601().withMessage('Invalid start date'),
+        ...valuationFilterRules
+    ]
+};
+
+/**
+ * Sales Analytics Validators
+ */
+exports.salesAnalyticsValidators = {
+    report: [
+        query('startDate')
+            .notEmpty().withMessage('Start date is required')
+            .isISO8601().withMessage('Invalid start date'),
+        query('endDate')
+            .notEmpty().withMessage('End date is required')
+            .isISO8601().withMessage('Invalid end date'),
+        query('groupBy')
+            .optional()
+            .isIn(['product', 'category', 'agency', 'brand', 'doctor', 'period']).withMessage('Invalid grouping'),
+        query('interval')
+            .optional()
+            .isIn(['day', 'week', 'month']).withMessage('Interval must be day, week or month'),
+        query('compare')
+            .optional()
+            .isBoolean().withMessage('compare must be a boolean')
+            .toBoolean(),
+        query(['categoryId', 'agencyId', 'brandId', 'doctorId', 'productId'])
+            .optional()
+            .isInt().withMessage('Invalid filter ID')
+    ]
+};
+
+/**
+ * Scheduled Job Validators
+ */
+exports.jobValidators = {
+    update: [
+        body('isEnabled')
+            .optional()
+            .isBoolean().withMessage('isEnabled must be a boolean')
+            .toBoolean(),
+        body('intervalMinutes')
+            .optional()
+            .isInt({ min: 1, max: 10080 }).withMessage('Interval must be between 1 and 10080 minutes')
+    ]
+};
+
 /**
  * User Validators
  */
@@ -585,6 +1323,84 @@ exports.userValidators = {
         body('newPassword')
             .notEmpty().withMessage('New password is required')
             .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    ],
+
+    forgotPassword: [
+        body('identifier')
+            .notEmpty().withMessage('Phone or username is required'),
+        body('channel')
+            .optional()
+            .isIn(['email', 'sms']).withMessage('Channel must be email or sms'),
+        body('isDoctor')
+            .optional()
+            .isBoolean().withMessage('isDoctor must be a boolean')
+            .toBoolean()
+    ],
+
+    resetPassword: [
+        body().custom((_, { req }) => {
+            if (!req.body.token && !(req.body.identifier && req.body.otp)) {
+                throw new Error('Either a reset token, or identifier and OTP, is required');
+            }
+            return true;
+        }),
+        body('otp')
+            .optional()
+            .matches(/^\d{6}$/).withMessage('OTP must be 6 digits'),
+        body('isDoctor')
+            .optional()
+            .isBoolean().withMessage('isDoctor must be a boolean')
+            .toBoolean(),
+        body('password')
+            .notEmpty().withMessage('Password is required')
+            .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    ],
+
+    verify2FALogin: [
+        body('code')
+            .notEmpty().withMessage('Code is required'),
+        body('method')
+            .optional()
+            .isIn(['totp', 'recovery', 'email', 'sms']).withMessage('Method must be totp, recovery, email or sms'),
+        body().custom((_, { req }) => {
+            if (!req.body.challengeToken && !req.body.identity) {
+                throw new Error('challengeToken is required');
+            }
+            return true;
+        }),
+        body('rememberDevice')
+            .optional()
+            .isBoolean().withMessage('rememberDevice must be a boolean')
+            .toBoolean()
+    ],
+
+    send2FACode: [
+        body('challengeToken')
+            .notEmpty().withMessage('challengeToken is required'),
+        body('channel')
+            .optional()
+            .isIn(['email', 'sms']).withMessage('Channel must be email or sms')
+    ],
+
+    setupTotp: [
+        body('password')
+            .notEmpty().withMessage('Password is required')
+    ],
+
+    totpCode: [
+        body('code')
+            .notEmpty().withMessage('Code is required')
+            .matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+    ],
+
+    disableTotp: [
+        body('password')
+            .notEmpty().withMessage('Password is required'),
+        body('code')
+            .notEmpty().withMessage('Code is required'),
+        body('method')
+            .optional()
+            .isIn(['totp', 'recovery']).withMessage('Method must be totp or recovery')
     ]
 };
 